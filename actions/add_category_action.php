@@ -46,7 +46,7 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
 }
 
 // Enhanced CSRF validation with detailed error handling
-$csrf_validation = validate_csrf_with_enhanced_error_handling();
+$csrf_validation = validate_csrf_request();
 if (!$csrf_validation['valid']) {
     $response['status'] = 'error';
     $response['message'] = $csrf_validation['message'];
@@ -187,52 +187,6 @@ function validate_session_for_category_operations()
     return $validation_result;
 }
 
-/**
- * Enhanced CSRF validation with detailed error handling
- * @return array CSRF validation result
- */
-function validate_csrf_with_enhanced_error_handling()
-{
-    $csrf_result = [
-        'valid' => false,
-        'message' => '',
-        'error_type' => '',
-        'requires_action' => null,
-        'log_security_event' => false
-    ];
-    
-    // Check if CSRF token exists in session
-    if (!isset($_SESSION['csrf_token']) || empty($_SESSION['csrf_token'])) {
-        $csrf_result['message'] = 'Security token not found in session. Please refresh the page.';
-        $csrf_result['error_type'] = 'csrf_token_missing_session';
-        $csrf_result['requires_action'] = 'refresh_page';
-        $csrf_result['log_security_event'] = true;
-        return $csrf_result;
-    }
-    
-    // Check if CSRF token exists in POST data
-    if (!isset($_POST['csrf_token']) || empty($_POST['csrf_token'])) {
-        $csrf_result['message'] = 'Security token not provided. Please refresh the page and try again.';
-        $csrf_result['error_type'] = 'csrf_token_missing_post';
-        $csrf_result['requires_action'] = 'refresh_page';
-        $csrf_result['log_security_event'] = true;
-        return $csrf_result;
-    }
-    
-    // Validate CSRF token
-    if (!validate_csrf_from_post()) {
-        $csrf_result['message'] = 'Invalid security token. This may indicate a security issue. Please refresh the page and try again.';
-        $csrf_result['error_type'] = 'csrf_validation_failed';
-        $csrf_result['requires_action'] = 'refresh_page';
-        $csrf_result['log_security_event'] = true;
-        return $csrf_result;
-    }
-    
-    // CSRF validation passed
-    $csrf_result['valid'] = true;
-    return $csrf_result;
-}
-
 try {
     // Check session validity before processing (in case it expired during request)
     if (!is_logged_in() || is_session_expired()) {
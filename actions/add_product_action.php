@@ -45,7 +45,7 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
 }
 
 // Enhanced CSRF validation with detailed error handling
-$csrf_validation = validate_csrf_with_enhanced_error_handling();
+$csrf_validation = validate_csrf_request();
 if (!$csrf_validation['valid']) {
     $response['status'] = 'error';
     $response['message'] = $csrf_validation['message'];
@@ -117,6 +117,8 @@ $product_description = isset($_POST['product_description']) ? trim($_POST['produ
 $product_keywords = isset($_POST['product_keywords']) ? trim($_POST['product_keywords']) : '';
 $category_id = trim($_POST['category_id']);
 $brand_id = trim($_POST['brand_id']);
+$product_weight = isset($_POST['product_weight']) && trim($_POST['product_weight']) !== '' ? trim($_POST['product_weight']) : null;
+$product_stock = isset($_POST['product_stock']) && trim($_POST['product_stock']) !== '' ? trim($_POST['product_stock']) : null;
 
 // Handle image path from coordinated upload (if provided)
 $product_image = '';
@@ -174,6 +176,34 @@ if ($product_price < 0) {
     exit();
 }
 
+// Validate shipping weight (kg) when provided
+if ($product_weight !== null && (!is_numeric($product_weight) || (float)$product_weight < 0)) {
+    $response['status'] = 'error';
+    $response['message'] = 'Product weight must be zero or a positive number.';
+    $response['error_type'] = 'validation_failed';
+    $response['field'] = 'product_weight';
+    echo json_encode($response);
+    exit();
+}
+
+if ($product_weight !== null) {
+    $product_weight = (float)$product_weight;
+}
+
+// Validate stock level when provided (empty means stock is not tracked)
+if ($product_stock !== null && (!ctype_digit($product_stock) || (int)$product_stock > 1000000)) {
+    $response['status'] = 'error';
+    $response['message'] = 'Stock must be a whole number between 0 and 1,000,000.';
+    $response['error_type'] = 'validation_failed';
+    $response['field'] = 'product_stock';
+    echo json_encode($response);
+    exit();
+}
+
+if ($product_stock !== null) {
+    $product_stock = (int)$product_stock;
+}
+
 // Validate category ID is numeric
 if (!is_numeric($category_id)) {
     $response['status'] = 'error';
@@ -321,52 +351,6 @@ function validate_session_for_product_operations()
     return $validation_result;
 }
 
-/**
- * Enhanced CSRF validation with detailed error handling
- * @return array CSRF validation result
- */
-function validate_csrf_with_enhanced_error_handling()
-{
-    $csrf_result = [
-        'valid' => false,
-        'message' => '',
-        'error_type' => '',
-        'requires_action' => null,
-        'log_security_event' => false
-    ];
-    
-    // Check if CSRF token exists in session
-    if (!isset($_SESSION['csrf_token']) || empty($_SESSION['csrf_token'])) {
-        $csrf_result['message'] = 'Security token not found in session. Please refresh the page.';
-        $csrf_result['error_type'] = 'csrf_token_missing_session';
-        $csrf_result['requires_action'] = 'refresh_page';
-        $csrf_result['log_security_event'] = true;
-        return $csrf_result;
-    }
-    
-    // Check if CSRF token exists in POST data
-    if (!isset($_POST['csrf_token']) || empty($_POST['csrf_token'])) {
-        $csrf_result['message'] = 'Security token not provided. Please refresh the page and try again.';
-        $csrf_result['error_type'] = 'csrf_token_missing_post';
-        $csrf_result['requires_action'] = 'refresh_page';
-        $csrf_result['log_security_event'] = true;
-        return $csrf_result;
-    }
-    
-    // Validate CSRF token
-    if (!validate_csrf_from_post()) {
-        $csrf_result['message'] = 'Invalid security token. This may indicate a security issue. Please refresh the page and try again.';
-        $csrf_result['error_type'] = 'csrf_validation_failed';
-        $csrf_result['requires_action'] = 'refresh_page';
-        $csrf_result['log_security_event'] = true;
-        return $csrf_result;
-    }
-    
-    // CSRF validation passed
-    $csrf_result['valid'] = true;
-    return $csrf_result;
-}
-
 try {
     // Check session validity before processing (in case it expired during request)
     if (!is_logged_in() || is_session_expired()) {
@@ -385,7 +369,7 @@ try {
     }
     
     // Call controller function to add product with enhanced error handling
-    $result = add_product_ctr($product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id);
+    $result = add_product_ctr($product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id, $product_weight ?? 0, $product_stock);
     
     if ($result['success']) {
         $response['status'] = 'success';
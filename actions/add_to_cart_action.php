@@ -21,7 +21,8 @@ ob_clean();
 
 header('Content-Type: application/json');
 
-// Include validation class
+// Include core functions for CSRF protection and validation class
+require_once __DIR__ . '/../settings/core.php';
 require_once __DIR__ . '/../classes/cart_validation_class.php';
 
 $response = array();
@@ -35,9 +36,28 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     exit();
 }
 
+// Reject requests without a valid CSRF token
+$csrf_validation = validate_csrf_request();
+if (!$csrf_validation['valid']) {
+    $response['status'] = 'error';
+    $response['message'] = $csrf_validation['message'];
+    $response['error_type'] = $csrf_validation['error_type'];
+    $response['requires_action'] = $csrf_validation['requires_action'];
+    
+    if ($csrf_validation['log_security_event']) {
+        log_session_security_event($csrf_validation['error_type'], 
+            $csrf_validation['message'], 
+            $_SESSION['customer_id'] ?? null);
+    }
+    
+    echo json_encode($response);
+    exit();
+}
+
 // Prepare input data for validation
 $input_data = [
     'product_id' => $_POST['product_id'] ?? null,
+    'variant_id' => $_POST['variant_id'] ?? null,
     'quantity' => $_POST['quantity'] ?? 1,
     'customer_id' => $_SESSION['customer_id'] ?? null,
     'ip_address' => $_SERVER['REMOTE_ADDR'] ?? '127.0.0.1'
@@ -62,6 +82,7 @@ if (!$validation_result['success']) {
 // Extract sanitized values
 $sanitized = $validation_result['sanitized_values'];
 $product_id = $sanitized['product_id'];
+$variant_id = $sanitized['variant_id'];
 $quantity = $sanitized['quantity'];
 $customer_id = $sanitized['customer_id'];
 $ip_address = $sanitized['ip_address'];
@@ -70,19 +91,30 @@ require_once __DIR__ . '/../controllers/cart_controller.php';
 
 try {
     // Call controller function to add product to cart with enhanced error handling
-    $result = add_to_cart_ctr($product_id, $quantity, $customer_id, $ip_address);
+    $result = add_to_cart_ctr($product_id, $quantity, $customer_id, $ip_address, $variant_id);
     
     if ($result['success']) {
         $response['status'] = 'success';
         $response['message'] = $result['data']['message'];
         $response['data'] = array(
             'product_id' => $result['data']['product_id'],
+            'variant_id' => $result['data']['variant_id'],
             'quantity' => $result['data']['quantity'],
             'action' => $result['data']['action'],
             'customer_id' => $result['data']['customer_id'],
             'ip_address' => $result['data']['ip_address']
         );
-        
+
+        // Get updated cart totals so the menu badge can refresh without a reload
+        $cart_result = get_cart_items_ctr($customer_id, $ip_address);
+        if ($cart_result['success']) {
+            $response['cart_totals'] = array(
+                'total_items' => $cart_result['data']['total_items'],
+                'total_amount' => $cart_result['data']['total_amount'],
+                'item_count' => $cart_result['data']['count']
+            );
+        }
+
         // Log successful cart addition for audit trail
         $user_identifier = $customer_id ? "Customer ID: {$customer_id}" : "IP: {$ip_address}";
         error_log("Product added to cart successfully: Product ID {$product_id}, Quantity {$quantity}, Action: {$result['data']['action']}, User: {$user_identifier}");
@@ -107,6 +139,15 @@ try {
                 $response['suggestion'] = 'The selected product may no longer be available. Please refresh the page.';
                 break;
                 
+            case 'insufficient_stock':
+                $response['suggestion'] = 'Please choose a smaller quantity.';
+                break;
+                
+            case 'variant_required':
+            case 'variant_not_available':
+                $response['suggestion'] = 'Please choose from the options on the product page.';
+                break;
+                
             case 'connection_error':
             case 'connection_exception':
                 $response['suggestion'] = 'Please check your internet connection and try again.';
@@ -0,0 +1,89 @@
+<?php
+
+/**
+ * Apply Coupon Action
+ * Checks a coupon code against the current cart and, when it applies, keeps it in
+ * the session so the cart page and checkout quote are priced with it
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent JSON corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+header('Content-Type: application/json');
+
+require_once __DIR__ . '/../settings/core.php';
+require_once __DIR__ . '/../controllers/coupon_controller.php';
+
+$response = array();
+
+// Validate request method (should be POST)
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    $response['status'] = 'error';
+    $response['message'] = 'Invalid request method. POST required.';
+    $response['error_type'] = 'invalid_method';
+    echo json_encode($response);
+    exit();
+}
+
+// Reject requests without a valid CSRF token
+$csrf_validation = validate_csrf_request();
+if (!$csrf_validation['valid']) {
+    $response['status'] = 'error';
+    $response['message'] = $csrf_validation['message'];
+    $response['error_type'] = $csrf_validation['error_type'];
+    $response['requires_action'] = $csrf_validation['requires_action'];
+
+    if ($csrf_validation['log_security_event']) {
+        log_session_security_event($csrf_validation['error_type'],
+            $csrf_validation['message'],
+            $_SESSION['customer_id'] ?? null);
+    }
+
+    echo json_encode($response);
+    exit();
+}
+
+$customer_id = !empty($_SESSION['customer_id']) ? (int)$_SESSION['customer_id'] : null;
+$ip_address = $customer_id ? null : ($_SERVER['REMOTE_ADDR'] ?? '127.0.0.1');
+$coupon_code = normalize_coupon_code($_POST['coupon_code'] ?? '');
+
+try {
+    $result = get_cart_coupon_summary_ctr($coupon_code, $customer_id, $ip_address, true);
+
+    if ($result['success']) {
+        $_SESSION['coupon_code'] = $result['data']['coupon']['coupon_code'];
+
+        $response['status'] = 'success';
+        $response['message'] = "Coupon {$result['data']['coupon']['coupon_code']} applied.";
+        $response['data'] = $result['data'];
+    } else {
+        $response['status'] = 'error';
+        $response['message'] = $result['error'];
+        $response['error_type'] = $result['error_type'];
+        $response['error_details'] = $result['error_details'] ?? null;
+
+        if ($result['error_type'] !== 'coupon_invalid') {
+            error_log("Apply coupon failed for code {$coupon_code}: {$result['error']}");
+        }
+    }
+
+} catch (Exception $e) {
+    error_log("Apply coupon exception: " . $e->getMessage());
+
+    $response['status'] = 'error';
+    $response['message'] = 'Unable to apply the coupon. Please try again.';
+    $response['error_type'] = 'coupon_exception';
+}
+
+echo json_encode($response);
+
+?>
@@ -0,0 +1,99 @@
+<?php
+
+/**
+ * Cancel Image Upload Action
+ * Cancels a chunked product image upload and removes its chunks
+ * Administrator only
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent JSON corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+header('Content-Type: application/json');
+
+require_once __DIR__ . '/../settings/core.php';
+require_once __DIR__ . '/../controllers/image_upload_controller.php';
+
+$response = array();
+
+// Validate request method (should be POST)
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    $response['status'] = 'error';
+    $response['message'] = 'Invalid request method. POST required.';
+    $response['error_type'] = 'invalid_method';
+    echo json_encode($response);
+    exit();
+}
+
+// Only administrators can manage product images
+if (!is_logged_in() || !has_admin_privileges()) {
+    $response['status'] = 'error';
+    $response['message'] = 'Access denied. Administrator privileges required to manage product images.';
+    $response['error_type'] = 'insufficient_privileges';
+    $response['requires_action'] = 'contact_administrator';
+
+    log_session_security_event('insufficient_privileges',
+        'Image upload attempted without administrator privileges',
+        get_current_user_id());
+
+    echo json_encode($response);
+    exit();
+}
+
+// Reject requests without a valid CSRF token
+$csrf_validation = validate_csrf_request();
+if (!$csrf_validation['valid']) {
+    $response['status'] = 'error';
+    $response['message'] = $csrf_validation['message'];
+    $response['error_type'] = $csrf_validation['error_type'];
+    $response['requires_action'] = $csrf_validation['requires_action'];
+
+    if ($csrf_validation['log_security_event']) {
+        log_session_security_event($csrf_validation['error_type'],
+            $csrf_validation['message'],
+            get_current_user_id());
+    }
+
+    echo json_encode($response);
+    exit();
+}
+
+try {
+    $result = cancel_image_upload_ctr(get_current_user_id(), $_POST['upload_id'] ?? '');
+
+    if ($result['success']) {
+        $response['status'] = 'success';
+        $response['message'] = 'Upload cancelled.';
+        $response['data'] = $result['data'];
+    } else {
+        $response['status'] = 'error';
+        $response['message'] = $result['error'];
+        $response['error_type'] = $result['error_type'];
+        $response['error_details'] = $result['error_details'] ?? null;
+
+        if (isset($result['error_details']['field'])) {
+            $response['field'] = $result['error_details']['field'];
+        }
+    }
+
+} catch (Exception $e) {
+    error_log("Cancel image upload exception: " . $e->getMessage());
+
+    $response['status'] = 'error';
+    $response['message'] = 'An unexpected error occurred while cancelling the upload. Please try again.';
+    $response['error_type'] = 'server_exception';
+    $response['retry_recommended'] = true;
+}
+
+echo json_encode($response);
+
+?>
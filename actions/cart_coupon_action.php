@@ -0,0 +1,69 @@
+<?php
+
+/**
+ * Cart Coupon Action
+ * Re-prices the current cart with the coupon code kept in the session
+ * Used by js/cart.js after the cart changes
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent JSON corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+header('Content-Type: application/json');
+
+// The summary follows the live cart
+header('Cache-Control: no-store, no-cache, must-revalidate');
+
+require_once __DIR__ . '/../settings/core.php';
+require_once __DIR__ . '/../controllers/coupon_controller.php';
+
+$response = array();
+
+// Validate request method (should be GET)
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    $response['status'] = 'error';
+    $response['message'] = 'Invalid request method. GET required.';
+    $response['error_type'] = 'invalid_method';
+    echo json_encode($response);
+    exit();
+}
+
+$customer_id = !empty($_SESSION['customer_id']) ? (int)$_SESSION['customer_id'] : null;
+$ip_address = $customer_id ? null : ($_SERVER['REMOTE_ADDR'] ?? '127.0.0.1');
+
+try {
+    $result = get_cart_coupon_summary_ctr($_SESSION['coupon_code'] ?? null, $customer_id, $ip_address);
+
+    if ($result['success']) {
+        $response['status'] = 'success';
+        $response['message'] = 'Cart summary calculated.';
+        $response['data'] = $result['data'];
+    } else {
+        $response['status'] = 'error';
+        $response['message'] = $result['error'];
+        $response['error_type'] = $result['error_type'];
+        $response['retry_recommended'] = true;
+
+        error_log("Cart coupon summary failed: {$result['error']}");
+    }
+
+} catch (Exception $e) {
+    error_log("Cart coupon summary exception: " . $e->getMessage());
+
+    $response['status'] = 'error';
+    $response['message'] = 'Unable to update your cart total. Please refresh the page.';
+    $response['error_type'] = 'coupon_exception';
+}
+
+echo json_encode($response);
+
+?>
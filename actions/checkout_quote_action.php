@@ -0,0 +1,99 @@
+<?php
+
+/**
+ * Checkout Quote Action
+ * Prices the logged-in customer's stored cart and returns a quote the checkout binds to:
+ * subtotal, discount, tax, shipping and total, plus the quote_id to send with payment and order.
+ * The quote is priced with the coupon code kept in the session (see apply_coupon_action.php).
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent JSON corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+header('Content-Type: application/json');
+
+require_once __DIR__ . '/../settings/core.php';
+require_once __DIR__ . '/../controllers/quote_controller.php';
+
+$response = array(
+    'success' => false,
+    'error' => '',
+    'data' => null
+);
+
+// Validate request method (should be POST)
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    $response['error'] = 'Invalid request method. POST required.';
+    $response['error_type'] = 'method_not_allowed';
+    echo json_encode($response);
+    exit();
+}
+
+// Reject requests without a valid CSRF token
+$csrf_validation = validate_csrf_request();
+if (!$csrf_validation['valid']) {
+    $response['error'] = $csrf_validation['message'];
+    $response['error_type'] = $csrf_validation['error_type'];
+    $response['requires_action'] = $csrf_validation['requires_action'];
+
+    if ($csrf_validation['log_security_event']) {
+        log_session_security_event($csrf_validation['error_type'],
+            $csrf_validation['message'],
+            $_SESSION['customer_id'] ?? null);
+    }
+
+    echo json_encode($response);
+    exit();
+}
+
+// Quotes are only issued for logged-in customers
+if (empty($_SESSION['customer_id'])) {
+    $response['error'] = 'Please log in to check out.';
+    $response['error_type'] = 'authentication_required';
+    $response['requires_action'] = 'redirect_to_login';
+    echo json_encode($response);
+    exit();
+}
+
+try {
+    $customer_id = (int)$_SESSION['customer_id'];
+    $shipping_method_id = isset($_POST['shipping_method_id']) && is_numeric($_POST['shipping_method_id'])
+        ? (int)$_POST['shipping_method_id']
+        : null;
+
+    $result = create_checkout_quote_ctr($customer_id, $shipping_method_id, $_SESSION['coupon_code'] ?? null);
+
+    if ($result['success']) {
+        $response['success'] = true;
+        $response['message'] = 'Quote calculated.';
+        $response['data'] = $result['data'];
+    } else {
+        if ($result['error_type'] !== 'empty_cart_error') {
+            error_log("Checkout quote failed for customer {$customer_id}: " . $result['error']);
+        }
+
+        $response['error'] = $result['error'];
+        $response['error_type'] = $result['error_type'];
+        $response['error_details'] = $result['error_details'] ?? null;
+    }
+
+} catch (Exception $e) {
+    error_log("Checkout quote exception: " . $e->getMessage());
+
+    $response['error'] = 'Unable to calculate your order total. Please try again.';
+    $response['error_type'] = 'quote_exception';
+    $response['retry_recommended'] = true;
+}
+
+echo json_encode($response);
+
+?>
@@ -10,6 +10,7 @@ header('Content-Type: application/json');
 
 // Include required classes
 require_once '../classes/cart_integrity_class.php';
+require_once '../controllers/image_upload_controller.php';
 
 $response = array();
 
@@ -45,7 +46,8 @@ $cleanup_options = [
     'fix_quantities' => ($_GET['fix_quantities'] ?? $_POST['fix_quantities'] ?? 'true') === 'true',
     'merge_duplicates' => ($_GET['merge_duplicates'] ?? $_POST['merge_duplicates'] ?? 'true') === 'true',
     'cleanup_expired_guests' => ($_GET['cleanup_expired_guests'] ?? $_POST['cleanup_expired_guests'] ?? 'true') === 'true',
-    'guest_expiry_hours' => (int)($_GET['guest_expiry_hours'] ?? $_POST['guest_expiry_hours'] ?? 24)
+    'guest_expiry_hours' => (int)($_GET['guest_expiry_hours'] ?? $_POST['guest_expiry_hours'] ?? 24),
+    'cleanup_image_uploads' => ($_GET['cleanup_image_uploads'] ?? $_POST['cleanup_image_uploads'] ?? 'true') === 'true'
 ];
 
 // Validate guest expiry hours
@@ -89,7 +91,17 @@ try {
         ];
     }
     
-    // 3. Generate cleanup statistics
+    // 3. Remove chunked image uploads abandoned part way
+    if ($cleanup_options['cleanup_image_uploads']) {
+        $removed_uploads = cleanup_abandoned_image_uploads();
+        $cleanup_results['abandoned_image_uploads'] = [
+            'status' => 'completed',
+            'uploads_removed' => $removed_uploads
+        ];
+        $total_items_processed += $removed_uploads;
+    }
+    
+    // 4. Generate cleanup statistics
     $stats_start_time = microtime(true);
     
     // Get overall cart statistics
@@ -73,11 +73,12 @@ function validate_session_and_csrf_for_product_deletion()
     }
     
     // Validate CSRF token
-    if (!validate_csrf_token()) {
-        $validation_result['message'] = 'Security validation failed. Please refresh the page and try again.';
-        $validation_result['error_type'] = 'csrf_validation_failed';
-        $validation_result['requires_action'] = 'refresh_page';
-        $validation_result['log_security_event'] = true;
+    $csrf_validation = validate_csrf_request();
+    if (!$csrf_validation['valid']) {
+        $validation_result['message'] = $csrf_validation['message'];
+        $validation_result['error_type'] = $csrf_validation['error_type'];
+        $validation_result['requires_action'] = $csrf_validation['requires_action'];
+        $validation_result['log_security_event'] = $csrf_validation['log_security_event'];
         return $validation_result;
     }
     
@@ -21,6 +21,9 @@ ob_clean();
 
 header('Content-Type: application/json');
 
+// Include core functions for CSRF protection
+require_once __DIR__ . '/../settings/core.php';
+
 $response = array();
 
 // Validate request method (should be POST)
@@ -32,6 +35,24 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     exit();
 }
 
+// Reject requests without a valid CSRF token
+$csrf_validation = validate_csrf_request();
+if (!$csrf_validation['valid']) {
+    $response['status'] = 'error';
+    $response['message'] = $csrf_validation['message'];
+    $response['error_type'] = $csrf_validation['error_type'];
+    $response['requires_action'] = $csrf_validation['requires_action'];
+    
+    if ($csrf_validation['log_security_event']) {
+        log_session_security_event($csrf_validation['error_type'], 
+            $csrf_validation['message'], 
+            $_SESSION['customer_id'] ?? null);
+    }
+    
+    echo json_encode($response);
+    exit();
+}
+
 // Determine user identification (logged-in customer or guest)
 $customer_id = null;
 $ip_address = null;
@@ -4,6 +4,8 @@
  * Enhanced Composite Search Action
  * 
  * Handles advanced composite search with multiple filters, sorting, and price ranges.
+ * Several categories, brands or price buckets are passed as lists (brand_ids[]=1&brand_ids[]=2)
+ * or comma-separated; include_facets=1 adds the product count of every filter choice.
  */
 
 header('Content-Type: application/json');
@@ -32,18 +34,26 @@ $sort_by = isset($_GET['sort_by']) ? trim($_GET['sort_by']) : 'relevance';
 $sort_order = isset($_GET['sort_order']) ? strtoupper(trim($_GET['sort_order'])) : 'DESC';
 $page = isset($_GET['page']) && is_numeric($_GET['page']) && $_GET['page'] > 0 ? (int)$_GET['page'] : 1;
 $limit = isset($_GET['limit']) && is_numeric($_GET['limit']) && $_GET['limit'] > 0 && $_GET['limit'] <= 100 ? (int)$_GET['limit'] : 10;
+$include_facets = !empty($_GET['include_facets']);
 
-// Validate search parameters
-$has_search_criteria = !empty($query) || $category_id > 0 || $brand_id > 0 || $min_price > 0 || $max_price > 0;
+// Multi-select filters (validated by the controller)
+$list_param = function($name) {
+    if (!isset($_GET[$name]) || $_GET[$name] === '') {
+        return array();
+    }
+    $values = is_array($_GET[$name]) ? $_GET[$name] : explode(',', $_GET[$name]);
+    return array_values(array_filter(array_map(function($value) {
+        return is_string($value) ? trim($value) : $value;
+    }, $values), function($value) {
+        return $value !== '';
+    }));
+};
+$category_ids = $list_param('category_ids');
+$brand_ids = $list_param('brand_ids');
+$price_ranges = $list_param('price_ranges');
 
-if (!$has_search_criteria) {
-    $response['status'] = 'error';
-    $response['message'] = 'At least one search criterion is required (query, category, brand, or price range).';
-    $response['error_type'] = 'validation_failed';
-    $response['suggestion'] = 'Please provide a search query, select a category/brand, or specify a price range.';
-    echo json_encode($response);
-    exit();
-}
+// No criteria at all lists every product, which the storefront's browse view uses
+// for its facet counts
 
 // Validate query length if provided
 if (!empty($query) && (strlen($query) < 1 || strlen($query) > 255)) {
@@ -117,10 +127,14 @@ try {
     // Prepare search parameters
     $search_params = array(
         'query' => $query,
-        'category_id' => $category_id,
-        'brand_id' => $brand_id,
-        'min_price' => $min_price,
-        'max_price' => $max_price,
+        'category_id' => $category_id > 0 ? $category_id : null,
+        'category_ids' => $category_ids,
+        'brand_id' => $brand_id > 0 ? $brand_id : null,
+        'brand_ids' => $brand_ids,
+        'price_ranges' => $price_ranges,
+        'min_price' => $min_price > 0 ? $min_price : null,
+        'max_price' => $max_price > 0 ? $max_price : null,
+        'include_facets' => $include_facets,
         'sort_by' => $sort_by,
         'sort_order' => $sort_order,
         'page' => $page,
@@ -140,7 +154,10 @@ try {
             'search_criteria' => array(
                 'query' => $query,
                 'category_id' => $category_id,
+                'category_ids' => $category_ids,
                 'brand_id' => $brand_id,
+                'brand_ids' => $brand_ids,
+                'price_ranges' => $price_ranges,
                 'min_price' => $min_price,
                 'max_price' => $max_price,
                 'sort_by' => $sort_by,
@@ -163,6 +180,15 @@ try {
         if ($brand_id > 0) {
             $response['search_metadata']['active_filters']['brand_id'] = $brand_id;
         }
+        if (!empty($category_ids)) {
+            $response['search_metadata']['active_filters']['category_ids'] = $category_ids;
+        }
+        if (!empty($brand_ids)) {
+            $response['search_metadata']['active_filters']['brand_ids'] = $brand_ids;
+        }
+        if (!empty($price_ranges)) {
+            $response['search_metadata']['active_filters']['price_ranges'] = $price_ranges;
+        }
         if ($min_price > 0) {
             $response['search_metadata']['active_filters']['min_price'] = $min_price;
         }
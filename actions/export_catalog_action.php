@@ -0,0 +1,87 @@
+<?php
+
+/**
+ * Export Catalog Action
+ * Downloads the admin's products as CSV, JSON or a Google Shopping style XML feed,
+ * optionally for one category and/or brand
+ * Administrator only; errors are returned as plain text since this is a download link
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent export corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+require_once __DIR__ . '/../settings/core.php';
+require_once __DIR__ . '/../controllers/catalog_export_controller.php';
+
+/**
+ * End the request with a plain-text error
+ *
+ * @param int $status HTTP status code
+ * @param string $message Message shown to the admin
+ */
+function export_error($status, $message)
+{
+    http_response_code($status);
+    header('Content-Type: text/plain; charset=utf-8');
+    echo $message;
+    exit();
+}
+
+// Validate request method (should be GET)
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    export_error(405, 'Invalid request method. GET required.');
+}
+
+// Only administrators can export the catalog
+if (!is_logged_in() || !has_admin_privileges()) {
+    log_session_security_event('insufficient_privileges',
+        'Catalog export attempted without administrator privileges',
+        get_current_user_id());
+
+    export_error(403, 'Access denied. Administrator privileges required to export the catalog.');
+}
+
+// Large catalogs are written as they are read, so nothing may sit in output buffers
+set_time_limit(0);
+
+try {
+    $result = export_catalog_ctr(
+        get_current_user_id(),
+        $_GET['format'] ?? 'csv',
+        isset($_GET['category_id']) && $_GET['category_id'] !== '' ? $_GET['category_id'] : null,
+        isset($_GET['brand_id']) && $_GET['brand_id'] !== '' ? $_GET['brand_id'] : null,
+        catalog_site_url(),
+        function($file_name, $content_type) {
+            while (ob_get_level() > 0) {
+                ob_end_clean();
+            }
+
+            header('Content-Type: ' . $content_type);
+            header('Content-Disposition: attachment; filename="' . $file_name . '"');
+            header('Cache-Control: no-store, no-cache, must-revalidate');
+            header('X-Accel-Buffering: no');
+        }
+    );
+
+    if (!$result['success'] && !headers_sent()) {
+        export_error($result['error_type'] === 'validation_error' ? 400 : 500, $result['error']);
+    }
+
+} catch (Exception $e) {
+    error_log("Export catalog exception: " . $e->getMessage());
+
+    if (!headers_sent()) {
+        export_error(500, 'Failed to export the catalog. Please try again.');
+    }
+}
+
+?>
@@ -0,0 +1,75 @@
+<?php
+
+/**
+ * Export Product Import Errors Action
+ * Downloads an import's rejected rows, with their errors, as CSV
+ * Administrator only; errors are returned as plain text since this is a download link
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent CSV corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+require_once __DIR__ . '/../settings/core.php';
+require_once __DIR__ . '/../controllers/product_import_controller.php';
+
+/**
+ * End the request with a plain-text error
+ *
+ * @param int $status HTTP status code
+ * @param string $message Message shown to the admin
+ */
+function export_error($status, $message)
+{
+    http_response_code($status);
+    header('Content-Type: text/plain; charset=utf-8');
+    echo $message;
+    exit();
+}
+
+// Validate request method (should be GET)
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    export_error(405, 'Invalid request method. GET required.');
+}
+
+// Only administrators can import products
+if (!is_logged_in() || !has_admin_privileges()) {
+    log_session_security_event('insufficient_privileges',
+        'Product import errors export attempted without administrator privileges',
+        get_current_user_id());
+
+    export_error(403, 'Access denied. Administrator privileges required to import products.');
+}
+
+try {
+    $result = product_import_errors_csv_ctr(get_current_user_id(), $_GET['import_id'] ?? '');
+
+    if (!$result['success']) {
+        export_error(404, $result['error']);
+    }
+
+    header('Content-Type: text/csv; charset=utf-8');
+    header('Content-Disposition: attachment; filename="' . str_replace('"', '', $result['data']['file_name']) . '"');
+    header('Cache-Control: no-store, no-cache, must-revalidate');
+
+    $output = fopen('php://output', 'w');
+    foreach ($result['data']['rows'] as $row) {
+        fputcsv($output, $row);
+    }
+    fclose($output);
+
+} catch (Exception $e) {
+    error_log("Export product import errors exception: " . $e->getMessage());
+
+    export_error(500, 'Failed to export the rejected rows. Please try again.');
+}
+
+?>
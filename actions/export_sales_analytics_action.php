@@ -0,0 +1,83 @@
+<?php
+
+/**
+ * Export Sales Analytics Action
+ * Downloads one analytics series (daily, products, brands or categories) as CSV
+ * Administrator only; errors are returned as plain text since this is a download link
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent CSV corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+require_once __DIR__ . '/../settings/core.php';
+require_once __DIR__ . '/../controllers/order_controller.php';
+
+/**
+ * End the request with a plain-text error
+ *
+ * @param int $status HTTP status code
+ * @param string $message Message shown to the admin
+ */
+function export_error($status, $message)
+{
+    http_response_code($status);
+    header('Content-Type: text/plain; charset=utf-8');
+    echo $message;
+    exit();
+}
+
+// Validate request method (should be GET)
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    export_error(405, 'Invalid request method. GET required.');
+}
+
+// Only administrators can export sales analytics
+if (!is_logged_in() || !has_admin_privileges()) {
+    log_session_security_event('insufficient_privileges',
+        'Sales analytics export attempted without administrator privileges',
+        get_current_user_id());
+
+    export_error(403, 'Access denied. Administrator privileges required to export sales analytics.');
+}
+
+$series = $_GET['series'] ?? 'daily';
+if (!in_array($series, SALES_ANALYTICS_SERIES, true)) {
+    export_error(400, 'Unknown series. Choose one of: ' . implode(', ', SALES_ANALYTICS_SERIES) . '.');
+}
+
+try {
+    $result = get_sales_analytics_ctr($_GET['start_date'] ?? null, $_GET['end_date'] ?? null);
+
+    if (!$result['success']) {
+        export_error($result['error_type'] === 'validation_error' ? 400 : 500, $result['error']);
+    }
+
+    $data = $result['data'];
+    $filename = "sales-{$series}-{$data['start_date']}-to-{$data['end_date']}.csv";
+
+    header('Content-Type: text/csv; charset=utf-8');
+    header('Content-Disposition: attachment; filename="' . $filename . '"');
+    header('Cache-Control: no-store, no-cache, must-revalidate');
+
+    $output = fopen('php://output', 'w');
+    foreach (sales_analytics_csv_rows($data, $series) as $row) {
+        fputcsv($output, $row);
+    }
+    fclose($output);
+
+} catch (Exception $e) {
+    error_log("Export sales analytics exception: " . $e->getMessage());
+
+    export_error(500, 'Failed to export sales analytics. Please try again.');
+}
+
+?>
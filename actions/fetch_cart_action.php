@@ -0,0 +1,87 @@
+<?php
+
+/**
+ * Fetch Cart Action
+ * Returns the current cart contents for the logged-in customer or guest session
+ * Used by js/cart_store.js to reconcile with the server after another tab changes the cart
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent JSON corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+header('Content-Type: application/json');
+
+// Prevent caching so every tab sees the live cart
+header('Cache-Control: no-store, no-cache, must-revalidate');
+
+require_once __DIR__ . '/../settings/core.php';
+
+$response = array();
+
+// Validate request method (should be GET)
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    $response['status'] = 'error';
+    $response['message'] = 'Invalid request method. GET required.';
+    $response['error_type'] = 'invalid_method';
+    echo json_encode($response);
+    exit();
+}
+
+// Determine user identification (logged-in customer or guest)
+$customer_id = null;
+$ip_address = null;
+
+if (isset($_SESSION['customer_id']) && !empty($_SESSION['customer_id'])) {
+    $customer_id = (int)$_SESSION['customer_id'];
+} else {
+    // Guest user - use IP address
+    $ip_address = $_SERVER['REMOTE_ADDR'] ?? '127.0.0.1';
+}
+
+require_once __DIR__ . '/../controllers/cart_controller.php';
+
+try {
+    $result = get_cart_items_ctr($customer_id, $ip_address);
+
+    if ($result['success']) {
+        $response['status'] = 'success';
+        $response['message'] = 'Cart retrieved successfully.';
+        $response['data'] = array(
+            'items' => format_cart_items_for_client($result['data']['items'])
+        );
+        $response['cart_totals'] = array(
+            'total_items' => $result['data']['total_items'],
+            'total_amount' => $result['data']['total_amount'],
+            'item_count' => $result['data']['count']
+        );
+    } else {
+        $response['status'] = 'error';
+        $response['message'] = $result['error'];
+        $response['error_type'] = $result['error_type'] ?? 'fetch_cart_failed';
+        $response['retry_recommended'] = true;
+
+        $user_identifier = $customer_id ? "Customer ID: {$customer_id}" : "IP: {$ip_address}";
+        error_log("Fetch cart failed for user {$user_identifier}: {$result['error']}");
+    }
+
+} catch (Exception $e) {
+    error_log("Fetch cart exception: " . $e->getMessage());
+
+    $response['status'] = 'error';
+    $response['message'] = 'An unexpected error occurred while loading your cart. Please try again.';
+    $response['error_type'] = 'server_exception';
+    $response['retry_recommended'] = true;
+}
+
+echo json_encode($response);
+
+?>
@@ -0,0 +1,73 @@
+<?php
+
+/**
+ * Fetch Customer Order Action
+ * Returns one of the logged-in customer's orders with its line items
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent JSON corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+header('Content-Type: application/json');
+
+require_once __DIR__ . '/../settings/core.php';
+require_once __DIR__ . '/../controllers/order_controller.php';
+
+$response = array(
+    'success' => false,
+    'error' => '',
+    'data' => null
+);
+
+// Validate request method (should be GET)
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    $response['error'] = 'Invalid request method. GET required.';
+    $response['error_type'] = 'method_not_allowed';
+    echo json_encode($response);
+    exit();
+}
+
+// Order history is only kept for logged-in customers
+if (empty($_SESSION['customer_id'])) {
+    $response['error'] = 'Please log in to view your orders.';
+    $response['error_type'] = 'authentication_required';
+    $response['requires_action'] = 'redirect_to_login';
+    echo json_encode($response);
+    exit();
+}
+
+try {
+    $customer_id = (int)$_SESSION['customer_id'];
+    $order_id = $_GET['order_id'] ?? null;
+
+    $result = get_customer_order_ctr($customer_id, $order_id);
+
+    if ($result['success']) {
+        $response['success'] = true;
+        $response['message'] = 'Order retrieved.';
+        $response['data'] = $result['data'];
+    } else {
+        $response['error'] = $result['error'];
+        $response['error_type'] = $result['error_type'];
+    }
+
+} catch (Exception $e) {
+    error_log("Order detail exception: " . $e->getMessage());
+
+    $response['error'] = 'Unable to load this order. Please try again.';
+    $response['error_type'] = 'order_exception';
+    $response['retry_recommended'] = true;
+}
+
+echo json_encode($response);
+
+?>
@@ -0,0 +1,84 @@
+<?php
+
+/**
+ * Fetch Customer Orders Action
+ * Returns one page of the logged-in customer's order history for orders.php
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent JSON corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+header('Content-Type: application/json');
+
+// New orders must show up on the next load
+header('Cache-Control: no-store, no-cache, must-revalidate');
+
+require_once __DIR__ . '/../settings/core.php';
+require_once __DIR__ . '/../controllers/order_controller.php';
+
+$response = array(
+    'success' => false,
+    'error' => '',
+    'data' => null
+);
+
+// Validate request method (should be GET)
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    $response['error'] = 'Invalid request method. GET required.';
+    $response['error_type'] = 'method_not_allowed';
+    echo json_encode($response);
+    exit();
+}
+
+// Order history is only kept for logged-in customers
+if (empty($_SESSION['customer_id'])) {
+    $response['error'] = 'Please log in to view your orders.';
+    $response['error_type'] = 'authentication_required';
+    $response['requires_action'] = 'redirect_to_login';
+    echo json_encode($response);
+    exit();
+}
+
+try {
+    $customer_id = (int)$_SESSION['customer_id'];
+    $page = max(1, (int)($_GET['page'] ?? 1));
+
+    $result = get_customer_orders_ctr($customer_id, CUSTOMER_ORDERS_PER_PAGE, ($page - 1) * CUSTOMER_ORDERS_PER_PAGE);
+
+    if ($result['success']) {
+        $response['success'] = true;
+        $response['message'] = 'Orders retrieved.';
+        $response['data'] = array(
+            'orders' => array_map('format_customer_order_for_client', $result['data']['orders']),
+            'page' => $page,
+            'per_page' => CUSTOMER_ORDERS_PER_PAGE,
+            'total' => $result['data']['total'],
+            'total_pages' => max(1, (int)ceil($result['data']['total'] / CUSTOMER_ORDERS_PER_PAGE))
+        );
+    } else {
+        $response['error'] = $result['error'];
+        $response['error_type'] = $result['error_type'];
+
+        error_log("Order history failed for customer {$customer_id}: " . ($result['original_error'] ?? $result['error']));
+    }
+
+} catch (Exception $e) {
+    error_log("Order history exception: " . $e->getMessage());
+
+    $response['error'] = 'Unable to load your orders. Please try again.';
+    $response['error_type'] = 'order_exception';
+    $response['retry_recommended'] = true;
+}
+
+echo json_encode($response);
+
+?>
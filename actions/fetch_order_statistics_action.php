@@ -0,0 +1,80 @@
+<?php
+
+/**
+ * Fetch Order Statistics Action
+ * Order counts by status and revenue for the admin console
+ * Administrator only
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent JSON corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+header('Content-Type: application/json');
+
+require_once __DIR__ . '/../settings/core.php';
+require_once __DIR__ . '/../controllers/order_controller.php';
+
+$response = array();
+
+// Validate request method (should be GET)
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    $response['status'] = 'error';
+    $response['message'] = 'Invalid request method. GET required.';
+    $response['error_type'] = 'invalid_method';
+    echo json_encode($response);
+    exit();
+}
+
+// Only administrators can manage orders
+if (!is_logged_in() || !has_admin_privileges()) {
+    $response['status'] = 'error';
+    $response['message'] = 'Access denied. Administrator privileges required to manage orders.';
+    $response['error_type'] = 'insufficient_privileges';
+    $response['requires_action'] = 'contact_administrator';
+
+    log_session_security_event('insufficient_privileges',
+        'Order statistics viewed without administrator privileges',
+        get_current_user_id());
+
+    echo json_encode($response);
+    exit();
+}
+
+try {
+    $start_date = !empty($_GET['start_date']) ? $_GET['start_date'] : null;
+    $end_date = !empty($_GET['end_date']) ? $_GET['end_date'] : null;
+
+    $result = get_order_statistics_ctr($start_date, $end_date);
+
+    if ($result['success']) {
+        $response['status'] = 'success';
+        $response['message'] = 'Order statistics loaded.';
+        $response['data'] = $result['data'];
+    } else {
+        $response['status'] = 'error';
+        $response['message'] = $result['error'];
+        $response['error_type'] = $result['error_type'];
+        $response['error_details'] = $result['error_details'] ?? null;
+    }
+
+} catch (Exception $e) {
+    error_log("Fetch order statistics exception: " . $e->getMessage());
+
+    $response['status'] = 'error';
+    $response['message'] = 'Failed to load order statistics. Please try again.';
+    $response['error_type'] = 'server_exception';
+    $response['retry_recommended'] = true;
+}
+
+echo json_encode($response);
+
+?>
@@ -0,0 +1,36 @@
+<?php
+
+/**
+ * Get CSRF Token Action
+ * Returns the CSRF token for the current session
+ * Used by js/api.js to recover from a missing or stale token before retrying a request
+ */
+
+header('Content-Type: application/json');
+
+session_start();
+
+// Include core functions for CSRF protection
+require_once '../settings/core.php';
+
+$response = array();
+
+// Validate request method (should be GET)
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    $response['status'] = 'error';
+    $response['message'] = 'Invalid request method. GET required.';
+    $response['error_type'] = 'invalid_method';
+    echo json_encode($response);
+    exit();
+}
+
+// Prevent caching so the client always receives the live session token
+header('Cache-Control: no-store, no-cache, must-revalidate');
+
+$response['status'] = 'success';
+$response['message'] = 'Security token retrieved successfully.';
+$response['data'] = array(
+    'csrf_token' => get_csrf_token()
+);
+
+echo json_encode($response);
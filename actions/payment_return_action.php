@@ -0,0 +1,98 @@
+<?php
+
+/**
+ * Payment Return Action
+ * Resumes a payment after the provider redirected the shopper back to checkout.php
+ * checkout.js posts the return URL parameters here once the page has loaded
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent JSON corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+header('Content-Type: application/json');
+
+require_once __DIR__ . '/../settings/core.php';
+require_once __DIR__ . '/../controllers/payment_controller.php';
+
+$response = array(
+    'success' => false,
+    'error' => '',
+    'data' => null
+);
+
+// Validate request method (should be POST)
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    $response['error'] = 'Invalid request method. POST required.';
+    $response['error_type'] = 'method_not_allowed';
+    echo json_encode($response);
+    exit();
+}
+
+// Reject requests without a valid CSRF token
+$csrf_validation = validate_csrf_request();
+if (!$csrf_validation['valid']) {
+    $response['error'] = $csrf_validation['message'];
+    $response['error_type'] = $csrf_validation['error_type'];
+    $response['requires_action'] = $csrf_validation['requires_action'];
+
+    if ($csrf_validation['log_security_event']) {
+        log_session_security_event($csrf_validation['error_type'],
+            $csrf_validation['message'],
+            $_SESSION['customer_id'] ?? null);
+    }
+
+    echo json_encode($response);
+    exit();
+}
+
+// Payments are only taken for logged-in customers
+if (empty($_SESSION['customer_id'])) {
+    $response['error'] = 'Please log in to complete your purchase.';
+    $response['error_type'] = 'authentication_required';
+    $response['requires_action'] = 'redirect_to_login';
+    echo json_encode($response);
+    exit();
+}
+
+try {
+    $customer_id = (int)$_SESSION['customer_id'];
+    $reference = trim($_POST['reference'] ?? '');
+
+    // Everything the provider appended to the return URL, minus our own routing fields
+    $params = isset($_POST['params']) && is_array($_POST['params']) ? $_POST['params'] : array();
+    unset($params['reference'], $params['provider'], $params['payment_return']);
+
+    $result = handle_payment_return_ctr($reference, $customer_id, $params);
+
+    if ($result['success']) {
+        $response['success'] = true;
+        $response['message'] = 'Payment resumed.';
+        $response['data'] = $result['data'];
+    } else {
+        error_log("Payment return failed for customer {$customer_id}, payment {$reference}: " . ($result['original_error'] ?? $result['error']));
+
+        $response['error'] = $result['error'];
+        $response['error_type'] = $result['error_type'];
+        $response['error_details'] = $result['error_details'] ?? null;
+    }
+
+} catch (Exception $e) {
+    error_log("Payment return exception: " . $e->getMessage());
+
+    $response['error'] = 'Payment could not be resumed. Please try again.';
+    $response['error_type'] = 'payment_exception';
+    $response['retry_recommended'] = true;
+}
+
+echo json_encode($response);
+
+?>
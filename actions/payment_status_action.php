@@ -0,0 +1,77 @@
+<?php
+
+/**
+ * Payment Status Action
+ * Reports the current status of a payment while the checkout waits for the provider's webhook
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent JSON corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+header('Content-Type: application/json');
+
+// Status changes while the checkout polls, so never serve a cached answer
+header('Cache-Control: no-store, no-cache, must-revalidate');
+
+require_once __DIR__ . '/../settings/core.php';
+require_once __DIR__ . '/../controllers/payment_controller.php';
+
+$response = array(
+    'success' => false,
+    'error' => '',
+    'data' => null
+);
+
+// Validate request method (should be GET)
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    $response['error'] = 'Invalid request method. GET required.';
+    $response['error_type'] = 'method_not_allowed';
+    echo json_encode($response);
+    exit();
+}
+
+// Payments are only taken for logged-in customers
+if (empty($_SESSION['customer_id'])) {
+    $response['error'] = 'Please log in to complete your purchase.';
+    $response['error_type'] = 'authentication_required';
+    $response['requires_action'] = 'redirect_to_login';
+    echo json_encode($response);
+    exit();
+}
+
+try {
+    $customer_id = (int)$_SESSION['customer_id'];
+    $reference = trim($_GET['reference'] ?? '');
+
+    $result = get_payment_status_ctr($reference, $customer_id);
+
+    if ($result['success']) {
+        $response['success'] = true;
+        $response['message'] = 'Payment status retrieved.';
+        $response['data'] = $result['data'];
+    } else {
+        $response['error'] = $result['error'];
+        $response['error_type'] = $result['error_type'];
+        $response['error_details'] = $result['error_details'] ?? null;
+    }
+
+} catch (Exception $e) {
+    error_log("Payment status exception: " . $e->getMessage());
+
+    $response['error'] = 'Unable to check payment status. Please try again.';
+    $response['error_type'] = 'payment_exception';
+    $response['retry_recommended'] = true;
+}
+
+echo json_encode($response);
+
+?>
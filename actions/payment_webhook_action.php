@@ -0,0 +1,88 @@
+<?php
+
+/**
+ * Payment Webhook Action
+ * Receives asynchronous notifications from payment providers:
+ *     POST actions/payment_webhook_action.php?provider=<name>
+ *
+ * Called server-to-server, so there is no session or CSRF token. Each provider
+ * authenticates its own webhooks (e.g. an HMAC signature header) in handle_callback().
+ * Responds 200 once an event is applied or recognised as a duplicate, and 4xx/5xx
+ * otherwise so the provider retries; 503 means the provider's webhook secret is
+ * not configured on this server.
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent JSON corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+// Clean any output that might have occurred
+ob_clean();
+
+header('Content-Type: application/json');
+
+require_once __DIR__ . '/../controllers/payment_controller.php';
+
+$response = array(
+    'success' => false,
+    'error' => '',
+    'data' => null
+);
+
+// Validate request method (should be POST)
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    http_response_code(405);
+    $response['error'] = 'Invalid request method. POST required.';
+    $response['error_type'] = 'method_not_allowed';
+    echo json_encode($response);
+    exit();
+}
+
+try {
+    $provider_name = trim($_GET['provider'] ?? '');
+    $raw_body = file_get_contents('php://input');
+
+    // Normalize header names so providers can look them up in lower case
+    $headers = array();
+    foreach ($_SERVER as $key => $value) {
+        if (strpos($key, 'HTTP_') === 0) {
+            $headers[strtolower(str_replace('_', '-', substr($key, 5)))] = $value;
+        }
+    }
+
+    $result = handle_payment_webhook_ctr($provider_name, $raw_body, $headers);
+
+    if ($result['success']) {
+        $response['success'] = true;
+        $response['message'] = 'Webhook processed.';
+        $response['data'] = $result['data'];
+    } else {
+        $client_errors = array('unknown_provider', 'invalid_signature', 'invalid_payload', 'unsupported_event');
+
+        if ($result['error_type'] === 'webhook_not_configured') {
+            http_response_code(503);
+        } else {
+            http_response_code(in_array($result['error_type'], $client_errors, true) ? 400 : 500);
+        }
+
+        error_log("Payment webhook rejected for provider '{$provider_name}': " . ($result['original_error'] ?? $result['error']));
+
+        // Configuration problems are reported as such, not as a rejected webhook
+        $response['error'] = $result['error_type'] === 'webhook_not_configured' ? $result['original_error'] : $result['error'];
+        $response['error_type'] = $result['error_type'];
+    }
+
+} catch (Exception $e) {
+    error_log("Payment webhook exception: " . $e->getMessage());
+
+    http_response_code(500);
+    $response['error'] = 'Webhook could not be processed.';
+    $response['error_type'] = 'payment_exception';
+}
+
+echo json_encode($response);
+
+?>
@@ -2,6 +2,12 @@
 /**
  * Process Checkout Action
  * Handles complete checkout workflow with comprehensive input validation and error handling
+ * Checks the client total against the checkout quote it was shown (quote_controller.php),
+ * captures the payment authorized through payment_controller.php, then creates the order.
+ * If the order cannot be created the captured payment is refunded; when that refund
+ * fails too, the payment is flagged and every retry gets a final refund_failed error.
+ * Each checkout attempt carries an idempotency key; repeating a key returns the
+ * order that attempt already created instead of charging and ordering again.
  * Requirements: 3.2, 3.3, 3.4, 3.5, 8.1
  */
 
@@ -14,6 +20,8 @@ session_start();
 // Include required files
 require_once __DIR__ . '/../controllers/order_controller.php';
 require_once __DIR__ . '/../controllers/cart_controller.php';
+require_once __DIR__ . '/../controllers/payment_controller.php';
+require_once __DIR__ . '/../controllers/quote_controller.php';
 require_once __DIR__ . '/../classes/cart_validation_class.php';
 require_once __DIR__ . '/../settings/core.php';
 
@@ -33,12 +41,32 @@ try {
         exit();
     }
 
+    // Reject requests without a valid CSRF token
+    $csrf_validation = validate_csrf_request();
+    if (!$csrf_validation['valid']) {
+        $response['error'] = $csrf_validation['message'];
+        $response['error_type'] = $csrf_validation['error_type'];
+        $response['requires_action'] = $csrf_validation['requires_action'];
+        
+        if ($csrf_validation['log_security_event']) {
+            log_session_security_event($csrf_validation['error_type'], 
+                $csrf_validation['message'], 
+                $_SESSION['customer_id'] ?? null);
+        }
+        
+        echo json_encode($response);
+        exit();
+    }
+
     // Prepare input data for validation
     $input_data = [
         'customer_id' => $_SESSION['customer_id'] ?? null,
         'total_amount' => $_POST['total_amount'] ?? null,
         'currency' => $_POST['currency'] ?? 'USD',
-        'payment_method' => $_POST['payment_method'] ?? null
+        'payment_method' => $_POST['payment_method'] ?? null,
+        'payment_reference' => $_POST['payment_reference'] ?? null,
+        'idempotency_key' => $_POST['idempotency_key'] ?? null,
+        'quote_id' => $_POST['quote_id'] ?? null
     ];
 
     // Comprehensive input validation for checkout
@@ -62,90 +90,149 @@ try {
     $total_amount = $sanitized['total_amount'];
     $currency = $sanitized['currency'];
     $payment_method = $sanitized['payment_method'];
+    $payment_reference = $sanitized['payment_reference'];
+    $idempotency_key = $sanitized['idempotency_key'];
+    $quote_id = $sanitized['quote_id'];
 
     // Log checkout attempt for debugging
-    error_log("Checkout attempt - Customer: {$customer_id}, Amount: {$total_amount}, Payment: {$payment_method}");
-
-    // Simulate payment processing based on payment method
-    $payment_success = false;
-    $payment_error = '';
-    $payment_processing_time = 0;
-
-    switch ($payment_method) {
-        case 'simulated_success':
-            // Simulate successful payment processing
-            $payment_success = true;
-            $payment_processing_time = rand(1, 3); // Simulate 1-3 second processing time
-            error_log("Simulating successful payment processing for customer {$customer_id}");
-            break;
-            
-        case 'simulated_failure':
-            // Simulate payment failure scenarios
-            $failure_reasons = [
-                'Payment declined by bank. Please check your card details.',
-                'Insufficient funds. Please try a different payment method.',
-                'Card expired. Please use a valid payment method.',
-                'Payment processor temporarily unavailable. Please try again later.',
-                'Transaction limit exceeded. Please contact your bank.'
-            ];
-            $payment_success = false;
-            $payment_error = $failure_reasons[array_rand($failure_reasons)];
-            $payment_processing_time = rand(2, 4); // Simulate processing time even for failures
-            error_log("Simulating payment failure for customer {$customer_id}: {$payment_error}");
-            break;
-            
-        case 'simulated_timeout':
-            // Simulate payment timeout scenario
-            $payment_success = false;
-            $payment_error = 'Payment processing timed out. Please try again.';
-            $payment_processing_time = 10; // Simulate longer processing time
-            error_log("Simulating payment timeout for customer {$customer_id}");
-            break;
-            
-        default:
-            // Default to success for demo purposes, but log unknown payment method
-            $payment_success = true;
-            error_log("Unknown payment method '{$payment_method}' for customer {$customer_id}, defaulting to success");
-            break;
-    }
+    error_log("Checkout attempt - Customer: {$customer_id}, Amount: {$total_amount}, Payment: {$payment_method} ({$payment_reference})");
 
-    // Add realistic processing delay for demonstration
-    if ($payment_processing_time > 0) {
-        // In a real application, this would be actual payment processing time
-        // For demo purposes, we'll just log the simulated processing time
-        error_log("Simulated payment processing time: {$payment_processing_time} seconds");
-    }
+    // A repeated submission of this checkout attempt returns the order it already created
+    $order_result = get_order_by_idempotency_key_ctr($customer_id, $idempotency_key, $payment_method);
 
-    // Handle payment failure
-    if (!$payment_success) {
-        $response['error'] = $payment_error ?: 'Payment processing failed. Please try again.';
-        $response['error_type'] = 'payment_failed';
-        $response['error_details'] = [
-            'payment_method' => $payment_method,
-            'customer_id' => $customer_id
-        ];
+    if (!$order_result['success'] && $order_result['error_type'] !== 'not_found') {
+        $response['error'] = $order_result['error'];
+        $response['error_type'] = $order_result['error_type'];
+        $response['retry_recommended'] = true;
         echo json_encode($response);
         exit();
     }
 
-    // Payment successful, proceed with order creation
-    $order_status = 'confirmed'; // Set to confirmed since payment succeeded
-    
-    // Create order from cart
-    $order_result = create_order_from_cart_ctr(
-        $customer_id, 
-        $total_amount, 
-        $currency, 
-        $order_status, 
-        $payment_method
-    );
+    // Another submission of this attempt captured the payment and is still creating the order
+    if (!$order_result['success']) {
+        $payment_lookup = get_customer_payment($payment_reference, $customer_id);
+        if ($payment_lookup['success'] && payment_refund_failed($payment_lookup['data'])) {
+            $refund_failed = refund_failed_response($payment_reference);
+            $response['error'] = $refund_failed['error'];
+            $response['error_type'] = $refund_failed['error_type'];
+            $response['error_details'] = $refund_failed['error_details'];
+            $response['payment_refunded'] = false;
+            echo json_encode($response);
+            exit();
+        }
+
+        if ($payment_lookup['success'] && $payment_lookup['data']['status'] === 'captured') {
+            $response['error'] = 'Your order is still being placed. Please wait a moment.';
+            $response['error_type'] = 'checkout_in_progress';
+            $response['retry_recommended'] = true;
+            echo json_encode($response);
+            exit();
+        }
+    }
+
+    if (!$order_result['success']) {
+        // The total the customer saw must still be what the server charges for this cart
+        $quote_result = get_valid_checkout_quote_ctr($quote_id, $customer_id, $total_amount);
+
+        if (!$quote_result['success']) {
+            $response['error'] = $quote_result['error'];
+            $response['error_type'] = $quote_result['error_type'];
+            $response['error_details'] = $quote_result['error_details'] ?? null;
+            $response['quote_refresh_required'] = true;
+            echo json_encode($response);
+            exit();
+        }
+
+        $quote = $quote_result['data'];
+
+        // Capture the payment the provider authorized for this checkout
+        $payment_result = confirm_payment_ctr($payment_reference, $customer_id);
+
+        // A concurrent submission of this attempt may have captured it and placed the order
+        if (!$payment_result['success']) {
+            $replay_result = get_order_by_idempotency_key_ctr($customer_id, $idempotency_key, $payment_method);
+            if ($replay_result['success']) {
+                $payment_result = null;
+                $order_result = $replay_result;
+            }
+        }
+
+        if ($payment_result !== null && !$payment_result['success']) {
+            error_log("Payment capture failed for customer {$customer_id}, payment {$payment_reference}: " . ($payment_result['original_error'] ?? $payment_result['error']));
+
+            $response['error'] = $payment_result['error'] ?: 'Payment processing failed. Please try again.';
+            $response['error_type'] = 'payment_failed';
+            $response['error_details'] = [
+                'payment_reference' => $payment_reference,
+                'payment_error_type' => $payment_result['error_type'],
+                'customer_id' => $customer_id
+            ];
+            echo json_encode($response);
+            exit();
+        }
+
+        // The payment must have been taken for this quote
+        if ($payment_result !== null && ($payment_result['data']['quote_id'] !== $quote['quote_id']
+                || abs($payment_result['data']['amount'] - (float)$quote['total']) >= 0.005)) {
+            $refund_result = refund_payment_ctr($payment_reference);
+            if (!$refund_result['success']) {
+                error_log("Refund after total mismatch failed for payment {$payment_reference}: " . ($refund_result['original_error'] ?? $refund_result['error']));
+                record_failed_refund_ctr($payment_reference, $refund_result['original_error'] ?? $refund_result['error']);
+
+                $refund_failed = refund_failed_response($payment_reference);
+                $response['error'] = $refund_failed['error'];
+                $response['error_type'] = $refund_failed['error_type'];
+                $response['error_details'] = $refund_failed['error_details'];
+                $response['payment_refunded'] = false;
+                echo json_encode($response);
+                exit();
+            }
+
+            $response['error'] = 'Your order total changed while paying. The payment has been refunded; please review your order and try again.';
+            $response['error_type'] = 'total_mismatch_error';
+            $response['error_details'] = [
+                'paid_amount' => $payment_result['data']['amount'],
+                'quote_total' => (float)$quote['total']
+            ];
+            $response['payment_refunded'] = true;
+            $response['quote_refresh_required'] = true;
+            echo json_encode($response);
+            exit();
+        }
+
+        if ($payment_result !== null) {
+            // Payment successful, proceed with order creation
+            $order_status = 'paid'; // Payment succeeded before the order was created
+            
+            // Create order from cart
+            $order_result = create_order_from_cart_ctr(
+                $customer_id, 
+                (float)$quote['total'], 
+                $quote['currency'], 
+                $order_status, 
+                $payment_method,
+                $idempotency_key,
+                $quote['coupon_code'],
+                $quote['shipping_method_id']
+            );
+        }
+    }
 
     if ($order_result['success']) {
         // Order created successfully
         $order_data = $order_result['data'];
         
-        // Log successful order creation
-        error_log("Order created successfully - Order ID: {$order_data['order_id']}, Invoice: {$order_data['invoice_no']}, Customer: {$customer_id}");
+        if ($order_data['replayed']) {
+            error_log("Repeated checkout submission - returning Order ID: {$order_data['order_id']} for Customer: {$customer_id}");
+        } else {
+            $attach_result = attach_order_to_payment_ctr($payment_reference, $order_data['order_id']);
+            if (!$attach_result['success']) {
+                error_log("Warning: Payment {$payment_reference} could not be linked to order {$order_data['order_id']}");
+            }
+            
+            // Log successful order creation
+            error_log("Order created successfully - Order ID: {$order_data['order_id']}, Invoice: {$order_data['invoice_no']}, Customer: {$customer_id}");
+        }
         
         // Prepare success response
         $response['success'] = true;
@@ -157,10 +244,16 @@ try {
             'total_amount' => $order_data['total_amount'],
             'currency' => $order_data['currency'],
             'order_date' => $order_data['order_date'],
+            'shipping_method_name' => $order_data['shipping_method_name'],
+            'shipping_cost' => $order_data['shipping_cost'],
+            'coupon_code' => $order_data['coupon_code'],
+            'discount_amount' => $order_data['discount_amount'],
             'payment_id' => $order_data['payment_id'],
             'items_count' => $order_data['items_count'],
             'payment_method' => $order_data['payment_method'],
+            'payment_reference' => $payment_reference,
             'cart_emptied' => $order_data['cart_emptied'],
+            'replayed' => $order_data['replayed'],
             'message' => 'Order placed successfully! Thank you for your purchase.',
             'confirmation_message' => "Your order #{$order_data['order_id']} has been confirmed with invoice number {$order_data['invoice_no']}."
         );
@@ -171,17 +264,37 @@ try {
         }
         
     } else {
-        // Order creation failed
+        // Order creation failed; give the customer their money back
         error_log("Order creation failed for customer {$customer_id}: " . $order_result['error']);
         
-        $response['error'] = $order_result['error'] ?: 'Failed to create order. Please try again.';
-        $response['error_type'] = $order_result['error_type'] ?: 'order_creation_failed';
-        $response['error_details'] = $order_result['error_details'] ?? [
-            'customer_id' => $customer_id,
-            'total_amount' => $total_amount,
-            'payment_method' => $payment_method
-        ];
-        $response['original_error'] = $order_result['original_error'] ?? null;
+        $refund_result = refund_payment_ctr($payment_reference);
+        $response['payment_refunded'] = $refund_result['success'];
+        
+        if (!$refund_result['success']) {
+            error_log("Refund after failed order failed for payment {$payment_reference}: " . ($refund_result['original_error'] ?? $refund_result['error']));
+            record_failed_refund_ctr($payment_reference, $refund_result['original_error'] ?? $refund_result['error']);
+            
+            // Retries of this attempt get the same answer instead of checkout_in_progress
+            $refund_failed = refund_failed_response($payment_reference);
+            $response['error'] = $refund_failed['error'];
+            $response['error_type'] = $refund_failed['error_type'];
+            $response['error_details'] = $refund_failed['error_details'];
+            $response['original_error'] = $order_result['original_error'] ?? $order_result['error'];
+        } else {
+            $response['error'] = $order_result['error'] ?: 'Failed to create order. Please try again.';
+            $response['error_type'] = $order_result['error_type'] ?: 'order_creation_failed';
+            $response['error_details'] = $order_result['error_details'] ?? [
+                'customer_id' => $customer_id,
+                'total_amount' => $total_amount,
+                'payment_method' => $payment_method
+            ];
+            $response['original_error'] = $order_result['original_error'] ?? null;
+            
+            // Prices, tax, shipping or the coupon changed after the quote was issued
+            if (in_array($response['error_type'], ['total_mismatch_error', 'shipping_unavailable', 'coupon_invalid'], true)) {
+                $response['quote_refresh_required'] = true;
+            }
+        }
     }
 
 } catch (Exception $e) {
@@ -0,0 +1,113 @@
+<?php
+
+/**
+ * Refund Payment Action
+ * Refunds a captured payment in full or in part through its provider
+ * Administrator only
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent JSON corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+header('Content-Type: application/json');
+
+require_once __DIR__ . '/../settings/core.php';
+require_once __DIR__ . '/../controllers/payment_controller.php';
+
+$response = array();
+
+// Validate request method (should be POST)
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    $response['status'] = 'error';
+    $response['message'] = 'Invalid request method. POST required.';
+    $response['error_type'] = 'invalid_method';
+    echo json_encode($response);
+    exit();
+}
+
+// Only administrators can refund payments
+if (!is_logged_in() || !has_admin_privileges()) {
+    $response['status'] = 'error';
+    $response['message'] = 'Access denied. Administrator privileges required to refund payments.';
+    $response['error_type'] = 'insufficient_privileges';
+    $response['requires_action'] = 'contact_administrator';
+
+    log_session_security_event('insufficient_privileges',
+        'Refund attempted without administrator privileges',
+        get_current_user_id());
+
+    echo json_encode($response);
+    exit();
+}
+
+// Reject requests without a valid CSRF token
+$csrf_validation = validate_csrf_request();
+if (!$csrf_validation['valid']) {
+    $response['status'] = 'error';
+    $response['message'] = $csrf_validation['message'];
+    $response['error_type'] = $csrf_validation['error_type'];
+    $response['requires_action'] = $csrf_validation['requires_action'];
+
+    if ($csrf_validation['log_security_event']) {
+        log_session_security_event($csrf_validation['error_type'],
+            $csrf_validation['message'],
+            get_current_user_id());
+    }
+
+    echo json_encode($response);
+    exit();
+}
+
+$reference = trim($_POST['reference'] ?? '');
+$amount = null;
+
+// Omitted amount refunds everything not yet refunded
+if (isset($_POST['amount']) && $_POST['amount'] !== '') {
+    if (!is_numeric($_POST['amount'])) {
+        $response['status'] = 'error';
+        $response['message'] = 'Refund amount must be a number.';
+        $response['error_type'] = 'validation_error';
+        $response['field'] = 'amount';
+        echo json_encode($response);
+        exit();
+    }
+    $amount = (float)$_POST['amount'];
+}
+
+try {
+    $result = refund_payment_ctr($reference, $amount);
+
+    if ($result['success']) {
+        error_log("Payment {$reference} refunded ({$result['data']['refunded_amount']}) by admin " . get_current_user_id());
+
+        $response['status'] = 'success';
+        $response['message'] = 'Refund processed successfully.';
+        $response['data'] = $result['data'];
+    } else {
+        $response['status'] = 'error';
+        $response['message'] = $result['error'];
+        $response['error_type'] = $result['error_type'];
+        $response['error_details'] = $result['error_details'] ?? null;
+    }
+
+} catch (Exception $e) {
+    error_log("Refund payment exception: " . $e->getMessage());
+
+    $response['status'] = 'error';
+    $response['message'] = 'Refund could not be processed. Please try again.';
+    $response['error_type'] = 'server_exception';
+    $response['retry_recommended'] = true;
+}
+
+echo json_encode($response);
+
+?>
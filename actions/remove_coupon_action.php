@@ -0,0 +1,77 @@
+<?php
+
+/**
+ * Remove Coupon Action
+ * Drops the coupon code kept in the session and returns the cart summary without it
+ */
+
+// Start output buffering to catch any unexpected output
+ob_start();
+
+// Suppress error display to prevent JSON corruption
+ini_set('display_errors', 0);
+error_reporting(E_ALL & ~E_NOTICE & ~E_WARNING);
+
+session_start();
+
+// Clean any output that might have occurred
+ob_clean();
+
+header('Content-Type: application/json');
+
+require_once __DIR__ . '/../settings/core.php';
+require_once __DIR__ . '/../controllers/coupon_controller.php';
+
+$response = array();
+
+// Validate request method (should be POST)
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    $response['status'] = 'error';
+    $response['message'] = 'Invalid request method. POST required.';
+    $response['error_type'] = 'invalid_method';
+    echo json_encode($response);
+    exit();
+}
+
+// Reject requests without a valid CSRF token
+$csrf_validation = validate_csrf_request();
+if (!$csrf_validation['valid']) {
+    $response['status'] = 'error';
+    $response['message'] = $csrf_validation['message'];
+    $response['error_type'] = $csrf_validation['error_type'];
+    $response['requires_action'] = $csrf_validation['requires_action'];
+
+    if ($csrf_validation['log_security_event']) {
+        log_session_security_event($csrf_validation['error_type'],
+            $csrf_validation['message'],
+            $_SESSION['customer_id'] ?? null);
+    }
+
+    echo json_encode($response);
+    exit();
+}
+
+unset($_SESSION['coupon_code']);
+
+$customer_id = !empty($_SESSION['customer_id']) ? (int)$_SESSION['customer_id'] : null;
+$ip_address = $customer_id ? null : ($_SERVER['REMOTE_ADDR'] ?? '127.0.0.1');
+
+try {
+    $result = get_cart_coupon_summary_ctr(null, $customer_id, $ip_address);
+
+    $response['status'] = 'success';
+    $response['message'] = 'Coupon removed.';
+    $response['data'] = $result['success'] ? $result['data'] : null;
+
+} catch (Exception $e) {
+    error_log("Remove coupon exception: " . $e->getMessage());
+
+    // The code is already gone; only the refreshed summary is missing
+    $response['status'] = 'success';
+    $response['message'] = 'Coupon removed.';
+    $response['data'] = null;
+}
+
+echo json_encode($response);
+
+?>
@@ -21,6 +21,9 @@ ob_clean();
 
 header('Content-Type: application/json');
 
+// Include core functions for CSRF protection
+require_once __DIR__ . '/../settings/core.php';
+
 $response = array();
 
 // Validate request method (should be POST)
@@ -32,6 +35,24 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     exit();
 }
 
+// Reject requests without a valid CSRF token
+$csrf_validation = validate_csrf_request();
+if (!$csrf_validation['valid']) {
+    $response['status'] = 'error';
+    $response['message'] = $csrf_validation['message'];
+    $response['error_type'] = $csrf_validation['error_type'];
+    $response['requires_action'] = $csrf_validation['requires_action'];
+    
+    if ($csrf_validation['log_security_event']) {
+        log_session_security_event($csrf_validation['error_type'], 
+            $csrf_validation['message'], 
+            $_SESSION['customer_id'] ?? null);
+    }
+    
+    echo json_encode($response);
+    exit();
+}
+
 // Validate required input parameters
 if (!isset($_POST['product_id']) || empty(trim($_POST['product_id']))) {
     $response['status'] = 'error';
@@ -66,6 +87,20 @@ if ($product_id <= 0) {
     exit();
 }
 
+// Variant ID is optional (0 = the product itself)
+$variant_id = isset($_POST['variant_id']) ? trim($_POST['variant_id']) : '';
+if ($variant_id === '') {
+    $variant_id = 0;
+} elseif (!ctype_digit($variant_id)) {
+    $response['status'] = 'error';
+    $response['message'] = 'Variant ID must be a valid number.';
+    $response['error_type'] = 'validation_failed';
+    $response['field'] = 'variant_id';
+    echo json_encode($response);
+    exit();
+}
+$variant_id = (int)$variant_id;
+
 // Determine user identification (logged-in customer or guest)
 $customer_id = null;
 $ip_address = null;
@@ -89,13 +124,14 @@ require_once __DIR__ . '/../controllers/cart_controller.php';
 
 try {
     // Call controller function to remove product from cart with enhanced error handling
-    $result = remove_from_cart_ctr($product_id, $customer_id, $ip_address);
+    $result = remove_from_cart_ctr($product_id, $customer_id, $ip_address, $variant_id);
     
     if ($result['success']) {
         $response['status'] = 'success';
         $response['message'] = $result['data']['message'];
         $response['data'] = array(
             'product_id' => $result['data']['product_id'],
+            'variant_id' => $result['data']['variant_id'],
             'action' => $result['data']['action'],
             'affected_rows' => $result['data']['affected_rows'],
             'customer_id' => $result['data']['customer_id'],
@@ -45,7 +45,7 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
 }
 
 // Enhanced CSRF validation with detailed error handling
-$csrf_validation = validate_csrf_with_enhanced_error_handling();
+$csrf_validation = validate_csrf_request();
 if (!$csrf_validation['valid']) {
     $response['status'] = 'error';
     $response['message'] = $csrf_validation['message'];
@@ -127,6 +127,12 @@ $product_description = isset($_POST['product_description']) ? trim($_POST['produ
 $product_keywords = isset($_POST['product_keywords']) ? trim($_POST['product_keywords']) : '';
 $category_id = trim($_POST['category_id']);
 $brand_id = trim($_POST['brand_id']);
+$product_weight = isset($_POST['product_weight']) && trim($_POST['product_weight']) !== '' ? trim($_POST['product_weight']) : null;
+// Leaving product_stock out keeps the current level; sending it empty stops tracking stock
+$product_stock = array_key_exists('product_stock', $_POST) ? trim($_POST['product_stock']) : false;
+if ($product_stock === '') {
+    $product_stock = null;
+}
 
 // Handle image updates and replacements
 $product_image = '';
@@ -203,6 +209,34 @@ if ($product_price < 0) {
     exit();
 }
 
+// Validate shipping weight (kg) when provided
+if ($product_weight !== null && (!is_numeric($product_weight) || (float)$product_weight < 0)) {
+    $response['status'] = 'error';
+    $response['message'] = 'Product weight must be zero or a positive number.';
+    $response['error_type'] = 'validation_failed';
+    $response['field'] = 'product_weight';
+    echo json_encode($response);
+    exit();
+}
+
+if ($product_weight !== null) {
+    $product_weight = (float)$product_weight;
+}
+
+// Validate stock level when provided (empty means stock is not tracked)
+if (is_string($product_stock) && (!ctype_digit($product_stock) || (int)$product_stock > 1000000)) {
+    $response['status'] = 'error';
+    $response['message'] = 'Stock must be a whole number between 0 and 1,000,000.';
+    $response['error_type'] = 'validation_failed';
+    $response['field'] = 'product_stock';
+    echo json_encode($response);
+    exit();
+}
+
+if (is_string($product_stock)) {
+    $product_stock = (int)$product_stock;
+}
+
 // Validate category ID is numeric
 if (!is_numeric($category_id)) {
     $response['status'] = 'error';
@@ -267,6 +301,7 @@ if (!in_array($image_action, $valid_image_actions)) {
 }
 
 require_once '../controllers/product_controller.php';
+require_once '../controllers/product_image_controller.php';
 
 /**
  * Validate session for product operations with comprehensive security checks
@@ -338,52 +373,6 @@ function validate_session_for_product_operations()
     return $validation_result;
 }
 
-/**
- * Enhanced CSRF validation with detailed error handling
- * @return array CSRF validation result
- */
-function validate_csrf_with_enhanced_error_handling()
-{
-    $csrf_result = [
-        'valid' => false,
-        'message' => '',
-        'error_type' => '',
-        'requires_action' => null,
-        'log_security_event' => false
-    ];
-    
-    // Check if CSRF token exists in session
-    if (!isset($_SESSION['csrf_token']) || empty($_SESSION['csrf_token'])) {
-        $csrf_result['message'] = 'Security token not found in session. Please refresh the page.';
-        $csrf_result['error_type'] = 'csrf_token_missing_session';
-        $csrf_result['requires_action'] = 'refresh_page';
-        $csrf_result['log_security_event'] = true;
-        return $csrf_result;
-    }
-    
-    // Check if CSRF token exists in POST data
-    if (!isset($_POST['csrf_token']) || empty($_POST['csrf_token'])) {
-        $csrf_result['message'] = 'Security token not provided. Please refresh the page and try again.';
-        $csrf_result['error_type'] = 'csrf_token_missing_post';
-        $csrf_result['requires_action'] = 'refresh_page';
-        $csrf_result['log_security_event'] = true;
-        return $csrf_result;
-    }
-    
-    // Validate CSRF token
-    if (!validate_csrf_from_post()) {
-        $csrf_result['message'] = 'Invalid security token. This may indicate a security issue. Please refresh the page and try again.';
-        $csrf_result['error_type'] = 'csrf_validation_failed';
-        $csrf_result['requires_action'] = 'refresh_page';
-        $csrf_result['log_security_event'] = true;
-        return $csrf_result;
-    }
-    
-    // CSRF validation passed
-    $csrf_result['valid'] = true;
-    return $csrf_result;
-}
-
 /**
  * Handle image updates and replacements based on image action
  * @param int $product_id Product ID
@@ -415,19 +404,9 @@ function handle_image_update($product_id, $user_id, $image_action, $current_imag
             $result['image_path'] = '';
             $result['message'] = 'Image removed.';
             
-            // Optionally delete the physical file (if it exists and is within uploads directory)
-            if (!empty($current_image) && strpos($current_image, 'uploads/') === 0) {
-                $file_path = '../' . $current_image;
-                if (file_exists($file_path)) {
-                    // Additional security check: ensure file is within uploads directory
-                    $real_file_path = realpath($file_path);
-                    $real_uploads_path = realpath('../uploads');
-                    
-                    if ($real_file_path && $real_uploads_path && strpos($real_file_path, $real_uploads_path) === 0) {
-                        unlink($file_path);
-                        error_log("Deleted product image file: {$file_path} for product {$product_id}, user {$user_id}");
-                    }
-                }
+            // Delete the physical file and its renditions (only within the uploads directory)
+            if (!empty($current_image)) {
+                delete_product_image_files([$current_image]);
             }
             break;
             
@@ -454,19 +433,9 @@ function handle_image_update($product_id, $user_id, $image_action, $current_imag
                 $result['image_path'] = $new_image_path;
                 $result['message'] = 'Image updated successfully.';
                 
-                // Optionally remove old image file
-                if (!empty($current_image) && $current_image !== $new_image_path && strpos($current_image, 'uploads/') === 0) {
-                    $old_file_path = '../' . $current_image;
-                    if (file_exists($old_file_path)) {
-                        // Additional security check: ensure file is within uploads directory
-                        $real_file_path = realpath($old_file_path);
-                        $real_uploads_path = realpath('../uploads');
-                        
-                        if ($real_file_path && $real_uploads_path && strpos($real_file_path, $real_uploads_path) === 0) {
-                            unlink($old_file_path);
-                            error_log("Deleted old product image file: {$old_file_path} for product {$product_id}, user {$user_id}");
-                        }
-                    }
+                // Remove the old image file and its renditions
+                if (!empty($current_image) && $current_image !== $new_image_path) {
+                    delete_product_image_files([$current_image]);
                 }
             } else {
                 $result['message'] = 'New image path is required when updating image.';
@@ -535,7 +504,7 @@ try {
     $product_image = $image_result['image_path'];
     
     // Call controller function to update product with enhanced error handling
-    $result = update_product_ctr($product_id, $product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id);
+    $result = update_product_ctr($product_id, $product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id, $product_weight, $product_stock);
     
     if ($result['success']) {
         $response['status'] = 'success';
@@ -43,10 +43,19 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
 }
 
 // Validate CSRF token
-if (!validate_csrf_from_post()) {
+$csrf_validation = validate_csrf_request();
+if (!$csrf_validation['valid']) {
     $response['status'] = 'error';
-    $response['message'] = 'Invalid security token. Please refresh the page and try again.';
-    $response['error_type'] = 'csrf_validation_failed';
+    $response['message'] = $csrf_validation['message'];
+    $response['error_type'] = $csrf_validation['error_type'];
+    $response['requires_action'] = $csrf_validation['requires_action'];
+    
+    if ($csrf_validation['log_security_event']) {
+        log_session_security_event($csrf_validation['error_type'], 
+            $csrf_validation['message'], 
+            get_current_user_id());
+    }
+    
     echo json_encode($response);
     exit();
 }
@@ -21,7 +21,8 @@ ob_clean();
 
 header('Content-Type: application/json');
 
-// Include validation class
+// Include core functions for CSRF protection and validation class
+require_once __DIR__ . '/../settings/core.php';
 require_once __DIR__ . '/../classes/cart_validation_class.php';
 
 $response = array();
@@ -35,9 +36,28 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     exit();
 }
 
+// Reject requests without a valid CSRF token
+$csrf_validation = validate_csrf_request();
+if (!$csrf_validation['valid']) {
+    $response['status'] = 'error';
+    $response['message'] = $csrf_validation['message'];
+    $response['error_type'] = $csrf_validation['error_type'];
+    $response['requires_action'] = $csrf_validation['requires_action'];
+    
+    if ($csrf_validation['log_security_event']) {
+        log_session_security_event($csrf_validation['error_type'], 
+            $csrf_validation['message'], 
+            $_SESSION['customer_id'] ?? null);
+    }
+    
+    echo json_encode($response);
+    exit();
+}
+
 // Prepare input data for validation
 $input_data = [
     'product_id' => $_POST['product_id'] ?? null,
+    'variant_id' => $_POST['variant_id'] ?? null,
     'quantity' => $_POST['quantity'] ?? null,
     'customer_id' => $_SESSION['customer_id'] ?? null,
     'ip_address' => $_SERVER['REMOTE_ADDR'] ?? '127.0.0.1'
@@ -56,6 +76,19 @@ if (!$product_validation['success']) {
     exit();
 }
 
+// Validate variant_id (0 when the product has no variants)
+$variant_validation = CartValidation::validate_variant_id($input_data['variant_id']);
+if (!$variant_validation['success']) {
+    $response['status'] = 'error';
+    $response['message'] = $variant_validation['error_message'];
+    $response['error_type'] = $variant_validation['error_type'];
+    $response['error_details'] = $variant_validation['error_details'];
+    
+    error_log("Update quantity variant validation failed: " . json_encode($variant_validation['error_details']));
+    echo json_encode($response);
+    exit();
+}
+
 // Validate quantity (allow zero for removal)
 $quantity_validation = CartValidation::validate_quantity($input_data['quantity'], ['allow_zero' => true]);
 if (!$quantity_validation['success']) {
@@ -87,6 +120,7 @@ if (!$user_validation['success']) {
 
 // Extract sanitized values
 $product_id = $product_validation['sanitized_value'];
+$variant_id = $variant_validation['sanitized_value'];
 $quantity = $quantity_validation['sanitized_value'];
 $customer_id = $user_validation['sanitized_values']['customer_id'];
 $ip_address = $user_validation['sanitized_values']['ip_address'];
@@ -95,13 +129,14 @@ require_once __DIR__ . '/../controllers/cart_controller.php';
 
 try {
     // Call controller function to update cart quantity with enhanced error handling
-    $result = update_cart_quantity_ctr($product_id, $quantity, $customer_id, $ip_address);
+    $result = update_cart_quantity_ctr($product_id, $quantity, $customer_id, $ip_address, $variant_id);
     
     if ($result['success']) {
         $response['status'] = 'success';
         $response['message'] = $result['data']['message'];
         $response['data'] = array(
             'product_id' => $result['data']['product_id'],
+            'variant_id' => $result['data']['variant_id'],
             'quantity' => $result['data']['quantity'],
             'action' => $result['data']['action'],
             'customer_id' => $result['data']['customer_id'],
@@ -146,6 +181,10 @@ try {
                 $response['suggestion'] = 'The selected product may no longer be available. Please refresh the page.';
                 break;
                 
+            case 'insufficient_stock':
+                $response['suggestion'] = 'Please choose a smaller quantity.';
+                break;
+                
             case 'connection_error':
             case 'connection_exception':
                 $response['suggestion'] = 'Please check your internet connection and try again.';
@@ -0,0 +1,321 @@
+<?php
+/**
+ * Sales Analytics - Admin Panel
+ *
+ * Revenue, orders per day, average order value and best sellers for a date
+ * range. js/analytics.js draws the charts from fetch_sales_analytics_action.php
+ * and each series can be downloaded as CSV.
+ */
+
+session_start();
+require_once '../settings/core.php';
+
+// Verify admin authentication
+if (!is_logged_in()) {
+    header('Location: ../login/login.php?error=' . urlencode('Please log in to access the admin panel'));
+    exit();
+}
+
+if (!has_admin_privileges()) {
+    header('Location: ../login/login.php?error=' . urlencode('Access denied. Administrator privileges required'));
+    exit();
+}
+
+$user_id = get_current_user_id();
+$customer_name = $_SESSION['customer_name'] ?? 'Administrator';
+?>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <?php echo csrf_meta_tag(); ?>
+    <title>Sales Analytics - Admin Panel</title>
+    <link href="../css/sweetgreen-style.css" rel="stylesheet">
+    <link href="../css/enhanced-buttons.css" rel="stylesheet">
+    <link href="../css/admin-elegant.css" rel="stylesheet">
+    <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" rel="stylesheet">
+</head>
+<body>
+    <!-- Mobile Menu Toggle -->
+    <button class="mobile-menu-toggle" onclick="toggleSidebar()">
+        <i class="fas fa-bars"></i>
+    </button>
+    
+    <!-- Sidebar Overlay for Mobile -->
+    <div class="sidebar-overlay" onclick="closeSidebar()"></div>
+    
+    <!-- Admin Sidebar Navigation -->
+    <nav class="sidebar-nav" id="sidebar">
+        <div class="sidebar-header">
+            <h2>
+                <i class="fas fa-cogs"></i>
+                Admin Panel
+            </h2>
+        </div>
+        
+        <div class="sidebar-menu">
+            <a href="../index.php" class="nav-item">
+                <i class="fas fa-home"></i>
+                <span>Home</span>
+            </a>
+            
+            <div class="admin-section-header">
+                <div class="admin-label">Admin</div>
+            </div>
+            
+            <div class="admin-nav-section">
+                <a href="category.php" class="admin-nav-item">
+                    <i class="fas fa-tags"></i>
+                    <span>Categories</span>
+                </a>
+                <a href="brand.php" class="admin-nav-item">
+                    <i class="fas fa-copyright"></i>
+                    <span>Brands</span>
+                </a>
+                <a href="product.php" class="admin-nav-item">
+                    <i class="fas fa-box"></i>
+                    <span>Manage Products</span>
+                </a>
+                <a href="synonyms.php" class="admin-nav-item">
+                    <i class="fas fa-exchange-alt"></i>
+                    <span>Search Synonyms</span>
+                </a>
+                <a href="shipping.php" class="admin-nav-item">
+                    <i class="fas fa-truck"></i>
+                    <span>Shipping</span>
+                </a>
+                <a href="coupons.php" class="admin-nav-item">
+                    <i class="fas fa-ticket-alt"></i>
+                    <span>Coupons</span>
+                </a>
+                <a href="orders.php" class="admin-nav-item">
+                    <i class="fas fa-clipboard-list"></i>
+                    <span>Orders</span>
+                </a>
+                <a href="analytics.php" class="admin-nav-item active">
+                    <i class="fas fa-chart-line"></i>
+                    <span>Analytics</span>
+                </a>
+            </div>
+        </div>
+        
+        <div class="sidebar-footer">
+            <div class="user-info">
+                <div class="user-name"><?php echo htmlspecialchars($customer_name); ?></div>
+                <div class="user-status">Administrator</div>
+            </div>
+            <a href="../login/logout.php" class="nav-item">
+                <i class="fas fa-sign-out-alt"></i>
+                <span>Logout</span>
+            </a>
+        </div>
+    </nav>
+
+    <!-- Main Content Container -->
+    <div class="main-content">
+        <div class="admin-page-container">
+            <div class="admin-header">
+                <h1><i class="fa fa-chart-line"></i> Sales Analytics</h1>
+                <p>Revenue, order volume and best sellers for any date range</p>
+            </div>
+
+        <!-- Date Range -->
+        <div class="card card-form">
+            <div class="card-header">
+                <h4><i class="fa fa-calendar"></i> Date Range</h4>
+            </div>
+            <div class="card-body">
+                <form id="analytics-range-form" class="form">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="start_date" class="form-label">
+                                From <i class="fa fa-calendar"></i>
+                            </label>
+                            <input type="date" class="form-input" id="start_date" name="start_date" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="end_date" class="form-label">
+                                To <i class="fa fa-calendar"></i>
+                            </label>
+                            <input type="date" class="form-input" id="end_date" name="end_date" required>
+                        </div>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary" id="apply-range-btn">
+                            <i class="fa fa-sync"></i> Update
+                        </button>
+                        <button type="button" class="btn btn-secondary quick-range" data-days="7">Last 7 days</button>
+                        <button type="button" class="btn btn-secondary quick-range" data-days="30">Last 30 days</button>
+                        <button type="button" class="btn btn-secondary quick-range" data-days="90">Last 90 days</button>
+                    </div>
+                    <small class="form-help">Ranges of up to 366 days. Revenue leaves out cancelled and refunded orders</small>
+                </form>
+            </div>
+        </div>
+
+        <div id="analytics-loading" class="loading-state">
+            <i class="fa fa-spinner fa-spin"></i> Loading sales analytics...
+        </div>
+
+        <div id="analytics-content" style="display: none;">
+        <!-- Summary -->
+        <div class="card">
+            <div class="card-header">
+                <h4><i class="fa fa-chart-bar"></i> Summary</h4>
+            </div>
+            <div class="card-body">
+                <div id="analytics-summary" class="brands-grid">
+                    <!-- Summary figures will be loaded here via JavaScript -->
+                </div>
+            </div>
+        </div>
+
+        <div class="card">
+            <div class="card-header">
+                <h4><i class="fa fa-dollar-sign"></i> Revenue</h4>
+                <div class="card-actions">
+                    <button type="button" class="btn btn-secondary btn-small export-series" data-series="daily">
+                        <i class="fa fa-download"></i> Export CSV
+                    </button>
+                </div>
+            </div>
+            <div class="card-body">
+                <div class="analytics-chart" style="position: relative; height: 300px;">
+                    <canvas id="revenue-chart"></canvas>
+                </div>
+            </div>
+        </div>
+
+        <div class="card">
+            <div class="card-header">
+                <h4><i class="fa fa-shopping-bag"></i> Orders per Day</h4>
+                <div class="card-actions">
+                    <button type="button" class="btn btn-secondary btn-small export-series" data-series="daily">
+                        <i class="fa fa-download"></i> Export CSV
+                    </button>
+                </div>
+            </div>
+            <div class="card-body">
+                <div class="analytics-chart" style="position: relative; height: 300px;">
+                    <canvas id="orders-chart"></canvas>
+                </div>
+            </div>
+        </div>
+
+        <div class="card">
+            <div class="card-header">
+                <h4><i class="fa fa-balance-scale"></i> Average Order Value</h4>
+                <div class="card-actions">
+                    <button type="button" class="btn btn-secondary btn-small export-series" data-series="daily">
+                        <i class="fa fa-download"></i> Export CSV
+                    </button>
+                </div>
+            </div>
+            <div class="card-body">
+                <div class="analytics-chart" style="position: relative; height: 300px;">
+                    <canvas id="aov-chart"></canvas>
+                </div>
+            </div>
+        </div>
+
+        <div class="card">
+            <div class="card-header">
+                <h4><i class="fa fa-box"></i> Top Products</h4>
+                <div class="card-actions">
+                    <button type="button" class="btn btn-secondary btn-small export-series" data-series="products">
+                        <i class="fa fa-download"></i> Export CSV
+                    </button>
+                </div>
+            </div>
+            <div class="card-body">
+                <div class="analytics-chart" style="position: relative; height: 300px;">
+                    <canvas id="top-products-chart"></canvas>
+                </div>
+                <small class="form-help">Sales are units sold at each product's current price; cancelled and refunded orders are left out</small>
+            </div>
+        </div>
+
+        <div class="card">
+            <div class="card-header">
+                <h4><i class="fa fa-copyright"></i> Top Brands</h4>
+                <div class="card-actions">
+                    <button type="button" class="btn btn-secondary btn-small export-series" data-series="brands">
+                        <i class="fa fa-download"></i> Export CSV
+                    </button>
+                </div>
+            </div>
+            <div class="card-body">
+                <div class="analytics-chart" style="position: relative; height: 300px;">
+                    <canvas id="top-brands-chart"></canvas>
+                </div>
+                <small class="form-help">Sales are units sold at each product's current price; cancelled and refunded orders are left out</small>
+            </div>
+        </div>
+
+        <div class="card">
+            <div class="card-header">
+                <h4><i class="fa fa-tags"></i> Top Categories</h4>
+                <div class="card-actions">
+                    <button type="button" class="btn btn-secondary btn-small export-series" data-series="categories">
+                        <i class="fa fa-download"></i> Export CSV
+                    </button>
+                </div>
+            </div>
+            <div class="card-body">
+                <div class="analytics-chart" style="position: relative; height: 300px;">
+                    <canvas id="top-categories-chart"></canvas>
+                </div>
+                <small class="form-help">Sales are units sold at each product's current price; cancelled and refunded orders are left out</small>
+            </div>
+        </div>
+        </div>
+    </div>
+
+        </div>
+    </div>
+
+    <!-- Sidebar Toggle JavaScript -->
+    <script>
+        function toggleSidebar() {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.querySelector('.sidebar-overlay');
+            
+            sidebar.classList.toggle('open');
+            overlay.classList.toggle('active');
+        }
+        
+        function closeSidebar() {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.querySelector('.sidebar-overlay');
+            
+            sidebar.classList.remove('open');
+            overlay.classList.remove('active');
+        }
+        
+        // Close sidebar when clicking on nav items on mobile
+        document.querySelectorAll('.sidebar-menu .nav-item').forEach(item => {
+            item.addEventListener('click', () => {
+                if (window.innerWidth <= 768) {
+                    closeSidebar();
+                }
+            });
+        });
+        
+        // Close sidebar on window resize if desktop
+        window.addEventListener('resize', () => {
+            if (window.innerWidth > 768) {
+                closeSidebar();
+            }
+        });
+    </script>
+    </div> <!-- Close main-content -->
+
+    <!-- Scripts -->
+    <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/sweetalert2@11"></script>
+    <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
+    <script src="../js/api.js"></script>
+    <script src="../js/analytics.js"></script>
+</body>
+</html>
@@ -28,6 +28,7 @@ $customer_name = $_SESSION['customer_name'] ?? 'Administrator';
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <?php echo csrf_meta_tag(); ?>
     <title>Category Management - Admin Panel</title>
     <link href="../css/sweetgreen-style.css" rel="stylesheet">
     <link href="../css/enhanced-buttons.css" rel="stylesheet">
@@ -75,6 +76,30 @@ $customer_name = $_SESSION['customer_name'] ?? 'Administrator';
                     <i class="fas fa-box"></i>
                     <span>Manage Products</span>
                 </a>
+                <a href="import.php" class="admin-nav-item">
+                    <i class="fas fa-file-import"></i>
+                    <span>Import Products</span>
+                </a>
+                <a href="synonyms.php" class="admin-nav-item">
+                    <i class="fas fa-exchange-alt"></i>
+                    <span>Search Synonyms</span>
+                </a>
+                <a href="shipping.php" class="admin-nav-item">
+                    <i class="fas fa-truck"></i>
+                    <span>Shipping</span>
+                </a>
+                <a href="coupons.php" class="admin-nav-item">
+                    <i class="fas fa-ticket-alt"></i>
+                    <span>Coupons</span>
+                </a>
+                <a href="orders.php" class="admin-nav-item">
+                    <i class="fas fa-clipboard-list"></i>
+                    <span>Orders</span>
+                </a>
+                <a href="analytics.php" class="admin-nav-item">
+                    <i class="fas fa-chart-line"></i>
+                    <span>Analytics</span>
+                </a>
             </div>
         </div>
         
@@ -284,6 +309,7 @@ $customer_name = $_SESSION['customer_name'] ?? 'Administrator';
     <!-- Scripts -->
     <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
     <script src="https://cdn.jsdelivr.net/npm/sweetalert2@11"></script>
+    <script src="../js/api.js"></script>
     <script src="../js/category.js"></script>
 </body>
 </html>
\ No newline at end of file
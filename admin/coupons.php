@@ -0,0 +1,365 @@
+<?php
+/**
+ * Coupons - Admin Panel
+ *
+ * Administrative interface for promotion codes. A coupon takes a percentage
+ * or fixed amount off the cart, or waives shipping, and can be limited by
+ * dates, minimum spend, usage counts and product categories or brands.
+ */
+
+session_start();
+require_once '../settings/core.php';
+
+// Verify admin authentication
+if (!is_logged_in()) {
+    header('Location: ../login/login.php?error=' . urlencode('Please log in to access the admin panel'));
+    exit();
+}
+
+if (!has_admin_privileges()) {
+    header('Location: ../login/login.php?error=' . urlencode('Access denied. Administrator privileges required'));
+    exit();
+}
+
+$user_id = get_current_user_id();
+$customer_name = $_SESSION['customer_name'] ?? 'Administrator';
+?>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <?php echo csrf_meta_tag(); ?>
+    <title>Coupons - Admin Panel</title>
+    <link href="../css/sweetgreen-style.css" rel="stylesheet">
+    <link href="../css/enhanced-buttons.css" rel="stylesheet">
+    <link href="../css/admin-elegant.css" rel="stylesheet">
+    <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" rel="stylesheet">
+</head>
+<body>
+    <!-- Mobile Menu Toggle -->
+    <button class="mobile-menu-toggle" onclick="toggleSidebar()">
+        <i class="fas fa-bars"></i>
+    </button>
+    
+    <!-- Sidebar Overlay for Mobile -->
+    <div class="sidebar-overlay" onclick="closeSidebar()"></div>
+    
+    <!-- Admin Sidebar Navigation -->
+    <nav class="sidebar-nav" id="sidebar">
+        <div class="sidebar-header">
+            <h2>
+                <i class="fas fa-cogs"></i>
+                Admin Panel
+            </h2>
+        </div>
+        
+        <div class="sidebar-menu">
+            <a href="../index.php" class="nav-item">
+                <i class="fas fa-home"></i>
+                <span>Home</span>
+            </a>
+            
+            <div class="admin-section-header">
+                <div class="admin-label">Admin</div>
+            </div>
+            
+            <div class="admin-nav-section">
+                <a href="category.php" class="admin-nav-item">
+                    <i class="fas fa-tags"></i>
+                    <span>Categories</span>
+                </a>
+                <a href="brand.php" class="admin-nav-item">
+                    <i class="fas fa-copyright"></i>
+                    <span>Brands</span>
+                </a>
+                <a href="product.php" class="admin-nav-item">
+                    <i class="fas fa-box"></i>
+                    <span>Manage Products</span>
+                </a>
+                <a href="import.php" class="admin-nav-item">
+                    <i class="fas fa-file-import"></i>
+                    <span>Import Products</span>
+                </a>
+                <a href="synonyms.php" class="admin-nav-item">
+                    <i class="fas fa-exchange-alt"></i>
+                    <span>Search Synonyms</span>
+                </a>
+                <a href="shipping.php" class="admin-nav-item">
+                    <i class="fas fa-truck"></i>
+                    <span>Shipping</span>
+                </a>
+                <a href="coupons.php" class="admin-nav-item active">
+                    <i class="fas fa-ticket-alt"></i>
+                    <span>Coupons</span>
+                </a>
+                <a href="orders.php" class="admin-nav-item">
+                    <i class="fas fa-clipboard-list"></i>
+                    <span>Orders</span>
+                </a>
+                <a href="analytics.php" class="admin-nav-item">
+                    <i class="fas fa-chart-line"></i>
+                    <span>Analytics</span>
+                </a>
+            </div>
+        </div>
+        
+        <div class="sidebar-footer">
+            <div class="user-info">
+                <div class="user-name"><?php echo htmlspecialchars($customer_name); ?></div>
+                <div class="user-status">Administrator</div>
+            </div>
+            <a href="../login/logout.php" class="nav-item">
+                <i class="fas fa-sign-out-alt"></i>
+                <span>Logout</span>
+            </a>
+        </div>
+    </nav>
+
+    <!-- Main Content Container -->
+    <div class="main-content">
+        <div class="admin-page-container">
+            <div class="admin-header">
+                <h1><i class="fa fa-ticket-alt"></i> Coupons</h1>
+                <p>Create promotion codes customers can apply in the cart and at checkout</p>
+            </div>
+
+        <!-- Add / Edit Coupon Form -->
+        <div class="card card-form">
+            <div class="card-header">
+                <h4 id="coupon-form-title"><i class="fa fa-plus-circle"></i> Add Coupon</h4>
+            </div>
+            <div class="card-body">
+                <form id="coupon-admin-form" class="form">
+                    <?php echo csrf_token_field(); ?>
+                    <input type="hidden" id="coupon_id" name="coupon_id">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="coupon_code" class="form-label">
+                                Code <i class="fa fa-ticket-alt"></i>
+                            </label>
+                            <input
+                                type="text"
+                                class="form-input"
+                                id="coupon_code"
+                                name="coupon_code"
+                                placeholder="e.g., SPRING15"
+                                maxlength="50"
+                                style="text-transform: uppercase;"
+                                required
+                            >
+                            <small class="form-help">Letters, numbers, dashes or underscores. Codes are not case-sensitive</small>
+                        </div>
+                        <div class="form-group">
+                            <label for="description" class="form-label">
+                                Description <i class="fa fa-align-left"></i>
+                            </label>
+                            <input
+                                type="text"
+                                class="form-input"
+                                id="description"
+                                name="description"
+                                placeholder="e.g., Spring sale"
+                                maxlength="255"
+                            >
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="discount_type" class="form-label">
+                                Discount <i class="fa fa-percent"></i>
+                            </label>
+                            <select class="form-input" id="discount_type" name="discount_type" required>
+                                <option value="percentage">Percentage off</option>
+                                <option value="fixed">Fixed amount off</option>
+                                <option value="free_shipping">Free shipping</option>
+                            </select>
+                        </div>
+                        <div class="form-group" id="discount-value-group">
+                            <label for="discount_value" class="form-label">
+                                <span id="discount-value-label">Percent Off</span> <i class="fa fa-tag"></i>
+                            </label>
+                            <input type="number" class="form-input" id="discount_value" name="discount_value" min="0" step="0.01">
+                        </div>
+                        <div class="form-group">
+                            <label for="min_spend" class="form-label">
+                                Minimum Spend <i class="fa fa-money-bill"></i>
+                            </label>
+                            <input type="number" class="form-input" id="min_spend" name="min_spend" min="0" step="0.01" value="0">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="starts_at" class="form-label">
+                                Starts <i class="fa fa-calendar"></i>
+                            </label>
+                            <input type="datetime-local" class="form-input" id="starts_at" name="starts_at">
+                        </div>
+                        <div class="form-group">
+                            <label for="expires_at" class="form-label">
+                                Expires <i class="fa fa-calendar-times"></i>
+                            </label>
+                            <input type="datetime-local" class="form-input" id="expires_at" name="expires_at">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="usage_limit" class="form-label">
+                                Total Uses <i class="fa fa-hashtag"></i>
+                            </label>
+                            <input type="number" class="form-input" id="usage_limit" name="usage_limit" min="1" step="1" placeholder="Unlimited">
+                        </div>
+                        <div class="form-group">
+                            <label for="usage_limit_per_customer" class="form-label">
+                                Uses per Customer <i class="fa fa-user"></i>
+                            </label>
+                            <input type="number" class="form-input" id="usage_limit_per_customer" name="usage_limit_per_customer" min="1" step="1" placeholder="Unlimited">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="category_ids" class="form-label">
+                                Categories <i class="fa fa-tags"></i>
+                            </label>
+                            <select class="form-input" id="category_ids" name="category_ids" multiple size="5">
+                                <!-- Categories are loaded via JavaScript -->
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="brand_ids" class="form-label">
+                                Brands <i class="fa fa-copyright"></i>
+                            </label>
+                            <select class="form-input" id="brand_ids" name="brand_ids" multiple size="5">
+                                <!-- Brands are loaded via JavaScript -->
+                            </select>
+                        </div>
+                    </div>
+                    <small class="form-help">Leave categories and brands unselected to discount the whole cart. Otherwise only matching products are discounted</small>
+                    <div class="form-group">
+                        <label class="form-label" for="is_active">
+                            <input type="checkbox" id="is_active" name="is_active" checked>
+                            Customers can use this code
+                        </label>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary" id="save-coupon-btn">
+                            <span id="save-text">
+                                <i class="fa fa-plus"></i> Add Coupon
+                            </span>
+                            <span id="save-loading" style="display: none;">
+                                <i class="fa fa-spinner fa-spin"></i> Saving...
+                            </span>
+                        </button>
+                        <button type="button" class="btn btn-secondary" id="cancel-edit">
+                            <i class="fa fa-times"></i> Clear
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+
+        <!-- Coupons List -->
+        <div class="card">
+            <div class="card-header">
+                <h4><i class="fa fa-list"></i> Coupons</h4>
+                <div class="card-actions">
+                    <button id="refresh-coupons" class="btn btn-secondary btn-small">
+                        <i class="fa fa-refresh"></i> Refresh
+                    </button>
+                </div>
+            </div>
+            <div class="card-body">
+                <div id="coupons-loading" class="loading-state">
+                    <i class="fa fa-spinner fa-spin"></i> Loading coupons...
+                </div>
+                <div id="coupons-empty" class="empty-state" style="display: none;">
+                    <i class="fa fa-ticket-alt"></i>
+                    <h3>No Coupons Yet</h3>
+                    <p>Use the form above to create your first promotion code.</p>
+                </div>
+                <div id="coupons-list" class="brands-grid" style="display: none;">
+                    <!-- Coupons will be loaded here via JavaScript -->
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <!-- Delete Confirmation Modal -->
+    <div id="delete-modal" class="modal" style="display: none;">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h4><i class="fa fa-trash"></i> Delete Coupon</h4>
+                <button class="modal-close" id="close-delete-modal">
+                    <i class="fa fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="alert alert-warning">
+                    <i class="fa fa-exclamation-triangle"></i>
+                    <strong>Warning:</strong> This action cannot be undone. Past orders keep the code and discount they were placed with.
+                </div>
+                <p>Are you sure you want to delete the coupon "<strong id="delete-coupon-code"></strong>"?</p>
+                <input type="hidden" id="delete_coupon_id">
+                <div class="form-actions">
+                    <button type="button" class="btn btn-error" id="confirm-delete-btn">
+                        <span id="delete-text">
+                            <i class="fa fa-trash"></i> Delete Coupon
+                        </span>
+                        <span id="delete-loading" style="display: none;">
+                            <i class="fa fa-spinner fa-spin"></i> Deleting...
+                        </span>
+                    </button>
+                    <button type="button" class="btn btn-secondary" id="cancel-delete">
+                        <i class="fa fa-times"></i> Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+        </div>
+    </div>
+
+    <!-- Sidebar Toggle JavaScript -->
+    <script>
+        function toggleSidebar() {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.querySelector('.sidebar-overlay');
+            
+            sidebar.classList.toggle('open');
+            overlay.classList.toggle('active');
+        }
+        
+        function closeSidebar() {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.querySelector('.sidebar-overlay');
+            
+            sidebar.classList.remove('open');
+            overlay.classList.remove('active');
+        }
+        
+        // Close sidebar when clicking on nav items on mobile
+        document.querySelectorAll('.sidebar-menu .nav-item').forEach(item => {
+            item.addEventListener('click', () => {
+                if (window.innerWidth <= 768) {
+                    closeSidebar();
+                }
+            });
+        });
+        
+        // Close sidebar on window resize if desktop
+        window.addEventListener('resize', () => {
+            if (window.innerWidth > 768) {
+                closeSidebar();
+            }
+        });
+    </script>
+    </div> <!-- Close main-content -->
+
+    <!-- Scripts -->
+    <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/sweetalert2@11"></script>
+    <script src="../js/api.js"></script>
+    <script src="../js/coupon.js"></script>
+</body>
+</html>
@@ -0,0 +1,276 @@
+<?php
+/**
+ * Product Import - Admin Panel
+ *
+ * Adds many products at once from a CSV or JSON file. js/product_import.js sends
+ * the file to preview_product_import_action.php for a row-by-row dry run, lets the
+ * admin choose which column holds each field, then imports the accepted rows in
+ * batches through import_products_action.php.
+ */
+
+session_start();
+require_once '../settings/core.php';
+
+// Verify admin authentication
+if (!is_logged_in()) {
+    header('Location: ../login/login.php?error=' . urlencode('Please log in to access the admin panel'));
+    exit();
+}
+
+if (!has_admin_privileges()) {
+    header('Location: ../login/login.php?error=' . urlencode('Access denied. Administrator privileges required'));
+    exit();
+}
+
+$user_id = get_current_user_id();
+$customer_name = $_SESSION['customer_name'] ?? 'Administrator';
+?>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <?php echo csrf_meta_tag(); ?>
+    <title>Import Products - Admin Panel</title>
+    <link href="../css/sweetgreen-style.css" rel="stylesheet">
+    <link href="../css/enhanced-buttons.css" rel="stylesheet">
+    <link href="../css/admin-elegant.css" rel="stylesheet">
+    <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" rel="stylesheet">
+</head>
+<body>
+    <!-- Mobile Menu Toggle -->
+    <button class="mobile-menu-toggle" onclick="toggleSidebar()">
+        <i class="fas fa-bars"></i>
+    </button>
+    
+    <!-- Sidebar Overlay for Mobile -->
+    <div class="sidebar-overlay" onclick="closeSidebar()"></div>
+    
+    <!-- Admin Sidebar Navigation -->
+    <nav class="sidebar-nav" id="sidebar">
+        <div class="sidebar-header">
+            <h2>
+                <i class="fas fa-cogs"></i>
+                Admin Panel
+            </h2>
+        </div>
+        
+        <div class="sidebar-menu">
+            <a href="../index.php" class="nav-item">
+                <i class="fas fa-home"></i>
+                <span>Home</span>
+            </a>
+            
+            <div class="admin-section-header">
+                <div class="admin-label">Admin</div>
+            </div>
+            
+            <div class="admin-nav-section">
+                <a href="category.php" class="admin-nav-item">
+                    <i class="fas fa-tags"></i>
+                    <span>Categories</span>
+                </a>
+                <a href="brand.php" class="admin-nav-item">
+                    <i class="fas fa-copyright"></i>
+                    <span>Brands</span>
+                </a>
+                <a href="product.php" class="admin-nav-item">
+                    <i class="fas fa-box"></i>
+                    <span>Manage Products</span>
+                </a>
+                <a href="import.php" class="admin-nav-item active">
+                    <i class="fas fa-file-import"></i>
+                    <span>Import Products</span>
+                </a>
+                <a href="synonyms.php" class="admin-nav-item">
+                    <i class="fas fa-exchange-alt"></i>
+                    <span>Search Synonyms</span>
+                </a>
+                <a href="shipping.php" class="admin-nav-item">
+                    <i class="fas fa-truck"></i>
+                    <span>Shipping</span>
+                </a>
+                <a href="coupons.php" class="admin-nav-item">
+                    <i class="fas fa-ticket-alt"></i>
+                    <span>Coupons</span>
+                </a>
+                <a href="orders.php" class="admin-nav-item">
+                    <i class="fas fa-clipboard-list"></i>
+                    <span>Orders</span>
+                </a>
+                <a href="analytics.php" class="admin-nav-item">
+                    <i class="fas fa-chart-line"></i>
+                    <span>Analytics</span>
+                </a>
+            </div>
+        </div>
+        
+        <div class="sidebar-footer">
+            <div class="user-info">
+                <div class="user-name"><?php echo htmlspecialchars($customer_name); ?></div>
+                <div class="user-status">Administrator</div>
+            </div>
+            <a href="../login/logout.php" class="nav-item">
+                <i class="fas fa-sign-out-alt"></i>
+                <span>Logout</span>
+            </a>
+        </div>
+    </nav>
+
+    <!-- Main Content Container -->
+    <div class="main-content">
+        <div class="admin-page-container">
+            <div class="admin-header">
+                <h1><i class="fa fa-file-import"></i> Import Products</h1>
+                <p>Add many products at once from a CSV or JSON file</p>
+            </div>
+
+        <!-- Import File -->
+        <div class="card card-form">
+            <div class="card-header">
+                <h4><i class="fa fa-file-upload"></i> Choose a File</h4>
+            </div>
+            <div class="card-body">
+                <form id="import-file-form" class="form">
+                    <div class="form-group">
+                        <label for="import_file" class="form-label">
+                            Import File <i class="fa fa-file-csv"></i>
+                        </label>
+                        <input
+                            type="file"
+                            class="form-input"
+                            id="import_file"
+                            name="import_file"
+                            accept=".csv,.json,text/csv,application/json"
+                            required
+                        >
+                        <small class="form-help">
+                            A CSV file with a header row, or a JSON list of products (up to 1,000 products, 2MB).
+                            Columns for title, price, category and brand are required; description, keywords,
+                            weight and stock are optional. Categories and brands can be given by name or ID.
+                        </small>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary" id="check-file-btn">
+                            <i class="fa fa-search"></i> Check File
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+
+        <div id="import-preview" style="display: none;">
+        <!-- Column Mapping -->
+        <div class="card card-form">
+            <div class="card-header">
+                <h4><i class="fa fa-columns"></i> Columns</h4>
+            </div>
+            <div class="card-body">
+                <div id="import-mapping" class="form-row import-mapping">
+                    <!-- Field selects will be loaded here via JavaScript -->
+                </div>
+                <small class="form-help">Choose the column that holds each field. The dry run below updates when you change one.</small>
+            </div>
+        </div>
+
+        <!-- Dry Run -->
+        <div class="card">
+            <div class="card-header">
+                <h4><i class="fa fa-clipboard-check"></i> Dry Run</h4>
+                <div class="card-actions">
+                    <button type="button" class="btn btn-secondary btn-small" id="download-rejected-btn">
+                        <i class="fa fa-download"></i> Download Rejected Rows
+                    </button>
+                </div>
+            </div>
+            <div class="card-body">
+                <div id="import-summary" class="brands-grid">
+                    <!-- Row counts will be loaded here via JavaScript -->
+                </div>
+
+                <div id="import-progress" class="import-progress" style="display: none;">
+                    <div class="upload-progress"><div class="upload-progress-bar"></div></div>
+                    <small class="form-help" id="import-progress-text"></small>
+                </div>
+
+                <div class="form-actions">
+                    <button type="button" class="btn btn-primary" id="start-import-btn">
+                        <i class="fa fa-file-import"></i> Import Products
+                    </button>
+                    <button type="button" class="btn btn-secondary" id="start-over-btn">
+                        <i class="fa fa-undo"></i> Start Over
+                    </button>
+                    <label class="import-filter">
+                        <input type="checkbox" id="show-rejected-only"> Only show rejected rows
+                    </label>
+                </div>
+
+                <div class="import-table-wrapper">
+                    <table class="import-table">
+                        <thead>
+                            <tr>
+                                <th>Row</th>
+                                <th>Title</th>
+                                <th>Price</th>
+                                <th>Category</th>
+                                <th>Brand</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody id="import-rows">
+                            <!-- Rows will be loaded here via JavaScript -->
+                        </tbody>
+                    </table>
+                </div>
+                <small class="form-help">Row numbers count products, not counting the header row. Rejected rows are skipped by the import; download them with their errors, fix them and import that file.</small>
+            </div>
+        </div>
+        </div>
+    </div>
+
+        </div>
+    </div>
+
+    <!-- Sidebar Toggle JavaScript -->
+    <script>
+        function toggleSidebar() {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.querySelector('.sidebar-overlay');
+            
+            sidebar.classList.toggle('open');
+            overlay.classList.toggle('active');
+        }
+        
+        function closeSidebar() {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.querySelector('.sidebar-overlay');
+            
+            sidebar.classList.remove('open');
+            overlay.classList.remove('active');
+        }
+        
+        // Close sidebar when clicking on nav items on mobile
+        document.querySelectorAll('.sidebar-menu .nav-item').forEach(item => {
+            item.addEventListener('click', () => {
+                if (window.innerWidth <= 768) {
+                    closeSidebar();
+                }
+            });
+        });
+        
+        // Close sidebar on window resize if desktop
+        window.addEventListener('resize', () => {
+            if (window.innerWidth > 768) {
+                closeSidebar();
+            }
+        });
+    </script>
+    </div> <!-- Close main-content -->
+
+    <!-- Scripts -->
+    <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/sweetalert2@11"></script>
+    <script src="../js/api.js"></script>
+    <script src="../js/product_import.js"></script>
+</body>
+</html>
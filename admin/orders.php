@@ -0,0 +1,329 @@
+<?php
+/**
+ * Orders - Admin Panel
+ *
+ * Administrative interface for customer orders. Orders move through
+ * pending -> paid -> shipped -> delivered, or end as cancelled or refunded;
+ * the server rejects any other change and every change is kept in the
+ * order's status history with the admin who made it.
+ */
+
+session_start();
+require_once '../settings/core.php';
+
+// Verify admin authentication
+if (!is_logged_in()) {
+    header('Location: ../login/login.php?error=' . urlencode('Please log in to access the admin panel'));
+    exit();
+}
+
+if (!has_admin_privileges()) {
+    header('Location: ../login/login.php?error=' . urlencode('Access denied. Administrator privileges required'));
+    exit();
+}
+
+$user_id = get_current_user_id();
+$customer_name = $_SESSION['customer_name'] ?? 'Administrator';
+?>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <?php echo csrf_meta_tag(); ?>
+    <title>Orders - Admin Panel</title>
+    <link href="../css/sweetgreen-style.css" rel="stylesheet">
+    <link href="../css/enhanced-buttons.css" rel="stylesheet">
+    <link href="../css/admin-elegant.css" rel="stylesheet">
+    <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" rel="stylesheet">
+</head>
+<body>
+    <!-- Mobile Menu Toggle -->
+    <button class="mobile-menu-toggle" onclick="toggleSidebar()">
+        <i class="fas fa-bars"></i>
+    </button>
+    
+    <!-- Sidebar Overlay for Mobile -->
+    <div class="sidebar-overlay" onclick="closeSidebar()"></div>
+    
+    <!-- Admin Sidebar Navigation -->
+    <nav class="sidebar-nav" id="sidebar">
+        <div class="sidebar-header">
+            <h2>
+                <i class="fas fa-cogs"></i>
+                Admin Panel
+            </h2>
+        </div>
+        
+        <div class="sidebar-menu">
+            <a href="../index.php" class="nav-item">
+                <i class="fas fa-home"></i>
+                <span>Home</span>
+            </a>
+            
+            <div class="admin-section-header">
+                <div class="admin-label">Admin</div>
+            </div>
+            
+            <div class="admin-nav-section">
+                <a href="category.php" class="admin-nav-item">
+                    <i class="fas fa-tags"></i>
+                    <span>Categories</span>
+                </a>
+                <a href="brand.php" class="admin-nav-item">
+                    <i class="fas fa-copyright"></i>
+                    <span>Brands</span>
+                </a>
+                <a href="product.php" class="admin-nav-item">
+                    <i class="fas fa-box"></i>
+                    <span>Manage Products</span>
+                </a>
+                <a href="import.php" class="admin-nav-item">
+                    <i class="fas fa-file-import"></i>
+                    <span>Import Products</span>
+                </a>
+                <a href="synonyms.php" class="admin-nav-item">
+                    <i class="fas fa-exchange-alt"></i>
+                    <span>Search Synonyms</span>
+                </a>
+                <a href="shipping.php" class="admin-nav-item">
+                    <i class="fas fa-truck"></i>
+                    <span>Shipping</span>
+                </a>
+                <a href="coupons.php" class="admin-nav-item">
+                    <i class="fas fa-ticket-alt"></i>
+                    <span>Coupons</span>
+                </a>
+                <a href="orders.php" class="admin-nav-item active">
+                    <i class="fas fa-clipboard-list"></i>
+                    <span>Orders</span>
+                </a>
+                <a href="analytics.php" class="admin-nav-item">
+                    <i class="fas fa-chart-line"></i>
+                    <span>Analytics</span>
+                </a>
+            </div>
+        </div>
+        
+        <div class="sidebar-footer">
+            <div class="user-info">
+                <div class="user-name"><?php echo htmlspecialchars($customer_name); ?></div>
+                <div class="user-status">Administrator</div>
+            </div>
+            <a href="../login/logout.php" class="nav-item">
+                <i class="fas fa-sign-out-alt"></i>
+                <span>Logout</span>
+            </a>
+        </div>
+    </nav>
+
+    <!-- Main Content Container -->
+    <div class="main-content">
+        <div class="admin-page-container">
+            <div class="admin-header">
+                <h1><i class="fa fa-clipboard-list"></i> Orders</h1>
+                <p>Track orders from payment to delivery, and cancel or refund them when needed</p>
+            </div>
+
+        <!-- Order Statistics (last 30 days) -->
+        <div class="card">
+            <div class="card-header">
+                <h4><i class="fa fa-chart-bar"></i> Last 30 Days</h4>
+            </div>
+            <div class="card-body">
+                <div id="order-stats" class="brands-grid">
+                    <!-- Statistics will be loaded here via JavaScript -->
+                </div>
+            </div>
+        </div>
+
+        <!-- Order Filters -->
+        <div class="card card-form">
+            <div class="card-header">
+                <h4><i class="fa fa-filter"></i> Filter Orders</h4>
+            </div>
+            <div class="card-body">
+                <form id="order-filter-form" class="form">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="filter_status" class="form-label">
+                                Status <i class="fa fa-flag"></i>
+                            </label>
+                            <select class="form-input" id="filter_status" name="status">
+                                <option value="">All statuses</option>
+                                <option value="pending">Pending</option>
+                                <option value="paid">Paid</option>
+                                <option value="shipped">Shipped</option>
+                                <option value="delivered">Delivered</option>
+                                <option value="cancelled">Cancelled</option>
+                                <option value="refunded">Refunded</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="filter_customer" class="form-label">
+                                Customer <i class="fa fa-user"></i>
+                            </label>
+                            <input
+                                type="text"
+                                class="form-input"
+                                id="filter_customer"
+                                name="customer"
+                                placeholder="Name, email or customer ID"
+                                maxlength="100"
+                            >
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="filter_date_from" class="form-label">
+                                From <i class="fa fa-calendar"></i>
+                            </label>
+                            <input type="date" class="form-input" id="filter_date_from" name="date_from">
+                        </div>
+                        <div class="form-group">
+                            <label for="filter_date_to" class="form-label">
+                                To <i class="fa fa-calendar"></i>
+                            </label>
+                            <input type="date" class="form-input" id="filter_date_to" name="date_to">
+                        </div>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary">
+                            <i class="fa fa-search"></i> Apply Filters
+                        </button>
+                        <button type="button" class="btn btn-secondary" id="clear-filters">
+                            <i class="fa fa-times"></i> Clear
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+
+        <!-- Orders List -->
+        <div class="card">
+            <div class="card-header">
+                <h4><i class="fa fa-list"></i> Orders <small id="orders-count"></small></h4>
+                <div class="card-actions">
+                    <button id="refresh-orders" class="btn btn-secondary btn-small">
+                        <i class="fa fa-refresh"></i> Refresh
+                    </button>
+                </div>
+            </div>
+            <div class="card-body">
+                <div id="orders-loading" class="loading-state">
+                    <i class="fa fa-spinner fa-spin"></i> Loading orders...
+                </div>
+                <div id="orders-empty" class="empty-state" style="display: none;">
+                    <i class="fa fa-clipboard-list"></i>
+                    <h3>No Orders Found</h3>
+                    <p>No orders match these filters.</p>
+                </div>
+                <div id="orders-list" class="brands-grid" style="display: none;">
+                    <!-- Orders will be loaded here via JavaScript -->
+                </div>
+                <div id="orders-pagination" class="form-actions" style="display: none; justify-content: space-between; align-items: center;">
+                    <button type="button" class="btn btn-secondary btn-small" id="orders-prev-btn">
+                        <i class="fa fa-chevron-left"></i> Newer
+                    </button>
+                    <span id="orders-page-info"></span>
+                    <button type="button" class="btn btn-secondary btn-small" id="orders-next-btn">
+                        Older <i class="fa fa-chevron-right"></i>
+                    </button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <!-- Order Detail Modal -->
+    <div id="order-modal" class="modal" style="display: none;">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h4><i class="fa fa-receipt"></i> Order <span id="order-modal-title"></span></h4>
+                <button class="modal-close" id="close-order-modal">
+                    <i class="fa fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div id="order-modal-loading" class="loading-state">
+                    <i class="fa fa-spinner fa-spin"></i> Loading order...
+                </div>
+                <div id="order-modal-content" style="display: none;">
+                    <!-- Order summary, items and status history are loaded here via JavaScript -->
+                </div>
+
+                <!-- Status change -->
+                <form id="order-status-form" class="form" style="display: none;">
+                    <?php echo csrf_token_field(); ?>
+                    <input type="hidden" id="status_order_id">
+                    <input type="hidden" id="status_current_status">
+                    <div class="form-group">
+                        <label for="status_note" class="form-label">
+                            Note <i class="fa fa-sticky-note"></i>
+                        </label>
+                        <input
+                            type="text"
+                            class="form-input"
+                            id="status_note"
+                            placeholder="e.g., tracking number or reason for cancelling"
+                            maxlength="255"
+                        >
+                        <small class="form-help">Saved in the order's status history</small>
+                    </div>
+                    <div class="form-actions" id="status-transition-buttons">
+                        <!-- One button per allowed next status, added via JavaScript -->
+                    </div>
+                </form>
+                <div id="order-status-final" class="alert alert-warning" style="display: none;">
+                    <i class="fa fa-lock"></i>
+                    This order is closed and its status can no longer change.
+                </div>
+            </div>
+        </div>
+    </div>
+
+        </div>
+    </div>
+
+    <!-- Sidebar Toggle JavaScript -->
+    <script>
+        function toggleSidebar() {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.querySelector('.sidebar-overlay');
+            
+            sidebar.classList.toggle('open');
+            overlay.classList.toggle('active');
+        }
+        
+        function closeSidebar() {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.querySelector('.sidebar-overlay');
+            
+            sidebar.classList.remove('open');
+            overlay.classList.remove('active');
+        }
+        
+        // Close sidebar when clicking on nav items on mobile
+        document.querySelectorAll('.sidebar-menu .nav-item').forEach(item => {
+            item.addEventListener('click', () => {
+                if (window.innerWidth <= 768) {
+                    closeSidebar();
+                }
+            });
+        });
+        
+        // Close sidebar on window resize if desktop
+        window.addEventListener('resize', () => {
+            if (window.innerWidth > 768) {
+                closeSidebar();
+            }
+        });
+    </script>
+    </div> <!-- Close main-content -->
+
+    <!-- Scripts -->
+    <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/sweetalert2@11"></script>
+    <script src="../js/api.js"></script>
+    <script src="../js/order.js"></script>
+</body>
+</html>
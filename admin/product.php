@@ -28,6 +28,7 @@ $customer_name = $_SESSION['customer_name'] ?? 'Administrator';
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <?php echo csrf_meta_tag(); ?>
     <title>Product Management - Admin Panel</title>
     <link href="../css/sweetgreen-style.css" rel="stylesheet">
     <link href="../css/enhanced-buttons.css" rel="stylesheet">
@@ -75,6 +76,30 @@ $customer_name = $_SESSION['customer_name'] ?? 'Administrator';
                     <i class="fas fa-box"></i>
                     <span>Manage Products</span>
                 </a>
+                <a href="import.php" class="admin-nav-item">
+                    <i class="fas fa-file-import"></i>
+                    <span>Import Products</span>
+                </a>
+                <a href="synonyms.php" class="admin-nav-item">
+                    <i class="fas fa-exchange-alt"></i>
+                    <span>Search Synonyms</span>
+                </a>
+                <a href="shipping.php" class="admin-nav-item">
+                    <i class="fas fa-truck"></i>
+                    <span>Shipping</span>
+                </a>
+                <a href="coupons.php" class="admin-nav-item">
+                    <i class="fas fa-ticket-alt"></i>
+                    <span>Coupons</span>
+                </a>
+                <a href="orders.php" class="admin-nav-item">
+                    <i class="fas fa-clipboard-list"></i>
+                    <span>Orders</span>
+                </a>
+                <a href="analytics.php" class="admin-nav-item">
+                    <i class="fas fa-chart-line"></i>
+                    <span>Analytics</span>
+                </a>
             </div>
         </div>
         
@@ -138,6 +163,36 @@ $customer_name = $_SESSION['customer_name'] ?? 'Administrator';
                             >
                             <small class="form-help">Enter price in decimal format (e.g., 29.99)</small>
                         </div>
+                        <div class="form-group">
+                            <label for="product_weight" class="form-label">
+                                Weight (kg) <i class="fa fa-weight-hanging"></i>
+                            </label>
+                            <input 
+                                type="number" 
+                                class="form-input" 
+                                id="product_weight" 
+                                name="product_weight" 
+                                placeholder="0.000"
+                                min="0"
+                                step="0.001"
+                            >
+                            <small class="form-help">Shipping weight, used by weight-based shipping methods</small>
+                        </div>
+                        <div class="form-group">
+                            <label for="product_stock" class="form-label">
+                                Stock <i class="fa fa-boxes"></i>
+                            </label>
+                            <input 
+                                type="number" 
+                                class="form-input" 
+                                id="product_stock" 
+                                name="product_stock" 
+                                placeholder="Not tracked"
+                                min="0"
+                                step="1"
+                            >
+                            <small class="form-help">Units available to sell; leave empty to not track stock</small>
+                        </div>
                     </div>
                     
                     <div class="form-row">
@@ -203,17 +258,22 @@ $customer_name = $_SESSION['customer_name'] ?? 'Administrator';
                             <small class="form-help">Optional keywords for search (max 255 characters)</small>
                         </div>
                         <div class="form-group">
-                            <label for="product_image" class="form-label">
-                                Product Image <i class="fa fa-image"></i>
+                            <span class="form-label">
+                                Product Images <i class="fa fa-image"></i>
+                            </span>
+                            <label class="upload-dropzone" id="product-image-drop">
+                                <input
+                                    type="file"
+                                    class="upload-dropzone-input"
+                                    id="product_image"
+                                    accept="image/jpeg,image/png,image/gif,image/webp"
+                                    multiple
+                                >
+                                <i class="fa fa-cloud-upload-alt"></i>
+                                <span>Drop images here or click to choose</span>
                             </label>
-                            <input 
-                                type="file" 
-                                class="form-input" 
-                                id="product_image" 
-                                name="product_image" 
-                                accept="image/*"
-                            >
-                            <small class="form-help">Optional product image (JPG, PNG, GIF)</small>
+                            <ul class="upload-queue" id="product-image-queue"></ul>
+                            <small class="form-help">Optional, up to 12 images of 5MB each (JPG, PNG, GIF, WebP). The first image becomes the product image; any others are added to its gallery.</small>
                         </div>
                     </div>
                     
@@ -234,6 +294,51 @@ $customer_name = $_SESSION['customer_name'] ?? 'Administrator';
             </div>
         </div>
 
+        <!-- Catalog Export -->
+        <div class="card card-form">
+            <div class="card-header">
+                <h4><i class="fa fa-file-export"></i> Export Catalog</h4>
+            </div>
+            <div class="card-body">
+                <form id="export-catalog-form" class="form">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="export_format" class="form-label">
+                                Format <i class="fa fa-file-alt"></i>
+                            </label>
+                            <select class="form-input" id="export_format" name="format">
+                                <option value="csv">CSV</option>
+                                <option value="json">JSON</option>
+                                <option value="xml">Product feed (XML)</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="export_category_id" class="form-label">
+                                Category <i class="fa fa-tags"></i>
+                            </label>
+                            <select class="form-input" id="export_category_id" name="category_id">
+                                <option value="">All categories</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="export_brand_id" class="form-label">
+                                Brand <i class="fa fa-copyright"></i>
+                            </label>
+                            <select class="form-input" id="export_brand_id" name="brand_id">
+                                <option value="">All brands</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary" id="export-catalog-btn">
+                            <i class="fa fa-download"></i> Export
+                        </button>
+                    </div>
+                    <small class="form-help">Every product with absolute links and image URLs, price, availability, brand and category. The XML feed follows the Google Shopping format.</small>
+                </form>
+            </div>
+        </div>
+
         <!-- Products List -->
         <div class="card">
             <div class="card-header">
@@ -304,6 +409,36 @@ $customer_name = $_SESSION['customer_name'] ?? 'Administrator';
                             >
                             <small class="form-help">Enter price in decimal format (e.g., 29.99)</small>
                         </div>
+                        <div class="form-group">
+                            <label for="edit_product_weight" class="form-label">
+                                Weight (kg) <i class="fa fa-weight-hanging"></i>
+                            </label>
+                            <input 
+                                type="number" 
+                                class="form-input" 
+                                id="edit_product_weight" 
+                                name="product_weight" 
+                                placeholder="0.000"
+                                min="0"
+                                step="0.001"
+                            >
+                            <small class="form-help">Shipping weight, used by weight-based shipping methods</small>
+                        </div>
+                        <div class="form-group">
+                            <label for="edit_product_stock" class="form-label">
+                                Stock <i class="fa fa-boxes"></i>
+                            </label>
+                            <input 
+                                type="number" 
+                                class="form-input" 
+                                id="edit_product_stock" 
+                                name="product_stock" 
+                                placeholder="Not tracked"
+                                min="0"
+                                step="1"
+                            >
+                            <small class="form-help">Units available to sell; leave empty to not track stock</small>
+                        </div>
                     </div>
                     
                     <div class="form-row">
@@ -367,17 +502,22 @@ $customer_name = $_SESSION['customer_name'] ?? 'Administrator';
                             <small class="form-help">Optional keywords for search (max 255 characters)</small>
                         </div>
                         <div class="form-group">
-                            <label for="edit_product_image" class="form-label">
-                                Product Image <i class="fa fa-image"></i>
+                            <span class="form-label">
+                                Product Images <i class="fa fa-image"></i>
+                            </span>
+                            <label class="upload-dropzone" id="edit-product-image-drop">
+                                <input
+                                    type="file"
+                                    class="upload-dropzone-input"
+                                    id="edit_product_image"
+                                    accept="image/jpeg,image/png,image/gif,image/webp"
+                                    multiple
+                                >
+                                <i class="fa fa-cloud-upload-alt"></i>
+                                <span>Drop images here or click to choose</span>
                             </label>
-                            <input 
-                                type="file" 
-                                class="form-input" 
-                                id="edit_product_image" 
-                                name="product_image" 
-                                accept="image/*"
-                            >
-                            <small class="form-help">Optional new product image (JPG, PNG, GIF)</small>
+                            <ul class="upload-queue" id="edit-product-image-queue"></ul>
+                            <small class="form-help">Optional. The first image replaces the product image; any others are added to its gallery.</small>
                             <div id="current-image-info" style="margin-top: 5px; display: none;">
                                 <small class="form-help">Current image: <span id="current-image-name"></span></small>
                             </div>
@@ -402,6 +542,118 @@ $customer_name = $_SESSION['customer_name'] ?? 'Administrator';
         </div>
     </div>
 
+    <!-- Product Gallery Modal -->
+    <div id="gallery-modal" class="modal" style="display: none;">
+        <div class="modal-content" style="max-width: 900px;">
+            <div class="modal-header">
+                <h4><i class="fa fa-images"></i> Gallery: <span id="gallery-product-name"></span></h4>
+                <button class="modal-close" id="close-gallery-modal">
+                    <i class="fa fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <form id="gallery-form" class="form">
+                    <?php echo csrf_token_field(); ?>
+                    <input type="hidden" id="gallery_product_id" name="product_id">
+
+                    <div class="form-group">
+                        <label for="gallery_images" class="form-label">
+                            Add Images <i class="fa fa-upload"></i>
+                        </label>
+                        <input
+                            type="file"
+                            class="form-input"
+                            id="gallery_images"
+                            accept="image/*"
+                            multiple
+                        >
+                        <small class="form-help">Up to 12 images (JPG, PNG, GIF, WebP). Drag images to reorder them; the primary image is shown in listings and the cart.</small>
+                    </div>
+
+                    <div id="gallery-items" class="gallery-editor">
+                        <!-- Gallery items are added via JavaScript -->
+                    </div>
+                    <p id="gallery-empty" class="form-help" style="display: none;">This product has no images yet.</p>
+
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary" id="save-gallery-btn">
+                            <span id="gallery-save-text">
+                                <i class="fa fa-save"></i> Save Gallery
+                            </span>
+                            <span id="gallery-save-loading" style="display: none;">
+                                <i class="fa fa-spinner fa-spin"></i> Saving...
+                            </span>
+                        </button>
+                        <button type="button" class="btn btn-secondary" id="cancel-gallery">
+                            <i class="fa fa-times"></i> Cancel
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    </div>
+
+    <!-- Product Variants Modal -->
+    <div id="variants-modal" class="modal" style="display: none;">
+        <div class="modal-content" style="max-width: 960px;">
+            <div class="modal-header">
+                <h4><i class="fa fa-layer-group"></i> Variants: <span id="variants-product-name"></span></h4>
+                <button class="modal-close" id="close-variants-modal">
+                    <i class="fa fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <form id="variants-form" class="form">
+                    <?php echo csrf_token_field(); ?>
+                    <input type="hidden" id="variants_product_id" name="product_id">
+
+                    <div class="form-group">
+                        <label class="form-label">
+                            Options <i class="fa fa-sliders-h"></i>
+                        </label>
+                        <div id="variant-option-rows">
+                            <!-- Option rows are added via JavaScript -->
+                        </div>
+                        <button type="button" class="btn btn-secondary btn-small" id="add-variant-option-btn">
+                            <i class="fa fa-plus"></i> Add Option
+                        </button>
+                        <button type="button" class="btn btn-secondary btn-small" id="generate-variants-btn">
+                            <i class="fa fa-magic"></i> Generate Combinations
+                        </button>
+                        <small class="form-help">Up to 3 options, e.g. Size with values S, M, L. Generating keeps the variants that still match.</small>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label">
+                            Variants <i class="fa fa-boxes"></i>
+                        </label>
+                        <div id="variant-rows">
+                            <!-- Variant rows are added via JavaScript -->
+                        </div>
+                        <button type="button" class="btn btn-secondary btn-small" id="add-variant-btn">
+                            <i class="fa fa-plus"></i> Add Variant
+                        </button>
+                        <small class="form-help">Leave price or image empty to use the product's; leave stock empty to not track it. Saving with no options removes all variants.</small>
+                    </div>
+
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary" id="save-variants-btn">
+                            <span id="variants-save-text">
+                                <i class="fa fa-save"></i> Save Variants
+                            </span>
+                            <span id="variants-save-loading" style="display: none;">
+                                <i class="fa fa-spinner fa-spin"></i> Saving...
+                            </span>
+                        </button>
+                        <button type="button" class="btn btn-secondary" id="cancel-variants">
+                            <i class="fa fa-times"></i> Cancel
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    </div>
+
     <!-- Delete Confirmation Modal -->
     <div id="delete-modal" class="modal" style="display: none;">
         <div class="modal-content">
@@ -477,6 +729,8 @@ $customer_name = $_SESSION['customer_name'] ?? 'Administrator';
     <!-- Scripts -->
     <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
     <script src="https://cdn.jsdelivr.net/npm/sweetalert2@11"></script>
+    <script src="../js/api.js"></script>
+    <script src="../js/image_uploader.js"></script>
     <script src="../js/product.js"></script>
 </body>
 </html>
\ No newline at end of file
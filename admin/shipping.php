@@ -0,0 +1,359 @@
+<?php
+/**
+ * Shipping Methods - Admin Panel
+ *
+ * Administrative interface for the shipping methods offered at checkout.
+ * Each method has flat, weight-based or tiered pricing and can be limited
+ * to a list of destination countries.
+ */
+
+session_start();
+require_once '../settings/core.php';
+
+// Verify admin authentication
+if (!is_logged_in()) {
+    header('Location: ../login/login.php?error=' . urlencode('Please log in to access the admin panel'));
+    exit();
+}
+
+if (!has_admin_privileges()) {
+    header('Location: ../login/login.php?error=' . urlencode('Access denied. Administrator privileges required'));
+    exit();
+}
+
+$user_id = get_current_user_id();
+$customer_name = $_SESSION['customer_name'] ?? 'Administrator';
+?>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <?php echo csrf_meta_tag(); ?>
+    <title>Shipping Methods - Admin Panel</title>
+    <link href="../css/sweetgreen-style.css" rel="stylesheet">
+    <link href="../css/enhanced-buttons.css" rel="stylesheet">
+    <link href="../css/admin-elegant.css" rel="stylesheet">
+    <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" rel="stylesheet">
+</head>
+<body>
+    <!-- Mobile Menu Toggle -->
+    <button class="mobile-menu-toggle" onclick="toggleSidebar()">
+        <i class="fas fa-bars"></i>
+    </button>
+    
+    <!-- Sidebar Overlay for Mobile -->
+    <div class="sidebar-overlay" onclick="closeSidebar()"></div>
+    
+    <!-- Admin Sidebar Navigation -->
+    <nav class="sidebar-nav" id="sidebar">
+        <div class="sidebar-header">
+            <h2>
+                <i class="fas fa-cogs"></i>
+                Admin Panel
+            </h2>
+        </div>
+        
+        <div class="sidebar-menu">
+            <a href="../index.php" class="nav-item">
+                <i class="fas fa-home"></i>
+                <span>Home</span>
+            </a>
+            
+            <div class="admin-section-header">
+                <div class="admin-label">Admin</div>
+            </div>
+            
+            <div class="admin-nav-section">
+                <a href="category.php" class="admin-nav-item">
+                    <i class="fas fa-tags"></i>
+                    <span>Categories</span>
+                </a>
+                <a href="brand.php" class="admin-nav-item">
+                    <i class="fas fa-copyright"></i>
+                    <span>Brands</span>
+                </a>
+                <a href="product.php" class="admin-nav-item">
+                    <i class="fas fa-box"></i>
+                    <span>Manage Products</span>
+                </a>
+                <a href="import.php" class="admin-nav-item">
+                    <i class="fas fa-file-import"></i>
+                    <span>Import Products</span>
+                </a>
+                <a href="synonyms.php" class="admin-nav-item">
+                    <i class="fas fa-exchange-alt"></i>
+                    <span>Search Synonyms</span>
+                </a>
+                <a href="shipping.php" class="admin-nav-item active">
+                    <i class="fas fa-truck"></i>
+                    <span>Shipping</span>
+                </a>
+                <a href="coupons.php" class="admin-nav-item">
+                    <i class="fas fa-ticket-alt"></i>
+                    <span>Coupons</span>
+                </a>
+                <a href="orders.php" class="admin-nav-item">
+                    <i class="fas fa-clipboard-list"></i>
+                    <span>Orders</span>
+                </a>
+                <a href="analytics.php" class="admin-nav-item">
+                    <i class="fas fa-chart-line"></i>
+                    <span>Analytics</span>
+                </a>
+            </div>
+        </div>
+        
+        <div class="sidebar-footer">
+            <div class="user-info">
+                <div class="user-name"><?php echo htmlspecialchars($customer_name); ?></div>
+                <div class="user-status">Administrator</div>
+            </div>
+            <a href="../login/logout.php" class="nav-item">
+                <i class="fas fa-sign-out-alt"></i>
+                <span>Logout</span>
+            </a>
+        </div>
+    </nav>
+
+    <!-- Main Content Container -->
+    <div class="main-content">
+        <div class="admin-page-container">
+            <div class="admin-header">
+                <h1><i class="fa fa-truck"></i> Shipping Methods</h1>
+                <p>Set up the delivery options customers can choose from at checkout</p>
+            </div>
+
+        <!-- Add / Edit Shipping Method Form -->
+        <div class="card card-form">
+            <div class="card-header">
+                <h4 id="shipping-form-title"><i class="fa fa-plus-circle"></i> Add Shipping Method</h4>
+            </div>
+            <div class="card-body">
+                <form id="shipping-method-form" class="form">
+                    <?php echo csrf_token_field(); ?>
+                    <input type="hidden" id="method_id" name="method_id">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="method_name" class="form-label">
+                                Method Name <i class="fa fa-truck"></i>
+                            </label>
+                            <input
+                                type="text"
+                                class="form-input"
+                                id="method_name"
+                                name="method_name"
+                                placeholder="e.g., Standard Delivery"
+                                maxlength="100"
+                                required
+                            >
+                        </div>
+                        <div class="form-group">
+                            <label for="method_type" class="form-label">
+                                Type <i class="fa fa-shipping-fast"></i>
+                            </label>
+                            <select class="form-input" id="method_type" name="method_type" required>
+                                <option value="standard">Standard</option>
+                                <option value="express">Express</option>
+                                <option value="pickup">Pickup</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="pricing_type" class="form-label">
+                                Pricing <i class="fa fa-dollar-sign"></i>
+                            </label>
+                            <select class="form-input" id="pricing_type" name="pricing_type" required>
+                                <option value="flat">Flat rate</option>
+                                <option value="weight">Weight-based</option>
+                                <option value="tiered">Tiered by order subtotal</option>
+                            </select>
+                        </div>
+                        <div class="form-group" id="base-cost-group">
+                            <label for="base_cost" class="form-label">
+                                <span id="base-cost-label">Cost</span> <i class="fa fa-money-bill"></i>
+                            </label>
+                            <input type="number" class="form-input" id="base_cost" name="base_cost" min="0" step="0.01" value="0">
+                        </div>
+                        <div class="form-group" id="cost-per-kg-group" style="display: none;">
+                            <label for="cost_per_kg" class="form-label">
+                                Cost per kg <i class="fa fa-weight-hanging"></i>
+                            </label>
+                            <input type="number" class="form-input" id="cost_per_kg" name="cost_per_kg" min="0" step="0.01" value="0">
+                        </div>
+                    </div>
+                    <div class="form-group" id="tiers-group" style="display: none;">
+                        <label class="form-label">
+                            Price Tiers <i class="fa fa-layer-group"></i>
+                        </label>
+                        <div id="tier-rows">
+                            <!-- Tier rows are added via JavaScript -->
+                        </div>
+                        <button type="button" class="btn btn-secondary btn-small" id="add-tier-btn">
+                            <i class="fa fa-plus"></i> Add Tier
+                        </button>
+                        <small class="form-help">Each tier applies from its minimum subtotal (after discounts) up to the next tier</small>
+                    </div>
+                    <div class="form-group">
+                        <label for="countries" class="form-label">
+                            Ships To <i class="fa fa-globe"></i>
+                        </label>
+                        <input
+                            type="text"
+                            class="form-input"
+                            id="countries"
+                            name="countries"
+                            placeholder="e.g., Ghana, Nigeria"
+                        >
+                        <small class="form-help">Comma-separated countries, matched against the customer's profile. Leave empty to ship everywhere</small>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="delivery_estimate" class="form-label">
+                                Delivery Estimate <i class="fa fa-clock"></i>
+                            </label>
+                            <input
+                                type="text"
+                                class="form-input"
+                                id="delivery_estimate"
+                                name="delivery_estimate"
+                                placeholder="e.g., 3-5 business days"
+                                maxlength="100"
+                            >
+                        </div>
+                        <div class="form-group">
+                            <label for="sort_order" class="form-label">
+                                Sort Order <i class="fa fa-sort"></i>
+                            </label>
+                            <input type="number" class="form-input" id="sort_order" name="sort_order" step="1" value="0">
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="is_active">
+                            <input type="checkbox" id="is_active" name="is_active" checked>
+                            Offer this method at checkout
+                        </label>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary" id="save-method-btn">
+                            <span id="save-text">
+                                <i class="fa fa-plus"></i> Add Method
+                            </span>
+                            <span id="save-loading" style="display: none;">
+                                <i class="fa fa-spinner fa-spin"></i> Saving...
+                            </span>
+                        </button>
+                        <button type="button" class="btn btn-secondary" id="cancel-edit">
+                            <i class="fa fa-times"></i> Clear
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+
+        <!-- Shipping Methods List -->
+        <div class="card">
+            <div class="card-header">
+                <h4><i class="fa fa-list"></i> Shipping Methods</h4>
+                <div class="card-actions">
+                    <button id="refresh-methods" class="btn btn-secondary btn-small">
+                        <i class="fa fa-refresh"></i> Refresh
+                    </button>
+                </div>
+            </div>
+            <div class="card-body">
+                <div id="methods-loading" class="loading-state">
+                    <i class="fa fa-spinner fa-spin"></i> Loading shipping methods...
+                </div>
+                <div id="methods-empty" class="empty-state" style="display: none;">
+                    <i class="fa fa-truck"></i>
+                    <h3>No Shipping Methods Yet</h3>
+                    <p>Customers cannot check out until at least one method is active. Use the form above to add one.</p>
+                </div>
+                <div id="methods-list" class="brands-grid" style="display: none;">
+                    <!-- Shipping methods will be loaded here via JavaScript -->
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <!-- Delete Confirmation Modal -->
+    <div id="delete-modal" class="modal" style="display: none;">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h4><i class="fa fa-trash"></i> Delete Shipping Method</h4>
+                <button class="modal-close" id="close-delete-modal">
+                    <i class="fa fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="alert alert-warning">
+                    <i class="fa fa-exclamation-triangle"></i>
+                    <strong>Warning:</strong> This action cannot be undone. Past orders keep the method name they were placed with.
+                </div>
+                <p>Are you sure you want to delete the shipping method "<strong id="delete-method-name"></strong>"?</p>
+                <input type="hidden" id="delete_method_id">
+                <div class="form-actions">
+                    <button type="button" class="btn btn-error" id="confirm-delete-btn">
+                        <span id="delete-text">
+                            <i class="fa fa-trash"></i> Delete Method
+                        </span>
+                        <span id="delete-loading" style="display: none;">
+                            <i class="fa fa-spinner fa-spin"></i> Deleting...
+                        </span>
+                    </button>
+                    <button type="button" class="btn btn-secondary" id="cancel-delete">
+                        <i class="fa fa-times"></i> Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+        </div>
+    </div>
+
+    <!-- Sidebar Toggle JavaScript -->
+    <script>
+        function toggleSidebar() {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.querySelector('.sidebar-overlay');
+            
+            sidebar.classList.toggle('open');
+            overlay.classList.toggle('active');
+        }
+        
+        function closeSidebar() {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.querySelector('.sidebar-overlay');
+            
+            sidebar.classList.remove('open');
+            overlay.classList.remove('active');
+        }
+        
+        // Close sidebar when clicking on nav items on mobile
+        document.querySelectorAll('.sidebar-menu .nav-item').forEach(item => {
+            item.addEventListener('click', () => {
+                if (window.innerWidth <= 768) {
+                    closeSidebar();
+                }
+            });
+        });
+        
+        // Close sidebar on window resize if desktop
+        window.addEventListener('resize', () => {
+            if (window.innerWidth > 768) {
+                closeSidebar();
+            }
+        });
+    </script>
+    </div> <!-- Close main-content -->
+
+    <!-- Scripts -->
+    <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/sweetalert2@11"></script>
+    <script src="../js/api.js"></script>
+    <script src="../js/shipping.js"></script>
+</body>
+</html>
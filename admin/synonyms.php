@@ -0,0 +1,271 @@
+<?php
+/**
+ * Search Synonyms - Admin Panel
+ *
+ * Administrative interface for the synonym groups product search uses.
+ * A search for any term of a group also finds products described with
+ * the group's other terms.
+ */
+
+session_start();
+require_once '../settings/core.php';
+
+// Verify admin authentication
+if (!is_logged_in()) {
+    header('Location: ../login/login.php?error=' . urlencode('Please log in to access the admin panel'));
+    exit();
+}
+
+if (!has_admin_privileges()) {
+    header('Location: ../login/login.php?error=' . urlencode('Access denied. Administrator privileges required'));
+    exit();
+}
+
+$user_id = get_current_user_id();
+$customer_name = $_SESSION['customer_name'] ?? 'Administrator';
+?>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <?php echo csrf_meta_tag(); ?>
+    <title>Search Synonyms - Admin Panel</title>
+    <link href="../css/sweetgreen-style.css" rel="stylesheet">
+    <link href="../css/enhanced-buttons.css" rel="stylesheet">
+    <link href="../css/admin-elegant.css" rel="stylesheet">
+    <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" rel="stylesheet">
+</head>
+<body>
+    <!-- Mobile Menu Toggle -->
+    <button class="mobile-menu-toggle" onclick="toggleSidebar()">
+        <i class="fas fa-bars"></i>
+    </button>
+    
+    <!-- Sidebar Overlay for Mobile -->
+    <div class="sidebar-overlay" onclick="closeSidebar()"></div>
+    
+    <!-- Admin Sidebar Navigation -->
+    <nav class="sidebar-nav" id="sidebar">
+        <div class="sidebar-header">
+            <h2>
+                <i class="fas fa-cogs"></i>
+                Admin Panel
+            </h2>
+        </div>
+        
+        <div class="sidebar-menu">
+            <a href="../index.php" class="nav-item">
+                <i class="fas fa-home"></i>
+                <span>Home</span>
+            </a>
+            
+            <div class="admin-section-header">
+                <div class="admin-label">Admin</div>
+            </div>
+            
+            <div class="admin-nav-section">
+                <a href="category.php" class="admin-nav-item">
+                    <i class="fas fa-tags"></i>
+                    <span>Categories</span>
+                </a>
+                <a href="brand.php" class="admin-nav-item">
+                    <i class="fas fa-copyright"></i>
+                    <span>Brands</span>
+                </a>
+                <a href="product.php" class="admin-nav-item">
+                    <i class="fas fa-box"></i>
+                    <span>Manage Products</span>
+                </a>
+                <a href="import.php" class="admin-nav-item">
+                    <i class="fas fa-file-import"></i>
+                    <span>Import Products</span>
+                </a>
+                <a href="synonyms.php" class="admin-nav-item active">
+                    <i class="fas fa-exchange-alt"></i>
+                    <span>Search Synonyms</span>
+                </a>
+                <a href="shipping.php" class="admin-nav-item">
+                    <i class="fas fa-truck"></i>
+                    <span>Shipping</span>
+                </a>
+                <a href="coupons.php" class="admin-nav-item">
+                    <i class="fas fa-ticket-alt"></i>
+                    <span>Coupons</span>
+                </a>
+                <a href="orders.php" class="admin-nav-item">
+                    <i class="fas fa-clipboard-list"></i>
+                    <span>Orders</span>
+                </a>
+                <a href="analytics.php" class="admin-nav-item">
+                    <i class="fas fa-chart-line"></i>
+                    <span>Analytics</span>
+                </a>
+            </div>
+        </div>
+        
+        <div class="sidebar-footer">
+            <div class="user-info">
+                <div class="user-name"><?php echo htmlspecialchars($customer_name); ?></div>
+                <div class="user-status">Administrator</div>
+            </div>
+            <a href="../login/logout.php" class="nav-item">
+                <i class="fas fa-sign-out-alt"></i>
+                <span>Logout</span>
+            </a>
+        </div>
+    </nav>
+
+    <!-- Main Content Container -->
+    <div class="main-content">
+        <div class="admin-page-container">
+            <div class="admin-header">
+                <h1><i class="fa fa-exchange-alt"></i> Search Synonyms</h1>
+                <p>Teach product search the different words shoppers use for the same thing</p>
+            </div>
+
+        <!-- Add / Edit Synonym Group Form -->
+        <div class="card card-form">
+            <div class="card-header">
+                <h4 id="synonym-form-title"><i class="fa fa-plus-circle"></i> Add Synonym Group</h4>
+            </div>
+            <div class="card-body">
+                <form id="synonym-form" class="form">
+                    <?php echo csrf_token_field(); ?>
+                    <input type="hidden" id="synonym_id" name="synonym_id">
+                    <div class="form-group">
+                        <label for="terms" class="form-label">
+                            Terms <i class="fa fa-exchange-alt"></i>
+                        </label>
+                        <input
+                            type="text"
+                            class="form-input"
+                            id="terms"
+                            name="terms"
+                            placeholder="e.g., sneakers, trainers, shoes"
+                            required
+                        >
+                        <small class="form-help">Comma-separated words or short phrases. Searching any of them also finds products described with the others; plurals are matched automatically</small>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary" id="save-synonym-btn">
+                            <span id="save-text">
+                                <i class="fa fa-plus"></i> Add Group
+                            </span>
+                            <span id="save-loading" style="display: none;">
+                                <i class="fa fa-spinner fa-spin"></i> Saving...
+                            </span>
+                        </button>
+                        <button type="button" class="btn btn-secondary" id="cancel-edit">
+                            <i class="fa fa-times"></i> Clear
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+
+        <!-- Synonym Groups List -->
+        <div class="card">
+            <div class="card-header">
+                <h4><i class="fa fa-list"></i> Synonym Groups</h4>
+                <div class="card-actions">
+                    <button id="refresh-synonyms" class="btn btn-secondary btn-small">
+                        <i class="fa fa-refresh"></i> Refresh
+                    </button>
+                </div>
+            </div>
+            <div class="card-body">
+                <div id="synonyms-loading" class="loading-state">
+                    <i class="fa fa-spinner fa-spin"></i> Loading synonym groups...
+                </div>
+                <div id="synonyms-empty" class="empty-state" style="display: none;">
+                    <i class="fa fa-exchange-alt"></i>
+                    <h3>No Synonym Groups Yet</h3>
+                    <p>Search only matches the words in product titles, keywords and descriptions. Use the form above to add a group.</p>
+                </div>
+                <div id="synonyms-list" class="brands-grid" style="display: none;">
+                    <!-- Synonym groups will be loaded here via JavaScript -->
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <!-- Delete Confirmation Modal -->
+    <div id="delete-modal" class="modal" style="display: none;">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h4><i class="fa fa-trash"></i> Delete Synonym Group</h4>
+                <button class="modal-close" id="close-delete-modal">
+                    <i class="fa fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="alert alert-warning">
+                    <i class="fa fa-exclamation-triangle"></i>
+                    <strong>Warning:</strong> This action cannot be undone. Searches stop matching these terms to each other straight away.
+                </div>
+                <p>Are you sure you want to delete the synonym group "<strong id="delete-synonym-terms"></strong>"?</p>
+                <input type="hidden" id="delete_synonym_id">
+                <div class="form-actions">
+                    <button type="button" class="btn btn-error" id="confirm-delete-btn">
+                        <span id="delete-text">
+                            <i class="fa fa-trash"></i> Delete Group
+                        </span>
+                        <span id="delete-loading" style="display: none;">
+                            <i class="fa fa-spinner fa-spin"></i> Deleting...
+                        </span>
+                    </button>
+                    <button type="button" class="btn btn-secondary" id="cancel-delete">
+                        <i class="fa fa-times"></i> Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+        </div>
+    </div>
+
+    <!-- Sidebar Toggle JavaScript -->
+    <script>
+        function toggleSidebar() {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.querySelector('.sidebar-overlay');
+            
+            sidebar.classList.toggle('open');
+            overlay.classList.toggle('active');
+        }
+        
+        function closeSidebar() {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.querySelector('.sidebar-overlay');
+            
+            sidebar.classList.remove('open');
+            overlay.classList.remove('active');
+        }
+        
+        // Close sidebar when clicking on nav items on mobile
+        document.querySelectorAll('.sidebar-menu .nav-item').forEach(item => {
+            item.addEventListener('click', () => {
+                if (window.innerWidth <= 768) {
+                    closeSidebar();
+                }
+            });
+        });
+        
+        // Close sidebar on window resize if desktop
+        window.addEventListener('resize', () => {
+            if (window.innerWidth > 768) {
+                closeSidebar();
+            }
+        });
+    </script>
+    </div> <!-- Close main-content -->
+
+    <!-- Scripts -->
+    <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/sweetalert2@11"></script>
+    <script src="../js/api.js"></script>
+    <script src="../js/synonym.js"></script>
+</body>
+</html>
@@ -8,6 +8,7 @@
 
 session_start();
 require_once 'controllers/product_display_controller.php';
+require_once 'controllers/cart_controller.php';
 require_once 'settings/core.php';
 
 // Get request parameters
@@ -61,12 +62,17 @@ if ($result['success']) {
 $is_logged_in = isset($_SESSION['customer_id']);
 $customer_name = $is_logged_in ? $_SESSION['customer_name'] : '';
 $is_admin = $is_logged_in && has_admin_privileges();
+
+// Cart totals for the navigation badge
+$cart_count_result = get_cart_count_ctr();
+$cart_totals = $cart_count_result['success'] ? $cart_count_result['data'] : null;
 ?>
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="utf-8">
     <meta name="viewport" content="width=device-width, initial-scale=1">
+    <?php echo csrf_meta_tag(); ?>
     <title>All Products - SubCart E-Commerce</title>
     
     <!-- 🔥 Sexy Favicon -->
@@ -264,6 +270,10 @@ $is_admin = $is_logged_in && has_admin_privileges();
                         <i class="fas fa-credit-card"></i>
                         <span>Checkout</span>
                     </a>
+                    <a href="orders.php" class="nav-item">
+                        <i class="fas fa-receipt"></i>
+                        <span>My Orders</span>
+                    </a>
                 <?php endif; ?>
                 
                 <?php if ($is_admin): ?>
@@ -282,6 +292,26 @@ $is_admin = $is_logged_in && has_admin_privileges();
                         <i class="fas fa-box"></i>
                         <span>Manage Products</span>
                     </a>
+                    <a href="admin/import.php" class="nav-item">
+                        <i class="fas fa-file-import"></i>
+                        <span>Import Products</span>
+                    </a>
+                    <a href="admin/shipping.php" class="nav-item">
+                        <i class="fas fa-truck"></i>
+                        <span>Shipping</span>
+                    </a>
+                    <a href="admin/coupons.php" class="nav-item">
+                        <i class="fas fa-ticket-alt"></i>
+                        <span>Coupons</span>
+                    </a>
+                    <a href="admin/orders.php" class="nav-item">
+                        <i class="fas fa-clipboard-list"></i>
+                        <span>Orders</span>
+                    </a>
+                    <a href="admin/analytics.php" class="nav-item">
+                        <i class="fas fa-chart-line"></i>
+                        <span>Analytics</span>
+                    </a>
                 <?php endif; ?>
             <?php endif; ?>
         </div>
@@ -472,9 +502,7 @@ $is_admin = $is_logged_in && has_admin_privileges();
                     <div class="product-card" onclick="window.location.href='single_product.php?id=<?php echo $product['product_id']; ?>'">
                         <div class="product-image">
                             <?php if (!empty($product['product_image'])): ?>
-                                <img src="<?php echo htmlspecialchars($product['product_image']); ?>" 
-                                     alt="<?php echo htmlspecialchars($product['product_title']); ?>"
-                                     style="width: 100%; height: 100%; object-fit: cover;">
+                                <?php echo product_picture_html($product['product_image'], $product['product_title'], PRODUCT_IMAGE_SIZES_CARD, 'style="width: 100%; height: 100%; object-fit: cover;"'); ?>
                             <?php else: ?>
                                 <div style="display: flex; align-items: center; justify-content: center; height: 100%; background-color: var(--color-light-gray);">
                                     No Image Available
@@ -495,14 +523,29 @@ $is_admin = $is_logged_in && has_admin_privileges();
                             </div>
                             
                             <div class="product-price">
-                                $<?php echo number_format($product['product_price'], 2); ?>
+                                <?php echo !empty($product['price_from']) ? 'From ' : ''; ?>$<?php echo number_format($product['product_price'], 2); ?>
+                            </div>
+                            
+                            <div class="product-meta">
+                                <?php echo stock_badge_html($product); ?>
                             </div>
                             
                             <div class="product-actions">
-                                <button class="btn btn-primary btn-small" 
-                                        onclick="event.stopPropagation(); addToCartLocal(<?php echo $product['product_id']; ?>)">
-                                    Add to Cart
-                                </button>
+                                <?php if (!empty($product['has_variants'])): ?>
+                                    <button class="btn btn-primary btn-small" 
+                                            onclick="event.stopPropagation(); window.location.href='single_product.php?id=<?php echo $product['product_id']; ?>'">
+                                        Choose Options
+                                    </button>
+                                <?php elseif ($product['stock_status'] === 'sold_out'): ?>
+                                    <button class="btn btn-primary btn-small" disabled onclick="event.stopPropagation();">
+                                        Sold Out
+                                    </button>
+                                <?php else: ?>
+                                    <button class="btn btn-primary btn-small" 
+                                            onclick="event.stopPropagation(); addToCartLocal(<?php echo $product['product_id']; ?>)">
+                                        Add to Cart
+                                    </button>
+                                <?php endif; ?>
                                 <button class="btn btn-secondary btn-small" 
                                         onclick="event.stopPropagation(); window.location.href='single_product.php?id=<?php echo $product['product_id']; ?>'">
                                     View Details
@@ -570,10 +613,16 @@ $is_admin = $is_logged_in && has_admin_privileges();
     <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
     <!-- Include Font Awesome for icons -->
     <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css">
-    <!-- Include cart.js for cart functionality -->
+    <!-- Include the shared API client, cart store and cart.js for cart functionality -->
+    <script src="js/api.js"></script>
+    <script src="js/cart_store.js"></script>
     <script src="js/cart.js"></script>
+    <script src="js/search_suggestions.js"></script>
     
     <script>
+        // Suggestions dropdown for the search box
+        SearchSuggestions.attach('#search');
+        
         // Auto-submit form when filters change (optional enhancement)
         document.getElementById('category').addEventListener('change', function() {
             // Optionally auto-submit the form when category changes
@@ -674,5 +723,7 @@ $is_admin = $is_logged_in && has_admin_privileges();
     </script>
         </div> <!-- Close products-container -->
     </div> <!-- Close main-content -->
+    <!-- Cart totals for the menu badge -->
+    <?php echo cart_state_script(null, $cart_totals); ?>
 </body>
 </html>
\ No newline at end of file
@@ -8,6 +8,7 @@
 
 session_start();
 require_once 'controllers/cart_controller.php';
+require_once 'controllers/coupon_controller.php';
 require_once 'settings/core.php';
 
 // Get user identification (customer ID or IP address)
@@ -33,6 +34,12 @@ if ($cart_result['success']) {
     $error_message = $cart_result['error'];
 }
 
+// Applied coupon code (kept in the session); tax and shipping are priced at checkout
+$applied_coupon = get_applied_coupon_ctr($_SESSION['coupon_code'] ?? null, $cart_items, $customer_id);
+$coupon = $applied_coupon['coupon'];
+$coupon_message = $applied_coupon['message'];
+$discount_amount = $coupon ? min($coupon['discount_amount'], $cart_total) : 0;
+
 // User session info
 $is_logged_in = isset($_SESSION['customer_id']);
 $customer_name = isset($_SESSION['customer_name']) ? $_SESSION['customer_name'] : 'Guest';
@@ -42,6 +49,7 @@ $customer_name = isset($_SESSION['customer_name']) ? $_SESSION['customer_name']
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <?php echo csrf_meta_tag(); ?>
     <title>Shopping Cart - SubCart</title>
     
     <!-- 🔥 Sexy Favicon -->
@@ -98,6 +106,10 @@ $customer_name = isset($_SESSION['customer_name']) ? $_SESSION['customer_name']
                     <i class="fas fa-credit-card"></i>
                     <span>Checkout</span>
                 </a>
+                <a href="orders.php" class="nav-item">
+                    <i class="fas fa-receipt"></i>
+                    <span>My Orders</span>
+                </a>
             <?php endif; ?>
         </div>
         
@@ -151,7 +163,7 @@ $customer_name = isset($_SESSION['customer_name']) ? $_SESSION['customer_name']
 
         <?php if (empty($cart_items)): ?>
             <!-- Empty Cart State -->
-            <div class="card" style="max-width: 600px; margin: 0 auto; text-align: center; padding: var(--spacing-3xl);">
+            <div class="card" id="cart-empty-state" style="max-width: 600px; margin: 0 auto; text-align: center; padding: var(--spacing-3xl);">
                 <i class="fas fa-shopping-cart" style="font-size: 4rem; color: var(--color-medium-gray); margin-bottom: var(--spacing-lg);"></i>
                 <h2 style="color: var(--color-dark-gray); margin-bottom: var(--spacing-md);">Your cart is empty</h2>
                 <p style="color: var(--color-medium-gray); margin-bottom: var(--spacing-xl);">
@@ -166,9 +178,10 @@ $customer_name = isset($_SESSION['customer_name']) ? $_SESSION['customer_name']
             <div style="display: grid; grid-template-columns: 1fr; gap: var(--spacing-lg); max-width: 1000px; margin: 0 auto;">
                 
                 <!-- Cart Items List -->
-                <div>
+                <div id="cart-items-list">
                     <?php foreach ($cart_items as $item): ?>
-                        <div class="card cart-item" data-product-id="<?php echo $item['p_id']; ?>" style="margin-bottom: var(--spacing-lg); padding: var(--spacing-lg);">
+                        <?php $cart_key = (int)$item['p_id'] . ':' . (int)$item['variant_id']; ?>
+                        <div class="card cart-item" data-cart-key="<?php echo $cart_key; ?>" style="margin-bottom: var(--spacing-lg); padding: var(--spacing-lg);">
                             <div style="display: grid; grid-template-columns: 120px 1fr auto; gap: var(--spacing-lg); align-items: center;">
                                 
                                 <!-- Product Image -->
@@ -189,6 +202,12 @@ $customer_name = isset($_SESSION['customer_name']) ? $_SESSION['customer_name']
                                     <h3 style="color: var(--color-primary-green); margin-bottom: var(--spacing-sm); font-size: var(--font-size-h4);">
                                         <?php echo htmlspecialchars($item['product_title']); ?>
                                     </h3>
+
+                                    <?php if (!empty($item['variant_label'])): ?>
+                                        <p class="cart-item-variant" style="color: var(--color-dark-gray); font-size: var(--font-size-small); margin-bottom: var(--spacing-xs);">
+                                            <?php echo htmlspecialchars($item['variant_label']); ?>
+                                        </p>
+                                    <?php endif; ?>
                                     
                                     <?php if (!empty($item['cat_name']) || !empty($item['brand_name'])): ?>
                                         <p style="color: var(--color-medium-gray); font-size: var(--font-size-small); margin-bottom: var(--spacing-sm);">
@@ -212,17 +231,17 @@ $customer_name = isset($_SESSION['customer_name']) ? $_SESSION['customer_name']
                                         </label>
                                         <div class="quantity-controls">
                                             <button class="btn btn-secondary btn-small quantity-decrease" 
-                                                    data-product-id="<?php echo $item['p_id']; ?>">
+                                                    data-cart-key="<?php echo $cart_key; ?>">
                                                 <i class="fas fa-minus"></i>
                                             </button>
                                             <input type="number" 
                                                    class="form-input quantity-input" 
-                                                   data-product-id="<?php echo $item['p_id']; ?>"
+                                                   data-cart-key="<?php echo $cart_key; ?>"
                                                    value="<?php echo $item['qty']; ?>" 
                                                    min="1" 
-                                                   max="999">
+                                                   max="<?php echo $item['product_stock'] === null ? 999 : max(1, min(999, (int)$item['product_stock'])); ?>">
                                             <button class="btn btn-secondary btn-small quantity-increase" 
-                                                    data-product-id="<?php echo $item['p_id']; ?>">
+                                                    data-cart-key="<?php echo $cart_key; ?>">
                                                 <i class="fas fa-plus"></i>
                                             </button>
                                         </div>
@@ -235,7 +254,7 @@ $customer_name = isset($_SESSION['customer_name']) ? $_SESSION['customer_name']
                                         $<?php echo number_format($item['subtotal'], 2); ?>
                                     </p>
                                     <button class="btn btn-danger btn-small remove-item" 
-                                            data-product-id="<?php echo $item['p_id']; ?>">
+                                            data-cart-key="<?php echo $cart_key; ?>">
                                         <i class="fas fa-trash"></i> Remove
                                     </button>
                                 </div>
@@ -263,17 +282,26 @@ $customer_name = isset($_SESSION['customer_name']) ? $_SESSION['customer_name']
                                 $<?php echo number_format($cart_total, 2); ?>
                             </span>
                         </div>
+                        <div id="cart-discount-row" data-discount="<?php echo number_format($discount_amount, 2, '.', ''); ?>" style="justify-content: space-between; margin-top: var(--spacing-sm); display: <?php echo $discount_amount > 0 ? 'flex' : 'none'; ?>;">
+                            <span style="color: var(--color-dark-gray);">Discount:</span>
+                            <span style="color: var(--color-success); font-weight: var(--font-weight-medium);" id="cart-discount">
+                                -$<?php echo number_format($discount_amount, 2); ?>
+                            </span>
+                        </div>
                     </div>
                     
+                    <?php echo coupon_box_html($coupon, $coupon_message); ?>
+                    
                     <div style="margin-bottom: var(--spacing-xl);">
                         <div style="display: flex; justify-content: space-between; align-items: center;">
                             <span style="color: var(--color-dark-gray); font-size: var(--font-size-h4); font-weight: var(--font-weight-semibold);">
                                 Total:
                             </span>
                             <span style="color: var(--color-primary-green); font-size: var(--font-size-h2); font-weight: var(--font-weight-semibold);" id="cart-total">
-                                $<?php echo number_format($cart_total, 2); ?>
+                                $<?php echo number_format($cart_total - $discount_amount, 2); ?>
                             </span>
                         </div>
+                        <small style="display: block; color: var(--color-medium-gray); margin-top: var(--spacing-xs);">Tax and shipping are calculated at checkout</small>
                     </div>
                     
                     <div style="display: flex; flex-direction: column; gap: var(--spacing-md);">
@@ -292,11 +320,20 @@ $customer_name = isset($_SESSION['customer_name']) ? $_SESSION['customer_name']
         <?php endif; ?>
     </div>
 
+    <!-- Initial cart state for the cart store -->
+    <?php echo cart_state_script($cart_items); ?>
+
     <!-- jQuery for AJAX operations -->
     <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
     
+    <!-- Shared API client for action endpoints -->
+    <script src="js/api.js"></script>
+    
+    <!-- Cart store shared by the cart page, checkout summary and menu badge -->
+    <script src="js/cart_store.js"></script>
+    
     <!-- Cart JavaScript for dynamic interactions -->
-    <script src="js/cart_simple.js"></script>
+    <script src="js/cart.js"></script>
     
     <!-- Sidebar Toggle JavaScript -->
     <script>
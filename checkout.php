@@ -2,12 +2,14 @@
 /**
  * Checkout Page
  * 
- * Handles order processing and payment simulation for logged-in customers.
- * Calculates totals including tax and shipping, processes orders.
+ * Handles order processing and payment for logged-in customers.
+ * Totals come from a server-side checkout quote (controllers/quote_controller.php);
+ * js/checkout.js refreshes the quote whenever the cart changes.
  */
 
 session_start();
 require_once 'controllers/cart_controller.php';
+require_once 'controllers/quote_controller.php';
 require_once 'settings/core.php';
 
 // Require authentication for checkout
@@ -48,17 +50,36 @@ if ($cart_result['success']) {
     $error_message = $cart_result['error'];
 }
 
-// Calculate additional checkout information
-$tax_rate = 0.08; // 8% tax rate
-$tax_amount = $cart_total * $tax_rate;
-$shipping_cost = $cart_total >= 50 ? 0 : 5.99; // Free shipping over $50
-$final_total = $cart_total + $tax_amount + $shipping_cost;
+// Price the cart on the server; the checkout binds to this quote
+$quote = null;
+if ($checkout_ready) {
+    $quote_result = create_checkout_quote_ctr($customer_id, null, $_SESSION['coupon_code'] ?? null);
+    
+    if ($quote_result['success']) {
+        $quote = $quote_result['data'];
+    } else {
+        $checkout_ready = false;
+        $error_message = $quote_result['error'];
+    }
+}
+
+$discount_amount = $quote ? $quote['discount_amount'] : 0;
+$tax_amount = $quote ? $quote['tax_amount'] : 0;
+$tax_label = $quote ? $quote['tax_label'] : 'Tax';
+$shipping_cost = $quote ? $quote['shipping_cost'] : 0;
+$final_total = $quote ? $quote['total'] : 0;
+$shipping_methods = $quote ? $quote['shipping_methods'] : [];
+$shipping_method_id = $quote ? $quote['shipping_method_id'] : null;
+$shipping_method_name = $quote ? $quote['shipping_method_name'] : '';
+$coupon = $quote ? $quote['coupon'] : null;
+$coupon_message = $quote ? $quote['coupon_message'] : null;
 ?>
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <?php echo csrf_meta_tag(); ?>
     <title>Checkout - Sweetgreen</title>
     
     <!-- Sweetgreen Design System CSS -->
@@ -108,6 +129,10 @@ $final_total = $cart_total + $tax_amount + $shipping_cost;
                 <i class="fas fa-credit-card"></i>
                 <span>Checkout</span>
             </a>
+            <a href="orders.php" class="nav-item">
+                <i class="fas fa-receipt"></i>
+                <span>My Orders</span>
+            </a>
         </div>
         
         <div class="sidebar-footer">
@@ -166,9 +191,9 @@ $final_total = $cart_total + $tax_amount + $shipping_cost;
                         </h2>
                         
                         <!-- Order Items -->
-                        <div style="margin-bottom: var(--spacing-lg);">
+                        <div id="checkout-items" style="margin-bottom: var(--spacing-lg);">
                             <?php foreach ($cart_items as $item): ?>
-                                <div style="display: grid; grid-template-columns: 80px 1fr auto; gap: var(--spacing-md); align-items: center; padding: var(--spacing-md) 0; border-bottom: 1px solid var(--color-border-gray);">
+                                <div class="checkout-item" data-cart-key="<?php echo (int)$item['p_id'] . ':' . (int)$item['variant_id']; ?>" style="display: grid; grid-template-columns: 80px 1fr auto; gap: var(--spacing-md); align-items: center; padding: var(--spacing-md) 0; border-bottom: 1px solid var(--color-border-gray);">
                                     
                                     <!-- Product Image -->
                                     <div style="width: 80px; height: 80px; border-radius: var(--border-radius-md); overflow: hidden; background-color: var(--color-light-gray);">
@@ -188,6 +213,12 @@ $final_total = $cart_total + $tax_amount + $shipping_cost;
                                         <h4 style="color: var(--color-dark-gray); margin-bottom: var(--spacing-xs); font-size: var(--font-size-body);">
                                             <?php echo htmlspecialchars($item['product_title']); ?>
                                         </h4>
+
+                                        <?php if (!empty($item['variant_label'])): ?>
+                                            <p style="color: var(--color-dark-gray); font-size: var(--font-size-small); margin-bottom: var(--spacing-xs);">
+                                                <?php echo htmlspecialchars($item['variant_label']); ?>
+                                            </p>
+                                        <?php endif; ?>
                                         
                                         <?php if (!empty($item['cat_name']) || !empty($item['brand_name'])): ?>
                                             <p style="color: var(--color-medium-gray); font-size: var(--font-size-small); margin-bottom: var(--spacing-xs);">
@@ -200,14 +231,14 @@ $final_total = $cart_total + $tax_amount + $shipping_cost;
                                             </p>
                                         <?php endif; ?>
                                         
-                                        <p style="color: var(--color-medium-gray); font-size: var(--font-size-small);">
+                                        <p class="checkout-item-quantity" style="color: var(--color-medium-gray); font-size: var(--font-size-small);">
                                             Quantity: <?php echo $item['qty']; ?> × $<?php echo number_format($item['product_price'], 2); ?>
                                         </p>
                                     </div>
 
                                     <!-- Item Subtotal -->
                                     <div style="text-align: right;">
-                                        <p style="color: var(--color-primary-green); font-weight: var(--font-weight-semibold); font-size: var(--font-size-body);">
+                                        <p class="checkout-item-subtotal" style="color: var(--color-primary-green); font-weight: var(--font-weight-semibold); font-size: var(--font-size-body);">
                                             $<?php echo number_format($item['subtotal'], 2); ?>
                                         </p>
                                     </div>
@@ -251,17 +282,52 @@ $final_total = $cart_total + $tax_amount + $shipping_cost;
                             <i class="fas fa-calculator"></i> Order Total
                         </h3>
                         
+                        <!-- Shipping Method -->
+                        <div style="margin-bottom: var(--spacing-lg);">
+                            <h4 style="color: var(--color-dark-gray); margin-bottom: var(--spacing-sm); font-size: var(--font-size-body);">
+                                <i class="fas fa-truck"></i> Shipping Method
+                            </h4>
+                            <div id="shipping-method-options" style="display: flex; flex-direction: column; gap: var(--spacing-sm);">
+                                <?php foreach ($shipping_methods as $method): ?>
+                                    <label class="shipping-option" style="display: flex; align-items: center; justify-content: space-between; gap: var(--spacing-sm); padding: var(--spacing-sm) var(--spacing-md); border: 2px solid var(--color-border-gray); border-radius: var(--border-radius-md); cursor: pointer;">
+                                        <span style="display: flex; align-items: center; gap: var(--spacing-sm);">
+                                            <input type="radio" name="shipping_method" value="<?php echo (int)$method['method_id']; ?>" <?php echo $method['method_id'] === $shipping_method_id ? 'checked' : ''; ?>>
+                                            <span>
+                                                <strong style="color: var(--color-dark-gray);"><?php echo htmlspecialchars($method['method_name']); ?></strong>
+                                                <?php if (!empty($method['delivery_estimate'])): ?>
+                                                    <small style="display: block; color: var(--color-medium-gray);"><?php echo htmlspecialchars($method['delivery_estimate']); ?></small>
+                                                <?php endif; ?>
+                                            </span>
+                                        </span>
+                                        <span class="shipping-option-cost" style="color: var(--color-dark-gray); font-weight: var(--font-weight-medium);">
+                                            <?php echo $method['cost'] == 0 ? 'FREE' : '$' . number_format($method['cost'], 2); ?>
+                                        </span>
+                                    </label>
+                                <?php endforeach; ?>
+                            </div>
+                        </div>
+                        
+                        <!-- Coupon Code -->
+                        <?php echo coupon_box_html($coupon, $coupon_message); ?>
+                        
                         <!-- Order Breakdown -->
                         <div style="margin-bottom: var(--spacing-lg);">
                             <div style="display: flex; justify-content: space-between; margin-bottom: var(--spacing-sm);">
-                                <span style="color: var(--color-dark-gray);">Subtotal (<?php echo $total_items; ?> items):</span>
+                                <span style="color: var(--color-dark-gray);">Subtotal (<span id="checkout-item-count"><?php echo $total_items; ?></span> items):</span>
                                 <span style="color: var(--color-dark-gray); font-weight: var(--font-weight-medium);" id="checkout-subtotal">
                                     $<?php echo number_format($cart_total, 2); ?>
                                 </span>
                             </div>
                             
+                            <div id="checkout-discount-row" style="justify-content: space-between; margin-bottom: var(--spacing-sm); display: <?php echo $discount_amount > 0 ? 'flex' : 'none'; ?>;">
+                                <span style="color: var(--color-dark-gray);">Discount (<span id="checkout-discount-code"><?php echo htmlspecialchars($quote['coupon_code'] ?? ''); ?></span>):</span>
+                                <span style="color: var(--color-success); font-weight: var(--font-weight-medium);" id="checkout-discount">
+                                    -$<?php echo number_format($discount_amount, 2); ?>
+                                </span>
+                            </div>
+                            
                             <div style="display: flex; justify-content: space-between; margin-bottom: var(--spacing-sm);">
-                                <span style="color: var(--color-dark-gray);">Tax (8%):</span>
+                                <span style="color: var(--color-dark-gray);"><span id="checkout-tax-label"><?php echo htmlspecialchars($tax_label); ?></span>:</span>
                                 <span style="color: var(--color-dark-gray); font-weight: var(--font-weight-medium);" id="checkout-tax">
                                     $<?php echo number_format($tax_amount, 2); ?>
                                 </span>
@@ -269,10 +335,8 @@ $final_total = $cart_total + $tax_amount + $shipping_cost;
                             
                             <div style="display: flex; justify-content: space-between; margin-bottom: var(--spacing-md);">
                                 <span style="color: var(--color-dark-gray);">
-                                    Shipping:
-                                    <?php if ($shipping_cost == 0): ?>
-                                        <small style="color: var(--color-success); font-weight: var(--font-weight-medium);">(FREE)</small>
-                                    <?php endif; ?>
+                                    Shipping (<span id="checkout-shipping-method"><?php echo htmlspecialchars($shipping_method_name); ?></span>):
+                                    <small id="checkout-free-shipping" style="color: var(--color-success); font-weight: var(--font-weight-medium);<?php echo $shipping_cost == 0 ? '' : ' display: none;'; ?>">(FREE)</small>
                                 </span>
                                 <span style="color: var(--color-dark-gray); font-weight: var(--font-weight-medium);" id="checkout-shipping">
                                     $<?php echo number_format($shipping_cost, 2); ?>
@@ -299,7 +363,7 @@ $final_total = $cart_total + $tax_amount + $shipping_cost;
                             
                             <div style="background-color: var(--color-light-gray); padding: var(--spacing-md); border-radius: var(--border-radius-md); margin-bottom: var(--spacing-md);">
                                 <p style="color: var(--color-medium-gray); font-size: var(--font-size-small); text-align: center; margin: 0;">
-                                    <i class="fas fa-info-circle"></i> This is a demo checkout with simulated payment processing
+                                    <i class="fas fa-info-circle"></i> Payments run through the test gateway; choose a test card in the next step
                                 </p>
                             </div>
                         </div>
@@ -308,6 +372,7 @@ $final_total = $cart_total + $tax_amount + $shipping_cost;
                         <div style="display: flex; flex-direction: column; gap: var(--spacing-md);">
                             <button class="btn btn-primary btn-large btn-block" id="place-order-btn" 
                                     data-customer-id="<?php echo $customer_id; ?>"
+                                    data-quote-id="<?php echo htmlspecialchars($quote['quote_id'] ?? ''); ?>"
                                     data-total="<?php echo $final_total; ?>">
                                 <i class="fas fa-lock"></i> Place Order - $<?php echo number_format($final_total, 2); ?>
                             </button>
@@ -343,10 +408,23 @@ $final_total = $cart_total + $tax_amount + $shipping_cost;
         <!-- Modal content will be inserted by JavaScript -->
     </div>
 
+    <!-- Initial cart state for the cart store -->
+    <?php echo cart_state_script($cart_items); ?>
+
     <!-- jQuery for AJAX operations -->
     <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
     
-    <!-- Checkout JavaScript for payment simulation -->
+    <!-- Shared API client for action endpoints -->
+    <script src="js/api.js"></script>
+    
+    <!-- Cart store and menu badge -->
+    <script src="js/cart_store.js"></script>
+    <script src="js/cart.js"></script>
+    
+    <!-- Payment providers -->
+    <script src="js/payments.js"></script>
+    
+    <!-- Checkout JavaScript for the payment flow -->
     <script src="js/checkout.js"></script>
     
     <!-- Sidebar Toggle JavaScript -->
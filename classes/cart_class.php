@@ -14,14 +14,16 @@ class Cart extends db_connection
      * 
      * Handles both logged-in users (via customer_id) and guest users (via IP address).
      * If the product already exists in cart, the quantity is incremented.
+     * Each variant of a product is its own cart line.
      * 
      * @param int $product_id Product ID
      * @param int $quantity Quantity to add (default 1)
      * @param int $customer_id Customer ID (null for guest users)
      * @param string $ip_address IP address for guest users
+     * @param int $variant_id Variant ID (0 for a product without variants)
      * @return array Result array with success status and data/error details
      */
-    public function add_to_cart($product_id, $quantity = 1, $customer_id = null, $ip_address = null)
+    public function add_to_cart($product_id, $quantity = 1, $customer_id = null, $ip_address = null, $variant_id = 0)
     {
         // Validate input
         if (empty($product_id) || !is_numeric($product_id)) {
@@ -60,15 +62,15 @@ class Cart extends db_connection
 
         try {
             // Check if product exists in cart
-            $existing_item = $this->get_cart_item($product_id, $customer_id, $ip_address);
+            $existing_item = $this->get_cart_item($product_id, $customer_id, $ip_address, $variant_id);
             
             if ($existing_item['success'] && $existing_item['data']['item']) {
                 // Product exists, increment quantity
                 $new_quantity = $existing_item['data']['item']['qty'] + $quantity;
-                return $this->update_cart_quantity($product_id, $new_quantity, $customer_id, $ip_address);
+                return $this->update_cart_quantity($product_id, $new_quantity, $customer_id, $ip_address, $variant_id);
             } else {
                 // Product doesn't exist, add new item
-                return $this->insert_cart_item($product_id, $quantity, $customer_id, $ip_address);
+                return $this->insert_cart_item($product_id, $quantity, $customer_id, $ip_address, $variant_id);
             }
             
         } catch (Exception $e) {
@@ -90,9 +92,10 @@ class Cart extends db_connection
      * @param int $product_id Product ID
      * @param int $customer_id Customer ID (null for guest users)
      * @param string $ip_address IP address for guest users
+     * @param int $variant_id Variant ID (0 for a product without variants)
      * @return array Result array with success status and cart item data
      */
-    public function get_cart_item($product_id, $customer_id = null, $ip_address = null)
+    public function get_cart_item($product_id, $customer_id = null, $ip_address = null, $variant_id = 0)
     {
         // Validate input
         if (empty($product_id) || !is_numeric($product_id)) {
@@ -111,9 +114,9 @@ class Cart extends db_connection
         }
 
         try {
-            $sql = "SELECT p_id, ip_add, c_id, qty FROM cart WHERE p_id = ?";
-            $params = [$product_id];
-            $types = "i";
+            $sql = "SELECT p_id, variant_id, ip_add, c_id, qty FROM cart WHERE p_id = ? AND variant_id = ?";
+            $params = [$product_id, $variant_id];
+            $types = "ii";
 
             // Add customer or IP filter
             if ($customer_id !== null) {
@@ -190,6 +193,7 @@ class Cart extends db_connection
                     'item' => $item,
                     'found' => $item !== null,
                     'product_id' => $product_id,
+                    'variant_id' => (int)$variant_id,
                     'customer_id' => $customer_id,
                     'ip_address' => $ip_address
                 ]
@@ -215,12 +219,13 @@ class Cart extends db_connection
      * @param int $quantity Quantity
      * @param int $customer_id Customer ID (null for guest users)
      * @param string $ip_address IP address for guest users
+     * @param int $variant_id Variant ID (0 for a product without variants)
      * @return array Result array with success status and data/error details
      */
-    private function insert_cart_item($product_id, $quantity, $customer_id = null, $ip_address = null)
+    private function insert_cart_item($product_id, $quantity, $customer_id = null, $ip_address = null, $variant_id = 0)
     {
         try {
-            $stmt = $this->db->prepare("INSERT INTO cart (p_id, qty, c_id, ip_add) VALUES (?, ?, ?, ?)");
+            $stmt = $this->db->prepare("INSERT INTO cart (p_id, variant_id, qty, c_id, ip_add) VALUES (?, ?, ?, ?, ?)");
             if (!$stmt) {
                 return [
                     'success' => false,
@@ -237,7 +242,7 @@ class Cart extends db_connection
             // Use IP address for guest users, ensure we have a valid IP
             $ip_to_use = $customer_id ? '' : ($ip_address ?: $_SERVER['REMOTE_ADDR']);
 
-            if (!$stmt->bind_param("iiis", $product_id, $quantity, $customer_id, $ip_to_use)) {
+            if (!$stmt->bind_param("iiiis", $product_id, $variant_id, $quantity, $customer_id, $ip_to_use)) {
                 $stmt->close();
                 return [
                     'success' => false,
@@ -257,6 +262,7 @@ class Cart extends db_connection
                     'success' => true,
                     'data' => [
                         'product_id' => $product_id,
+                        'variant_id' => (int)$variant_id,
                         'quantity' => $quantity,
                         'customer_id' => $customer_id,
                         'ip_address' => $ip_to_use,
@@ -293,9 +299,10 @@ class Cart extends db_connection
      * @param int $quantity New quantity
      * @param int $customer_id Customer ID (null for guest users)
      * @param string $ip_address IP address for guest users
+     * @param int $variant_id Variant ID (0 for a product without variants)
      * @return array Result array with success status and data/error details
      */
-    public function update_cart_quantity($product_id, $quantity, $customer_id = null, $ip_address = null)
+    public function update_cart_quantity($product_id, $quantity, $customer_id = null, $ip_address = null, $variant_id = 0)
     {
         // Validate input
         if (empty($product_id) || !is_numeric($product_id)) {
@@ -318,7 +325,7 @@ class Cart extends db_connection
 
         // If quantity is 0, remove the item
         if ($quantity == 0) {
-            return $this->remove_from_cart($product_id, $customer_id, $ip_address);
+            return $this->remove_from_cart($product_id, $customer_id, $ip_address, $variant_id);
         }
 
         // Connect to database with enhanced error handling
@@ -328,9 +335,9 @@ class Cart extends db_connection
         }
 
         try {
-            $sql = "UPDATE cart SET qty = ? WHERE p_id = ?";
-            $params = [$quantity, $product_id];
-            $types = "ii";
+            $sql = "UPDATE cart SET qty = ? WHERE p_id = ? AND variant_id = ?";
+            $params = [$quantity, $product_id, $variant_id];
+            $types = "iii";
 
             // Add customer or IP filter
             if ($customer_id !== null) {
@@ -379,6 +386,7 @@ class Cart extends db_connection
                         'success' => true,
                         'data' => [
                             'product_id' => $product_id,
+                            'variant_id' => (int)$variant_id,
                             'quantity' => $quantity,
                             'customer_id' => $customer_id,
                             'ip_address' => $ip_address,
@@ -393,6 +401,7 @@ class Cart extends db_connection
                         'error_message' => 'Cart item not found for update',
                         'error_details' => [
                             'product_id' => $product_id,
+                            'variant_id' => (int)$variant_id,
                             'customer_id' => $customer_id,
                             'ip_address' => $ip_address,
                             'affected_rows' => $affected_rows
@@ -428,9 +437,10 @@ class Cart extends db_connection
      * @param int $product_id Product ID
      * @param int $customer_id Customer ID (null for guest users)
      * @param string $ip_address IP address for guest users
+     * @param int $variant_id Variant ID (0 for a product without variants)
      * @return array Result array with success status and data/error details
      */
-    public function remove_from_cart($product_id, $customer_id = null, $ip_address = null)
+    public function remove_from_cart($product_id, $customer_id = null, $ip_address = null, $variant_id = 0)
     {
         // Validate input
         if (empty($product_id) || !is_numeric($product_id)) {
@@ -449,9 +459,9 @@ class Cart extends db_connection
         }
 
         try {
-            $sql = "DELETE FROM cart WHERE p_id = ?";
-            $params = [$product_id];
-            $types = "i";
+            $sql = "DELETE FROM cart WHERE p_id = ? AND variant_id = ?";
+            $params = [$product_id, $variant_id];
+            $types = "ii";
 
             // Add customer or IP filter
             if ($customer_id !== null) {
@@ -499,6 +509,7 @@ class Cart extends db_connection
                     'success' => true,
                     'data' => [
                         'product_id' => $product_id,
+                        'variant_id' => (int)$variant_id,
                         'customer_id' => $customer_id,
                         'ip_address' => $ip_address,
                         'affected_rows' => $affected_rows,
@@ -658,14 +669,23 @@ class Cart extends db_connection
         }
 
         try {
-            $sql = "SELECT c.p_id, c.qty, c.c_id, c.ip_add, 
-                           p.product_title, p.product_price, p.product_image, p.product_description,
+            // A variant line takes the variant's price, stock and image where it sets them
+            $sql = "SELECT c.p_id, c.variant_id, c.qty, c.c_id, c.ip_add, 
+                           p.product_title, COALESCE(v.variant_price, p.product_price) AS product_price,
+                           COALESCE(v.variant_image, p.product_image) AS product_image, p.product_description, p.category_id, p.brand_id, p.product_weight,
+                           IF(c.variant_id = 0, p.product_stock, v.variant_stock) AS product_stock,
+                           v.sku,
+                           (SELECT GROUP_CONCAT(CONCAT(o.option_name, ': ', vv.option_value) ORDER BY o.sort_order, o.option_id SEPARATOR ' / ')
+                            FROM product_variant_values vv
+                            INNER JOIN product_options o ON vv.option_id = o.option_id
+                            WHERE vv.variant_id = c.variant_id) AS variant_label,
                            cat.cat_name, b.brand_name
                     FROM cart c
                     INNER JOIN products p ON c.p_id = p.product_id
+                    LEFT JOIN product_variants v ON c.variant_id = v.variant_id AND v.product_id = c.p_id
                     LEFT JOIN categories cat ON p.category_id = cat.cat_id
                     LEFT JOIN brands b ON p.brand_id = b.brand_id
-                    WHERE ";
+                    WHERE (c.variant_id = 0 OR v.variant_id IS NOT NULL) AND ";
             $params = [];
             $types = "";
 
@@ -680,7 +700,7 @@ class Cart extends db_connection
                 $types .= "s";
             }
 
-            $sql .= " ORDER BY p.product_title ASC";
+            $sql .= " ORDER BY p.product_title ASC, v.sort_order ASC";
             
             $stmt = $this->db->prepare($sql);
             if (!$stmt) {
@@ -925,15 +945,16 @@ class Cart extends db_connection
             // Process each guest cart item
             foreach ($guest_items as $item) {
                 $product_id = $item['p_id'];
+                $variant_id = (int)$item['variant_id'];
                 $quantity = $item['qty'];
 
                 // Check if product already exists in user's cart
-                $existing_item = $this->get_cart_item($product_id, $customer_id, null);
+                $existing_item = $this->get_cart_item($product_id, $customer_id, null, $variant_id);
                 
                 if ($existing_item['success'] && $existing_item['data']['item']) {
                     // Product exists, merge quantities
                     $new_quantity = $existing_item['data']['item']['qty'] + $quantity;
-                    $update_result = $this->update_cart_quantity($product_id, $new_quantity, $customer_id, null);
+                    $update_result = $this->update_cart_quantity($product_id, $new_quantity, $customer_id, null, $variant_id);
                     
                     if ($update_result['success']) {
                         $merged_items++;
@@ -942,7 +963,7 @@ class Cart extends db_connection
                     }
                 } else {
                     // Product doesn't exist, transfer it
-                    $transfer_result = $this->transfer_cart_item($product_id, $quantity, $ip_address, $customer_id);
+                    $transfer_result = $this->transfer_cart_item($product_id, $quantity, $ip_address, $customer_id, $variant_id);
                     
                     if ($transfer_result['success']) {
                         $transferred_items++;
@@ -1007,13 +1028,14 @@ class Cart extends db_connection
      * @param int $quantity Quantity
      * @param string $ip_address Guest IP address
      * @param int $customer_id Customer ID
+     * @param int $variant_id Variant ID (0 for a product without variants)
      * @return array Result array with success status
      */
-    private function transfer_cart_item($product_id, $quantity, $ip_address, $customer_id)
+    private function transfer_cart_item($product_id, $quantity, $ip_address, $customer_id, $variant_id = 0)
     {
         try {
             // Update the cart item to associate with customer instead of IP
-            $sql = "UPDATE cart SET c_id = ?, ip_add = '' WHERE p_id = ? AND ip_add = ? AND c_id IS NULL";
+            $sql = "UPDATE cart SET c_id = ?, ip_add = '' WHERE p_id = ? AND variant_id = ? AND ip_add = ? AND c_id IS NULL";
             
             $stmt = $this->db->prepare($sql);
             if (!$stmt) {
@@ -1029,7 +1051,7 @@ class Cart extends db_connection
                 ];
             }
 
-            if (!$stmt->bind_param("iis", $customer_id, $product_id, $ip_address)) {
+            if (!$stmt->bind_param("iiis", $customer_id, $product_id, $variant_id, $ip_address)) {
                 $stmt->close();
                 return [
                     'success' => false,
@@ -1465,7 +1487,7 @@ class Cart extends db_connection
 
         try {
             // Prepare statement to check product existence
-            $sql = "SELECT product_id, product_title, product_price FROM products WHERE product_id = ?";
+            $sql = "SELECT product_id, product_title, product_price, product_stock FROM products WHERE product_id = ?";
             $stmt = $this->db->prepare($sql);
             
             if (!$stmt) {
@@ -337,7 +337,7 @@ class CartIntegrity extends db_connection
 
         try {
             // Build query to find duplicate entries
-            $sql = "SELECT p_id, c_id, ip_add, COUNT(*) as entry_count, SUM(qty) as total_qty
+            $sql = "SELECT p_id, variant_id, c_id, ip_add, COUNT(*) as entry_count, SUM(qty) as total_qty
                     FROM cart 
                     WHERE 1=1";
             
@@ -350,7 +350,7 @@ class CartIntegrity extends db_connection
                 $sql .= " AND ip_add = '{$ip_escaped}'";
             }
             
-            $sql .= " GROUP BY p_id, c_id, ip_add 
+            $sql .= " GROUP BY p_id, variant_id, c_id, ip_add 
                       HAVING COUNT(*) > 1";
             
             // Execute query
@@ -588,12 +588,13 @@ class CartIntegrity extends db_connection
             // For each duplicate, merge quantities and remove extras
             foreach ($duplicates as $duplicate) {
                 $p_id = (int)$duplicate['p_id'];
+                $variant_id = (int)$duplicate['variant_id'];
                 $c_id = $duplicate['c_id'] ? (int)$duplicate['c_id'] : 'NULL';
                 $ip_add = $duplicate['ip_add'];
                 $total_qty = (int)$duplicate['total_qty'];
                 
-                // Delete all entries for this product/user combination
-                $delete_sql = "DELETE FROM cart WHERE p_id = {$p_id}";
+                // Delete all entries for this product/variant/user combination
+                $delete_sql = "DELETE FROM cart WHERE p_id = {$p_id} AND variant_id = {$variant_id}";
                 if ($c_id !== 'NULL') {
                     $delete_sql .= " AND c_id = {$c_id}";
                 } else {
@@ -610,7 +611,7 @@ class CartIntegrity extends db_connection
                 }
                 
                 // Insert single merged entry
-                $insert_sql = "INSERT INTO cart (p_id, c_id, ip_add, qty) VALUES ({$p_id}, ";
+                $insert_sql = "INSERT INTO cart (p_id, variant_id, c_id, ip_add, qty) VALUES ({$p_id}, {$variant_id}, ";
                 $insert_sql .= ($c_id !== 'NULL' ? $c_id : 'NULL') . ", '{$ip_escaped}', {$total_qty})";
                 
                 $insert_result = $this->execute_query_with_error_handling($insert_sql, 'INSERT');
@@ -81,6 +81,41 @@ class CartValidation
         ];
     }
     
+    /**
+     * Validate variant ID input
+     * A missing variant ID means the product itself (variant 0).
+     * 
+     * @param mixed $variant_id Variant ID to validate
+     * @return array Validation result with success status and sanitized value/error details
+     */
+    public static function validate_variant_id($variant_id)
+    {
+        if (is_null($variant_id) || $variant_id === '') {
+            return [
+                'success' => true,
+                'sanitized_value' => 0
+            ];
+        }
+        
+        if (!is_numeric($variant_id) || (int)$variant_id != $variant_id || (int)$variant_id < 0 || (int)$variant_id > 2147483647) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'Variant ID must be a valid number',
+                'error_details' => [
+                    'field' => 'variant_id',
+                    'value' => $variant_id,
+                    'issue' => 'invalid'
+                ]
+            ];
+        }
+        
+        return [
+            'success' => true,
+            'sanitized_value' => (int)$variant_id
+        ];
+    }
+    
     /**
      * Validate quantity input for cart operations
      * Requirements: 8.1
@@ -520,11 +555,8 @@ class CartValidation
         // Trim and convert to lowercase
         $trimmed_method = strtolower(trim((string)$payment_method));
         
-        // List of valid payment methods for simulation
+        // List of valid payment methods
         $valid_methods = [
-            'simulated_success',
-            'simulated_failure',
-            'simulated_timeout',
             'credit_card',
             'debit_card',
             'paypal',
@@ -551,6 +583,92 @@ class CartValidation
         ];
     }
     
+    /**
+     * Validate payment reference issued by initialize_payment_ctr()
+     * 
+     * @param mixed $reference Payment reference to validate
+     * @return array Validation result with success status and sanitized value/error details
+     */
+    public static function validate_payment_reference($reference)
+    {
+        $trimmed_reference = trim((string)$reference);
+        
+        if ($trimmed_reference === '' || !preg_match('/^pay_[a-f0-9]{24}$/', $trimmed_reference)) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'A valid payment reference is required',
+                'error_details' => [
+                    'field' => 'payment_reference',
+                    'value' => $trimmed_reference,
+                    'issue' => $trimmed_reference === '' ? 'missing_or_empty' : 'invalid_format'
+                ]
+            ];
+        }
+        
+        return [
+            'success' => true,
+            'sanitized_value' => $trimmed_reference
+        ];
+    }
+    
+    /**
+     * Validate checkout quote ID issued by create_checkout_quote_ctr()
+     * 
+     * @param mixed $quote_id Quote ID to validate
+     * @return array Validation result with success status and sanitized value/error details
+     */
+    public static function validate_quote_id($quote_id)
+    {
+        $trimmed_quote_id = trim((string)$quote_id);
+        
+        if ($trimmed_quote_id === '' || !preg_match('/^qt_[a-f0-9]{24}$/', $trimmed_quote_id)) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'A valid checkout quote is required',
+                'error_details' => [
+                    'field' => 'quote_id',
+                    'value' => $trimmed_quote_id,
+                    'issue' => $trimmed_quote_id === '' ? 'missing_or_empty' : 'invalid_format'
+                ]
+            ];
+        }
+        
+        return [
+            'success' => true,
+            'sanitized_value' => $trimmed_quote_id
+        ];
+    }
+    
+    /**
+     * Validate checkout idempotency key generated by the client per checkout attempt
+     * 
+     * @param mixed $key Idempotency key to validate
+     * @return array Validation result with success status and sanitized value/error details
+     */
+    public static function validate_idempotency_key($key)
+    {
+        $trimmed_key = trim((string)$key);
+        
+        if ($trimmed_key === '' || !preg_match('/^[A-Za-z0-9_-]{16,64}$/', $trimmed_key)) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'A valid idempotency key is required',
+                'error_details' => [
+                    'field' => 'idempotency_key',
+                    'issue' => $trimmed_key === '' ? 'missing_or_empty' : 'invalid_format'
+                ]
+            ];
+        }
+        
+        return [
+            'success' => true,
+            'sanitized_value' => $trimmed_key
+        ];
+    }
+    
     /**
      * Comprehensive validation for add to cart operation
      * Requirements: 8.1
@@ -571,6 +689,14 @@ class CartValidation
             $sanitized['product_id'] = $product_validation['sanitized_value'];
         }
         
+        // Validate variant_id (0 when the product has no variants)
+        $variant_validation = self::validate_variant_id($input['variant_id'] ?? null);
+        if (!$variant_validation['success']) {
+            $errors[] = $variant_validation;
+        } else {
+            $sanitized['variant_id'] = $variant_validation['sanitized_value'];
+        }
+        
         // Validate quantity (default to 1 if not provided)
         $quantity = $input['quantity'] ?? 1;
         $quantity_validation = self::validate_quantity($quantity);
@@ -662,6 +788,30 @@ class CartValidation
             $sanitized['payment_method'] = $payment_validation['sanitized_value'];
         }
         
+        // Validate payment_reference
+        $reference_validation = self::validate_payment_reference($input['payment_reference'] ?? null);
+        if (!$reference_validation['success']) {
+            $errors[] = $reference_validation;
+        } else {
+            $sanitized['payment_reference'] = $reference_validation['sanitized_value'];
+        }
+        
+        // Validate quote_id
+        $quote_validation = self::validate_quote_id($input['quote_id'] ?? null);
+        if (!$quote_validation['success']) {
+            $errors[] = $quote_validation;
+        } else {
+            $sanitized['quote_id'] = $quote_validation['sanitized_value'];
+        }
+        
+        // Validate idempotency_key
+        $key_validation = self::validate_idempotency_key($input['idempotency_key'] ?? null);
+        if (!$key_validation['success']) {
+            $errors[] = $key_validation;
+        } else {
+            $sanitized['idempotency_key'] = $key_validation['sanitized_value'];
+        }
+        
         // Return results
         if (!empty($errors)) {
             return [
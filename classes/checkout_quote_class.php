@@ -0,0 +1,214 @@
+<?php
+
+require_once __DIR__ . '/../settings/db_class.php';
+
+/**
+ * Checkout Quote Class
+ *
+ * Handles checkout_quotes data access. A quote is an immutable snapshot of the
+ * prices the server calculated for a cart; checkouts reference it by quote_id.
+ */
+class CheckoutQuote extends db_connection
+{
+    /**
+     * Store a new quote
+     *
+     * @param array $quote quote_id, customer_id, cart_fingerprint, item_count, subtotal,
+     *                     discount_amount, coupon_code, tax_amount, tax_rate, tax_name, tax_jurisdiction,
+     *                     tax_inclusive, shipping_method_id, shipping_method_name, shipping_cost,
+     *                     total, currency, expires_at
+     * @return array Result array with success status and the stored quote row
+     */
+    public function create_quote($quote)
+    {
+        if (empty($quote['quote_id']) || empty($quote['customer_id']) || empty($quote['cart_fingerprint'])) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'Quote ID, customer ID and cart fingerprint are required',
+                'error_details' => ['customer_id' => $quote['customer_id'] ?? null]
+            ];
+        }
+
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare(
+                "INSERT INTO checkout_quotes (quote_id, customer_id, cart_fingerprint, item_count, subtotal, discount_amount, coupon_code, tax_amount, tax_rate, tax_name, tax_jurisdiction, tax_inclusive, shipping_method_id, shipping_method_name, shipping_cost, total, currency, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"
+            );
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_create_quote');
+            }
+
+            $stmt->bind_param(
+                "sisiddsddssiisddss",
+                $quote['quote_id'],
+                $quote['customer_id'],
+                $quote['cart_fingerprint'],
+                $quote['item_count'],
+                $quote['subtotal'],
+                $quote['discount_amount'],
+                $quote['coupon_code'],
+                $quote['tax_amount'],
+                $quote['tax_rate'],
+                $quote['tax_name'],
+                $quote['tax_jurisdiction'],
+                $quote['tax_inclusive'],
+                $quote['shipping_method_id'],
+                $quote['shipping_method_name'],
+                $quote['shipping_cost'],
+                $quote['total'],
+                $quote['currency'],
+                $quote['expires_at']
+            );
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'create_quote');
+            }
+
+            $stmt->close();
+
+            return $this->get_quote($quote['quote_id']);
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Quote creation failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'create_quote'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Get a quote by ID
+     *
+     * @param string $quote_id Quote ID
+     * @return array Result array with success status and quote row (expired flag included)
+     */
+    public function get_quote($quote_id)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("SELECT *, expires_at <= NOW() AS expired FROM checkout_quotes WHERE quote_id = ?");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_get_quote');
+            }
+
+            $stmt->bind_param("s", $quote_id);
+            $stmt->execute();
+            $quote = $stmt->get_result()->fetch_assoc();
+            $stmt->close();
+
+            if (!$quote) {
+                return [
+                    'success' => false,
+                    'error_type' => 'not_found',
+                    'error_message' => 'Quote not found',
+                    'error_details' => ['quote_id' => $quote_id]
+                ];
+            }
+
+            return ['success' => true, 'data' => $quote];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Quote retrieval failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'get_quote'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Enhanced database connection with error handling
+     * @return array Connection result with success status and error details
+     */
+    protected function connect_with_error_handling()
+    {
+        if ($this->db !== null) {
+            return ['success' => true];
+        }
+
+        try {
+            if (!$this->db_connect()) {
+                return [
+                    'success' => false,
+                    'error_type' => 'connection_error',
+                    'error_message' => 'Failed to connect to database',
+                    'error_details' => [
+                        'mysql_error' => mysqli_connect_error() ?: 'Unknown connection error',
+                        'mysql_errno' => mysqli_connect_errno() ?: 0,
+                        'operation' => 'database_connection'
+                    ]
+                ];
+            }
+
+            return ['success' => true];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'connection_exception',
+                'error_message' => 'Database connection failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'database_connection'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Map a MySQL error to a standardized error response
+     * @param int $errno MySQL error number
+     * @param string $error MySQL error message
+     * @param string $operation Operation that caused the error
+     * @return array Standardized error response
+     */
+    private function handle_mysql_error($errno, $error, $operation)
+    {
+        $error_types = [
+            1062 => ['duplicate_entry', 'Duplicate entry detected - this violates a unique constraint'],
+            1146 => ['table_not_found', 'Database table not found - run migrations/003_checkout_quotes.sql'],
+            1054 => ['column_not_found', 'Database column not found - possible schema mismatch'],
+            2006 => ['connection_lost', 'Database connection lost - server may be unavailable']
+        ];
+
+        list($error_type, $error_message) = $error_types[$errno] ?? ['database_error', 'Database operation failed'];
+
+        return [
+            'success' => false,
+            'error_type' => $error_type,
+            'error_message' => $error_message,
+            'error_details' => [
+                'mysql_error' => $error,
+                'mysql_errno' => $errno,
+                'operation' => $operation
+            ]
+        ];
+    }
+}
+
+?>
@@ -0,0 +1,513 @@
+<?php
+
+require_once __DIR__ . '/../settings/db_class.php';
+
+/**
+ * Coupon Class
+ *
+ * Handles coupons data access together with each coupon's category and brand
+ * scope (coupon_categories, coupon_brands). Coupons are returned with
+ * 'category_ids' and 'brand_ids' arrays attached. Redemptions are written by
+ * Order::create_order() inside the order transaction.
+ */
+class Coupon extends db_connection
+{
+    /**
+     * Get every coupon, newest first
+     *
+     * @return array Result array with success status and a list of coupons
+     */
+    public function get_coupons()
+    {
+        return $this->fetch_coupons("SELECT * FROM coupons ORDER BY created_at DESC, coupon_id DESC", '', array(), 'get_coupons');
+    }
+
+    /**
+     * Get a coupon by ID
+     *
+     * @param int $coupon_id Coupon ID
+     * @return array Result array with success status and the coupon
+     */
+    public function get_coupon($coupon_id)
+    {
+        $result = $this->fetch_coupons("SELECT * FROM coupons WHERE coupon_id = ?", "i", array($coupon_id), 'get_coupon');
+        if (!$result['success']) {
+            return $result;
+        }
+
+        if (empty($result['data'])) {
+            return [
+                'success' => false,
+                'error_type' => 'not_found',
+                'error_message' => 'Coupon not found',
+                'error_details' => ['coupon_id' => $coupon_id]
+            ];
+        }
+
+        return ['success' => true, 'data' => $result['data'][0]];
+    }
+
+    /**
+     * Get a coupon by its code (case-insensitive)
+     * The row carries 'started' and 'expired' flags computed by the database clock.
+     *
+     * @param string $coupon_code Coupon code
+     * @return array Result array with success status and the coupon
+     */
+    public function get_coupon_by_code($coupon_code)
+    {
+        $sql = "SELECT *,
+                       (starts_at IS NULL OR starts_at <= NOW()) AS started,
+                       (expires_at IS NOT NULL AND expires_at < NOW()) AS expired
+                FROM coupons
+                WHERE coupon_code = ?";
+
+        $result = $this->fetch_coupons($sql, "s", array($coupon_code), 'get_coupon_by_code');
+        if (!$result['success']) {
+            return $result;
+        }
+
+        if (empty($result['data'])) {
+            return [
+                'success' => false,
+                'error_type' => 'not_found',
+                'error_message' => 'Coupon not found',
+                'error_details' => ['coupon_code' => $coupon_code]
+            ];
+        }
+
+        return ['success' => true, 'data' => $result['data'][0]];
+    }
+
+    /**
+     * Count a customer's orders that used a coupon
+     *
+     * @param int $coupon_id Coupon ID
+     * @param int $customer_id Customer ID
+     * @return array Result array with success status and the count
+     */
+    public function count_customer_redemptions($coupon_id, $customer_id)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("SELECT COUNT(*) AS redemptions FROM coupon_redemptions WHERE coupon_id = ? AND customer_id = ?");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_count_customer_redemptions');
+            }
+
+            $stmt->bind_param("ii", $coupon_id, $customer_id);
+            $stmt->execute();
+            $row = $stmt->get_result()->fetch_assoc();
+            $stmt->close();
+
+            return ['success' => true, 'data' => (int)$row['redemptions']];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, 'count_customer_redemptions');
+        }
+    }
+
+    /**
+     * Create a coupon
+     *
+     * @param array $coupon coupon_code, description, discount_type, discount_value, min_spend,
+     *                      starts_at, expires_at, usage_limit, usage_limit_per_customer,
+     *                      is_active, category_ids, brand_ids
+     * @return array Result array with success status and the stored coupon
+     */
+    public function add_coupon($coupon)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $this->db->autocommit(false);
+
+            $stmt = $this->db->prepare(
+                "INSERT INTO coupons (coupon_code, description, discount_type, discount_value, min_spend, starts_at, expires_at, usage_limit, usage_limit_per_customer, is_active)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"
+            );
+            if (!$stmt) {
+                $this->db->rollback();
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_add_coupon');
+            }
+
+            $stmt->bind_param(
+                "sssddssiii",
+                $coupon['coupon_code'],
+                $coupon['description'],
+                $coupon['discount_type'],
+                $coupon['discount_value'],
+                $coupon['min_spend'],
+                $coupon['starts_at'],
+                $coupon['expires_at'],
+                $coupon['usage_limit'],
+                $coupon['usage_limit_per_customer'],
+                $coupon['is_active']
+            );
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                $this->db->rollback();
+                return $this->handle_mysql_error($errno, $error, 'add_coupon');
+            }
+
+            $coupon_id = $this->db->insert_id;
+            $stmt->close();
+
+            $scope_result = $this->replace_scope($coupon_id, $coupon['category_ids'], $coupon['brand_ids']);
+            if (!$scope_result['success']) {
+                $this->db->rollback();
+                return $scope_result;
+            }
+
+            $this->db->commit();
+
+        } catch (Exception $e) {
+            $this->db->rollback();
+            return $this->exception_response($e, 'add_coupon');
+        } finally {
+            $this->db->autocommit(true);
+        }
+
+        return $this->get_coupon($coupon_id);
+    }
+
+    /**
+     * Update a coupon, replacing its category and brand scope
+     * times_used is left alone.
+     *
+     * @param int $coupon_id Coupon ID
+     * @param array $coupon Same fields as add_coupon()
+     * @return array Result array with success status and the stored coupon
+     */
+    public function update_coupon($coupon_id, $coupon)
+    {
+        $existing = $this->get_coupon($coupon_id);
+        if (!$existing['success']) {
+            return $existing;
+        }
+
+        try {
+            $this->db->autocommit(false);
+
+            $stmt = $this->db->prepare(
+                "UPDATE coupons
+                 SET coupon_code = ?, description = ?, discount_type = ?, discount_value = ?, min_spend = ?,
+                     starts_at = ?, expires_at = ?, usage_limit = ?, usage_limit_per_customer = ?, is_active = ?
+                 WHERE coupon_id = ?"
+            );
+            if (!$stmt) {
+                $this->db->rollback();
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_update_coupon');
+            }
+
+            $stmt->bind_param(
+                "sssddssiiii",
+                $coupon['coupon_code'],
+                $coupon['description'],
+                $coupon['discount_type'],
+                $coupon['discount_value'],
+                $coupon['min_spend'],
+                $coupon['starts_at'],
+                $coupon['expires_at'],
+                $coupon['usage_limit'],
+                $coupon['usage_limit_per_customer'],
+                $coupon['is_active'],
+                $coupon_id
+            );
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                $this->db->rollback();
+                return $this->handle_mysql_error($errno, $error, 'update_coupon');
+            }
+            $stmt->close();
+
+            $scope_result = $this->replace_scope($coupon_id, $coupon['category_ids'], $coupon['brand_ids']);
+            if (!$scope_result['success']) {
+                $this->db->rollback();
+                return $scope_result;
+            }
+
+            $this->db->commit();
+
+        } catch (Exception $e) {
+            $this->db->rollback();
+            return $this->exception_response($e, 'update_coupon');
+        } finally {
+            $this->db->autocommit(true);
+        }
+
+        return $this->get_coupon($coupon_id);
+    }
+
+    /**
+     * Delete a coupon
+     * Orders keep the code and discount they were placed with.
+     *
+     * @param int $coupon_id Coupon ID
+     * @return array Result array with success status
+     */
+    public function delete_coupon($coupon_id)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("DELETE FROM coupons WHERE coupon_id = ?");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_delete_coupon');
+            }
+
+            $stmt->bind_param("i", $coupon_id);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'delete_coupon');
+            }
+
+            $affected_rows = $stmt->affected_rows;
+            $stmt->close();
+
+            if ($affected_rows === 0) {
+                return [
+                    'success' => false,
+                    'error_type' => 'not_found',
+                    'error_message' => 'Coupon not found',
+                    'error_details' => ['coupon_id' => $coupon_id]
+                ];
+            }
+
+            return ['success' => true, 'data' => ['coupon_id' => (int)$coupon_id]];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, 'delete_coupon');
+        }
+    }
+
+    /**
+     * Run a coupon query and attach category and brand scope to each row
+     *
+     * @param string $sql SELECT over coupons
+     * @param string $types bind_param types
+     * @param array $params Query parameters
+     * @param string $operation Operation name for error details
+     * @return array Result array with success status and a list of coupons
+     */
+    private function fetch_coupons($sql, $types, $params, $operation)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare($sql);
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_' . $operation);
+            }
+
+            if ($types !== '') {
+                $stmt->bind_param($types, ...$params);
+            }
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, $operation);
+            }
+
+            $result = $stmt->get_result();
+            $coupons = [];
+            while ($row = $result->fetch_assoc()) {
+                $row['category_ids'] = [];
+                $row['brand_ids'] = [];
+                $coupons[(int)$row['coupon_id']] = $row;
+            }
+            $stmt->close();
+
+            if (empty($coupons)) {
+                return ['success' => true, 'data' => []];
+            }
+
+            $ids = implode(',', array_keys($coupons));
+
+            $categories = $this->db->query("SELECT coupon_id, cat_id FROM coupon_categories WHERE coupon_id IN ({$ids})");
+            if (!$categories) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, $operation . '_categories');
+            }
+            while ($category = $categories->fetch_assoc()) {
+                $coupons[(int)$category['coupon_id']]['category_ids'][] = (int)$category['cat_id'];
+            }
+
+            $brands = $this->db->query("SELECT coupon_id, brand_id FROM coupon_brands WHERE coupon_id IN ({$ids})");
+            if (!$brands) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, $operation . '_brands');
+            }
+            while ($brand = $brands->fetch_assoc()) {
+                $coupons[(int)$brand['coupon_id']]['brand_ids'][] = (int)$brand['brand_id'];
+            }
+
+            return ['success' => true, 'data' => array_values($coupons)];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, $operation);
+        }
+    }
+
+    /**
+     * Replace a coupon's category and brand scope (inside the caller's transaction)
+     *
+     * @param int $coupon_id Coupon ID
+     * @param array $category_ids Category IDs
+     * @param array $brand_ids Brand IDs
+     * @return array Result array with success status
+     */
+    private function replace_scope($coupon_id, $category_ids, $brand_ids)
+    {
+        $scopes = [
+            'coupon_categories' => ['cat_id', $category_ids],
+            'coupon_brands' => ['brand_id', $brand_ids]
+        ];
+
+        foreach ($scopes as $table => list($column, $ids)) {
+            $stmt = $this->db->prepare("DELETE FROM {$table} WHERE coupon_id = ?");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_clear_' . $table);
+            }
+            $stmt->bind_param("i", $coupon_id);
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'clear_' . $table);
+            }
+            $stmt->close();
+
+            foreach ($ids as $id) {
+                $stmt = $this->db->prepare("INSERT INTO {$table} (coupon_id, {$column}) VALUES (?, ?)");
+                if (!$stmt) {
+                    return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_insert_' . $table);
+                }
+                $stmt->bind_param("ii", $coupon_id, $id);
+                if (!$stmt->execute()) {
+                    $errno = $stmt->errno;
+                    $error = $stmt->error;
+                    $stmt->close();
+                    return $this->handle_mysql_error($errno, $error, 'insert_' . $table);
+                }
+                $stmt->close();
+            }
+        }
+
+        return ['success' => true];
+    }
+
+    /**
+     * Standard response for an unexpected exception
+     * @param Exception $e Exception
+     * @param string $operation Operation that failed
+     * @return array Error response
+     */
+    private function exception_response($e, $operation)
+    {
+        return [
+            'success' => false,
+            'error_type' => 'database_exception',
+            'error_message' => 'Coupon operation failed with exception',
+            'error_details' => [
+                'exception_message' => $e->getMessage(),
+                'exception_code' => $e->getCode(),
+                'operation' => $operation
+            ]
+        ];
+    }
+
+    /**
+     * Enhanced database connection with error handling
+     * @return array Connection result with success status and error details
+     */
+    protected function connect_with_error_handling()
+    {
+        if ($this->db !== null) {
+            return ['success' => true];
+        }
+
+        try {
+            if (!$this->db_connect()) {
+                return [
+                    'success' => false,
+                    'error_type' => 'connection_error',
+                    'error_message' => 'Failed to connect to database',
+                    'error_details' => [
+                        'mysql_error' => mysqli_connect_error() ?: 'Unknown connection error',
+                        'mysql_errno' => mysqli_connect_errno() ?: 0,
+                        'operation' => 'database_connection'
+                    ]
+                ];
+            }
+
+            return ['success' => true];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'connection_exception',
+                'error_message' => 'Database connection failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'database_connection'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Map a MySQL error to a standardized error response
+     * @param int $errno MySQL error number
+     * @param string $error MySQL error message
+     * @param string $operation Operation that caused the error
+     * @return array Standardized error response
+     */
+    private function handle_mysql_error($errno, $error, $operation)
+    {
+        $error_types = [
+            1062 => ['duplicate_entry', 'Duplicate entry detected - this violates a unique constraint'],
+            1146 => ['table_not_found', 'Database table not found - run migrations/006_coupons.sql'],
+            1054 => ['column_not_found', 'Database column not found - possible schema mismatch'],
+            2006 => ['connection_lost', 'Database connection lost - server may be unavailable']
+        ];
+
+        list($error_type, $error_message) = $error_types[$errno] ?? ['database_error', 'Database operation failed'];
+
+        return [
+            'success' => false,
+            'error_type' => $error_type,
+            'error_message' => $error_message,
+            'error_details' => [
+                'mysql_error' => $error,
+                'mysql_errno' => $errno,
+                'operation' => $operation
+            ]
+        ];
+    }
+}
+
+?>
@@ -0,0 +1,539 @@
+<?php
+
+require_once __DIR__ . '/../settings/db_class.php';
+require_once __DIR__ . '/../settings/payment_config.php';
+require_once __DIR__ . '/payment_provider_class.php';
+
+/**
+ * Mock Payment Provider
+ *
+ * Local stand-in for a card gateway that behaves like the real thing: payments
+ * are created up front, card details are submitted separately, the outcome
+ * arrives later as a signed webhook, some cards need a redirect challenge, and
+ * authorized payments must be captured before they can be refunded.
+ *
+ * Gateway-side state lives in mock_gateway_intents. Webhooks are queued with a
+ * delay and delivered by deliver_due_webhooks(), which the payment controller
+ * calls while the checkout polls for the payment status. Delivery goes through
+ * the same verification path as a webhook posted to payment_webhook_action.php.
+ * Until MOCK_GATEWAY_WEBHOOK_SECRET is configured, webhooks are neither sent nor
+ * accepted, so nobody can sign one with the published placeholder; new payments
+ * are refused with webhook_not_configured rather than left waiting for one.
+ *
+ * Test cards (any expiry in the future, any CVC):
+ *   4242 4242 4242 4242  succeeds
+ *   4000 0000 0000 0002  declined
+ *   4000 0000 0000 9995  insufficient funds
+ *   4000 0000 0000 3220  requires a redirect challenge, then succeeds
+ *   4000 0000 0000 0259  gateway never answers (checkout times out)
+ */
+class MockPaymentProvider extends db_connection implements PaymentProvider
+{
+    const SIGNATURE_HEADER = 'x-mock-signature';
+
+    private $test_cards = [
+        '4242424242424242' => ['scenario' => 'success', 'label' => 'Visa - payment succeeds'],
+        '4000000000000002' => ['scenario' => 'declined', 'label' => 'Visa - card declined'],
+        '4000000000009995' => ['scenario' => 'insufficient_funds', 'label' => 'Visa - insufficient funds'],
+        '4000000000003220' => ['scenario' => 'redirect', 'label' => 'Visa - 3-D Secure redirect'],
+        '4000000000000259' => ['scenario' => 'timeout', 'label' => 'Visa - gateway does not respond']
+    ];
+
+    private $failure_reasons = [
+        'declined' => 'Your card was declined.',
+        'insufficient_funds' => 'Your card has insufficient funds.',
+        'challenge_failed' => 'Card authentication failed.'
+    ];
+
+    /**
+     * @return string Provider name
+     */
+    public function get_name()
+    {
+        return 'mock';
+    }
+
+    /**
+     * Create a payment intent on the mock gateway
+     * @param array $transaction payment_transactions row
+     * @return array Result array with provider_reference and client_data
+     */
+    public function initialize($transaction)
+    {
+        // Without webhooks the payment could never settle
+        if (!$this->has_webhook_secret()) {
+            error_log("Mock gateway refused a payment: set MOCK_GATEWAY_WEBHOOK_SECRET");
+            return $this->webhook_not_configured_error();
+        }
+
+        $intent_id = 'mock_pi_' . bin2hex(random_bytes(12));
+
+        $result = $this->execute_statement(
+            "INSERT INTO mock_gateway_intents (intent_id, amount, currency, status) VALUES (?, ?, ?, 'created')",
+            "sds",
+            [$intent_id, $transaction['amount'], $transaction['currency']],
+            'mock_initialize'
+        );
+
+        if (!$result['success']) {
+            return $result;
+        }
+
+        $test_cards = [];
+        foreach ($this->test_cards as $number => $card) {
+            $test_cards[] = ['number' => $number, 'label' => $card['label']];
+        }
+
+        return [
+            'success' => true,
+            'data' => [
+                'provider_reference' => $intent_id,
+                'client_data' => [
+                    'intent_id' => $intent_id,
+                    'mode' => 'test',
+                    'test_cards' => $test_cards
+                ]
+            ]
+        ];
+    }
+
+    /**
+     * Submit card details; the outcome is reported later by webhook
+     * @param array $transaction payment_transactions row
+     * @param array $payment_details ['card_number' => ...]
+     * @return array Result array with status and optional next_action
+     */
+    public function authorize($transaction, $payment_details)
+    {
+        $card_number = preg_replace('/\D/', '', (string)($payment_details['card_number'] ?? ''));
+
+        if (!isset($this->test_cards[$card_number])) {
+            return [
+                'success' => true,
+                'data' => [
+                    'status' => 'failed',
+                    'failure_reason' => 'Unknown test card. Use one of the mock gateway test cards.'
+                ]
+            ];
+        }
+
+        $scenario = $this->test_cards[$card_number]['scenario'];
+        $intent_id = $transaction['provider_reference'];
+
+        if ($scenario === 'redirect') {
+            $update = $this->update_intent($intent_id, 'requires_action', $scenario, null, false);
+            if (!$update['success']) {
+                return $update;
+            }
+
+            // A real gateway would host the challenge page; the mock passes it straight away
+            $return_url = 'checkout.php?' . http_build_query([
+                'payment_return' => 1,
+                'provider' => $this->get_name(),
+                'reference' => $transaction['reference'],
+                'mock_challenge' => 'passed'
+            ]);
+
+            return [
+                'success' => true,
+                'data' => [
+                    'status' => 'requires_action',
+                    'next_action' => ['type' => 'redirect', 'url' => $return_url]
+                ]
+            ];
+        }
+
+        $failure_reason = $this->failure_reasons[$scenario] ?? null;
+        $update = $this->update_intent($intent_id, 'processing', $scenario, $failure_reason, $scenario !== 'timeout');
+        if (!$update['success']) {
+            return $update;
+        }
+
+        return ['success' => true, 'data' => ['status' => 'processing']];
+    }
+
+    /**
+     * Resume after the redirect challenge
+     * @param array $transaction payment_transactions row
+     * @param array $params Return URL query parameters
+     * @return array Result array with status
+     */
+    public function handle_return($transaction, $params)
+    {
+        $passed = ($params['mock_challenge'] ?? '') === 'passed';
+        $failure_reason = $passed ? null : $this->failure_reasons['challenge_failed'];
+
+        $update = $this->update_intent($transaction['provider_reference'], 'processing', 'redirect', $failure_reason, true);
+        if (!$update['success']) {
+            return $update;
+        }
+
+        return ['success' => true, 'data' => ['status' => 'processing']];
+    }
+
+    /**
+     * Verify the webhook signature and translate the event
+     * @param string $raw_body Raw request body
+     * @param array $headers Request headers (lower-case names)
+     * @return array Result array with event_id, event_type, provider_reference, status
+     */
+    public function handle_callback($raw_body, $headers)
+    {
+        if (!$this->has_webhook_secret()) {
+            return $this->webhook_not_configured_error();
+        }
+
+        $signature = $headers[self::SIGNATURE_HEADER] ?? '';
+
+        if (!hash_equals($this->sign($raw_body), (string)$signature)) {
+            return [
+                'success' => false,
+                'error_type' => 'invalid_signature',
+                'error_message' => 'Webhook signature verification failed',
+                'error_details' => ['provider' => $this->get_name()]
+            ];
+        }
+
+        $event = json_decode($raw_body, true);
+        if (!is_array($event) || empty($event['id']) || empty($event['data']['intent_id'])) {
+            return [
+                'success' => false,
+                'error_type' => 'invalid_payload',
+                'error_message' => 'Webhook payload is malformed',
+                'error_details' => ['provider' => $this->get_name()]
+            ];
+        }
+
+        $statuses = [
+            'payment_intent.authorized' => 'authorized',
+            'payment_intent.payment_failed' => 'failed'
+        ];
+
+        if (!isset($statuses[$event['type']])) {
+            return [
+                'success' => false,
+                'error_type' => 'unsupported_event',
+                'error_message' => 'Webhook event type is not handled',
+                'error_details' => ['event_type' => $event['type']]
+            ];
+        }
+
+        return [
+            'success' => true,
+            'data' => [
+                'event_id' => $event['id'],
+                'event_type' => $event['type'],
+                'provider_reference' => $event['data']['intent_id'],
+                'status' => $statuses[$event['type']],
+                'failure_reason' => $event['data']['failure_reason'] ?? null
+            ]
+        ];
+    }
+
+    /**
+     * Capture an authorized intent
+     * @param array $transaction payment_transactions row
+     * @return array Result array with status
+     */
+    public function confirm($transaction)
+    {
+        $intent = $this->get_intent($transaction['provider_reference']);
+        if (!$intent['success']) {
+            return $intent;
+        }
+
+        if ($intent['data']['status'] !== 'authorized') {
+            return [
+                'success' => false,
+                'error_type' => 'invalid_state',
+                'error_message' => 'Only authorized payments can be captured',
+                'error_details' => ['gateway_status' => $intent['data']['status']]
+            ];
+        }
+
+        $update = $this->update_intent($transaction['provider_reference'], 'captured', $intent['data']['scenario'], null, false);
+        if (!$update['success']) {
+            return $update;
+        }
+
+        return ['success' => true, 'data' => ['status' => 'captured']];
+    }
+
+    /**
+     * Refund a captured intent
+     * @param array $transaction payment_transactions row
+     * @param float $amount Amount to refund
+     * @return array Result array with status and refund_reference
+     */
+    public function refund($transaction, $amount)
+    {
+        $intent = $this->get_intent($transaction['provider_reference']);
+        if (!$intent['success']) {
+            return $intent;
+        }
+
+        $refundable = round((float)$intent['data']['amount'] - (float)$transaction['refunded_amount'], 2);
+
+        if ($intent['data']['status'] !== 'captured' || $amount <= 0 || $amount > $refundable) {
+            return [
+                'success' => false,
+                'error_type' => 'invalid_state',
+                'error_message' => 'Refund amount must be positive and no more than the amount still captured',
+                'error_details' => [
+                    'gateway_status' => $intent['data']['status'],
+                    'refundable_amount' => $refundable,
+                    'requested_amount' => $amount
+                ]
+            ];
+        }
+
+        // Partial refunds leave the intent captured so the remainder can still be refunded
+        $status = $amount < $refundable ? 'captured' : 'refunded';
+
+        $update = $this->update_intent($transaction['provider_reference'], $status, $intent['data']['scenario'], null, false);
+        if (!$update['success']) {
+            return $update;
+        }
+
+        return [
+            'success' => true,
+            'data' => [
+                'status' => $status,
+                'refund_reference' => 'mock_re_' . bin2hex(random_bytes(8))
+            ]
+        ];
+    }
+
+    /**
+     * Deliver queued webhooks whose delay has passed
+     * Stands in for the gateway's outbound HTTP call to the store's webhook URL.
+     *
+     * @param callable $deliver Called with ($raw_body, $headers) for each event
+     * @return int Number of webhooks delivered
+     */
+    public function deliver_due_webhooks($deliver)
+    {
+        // Leave webhooks queued until they can be signed with a real secret
+        if (!$this->has_webhook_secret()) {
+            error_log("Mock gateway webhooks are on hold: set MOCK_GATEWAY_WEBHOOK_SECRET");
+            return 0;
+        }
+
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return 0;
+        }
+
+        $result = $this->db->query(
+            "SELECT * FROM mock_gateway_intents WHERE webhook_delivered = 0 AND webhook_due_at IS NOT NULL AND webhook_due_at <= NOW()"
+        );
+        if (!$result) {
+            return 0;
+        }
+
+        $delivered = 0;
+
+        while ($intent = $result->fetch_assoc()) {
+            $succeeded = empty($intent['failure_reason']);
+            $gateway_status = $succeeded ? 'authorized' : 'failed';
+
+            // Claim the intent first so a concurrent poll cannot send the same webhook twice
+            $claim = $this->execute_statement(
+                "UPDATE mock_gateway_intents SET webhook_delivered = 1, status = ? WHERE intent_id = ? AND webhook_delivered = 0",
+                "ss",
+                [$gateway_status, $intent['intent_id']],
+                'mock_claim_webhook'
+            );
+
+            if (!$claim['success'] || $claim['data']['affected_rows'] === 0) {
+                continue;
+            }
+
+            $raw_body = json_encode([
+                'id' => 'mock_evt_' . bin2hex(random_bytes(12)),
+                'type' => $succeeded ? 'payment_intent.authorized' : 'payment_intent.payment_failed',
+                'created' => time(),
+                'data' => [
+                    'intent_id' => $intent['intent_id'],
+                    'amount' => (float)$intent['amount'],
+                    'currency' => $intent['currency'],
+                    'failure_reason' => $intent['failure_reason']
+                ]
+            ]);
+
+            call_user_func($deliver, $raw_body, [self::SIGNATURE_HEADER => $this->sign($raw_body)]);
+            $delivered++;
+        }
+
+        return $delivered;
+    }
+
+    /**
+     * Whether a webhook secret other than the placeholder is configured
+     * @return bool True when webhooks can be signed and verified
+     */
+    private function has_webhook_secret()
+    {
+        return MOCK_GATEWAY_WEBHOOK_SECRET !== '' && MOCK_GATEWAY_WEBHOOK_SECRET !== MOCK_GATEWAY_WEBHOOK_SECRET_PLACEHOLDER;
+    }
+
+    /**
+     * Error returned while MOCK_GATEWAY_WEBHOOK_SECRET is not configured
+     * @return array Result array with error_type webhook_not_configured
+     */
+    private function webhook_not_configured_error()
+    {
+        return [
+            'success' => false,
+            'error_type' => 'webhook_not_configured',
+            'error_message' => 'Webhook secret is not configured - set MOCK_GATEWAY_WEBHOOK_SECRET',
+            'error_details' => ['provider' => $this->get_name()]
+        ];
+    }
+
+    /**
+     * Sign a webhook body with the shared secret
+     * @param string $raw_body Raw body
+     * @return string Hex HMAC-SHA256 signature
+     */
+    private function sign($raw_body)
+    {
+        return hash_hmac('sha256', $raw_body, MOCK_GATEWAY_WEBHOOK_SECRET);
+    }
+
+    /**
+     * Get a gateway intent
+     * @param string $intent_id Intent ID
+     * @return array Result array with the intent row
+     */
+    private function get_intent($intent_id)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        $stmt = $this->db->prepare("SELECT * FROM mock_gateway_intents WHERE intent_id = ?");
+        if (!$stmt) {
+            return [
+                'success' => false,
+                'error_type' => 'database_error',
+                'error_message' => 'Failed to prepare mock intent lookup',
+                'error_details' => ['mysql_error' => $this->db->error, 'mysql_errno' => $this->db->errno]
+            ];
+        }
+
+        $stmt->bind_param("s", $intent_id);
+        $stmt->execute();
+        $intent = $stmt->get_result()->fetch_assoc();
+        $stmt->close();
+
+        if (!$intent) {
+            return [
+                'success' => false,
+                'error_type' => 'not_found',
+                'error_message' => 'Mock gateway payment not found',
+                'error_details' => ['intent_id' => $intent_id]
+            ];
+        }
+
+        return ['success' => true, 'data' => $intent];
+    }
+
+    /**
+     * Update a gateway intent and optionally queue its webhook
+     * @param string $intent_id Intent ID
+     * @param string $status Gateway status
+     * @param string|null $scenario Test card scenario
+     * @param string|null $failure_reason Failure reason for the webhook
+     * @param bool $queue_webhook Whether to schedule the outcome webhook
+     * @return array Result array
+     */
+    private function update_intent($intent_id, $status, $scenario, $failure_reason, $queue_webhook)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        $due_at = $queue_webhook ? date('Y-m-d H:i:s', time() + MOCK_GATEWAY_WEBHOOK_DELAY) : null;
+
+        return $this->execute_statement(
+            "UPDATE mock_gateway_intents SET status = ?, scenario = ?, failure_reason = ?, webhook_due_at = ?, webhook_delivered = 0 WHERE intent_id = ?",
+            "sssss",
+            [$status, $scenario, $failure_reason, $due_at, $intent_id],
+            'mock_update_intent'
+        );
+    }
+
+    /**
+     * Prepare, bind and execute a write statement
+     * @param string $sql Statement
+     * @param string $types bind_param types
+     * @param array $params Parameters
+     * @param string $operation Operation name for error details
+     * @return array Result array with affected rows
+     */
+    private function execute_statement($sql, $types, $params, $operation)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        $stmt = $this->db->prepare($sql);
+        if (!$stmt) {
+            return [
+                'success' => false,
+                'error_type' => 'database_error',
+                'error_message' => 'Mock gateway storage is unavailable',
+                'error_details' => [
+                    'mysql_error' => $this->db->error,
+                    'mysql_errno' => $this->db->errno,
+                    'operation' => $operation
+                ]
+            ];
+        }
+
+        $stmt->bind_param($types, ...$params);
+        $executed = $stmt->execute();
+        $affected_rows = $stmt->affected_rows;
+        $error = $stmt->error;
+        $stmt->close();
+
+        if (!$executed) {
+            return [
+                'success' => false,
+                'error_type' => 'database_error',
+                'error_message' => 'Mock gateway storage write failed',
+                'error_details' => ['mysql_error' => $error, 'operation' => $operation]
+            ];
+        }
+
+        return ['success' => true, 'data' => ['affected_rows' => $affected_rows]];
+    }
+
+    /**
+     * Connect once per instance
+     * @return array Connection result
+     */
+    protected function connect_with_error_handling()
+    {
+        if ($this->db !== null || $this->db_connect()) {
+            return ['success' => true];
+        }
+
+        return [
+            'success' => false,
+            'error_type' => 'connection_error',
+            'error_message' => 'Failed to connect to database',
+            'error_details' => [
+                'mysql_error' => mysqli_connect_error() ?: 'Unknown connection error',
+                'mysql_errno' => mysqli_connect_errno() ?: 0,
+                'operation' => 'database_connection'
+            ]
+        ];
+    }
+}
+
+?>
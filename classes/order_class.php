@@ -16,9 +16,12 @@ class Order extends db_connection
      * @param float $total_amount Total order amount
      * @param string $currency Currency code (default 'USD')
      * @param string $order_status Order status (default 'pending')
+     * @param string|null $idempotency_key Client key for this checkout attempt; a repeated key returns the original order
+     * @param array|null $shipping Chosen shipping method: method_id, method_name, cost
+     * @param array|null $discount Applied coupon: coupon_id, coupon_code, amount, usage_limit_per_customer
      * @return array Result array with success status and order data/error details
      */
-    public function create_order($customer_id, $cart_items, $total_amount, $currency = 'USD', $order_status = 'pending')
+    public function create_order($customer_id, $cart_items, $total_amount, $currency = 'USD', $order_status = 'pending', $idempotency_key = null, $shipping = null, $discount = null)
     {
         // Validate input
         if (empty($customer_id) || !is_numeric($customer_id) || $customer_id <= 0) {
@@ -48,6 +51,14 @@ class Order extends db_connection
             ];
         }
 
+        // A repeated submission gets the order the first one created
+        if (!empty($idempotency_key)) {
+            $existing_order = $this->get_order_by_idempotency_key($customer_id, $idempotency_key);
+            if ($existing_order['success'] || $existing_order['error_type'] !== 'not_found') {
+                return $existing_order;
+            }
+        }
+
         // Connect to database with enhanced error handling
         $connection_result = $this->connect_with_error_handling();
         if (!$connection_result['success']) {
@@ -66,14 +77,43 @@ class Order extends db_connection
             }
 
             // Create order record
-            $order_result = $this->insert_order($customer_id, $invoice_no['data']['invoice_no'], $order_status);
+            $order_result = $this->insert_order($customer_id, $invoice_no['data']['invoice_no'], $order_status, $idempotency_key, $shipping, $discount);
             if (!$order_result['success']) {
                 $this->db->rollback();
+
+                // A concurrent submission with the same key got there first
+                if (!empty($idempotency_key) && $order_result['error_type'] === 'duplicate_entry') {
+                    return $this->get_order_by_idempotency_key($customer_id, $idempotency_key);
+                }
+
                 return $order_result;
             }
 
             $order_id = $order_result['data']['order_id'];
 
+            // Start the order's status history
+            $history_result = $this->insert_status_history($order_id, null, $order_status, null, 'Order placed');
+            if (!$history_result['success']) {
+                $this->db->rollback();
+                return $history_result;
+            }
+
+            // Count the coupon use; fails when the code was used up in the meantime
+            if ($discount !== null) {
+                $redemption_result = $this->redeem_coupon($discount, $customer_id, $order_id);
+                if (!$redemption_result['success']) {
+                    $this->db->rollback();
+                    return $redemption_result;
+                }
+            }
+
+            // Take the units out of stock; fails when another order bought the last of them
+            $stock_result = $this->reserve_stock($cart_items);
+            if (!$stock_result['success']) {
+                $this->db->rollback();
+                return $stock_result;
+            }
+
             // Create order details
             $order_details_result = $this->insert_order_details($order_id, $cart_items);
             if (!$order_details_result['success']) {
@@ -101,9 +141,15 @@ class Order extends db_connection
                     'total_amount' => $total_amount,
                     'currency' => $currency,
                     'order_date' => date('Y-m-d'),
+                    'shipping_method_id' => $order_result['data']['shipping_method_id'],
+                    'shipping_method_name' => $order_result['data']['shipping_method_name'],
+                    'shipping_cost' => $order_result['data']['shipping_cost'],
+                    'coupon_code' => $order_result['data']['coupon_code'],
+                    'discount_amount' => $order_result['data']['discount_amount'],
                     'payment_id' => $payment_result['data']['payment_id'],
                     'items_count' => count($cart_items),
                     'order_details' => $order_details_result['data']['order_details'],
+                    'replayed' => false,
                     'action' => 'order_created'
                 ]
             ];
@@ -283,14 +329,22 @@ class Order extends db_connection
      * @param int $customer_id Customer ID
      * @param int $invoice_no Invoice number
      * @param string $order_status Order status
+     * @param string|null $idempotency_key Checkout attempt key (unique per customer)
+     * @param array|null $shipping Chosen shipping method: method_id, method_name, cost
+     * @param array|null $discount Applied coupon: coupon_code, amount
      * @return array Result array with success status and order data
      */
-    private function insert_order($customer_id, $invoice_no, $order_status)
+    private function insert_order($customer_id, $invoice_no, $order_status, $idempotency_key = null, $shipping = null, $discount = null)
     {
         try {
             $order_date = date('Y-m-d');
+            $shipping_method_id = $shipping['method_id'] ?? null;
+            $shipping_method_name = $shipping['method_name'] ?? null;
+            $shipping_cost = (float)($shipping['cost'] ?? 0);
+            $coupon_code = $discount['coupon_code'] ?? null;
+            $discount_amount = (float)($discount['amount'] ?? 0);
             
-            $stmt = $this->db->prepare("INSERT INTO orders (customer_id, invoice_no, order_date, order_status) VALUES (?, ?, ?, ?)");
+            $stmt = $this->db->prepare("INSERT INTO orders (customer_id, invoice_no, order_date, order_status, idempotency_key, shipping_method_id, shipping_method_name, shipping_cost, coupon_code, discount_amount) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
             if (!$stmt) {
                 return [
                     'success' => false,
@@ -304,7 +358,7 @@ class Order extends db_connection
                 ];
             }
 
-            if (!$stmt->bind_param("iiss", $customer_id, $invoice_no, $order_date, $order_status)) {
+            if (!$stmt->bind_param("iisssisdsd", $customer_id, $invoice_no, $order_date, $order_status, $idempotency_key, $shipping_method_id, $shipping_method_name, $shipping_cost, $coupon_code, $discount_amount)) {
                 $stmt->close();
                 return [
                     'success' => false,
@@ -329,6 +383,11 @@ class Order extends db_connection
                         'invoice_no' => $invoice_no,
                         'order_date' => $order_date,
                         'order_status' => $order_status,
+                        'shipping_method_id' => $shipping_method_id,
+                        'shipping_method_name' => $shipping_method_name,
+                        'shipping_cost' => $shipping_cost,
+                        'coupon_code' => $coupon_code,
+                        'discount_amount' => $discount_amount,
                         'action' => 'order_inserted'
                     ]
                 ];
@@ -357,7 +416,196 @@ class Order extends db_connection
     }
 
     /**
-     * Insert order details into orderdetails table     * 
+     * Record a coupon use against an order (inside the order transaction)
+     * The conditional increment locks the coupon row until the order commits, so
+     * concurrent orders for the same code run one after the other; the per-customer
+     * count is a locking read so it sees redemptions the previous order committed.
+     * Neither usage_limit nor usage_limit_per_customer can be exceeded.
+     *
+     * @param array $discount Applied coupon: coupon_id, amount, usage_limit_per_customer
+     * @param int $customer_id Customer ID
+     * @param int $order_id Order ID
+     * @return array Result array with success status
+     */
+    private function redeem_coupon($discount, $customer_id, $order_id)
+    {
+        try {
+            $coupon_id = (int)$discount['coupon_id'];
+
+            $stmt = $this->db->prepare("UPDATE coupons SET times_used = times_used + 1 WHERE coupon_id = ? AND (usage_limit IS NULL OR times_used < usage_limit)");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_redeem_coupon');
+            }
+            $stmt->bind_param("i", $coupon_id);
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'redeem_coupon');
+            }
+            $affected_rows = $stmt->affected_rows;
+            $stmt->close();
+
+            if ($affected_rows === 0) {
+                return [
+                    'success' => false,
+                    'error_type' => 'coupon_invalid',
+                    'error_message' => 'This coupon has reached its usage limit.',
+                    'error_details' => ['coupon_id' => $coupon_id, 'reason' => 'usage_limit']
+                ];
+            }
+
+            if ($discount['usage_limit_per_customer'] !== null) {
+                $stmt = $this->db->prepare("SELECT COUNT(*) AS redemptions FROM coupon_redemptions WHERE coupon_id = ? AND customer_id = ? FOR UPDATE");
+                if (!$stmt) {
+                    return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_count_coupon_redemptions');
+                }
+                $stmt->bind_param("ii", $coupon_id, $customer_id);
+                if (!$stmt->execute()) {
+                    $errno = $stmt->errno;
+                    $error = $stmt->error;
+                    $stmt->close();
+                    return $this->handle_mysql_error($errno, $error, 'count_coupon_redemptions');
+                }
+                $row = $stmt->get_result()->fetch_assoc();
+                $stmt->close();
+
+                if ((int)$row['redemptions'] >= (int)$discount['usage_limit_per_customer']) {
+                    return [
+                        'success' => false,
+                        'error_type' => 'coupon_invalid',
+                        'error_message' => 'You have already used this coupon.',
+                        'error_details' => ['coupon_id' => $coupon_id, 'reason' => 'customer_limit']
+                    ];
+                }
+            }
+
+            $amount = (float)$discount['amount'];
+            $stmt = $this->db->prepare("INSERT INTO coupon_redemptions (coupon_id, customer_id, order_id, discount_amount) VALUES (?, ?, ?, ?)");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_insert_coupon_redemption');
+            }
+            $stmt->bind_param("iiid", $coupon_id, $customer_id, $order_id, $amount);
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'insert_coupon_redemption');
+            }
+            $stmt->close();
+
+            return ['success' => true];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Coupon redemption failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'redeem_coupon'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Decrement the stock of each ordered product inside the order transaction
+     * The conditional UPDATE only succeeds while enough units are left, so two
+     * checkouts cannot both sell the last unit. Untracked stock (NULL) is left alone.
+     * Variant lines take their units from the variant's stock instead of the product's.
+     *
+     * @param array $cart_items Cart items with p_id, variant_id, qty and product_title
+     * @return array Result array with success status, or insufficient_stock naming the product
+     */
+    private function reserve_stock($cart_items)
+    {
+        try {
+            foreach ($cart_items as $item) {
+                $product_id = (int)$item['p_id'];
+                $variant_id = (int)($item['variant_id'] ?? 0);
+                $quantity = (int)$item['qty'];
+
+                if ($variant_id > 0) {
+                    list($table, $column, $key, $id) = ['product_variants', 'variant_stock', 'variant_id', $variant_id];
+                } else {
+                    list($table, $column, $key, $id) = ['products', 'product_stock', 'product_id', $product_id];
+                }
+
+                $stmt = $this->db->prepare("UPDATE {$table} SET {$column} = {$column} - ? WHERE {$key} = ? AND {$column} IS NOT NULL AND {$column} >= ?");
+                if (!$stmt) {
+                    return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_reserve_stock');
+                }
+
+                $stmt->bind_param("iii", $quantity, $id, $quantity);
+                if (!$stmt->execute()) {
+                    $errno = $stmt->errno;
+                    $error = $stmt->error;
+                    $stmt->close();
+                    return $this->handle_mysql_error($errno, $error, 'reserve_stock', ['product_id' => $product_id, 'variant_id' => $variant_id]);
+                }
+
+                $reserved = $stmt->affected_rows > 0;
+                $stmt->close();
+
+                if ($reserved) {
+                    continue;
+                }
+
+                // No row changed: either stock is not tracked or too few units are left
+                $check = $this->db->prepare("SELECT {$column} AS stock FROM {$table} WHERE {$key} = ?");
+                if (!$check) {
+                    return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_check_stock');
+                }
+                $check->bind_param("i", $id);
+                $check->execute();
+                $row = $check->get_result()->fetch_assoc();
+                $check->close();
+
+                if ($row !== null && $row['stock'] === null) {
+                    continue;
+                }
+
+                $available = $row !== null ? (int)$row['stock'] : 0;
+                $title = $item['product_title'] ?? 'An item in your cart';
+                if (!empty($item['variant_label'])) {
+                    $title .= ' (' . $item['variant_label'] . ')';
+                }
+
+                return [
+                    'success' => false,
+                    'error_type' => 'insufficient_stock',
+                    'error_message' => $available > 0
+                        ? "Only {$available} of {$title} left in stock."
+                        : "{$title} is sold out.",
+                    'error_details' => [
+                        'product_id' => $product_id,
+                        'variant_id' => $variant_id,
+                        'requested' => $quantity,
+                        'available' => $available
+                    ]
+                ];
+            }
+
+            return ['success' => true];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Stock update failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'reserve_stock'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Insert order details into orderdetails table     *
      * @param int $order_id Order ID
      * @param array $cart_items Array of cart items
      * @return array Result array with success status and order details data
@@ -365,7 +613,7 @@ class Order extends db_connection
     private function insert_order_details($order_id, $cart_items)
     {
         try {
-            $stmt = $this->db->prepare("INSERT INTO orderdetails (order_id, product_id, qty) VALUES (?, ?, ?)");
+            $stmt = $this->db->prepare("INSERT INTO orderdetails (order_id, product_id, variant_id, variant_label, qty) VALUES (?, ?, ?, ?, ?)");
             if (!$stmt) {
                 return [
                     'success' => false,
@@ -384,9 +632,11 @@ class Order extends db_connection
 
             foreach ($cart_items as $item) {
                 $product_id = $item['p_id'];
+                $variant_id = (int)($item['variant_id'] ?? 0);
+                $variant_label = $item['variant_label'] ?? null;
                 $quantity = $item['qty'];
 
-                if (!$stmt->bind_param("iii", $order_id, $product_id, $quantity)) {
+                if (!$stmt->bind_param("iiisi", $order_id, $product_id, $variant_id, $variant_label, $quantity)) {
                     $stmt->close();
                     return [
                         'success' => false,
@@ -414,6 +664,8 @@ class Order extends db_connection
                 $order_details[] = [
                     'order_id' => $order_id,
                     'product_id' => $product_id,
+                    'variant_id' => $variant_id,
+                    'variant_label' => $variant_label,
                     'quantity' => $quantity,
                     'product_title' => $item['product_title'] ?? 'Unknown Product',
                     'product_price' => $item['product_price'] ?? 0,
@@ -557,6 +809,8 @@ class Order extends db_connection
             // Get order information with payment details
             $order_sql = "
                 SELECT o.order_id, o.customer_id, o.invoice_no, o.order_date, o.order_status,
+                       o.shipping_method_id, o.shipping_method_name, o.shipping_cost,
+                       o.coupon_code, o.discount_amount,
                        p.pay_id, p.amt, p.currency, p.payment_date,
                        c.customer_name, c.customer_email
                 FROM orders o
@@ -660,6 +914,103 @@ class Order extends db_connection
         }
     }
 
+    /**
+     * Get the order a checkout attempt already created     * 
+     * Orders whose payment was refunded are not replayed, so a retry is never
+     * told an order went through after the customer got their money back.
+     * 
+     * @param int $customer_id Customer ID
+     * @param string $idempotency_key Checkout attempt key
+     * @return array Result array in the create_order() shape with replayed = true, or not_found
+     */
+    public function get_order_by_idempotency_key($customer_id, $idempotency_key)
+    {
+        // Connect to database with enhanced error handling
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("
+                SELECT o.order_id
+                FROM orders o
+                WHERE o.customer_id = ? AND o.idempotency_key = ?
+                  AND o.order_status <> 'refunded'
+                  AND NOT EXISTS (
+                      SELECT 1 FROM payment_transactions t
+                      WHERE t.order_id = o.order_id AND t.status = 'refunded'
+                  )
+            ");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_get_order_by_idempotency_key');
+            }
+
+            $stmt->bind_param("is", $customer_id, $idempotency_key);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'get_order_by_idempotency_key');
+            }
+
+            $row = $stmt->get_result()->fetch_assoc();
+            $stmt->close();
+
+            if (!$row) {
+                return [
+                    'success' => false,
+                    'error_type' => 'not_found',
+                    'error_message' => 'No order for this idempotency key',
+                    'error_details' => ['customer_id' => $customer_id]
+                ];
+            }
+
+            $order_result = $this->get_order_by_id($row['order_id']);
+            if (!$order_result['success']) {
+                return $order_result;
+            }
+
+            $order = $order_result['data']['order'];
+
+            return [
+                'success' => true,
+                'data' => [
+                    'order_id' => (int)$order['order_id'],
+                    'customer_id' => (int)$order['customer_id'],
+                    'invoice_no' => $order['invoice_no'],
+                    'order_status' => $order['order_status'],
+                    'total_amount' => (float)$order['amt'],
+                    'currency' => $order['currency'],
+                    'order_date' => $order['order_date'],
+                    'shipping_method_id' => $order['shipping_method_id'] !== null ? (int)$order['shipping_method_id'] : null,
+                    'shipping_method_name' => $order['shipping_method_name'],
+                    'shipping_cost' => (float)$order['shipping_cost'],
+                    'coupon_code' => $order['coupon_code'],
+                    'discount_amount' => (float)$order['discount_amount'],
+                    'payment_id' => $order['pay_id'],
+                    'items_count' => $order_result['data']['items_count'],
+                    'order_details' => $order_result['data']['order_details'],
+                    'replayed' => true,
+                    'action' => 'order_replayed'
+                ]
+            ];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Order lookup by idempotency key failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'get_order_by_idempotency_key'
+                ]
+            ];
+        }
+    }
+
     /**
      * Get order details for a specific order     * 
      * @param int $order_id Order ID
@@ -685,15 +1036,17 @@ class Order extends db_connection
 
         try {
             $details_sql = "
-                SELECT od.order_id, od.product_id, od.qty,
-                       p.product_title, p.product_price, p.product_image, p.product_desc,
+                SELECT od.order_id, od.product_id, od.variant_id, od.variant_label, od.qty,
+                       p.product_title, COALESCE(v.variant_price, p.product_price) AS product_price,
+                       COALESCE(v.variant_image, p.product_image) AS product_image, p.product_description,
                        cat.cat_name, b.brand_name
                 FROM orderdetails od
                 INNER JOIN products p ON od.product_id = p.product_id
-                LEFT JOIN categories cat ON p.product_cat = cat.cat_id
-                LEFT JOIN brands b ON p.product_brand = b.brand_id
+                LEFT JOIN product_variants v ON od.variant_id = v.variant_id
+                LEFT JOIN categories cat ON p.category_id = cat.cat_id
+                LEFT JOIN brands b ON p.brand_id = b.brand_id
                 WHERE od.order_id = ?
-                ORDER BY p.product_title ASC
+                ORDER BY p.product_title ASC, od.variant_label ASC
             ";
 
             $stmt = $this->db->prepare($details_sql);
@@ -822,7 +1175,9 @@ class Order extends db_connection
         try {
             $orders_sql = "
                 SELECT o.order_id, o.customer_id, o.invoice_no, o.order_date, o.order_status,
-                       p.pay_id, p.amt, p.currency, p.payment_date
+                       o.shipping_method_name, o.shipping_cost, o.coupon_code, o.discount_amount,
+                       p.pay_id, p.amt, p.currency, p.payment_date,
+                       (SELECT COALESCE(SUM(od.qty), 0) FROM orderdetails od WHERE od.order_id = o.order_id) AS total_items
                 FROM orders o
                 LEFT JOIN payment p ON o.order_id = p.order_id
                 WHERE o.customer_id = ?
@@ -917,12 +1272,75 @@ class Order extends db_connection
     }
 
     /**
-     * Update order status     * 
+     * Count all orders placed by a customer, for paging get_customer_orders()
+     * 
+     * @param int $customer_id Customer ID
+     * @return array Result array with success status and total
+     */
+    public function count_customer_orders($customer_id)
+    {
+        // Connect to database with enhanced error handling
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("SELECT COUNT(*) AS total FROM orders WHERE customer_id = ?");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_count_customer_orders');
+            }
+
+            $stmt->bind_param("i", $customer_id);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'count_customer_orders');
+            }
+
+            $row = $stmt->get_result()->fetch_assoc();
+            $stmt->close();
+
+            return [
+                'success' => true,
+                'data' => [
+                    'customer_id' => $customer_id,
+                    'total' => (int)$row['total']
+                ]
+            ];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Customer order count failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'count_customer_orders'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Update order status and record the change in order_status_history
+     * With $expected_status the update only applies while the order is still in
+     * that status, so two admins acting on the same order cannot both succeed.
+     * Cancelling or refunding an order puts its units back in stock and gives
+     * back its coupon use in the same transaction.
+     * 
      * @param int $order_id Order ID
      * @param string $new_status New order status
-     * @return array Result array with success status and update data
+     * @param string|null $expected_status Status the order must currently have
+     * @param int|null $changed_by Admin customer ID (null for the checkout itself)
+     * @param string|null $note Reason shown in the history
+     * @return array Result array with success status and update data; status_conflict
+     *               when the order is no longer in $expected_status
      */
-    public function update_order_status($order_id, $new_status)
+    public function update_order_status($order_id, $new_status, $expected_status = null, $changed_by = null, $note = null)
     {
         // Validate input
         if (empty($order_id) || !is_numeric($order_id) || $order_id <= 0) {
@@ -944,7 +1362,7 @@ class Order extends db_connection
         }
 
         // Validate status values
-        $valid_statuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+        $valid_statuses = ['pending', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded'];
         if (!in_array($new_status, $valid_statuses)) {
             return [
                 'success' => false,
@@ -964,70 +1382,106 @@ class Order extends db_connection
         }
 
         try {
-            $stmt = $this->db->prepare("UPDATE orders SET order_status = ? WHERE order_id = ?");
+            $this->db->autocommit(false);
+
+            $stmt = $this->db->prepare("SELECT order_status FROM orders WHERE order_id = ? FOR UPDATE");
             if (!$stmt) {
+                $this->db->rollback();
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_lock_order_status');
+            }
+
+            $stmt->bind_param("i", $order_id);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                $this->db->rollback();
+                return $this->handle_mysql_error($errno, $error, 'lock_order_status');
+            }
+
+            $row = $stmt->get_result()->fetch_assoc();
+            $stmt->close();
+
+            if (!$row) {
+                $this->db->rollback();
                 return [
                     'success' => false,
-                    'error_type' => 'database_error',
-                    'error_message' => 'Failed to prepare order status update statement',
-                    'error_details' => [
-                        'mysql_error' => $this->db->error,
-                        'mysql_errno' => $this->db->errno,
-                        'operation' => 'prepare_update_order_status'
-                    ]
+                    'error_type' => 'not_found',
+                    'error_message' => 'Order not found for status update',
+                    'error_details' => ['order_id' => $order_id, 'new_status' => $new_status]
                 ];
             }
 
-            if (!$stmt->bind_param("si", $new_status, $order_id)) {
-                $stmt->close();
+            $old_status = $row['order_status'];
+
+            if ($expected_status !== null && $old_status !== $expected_status) {
+                $this->db->rollback();
                 return [
                     'success' => false,
-                    'error_type' => 'database_error',
-                    'error_message' => 'Failed to bind parameters for order status update',
+                    'error_type' => 'status_conflict',
+                    'error_message' => "Order status changed to {$old_status} while updating",
                     'error_details' => [
-                        'mysql_error' => $stmt->error,
-                        'operation' => 'bind_params_update_order_status'
+                        'order_id' => $order_id,
+                        'expected_status' => $expected_status,
+                        'current_status' => $old_status
                     ]
                 ];
             }
 
-            if ($stmt->execute()) {
-                $affected_rows = $stmt->affected_rows;
+            $stmt = $this->db->prepare("UPDATE orders SET order_status = ? WHERE order_id = ?");
+            if (!$stmt) {
+                $this->db->rollback();
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_update_order_status');
+            }
+
+            $stmt->bind_param("si", $new_status, $order_id);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
                 $stmt->close();
+                $this->db->rollback();
+                return $this->handle_mysql_error($errno, $error, 'update_order_status');
+            }
+            $stmt->close();
 
-                if ($affected_rows > 0) {
-                    return [
-                        'success' => true,
-                        'data' => [
-                            'order_id' => $order_id,
-                            'new_status' => $new_status,
-                            'affected_rows' => $affected_rows,
-                            'action' => 'order_status_updated'
-                        ]
-                    ];
-                } else {
-                    return [
-                        'success' => false,
-                        'error_type' => 'not_found',
-                        'error_message' => 'Order not found for status update',
-                        'error_details' => [
-                            'order_id' => $order_id,
-                            'new_status' => $new_status,
-                            'affected_rows' => $affected_rows
-                        ]
-                    ];
+            $history_result = $this->insert_status_history($order_id, $old_status, $new_status, $changed_by, $note);
+            if (!$history_result['success']) {
+                $this->db->rollback();
+                return $history_result;
+            }
+
+            $closing_statuses = ['cancelled', 'refunded'];
+            if (in_array($new_status, $closing_statuses, true) && !in_array($old_status, $closing_statuses, true)) {
+                $restock_result = $this->restock_order($order_id);
+                if (!$restock_result['success']) {
+                    $this->db->rollback();
+                    return $restock_result;
+                }
+
+                $release_result = $this->release_coupon($order_id);
+                if (!$release_result['success']) {
+                    $this->db->rollback();
+                    return $release_result;
                 }
-            } else {
-                $error_info = [
-                    'mysql_error' => $stmt->error,
-                    'mysql_errno' => $stmt->errno,
-                    'operation' => 'execute_update_order_status'
-                ];
-                $stmt->close();
-                return $this->handle_mysql_error($stmt->errno, $stmt->error, 'update_order_status', $error_info);
             }
 
+            $this->db->commit();
+
+            return [
+                'success' => true,
+                'data' => [
+                    'order_id' => $order_id,
+                    'old_status' => $old_status,
+                    'new_status' => $new_status,
+                    'history_id' => $history_result['data']['history_id'],
+                    'action' => 'order_status_updated'
+                ]
+            ];
+
         } catch (Exception $e) {
+            $this->db->rollback();
             return [
                 'success' => false,
                 'error_type' => 'database_exception',
@@ -1038,11 +1492,347 @@ class Order extends db_connection
                     'operation' => 'update_order_status'
                 ]
             ];
+        } finally {
+            $this->db->autocommit(true);
+        }
+    }
+
+    /**
+     * Put an order's units back in stock (inside the status update transaction)
+     * Mirrors reserve_stock(): variant lines go back to the variant, and products
+     * whose stock is not tracked (NULL) are left alone.
+     * 
+     * @param int $order_id Order ID
+     * @return array Result array with success status
+     */
+    private function restock_order($order_id)
+    {
+        $stmt = $this->db->prepare("SELECT product_id, variant_id, qty FROM orderdetails WHERE order_id = ?");
+        if (!$stmt) {
+            return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_get_order_lines');
+        }
+
+        $stmt->bind_param("i", $order_id);
+
+        if (!$stmt->execute()) {
+            $errno = $stmt->errno;
+            $error = $stmt->error;
+            $stmt->close();
+            return $this->handle_mysql_error($errno, $error, 'get_order_lines');
+        }
+
+        $lines = $stmt->get_result()->fetch_all(MYSQLI_ASSOC);
+        $stmt->close();
+
+        foreach ($lines as $line) {
+            $variant_id = (int)$line['variant_id'];
+            $quantity = (int)$line['qty'];
+
+            if ($variant_id > 0) {
+                list($table, $column, $key, $id) = ['product_variants', 'variant_stock', 'variant_id', $variant_id];
+            } else {
+                list($table, $column, $key, $id) = ['products', 'product_stock', 'product_id', (int)$line['product_id']];
+            }
+
+            $stmt = $this->db->prepare("UPDATE {$table} SET {$column} = {$column} + ? WHERE {$key} = ? AND {$column} IS NOT NULL");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_restock_order');
+            }
+
+            $stmt->bind_param("ii", $quantity, $id);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'restock_order', ['product_id' => (int)$line['product_id'], 'variant_id' => $variant_id]);
+            }
+            $stmt->close();
+        }
+
+        return ['success' => true];
+    }
+
+    /**
+     * Give back the coupon use an order took (inside the status update transaction)
+     * Removing the redemption frees it for the customer's per-customer limit; the
+     * order keeps its coupon_code and discount_amount.
+     * 
+     * @param int $order_id Order ID
+     * @return array Result array with success status
+     */
+    private function release_coupon($order_id)
+    {
+        $stmt = $this->db->prepare("UPDATE coupons SET times_used = times_used - 1 WHERE times_used > 0 AND coupon_id IN (SELECT coupon_id FROM coupon_redemptions WHERE order_id = ?)");
+        if (!$stmt) {
+            return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_release_coupon');
+        }
+
+        $stmt->bind_param("i", $order_id);
+
+        if (!$stmt->execute()) {
+            $errno = $stmt->errno;
+            $error = $stmt->error;
+            $stmt->close();
+            return $this->handle_mysql_error($errno, $error, 'release_coupon');
+        }
+        $stmt->close();
+
+        $stmt = $this->db->prepare("DELETE FROM coupon_redemptions WHERE order_id = ?");
+        if (!$stmt) {
+            return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_delete_coupon_redemption');
+        }
+
+        $stmt->bind_param("i", $order_id);
+
+        if (!$stmt->execute()) {
+            $errno = $stmt->errno;
+            $error = $stmt->error;
+            $stmt->close();
+            return $this->handle_mysql_error($errno, $error, 'delete_coupon_redemption');
+        }
+        $stmt->close();
+
+        return ['success' => true];
+    }
+
+    /**
+     * Record a status change; runs inside the caller's transaction
+     * 
+     * @param int $order_id Order ID
+     * @param string|null $from_status Previous status (null when the order is created)
+     * @param string $to_status New status
+     * @param int|null $changed_by Admin customer ID, null for the checkout
+     * @param string|null $note Reason for the change
+     * @return array Result array with the new history_id
+     */
+    private function insert_status_history($order_id, $from_status, $to_status, $changed_by = null, $note = null)
+    {
+        $stmt = $this->db->prepare("INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note) VALUES (?, ?, ?, ?, ?)");
+        if (!$stmt) {
+            return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_insert_status_history');
+        }
+
+        $stmt->bind_param("issis", $order_id, $from_status, $to_status, $changed_by, $note);
+
+        if (!$stmt->execute()) {
+            $errno = $stmt->errno;
+            $error = $stmt->error;
+            $stmt->close();
+            return $this->handle_mysql_error($errno, $error, 'insert_status_history');
+        }
+
+        $history_id = $stmt->insert_id;
+        $stmt->close();
+
+        return [
+            'success' => true,
+            'data' => ['history_id' => $history_id]
+        ];
+    }
+
+    /**
+     * Get the status history of an order, oldest first
+     * 
+     * @param int $order_id Order ID
+     * @return array Result array with history rows (changed_by_name is null for checkout changes)
+     */
+    public function get_order_status_history($order_id)
+    {
+        // Connect to database with enhanced error handling
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("
+                SELECT h.history_id, h.from_status, h.to_status, h.changed_by, h.note, h.changed_at,
+                       c.customer_name AS changed_by_name
+                FROM order_status_history h
+                LEFT JOIN customer c ON h.changed_by = c.customer_id
+                WHERE h.order_id = ?
+                ORDER BY h.changed_at ASC, h.history_id ASC
+            ");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_get_order_status_history');
+            }
+
+            $stmt->bind_param("i", $order_id);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'get_order_status_history');
+            }
+
+            $history = $stmt->get_result()->fetch_all(MYSQLI_ASSOC);
+            $stmt->close();
+
+            return [
+                'success' => true,
+                'data' => [
+                    'order_id' => $order_id,
+                    'history' => $history
+                ]
+            ];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Order status history retrieval failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'get_order_status_history'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Get orders across all customers for the admin console, newest first
+     * 
+     * @param array $filters status, date_from and date_to (Y-m-d), customer (name or
+     *                       email fragment, or a customer ID)
+     * @param int $limit Number of orders to retrieve
+     * @param int $offset Offset for pagination
+     * @return array Result array with orders and total (matching orders across all pages)
+     */
+    public function get_orders($filters = [], $limit = 20, $offset = 0)
+    {
+        // Connect to database with enhanced error handling
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        $conditions = [];
+        $types = "";
+        $params = [];
+
+        if (!empty($filters['status'])) {
+            $conditions[] = "o.order_status = ?";
+            $types .= "s";
+            $params[] = $filters['status'];
+        }
+
+        if (!empty($filters['date_from'])) {
+            $conditions[] = "o.order_date >= ?";
+            $types .= "s";
+            $params[] = $filters['date_from'];
+        }
+
+        if (!empty($filters['date_to'])) {
+            $conditions[] = "o.order_date <= ?";
+            $types .= "s";
+            $params[] = $filters['date_to'];
+        }
+
+        if (!empty($filters['customer'])) {
+            if (ctype_digit((string)$filters['customer'])) {
+                $conditions[] = "o.customer_id = ?";
+                $types .= "i";
+                $params[] = (int)$filters['customer'];
+            } else {
+                $conditions[] = "(c.customer_name LIKE ? OR c.customer_email LIKE ?)";
+                $types .= "ss";
+                $like = '%' . $filters['customer'] . '%';
+                $params[] = $like;
+                $params[] = $like;
+            }
+        }
+
+        $where = $conditions ? "WHERE " . implode(" AND ", $conditions) : "";
+
+        try {
+            $stmt = $this->db->prepare("
+                SELECT COUNT(*) AS total
+                FROM orders o
+                LEFT JOIN customer c ON o.customer_id = c.customer_id
+                {$where}
+            ");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_count_orders');
+            }
+
+            if ($types !== "") {
+                $stmt->bind_param($types, ...$params);
+            }
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'count_orders');
+            }
+
+            $total = (int)$stmt->get_result()->fetch_assoc()['total'];
+            $stmt->close();
+
+            $stmt = $this->db->prepare("
+                SELECT o.order_id, o.customer_id, o.invoice_no, o.order_date, o.order_status,
+                       o.shipping_method_name, o.shipping_cost, o.coupon_code, o.discount_amount,
+                       p.amt, p.currency,
+                       c.customer_name, c.customer_email,
+                       (SELECT COALESCE(SUM(od.qty), 0) FROM orderdetails od WHERE od.order_id = o.order_id) AS total_items
+                FROM orders o
+                LEFT JOIN payment p ON o.order_id = p.order_id
+                LEFT JOIN customer c ON o.customer_id = c.customer_id
+                {$where}
+                ORDER BY o.order_date DESC, o.order_id DESC
+                LIMIT ? OFFSET ?
+            ");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_get_orders');
+            }
+
+            $page_types = $types . "ii";
+            $page_params = array_merge($params, [(int)$limit, (int)$offset]);
+            $stmt->bind_param($page_types, ...$page_params);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'get_orders');
+            }
+
+            $orders = $stmt->get_result()->fetch_all(MYSQLI_ASSOC);
+            $stmt->close();
+
+            return [
+                'success' => true,
+                'data' => [
+                    'orders' => $orders,
+                    'count' => count($orders),
+                    'total' => $total,
+                    'limit' => $limit,
+                    'offset' => $offset,
+                    'action' => 'orders_retrieved'
+                ]
+            ];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Order listing failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'get_orders'
+                ]
+            ];
         }
     }
 
     /**
      * Get order statistics for monitoring and reporting     * 
+     * Revenue and average order value leave out cancelled and refunded orders.
+     * 
      * @param string $start_date Start date for statistics (Y-m-d format)
      * @param string $end_date End date for statistics (Y-m-d format)
      * @return array Result array with success status and statistics data
@@ -1081,11 +1871,14 @@ class Order extends db_connection
                 SELECT 
                     COUNT(DISTINCT o.order_id) as total_orders,
                     COUNT(DISTINCT o.customer_id) as unique_customers,
-                    SUM(p.amt) as total_revenue,
-                    AVG(p.amt) as avg_order_value,
+                    SUM(CASE WHEN o.order_status NOT IN ('cancelled', 'refunded') THEN p.amt END) as total_revenue,
+                    AVG(CASE WHEN o.order_status NOT IN ('cancelled', 'refunded') THEN p.amt END) as avg_order_value,
                     COUNT(CASE WHEN o.order_status = 'pending' THEN 1 END) as pending_orders,
-                    COUNT(CASE WHEN o.order_status = 'confirmed' THEN 1 END) as confirmed_orders,
-                    COUNT(CASE WHEN o.order_status = 'cancelled' THEN 1 END) as cancelled_orders
+                    COUNT(CASE WHEN o.order_status = 'paid' THEN 1 END) as paid_orders,
+                    COUNT(CASE WHEN o.order_status = 'shipped' THEN 1 END) as shipped_orders,
+                    COUNT(CASE WHEN o.order_status = 'delivered' THEN 1 END) as delivered_orders,
+                    COUNT(CASE WHEN o.order_status = 'cancelled' THEN 1 END) as cancelled_orders,
+                    COUNT(CASE WHEN o.order_status = 'refunded' THEN 1 END) as refunded_orders
                 FROM orders o
                 LEFT JOIN payment p ON o.order_id = p.order_id
                 WHERE o.order_date BETWEEN ? AND ?
@@ -1155,8 +1948,11 @@ class Order extends db_connection
                     'total_revenue' => round((float)$stats['total_revenue'], 2),
                     'avg_order_value' => round((float)$stats['avg_order_value'], 2),
                     'pending_orders' => (int)$stats['pending_orders'],
-                    'confirmed_orders' => (int)$stats['confirmed_orders'],
+                    'paid_orders' => (int)$stats['paid_orders'],
+                    'shipped_orders' => (int)$stats['shipped_orders'],
+                    'delivered_orders' => (int)$stats['delivered_orders'],
                     'cancelled_orders' => (int)$stats['cancelled_orders'],
+                    'refunded_orders' => (int)$stats['refunded_orders'],
                     'timestamp' => time(),
                     'action' => 'order_statistics_retrieved'
                 ]
@@ -1176,6 +1972,167 @@ class Order extends db_connection
         }
     }
 
+    /**
+     * Get orders and revenue per day, for the sales analytics charts
+     * Cancelled and refunded orders are left out; days without orders are not returned.
+     * 
+     * @param string $start_date First day (Y-m-d)
+     * @param string $end_date Last day (Y-m-d)
+     * @return array Result array with days (sale_date, orders, revenue)
+     */
+    public function get_daily_sales($start_date, $end_date)
+    {
+        // Connect to database with enhanced error handling
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("
+                SELECT o.order_date AS sale_date,
+                       COUNT(DISTINCT o.order_id) AS orders,
+                       COALESCE(SUM(p.amt), 0) AS revenue
+                FROM orders o
+                LEFT JOIN payment p ON o.order_id = p.order_id
+                WHERE o.order_date BETWEEN ? AND ?
+                  AND o.order_status NOT IN ('cancelled', 'refunded')
+                GROUP BY o.order_date
+                ORDER BY o.order_date ASC
+            ");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_get_daily_sales');
+            }
+
+            $stmt->bind_param("ss", $start_date, $end_date);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'get_daily_sales');
+            }
+
+            $days = $stmt->get_result()->fetch_all(MYSQLI_ASSOC);
+            $stmt->close();
+
+            return [
+                'success' => true,
+                'data' => [
+                    'days' => $days,
+                    'action' => 'daily_sales_retrieved'
+                ]
+            ];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Daily sales retrieval failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'get_daily_sales'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Get the best-selling products, brands or categories by units sold
+     * Sales are quantity times the product's current price, since order lines
+     * do not keep the price paid. Cancelled and refunded orders are left out.
+     * 
+     * @param string $group 'product', 'brand' or 'category'
+     * @param string $start_date First day (Y-m-d)
+     * @param string $end_date Last day (Y-m-d)
+     * @param int $limit Number of rows to return
+     * @return array Result array with sellers (id, name, units, orders, sales)
+     */
+    public function get_top_sellers($group, $start_date, $end_date, $limit = 10)
+    {
+        $groupings = [
+            'product' => ['pr.product_id', 'pr.product_title'],
+            'brand' => ['b.brand_id', 'b.brand_name'],
+            'category' => ['cat.cat_id', 'cat.cat_name']
+        ];
+
+        if (!isset($groupings[$group])) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'Invalid grouping for top sellers',
+                'error_details' => ['group' => $group, 'valid_groups' => array_keys($groupings)]
+            ];
+        }
+
+        [$id_column, $name_column] = $groupings[$group];
+
+        // Connect to database with enhanced error handling
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("
+                SELECT {$id_column} AS id,
+                       {$name_column} AS name,
+                       SUM(od.qty) AS units,
+                       COUNT(DISTINCT o.order_id) AS orders,
+                       SUM(od.qty * COALESCE(v.variant_price, pr.product_price)) AS sales
+                FROM orderdetails od
+                INNER JOIN orders o ON od.order_id = o.order_id
+                INNER JOIN products pr ON od.product_id = pr.product_id
+                LEFT JOIN product_variants v ON od.variant_id = v.variant_id
+                LEFT JOIN brands b ON pr.brand_id = b.brand_id
+                LEFT JOIN categories cat ON pr.category_id = cat.cat_id
+                WHERE o.order_date BETWEEN ? AND ?
+                  AND o.order_status NOT IN ('cancelled', 'refunded')
+                GROUP BY {$id_column}, {$name_column}
+                ORDER BY units DESC, sales DESC
+                LIMIT ?
+            ");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_get_top_sellers');
+            }
+
+            $limit = (int)$limit;
+            $stmt->bind_param("ssi", $start_date, $end_date, $limit);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'get_top_sellers');
+            }
+
+            $sellers = $stmt->get_result()->fetch_all(MYSQLI_ASSOC);
+            $stmt->close();
+
+            return [
+                'success' => true,
+                'data' => [
+                    'group' => $group,
+                    'sellers' => $sellers,
+                    'action' => 'top_sellers_retrieved'
+                ]
+            ];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Top sellers retrieval failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'get_top_sellers'
+                ]
+            ];
+        }
+    }
+
     /**
      * Validate date format
      * 
@@ -1191,10 +2148,16 @@ class Order extends db_connection
 
     /**
      * Enhanced database connection with error handling
+     * Reuses the open connection, so helpers called inside create_order() and
+     * update_order_status() run in their transaction instead of a new session.
      * @return array Connection result with success status and error details
      */
     protected function connect_with_error_handling()
     {
+        if ($this->db !== null) {
+            return ['success' => true];
+        }
+
         try {
             if (!$this->db_connect()) {
                 $connection_error = mysqli_connect_error();
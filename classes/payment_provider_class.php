@@ -0,0 +1,78 @@
+<?php
+
+/**
+ * Payment Provider Interface
+ *
+ * Contract every payment gateway integration implements. The payment controller
+ * drives a checkout payment through these steps:
+ *
+ *   initialize       create the payment on the gateway for a stored transaction
+ *   authorize        submit the shopper's payment details
+ *   handle_return    resume after the gateway redirected the shopper back
+ *   handle_callback  verify and translate an asynchronous webhook
+ *   confirm          capture an authorized payment once the order can be placed
+ *   refund           return captured funds
+ *
+ * Every method returns the usual result array:
+ *   ['success' => true, 'data' => [...]] or
+ *   ['success' => false, 'error_type' => ..., 'error_message' => ..., 'error_details' => [...]]
+ *
+ * Status values reported in data['status'] are the payment_transactions statuses:
+ * processing, requires_action, authorized, captured, refunded, failed, canceled.
+ */
+interface PaymentProvider
+{
+    /**
+     * Provider name stored on payment_transactions.provider
+     * @return string
+     */
+    public function get_name();
+
+    /**
+     * Create the payment on the gateway
+     * @param array $transaction payment_transactions row
+     * @return array data: provider_reference, client_data (safe to send to the browser)
+     */
+    public function initialize($transaction);
+
+    /**
+     * Submit payment details collected by the provider's client-side form
+     * @param array $transaction payment_transactions row
+     * @param array $payment_details Provider specific details (never stored)
+     * @return array data: status, next_action (when status is requires_action), failure_reason
+     */
+    public function authorize($transaction, $payment_details);
+
+    /**
+     * Resume a payment after the gateway redirected the shopper back to the store
+     * @param array $transaction payment_transactions row
+     * @param array $params Query parameters the gateway appended to the return URL
+     * @return array data: status, failure_reason
+     */
+    public function handle_return($transaction, $params);
+
+    /**
+     * Verify and translate a webhook sent by the gateway
+     * @param string $raw_body Raw request body
+     * @param array $headers Request headers (lower-case names)
+     * @return array data: event_id, event_type, provider_reference, status, failure_reason
+     */
+    public function handle_callback($raw_body, $headers);
+
+    /**
+     * Capture an authorized payment
+     * @param array $transaction payment_transactions row
+     * @return array data: status
+     */
+    public function confirm($transaction);
+
+    /**
+     * Refund a captured payment
+     * @param array $transaction payment_transactions row
+     * @param float $amount Amount to refund
+     * @return array data: status, refund_reference
+     */
+    public function refund($transaction, $amount);
+}
+
+?>
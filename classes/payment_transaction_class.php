@@ -0,0 +1,366 @@
+<?php
+
+require_once __DIR__ . '/../settings/db_class.php';
+
+/**
+ * Payment Transaction Class
+ *
+ * Handles payment_transactions and payment_transaction_events data access.
+ * Rows are provider independent; provider specific state stays with the provider.
+ */
+class PaymentTransaction extends db_connection
+{
+    /**
+     * Columns update_transaction() may change
+     */
+    private $updatable_fields = [
+        'provider_reference' => 's',
+        'order_id' => 'i',
+        'status' => 's',
+        'failure_reason' => 's',
+        'refunded_amount' => 'd'
+    ];
+
+    /**
+     * Create a payment transaction
+     *
+     * @param string $reference Store-side payment reference
+     * @param string $provider Provider name
+     * @param int $customer_id Customer ID
+     * @param float $amount Amount to charge
+     * @param string $currency Currency code
+     * @param string|null $quote_id Checkout quote being paid
+     * @return array Result array with success status and transaction data
+     */
+    public function create_transaction($reference, $provider, $customer_id, $amount, $currency, $quote_id = null)
+    {
+        if (empty($reference) || empty($provider) || empty($customer_id) || !is_numeric($amount) || $amount <= 0) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'Reference, provider, customer ID and a positive amount are required',
+                'error_details' => [
+                    'reference' => $reference,
+                    'provider' => $provider,
+                    'customer_id' => $customer_id,
+                    'amount' => $amount
+                ]
+            ];
+        }
+
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        $status = 'initialized';
+        $result = $this->execute_statement(
+            "INSERT INTO payment_transactions (reference, provider, customer_id, quote_id, amount, currency, status) VALUES (?, ?, ?, ?, ?, ?, ?)",
+            "ssisdss",
+            [$reference, $provider, $customer_id, $quote_id, $amount, $currency, $status],
+            'create_transaction'
+        );
+
+        if (!$result['success']) {
+            return $result;
+        }
+
+        return $this->get_transaction($reference);
+    }
+
+    /**
+     * Get a transaction by its store-side reference
+     *
+     * @param string $reference Payment reference
+     * @return array Result array with success status and transaction row
+     */
+    public function get_transaction($reference)
+    {
+        return $this->fetch_transaction("SELECT * FROM payment_transactions WHERE reference = ?", "s", [$reference]);
+    }
+
+    /**
+     * Get a transaction by the reference the provider assigned to it
+     *
+     * @param string $provider Provider name
+     * @param string $provider_reference Provider reference
+     * @return array Result array with success status and transaction row
+     */
+    public function get_transaction_by_provider_reference($provider, $provider_reference)
+    {
+        return $this->fetch_transaction(
+            "SELECT * FROM payment_transactions WHERE provider = ? AND provider_reference = ?",
+            "ss",
+            [$provider, $provider_reference]
+        );
+    }
+
+    /**
+     * Get the payment that was taken for an order
+     *
+     * @param int $order_id Order ID
+     * @return array Result array with success status and transaction row
+     */
+    public function get_transaction_by_order($order_id)
+    {
+        return $this->fetch_transaction(
+            "SELECT * FROM payment_transactions WHERE order_id = ? ORDER BY transaction_id DESC LIMIT 1",
+            "i",
+            [$order_id]
+        );
+    }
+
+    /**
+     * Update transaction fields
+     *
+     * @param string $reference Payment reference
+     * @param array $fields Column => value pairs (see $updatable_fields)
+     * @return array Result array with success status and updated transaction row
+     */
+    public function update_transaction($reference, $fields)
+    {
+        $set_parts = [];
+        $values = [];
+        $types = '';
+
+        foreach ($fields as $field => $value) {
+            if (isset($this->updatable_fields[$field])) {
+                $set_parts[] = "$field = ?";
+                $values[] = $value;
+                $types .= $this->updatable_fields[$field];
+            }
+        }
+
+        if (empty($set_parts)) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'No updatable transaction fields provided',
+                'error_details' => ['fields' => array_keys($fields)]
+            ];
+        }
+
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        $values[] = $reference;
+        $types .= 's';
+
+        $result = $this->execute_statement(
+            "UPDATE payment_transactions SET " . implode(', ', $set_parts) . " WHERE reference = ?",
+            $types,
+            $values,
+            'update_transaction'
+        );
+
+        if (!$result['success']) {
+            return $result;
+        }
+
+        return $this->get_transaction($reference);
+    }
+
+    /**
+     * Record a provider event so a redelivered webhook is applied only once
+     *
+     * @param string $provider Provider name
+     * @param string $event_id Provider event ID
+     * @param string $reference Payment reference the event belongs to
+     * @param string $event_type Provider event type
+     * @return array Result array; data['duplicate'] is true when the event was seen before
+     */
+    public function record_event($provider, $event_id, $reference, $event_type)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        $result = $this->execute_statement(
+            "INSERT INTO payment_transaction_events (event_id, provider, reference, event_type) VALUES (?, ?, ?, ?)",
+            "ssss",
+            [$event_id, $provider, $reference, $event_type],
+            'record_event'
+        );
+
+        if (!$result['success'] && $result['error_type'] === 'duplicate_entry') {
+            return ['success' => true, 'data' => ['duplicate' => true]];
+        }
+
+        if (!$result['success']) {
+            return $result;
+        }
+
+        return ['success' => true, 'data' => ['duplicate' => false]];
+    }
+
+    /**
+     * Run a SELECT expected to return one transaction row
+     *
+     * @param string $sql Query
+     * @param string $types bind_param types
+     * @param array $params Parameters
+     * @return array Result array with success status and transaction row
+     */
+    private function fetch_transaction($sql, $types, $params)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare($sql);
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_fetch_transaction');
+            }
+
+            $stmt->bind_param($types, ...$params);
+            $stmt->execute();
+            $row = $stmt->get_result()->fetch_assoc();
+            $stmt->close();
+
+            if (!$row) {
+                return [
+                    'success' => false,
+                    'error_type' => 'not_found',
+                    'error_message' => 'Payment transaction not found',
+                    'error_details' => ['params' => $params]
+                ];
+            }
+
+            return ['success' => true, 'data' => $row];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Payment transaction lookup failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'fetch_transaction'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Prepare, bind and execute a write statement
+     *
+     * @param string $sql Statement
+     * @param string $types bind_param types
+     * @param array $params Parameters
+     * @param string $operation Operation name for error details
+     * @return array Result array with success status and affected rows
+     */
+    private function execute_statement($sql, $types, $params, $operation)
+    {
+        try {
+            $stmt = $this->db->prepare($sql);
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_' . $operation);
+            }
+
+            $stmt->bind_param($types, ...$params);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, $operation);
+            }
+
+            $affected_rows = $stmt->affected_rows;
+            $stmt->close();
+
+            return ['success' => true, 'data' => ['affected_rows' => $affected_rows]];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Payment transaction write failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => $operation
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Enhanced database connection with error handling
+     * @return array Connection result with success status and error details
+     */
+    protected function connect_with_error_handling()
+    {
+        if ($this->db !== null) {
+            return ['success' => true];
+        }
+
+        try {
+            if (!$this->db_connect()) {
+                return [
+                    'success' => false,
+                    'error_type' => 'connection_error',
+                    'error_message' => 'Failed to connect to database',
+                    'error_details' => [
+                        'mysql_error' => mysqli_connect_error() ?: 'Unknown connection error',
+                        'mysql_errno' => mysqli_connect_errno() ?: 0,
+                        'operation' => 'database_connection'
+                    ]
+                ];
+            }
+
+            return ['success' => true];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'connection_exception',
+                'error_message' => 'Database connection failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'database_connection'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Map a MySQL error to a standardized error response
+     * @param int $errno MySQL error number
+     * @param string $error MySQL error message
+     * @param string $operation Operation that caused the error
+     * @return array Standardized error response
+     */
+    private function handle_mysql_error($errno, $error, $operation)
+    {
+        $error_types = [
+            1062 => ['duplicate_entry', 'Duplicate entry detected - this violates a unique constraint'],
+            1146 => ['table_not_found', 'Database table not found - run migrations/001_payment_transactions.sql'],
+            1054 => ['column_not_found', 'Database column not found - possible schema mismatch'],
+            2006 => ['connection_lost', 'Database connection lost - server may be unavailable']
+        ];
+
+        list($error_type, $error_message) = $error_types[$errno] ?? ['database_error', 'Database operation failed'];
+
+        return [
+            'success' => false,
+            'error_type' => $error_type,
+            'error_message' => $error_message,
+            'error_details' => [
+                'mysql_error' => $error,
+                'mysql_errno' => $errno,
+                'operation' => $operation
+            ]
+        ];
+    }
+}
+
+?>
@@ -10,6 +10,29 @@ require_once __DIR__ . '/../settings/db_class.php';
  */
 class Product extends db_connection
 {
+    // BM25 ranking: how quickly repeated words stop adding to a score, and how much
+    // longer products are penalized
+    const SEARCH_BM25_K1 = 1.2;
+    const SEARCH_BM25_B = 0.75;
+
+    // How many times a word counts in each indexed field (see migrations/012_product_search_index.sql)
+    const SEARCH_FIELD_WEIGHTS = [
+        'product_title' => 3,
+        'product_keywords' => 2,
+        'brand_name' => 2,
+        'cat_name' => 2,
+        'product_description' => 1
+    ];
+
+    // Products indexed per transaction while filling the search index
+    const SEARCH_INDEX_BATCH_SIZE = 200;
+
+    // Words of the catalogue for spelling corrections (see load_search_vocabulary())
+    private $search_vocabulary = null;
+
+    // Whether this object has indexed the products missing from the search index
+    private $search_index_synced = false;
+
     /**
      * Add a new product to the database
     /**
@@ -26,9 +49,11 @@ class Product extends db_connection
      * @param int $category_id Category ID
      * @param int $brand_id Brand ID
      * @param int $user_id Owner user ID
+     * @param float $product_weight Shipping weight in kg
+     * @param int|null $product_stock Units in stock (null when stock is not tracked)
      * @return array Success status and data/error details
      */
-    public function add_product($product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id)
+    public function add_product($product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id, $product_weight = 0, $product_stock = null)
     {
         if (empty($product_title) || empty($product_price) || empty($category_id) || empty($brand_id) || empty($user_id)) {
             return [
@@ -65,6 +90,26 @@ class Product extends db_connection
             ];
         }
 
+        // Validate weight is numeric and not negative
+        if (!is_numeric($product_weight) || $product_weight < 0) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'Product weight must be zero or a positive number',
+                'error_details' => ['product_weight' => $product_weight]
+            ];
+        }
+
+        // Validate stock is a whole number and not negative
+        if (!$this->is_valid_stock_level($product_stock)) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'Stock must be a whole number of zero or more',
+                'error_details' => ['product_stock' => $product_stock]
+            ];
+        }
+
         // Verify category exists and belongs to user
         $category_check = $this->verify_category_ownership($category_id, $user_id);
         if (!$category_check['success']) {
@@ -85,7 +130,7 @@ class Product extends db_connection
 
         try {
             // Prepare statement with error handling
-            $stmt = $this->db->prepare("INSERT INTO products (product_title, product_price, product_description, product_image, product_keywords, category_id, brand_id, user_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)");
+            $stmt = $this->db->prepare("INSERT INTO products (product_title, product_price, product_description, product_image, product_keywords, category_id, brand_id, user_id, product_weight, product_stock) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
             if (!$stmt) {
                 return [
                     'success' => false,
@@ -100,7 +145,7 @@ class Product extends db_connection
             }
 
             // Bind parameters with error handling
-            if (!$stmt->bind_param("sdssssii", $product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id)) {
+            if (!$stmt->bind_param("sdssssiidi", $product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id, $product_weight, $product_stock)) {
                 $stmt->close();
                 return [
                     'success' => false,
@@ -119,6 +164,8 @@ class Product extends db_connection
                 $stmt->close();
                 
                 if ($product_id > 0) {
+                    $this->refresh_search_document($product_id);
+
                     return [
                         'success' => true,
                         'data' => [
@@ -128,6 +175,8 @@ class Product extends db_connection
                             'product_description' => $product_description,
                             'product_image' => $product_image,
                             'product_keywords' => $product_keywords,
+                            'product_weight' => (float)$product_weight,
+                            'product_stock' => $product_stock === null ? null : (int)$product_stock,
                             'category_id' => $category_id,
                             'brand_id' => $brand_id,
                             'user_id' => $user_id
@@ -194,7 +243,7 @@ class Product extends db_connection
 
         try {
             $sql = "SELECT p.product_id, p.product_title, p.product_price, p.product_description, 
-                           p.product_image, p.product_keywords, p.category_id, p.brand_id, p.user_id, 
+                           p.product_image, p.product_keywords, p.product_weight, p.product_stock, p.category_id, p.brand_id, p.user_id, 
                            p.created_at, p.updated_at, c.cat_name, b.brand_name
                     FROM products p
                     INNER JOIN categories c ON p.category_id = c.cat_id
@@ -302,6 +351,99 @@ class Product extends db_connection
         }
     }
 
+    /**
+     * Get one page of a user's products in product ID order, for exports
+     * Paging by the last product ID seen (rather than an offset) keeps each page
+     * quick however far into the catalogue the export has got.
+     *
+     * @param int $user_id User ID
+     * @param int|null $category_id Optional category ID to filter by
+     * @param int|null $brand_id Optional brand ID to filter by
+     * @param int $after_product_id Only products with a higher ID (0 for the first page)
+     * @param int $limit Page size
+     * @return array Result array with success status and products data
+     */
+    public function get_products_after($user_id, $category_id, $brand_id, $after_product_id, $limit)
+    {
+        if (empty($user_id)) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'User ID is required to retrieve products',
+                'error_details' => ['user_id' => empty($user_id)]
+            ];
+        }
+
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $sql = "SELECT p.product_id, p.product_title, p.product_price, p.product_description, 
+                           p.product_image, p.product_keywords, p.product_weight, p.product_stock, p.category_id, p.brand_id, p.user_id, 
+                           p.created_at, p.updated_at, c.cat_name, b.brand_name
+                    FROM products p
+                    INNER JOIN categories c ON p.category_id = c.cat_id
+                    INNER JOIN brands b ON p.brand_id = b.brand_id
+                    WHERE p.user_id = ? AND p.product_id > ?";
+            $params = [$user_id, $after_product_id];
+            $types = "ii";
+
+            if ($category_id !== null) {
+                $sql .= " AND p.category_id = ?";
+                $params[] = $category_id;
+                $types .= "i";
+            }
+
+            if ($brand_id !== null) {
+                $sql .= " AND p.brand_id = ?";
+                $params[] = $brand_id;
+                $types .= "i";
+            }
+
+            $sql .= " ORDER BY p.product_id ASC LIMIT ?";
+            $params[] = $limit;
+            $types .= "i";
+
+            $stmt = $this->db->prepare($sql);
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_get_products_after');
+            }
+
+            $stmt->bind_param($types, ...$params);
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'get_products_after');
+            }
+
+            $products = $stmt->get_result()->fetch_all(MYSQLI_ASSOC);
+            $stmt->close();
+
+            return [
+                'success' => true,
+                'data' => [
+                    'products' => $products,
+                    'count' => count($products)
+                ]
+            ];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Products retrieval failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'get_products_after'
+                ]
+            ];
+        }
+    }
+
     /**
      * Get a specific product by ID     * 
      * @param int $product_id Product ID
@@ -328,7 +470,7 @@ class Product extends db_connection
 
         try {
             $sql = "SELECT p.product_id, p.product_title, p.product_price, p.product_description,
-                           p.product_image, p.product_keywords, p.category_id, p.brand_id, p.user_id,
+                           p.product_image, p.product_keywords, p.product_weight, p.product_stock, p.category_id, p.brand_id, p.user_id,
                            p.created_at, p.updated_at, c.cat_name, b.brand_name
                     FROM products p
                     INNER JOIN categories c ON p.category_id = c.cat_id
@@ -437,9 +579,11 @@ class Product extends db_connection
      * @param int $category_id Category ID
      * @param int $brand_id Brand ID
      * @param int $user_id User ID (for ownership verification)
+     * @param float|null $product_weight Shipping weight in kg (null keeps the current weight)
+     * @param int|null|false $product_stock Units in stock (null stops tracking stock, false keeps the current level)
      * @return array Result array with success status and update details
      */
-    public function update_product($product_id, $product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id)
+    public function update_product($product_id, $product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id, $product_weight = null, $product_stock = false)
     {
         // Validate input
         if (empty($product_id) || empty($product_title) || empty($product_price) || empty($category_id) || empty($brand_id) || empty($user_id)) {
@@ -493,6 +637,28 @@ class Product extends db_connection
             ];
         }
 
+        if ($product_weight === null) {
+            $product_weight = $existing_product_result['data']['product']['product_weight'] ?? 0;
+        } elseif (!is_numeric($product_weight) || $product_weight < 0) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'Product weight must be zero or a positive number',
+                'error_details' => ['product_weight' => $product_weight]
+            ];
+        }
+
+        if ($product_stock === false) {
+            $product_stock = $existing_product_result['data']['product']['product_stock'] ?? null;
+        } elseif (!$this->is_valid_stock_level($product_stock)) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'Stock must be a whole number of zero or more',
+                'error_details' => ['product_stock' => $product_stock]
+            ];
+        }
+
         // Verify category exists and belongs to user
         $category_check = $this->verify_category_ownership($category_id, $user_id);
         if (!$category_check['success']) {
@@ -513,7 +679,7 @@ class Product extends db_connection
 
         try {
             // Prepare and execute update statement
-            $stmt = $this->db->prepare("UPDATE products SET product_title = ?, product_price = ?, product_description = ?, product_image = ?, product_keywords = ?, category_id = ?, brand_id = ? WHERE product_id = ? AND user_id = ?");
+            $stmt = $this->db->prepare("UPDATE products SET product_title = ?, product_price = ?, product_description = ?, product_image = ?, product_keywords = ?, category_id = ?, brand_id = ?, product_weight = ?, product_stock = ? WHERE product_id = ? AND user_id = ?");
             if (!$stmt) {
                 return [
                     'success' => false,
@@ -527,7 +693,7 @@ class Product extends db_connection
                 ];
             }
 
-            if (!$stmt->bind_param("sdsssiiii", $product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $product_id, $user_id)) {
+            if (!$stmt->bind_param("sdsssiidiii", $product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $product_weight, $product_stock, $product_id, $user_id)) {
                 $stmt->close();
                 return [
                     'success' => false,
@@ -545,6 +711,8 @@ class Product extends db_connection
                 $stmt->close();
                 
                 if ($affected_rows >= 0) {
+                    $this->refresh_search_document($product_id);
+
                     return [
                         'success' => true,
                         'data' => [
@@ -554,6 +722,8 @@ class Product extends db_connection
                             'product_description' => $product_description,
                             'product_image' => $product_image,
                             'product_keywords' => $product_keywords,
+                            'product_weight' => (float)$product_weight,
+                            'product_stock' => $product_stock === null ? null : (int)$product_stock,
                             'category_id' => $category_id,
                             'brand_id' => $brand_id,
                             'user_id' => $user_id,
@@ -674,6 +844,8 @@ class Product extends db_connection
                 $stmt->close();
                 
                 if ($affected_rows > 0) {
+                    $this->refresh_search_document($product_id);
+
                     return [
                         'success' => true,
                         'data' => [
@@ -954,7 +1126,7 @@ class Product extends db_connection
 
         try {
             $sql = "SELECT p.product_id, p.product_title, p.product_price, p.product_description, 
-                           p.product_image, p.product_keywords, p.category_id, p.brand_id, 
+                           p.product_image, p.product_keywords, p.product_stock, p.category_id, p.brand_id, 
                            p.created_at, c.cat_name, b.brand_name
                     FROM products p
                     INNER JOIN categories c ON p.category_id = c.cat_id
@@ -1045,164 +1217,32 @@ class Product extends db_connection
     }
 
     /**
-     * Search products by title and keywords (public-facing)     * 
+     * Search products by keyword (public-facing), best matches first
+     * Matches the search index (see enhanced_composite_search()).
+     * 
      * @param string $query Search query
      * @param int $limit Number of products per page (default 10)
      * @param int $offset Starting position for pagination
-     * @return array Result array with success status and search results
+     * @return array Result array with success status, search results and the total match count
      */
     public function search_products($query, $limit = 10, $offset = 0)
     {
-        // Validate input
-        if (empty($query)) {
-            return [
-                'success' => false,
-                'error_type' => 'validation_error',
-                'error_message' => 'Search query is required',
-                'error_details' => ['query' => empty($query)]
-            ];
-        }
-
-        if (!is_numeric($limit) || $limit < 1) {
-            $limit = 10;
-        }
-        if (!is_numeric($offset) || $offset < 0) {
-            $offset = 0;
-        }
-
-        // Connect to database with enhanced error handling
-        $connection_result = $this->connect_with_error_handling();
-        if (!$connection_result['success']) {
-            return $connection_result;
-        }
-
-        try {
-            // Prepare search terms for partial matching
-            $search_term = '%' . $query . '%';
-            
-            // Split query into multiple terms for OR matching
-            $terms = explode(' ', trim($query));
-            $search_conditions = [];
-            $search_params = [];
-            
-            foreach ($terms as $term) {
-                if (!empty(trim($term))) {
-                    $term_pattern = '%' . trim($term) . '%';
-                    $search_conditions[] = "(p.product_title LIKE ? OR p.product_keywords LIKE ?)";
-                    $search_params[] = $term_pattern;
-                    $search_params[] = $term_pattern;
-                }
-            }
-            
-            if (empty($search_conditions)) {
-                return [
-                    'success' => false,
-                    'error_type' => 'validation_error',
-                    'error_message' => 'No valid search terms found',
-                    'error_details' => ['query' => $query]
-                ];
-            }
-            
-            $search_where = implode(' OR ', $search_conditions);
-            
-            $sql = "SELECT p.product_id, p.product_title, p.product_price, p.product_description, 
-                           p.product_image, p.product_keywords, p.category_id, p.brand_id, 
-                           p.created_at, c.cat_name, b.brand_name
-                    FROM products p
-                    INNER JOIN categories c ON p.category_id = c.cat_id
-                    INNER JOIN brands b ON p.brand_id = b.brand_id
-                    WHERE ({$search_where})
-                    ORDER BY p.created_at DESC
-                    LIMIT ? OFFSET ?";
-            
-            $stmt = $this->db->prepare($sql);
-            if (!$stmt) {
-                return [
-                    'success' => false,
-                    'error_type' => 'database_error',
-                    'error_message' => 'Failed to prepare search products statement',
-                    'error_details' => [
-                        'mysql_error' => $this->db->error,
-                        'mysql_errno' => $this->db->errno,
-                        'operation' => 'prepare_search_products'
-                    ]
-                ];
-            }
-
-            // Add limit and offset to parameters
-            $search_params[] = $limit;
-            $search_params[] = $offset;
-            
-            // Create type string for bind_param
-            $types = str_repeat('s', count($search_params) - 2) . 'ii';
-            
-            if (!$stmt->bind_param($types, ...$search_params)) {
-                $stmt->close();
-                return [
-                    'success' => false,
-                    'error_type' => 'database_error',
-                    'error_message' => 'Failed to bind parameters for search products',
-                    'error_details' => [
-                        'mysql_error' => $stmt->error,
-                        'operation' => 'bind_params_search_products'
-                    ]
-                ];
-            }
-
-            if (!$stmt->execute()) {
-                $error_info = [
-                    'mysql_error' => $stmt->error,
-                    'mysql_errno' => $stmt->errno,
-                    'operation' => 'execute_search_products'
-                ];
-                $stmt->close();
-                return $this->handle_mysql_error($stmt->errno, $stmt->error, 'search_products', $error_info);
-            }
-
-            $result = $stmt->get_result();
-            if ($result === false) {
-                $stmt->close();
-                return [
-                    'success' => false,
-                    'error_type' => 'database_error',
-                    'error_message' => 'Failed to get result from search products',
-                    'error_details' => [
-                        'mysql_error' => $this->db->error,
-                        'operation' => 'get_result_search_products'
-                    ]
-                ];
-            }
-
-            $products = [];
-            if ($result->num_rows > 0) {
-                $products = $result->fetch_all(MYSQLI_ASSOC);
-            }
-            
-            $stmt->close();
-            
-            return [
-                'success' => true,
-                'data' => [
-                    'products' => $products,
-                    'count' => count($products),
-                    'query' => $query,
-                    'limit' => $limit,
-                    'offset' => $offset
-                ]
-            ];
-            
-        } catch (Exception $e) {
-            return [
-                'success' => false,
-                'error_type' => 'database_exception',
-                'error_message' => 'Search products failed with exception',
-                'error_details' => [
-                    'exception_message' => $e->getMessage(),
-                    'exception_code' => $e->getCode(),
-                    'operation' => 'search_products'
-                ]
-            ];
-        }
+        $result = $this->keyword_search($query, $limit, $offset);
+        if (!$result['success']) {
+            return $result;
+        }
+
+        return [
+            'success' => true,
+            'data' => [
+                'products' => $result['data']['products'],
+                'count' => $result['data']['count'],
+                'total_count' => $result['data']['total_count'],
+                'query' => $query,
+                'limit' => $result['data']['search_params']['limit'],
+                'offset' => $result['data']['search_params']['offset']
+            ]
+        ];
     }
 
     /**
@@ -1239,7 +1279,7 @@ class Product extends db_connection
 
         try {
             $sql = "SELECT p.product_id, p.product_title, p.product_price, p.product_description, 
-                           p.product_image, p.product_keywords, p.category_id, p.brand_id, 
+                           p.product_image, p.product_keywords, p.product_stock, p.category_id, p.brand_id, 
                            p.created_at, c.cat_name, b.brand_name
                     FROM products p
                     INNER JOIN categories c ON p.category_id = c.cat_id
@@ -1365,7 +1405,7 @@ class Product extends db_connection
 
         try {
             $sql = "SELECT p.product_id, p.product_title, p.product_price, p.product_description, 
-                           p.product_image, p.product_keywords, p.category_id, p.brand_id, 
+                           p.product_image, p.product_keywords, p.product_stock, p.category_id, p.brand_id, 
                            p.created_at, c.cat_name, b.brand_name
                     FROM products p
                     INNER JOIN categories c ON p.category_id = c.cat_id
@@ -1482,7 +1522,7 @@ class Product extends db_connection
 
         try {
             $sql = "SELECT p.product_id, p.product_title, p.product_price, p.product_description,
-                           p.product_image, p.product_keywords, p.category_id, p.brand_id,
+                           p.product_image, p.product_keywords, p.product_stock, p.category_id, p.brand_id,
                            p.created_at, p.updated_at, c.cat_name, b.brand_name
                     FROM products p
                     INNER JOIN categories c ON p.category_id = c.cat_id
@@ -1594,7 +1634,7 @@ class Product extends db_connection
 
         try {
             $sql = "SELECT p.product_id, p.product_title, p.product_price, p.product_description, 
-                           p.product_image, p.product_keywords, p.category_id, p.brand_id, 
+                           p.product_image, p.product_keywords, p.product_stock, p.category_id, p.brand_id, 
                            p.created_at, c.cat_name, b.brand_name
                     FROM products p
                     INNER JOIN categories c ON p.category_id = c.cat_id
@@ -1827,7 +1867,10 @@ class Product extends db_connection
     }
 
     /**
-     * Get search result count for pagination (public-facing)     * 
+     * Get search result count for pagination (public-facing)
+     * Searches return their total with the results; this is for callers that only
+     * need the count.
+     * 
      * @param string $query Search query
      * @return array Result array with success status and search count
      */
@@ -1843,282 +1886,57 @@ class Product extends db_connection
             ];
         }
 
-        // Connect to database with enhanced error handling
-        $connection_result = $this->connect_with_error_handling();
-        if (!$connection_result['success']) {
-            return $connection_result;
+        if (empty($this->prepare_search_terms($query))) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'No valid search terms found',
+                'error_details' => ['query' => $query]
+            ];
         }
 
-        try {
-            // Split query into multiple terms for OR matching
-            $terms = explode(' ', trim($query));
-            $search_conditions = [];
-            $search_params = [];
-            
-            foreach ($terms as $term) {
-                if (!empty(trim($term))) {
-                    $term_pattern = '%' . trim($term) . '%';
-                    $search_conditions[] = "(p.product_title LIKE ? OR p.product_keywords LIKE ?)";
-                    $search_params[] = $term_pattern;
-                    $search_params[] = $term_pattern;
-                }
-            }
-            
-            if (empty($search_conditions)) {
-                return [
-                    'success' => false,
-                    'error_type' => 'validation_error',
-                    'error_message' => 'No valid search terms found',
-                    'error_details' => ['query' => $query]
-                ];
-            }
-            
-            $search_where = implode(' OR ', $search_conditions);
-            
-            $sql = "SELECT COUNT(*) as total_count FROM products p
-                    INNER JOIN categories c ON p.category_id = c.cat_id
-                    INNER JOIN brands b ON p.brand_id = b.brand_id
-                    WHERE ({$search_where})";
-            
-            $stmt = $this->db->prepare($sql);
-            if (!$stmt) {
-                return [
-                    'success' => false,
-                    'error_type' => 'database_error',
-                    'error_message' => 'Failed to prepare search count statement',
-                    'error_details' => [
-                        'mysql_error' => $this->db->error,
-                        'mysql_errno' => $this->db->errno,
-                        'operation' => 'prepare_search_count'
-                    ]
-                ];
-            }
+        $result = $this->count_enhanced_composite_matches(['query' => $query]);
+        if (!$result['success']) {
+            return $result;
+        }
 
-            // Create type string for bind_param
-            $types = str_repeat('s', count($search_params));
-            
-            if (!$stmt->bind_param($types, ...$search_params)) {
-                $stmt->close();
-                return [
-                    'success' => false,
-                    'error_type' => 'database_error',
-                    'error_message' => 'Failed to bind parameters for search count',
-                    'error_details' => [
-                        'mysql_error' => $stmt->error,
-                        'operation' => 'bind_params_search_count'
-                    ]
-                ];
-            }
-
-            if (!$stmt->execute()) {
-                $error_info = [
-                    'mysql_error' => $stmt->error,
-                    'mysql_errno' => $stmt->errno,
-                    'operation' => 'execute_search_count'
-                ];
-                $stmt->close();
-                return $this->handle_mysql_error($stmt->errno, $stmt->error, 'get_search_count', $error_info);
-            }
-
-            $result = $stmt->get_result();
-            if ($result === false) {
-                $stmt->close();
-                return [
-                    'success' => false,
-                    'error_type' => 'database_error',
-                    'error_message' => 'Failed to get result from search count',
-                    'error_details' => [
-                        'mysql_error' => $this->db->error,
-                        'operation' => 'get_result_search_count'
-                    ]
-                ];
-            }
-
-            $count_data = $result->fetch_assoc();
-            $total_count = $count_data ? (int)$count_data['total_count'] : 0;
-            
-            $stmt->close();
-            
-            return [
-                'success' => true,
-                'data' => [
-                    'total_count' => $total_count,
-                    'query' => $query
-                ]
-            ];
-            
-        } catch (Exception $e) {
-            return [
-                'success' => false,
-                'error_type' => 'database_exception',
-                'error_message' => 'Get search count failed with exception',
-                'error_details' => [
-                    'exception_message' => $e->getMessage(),
-                    'exception_code' => $e->getCode(),
-                    'operation' => 'get_search_count'
-                ]
-            ];
-        }
+        return [
+            'success' => true,
+            'data' => [
+                'total_count' => $result['data']['count'],
+                'query' => $query
+            ]
+        ];
     }
 
     /**
-     * Advanced keyword search with relevance scoring and indexing support     * 
+     * Advanced keyword search with BM25 relevance scores from the search index
+     * 
      * @param string $query Search query
      * @param int $limit Number of products per page (default 10)
      * @param int $offset Starting position for pagination
-     * @return array Result array with success status and search results with relevance scores
+     * @return array Result array with success status, search results with relevance scores
+     *               and the total match count
      */
     public function advanced_keyword_search($query, $limit = 10, $offset = 0)
     {
-        // Validate input
-        if (empty($query)) {
-            return [
-                'success' => false,
-                'error_type' => 'validation_error',
-                'error_message' => 'Search query is required',
-                'error_details' => ['query' => empty($query)]
-            ];
-        }
-
-        if (!is_numeric($limit) || $limit < 1) {
-            $limit = 10;
-        }
-        if (!is_numeric($offset) || $offset < 0) {
-            $offset = 0;
-        }
-
-        // Connect to database with enhanced error handling
-        $connection_result = $this->connect_with_error_handling();
-        if (!$connection_result['success']) {
-            return $connection_result;
-        }
-
-        try {
-            // Clean and prepare search terms
-            $search_terms = $this->prepare_search_terms($query);
-            
-            if (empty($search_terms)) {
-                return [
-                    'success' => false,
-                    'error_type' => 'validation_error',
-                    'error_message' => 'No valid search terms found',
-                    'error_details' => ['query' => $query]
-                ];
-            }
-
-            // Build advanced search query with relevance scoring
-            $sql = "SELECT p.product_id, p.product_title, p.product_price, p.product_description, 
-                           p.product_image, p.product_keywords, p.category_id, p.brand_id, 
-                           p.created_at, c.cat_name, b.brand_name,
-                           " . $this->build_relevance_score($search_terms) . " as relevance_score
-                    FROM products p
-                    INNER JOIN categories c ON p.category_id = c.cat_id
-                    INNER JOIN brands b ON p.brand_id = b.brand_id
-                    WHERE " . $this->build_search_conditions($search_terms) . "
-                    ORDER BY relevance_score DESC, p.created_at DESC
-                    LIMIT ? OFFSET ?";
-            
-            $stmt = $this->db->prepare($sql);
-            if (!$stmt) {
-                return [
-                    'success' => false,
-                    'error_type' => 'database_error',
-                    'error_message' => 'Failed to prepare advanced search statement',
-                    'error_details' => [
-                        'mysql_error' => $this->db->error,
-                        'mysql_errno' => $this->db->errno,
-                        'operation' => 'prepare_advanced_search'
-                    ]
-                ];
-            }
-
-            // Prepare parameters for binding
-            $bind_params = [];
-            $types = '';
-            
-            // Add search term parameters (each term appears multiple times in the query)
-            foreach ($search_terms as $term) {
-                $term_pattern = '%' . $term . '%';
-                // Each term is used 6 times in the relevance score and conditions
-                for ($i = 0; $i < 6; $i++) {
-                    $bind_params[] = $term_pattern;
-                    $types .= 's';
-                }
-            }
-            
-            // Add limit and offset
-            $bind_params[] = $limit;
-            $bind_params[] = $offset;
-            $types .= 'ii';
-            
-            if (!$stmt->bind_param($types, ...$bind_params)) {
-                $stmt->close();
-                return [
-                    'success' => false,
-                    'error_type' => 'database_error',
-                    'error_message' => 'Failed to bind parameters for advanced search',
-                    'error_details' => [
-                        'mysql_error' => $stmt->error,
-                        'operation' => 'bind_params_advanced_search'
-                    ]
-                ];
-            }
-
-            if (!$stmt->execute()) {
-                $error_info = [
-                    'mysql_error' => $stmt->error,
-                    'mysql_errno' => $stmt->errno,
-                    'operation' => 'execute_advanced_search'
-                ];
-                $stmt->close();
-                return $this->handle_mysql_error($stmt->errno, $stmt->error, 'advanced_keyword_search', $error_info);
-            }
-
-            $result = $stmt->get_result();
-            if ($result === false) {
-                $stmt->close();
-                return [
-                    'success' => false,
-                    'error_type' => 'database_error',
-                    'error_message' => 'Failed to get result from advanced search',
-                    'error_details' => [
-                        'mysql_error' => $this->db->error,
-                        'operation' => 'get_result_advanced_search'
-                    ]
-                ];
-            }
-
-            $products = [];
-            if ($result->num_rows > 0) {
-                $products = $result->fetch_all(MYSQLI_ASSOC);
-            }
-            
-            $stmt->close();
-            
-            return [
-                'success' => true,
-                'data' => [
-                    'products' => $products,
-                    'count' => count($products),
-                    'query' => $query,
-                    'search_terms' => $search_terms,
-                    'limit' => $limit,
-                    'offset' => $offset
-                ]
-            ];
-            
-        } catch (Exception $e) {
-            return [
-                'success' => false,
-                'error_type' => 'database_exception',
-                'error_message' => 'Advanced search failed with exception',
-                'error_details' => [
-                    'exception_message' => $e->getMessage(),
-                    'exception_code' => $e->getCode(),
-                    'operation' => 'advanced_keyword_search'
-                ]
-            ];
-        }
+        $result = $this->keyword_search($query, $limit, $offset);
+        if (!$result['success']) {
+            return $result;
+        }
+
+        return [
+            'success' => true,
+            'data' => [
+                'products' => $result['data']['products'],
+                'count' => $result['data']['count'],
+                'total_count' => $result['data']['total_count'],
+                'query' => $query,
+                'search_terms' => $this->prepare_search_terms($query),
+                'limit' => $result['data']['search_params']['limit'],
+                'offset' => $result['data']['search_params']['offset']
+            ]
+        ];
     }
 
     /**
@@ -2270,19 +2088,113 @@ class Product extends db_connection
         }
     }
 
+    /**
+     * Get the products, brands and categories a partial query points to
+     * Products match anywhere in the title or keywords; brands and categories match
+     * at the start of a word and only count if they have products. Matches at the
+     * start of a name come first.
+     *
+     * @param string $partial_query Partial search query
+     * @param int $limit Maximum number of matches in each group
+     * @return array Result array with products, brands and categories
+     */
+    public function get_suggestion_matches($partial_query, $limit)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $escaped = addcslashes($partial_query, '\\%_');
+            $anywhere = '%' . $escaped . '%';
+            $prefix = $escaped . '%';
+            $word = '% ' . $escaped . '%';
+
+            $queries = [
+                'products' => [
+                    "SELECT p.product_id, p.product_title, p.product_price, p.product_image, p.product_stock
+                     FROM products p
+                     WHERE p.product_title LIKE ? OR p.product_keywords LIKE ?
+                     ORDER BY (p.product_title LIKE ?) DESC, p.product_title ASC
+                     LIMIT ?",
+                    "sssi", [$anywhere, $anywhere, $prefix, $limit]
+                ],
+                'brands' => [
+                    "SELECT b.brand_id, b.brand_name, COUNT(p.product_id) as product_count
+                     FROM brands b
+                     INNER JOIN products p ON p.brand_id = b.brand_id
+                     WHERE b.brand_name LIKE ? OR b.brand_name LIKE ?
+                     GROUP BY b.brand_id, b.brand_name
+                     ORDER BY (b.brand_name LIKE ?) DESC, b.brand_name ASC
+                     LIMIT ?",
+                    "sssi", [$prefix, $word, $prefix, $limit]
+                ],
+                'categories' => [
+                    "SELECT c.cat_id, c.cat_name, COUNT(p.product_id) as product_count
+                     FROM categories c
+                     INNER JOIN products p ON p.category_id = c.cat_id
+                     WHERE c.cat_name LIKE ? OR c.cat_name LIKE ?
+                     GROUP BY c.cat_id, c.cat_name
+                     ORDER BY (c.cat_name LIKE ?) DESC, c.cat_name ASC
+                     LIMIT ?",
+                    "sssi", [$prefix, $word, $prefix, $limit]
+                ]
+            ];
+
+            $matches = [];
+            foreach ($queries as $group => list($sql, $types, $params)) {
+                $stmt = $this->db->prepare($sql);
+                if (!$stmt) {
+                    return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_suggestion_' . $group);
+                }
+
+                $stmt->bind_param($types, ...$params);
+                if (!$stmt->execute()) {
+                    $errno = $stmt->errno;
+                    $error = $stmt->error;
+                    $stmt->close();
+                    return $this->handle_mysql_error($errno, $error, 'get_suggestion_' . $group);
+                }
+
+                $matches[$group] = $stmt->get_result()->fetch_all(MYSQLI_ASSOC);
+                $stmt->close();
+            }
+
+            return [
+                'success' => true,
+                'data' => $matches
+            ];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Get suggestion matches failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'get_suggestion_matches'
+                ]
+            ];
+        }
+    }
+
     /**
      * Enhanced composite search with advanced filtering and sorting     * 
+     * Several categories, brands or price ranges match any of them; see
+     * normalize_composite_filters() for the filter parameters. Text queries match
+     * the search index and are scored with BM25 (see search_match_join()).
+     * 
      * @param array $params Enhanced search parameters
-     * @return array Result array with success status and search results
+     * @return array Result array with success status, search results and total_count
+     *               (every match across all pages)
      */
     public function enhanced_composite_search($params)
     {
         // Set default parameters
-        $query = isset($params['query']) ? trim($params['query']) : '';
-        $category_id = isset($params['category_id']) && is_numeric($params['category_id']) ? (int)$params['category_id'] : 0;
-        $brand_id = isset($params['brand_id']) && is_numeric($params['brand_id']) ? (int)$params['brand_id'] : 0;
-        $min_price = isset($params['min_price']) && is_numeric($params['min_price']) ? (float)$params['min_price'] : 0;
-        $max_price = isset($params['max_price']) && is_numeric($params['max_price']) ? (float)$params['max_price'] : 0;
+        $filters = $this->normalize_composite_filters($params);
+        $query = $filters['query'];
         $sort_by = isset($params['sort_by']) ? $params['sort_by'] : 'relevance';
         $sort_order = isset($params['sort_order']) ? strtoupper($params['sort_order']) : 'DESC';
         $limit = isset($params['limit']) && is_numeric($params['limit']) && $params['limit'] > 0 ? (int)$params['limit'] : 10;
@@ -2304,75 +2216,33 @@ class Product extends db_connection
             return $connection_result;
         }
 
+        $index_result = $this->sync_search_index($filters);
+        if (!$index_result['success']) {
+            return $index_result;
+        }
+
         try {
-            // Build the enhanced query
+            // Build the enhanced query; the window count is the total before LIMIT
             $select_fields = "p.product_id, p.product_title, p.product_price, p.product_description, 
-                             p.product_image, p.product_keywords, p.category_id, p.brand_id, 
+                             p.product_image, p.product_keywords, p.product_stock, p.category_id, p.brand_id, 
                              p.created_at, c.cat_name, b.brand_name";
             
             // Add relevance score if there's a text query
-            if (!empty($query)) {
-                $search_terms = $this->prepare_search_terms($query);
-                if (!empty($search_terms)) {
-                    $select_fields .= ", " . $this->build_relevance_score($search_terms) . " as relevance_score";
-                }
-            } else {
-                $select_fields .= ", 0 as relevance_score";
-            }
+            $match = $this->search_match_join($filters['search_terms']);
+            $select_fields .= $match['sql'] !== '' ? ", m.relevance_score" : ", 0 as relevance_score";
+            $select_fields .= ", COUNT(*) OVER() as total_count";
             
             $sql = "SELECT {$select_fields}
                     FROM products p
                     INNER JOIN categories c ON p.category_id = c.cat_id
-                    INNER JOIN brands b ON p.brand_id = b.brand_id
+                    INNER JOIN brands b ON p.brand_id = b.brand_id{$match['sql']}
                     WHERE 1=1";
             
-            $bind_params = [];
-            $types = '';
-            
-            // Add text search condition with advanced matching
-            if (!empty($query)) {
-                $search_terms = $this->prepare_search_terms($query);
-                if (!empty($search_terms)) {
-                    $sql .= " AND (" . $this->build_search_conditions($search_terms) . ")";
-                    
-                    // Add parameters for search conditions
-                    foreach ($search_terms as $term) {
-                        $term_pattern = '%' . $term . '%';
-                        // Each term appears 3 times in search conditions
-                        for ($i = 0; $i < 3; $i++) {
-                            $bind_params[] = $term_pattern;
-                            $types .= 's';
-                        }
-                    }
-                }
-            }
-            
-            // Add category filter
-            if ($category_id > 0) {
-                $sql .= " AND p.category_id = ?";
-                $bind_params[] = $category_id;
-                $types .= 'i';
-            }
-            
-            // Add brand filter
-            if ($brand_id > 0) {
-                $sql .= " AND p.brand_id = ?";
-                $bind_params[] = $brand_id;
-                $types .= 'i';
-            }
-            
-            // Add price range filters
-            if ($min_price > 0) {
-                $sql .= " AND p.product_price >= ?";
-                $bind_params[] = $min_price;
-                $types .= 'd';
-            }
-            
-            if ($max_price > 0) {
-                $sql .= " AND p.product_price <= ?";
-                $bind_params[] = $max_price;
-                $types .= 'd';
-            }
+            // Add text, category, brand and price conditions
+            $conditions = $this->build_composite_conditions($filters);
+            $sql .= $conditions['sql'];
+            $bind_params = array_merge($match['params'], $conditions['params']);
+            $types = $match['types'] . $conditions['types'];
             
             // Add sorting
             $sql .= " ORDER BY " . $this->build_sort_clause($sort_by, $sort_order);
@@ -2438,18 +2308,35 @@ class Product extends db_connection
             }
             
             $stmt->close();
+
+            $total_count = empty($products) ? 0 : (int)$products[0]['total_count'];
+            foreach ($products as &$product) {
+                unset($product['total_count']);
+            }
+            unset($product);
+
+            // A page past the end has no rows to carry the total
+            if (empty($products) && $offset > 0) {
+                $count_result = $this->count_enhanced_composite_matches($params);
+                if (!$count_result['success']) {
+                    return $count_result;
+                }
+                $total_count = $count_result['data']['count'];
+            }
             
             return [
                 'success' => true,
                 'data' => [
                     'products' => $products,
                     'count' => count($products),
+                    'total_count' => $total_count,
                     'search_params' => [
                         'query' => $query,
-                        'category_id' => $category_id,
-                        'brand_id' => $brand_id,
-                        'min_price' => $min_price,
-                        'max_price' => $max_price,
+                        'category_ids' => $filters['category_ids'],
+                        'brand_ids' => $filters['brand_ids'],
+                        'price_ranges' => $filters['price_ranges'],
+                        'min_price' => $filters['min_price'],
+                        'max_price' => $filters['max_price'],
                         'sort_by' => $sort_by,
                         'sort_order' => $sort_order,
                         'limit' => $limit,
@@ -2472,73 +2359,910 @@ class Product extends db_connection
         }
     }
 
+    /**
+     * Count the products each category, brand and price bucket would return
+     * Each group is counted with every filter except its own, so a count is what
+     * ticking that choice would add (the usual faceted-search behaviour). Categories
+     * and brands without matching products are left out unless they are selected.
+     * 
+     * @param array $params Enhanced search parameters (see normalize_composite_filters())
+     * @param array $price_buckets List of ['min' => float, 'max' => float|null], max exclusive
+     * @return array Result array with categories, brands and price_buckets (counts in bucket order)
+     */
+    public function get_search_facets($params, $price_buckets)
+    {
+        $filters = $this->normalize_composite_filters($params);
+
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        $index_result = $this->sync_search_index($filters);
+        if (!$index_result['success']) {
+            return $index_result;
+        }
+
+        try {
+            $match = $this->search_match_join($filters['search_terms']);
+            $from = "FROM products p
+                     INNER JOIN categories c ON p.category_id = c.cat_id
+                     INNER JOIN brands b ON p.brand_id = b.brand_id{$match['sql']}";
+
+            $facets = [];
+            $groups = [
+                'categories' => ['skip' => 'category', 'id' => 'c.cat_id', 'name' => 'c.cat_name', 'keys' => ['cat_id', 'cat_name'], 'selected' => $filters['category_ids']],
+                'brands' => ['skip' => 'brand', 'id' => 'b.brand_id', 'name' => 'b.brand_name', 'keys' => ['brand_id', 'brand_name'], 'selected' => $filters['brand_ids']]
+            ];
+
+            foreach ($groups as $group => $facet) {
+                $conditions = $this->build_composite_conditions($filters, $facet['skip']);
+                $sql = "SELECT {$facet['id']} as {$facet['keys'][0]}, {$facet['name']} as {$facet['keys'][1]},
+                               SUM(CASE WHEN 1=1{$conditions['sql']} THEN 1 ELSE 0 END) as product_count
+                        {$from}
+                        GROUP BY {$facet['id']}, {$facet['name']}
+                        ORDER BY {$facet['name']} ASC";
+
+                $rows = $this->fetch_rows($sql, $conditions['types'] . $match['types'], array_merge($conditions['params'], $match['params']), 'get_' . $group . '_facet');
+                if (!$rows['success']) {
+                    return $rows;
+                }
+
+                $facets[$group] = [];
+                foreach ($rows['data'] as $row) {
+                    $row[$facet['keys'][0]] = (int)$row[$facet['keys'][0]];
+                    $row['product_count'] = (int)$row['product_count'];
+                    if ($row['product_count'] > 0 || in_array($row[$facet['keys'][0]], $facet['selected'], true)) {
+                        $facets[$group][] = $row;
+                    }
+                }
+            }
+
+            // Price buckets are counted over the matching products' storefront prices
+            $facets['price_buckets'] = [];
+            if (!empty($price_buckets)) {
+                $conditions = $this->build_composite_conditions($filters, 'price');
+                $sums = [];
+                $bucket_types = '';
+                $bucket_params = [];
+                foreach (array_values($price_buckets) as $index => $bucket) {
+                    if ($bucket['max'] === null) {
+                        $sums[] = "SUM(CASE WHEN storefront_price >= ? THEN 1 ELSE 0 END) as bucket_{$index}";
+                        $bucket_types .= 'd';
+                        $bucket_params[] = $bucket['min'];
+                    } else {
+                        $sums[] = "SUM(CASE WHEN storefront_price >= ? AND storefront_price < ? THEN 1 ELSE 0 END) as bucket_{$index}";
+                        $bucket_types .= 'dd';
+                        array_push($bucket_params, $bucket['min'], $bucket['max']);
+                    }
+                }
+
+                $sql = "SELECT " . implode(', ', $sums) . "
+                        FROM (SELECT " . $this->storefront_price_sql() . " as storefront_price
+                              {$from}
+                              WHERE 1=1{$conditions['sql']}) matching";
+
+                $rows = $this->fetch_rows($sql, $bucket_types . $match['types'] . $conditions['types'], array_merge($bucket_params, $match['params'], $conditions['params']), 'get_price_facet');
+                if (!$rows['success']) {
+                    return $rows;
+                }
+
+                foreach (array_keys(array_values($price_buckets)) as $index) {
+                    $facets['price_buckets'][] = (int)($rows['data'][0]['bucket_' . $index] ?? 0);
+                }
+            }
+
+            return [
+                'success' => true,
+                'data' => $facets
+            ];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Search facets failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'get_search_facets'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Count every product an enhanced composite search matches, across all pages
+     * 
+     * @param array $params Enhanced search parameters (see normalize_composite_filters())
+     * @return array Result array with the count
+     */
+    public function count_enhanced_composite_matches($params)
+    {
+        $filters = $this->normalize_composite_filters($params);
+
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        $index_result = $this->sync_search_index($filters);
+        if (!$index_result['success']) {
+            return $index_result;
+        }
+
+        try {
+            $match = $this->search_match_join($filters['search_terms']);
+            $conditions = $this->build_composite_conditions($filters);
+            $sql = "SELECT COUNT(*) as product_count
+                    FROM products p
+                    INNER JOIN categories c ON p.category_id = c.cat_id
+                    INNER JOIN brands b ON p.brand_id = b.brand_id{$match['sql']}
+                    WHERE 1=1{$conditions['sql']}";
+
+            $rows = $this->fetch_rows($sql, $match['types'] . $conditions['types'], array_merge($match['params'], $conditions['params']), 'count_enhanced_composite_matches');
+            if (!$rows['success']) {
+                return $rows;
+            }
+
+            return [
+                'success' => true,
+                'data' => ['count' => (int)$rows['data'][0]['product_count']]
+            ];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Counting search matches failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'count_enhanced_composite_matches'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Suggest catalogue words for the query words the catalogue does not use
+     * A word is known when it, or its singular/stem, appears in a product title,
+     * keywords, brand or category. Unknown words of four letters or more are matched
+     * to the closest catalogue word by edit distance (one edit for short words, two
+     * from six letters), preferring the more common word on a tie.
+     * 
+     * @param string $query Raw search query
+     * @param array $known_words Words to leave alone, such as the query's synonyms
+     * @return array Result array with 'corrections' (word => suggestion) and the
+     *               corrected 'query' (null when nothing was corrected)
+     */
+    public function get_search_corrections($query, $known_words = [])
+    {
+        $vocabulary = $this->load_search_vocabulary();
+        if (!$vocabulary['success']) {
+            return $vocabulary;
+        }
+
+        $words = $vocabulary['data'];
+        $stems = [];
+        foreach (array_merge(array_keys($words), $known_words) as $word) {
+            $stems[$this->stem_search_term(strtolower((string)$word))] = true;
+        }
+
+        $corrections = [];
+        foreach (array_unique(preg_split('/\W+/', strtolower($query), -1, PREG_SPLIT_NO_EMPTY)) as $word) {
+            $length = strlen($word);
+            if ($length < 4 || ctype_digit($word) || isset($stems[$this->stem_search_term($word)])) {
+                continue;
+            }
+
+            $max_distance = $length >= 6 ? 2 : 1;
+            $best = null;
+            $best_distance = null;
+            foreach ($words as $candidate => $frequency) {
+                if (abs(strlen($candidate) - $length) > $max_distance) {
+                    continue;
+                }
+
+                $distance = levenshtein($word, (string)$candidate);
+                if ($distance <= $max_distance
+                    && ($best === null || $distance < $best_distance || ($distance === $best_distance && $frequency > $words[$best]))) {
+                    $best = $candidate;
+                    $best_distance = $distance;
+                }
+            }
+
+            if ($best !== null) {
+                $corrections[$word] = (string)$best;
+            }
+        }
+
+        $corrected_query = null;
+        if (!empty($corrections)) {
+            $corrected_query = preg_replace_callback('/\w+/', function($match) use ($corrections) {
+                return $corrections[strtolower($match[0])] ?? $match[0];
+            }, trim($query));
+        }
+
+        return [
+            'success' => true,
+            'data' => [
+                'corrections' => $corrections,
+                'query' => $corrected_query
+            ]
+        ];
+    }
+
+    /**
+     * Normalize a phrase the way search terms are: lowercased, punctuation dropped
+     * and each word reduced to its stem
+     * 
+     * @param string $phrase Phrase such as a synonym
+     * @return string Normalized words separated by single spaces
+     */
+    public function normalize_search_phrase($phrase)
+    {
+        return implode(' ', $this->prepare_search_terms($phrase));
+    }
+
+    /**
+     * Drop the search documents of a brand's or category's products, after it is
+     * renamed; the next search indexes those products again under the new name
+     * 
+     * @param string $field 'brand_id' or 'category_id'
+     * @param int $id Brand or category ID
+     * @return array Result array with the number of documents dropped
+     */
+    public function invalidate_search_documents($field, $id)
+    {
+        if (!in_array($field, ['brand_id', 'category_id'], true)) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'Search documents can only be invalidated by brand_id or category_id',
+                'error_details' => ['field' => $field]
+            ];
+        }
+
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            return $this->run_index_write(
+                "DELETE d FROM product_search_documents d
+                 INNER JOIN products p ON p.product_id = d.product_id
+                 WHERE p.{$field} = ?",
+                'i',
+                [(int)$id],
+                'invalidate_search_documents'
+            );
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Invalidating search documents failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'invalidate_search_documents'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Read the words used in product titles, keywords, brands and categories
+     * Read once per request and kept for later calls.
+     * 
+     * @return array Result array with word => number of products using it
+     */
+    private function load_search_vocabulary()
+    {
+        if ($this->search_vocabulary !== null) {
+            return ['success' => true, 'data' => $this->search_vocabulary];
+        }
+
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $result = $this->db->query(
+                "SELECT p.product_title, p.product_keywords, b.brand_name, c.cat_name
+                 FROM products p
+                 INNER JOIN categories c ON p.category_id = c.cat_id
+                 INNER JOIN brands b ON p.brand_id = b.brand_id"
+            );
+            if (!$result) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'load_search_vocabulary');
+            }
+
+            $vocabulary = [];
+            while ($row = $result->fetch_row()) {
+                $words = preg_split('/\W+/', strtolower(implode(' ', $row)), -1, PREG_SPLIT_NO_EMPTY);
+                foreach (array_unique($words) as $word) {
+                    if (strlen($word) >= 3 && !ctype_digit($word)) {
+                        $vocabulary[$word] = ($vocabulary[$word] ?? 0) + 1;
+                    }
+                }
+            }
+            $result->free();
+
+            $this->search_vocabulary = $vocabulary;
+            return ['success' => true, 'data' => $vocabulary];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Reading the search vocabulary failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'load_search_vocabulary'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Run one SELECT and return all of its rows
+     * 
+     * @param string $sql Query
+     * @param string $types bind_param types
+     * @param array $params Parameters
+     * @param string $operation Operation name for errors
+     * @return array Result array with the rows
+     */
+    private function fetch_rows($sql, $types, $params, $operation)
+    {
+        $stmt = $this->db->prepare($sql);
+        if (!$stmt) {
+            return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_' . $operation);
+        }
+
+        if (!empty($params)) {
+            $stmt->bind_param($types, ...$params);
+        }
+
+        if (!$stmt->execute()) {
+            $errno = $stmt->errno;
+            $error = $stmt->error;
+            $stmt->close();
+            return $this->handle_mysql_error($errno, $error, $operation);
+        }
+
+        $rows = $stmt->get_result()->fetch_all(MYSQLI_ASSOC);
+        $stmt->close();
+
+        return [
+            'success' => true,
+            'data' => $rows
+        ];
+    }
+
+    /**
+     * Keyword search behind search_products() and advanced_keyword_search()
+     * 
+     * @param string $query Search query
+     * @param int $limit Number of products per page
+     * @param int $offset Starting position for pagination
+     * @return array Result of enhanced_composite_search(), best matches first
+     */
+    private function keyword_search($query, $limit, $offset)
+    {
+        // Validate input
+        if (empty($query)) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'Search query is required',
+                'error_details' => ['query' => empty($query)]
+            ];
+        }
+
+        if (empty($this->prepare_search_terms($query))) {
+            return [
+                'success' => false,
+                'error_type' => 'validation_error',
+                'error_message' => 'No valid search terms found',
+                'error_details' => ['query' => $query]
+            ];
+        }
+
+        return $this->enhanced_composite_search([
+            'query' => $query,
+            'sort_by' => 'relevance',
+            'sort_order' => 'DESC',
+            'limit' => $limit,
+            'offset' => $offset
+        ]);
+    }
+
+    /**
+     * Index the products that have no search document yet, before a text search
+     * Runs once per object; after that add_product(), update_product() and
+     * delete_product() keep the index current.
+     * 
+     * @param array $filters Result of normalize_composite_filters()
+     * @return array Result array with success status
+     */
+    private function sync_search_index($filters)
+    {
+        if ($this->search_index_synced || empty($filters['search_terms'])) {
+            return ['success' => true];
+        }
+
+        do {
+            $result = $this->index_products();
+            if (!$result['success']) {
+                return $result;
+            }
+        } while ($result['data']['indexed'] === self::SEARCH_INDEX_BATCH_SIZE);
+
+        $this->search_index_synced = true;
+        return ['success' => true];
+    }
+
+    /**
+     * Write search documents for up to one batch of unindexed products
+     * A word's term frequency is the sum of the weights of the fields it appears
+     * in, once per occurrence (see SEARCH_FIELD_WEIGHTS).
+     * 
+     * @param int|null $product_id Index only this product (when it has no document)
+     * @return array Result array with the number of products read ('indexed')
+     */
+    private function index_products($product_id = null)
+    {
+        try {
+            $sql = "SELECT p.product_id, p.product_title, p.product_keywords, p.product_description,
+                           b.brand_name, c.cat_name
+                    FROM products p
+                    LEFT JOIN categories c ON p.category_id = c.cat_id
+                    LEFT JOIN brands b ON p.brand_id = b.brand_id
+                    LEFT JOIN product_search_documents d ON d.product_id = p.product_id
+                    WHERE d.product_id IS NULL" . ($product_id === null ? "" : " AND p.product_id = ?") . "
+                    LIMIT " . self::SEARCH_INDEX_BATCH_SIZE;
+
+            $rows = $this->fetch_rows($sql, $product_id === null ? '' : 'i', $product_id === null ? [] : [$product_id], 'read_unindexed_products');
+            if (!$rows['success']) {
+                return $rows;
+            }
+
+            $this->db->begin_transaction();
+
+            foreach ($rows['data'] as $row) {
+                $frequencies = [];
+                foreach (self::SEARCH_FIELD_WEIGHTS as $field => $weight) {
+                    $text = html_entity_decode(strip_tags((string)$row[$field]), ENT_QUOTES);
+                    foreach ($this->tokenize_search_text($text) as $term) {
+                        if (strlen($term) <= 64) {
+                            $frequencies[$term] = ($frequencies[$term] ?? 0) + $weight;
+                        }
+                    }
+                }
+
+                $written = $this->run_index_write(
+                    "INSERT IGNORE INTO product_search_documents (product_id, document_length) VALUES (?, ?)",
+                    'id',
+                    [$row['product_id'], array_sum($frequencies)],
+                    'index_product_document'
+                );
+                if (!$written['success']) {
+                    $this->db->rollback();
+                    return $written;
+                }
+
+                // Skip products another request indexed since they were read
+                if ($written['data']['affected_rows'] === 0 || empty($frequencies)) {
+                    continue;
+                }
+
+                $params = [];
+                foreach ($frequencies as $term => $frequency) {
+                    array_push($params, (string)$term, $row['product_id'], $frequency);
+                }
+
+                $written = $this->run_index_write(
+                    "INSERT INTO product_search_terms (term, product_id, term_frequency) VALUES " . implode(', ', array_fill(0, count($frequencies), '(?, ?, ?)')),
+                    str_repeat('sid', count($frequencies)),
+                    $params,
+                    'index_product_terms'
+                );
+                if (!$written['success']) {
+                    $this->db->rollback();
+                    return $written;
+                }
+            }
+
+            $this->db->commit();
+
+            return [
+                'success' => true,
+                'data' => ['indexed' => count($rows['data'])]
+            ];
+
+        } catch (Exception $e) {
+            $this->db->rollback();
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Indexing products for search failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'index_products'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Bring a product's search document up to date after it is added, edited or deleted
+     * A failure is only logged: the product change itself has been saved, and a
+     * product left without a document is indexed by the next search.
+     * 
+     * @param int $product_id Product ID
+     * @return void
+     */
+    private function refresh_search_document($product_id)
+    {
+        try {
+            $result = $this->run_index_write("DELETE FROM product_search_documents WHERE product_id = ?", 'i', [$product_id], 'remove_search_document');
+            if ($result['success']) {
+                $result = $this->index_products((int)$product_id);
+            }
+        } catch (Exception $e) {
+            $result = ['success' => false, 'error_message' => $e->getMessage()];
+        }
+
+        if (!$result['success']) {
+            error_log("Search index refresh failed for product {$product_id}: " . $result['error_message']);
+        }
+    }
+
+    /**
+     * Run one search index write
+     * 
+     * @param string $sql INSERT or DELETE statement
+     * @param string $types bind_param types
+     * @param array $params Parameters
+     * @param string $operation Operation name for errors
+     * @return array Result array with affected_rows
+     */
+    private function run_index_write($sql, $types, $params, $operation)
+    {
+        $stmt = $this->db->prepare($sql);
+        if (!$stmt) {
+            return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_' . $operation);
+        }
+
+        $stmt->bind_param($types, ...$params);
+
+        if (!$stmt->execute()) {
+            $errno = $stmt->errno;
+            $error = $stmt->error;
+            $stmt->close();
+            return $this->handle_mysql_error($errno, $error, $operation);
+        }
+
+        $affected_rows = $stmt->affected_rows;
+        $stmt->close();
+
+        return [
+            'success' => true,
+            'data' => ['affected_rows' => $affected_rows]
+        ];
+    }
+
+    /**
+     * Build the search index join for a text search, aliased m
+     * m holds every product containing at least one word of the search terms (a
+     * phrase such as a synonym matches any of its words) with its BM25 score: the
+     * sum over matched words of
+     *   idf * tf * (k1 + 1) / (tf + k1 * (1 - b + b * length / average length)),
+     *   idf = ln(1 + (products - products with the word + 0.5) / (products with the word + 0.5))
+     * 
+     * @param array $search_terms Prepared search terms
+     * @return array 'sql' (a LEFT JOIN, empty without terms), 'types' and 'params'
+     */
+    private function search_match_join($search_terms)
+    {
+        $words = [];
+        foreach ($search_terms as $term) {
+            foreach (explode(' ', $term) as $word) {
+                if ($word !== '') {
+                    $words[$word] = true;
+                }
+            }
+        }
+        $words = array_map('strval', array_keys($words));
+
+        if (empty($words)) {
+            return ['sql' => '', 'types' => '', 'params' => []];
+        }
+
+        $placeholders = implode(',', array_fill(0, count($words), '?'));
+        $k1 = self::SEARCH_BM25_K1;
+        $b = self::SEARCH_BM25_B;
+
+        $sql = " LEFT JOIN (
+                    SELECT t.product_id,
+                           SUM(LN(1 + (stats.document_count - f.document_frequency + 0.5) / (f.document_frequency + 0.5))
+                               * t.term_frequency * ({$k1} + 1)
+                               / (t.term_frequency + {$k1} * (1 - {$b} + {$b} * d.document_length / stats.average_length))) as relevance_score
+                    FROM product_search_terms t
+                    INNER JOIN product_search_documents d ON d.product_id = t.product_id
+                    INNER JOIN (SELECT term, COUNT(*) as document_frequency
+                                FROM product_search_terms
+                                WHERE term IN ({$placeholders})
+                                GROUP BY term) f ON f.term = t.term
+                    CROSS JOIN (SELECT COUNT(*) as document_count, GREATEST(AVG(document_length), 1) as average_length
+                                FROM product_search_documents) stats
+                    WHERE t.term IN ({$placeholders})
+                    GROUP BY t.product_id
+                 ) m ON m.product_id = p.product_id";
+
+        return [
+            'sql' => $sql,
+            'types' => str_repeat('s', count($words) * 2),
+            'params' => array_merge($words, $words)
+        ];
+    }
+
+    /**
+     * Check a stock level: null (not tracked) or a whole number of zero or more
+     *
+     * @param mixed $product_stock Stock level to check
+     * @return bool True when the level can be stored
+     */
+    private function is_valid_stock_level($product_stock)
+    {
+        if ($product_stock === null) {
+            return true;
+        }
+
+        return is_numeric($product_stock) && (int)$product_stock == $product_stock && $product_stock >= 0;
+    }
+
     /**
      * Prepare search terms for advanced searching
+     * Terms are lowercased and stemmed (see stem_search_term()), so "Shoes" also
+     * finds "shoe" and "batteries" also finds "battery".
      * 
      * @param string $query Raw search query
      * @return array Array of cleaned search terms
      */
     private function prepare_search_terms($query)
+    {
+        return array_values(array_unique($this->tokenize_search_text($query)));
+    }
+
+    /**
+     * Split text into stemmed search words, in order and with repeats
+     * Products are indexed and queries are read this same way.
+     * 
+     * @param string $text Text to split
+     * @return array Lowercased, stemmed words of two characters or more
+     */
+    private function tokenize_search_text($text)
     {
         // Remove special characters and normalize
-        $query = preg_replace('/[^\w\s]/', ' ', $query);
-        $query = preg_replace('/\s+/', ' ', trim($query));
+        $text = preg_replace('/[^\w\s]/', ' ', strtolower($text));
+        $text = preg_replace('/\s+/', ' ', trim($text));
         
         // Split into terms and filter
-        $terms = explode(' ', $query);
+        $terms = explode(' ', $text);
         $clean_terms = [];
         
         foreach ($terms as $term) {
             $term = trim($term);
             if (strlen($term) >= 2) { // Minimum term length
-                $clean_terms[] = $term;
+                $clean_terms[] = $this->stem_search_term($term);
             }
         }
         
-        return array_unique($clean_terms);
+        return $clean_terms;
     }
 
     /**
-     * Build relevance score calculation for search results
+     * Reduce a lowercased word to a stem that its singular and plural forms share
+     * Indexed words and query words are stemmed alike, so the stem does not have to
+     * be a real word: "batteries" and "battery" become "batter", "boxes" becomes
+     * "box", "shoes" becomes "shoe" and "washing" becomes "wash". Words of three
+     * letters or fewer are left alone.
      * 
-     * @param array $search_terms Array of search terms
-     * @return string SQL expression for relevance score
+     * @param string $word Lowercased word
+     * @return string Stem
      */
-    private function build_relevance_score($search_terms)
+    private function stem_search_term($word)
     {
-        $score_parts = [];
-        
-        foreach ($search_terms as $term) {
-            // Higher weight for exact title matches
-            $score_parts[] = "(CASE WHEN p.product_title LIKE ? THEN 10 ELSE 0 END)";
-            // Medium weight for keyword matches
-            $score_parts[] = "(CASE WHEN p.product_keywords LIKE ? THEN 5 ELSE 0 END)";
-            // Lower weight for description matches
-            $score_parts[] = "(CASE WHEN p.product_description LIKE ? THEN 2 ELSE 0 END)";
+        $length = strlen($word);
+        if ($length <= 3 || ctype_digit($word)) {
+            return $word;
         }
-        
-        return "(" . implode(' + ', $score_parts) . ")";
+
+        if ($length > 4 && substr($word, -3) === 'ies') {
+            return substr($word, 0, -3);
+        }
+
+        if (preg_match('/(x|z|ch|sh|ss)es$/', $word)) {
+            return substr($word, 0, -2);
+        }
+
+        if (preg_match('/(ss|us|is)$/', $word)) {
+            return $word;
+        }
+
+        if (substr($word, -1) === 's') {
+            return substr($word, 0, -1);
+        }
+
+        if ($length >= 7 && substr($word, -3) === 'ing') {
+            return substr($word, 0, -3);
+        }
+
+        if ($length >= 6 && substr($word, -2) === 'ed' && substr($word, -3) !== 'eed') {
+            return substr($word, 0, -2);
+        }
+
+        if ($length > 4 && preg_match('/[^aeiou]y$/', $word)) {
+            return substr($word, 0, -1);
+        }
+
+        return $word;
     }
 
     /**
-     * Build search conditions for WHERE clause
+     * Normalize the filters of an enhanced composite search
+     * category_id/brand_id (one ID) and category_ids/brand_ids (a list) are combined.
      * 
-     * @param array $search_terms Array of search terms
-     * @return string SQL WHERE conditions
+     * @param array $params query, related_terms (more words or phrases the query should
+     *                      match), category_id, category_ids, brand_id, brand_ids,
+     *                      price_ranges (list of ['min' => float, 'max' => float|null],
+     *                      max exclusive), min_price and max_price
+     * @return array Normalized filters with the query's search terms
      */
-    private function build_search_conditions($search_terms)
+    private function normalize_composite_filters($params)
     {
-        $conditions = [];
-        
-        foreach ($search_terms as $term) {
-            $conditions[] = "(p.product_title LIKE ? OR p.product_keywords LIKE ? OR p.product_description LIKE ?)";
+        $ids = function($single, $list) use ($params) {
+            $values = isset($params[$list]) && is_array($params[$list]) ? $params[$list] : [];
+            if (isset($params[$single])) {
+                $values[] = $params[$single];
+            }
+
+            $ids = [];
+            foreach ($values as $value) {
+                if (is_numeric($value) && (int)$value > 0) {
+                    $ids[] = (int)$value;
+                }
+            }
+            return array_values(array_unique($ids));
+        };
+
+        $price_ranges = [];
+        foreach ($params['price_ranges'] ?? [] as $range) {
+            if (isset($range['min']) && is_numeric($range['min'])) {
+                $price_ranges[] = [
+                    'min' => (float)$range['min'],
+                    'max' => isset($range['max']) && is_numeric($range['max']) ? (float)$range['max'] : null
+                ];
+            }
         }
-        
-        return implode(' OR ', $conditions);
+
+        $query = isset($params['query']) ? trim($params['query']) : '';
+
+        // Synonyms and spelling corrections are matched like any other term
+        $search_terms = $query !== '' ? $this->prepare_search_terms($query) : [];
+        if ($query !== '') {
+            foreach ($params['related_terms'] ?? [] as $term) {
+                $phrase = $this->normalize_search_phrase($term);
+                if ($phrase !== '') {
+                    $search_terms[] = $phrase;
+                }
+            }
+        }
+
+        return [
+            'query' => $query,
+            'search_terms' => array_values(array_unique($search_terms)),
+            'category_ids' => $ids('category_id', 'category_ids'),
+            'brand_ids' => $ids('brand_id', 'brand_ids'),
+            'price_ranges' => $price_ranges,
+            'min_price' => isset($params['min_price']) && is_numeric($params['min_price']) ? (float)$params['min_price'] : 0,
+            'max_price' => isset($params['max_price']) && is_numeric($params['max_price']) ? (float)$params['max_price'] : 0
+        ];
+    }
+
+    /**
+     * Build the WHERE conditions for normalized composite filters
+     * With search terms the query must also join search_match_join() as m.
+     * 
+     * @param array $filters Result of normalize_composite_filters()
+     * @param string|null $skip Leave out 'category', 'brand' or 'price' (the price ranges), for facet counts
+     * @return array 'sql' (conditions, each starting with " AND "), 'types' and 'params'
+     */
+    private function build_composite_conditions($filters, $skip = null)
+    {
+        $sql = '';
+        $types = '';
+        $params = [];
+
+        // Text search: only products the search index matched (see search_match_join())
+        if (!empty($filters['search_terms'])) {
+            $sql .= " AND m.product_id IS NOT NULL";
+        }
+
+        if ($skip !== 'category' && !empty($filters['category_ids'])) {
+            $sql .= " AND p.category_id IN (" . implode(',', array_fill(0, count($filters['category_ids']), '?')) . ")";
+            $types .= str_repeat('i', count($filters['category_ids']));
+            $params = array_merge($params, $filters['category_ids']);
+        }
+
+        if ($skip !== 'brand' && !empty($filters['brand_ids'])) {
+            $sql .= " AND p.brand_id IN (" . implode(',', array_fill(0, count($filters['brand_ids']), '?')) . ")";
+            $types .= str_repeat('i', count($filters['brand_ids']));
+            $params = array_merge($params, $filters['brand_ids']);
+        }
+
+        $price = $this->storefront_price_sql();
+
+        if ($skip !== 'price' && !empty($filters['price_ranges'])) {
+            $ranges = [];
+            foreach ($filters['price_ranges'] as $range) {
+                if ($range['max'] === null) {
+                    $ranges[] = "{$price} >= ?";
+                    $types .= 'd';
+                    $params[] = $range['min'];
+                } else {
+                    $ranges[] = "({$price} >= ? AND {$price} < ?)";
+                    $types .= 'dd';
+                    array_push($params, $range['min'], $range['max']);
+                }
+            }
+            $sql .= " AND (" . implode(' OR ', $ranges) . ")";
+        }
+
+        if ($filters['min_price'] > 0) {
+            $sql .= " AND {$price} >= ?";
+            $types .= 'd';
+            $params[] = $filters['min_price'];
+        }
+
+        if ($filters['max_price'] > 0) {
+            $sql .= " AND {$price} <= ?";
+            $types .= 'd';
+            $params[] = $filters['max_price'];
+        }
+
+        return [
+            'sql' => $sql,
+            'types' => $types,
+            'params' => $params
+        ];
+    }
+
+    /**
+     * SQL for the price the storefront shows: a product with variants shows its
+     * lowest variant price
+     * 
+     * @return string SQL expression over the products row aliased p
+     */
+    private function storefront_price_sql()
+    {
+        return "COALESCE((SELECT MIN(COALESCE(v.variant_price, p.product_price))
+                          FROM product_variants v
+                          WHERE v.product_id = p.product_id), p.product_price)";
     }
 
     /**
      * Build ORDER BY clause for sorting
+     * Prices sort by what the storefront shows (see storefront_price_sql()), and every
+     * order ends on the product ID so pages never overlap.
      * 
      * @param string $sort_by Sort field
      * @param string $sort_order Sort direction
@@ -2548,18 +3272,18 @@ class Product extends db_connection
     {
         switch ($sort_by) {
             case 'price':
-                return "p.product_price {$sort_order}";
+                return $this->storefront_price_sql() . " {$sort_order}, p.product_id {$sort_order}";
             case 'title':
-                return "p.product_title {$sort_order}";
+                return "p.product_title {$sort_order}, p.product_id ASC";
             case 'date':
-                return "p.created_at {$sort_order}";
+                return "p.created_at {$sort_order}, p.product_id {$sort_order}";
             case 'category':
-                return "c.cat_name {$sort_order}, p.product_title ASC";
+                return "c.cat_name {$sort_order}, p.product_title ASC, p.product_id ASC";
             case 'brand':
-                return "b.brand_name {$sort_order}, p.product_title ASC";
+                return "b.brand_name {$sort_order}, p.product_title ASC, p.product_id ASC";
             case 'relevance':
             default:
-                return "relevance_score {$sort_order}, p.created_at DESC";
+                return "relevance_score {$sort_order}, p.created_at DESC, p.product_id DESC";
         }
     }
 
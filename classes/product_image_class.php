@@ -0,0 +1,526 @@
+<?php
+
+require_once __DIR__ . '/../settings/db_class.php';
+
+/**
+ * Product Image Class
+ *
+ * Handles a product's image gallery (product_images). See
+ * migrations/010_product_images.sql. The primary image's path is mirrored in
+ * products.product_image, which every listing, the cart and orders read.
+ */
+class ProductImage extends db_connection
+{
+    /**
+     * Get a product's gallery
+     *
+     * @param int $product_id Product ID
+     * @return array Result array with success status and the images in display order
+     */
+    public function get_product_images($product_id)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("SELECT image_id, product_id, image_path, alt_text, sort_order, is_primary
+                                        FROM product_images
+                                        WHERE product_id = ?
+                                        ORDER BY sort_order, image_id");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_get_product_images');
+            }
+
+            $stmt->bind_param("i", $product_id);
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'get_product_images');
+            }
+
+            $result = $stmt->get_result();
+            $images = [];
+            while ($row = $result->fetch_assoc()) {
+                $images[] = [
+                    'image_id' => (int)$row['image_id'],
+                    'product_id' => (int)$row['product_id'],
+                    'image_path' => $row['image_path'],
+                    'alt_text' => $row['alt_text'],
+                    'sort_order' => (int)$row['sort_order'],
+                    'is_primary' => (int)$row['is_primary'] === 1
+                ];
+            }
+            $stmt->close();
+
+            return ['success' => true, 'data' => $images];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, 'get_product_images');
+        }
+    }
+
+    /**
+     * Replace a product's gallery
+     * Images with an image_id keep their path and get their new alt text, position
+     * and primary flag; images left out are deleted.
+     * products.product_image is set to the primary image ('' when the gallery is empty).
+     *
+     * @param int $product_id Product ID
+     * @param int $user_id Owner user ID
+     * @param array $images Images in display order, each with image_id (0 for new),
+     *                      image_path (new images only), alt_text and is_primary
+     *                      (exactly one when the list is not empty)
+     * @return array Result array with success status, the stored 'images' and the
+     *               'removed_paths' of images that are no longer in the gallery
+     */
+    public function save_product_images($product_id, $user_id, $images)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("SELECT product_id FROM products WHERE product_id = ? AND user_id = ?");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_verify_product_owner');
+            }
+            $stmt->bind_param("ii", $product_id, $user_id);
+            $stmt->execute();
+            $owned = $stmt->get_result()->fetch_assoc();
+            $stmt->close();
+
+            if (!$owned) {
+                return [
+                    'success' => false,
+                    'error_type' => 'not_found',
+                    'error_message' => 'Product not found or access denied',
+                    'error_details' => ['product_id' => $product_id, 'user_id' => $user_id]
+                ];
+            }
+
+            $existing = $this->get_product_images($product_id);
+            if (!$existing['success']) {
+                return $existing;
+            }
+            $existing_paths = [];
+            foreach ($existing['data'] as $image) {
+                $existing_paths[$image['image_id']] = $image['image_path'];
+            }
+
+            $kept_ids = [];
+            foreach ($images as $image) {
+                if ((int)$image['image_id'] === 0) {
+                    continue;
+                }
+                if (!isset($existing_paths[(int)$image['image_id']])) {
+                    return [
+                        'success' => false,
+                        'error_type' => 'not_found',
+                        'error_message' => 'Image not found',
+                        'error_details' => ['product_id' => $product_id, 'image_id' => (int)$image['image_id']]
+                    ];
+                }
+                $kept_ids[] = (int)$image['image_id'];
+            }
+
+            $this->db->autocommit(false);
+
+            $removed_paths = [];
+            foreach (array_diff(array_keys($existing_paths), $kept_ids) as $image_id) {
+                $result = $this->execute_statement("DELETE FROM product_images WHERE image_id = ?", "i", array($image_id), 'delete_product_image');
+                if (!$result['success']) {
+                    $this->db->rollback();
+                    return $result;
+                }
+                $removed_paths[] = $existing_paths[$image_id];
+            }
+
+            $primary_path = '';
+            foreach (array_values($images) as $sort_order => $image) {
+                $is_primary = $image['is_primary'] ? 1 : 0;
+
+                if ((int)$image['image_id'] > 0) {
+                    $result = $this->execute_statement(
+                        "UPDATE product_images SET alt_text = ?, sort_order = ?, is_primary = ? WHERE image_id = ? AND product_id = ?",
+                        "siiii",
+                        array($image['alt_text'], $sort_order, $is_primary, (int)$image['image_id'], $product_id),
+                        'update_product_image'
+                    );
+                } else {
+                    $result = $this->execute_statement(
+                        "INSERT INTO product_images (product_id, image_path, alt_text, sort_order, is_primary) VALUES (?, ?, ?, ?, ?)",
+                        "issii",
+                        array($product_id, $image['image_path'], $image['alt_text'], $sort_order, $is_primary),
+                        'insert_product_image'
+                    );
+                }
+                if (!$result['success']) {
+                    $this->db->rollback();
+                    return $result;
+                }
+
+                if ($is_primary) {
+                    $primary_path = (int)$image['image_id'] > 0 ? $existing_paths[(int)$image['image_id']] : $image['image_path'];
+                }
+            }
+
+            $result = $this->execute_statement("UPDATE products SET product_image = ? WHERE product_id = ?", "si", array($primary_path, $product_id), 'update_primary_product_image');
+            if (!$result['success']) {
+                $this->db->rollback();
+                return $result;
+            }
+
+            $this->db->commit();
+
+        } catch (Exception $e) {
+            $this->db->rollback();
+            return $this->exception_response($e, 'save_product_images');
+        } finally {
+            $this->db->autocommit(true);
+        }
+
+        $stored = $this->get_product_images($product_id);
+        if (!$stored['success']) {
+            return $stored;
+        }
+
+        // A path still used by a kept image (re-added after removal) is not removed
+        $removed_paths = array_values(array_diff($removed_paths, array_column($stored['data'], 'image_path')));
+
+        return ['success' => true, 'data' => ['images' => $stored['data'], 'removed_paths' => $removed_paths]];
+    }
+
+    /**
+     * Make a path the product's primary image after products.product_image changed
+     * (the edit form replacing or removing the product image)
+     * A new path replaces the current primary image; an empty path removes it and
+     * promotes the next image in the gallery, which is copied to products.product_image.
+     *
+     * @param int $product_id Product ID
+     * @param string $image_path New products.product_image value
+     * @param string $alt_text Alt text for a newly added image
+     * @return array Result array with success status and the primary image_path
+     */
+    public function replace_primary_image($product_id, $image_path, $alt_text = null)
+    {
+        $existing = $this->get_product_images($product_id);
+        if (!$existing['success']) {
+            return $existing;
+        }
+
+        $primary = null;
+        $matching = null;
+        foreach ($existing['data'] as $image) {
+            if ($image['is_primary']) {
+                $primary = $image;
+            }
+            if ($image_path !== '' && $image['image_path'] === $image_path) {
+                $matching = $image;
+            }
+        }
+
+        try {
+            if ($image_path === '') {
+                if ($primary === null) {
+                    return ['success' => true, 'data' => ['image_path' => '']];
+                }
+
+                $result = $this->execute_statement("DELETE FROM product_images WHERE image_id = ?", "i", array($primary['image_id']), 'delete_primary_image');
+                if (!$result['success']) {
+                    return $result;
+                }
+
+                $next = null;
+                foreach ($existing['data'] as $image) {
+                    if ($image['image_id'] !== $primary['image_id']) {
+                        $next = $image;
+                        break;
+                    }
+                }
+                if ($next === null) {
+                    return ['success' => true, 'data' => ['image_path' => '']];
+                }
+
+                $result = $this->execute_statement("UPDATE product_images SET is_primary = 1 WHERE image_id = ?", "i", array($next['image_id']), 'promote_product_image');
+                if (!$result['success']) {
+                    return $result;
+                }
+                $result = $this->execute_statement("UPDATE products SET product_image = ? WHERE product_id = ?", "si", array($next['image_path'], $product_id), 'update_primary_product_image');
+                if (!$result['success']) {
+                    return $result;
+                }
+
+                return ['success' => true, 'data' => ['image_path' => $next['image_path']]];
+            }
+
+            if ($matching !== null) {
+                if (!$matching['is_primary']) {
+                    $result = $this->execute_statement("UPDATE product_images SET is_primary = (image_id = ?) WHERE product_id = ?", "ii", array($matching['image_id'], $product_id), 'set_primary_image');
+                    if (!$result['success']) {
+                        return $result;
+                    }
+                }
+            } elseif ($primary !== null) {
+                $result = $this->execute_statement("UPDATE product_images SET image_path = ? WHERE image_id = ?", "si", array($image_path, $primary['image_id']), 'replace_primary_image');
+                if (!$result['success']) {
+                    return $result;
+                }
+            } else {
+                $result = $this->execute_statement(
+                    "INSERT INTO product_images (product_id, image_path, alt_text, sort_order, is_primary) VALUES (?, ?, ?, ?, 1)",
+                    "issi",
+                    array($product_id, $image_path, $alt_text, -1),
+                    'insert_primary_image'
+                );
+                if (!$result['success']) {
+                    return $result;
+                }
+            }
+
+            return ['success' => true, 'data' => ['image_path' => $image_path]];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, 'replace_primary_image');
+        }
+    }
+
+    /**
+     * Add an image to the end of a product's gallery
+     * It becomes the primary image when the gallery is empty.
+     *
+     * @param int $product_id Product ID
+     * @param string $image_path Relative image path
+     * @param string|null $alt_text Alt text
+     * @return array Result array with success status and the new 'image_id'
+     */
+    public function add_gallery_image($product_id, $image_path, $alt_text = null)
+    {
+        $existing = $this->get_product_images($product_id);
+        if (!$existing['success']) {
+            return $existing;
+        }
+
+        $is_primary = empty($existing['data']) ? 1 : 0;
+        $sort_order = empty($existing['data']) ? 0 : max(array_column($existing['data'], 'sort_order')) + 1;
+
+        try {
+            $result = $this->execute_statement(
+                "INSERT INTO product_images (product_id, image_path, alt_text, sort_order, is_primary) VALUES (?, ?, ?, ?, ?)",
+                "issii",
+                array($product_id, $image_path, $alt_text, $sort_order, $is_primary),
+                'add_gallery_image'
+            );
+            if (!$result['success']) {
+                return $result;
+            }
+
+            if ($is_primary) {
+                $update = $this->execute_statement("UPDATE products SET product_image = ? WHERE product_id = ?", "si", array($image_path, $product_id), 'update_primary_product_image');
+                if (!$update['success']) {
+                    return $update;
+                }
+            }
+
+            return ['success' => true, 'data' => ['image_id' => $result['insert_id'], 'is_primary' => (bool)$is_primary]];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, 'add_gallery_image');
+        }
+    }
+
+    /**
+     * Get the gallery image paths of several products
+     *
+     * @param array $product_ids Product IDs
+     * @return array Result array with success status and image paths in display order
+     *               keyed by product ID; products without a gallery are left out
+     */
+    public function get_gallery_paths($product_ids)
+    {
+        $product_ids = array_values(array_unique(array_map('intval', $product_ids)));
+        if (empty($product_ids)) {
+            return ['success' => true, 'data' => []];
+        }
+
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $ids = implode(',', $product_ids);
+            $result = $this->db->query(
+                "SELECT product_id, image_path
+                 FROM product_images
+                 WHERE product_id IN ({$ids})
+                 ORDER BY product_id, sort_order, image_id"
+            );
+            if (!$result) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'get_gallery_paths');
+            }
+
+            $paths = [];
+            while ($row = $result->fetch_assoc()) {
+                $paths[(int)$row['product_id']][] = $row['image_path'];
+            }
+
+            return ['success' => true, 'data' => $paths];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, 'get_gallery_paths');
+        }
+    }
+
+    /**
+     * Delete a product's gallery (when the product is deleted)
+     *
+     * @param int $product_id Product ID
+     * @return array Result array with success status and the 'removed_paths'
+     */
+    public function delete_product_images($product_id)
+    {
+        $existing = $this->get_product_images($product_id);
+        if (!$existing['success']) {
+            return $existing;
+        }
+
+        try {
+            $result = $this->execute_statement("DELETE FROM product_images WHERE product_id = ?", "i", array($product_id), 'delete_product_images');
+            if (!$result['success']) {
+                return $result;
+            }
+
+            return ['success' => true, 'data' => ['removed_paths' => array_column($existing['data'], 'image_path')]];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, 'delete_product_images');
+        }
+    }
+
+    /**
+     * Execute a write statement (inside the caller's transaction, if any)
+     *
+     * @param string $sql INSERT, UPDATE or DELETE
+     * @param string $types bind_param types
+     * @param array $params Query parameters
+     * @param string $operation Operation name for error details
+     * @return array Result array with success status and insert_id
+     */
+    private function execute_statement($sql, $types, $params, $operation)
+    {
+        $stmt = $this->db->prepare($sql);
+        if (!$stmt) {
+            return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_' . $operation);
+        }
+
+        $stmt->bind_param($types, ...$params);
+
+        if (!$stmt->execute()) {
+            $errno = $stmt->errno;
+            $error = $stmt->error;
+            $stmt->close();
+            return $this->handle_mysql_error($errno, $error, $operation);
+        }
+
+        $insert_id = $this->db->insert_id;
+        $stmt->close();
+
+        return ['success' => true, 'insert_id' => (int)$insert_id];
+    }
+
+    /**
+     * Standard response for an unexpected exception
+     * @param Exception $e Exception
+     * @param string $operation Operation that failed
+     * @return array Error response
+     */
+    private function exception_response($e, $operation)
+    {
+        return [
+            'success' => false,
+            'error_type' => 'database_exception',
+            'error_message' => 'Product image operation failed with exception',
+            'error_details' => [
+                'exception_message' => $e->getMessage(),
+                'exception_code' => $e->getCode(),
+                'operation' => $operation
+            ]
+        ];
+    }
+
+    /**
+     * Enhanced database connection with error handling
+     * @return array Connection result with success status and error details
+     */
+    protected function connect_with_error_handling()
+    {
+        if ($this->db !== null) {
+            return ['success' => true];
+        }
+
+        try {
+            if (!$this->db_connect()) {
+                return [
+                    'success' => false,
+                    'error_type' => 'connection_error',
+                    'error_message' => 'Failed to connect to database',
+                    'error_details' => [
+                        'mysql_error' => mysqli_connect_error() ?: 'Unknown connection error',
+                        'mysql_errno' => mysqli_connect_errno() ?: 0,
+                        'operation' => 'database_connection'
+                    ]
+                ];
+            }
+
+            return ['success' => true];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'connection_exception',
+                'error_message' => 'Database connection failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'database_connection'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Map a MySQL error to a standardized error response
+     * @param int $errno MySQL error number
+     * @param string $error MySQL error message
+     * @param string $operation Operation that caused the error
+     * @return array Standardized error response
+     */
+    private function handle_mysql_error($errno, $error, $operation)
+    {
+        $error_types = [
+            1062 => ['duplicate_entry', 'Duplicate entry detected - this violates a unique constraint'],
+            1146 => ['table_not_found', 'Database table not found - run migrations/010_product_images.sql'],
+            1054 => ['column_not_found', 'Database column not found - possible schema mismatch'],
+            2006 => ['connection_lost', 'Database connection lost - server may be unavailable']
+        ];
+
+        list($error_type, $error_message) = $error_types[$errno] ?? ['database_error', 'Database operation failed'];
+
+        return [
+            'success' => false,
+            'error_type' => $error_type,
+            'error_message' => $error_message,
+            'error_details' => [
+                'mysql_error' => $error,
+                'mysql_errno' => $errno,
+                'operation' => $operation
+            ]
+        ];
+    }
+}
+
+?>
@@ -0,0 +1,589 @@
+<?php
+
+require_once __DIR__ . '/../settings/db_class.php';
+
+/**
+ * Product Variant Class
+ *
+ * Handles a product's option types (product_options), its variants
+ * (product_variants) and the option value each variant holds
+ * (product_variant_values). See migrations/009_product_variants.sql.
+ * Variants are returned with an 'options' map of option name => value and a
+ * 'variant_label' such as "Size: M / Colour: Red".
+ */
+class ProductVariant extends db_connection
+{
+    // Variant columns plus the price it sells at (its own, or the product's)
+    const VARIANT_SELECT = "SELECT v.*, COALESCE(v.variant_price, p.product_price) AS price
+                            FROM product_variants v
+                            INNER JOIN products p ON v.product_id = p.product_id";
+
+    /**
+     * Get a product's options and variants
+     *
+     * @param int $product_id Product ID
+     * @return array Result array with success status and 'options' (option_id,
+     *               option_name, values) and 'variants' lists, in sort order
+     */
+    public function get_product_variants($product_id)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("SELECT option_id, option_name FROM product_options WHERE product_id = ? ORDER BY sort_order, option_id");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_get_product_options');
+            }
+
+            $stmt->bind_param("i", $product_id);
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'get_product_options');
+            }
+
+            $result = $stmt->get_result();
+            $options = [];
+            while ($row = $result->fetch_assoc()) {
+                $options[(int)$row['option_id']] = [
+                    'option_id' => (int)$row['option_id'],
+                    'option_name' => $row['option_name'],
+                    'values' => []
+                ];
+            }
+            $stmt->close();
+
+            $variants = $this->fetch_variants(self::VARIANT_SELECT . " WHERE v.product_id = ? ORDER BY v.sort_order, v.variant_id", "i", array($product_id), 'get_product_variants');
+            if (!$variants['success']) {
+                return $variants;
+            }
+
+            // Each option lists its values in the order the variants first use them
+            foreach ($variants['data'] as $variant) {
+                foreach ($variant['option_values'] as $option_id => $value) {
+                    if (isset($options[$option_id]) && !in_array($value, $options[$option_id]['values'], true)) {
+                        $options[$option_id]['values'][] = $value;
+                    }
+                }
+            }
+
+            return [
+                'success' => true,
+                'data' => [
+                    'options' => array_values($options),
+                    'variants' => $variants['data']
+                ]
+            ];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, 'get_product_variants');
+        }
+    }
+
+    /**
+     * Get one variant of a product
+     *
+     * @param int $product_id Product ID
+     * @param int $variant_id Variant ID
+     * @return array Result array with success status and the variant
+     */
+    public function get_variant($product_id, $variant_id)
+    {
+        $result = $this->fetch_variants(self::VARIANT_SELECT . " WHERE v.variant_id = ? AND v.product_id = ?", "ii", array($variant_id, $product_id), 'get_variant');
+        if (!$result['success']) {
+            return $result;
+        }
+
+        if (empty($result['data'])) {
+            return [
+                'success' => false,
+                'error_type' => 'not_found',
+                'error_message' => 'Variant not found',
+                'error_details' => ['product_id' => $product_id, 'variant_id' => $variant_id]
+            ];
+        }
+
+        return ['success' => true, 'data' => $result['data'][0]];
+    }
+
+    /**
+     * Summarise the variants of several products for listings
+     * stock is the total of the variants' stock, or null when any variant is
+     * not tracked.
+     *
+     * @param array $product_ids Product IDs
+     * @return array Result array with success status and summaries keyed by
+     *               product ID (variant_count, min_price, max_price, stock);
+     *               products without variants are left out
+     */
+    public function get_variant_summaries($product_ids)
+    {
+        $product_ids = array_values(array_unique(array_map('intval', $product_ids)));
+        if (empty($product_ids)) {
+            return ['success' => true, 'data' => []];
+        }
+
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $ids = implode(',', $product_ids);
+            $result = $this->db->query(
+                "SELECT v.product_id,
+                        COUNT(*) AS variant_count,
+                        MIN(COALESCE(v.variant_price, p.product_price)) AS min_price,
+                        MAX(COALESCE(v.variant_price, p.product_price)) AS max_price,
+                        IF(SUM(v.variant_stock IS NULL) > 0, NULL, SUM(v.variant_stock)) AS stock
+                 FROM product_variants v
+                 JOIN products p ON p.product_id = v.product_id
+                 WHERE v.product_id IN ({$ids})
+                 GROUP BY v.product_id"
+            );
+            if (!$result) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'get_variant_summaries');
+            }
+
+            $summaries = [];
+            while ($row = $result->fetch_assoc()) {
+                $summaries[(int)$row['product_id']] = [
+                    'variant_count' => (int)$row['variant_count'],
+                    'min_price' => (float)$row['min_price'],
+                    'max_price' => (float)$row['max_price'],
+                    'stock' => $row['stock'] !== null ? (int)$row['stock'] : null
+                ];
+            }
+
+            return ['success' => true, 'data' => $summaries];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, 'get_variant_summaries');
+        }
+    }
+
+    /**
+     * Replace a product's options and variants
+     * Variants with a variant_id are updated in place so cart lines and order
+     * history keep pointing at them; variants left out are deleted together with
+     * any cart lines holding them. Once a product has variants, cart lines for
+     * the bare product are removed as well.
+     *
+     * @param int $product_id Product ID
+     * @param int $user_id Owner user ID
+     * @param array $options Option names, in display order
+     * @param array $variants Variants with variant_id (0 for new), sku, variant_price,
+     *                        variant_stock, variant_image and 'values' (one value per
+     *                        option, in the same order as $options)
+     * @return array Result array with success status and the stored options and variants
+     */
+    public function save_product_variants($product_id, $user_id, $options, $variants)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("SELECT product_id FROM products WHERE product_id = ? AND user_id = ?");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_verify_product_owner');
+            }
+            $stmt->bind_param("ii", $product_id, $user_id);
+            $stmt->execute();
+            $owned = $stmt->get_result()->fetch_assoc();
+            $stmt->close();
+
+            if (!$owned) {
+                return [
+                    'success' => false,
+                    'error_type' => 'not_found',
+                    'error_message' => 'Product not found or access denied',
+                    'error_details' => ['product_id' => $product_id, 'user_id' => $user_id]
+                ];
+            }
+
+            $existing = $this->fetch_variants(self::VARIANT_SELECT . " WHERE v.product_id = ?", "i", array($product_id), 'save_product_variants_existing');
+            if (!$existing['success']) {
+                return $existing;
+            }
+            $existing_ids = array_map(function ($variant) {
+                return $variant['variant_id'];
+            }, $existing['data']);
+
+            $kept_ids = [];
+            foreach ($variants as $variant) {
+                if ((int)$variant['variant_id'] === 0) {
+                    continue;
+                }
+                if (!in_array((int)$variant['variant_id'], $existing_ids, true)) {
+                    return [
+                        'success' => false,
+                        'error_type' => 'not_found',
+                        'error_message' => 'Variant not found',
+                        'error_details' => ['product_id' => $product_id, 'variant_id' => (int)$variant['variant_id']]
+                    ];
+                }
+                $kept_ids[] = (int)$variant['variant_id'];
+            }
+
+            $this->db->autocommit(false);
+
+            // Removed variants go first so a new variant can take over their SKU
+            foreach (array_diff($existing_ids, $kept_ids) as $variant_id) {
+                $result = $this->execute_statement("DELETE FROM product_variants WHERE variant_id = ?", "i", array($variant_id), 'delete_variant');
+                if (!$result['success']) {
+                    $this->db->rollback();
+                    return $result;
+                }
+            }
+
+            $result = $this->execute_statement("DELETE FROM product_options WHERE product_id = ?", "i", array($product_id), 'clear_product_options');
+            if (!$result['success']) {
+                $this->db->rollback();
+                return $result;
+            }
+
+            $option_ids = [];
+            foreach (array_values($options) as $sort_order => $option_name) {
+                $result = $this->execute_statement(
+                    "INSERT INTO product_options (product_id, option_name, sort_order) VALUES (?, ?, ?)",
+                    "isi",
+                    array($product_id, $option_name, $sort_order),
+                    'insert_product_option'
+                );
+                if (!$result['success']) {
+                    $this->db->rollback();
+                    return $result;
+                }
+                $option_ids[] = $result['insert_id'];
+            }
+
+            $variant_ids = [];
+            foreach (array_values($variants) as $sort_order => $variant) {
+                $variant_id = (int)$variant['variant_id'];
+
+                if ($variant_id > 0) {
+                    $result = $this->execute_statement(
+                        "UPDATE product_variants
+                         SET sku = ?, variant_price = ?, variant_stock = ?, variant_image = ?, sort_order = ?
+                         WHERE variant_id = ? AND product_id = ?",
+                        "sdisiii",
+                        array($variant['sku'], $variant['variant_price'], $variant['variant_stock'], $variant['variant_image'], $sort_order, $variant_id, $product_id),
+                        'update_variant'
+                    );
+                } else {
+                    $result = $this->execute_statement(
+                        "INSERT INTO product_variants (product_id, sku, variant_price, variant_stock, variant_image, sort_order)
+                         VALUES (?, ?, ?, ?, ?, ?)",
+                        "isdisi",
+                        array($product_id, $variant['sku'], $variant['variant_price'], $variant['variant_stock'], $variant['variant_image'], $sort_order),
+                        'insert_variant'
+                    );
+                }
+                if (!$result['success']) {
+                    $this->db->rollback();
+                    return $result;
+                }
+
+                if ($variant_id === 0) {
+                    $variant_id = $result['insert_id'];
+                }
+                $variant_ids[] = $variant_id;
+
+                foreach (array_values($variant['values']) as $index => $option_value) {
+                    $result = $this->execute_statement(
+                        "INSERT INTO product_variant_values (variant_id, option_id, option_value) VALUES (?, ?, ?)",
+                        "iis",
+                        array($variant_id, $option_ids[$index], $option_value),
+                        'insert_variant_value'
+                    );
+                    if (!$result['success']) {
+                        $this->db->rollback();
+                        return $result;
+                    }
+                }
+            }
+
+            // Cart lines may only hold a current variant, or the bare product when it has none
+            $sellable_ids = empty($variant_ids) ? [0] : $variant_ids;
+            $placeholders = implode(',', array_fill(0, count($sellable_ids), '?'));
+            $result = $this->execute_statement(
+                "DELETE FROM cart WHERE p_id = ? AND variant_id NOT IN ({$placeholders})",
+                str_repeat('i', count($sellable_ids) + 1),
+                array_merge(array($product_id), $sellable_ids),
+                'clear_stale_cart_variants'
+            );
+            if (!$result['success']) {
+                $this->db->rollback();
+                return $result;
+            }
+
+            $this->db->commit();
+
+        } catch (Exception $e) {
+            $this->db->rollback();
+            return $this->exception_response($e, 'save_product_variants');
+        } finally {
+            $this->db->autocommit(true);
+        }
+
+        return $this->get_product_variants($product_id);
+    }
+
+    /**
+     * Delete every option and variant of a product (when the product is deleted)
+     * Order lines keep their variant_id and variant_label.
+     *
+     * @param int $product_id Product ID
+     * @return array Result array with success status
+     */
+    public function delete_product_variants($product_id)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            foreach (['product_variants', 'product_options'] as $table) {
+                $result = $this->execute_statement("DELETE FROM {$table} WHERE product_id = ?", "i", array($product_id), 'delete_' . $table);
+                if (!$result['success']) {
+                    return $result;
+                }
+            }
+
+            return ['success' => true, 'data' => ['product_id' => (int)$product_id]];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, 'delete_product_variants');
+        }
+    }
+
+    /**
+     * Run a variant query and attach each variant's option values
+     *
+     * @param string $sql VARIANT_SELECT with its WHERE clause
+     * @param string $types bind_param types
+     * @param array $params Query parameters
+     * @param string $operation Operation name for error details
+     * @return array Result array with success status and a list of variants
+     */
+    private function fetch_variants($sql, $types, $params, $operation)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare($sql);
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_' . $operation);
+            }
+
+            $stmt->bind_param($types, ...$params);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, $operation);
+            }
+
+            $result = $stmt->get_result();
+            $variants = [];
+            while ($row = $result->fetch_assoc()) {
+                $variants[(int)$row['variant_id']] = [
+                    'variant_id' => (int)$row['variant_id'],
+                    'product_id' => (int)$row['product_id'],
+                    'sku' => $row['sku'],
+                    'variant_price' => $row['variant_price'] !== null ? (float)$row['variant_price'] : null,
+                    'price' => (float)$row['price'],
+                    'variant_stock' => $row['variant_stock'] !== null ? (int)$row['variant_stock'] : null,
+                    'variant_image' => $row['variant_image'],
+                    'option_values' => [],
+                    'options' => [],
+                    'variant_label' => ''
+                ];
+            }
+            $stmt->close();
+
+            if (empty($variants)) {
+                return ['success' => true, 'data' => []];
+            }
+
+            $ids = implode(',', array_keys($variants));
+            $values = $this->db->query(
+                "SELECT vv.variant_id, vv.option_id, vv.option_value, o.option_name
+                 FROM product_variant_values vv
+                 JOIN product_options o ON o.option_id = vv.option_id
+                 WHERE vv.variant_id IN ({$ids})
+                 ORDER BY o.sort_order, o.option_id"
+            );
+            if (!$values) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, $operation . '_values');
+            }
+
+            while ($value = $values->fetch_assoc()) {
+                $variant = &$variants[(int)$value['variant_id']];
+                $variant['option_values'][(int)$value['option_id']] = $value['option_value'];
+                $variant['options'][$value['option_name']] = $value['option_value'];
+                unset($variant);
+            }
+
+            foreach ($variants as &$variant) {
+                $variant['variant_label'] = self::label_for($variant['options']);
+            }
+            unset($variant);
+
+            return ['success' => true, 'data' => array_values($variants)];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, $operation);
+        }
+    }
+
+    /**
+     * Build a variant label from its option values
+     *
+     * @param array $options Option name => value, in option order
+     * @return string Label such as "Size: M / Colour: Red"
+     */
+    private static function label_for($options)
+    {
+        $parts = [];
+        foreach ($options as $name => $value) {
+            $parts[] = $name . ': ' . $value;
+        }
+
+        return implode(' / ', $parts);
+    }
+
+    /**
+     * Execute a write statement (inside the caller's transaction)
+     *
+     * @param string $sql INSERT, UPDATE or DELETE
+     * @param string $types bind_param types
+     * @param array $params Query parameters
+     * @param string $operation Operation name for error details
+     * @return array Result array with success status and insert_id
+     */
+    private function execute_statement($sql, $types, $params, $operation)
+    {
+        $stmt = $this->db->prepare($sql);
+        if (!$stmt) {
+            return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_' . $operation);
+        }
+
+        $stmt->bind_param($types, ...$params);
+
+        if (!$stmt->execute()) {
+            $errno = $stmt->errno;
+            $error = $stmt->error;
+            $stmt->close();
+            return $this->handle_mysql_error($errno, $error, $operation);
+        }
+
+        $insert_id = $this->db->insert_id;
+        $stmt->close();
+
+        return ['success' => true, 'insert_id' => (int)$insert_id];
+    }
+
+    /**
+     * Standard response for an unexpected exception
+     * @param Exception $e Exception
+     * @param string $operation Operation that failed
+     * @return array Error response
+     */
+    private function exception_response($e, $operation)
+    {
+        return [
+            'success' => false,
+            'error_type' => 'database_exception',
+            'error_message' => 'Product variant operation failed with exception',
+            'error_details' => [
+                'exception_message' => $e->getMessage(),
+                'exception_code' => $e->getCode(),
+                'operation' => $operation
+            ]
+        ];
+    }
+
+    /**
+     * Enhanced database connection with error handling
+     * @return array Connection result with success status and error details
+     */
+    protected function connect_with_error_handling()
+    {
+        if ($this->db !== null) {
+            return ['success' => true];
+        }
+
+        try {
+            if (!$this->db_connect()) {
+                return [
+                    'success' => false,
+                    'error_type' => 'connection_error',
+                    'error_message' => 'Failed to connect to database',
+                    'error_details' => [
+                        'mysql_error' => mysqli_connect_error() ?: 'Unknown connection error',
+                        'mysql_errno' => mysqli_connect_errno() ?: 0,
+                        'operation' => 'database_connection'
+                    ]
+                ];
+            }
+
+            return ['success' => true];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'connection_exception',
+                'error_message' => 'Database connection failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'database_connection'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Map a MySQL error to a standardized error response
+     * @param int $errno MySQL error number
+     * @param string $error MySQL error message
+     * @param string $operation Operation that caused the error
+     * @return array Standardized error response
+     */
+    private function handle_mysql_error($errno, $error, $operation)
+    {
+        $error_types = [
+            1062 => ['duplicate_entry', 'Duplicate entry detected - this violates a unique constraint'],
+            1146 => ['table_not_found', 'Database table not found - run migrations/009_product_variants.sql'],
+            1054 => ['column_not_found', 'Database column not found - possible schema mismatch'],
+            2006 => ['connection_lost', 'Database connection lost - server may be unavailable']
+        ];
+
+        list($error_type, $error_message) = $error_types[$errno] ?? ['database_error', 'Database operation failed'];
+
+        return [
+            'success' => false,
+            'error_type' => $error_type,
+            'error_message' => $error_message,
+            'error_details' => [
+                'mysql_error' => $error,
+                'mysql_errno' => $errno,
+                'operation' => $operation
+            ]
+        ];
+    }
+}
+
+?>
@@ -0,0 +1,312 @@
+<?php
+
+require_once __DIR__ . '/../settings/db_class.php';
+
+/**
+ * Search Synonym Class
+ *
+ * Handles search_synonyms data access. Each group's terms are stored as one
+ * comma-separated string and returned as a 'terms' array.
+ */
+class SearchSynonym extends db_connection
+{
+    /**
+     * Get every synonym group
+     *
+     * @return array Result array with success status and a list of groups
+     */
+    public function get_groups()
+    {
+        return $this->fetch_groups("SELECT * FROM search_synonyms ORDER BY terms ASC, synonym_id ASC", '', array(), 'get_groups');
+    }
+
+    /**
+     * Get a synonym group by ID
+     *
+     * @param int $synonym_id Group ID
+     * @return array Result array with success status and the group
+     */
+    public function get_group($synonym_id)
+    {
+        $result = $this->fetch_groups("SELECT * FROM search_synonyms WHERE synonym_id = ?", "i", array($synonym_id), 'get_group');
+        if (!$result['success']) {
+            return $result;
+        }
+
+        if (empty($result['data'])) {
+            return [
+                'success' => false,
+                'error_type' => 'not_found',
+                'error_message' => 'Synonym group not found',
+                'error_details' => ['synonym_id' => $synonym_id]
+            ];
+        }
+
+        return ['success' => true, 'data' => $result['data'][0]];
+    }
+
+    /**
+     * Create a synonym group
+     *
+     * @param array $terms List of lowercased terms
+     * @return array Result array with success status and the stored group
+     */
+    public function add_group($terms)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("INSERT INTO search_synonyms (terms) VALUES (?)");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_add_group');
+            }
+
+            $stored = implode(', ', $terms);
+            $stmt->bind_param("s", $stored);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'add_group');
+            }
+
+            $synonym_id = $this->db->insert_id;
+            $stmt->close();
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, 'add_group');
+        }
+
+        return $this->get_group($synonym_id);
+    }
+
+    /**
+     * Replace a synonym group's terms
+     *
+     * @param int $synonym_id Group ID
+     * @param array $terms List of lowercased terms
+     * @return array Result array with success status and the stored group
+     */
+    public function update_group($synonym_id, $terms)
+    {
+        $existing = $this->get_group($synonym_id);
+        if (!$existing['success']) {
+            return $existing;
+        }
+
+        try {
+            $stmt = $this->db->prepare("UPDATE search_synonyms SET terms = ? WHERE synonym_id = ?");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_update_group');
+            }
+
+            $stored = implode(', ', $terms);
+            $stmt->bind_param("si", $stored, $synonym_id);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'update_group');
+            }
+            $stmt->close();
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, 'update_group');
+        }
+
+        return $this->get_group($synonym_id);
+    }
+
+    /**
+     * Delete a synonym group
+     *
+     * @param int $synonym_id Group ID
+     * @return array Result array with success status
+     */
+    public function delete_group($synonym_id)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("DELETE FROM search_synonyms WHERE synonym_id = ?");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_delete_group');
+            }
+
+            $stmt->bind_param("i", $synonym_id);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'delete_group');
+            }
+
+            $affected_rows = $stmt->affected_rows;
+            $stmt->close();
+
+            if ($affected_rows === 0) {
+                return [
+                    'success' => false,
+                    'error_type' => 'not_found',
+                    'error_message' => 'Synonym group not found',
+                    'error_details' => ['synonym_id' => $synonym_id]
+                ];
+            }
+
+            return ['success' => true, 'data' => ['synonym_id' => (int)$synonym_id]];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, 'delete_group');
+        }
+    }
+
+    /**
+     * Run a group query and split each row's terms
+     *
+     * @param string $sql SELECT over search_synonyms
+     * @param string $types bind_param types
+     * @param array $params Query parameters
+     * @param string $operation Operation name for error details
+     * @return array Result array with success status and a list of groups
+     */
+    private function fetch_groups($sql, $types, $params, $operation)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare($sql);
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_' . $operation);
+            }
+
+            if ($types !== '') {
+                $stmt->bind_param($types, ...$params);
+            }
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, $operation);
+            }
+
+            $result = $stmt->get_result();
+            $groups = [];
+            while ($row = $result->fetch_assoc()) {
+                $row['synonym_id'] = (int)$row['synonym_id'];
+                $row['terms'] = array_values(array_filter(array_map('trim', explode(',', $row['terms'])), 'strlen'));
+                $groups[] = $row;
+            }
+            $stmt->close();
+
+            return ['success' => true, 'data' => $groups];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, $operation);
+        }
+    }
+
+    /**
+     * Standard response for an unexpected exception
+     * @param Exception $e Exception
+     * @param string $operation Operation that failed
+     * @return array Error response
+     */
+    private function exception_response($e, $operation)
+    {
+        return [
+            'success' => false,
+            'error_type' => 'database_exception',
+            'error_message' => 'Search synonym operation failed with exception',
+            'error_details' => [
+                'exception_message' => $e->getMessage(),
+                'exception_code' => $e->getCode(),
+                'operation' => $operation
+            ]
+        ];
+    }
+
+    /**
+     * Enhanced database connection with error handling
+     * @return array Connection result with success status and error details
+     */
+    protected function connect_with_error_handling()
+    {
+        if ($this->db !== null) {
+            return ['success' => true];
+        }
+
+        try {
+            if (!$this->db_connect()) {
+                return [
+                    'success' => false,
+                    'error_type' => 'connection_error',
+                    'error_message' => 'Failed to connect to database',
+                    'error_details' => [
+                        'mysql_error' => mysqli_connect_error() ?: 'Unknown connection error',
+                        'mysql_errno' => mysqli_connect_errno() ?: 0,
+                        'operation' => 'database_connection'
+                    ]
+                ];
+            }
+
+            return ['success' => true];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'connection_exception',
+                'error_message' => 'Database connection failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'database_connection'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Map a MySQL error to a standardized error response
+     * @param int $errno MySQL error number
+     * @param string $error MySQL error message
+     * @param string $operation Operation that caused the error
+     * @return array Standardized error response
+     */
+    private function handle_mysql_error($errno, $error, $operation)
+    {
+        $error_types = [
+            1062 => ['duplicate_entry', 'Duplicate entry detected - this violates a unique constraint'],
+            1146 => ['table_not_found', 'Database table not found - run migrations/011_search_synonyms.sql'],
+            1054 => ['column_not_found', 'Database column not found - possible schema mismatch'],
+            2006 => ['connection_lost', 'Database connection lost - server may be unavailable']
+        ];
+
+        list($error_type, $error_message) = $error_types[$errno] ?? ['database_error', 'Database operation failed'];
+
+        return [
+            'success' => false,
+            'error_type' => $error_type,
+            'error_message' => $error_message,
+            'error_details' => [
+                'mysql_error' => $error,
+                'mysql_errno' => $errno,
+                'operation' => $operation
+            ]
+        ];
+    }
+}
+
+?>
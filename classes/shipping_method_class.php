@@ -0,0 +1,475 @@
+<?php
+
+require_once __DIR__ . '/../settings/db_class.php';
+
+/**
+ * Shipping Method Class
+ *
+ * Handles shipping_methods data access together with each method's price tiers
+ * (shipping_method_tiers) and destination countries (shipping_method_countries).
+ * Methods are returned with 'tiers' and 'countries' arrays attached.
+ */
+class ShippingMethod extends db_connection
+{
+    /**
+     * Get every shipping method, active or not
+     *
+     * @return array Result array with success status and a list of methods
+     */
+    public function get_methods()
+    {
+        return $this->fetch_methods("SELECT * FROM shipping_methods ORDER BY sort_order ASC, method_id ASC", '', array(), 'get_methods');
+    }
+
+    /**
+     * Get the active methods that ship to a customer's country
+     *
+     * @param int $customer_id Customer ID
+     * @return array Result array with success status and a list of methods
+     */
+    public function get_methods_for_customer($customer_id)
+    {
+        $sql = "SELECT m.*
+                FROM shipping_methods m
+                INNER JOIN customer cu ON cu.customer_id = ?
+                WHERE m.is_active = 1
+                  AND (NOT EXISTS (SELECT 1 FROM shipping_method_countries r WHERE r.method_id = m.method_id)
+                       OR EXISTS (SELECT 1 FROM shipping_method_countries r
+                                  WHERE r.method_id = m.method_id AND r.country = TRIM(cu.customer_country)))
+                ORDER BY m.sort_order ASC, m.method_id ASC";
+
+        return $this->fetch_methods($sql, "i", array($customer_id), 'get_methods_for_customer');
+    }
+
+    /**
+     * Get a shipping method by ID
+     *
+     * @param int $method_id Method ID
+     * @return array Result array with success status and the method
+     */
+    public function get_method($method_id)
+    {
+        $result = $this->fetch_methods("SELECT * FROM shipping_methods WHERE method_id = ?", "i", array($method_id), 'get_method');
+        if (!$result['success']) {
+            return $result;
+        }
+
+        if (empty($result['data'])) {
+            return [
+                'success' => false,
+                'error_type' => 'not_found',
+                'error_message' => 'Shipping method not found',
+                'error_details' => ['method_id' => $method_id]
+            ];
+        }
+
+        return ['success' => true, 'data' => $result['data'][0]];
+    }
+
+    /**
+     * Create a shipping method
+     *
+     * @param array $method method_name, method_type, pricing_type, base_cost, cost_per_kg,
+     *                      delivery_estimate, sort_order, is_active, tiers, countries
+     * @return array Result array with success status and the stored method
+     */
+    public function add_method($method)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $this->db->autocommit(false);
+
+            $stmt = $this->db->prepare(
+                "INSERT INTO shipping_methods (method_name, method_type, pricing_type, base_cost, cost_per_kg, delivery_estimate, sort_order, is_active)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)"
+            );
+            if (!$stmt) {
+                $this->db->rollback();
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_add_method');
+            }
+
+            $stmt->bind_param(
+                "sssddsii",
+                $method['method_name'],
+                $method['method_type'],
+                $method['pricing_type'],
+                $method['base_cost'],
+                $method['cost_per_kg'],
+                $method['delivery_estimate'],
+                $method['sort_order'],
+                $method['is_active']
+            );
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                $this->db->rollback();
+                return $this->handle_mysql_error($errno, $error, 'add_method');
+            }
+
+            $method_id = $this->db->insert_id;
+            $stmt->close();
+
+            $children_result = $this->replace_children($method_id, $method['tiers'], $method['countries']);
+            if (!$children_result['success']) {
+                $this->db->rollback();
+                return $children_result;
+            }
+
+            $this->db->commit();
+
+        } catch (Exception $e) {
+            $this->db->rollback();
+            return $this->exception_response($e, 'add_method');
+        } finally {
+            $this->db->autocommit(true);
+        }
+
+        return $this->get_method($method_id);
+    }
+
+    /**
+     * Update a shipping method, replacing its tiers and countries
+     *
+     * @param int $method_id Method ID
+     * @param array $method Same fields as add_method()
+     * @return array Result array with success status and the stored method
+     */
+    public function update_method($method_id, $method)
+    {
+        $existing = $this->get_method($method_id);
+        if (!$existing['success']) {
+            return $existing;
+        }
+
+        try {
+            $this->db->autocommit(false);
+
+            $stmt = $this->db->prepare(
+                "UPDATE shipping_methods
+                 SET method_name = ?, method_type = ?, pricing_type = ?, base_cost = ?, cost_per_kg = ?,
+                     delivery_estimate = ?, sort_order = ?, is_active = ?
+                 WHERE method_id = ?"
+            );
+            if (!$stmt) {
+                $this->db->rollback();
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_update_method');
+            }
+
+            $stmt->bind_param(
+                "sssddsiii",
+                $method['method_name'],
+                $method['method_type'],
+                $method['pricing_type'],
+                $method['base_cost'],
+                $method['cost_per_kg'],
+                $method['delivery_estimate'],
+                $method['sort_order'],
+                $method['is_active'],
+                $method_id
+            );
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                $this->db->rollback();
+                return $this->handle_mysql_error($errno, $error, 'update_method');
+            }
+            $stmt->close();
+
+            $children_result = $this->replace_children($method_id, $method['tiers'], $method['countries']);
+            if (!$children_result['success']) {
+                $this->db->rollback();
+                return $children_result;
+            }
+
+            $this->db->commit();
+
+        } catch (Exception $e) {
+            $this->db->rollback();
+            return $this->exception_response($e, 'update_method');
+        } finally {
+            $this->db->autocommit(true);
+        }
+
+        return $this->get_method($method_id);
+    }
+
+    /**
+     * Delete a shipping method
+     * Orders keep the method name and cost they were placed with.
+     *
+     * @param int $method_id Method ID
+     * @return array Result array with success status
+     */
+    public function delete_method($method_id)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("DELETE FROM shipping_methods WHERE method_id = ?");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_delete_method');
+            }
+
+            $stmt->bind_param("i", $method_id);
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'delete_method');
+            }
+
+            $affected_rows = $stmt->affected_rows;
+            $stmt->close();
+
+            if ($affected_rows === 0) {
+                return [
+                    'success' => false,
+                    'error_type' => 'not_found',
+                    'error_message' => 'Shipping method not found',
+                    'error_details' => ['method_id' => $method_id]
+                ];
+            }
+
+            return ['success' => true, 'data' => ['method_id' => (int)$method_id]];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, 'delete_method');
+        }
+    }
+
+    /**
+     * Run a method query and attach tiers and countries to each row
+     *
+     * @param string $sql SELECT over shipping_methods
+     * @param string $types bind_param types
+     * @param array $params Query parameters
+     * @param string $operation Operation name for error details
+     * @return array Result array with success status and a list of methods
+     */
+    private function fetch_methods($sql, $types, $params, $operation)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare($sql);
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_' . $operation);
+            }
+
+            if ($types !== '') {
+                $stmt->bind_param($types, ...$params);
+            }
+
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, $operation);
+            }
+
+            $result = $stmt->get_result();
+            $methods = [];
+            while ($row = $result->fetch_assoc()) {
+                $row['tiers'] = [];
+                $row['countries'] = [];
+                $methods[(int)$row['method_id']] = $row;
+            }
+            $stmt->close();
+
+            if (empty($methods)) {
+                return ['success' => true, 'data' => []];
+            }
+
+            $ids = implode(',', array_keys($methods));
+
+            $tiers = $this->db->query("SELECT method_id, min_subtotal, cost FROM shipping_method_tiers WHERE method_id IN ({$ids}) ORDER BY min_subtotal ASC");
+            if (!$tiers) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, $operation . '_tiers');
+            }
+            while ($tier = $tiers->fetch_assoc()) {
+                $methods[(int)$tier['method_id']]['tiers'][] = [
+                    'min_subtotal' => (float)$tier['min_subtotal'],
+                    'cost' => (float)$tier['cost']
+                ];
+            }
+
+            $countries = $this->db->query("SELECT method_id, country FROM shipping_method_countries WHERE method_id IN ({$ids}) ORDER BY country ASC");
+            if (!$countries) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, $operation . '_countries');
+            }
+            while ($country = $countries->fetch_assoc()) {
+                $methods[(int)$country['method_id']]['countries'][] = $country['country'];
+            }
+
+            return ['success' => true, 'data' => array_values($methods)];
+
+        } catch (Exception $e) {
+            return $this->exception_response($e, $operation);
+        }
+    }
+
+    /**
+     * Replace a method's tiers and countries (inside the caller's transaction)
+     *
+     * @param int $method_id Method ID
+     * @param array $tiers List of ['min_subtotal' => float, 'cost' => float]
+     * @param array $countries List of country names
+     * @return array Result array with success status
+     */
+    private function replace_children($method_id, $tiers, $countries)
+    {
+        foreach (['shipping_method_tiers', 'shipping_method_countries'] as $table) {
+            $stmt = $this->db->prepare("DELETE FROM {$table} WHERE method_id = ?");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_clear_' . $table);
+            }
+            $stmt->bind_param("i", $method_id);
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'clear_' . $table);
+            }
+            $stmt->close();
+        }
+
+        foreach ($tiers as $tier) {
+            $stmt = $this->db->prepare("INSERT INTO shipping_method_tiers (method_id, min_subtotal, cost) VALUES (?, ?, ?)");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_insert_tier');
+            }
+            $stmt->bind_param("idd", $method_id, $tier['min_subtotal'], $tier['cost']);
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'insert_tier');
+            }
+            $stmt->close();
+        }
+
+        foreach ($countries as $country) {
+            $stmt = $this->db->prepare("INSERT INTO shipping_method_countries (method_id, country) VALUES (?, ?)");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_insert_country');
+            }
+            $stmt->bind_param("is", $method_id, $country);
+            if (!$stmt->execute()) {
+                $errno = $stmt->errno;
+                $error = $stmt->error;
+                $stmt->close();
+                return $this->handle_mysql_error($errno, $error, 'insert_country');
+            }
+            $stmt->close();
+        }
+
+        return ['success' => true];
+    }
+
+    /**
+     * Standard response for an unexpected exception
+     * @param Exception $e Exception
+     * @param string $operation Operation that failed
+     * @return array Error response
+     */
+    private function exception_response($e, $operation)
+    {
+        return [
+            'success' => false,
+            'error_type' => 'database_exception',
+            'error_message' => 'Shipping method operation failed with exception',
+            'error_details' => [
+                'exception_message' => $e->getMessage(),
+                'exception_code' => $e->getCode(),
+                'operation' => $operation
+            ]
+        ];
+    }
+
+    /**
+     * Enhanced database connection with error handling
+     * @return array Connection result with success status and error details
+     */
+    protected function connect_with_error_handling()
+    {
+        if ($this->db !== null) {
+            return ['success' => true];
+        }
+
+        try {
+            if (!$this->db_connect()) {
+                return [
+                    'success' => false,
+                    'error_type' => 'connection_error',
+                    'error_message' => 'Failed to connect to database',
+                    'error_details' => [
+                        'mysql_error' => mysqli_connect_error() ?: 'Unknown connection error',
+                        'mysql_errno' => mysqli_connect_errno() ?: 0,
+                        'operation' => 'database_connection'
+                    ]
+                ];
+            }
+
+            return ['success' => true];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'connection_exception',
+                'error_message' => 'Database connection failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'database_connection'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Map a MySQL error to a standardized error response
+     * @param int $errno MySQL error number
+     * @param string $error MySQL error message
+     * @param string $operation Operation that caused the error
+     * @return array Standardized error response
+     */
+    private function handle_mysql_error($errno, $error, $operation)
+    {
+        $error_types = [
+            1062 => ['duplicate_entry', 'Duplicate entry detected - this violates a unique constraint'],
+            1146 => ['table_not_found', 'Database table not found - run migrations/005_shipping_methods.sql'],
+            1054 => ['column_not_found', 'Database column not found - possible schema mismatch'],
+            2006 => ['connection_lost', 'Database connection lost - server may be unavailable']
+        ];
+
+        list($error_type, $error_message) = $error_types[$errno] ?? ['database_error', 'Database operation failed'];
+
+        return [
+            'success' => false,
+            'error_type' => $error_type,
+            'error_message' => $error_message,
+            'error_details' => [
+                'mysql_error' => $error,
+                'mysql_errno' => $errno,
+                'operation' => $operation
+            ]
+        ];
+    }
+}
+
+?>
@@ -0,0 +1,214 @@
+<?php
+
+require_once __DIR__ . '/../settings/db_class.php';
+
+/**
+ * Tax Rule Class
+ *
+ * Handles tax_rules and tax_rule_exemptions data access. Rules are matched
+ * against the country and city on the customer's profile.
+ */
+class TaxRule extends db_connection
+{
+    /**
+     * Get the most specific active rule for a customer's location
+     * A country + city rule wins over a country rule, which wins over the '*' fallback.
+     *
+     * @param int $customer_id Customer ID
+     * @return array Result array with success status and data: customer_country,
+     *               customer_city and rule (null when no rule applies; otherwise the
+     *               tax_rules row with exempt_category_ids)
+     */
+    public function get_rule_for_customer($customer_id)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("SELECT customer_country, customer_city FROM customer WHERE customer_id = ?");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_get_customer_location');
+            }
+
+            $stmt->bind_param("i", $customer_id);
+            $stmt->execute();
+            $customer = $stmt->get_result()->fetch_assoc();
+            $stmt->close();
+
+            if (!$customer) {
+                return [
+                    'success' => false,
+                    'error_type' => 'not_found',
+                    'error_message' => 'Customer not found',
+                    'error_details' => ['customer_id' => $customer_id]
+                ];
+            }
+
+            $country = trim((string)$customer['customer_country']);
+            $city = trim((string)$customer['customer_city']);
+
+            $stmt = $this->db->prepare(
+                "SELECT * FROM tax_rules
+                 WHERE is_active = 1
+                   AND ((country = ? AND city IN (?, '')) OR (country = '*' AND city = ''))
+                 ORDER BY country = '*' ASC, city = '' ASC
+                 LIMIT 1"
+            );
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_get_tax_rule');
+            }
+
+            $stmt->bind_param("ss", $country, $city);
+            $stmt->execute();
+            $rule = $stmt->get_result()->fetch_assoc();
+            $stmt->close();
+
+            if ($rule) {
+                $exemptions_result = $this->get_exempt_category_ids($rule['rule_id']);
+                if (!$exemptions_result['success']) {
+                    return $exemptions_result;
+                }
+                $rule['exempt_category_ids'] = $exemptions_result['data'];
+            }
+
+            return [
+                'success' => true,
+                'data' => [
+                    'customer_country' => $country,
+                    'customer_city' => $city,
+                    'rule' => $rule ?: null
+                ]
+            ];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Tax rule lookup failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'get_rule_for_customer'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Get the categories a rule exempts from tax
+     *
+     * @param int $rule_id Rule ID
+     * @return array Result array with success status and a list of category IDs
+     */
+    public function get_exempt_category_ids($rule_id)
+    {
+        $connection_result = $this->connect_with_error_handling();
+        if (!$connection_result['success']) {
+            return $connection_result;
+        }
+
+        try {
+            $stmt = $this->db->prepare("SELECT cat_id FROM tax_rule_exemptions WHERE rule_id = ?");
+            if (!$stmt) {
+                return $this->handle_mysql_error($this->db->errno, $this->db->error, 'prepare_get_exemptions');
+            }
+
+            $stmt->bind_param("i", $rule_id);
+            $stmt->execute();
+            $result = $stmt->get_result();
+
+            $category_ids = [];
+            while ($row = $result->fetch_assoc()) {
+                $category_ids[] = (int)$row['cat_id'];
+            }
+            $stmt->close();
+
+            return ['success' => true, 'data' => $category_ids];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'database_exception',
+                'error_message' => 'Tax exemption lookup failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'get_exempt_category_ids'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Enhanced database connection with error handling
+     * @return array Connection result with success status and error details
+     */
+    protected function connect_with_error_handling()
+    {
+        if ($this->db !== null) {
+            return ['success' => true];
+        }
+
+        try {
+            if (!$this->db_connect()) {
+                return [
+                    'success' => false,
+                    'error_type' => 'connection_error',
+                    'error_message' => 'Failed to connect to database',
+                    'error_details' => [
+                        'mysql_error' => mysqli_connect_error() ?: 'Unknown connection error',
+                        'mysql_errno' => mysqli_connect_errno() ?: 0,
+                        'operation' => 'database_connection'
+                    ]
+                ];
+            }
+
+            return ['success' => true];
+
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error_type' => 'connection_exception',
+                'error_message' => 'Database connection failed with exception',
+                'error_details' => [
+                    'exception_message' => $e->getMessage(),
+                    'exception_code' => $e->getCode(),
+                    'operation' => 'database_connection'
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Map a MySQL error to a standardized error response
+     * @param int $errno MySQL error number
+     * @param string $error MySQL error message
+     * @param string $operation Operation that caused the error
+     * @return array Standardized error response
+     */
+    private function handle_mysql_error($errno, $error, $operation)
+    {
+        $error_types = [
+            1146 => ['table_not_found', 'Database table not found - run migrations/004_tax_rules.sql'],
+            1054 => ['column_not_found', 'Database column not found - possible schema mismatch'],
+            2006 => ['connection_lost', 'Database connection lost - server may be unavailable']
+        ];
+
+        list($error_type, $error_message) = $error_types[$errno] ?? ['database_error', 'Database operation failed'];
+
+        return [
+            'success' => false,
+            'error_type' => $error_type,
+            'error_message' => $error_message,
+            'error_details' => [
+                'mysql_error' => $error,
+                'mysql_errno' => $errno,
+                'operation' => $operation
+            ]
+        ];
+    }
+}
+
+?>
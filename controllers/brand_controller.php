@@ -1,6 +1,7 @@
 <?php
 
 require_once __DIR__ . '/../classes/brand_class.php';
+require_once __DIR__ . '/../classes/product_class.php';
 
 /**
  * Brand Controller
@@ -237,6 +238,13 @@ function update_brand_ctr($brand_id, $brand_name, $user_id)
         $result = $brand->update_brand($brand_id, $brand_name, $user_id);
         
         if ($result['success']) {
+            // The brand name is part of its products' search documents
+            $product = new Product();
+            $index_result = $product->invalidate_search_documents('brand_id', $brand_id);
+            if (!$index_result['success']) {
+                error_log("Search index invalidation failed for brand {$brand_id}: " . $index_result['error_message']);
+            }
+            
             return array(
                 'success' => true,
                 'data' => array(
@@ -1,6 +1,7 @@
 <?php
 
 require_once __DIR__ . '/../classes/cart_class.php';
+require_once __DIR__ . '/../classes/product_variant_class.php';
 
 /**
  * Cart Controller
@@ -16,9 +17,10 @@ require_once __DIR__ . '/../classes/cart_class.php';
  * @param int $quantity Quantity to add (default 1)
  * @param int $customer_id Customer ID (optional, will use session if not provided)
  * @param string $ip_address IP address (optional, will use session if not provided)
+ * @param int $variant_id Variant ID (0 for a product without variants)
  * @return array Response array with success status and data/error message
  */
-function add_to_cart_ctr($product_id, $quantity = 1, $customer_id = null, $ip_address = null)
+function add_to_cart_ctr($product_id, $quantity = 1, $customer_id = null, $ip_address = null, $variant_id = 0)
 {
     // Input validation with detailed error responses
     if (empty($product_id) || !is_numeric($product_id) || $product_id <= 0) {
@@ -39,6 +41,15 @@ function add_to_cart_ctr($product_id, $quantity = 1, $customer_id = null, $ip_ad
         );
     }
     
+    if (!is_numeric($variant_id) || $variant_id < 0) {
+        return array(
+            'success' => false,
+            'error' => 'Please choose a valid option',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'variant_id', 'value' => $variant_id]
+        );
+    }
+    
     // Get session information if customer_id and ip_address not provided
     if ($customer_id === null && $ip_address === null) {
         $session_info = get_cart_user_session_ctr();
@@ -111,14 +122,29 @@ function add_to_cart_ctr($product_id, $quantity = 1, $customer_id = null, $ip_ad
             }
         }
         
+        $line_check = cart_line_product_data($integrity_check['data']['product_data'], (int)$variant_id);
+        if (!$line_check['success']) {
+            return $line_check;
+        }
+        
+        // The line's new quantity (what is already in the cart plus this add) must be in stock
+        $existing_item = $cart->get_cart_item($product_id, $customer_id, $ip_address, (int)$variant_id);
+        $in_cart = $existing_item['success'] && $existing_item['data']['item'] ? (int)$existing_item['data']['item']['qty'] : 0;
+
+        $stock_error = cart_stock_error($line_check['data'], $in_cart + $quantity, $in_cart);
+        if ($stock_error !== null) {
+            return $stock_error;
+        }
+        
         // Invoke cart class add_to_cart method with enhanced error handling
-        $result = $cart->add_to_cart($product_id, $quantity, $customer_id, $ip_address);
+        $result = $cart->add_to_cart($product_id, $quantity, $customer_id, $ip_address, (int)$variant_id);
         
         if ($result['success']) {
             return array(
                 'success' => true,
                 'data' => array(
                     'product_id' => $result['data']['product_id'],
+                    'variant_id' => $result['data']['variant_id'],
                     'quantity' => $result['data']['quantity'],
                     'customer_id' => $result['data']['customer_id'],
                     'ip_address' => $result['data']['ip_address'],
@@ -162,9 +188,10 @@ function add_to_cart_ctr($product_id, $quantity = 1, $customer_id = null, $ip_ad
  * @param int $quantity New quantity
  * @param int $customer_id Customer ID (null for guest users)
  * @param string $ip_address IP address for guest users
+ * @param int $variant_id Variant ID (0 for a product without variants)
  * @return array Response array with success status and data/error message
  */
-function update_cart_quantity_ctr($product_id, $quantity, $customer_id = null, $ip_address = null)
+function update_cart_quantity_ctr($product_id, $quantity, $customer_id = null, $ip_address = null, $variant_id = 0)
 {
     // Input validation with detailed error responses
     if (empty($product_id) || !is_numeric($product_id) || $product_id <= 0) {
@@ -226,8 +253,20 @@ function update_cart_quantity_ctr($product_id, $quantity, $customer_id = null, $
             }
         }
         
+        if ($quantity > 0) {
+            $line_check = cart_line_product_data($integrity_check['data']['product_data'], (int)$variant_id);
+            if (!$line_check['success']) {
+                return $line_check;
+            }
+            
+            $stock_error = cart_stock_error($line_check['data'], $quantity);
+            if ($stock_error !== null) {
+                return $stock_error;
+            }
+        }
+        
         // Invoke cart class update_cart_quantity method with enhanced error handling
-        $result = $cart->update_cart_quantity($product_id, $quantity, $customer_id, $ip_address);
+        $result = $cart->update_cart_quantity($product_id, $quantity, $customer_id, $ip_address, (int)$variant_id);
         
         if ($result['success']) {
             $message = $quantity == 0 ? 'Product removed from cart successfully' : 'Cart quantity updated successfully';
@@ -236,6 +275,7 @@ function update_cart_quantity_ctr($product_id, $quantity, $customer_id = null, $
                 'success' => true,
                 'data' => array(
                     'product_id' => $result['data']['product_id'],
+                    'variant_id' => $result['data']['variant_id'],
                     'quantity' => $result['data']['quantity'],
                     'customer_id' => $result['data']['customer_id'],
                     'ip_address' => $result['data']['ip_address'],
@@ -279,9 +319,10 @@ function update_cart_quantity_ctr($product_id, $quantity, $customer_id = null, $
  * @param int $product_id Product ID
  * @param int $customer_id Customer ID (null for guest users)
  * @param string $ip_address IP address for guest users
+ * @param int $variant_id Variant ID (0 for a product without variants)
  * @return array Response array with success status and data/error message
  */
-function remove_from_cart_ctr($product_id, $customer_id = null, $ip_address = null)
+function remove_from_cart_ctr($product_id, $customer_id = null, $ip_address = null, $variant_id = 0)
 {
     // Input validation with detailed error responses
     if (empty($product_id) || !is_numeric($product_id) || $product_id <= 0) {
@@ -312,13 +353,14 @@ function remove_from_cart_ctr($product_id, $customer_id = null, $ip_address = nu
         $cart = new Cart();
         
         // Invoke cart class remove_from_cart method with enhanced error handling
-        $result = $cart->remove_from_cart($product_id, $customer_id, $ip_address);
+        $result = $cart->remove_from_cart($product_id, $customer_id, $ip_address, (int)$variant_id);
         
         if ($result['success']) {
             return array(
                 'success' => true,
                 'data' => array(
                     'product_id' => $result['data']['product_id'],
+                    'variant_id' => $result['data']['variant_id'],
                     'customer_id' => $result['data']['customer_id'],
                     'ip_address' => $result['data']['ip_address'],
                     'action' => $result['data']['action'],
@@ -547,6 +589,166 @@ function get_cart_count_ctr($customer_id = null, $ip_address = null)
     }
 }
 
+/**
+ * Reduce cart rows to the fields js/cart_store.js renders
+ * Keeps customer and IP details out of pages and JSON responses
+ *
+ * @param array $items Cart rows from get_cart_items_ctr()
+ * @return array List of client-safe cart rows
+ */
+function format_cart_items_for_client($items)
+{
+    $client_items = array();
+
+    foreach ($items as $item) {
+        $client_items[] = array(
+            'p_id' => (int)$item['p_id'],
+            'variant_id' => (int)($item['variant_id'] ?? 0),
+            'variant_label' => $item['variant_label'] ?? null,
+            'sku' => $item['sku'] ?? null,
+            'qty' => (int)$item['qty'],
+            'product_price' => (float)$item['product_price'],
+            'product_title' => $item['product_title'],
+            'product_image' => $item['product_image'] ?? '',
+            'product_stock' => isset($item['product_stock']) ? (int)$item['product_stock'] : null,
+            'cat_name' => $item['cat_name'] ?? '',
+            'brand_name' => $item['brand_name'] ?? ''
+        );
+    }
+
+    return $client_items;
+}
+
+/**
+ * Product data for a cart line: the product itself, or one of its variants
+ * A product with variants can only be added as one of them; a variant line takes
+ * the variant's price and stock and names the variant in its title.
+ *
+ * @param array $product_data Product row from Cart::verify_product_exists()
+ * @param int $variant_id Variant ID (0 for the product itself)
+ * @return array Response array with the line's product data
+ */
+function cart_line_product_data($product_data, $variant_id)
+{
+    $variant_model = new ProductVariant();
+
+    if ($variant_id === 0) {
+        $summary = $variant_model->get_variant_summaries(array($product_data['product_id']));
+        if (!$summary['success']) {
+            return array(
+                'success' => false,
+                'error' => get_user_friendly_cart_error($summary['error_type'], $summary['error_message']),
+                'error_type' => $summary['error_type'],
+                'error_details' => $summary['error_details'] ?? null
+            );
+        }
+
+        if (!empty($summary['data'])) {
+            return array(
+                'success' => false,
+                'error' => 'Please choose the options you want for ' . $product_data['product_title'] . '.',
+                'error_type' => 'variant_required',
+                'error_details' => ['field' => 'variant_id', 'product_id' => (int)$product_data['product_id']]
+            );
+        }
+
+        return array('success' => true, 'data' => $product_data);
+    }
+
+    $variant = $variant_model->get_variant($product_data['product_id'], $variant_id);
+    if (!$variant['success']) {
+        if ($variant['error_type'] === 'not_found') {
+            return array(
+                'success' => false,
+                'error' => 'The option you chose for ' . $product_data['product_title'] . ' is no longer available.',
+                'error_type' => 'variant_not_available',
+                'error_details' => ['field' => 'variant_id', 'product_id' => (int)$product_data['product_id'], 'variant_id' => $variant_id]
+            );
+        }
+
+        return array(
+            'success' => false,
+            'error' => get_user_friendly_cart_error($variant['error_type'], $variant['error_message']),
+            'error_type' => $variant['error_type'],
+            'error_details' => $variant['error_details'] ?? null
+        );
+    }
+
+    $product_data['variant_id'] = $variant_id;
+    $product_data['product_title'] .= ' (' . $variant['data']['variant_label'] . ')';
+    $product_data['product_price'] = $variant['data']['price'];
+    $product_data['product_stock'] = $variant['data']['variant_stock'];
+
+    return array('success' => true, 'data' => $product_data);
+}
+
+/**
+ * Check a cart line's quantity against the product's stock
+ * Products whose stock is not tracked (product_stock NULL) are never limited here.
+ *
+ * @param array $product_data Line data from cart_line_product_data()
+ * @param int $quantity Quantity the cart line would hold
+ * @param int $in_cart Quantity already in the cart (reported back to the shopper)
+ * @return array|null Error response when the stock is short, null otherwise
+ */
+function cart_stock_error($product_data, $quantity, $in_cart = 0)
+{
+    if (!isset($product_data['product_stock']) || $quantity <= (int)$product_data['product_stock']) {
+        return null;
+    }
+
+    $available = (int)$product_data['product_stock'];
+    if ($available <= 0) {
+        $error = 'Sorry, ' . $product_data['product_title'] . ' is sold out.';
+    } elseif ($in_cart > 0) {
+        $error = "Only {$available} of " . $product_data['product_title'] . " in stock, and you already have {$in_cart} in your cart.";
+    } else {
+        $error = "Only {$available} of " . $product_data['product_title'] . ' in stock.';
+    }
+
+    return array(
+        'success' => false,
+        'error' => $error,
+        'error_type' => 'insufficient_stock',
+        'error_details' => [
+            'field' => 'quantity',
+            'product_id' => (int)$product_data['product_id'],
+            'variant_id' => (int)($product_data['variant_id'] ?? 0),
+            'requested' => (int)$quantity,
+            'in_cart' => (int)$in_cart,
+            'available' => $available
+        ]
+    );
+}
+
+/**
+ * Build the initial cart state script read by js/cart_store.js
+ * Only the fields the store renders are exposed to the page
+ *
+ * @param array|null $items Cart rows from get_cart_items_ctr(), or null when the page lists no items
+ * @param array|null $totals Cart totals with total_items, total_amount and count (used when $items is null)
+ * @return string Returns a JSON script tag with id cart-initial-state
+ */
+function cart_state_script($items, $totals = null)
+{
+    $state = array();
+
+    if ($items !== null) {
+        $state['items'] = format_cart_items_for_client($items);
+    } elseif ($totals !== null) {
+        $state['totals'] = array(
+            'total_items' => (int)($totals['total_items'] ?? 0),
+            'total_amount' => (float)($totals['total_amount'] ?? 0),
+            'item_count' => (int)($totals['count'] ?? 0)
+        );
+    }
+
+    // Hex-encode markup characters so product titles cannot close the script tag
+    $json = json_encode($state, JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT);
+
+    return '<script type="application/json" id="cart-initial-state">' . $json . '</script>';
+}
+
 /**
  * Get current user session information for cart operations
  * Requirements: 4.1, 4.2
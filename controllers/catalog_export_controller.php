@@ -0,0 +1,307 @@
+<?php
+
+require_once __DIR__ . '/../classes/product_class.php';
+require_once __DIR__ . '/../classes/product_image_class.php';
+require_once __DIR__ . '/../settings/payment_config.php';
+require_once __DIR__ . '/../settings/csv_helper.php';
+require_once __DIR__ . '/product_display_controller.php';
+
+/**
+ * Catalog Export Controller
+ * Writes an admin's products as CSV, JSON or a Google Shopping style RSS feed for
+ * merchandising partners. Products are read a page at a time and written as they
+ * are read, so the export's memory use does not grow with the catalogue. Links and
+ * image URLs are absolute; prices, availability and stock follow the storefront
+ * (a product with variants shows its lowest price and their combined stock).
+ */
+
+const CATALOG_EXPORT_FORMATS = ['csv', 'json', 'xml'];
+const CATALOG_EXPORT_PAGE_SIZE = 200;
+
+// Google Shopping allows at most 10 additional images per item
+const CATALOG_EXPORT_MAX_ADDITIONAL_IMAGES = 10;
+
+/**
+ * Export an admin's products
+ * $begin is called with the file name and content type once the first page has
+ * been read, so a failure before any output can still be reported as an error.
+ * A failure after that leaves the document unfinished (and logged) rather than
+ * passing a partial catalogue off as a complete one.
+ *
+ * @param int $user_id Admin user ID
+ * @param string $format One of CATALOG_EXPORT_FORMATS
+ * @param int|null $category_id Only this category's products
+ * @param int|null $brand_id Only this brand's products
+ * @param string $site_url Absolute URL of the storefront root, without a trailing slash
+ * @param callable $begin function($file_name, $content_type), called before any output
+ * @return array Response array with the number of products written
+ */
+function export_catalog_ctr($user_id, $format, $category_id, $brand_id, $site_url, $begin)
+{
+    if (!in_array($format, CATALOG_EXPORT_FORMATS, true)) {
+        return catalog_export_error('Unknown format. Choose one of: ' . implode(', ', CATALOG_EXPORT_FORMATS) . '.', 'validation_error', ['field' => 'format']);
+    }
+
+    foreach (array('category_id' => $category_id, 'brand_id' => $brand_id) as $field => $value) {
+        if ($value !== null && (!ctype_digit((string)$value) || (int)$value <= 0)) {
+            return catalog_export_error('Invalid ' . ($field === 'category_id' ? 'category' : 'brand') . ' filter.', 'validation_error', ['field' => $field]);
+        }
+    }
+    $category_id = $category_id !== null ? (int)$category_id : null;
+    $brand_id = $brand_id !== null ? (int)$brand_id : null;
+
+    $page = catalog_export_page($user_id, $category_id, $brand_id, 0, $site_url);
+    if (!$page['success']) {
+        return $page;
+    }
+
+    $content_types = array('csv' => 'text/csv', 'json' => 'application/json', 'xml' => 'application/rss+xml');
+    $begin('catalog-' . date('Y-m-d') . '.' . $format, $content_types[$format] . '; charset=utf-8');
+
+    $output = fopen('php://output', 'w');
+    $writer = null;
+    $count = 0;
+
+    if ($format === 'csv') {
+        fputcsv($output, array_keys(catalog_export_csv_row(null)));
+    } elseif ($format === 'json') {
+        fwrite($output, '{"generated_at":' . json_encode(date('c')) . ',"currency":' . json_encode(PAYMENT_CURRENCY) . ',"products":[');
+    } else {
+        $writer = new XMLWriter();
+        $writer->openMemory();
+        $writer->setIndent(true);
+        $writer->startDocument('1.0', 'UTF-8');
+        $writer->startElement('rss');
+        $writer->writeAttribute('version', '2.0');
+        $writer->writeAttribute('xmlns:g', 'http://base.google.com/ns/1.0');
+        $writer->startElement('channel');
+        $writer->writeElement('title', 'SubCart');
+        $writer->writeElement('link', $site_url . '/');
+        $writer->writeElement('description', 'SubCart product catalog');
+        fwrite($output, $writer->flush());
+    }
+
+    while (true) {
+        foreach ($page['data']['items'] as $item) {
+            if ($format === 'csv') {
+                fputcsv($output, catalog_export_csv_row($item));
+            } elseif ($format === 'json') {
+                fwrite($output, ($count > 0 ? ',' : '') . json_encode($item, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE));
+            } else {
+                catalog_export_write_xml_item($writer, $item);
+                fwrite($output, $writer->flush());
+            }
+            $count++;
+        }
+        flush();
+
+        if ($page['data']['last_product_id'] === null) {
+            break;
+        }
+
+        $page = catalog_export_page($user_id, $category_id, $brand_id, $page['data']['last_product_id'], $site_url);
+        if (!$page['success']) {
+            error_log("Catalog export for user {$user_id} stopped after {$count} products: " . $page['error']);
+            fclose($output);
+            return $page;
+        }
+    }
+
+    if ($format === 'json') {
+        fwrite($output, ']}');
+    } elseif ($format === 'xml') {
+        $writer->endElement(); // channel
+        $writer->endElement(); // rss
+        $writer->endDocument();
+        fwrite($output, $writer->flush());
+    }
+    fclose($output);
+
+    return array('success' => true, 'data' => array('count' => $count));
+}
+
+/**
+ * Read one page of products as export items
+ *
+ * @param int $user_id Admin user ID
+ * @param int|null $category_id Category filter
+ * @param int|null $brand_id Brand filter
+ * @param int $after_product_id Last product ID of the previous page (0 for the first)
+ * @param string $site_url Storefront root URL
+ * @return array Response array with items and last_product_id (null on the last page)
+ */
+function catalog_export_page($user_id, $category_id, $brand_id, $after_product_id, $site_url)
+{
+    try {
+        $product = new Product();
+        $result = $product->get_products_after($user_id, $category_id, $brand_id, $after_product_id, CATALOG_EXPORT_PAGE_SIZE);
+        if (!$result['success']) {
+            return catalog_export_error('Failed to read the catalog. Please try again.', $result['error_type']);
+        }
+
+        $products = with_stock_status($result['data']['products']);
+
+        $gallery = new ProductImage();
+        $galleries = $gallery->get_gallery_paths(array_column($products, 'product_id'));
+        if (!$galleries['success']) {
+            return catalog_export_error('Failed to read the catalog images. Please try again.', $galleries['error_type']);
+        }
+
+        $items = array();
+        foreach ($products as $row) {
+            $items[] = catalog_export_item($row, $galleries['data'][(int)$row['product_id']] ?? array(), $site_url);
+        }
+
+        return array(
+            'success' => true,
+            'data' => array(
+                'items' => $items,
+                'last_product_id' => count($products) === CATALOG_EXPORT_PAGE_SIZE ? (int)end($products)['product_id'] : null
+            )
+        );
+
+    } catch (Exception $e) {
+        error_log("Catalog export exception: " . $e->getMessage());
+        return catalog_export_error('Failed to read the catalog. Please try again.', 'export_exception', ['exception_message' => $e->getMessage()]);
+    }
+}
+
+/**
+ * Describe one product for partners
+ *
+ * @param array $product Product row with stock_status and variant summary
+ * @param array $gallery_paths The product's gallery image paths in display order
+ * @param string $site_url Storefront root URL
+ * @return array Export item
+ */
+function catalog_export_item($product, $gallery_paths, $site_url)
+{
+    $image = $product['product_image'] ?: ($gallery_paths[0] ?? '');
+    $additional = array();
+    foreach ($gallery_paths as $path) {
+        if ($path !== $image) {
+            $additional[] = $site_url . '/' . $path;
+        }
+    }
+
+    return array(
+        'id' => (int)$product['product_id'],
+        'title' => $product['product_title'],
+        'description' => (string)$product['product_description'],
+        'link' => $site_url . '/single_product.php?id=' . (int)$product['product_id'],
+        'image_link' => $image !== '' ? $site_url . '/' . $image : null,
+        'additional_image_links' => array_slice($additional, 0, CATALOG_EXPORT_MAX_ADDITIONAL_IMAGES),
+        'price' => number_format((float)$product['product_price'], 2, '.', ''),
+        'currency' => PAYMENT_CURRENCY,
+        'has_variants' => !empty($product['has_variants']),
+        'availability' => $product['stock_status'] === 'sold_out' ? 'out_of_stock' : 'in_stock',
+        'stock' => $product['product_stock'] !== null ? (int)$product['product_stock'] : null,
+        'brand' => $product['brand_name'],
+        'category' => $product['cat_name'],
+        'keywords' => (string)$product['product_keywords'],
+        'weight_kg' => $product['product_weight'] !== null ? (float)$product['product_weight'] : null
+    );
+}
+
+/**
+ * One CSV line for an export item
+ *
+ * @param array|null $item Export item (null for the header line's keys)
+ * @return array Column => value
+ */
+function catalog_export_csv_row($item)
+{
+    $row = array(
+        'id' => $item['id'] ?? '',
+        'title' => $item['title'] ?? '',
+        'description' => $item['description'] ?? '',
+        'link' => $item['link'] ?? '',
+        'image_link' => $item['image_link'] ?? '',
+        'additional_image_links' => implode(',', $item['additional_image_links'] ?? array()),
+        'price' => $item['price'] ?? '',
+        'currency' => $item['currency'] ?? '',
+        'availability' => $item['availability'] ?? '',
+        'stock' => $item['stock'] ?? '',
+        'brand' => $item['brand'] ?? '',
+        'category' => $item['category'] ?? '',
+        'keywords' => $item['keywords'] ?? '',
+        'weight_kg' => $item['weight_kg'] ?? ''
+    );
+
+    foreach (array('title', 'description', 'brand', 'category', 'keywords') as $column) {
+        $row[$column] = csv_safe_cell($row[$column]);
+    }
+
+    return $row;
+}
+
+/**
+ * Write one feed item in Google Shopping's RSS format
+ *
+ * @param XMLWriter $writer Writer positioned inside <channel>
+ * @param array $item Export item
+ * @return void
+ */
+function catalog_export_write_xml_item($writer, $item)
+{
+    $writer->startElement('item');
+    $writer->writeElement('g:id', (string)$item['id']);
+    $writer->writeElement('title', $item['title']);
+    $writer->writeElement('description', $item['description']);
+    $writer->writeElement('link', $item['link']);
+    if ($item['image_link'] !== null) {
+        $writer->writeElement('g:image_link', $item['image_link']);
+    }
+    foreach ($item['additional_image_links'] as $link) {
+        $writer->writeElement('g:additional_image_link', $link);
+    }
+    $writer->writeElement('g:price', $item['price'] . ' ' . $item['currency']);
+    $writer->writeElement('g:availability', $item['availability']);
+    $writer->writeElement('g:condition', 'new');
+    $writer->writeElement('g:brand', $item['brand']);
+    $writer->writeElement('g:product_type', $item['category']);
+    if ($item['weight_kg'] !== null && $item['weight_kg'] > 0) {
+        $writer->writeElement('g:shipping_weight', $item['weight_kg'] . ' kg');
+    }
+    $writer->endElement();
+}
+
+/**
+ * Absolute URL of the storefront root for links in exports
+ * Uses SITE_URL when it is defined, otherwise the current request's host and the
+ * directory above the actions/ script being run.
+ *
+ * @return string URL without a trailing slash
+ */
+function catalog_site_url()
+{
+    if (defined('SITE_URL')) {
+        return rtrim(SITE_URL, '/');
+    }
+
+    $https = (!empty($_SERVER['HTTPS']) && $_SERVER['HTTPS'] !== 'off')
+        || strtolower($_SERVER['HTTP_X_FORWARDED_PROTO'] ?? '') === 'https';
+    $root = rtrim(str_replace('\\', '/', dirname(dirname($_SERVER['SCRIPT_NAME']))), '/');
+
+    return ($https ? 'https' : 'http') . '://' . $_SERVER['HTTP_HOST'] . $root;
+}
+
+/**
+ * Failure response for an export
+ *
+ * @param string $message Message for the admin
+ * @param string $error_type Error type
+ * @param array|null $details Error details
+ * @return array Response array
+ */
+function catalog_export_error($message, $error_type, $details = null)
+{
+    return array(
+        'success' => false,
+        'error' => $message,
+        'error_type' => $error_type,
+        'error_details' => $details
+    );
+}
+
+?>
@@ -1,6 +1,7 @@
 <?php
 
 require_once '../classes/category_class.php';
+require_once '../classes/product_class.php';
 
 /**
  * Category Controller
@@ -265,6 +266,13 @@ function update_category_ctr($cat_id, $cat_name, $user_id)
         $result = $category->update_category($cat_id, $cat_name, $user_id);
         
         if ($result['success']) {
+            // The category name is part of its products' search documents
+            $product = new Product();
+            $index_result = $product->invalidate_search_documents('category_id', $cat_id);
+            if (!$index_result['success']) {
+                error_log("Search index invalidation failed for category {$cat_id}: " . $index_result['error_message']);
+            }
+            
             return array(
                 'success' => true,
                 'data' => array(
@@ -0,0 +1,654 @@
+<?php
+
+require_once __DIR__ . '/../classes/coupon_class.php';
+require_once __DIR__ . '/cart_controller.php';
+
+/**
+ * Coupon Controller
+ * Admin management of coupon codes and pricing a code against a cart.
+ * See migrations/006_coupons.sql for how each discount type and the category/brand
+ * scope work. The code a shopper applied is kept in $_SESSION['coupon_code'] by the
+ * apply/remove coupon actions and re-checked every time the cart is priced.
+ */
+
+const COUPON_DISCOUNT_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+/**
+ * Get all coupons for the admin panel
+ *
+ * @return array Response array with a list of coupons
+ */
+function get_coupons_ctr()
+{
+    try {
+        $coupon = new Coupon();
+        $result = $coupon->get_coupons();
+
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => 'Failed to load coupons.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        return array('success' => true, 'data' => array('coupons' => $result['data']));
+
+    } catch (Exception $e) {
+        error_log("Get coupons exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to load coupons.',
+            'error_type' => 'coupon_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Create a coupon
+ *
+ * @param array $input Raw form input (see normalize_coupon_input())
+ * @return array Response array with the stored coupon
+ */
+function add_coupon_ctr($input)
+{
+    $normalized = normalize_coupon_input($input);
+    if (!$normalized['success']) {
+        return $normalized;
+    }
+
+    try {
+        $coupon = new Coupon();
+        $result = $coupon->add_coupon($normalized['data']);
+
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => $result['error_type'] === 'duplicate_entry' ? 'A coupon with this code already exists.' : 'Failed to create coupon.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_type'] === 'duplicate_entry' ? ['field' => 'coupon_code'] : ($result['error_details'] ?? null)
+            );
+        }
+
+        return array('success' => true, 'data' => $result['data']);
+
+    } catch (Exception $e) {
+        error_log("Add coupon exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to create coupon.',
+            'error_type' => 'coupon_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Update a coupon
+ *
+ * @param int $coupon_id Coupon ID
+ * @param array $input Raw form input (see normalize_coupon_input())
+ * @return array Response array with the stored coupon
+ */
+function update_coupon_ctr($coupon_id, $input)
+{
+    if (empty($coupon_id) || !is_numeric($coupon_id) || $coupon_id <= 0) {
+        return array(
+            'success' => false,
+            'error' => 'Valid coupon ID is required',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'coupon_id', 'value' => $coupon_id]
+        );
+    }
+
+    $normalized = normalize_coupon_input($input);
+    if (!$normalized['success']) {
+        return $normalized;
+    }
+
+    try {
+        $coupon = new Coupon();
+        $result = $coupon->update_coupon((int)$coupon_id, $normalized['data']);
+
+        if (!$result['success']) {
+            $messages = array(
+                'not_found' => 'Coupon not found.',
+                'duplicate_entry' => 'A coupon with this code already exists.'
+            );
+
+            return array(
+                'success' => false,
+                'error' => $messages[$result['error_type']] ?? 'Failed to update coupon.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_type'] === 'duplicate_entry' ? ['field' => 'coupon_code'] : ($result['error_details'] ?? null)
+            );
+        }
+
+        return array('success' => true, 'data' => $result['data']);
+
+    } catch (Exception $e) {
+        error_log("Update coupon exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to update coupon.',
+            'error_type' => 'coupon_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Delete a coupon
+ *
+ * @param int $coupon_id Coupon ID
+ * @return array Response array
+ */
+function delete_coupon_ctr($coupon_id)
+{
+    if (empty($coupon_id) || !is_numeric($coupon_id) || $coupon_id <= 0) {
+        return array(
+            'success' => false,
+            'error' => 'Valid coupon ID is required',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'coupon_id', 'value' => $coupon_id]
+        );
+    }
+
+    try {
+        $coupon = new Coupon();
+        $result = $coupon->delete_coupon((int)$coupon_id);
+
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => $result['error_type'] === 'not_found' ? 'Coupon not found.' : 'Failed to delete coupon.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        return array('success' => true, 'data' => $result['data']);
+
+    } catch (Exception $e) {
+        error_log("Delete coupon exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to delete coupon.',
+            'error_type' => 'coupon_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Check a coupon code against a cart and price it
+ * Fails with error_type coupon_invalid (and a message for the shopper) when the code
+ * is unknown, inactive, not started, expired, used up, does not cover any cart item
+ * or the eligible items do not reach the minimum spend. The per-customer limit is
+ * only checked when a customer is given.
+ *
+ * @param string $coupon_code Code entered by the shopper
+ * @param array $cart_items Cart items from Cart::get_cart_items()
+ * @param int|null $customer_id Customer ID, null for guests
+ * @return array Response array with coupon_id, coupon_code, description, discount_type,
+ *               usage_limit_per_customer, discount_amount, free_shipping and eligible_product_ids
+ */
+function evaluate_coupon_ctr($coupon_code, $cart_items, $customer_id = null)
+{
+    $code = normalize_coupon_code($coupon_code);
+    if ($code === '') {
+        return coupon_rejection($code, 'Please enter a coupon code.', 'missing');
+    }
+
+    try {
+        $coupon_model = new Coupon();
+        $result = $coupon_model->get_coupon_by_code($code);
+
+        if (!$result['success']) {
+            if ($result['error_type'] === 'not_found') {
+                return coupon_rejection($code, 'This coupon code is not valid.', 'not_found');
+            }
+
+            error_log("Coupon lookup failed for code {$code}: " . $result['error_message']);
+            return array(
+                'success' => false,
+                'error' => 'Unable to check the coupon code. Please try again.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        $coupon = $result['data'];
+
+        if ((int)$coupon['is_active'] !== 1) {
+            return coupon_rejection($code, 'This coupon code is not valid.', 'inactive');
+        }
+
+        if ((int)$coupon['started'] !== 1) {
+            return coupon_rejection($code, 'This coupon is not active yet.', 'not_started');
+        }
+
+        if ((int)$coupon['expired'] === 1) {
+            return coupon_rejection($code, 'This coupon has expired.', 'expired');
+        }
+
+        if ($coupon['usage_limit'] !== null && (int)$coupon['times_used'] >= (int)$coupon['usage_limit']) {
+            return coupon_rejection($code, 'This coupon has reached its usage limit.', 'usage_limit');
+        }
+
+        if (!empty($customer_id) && $coupon['usage_limit_per_customer'] !== null) {
+            $count_result = $coupon_model->count_customer_redemptions($coupon['coupon_id'], $customer_id);
+            if (!$count_result['success']) {
+                return array(
+                    'success' => false,
+                    'error' => 'Unable to check the coupon code. Please try again.',
+                    'error_type' => $count_result['error_type'],
+                    'error_details' => $count_result['error_details'] ?? null
+                );
+            }
+
+            if ($count_result['data'] >= (int)$coupon['usage_limit_per_customer']) {
+                return coupon_rejection($code, 'You have already used this coupon.', 'customer_limit');
+            }
+        }
+
+        $discount = calculate_coupon_discount($coupon, $cart_items);
+
+        if ($discount['eligible_subtotal'] <= 0) {
+            return coupon_rejection($code, 'This coupon does not apply to the items in your cart.', 'not_eligible');
+        }
+
+        if ($discount['eligible_subtotal'] < (float)$coupon['min_spend']) {
+            $scoped = !empty($coupon['category_ids']) || !empty($coupon['brand_ids']);
+            return coupon_rejection(
+                $code,
+                'Spend at least $' . number_format((float)$coupon['min_spend'], 2) . ($scoped ? ' on eligible items' : '') . ' to use this coupon.',
+                'min_spend'
+            );
+        }
+
+        return array(
+            'success' => true,
+            'data' => array(
+                'coupon_id' => (int)$coupon['coupon_id'],
+                'coupon_code' => $coupon['coupon_code'],
+                'description' => $coupon['description'],
+                'discount_type' => $coupon['discount_type'],
+                'discount_value' => (float)$coupon['discount_value'],
+                'usage_limit_per_customer' => $coupon['usage_limit_per_customer'] !== null ? (int)$coupon['usage_limit_per_customer'] : null,
+                'discount_amount' => $discount['discount_amount'],
+                'free_shipping' => $discount['free_shipping'],
+                'eligible_product_ids' => $discount['eligible_product_ids']
+            )
+        );
+
+    } catch (Exception $e) {
+        error_log("Evaluate coupon exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Unable to check the coupon code. Please try again.',
+            'error_type' => 'coupon_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Describe the code kept in the session for display with a cart
+ * A code that no longer applies stays applied (the shopper may add items to reach
+ * the minimum spend); it is shown with the reason instead of a discount.
+ *
+ * @param string|null $coupon_code Applied code
+ * @param array $cart_items Cart items
+ * @param int|null $customer_id Customer ID, null for guests
+ * @return array coupon (format_coupon_for_client() view, or null) and message
+ */
+function get_applied_coupon_ctr($coupon_code, $cart_items, $customer_id = null)
+{
+    if (empty($coupon_code)) {
+        return array('coupon' => null, 'message' => null);
+    }
+
+    $result = evaluate_coupon_ctr($coupon_code, $cart_items, $customer_id);
+    if ($result['success']) {
+        return array('coupon' => format_coupon_for_client($result['data']), 'message' => null);
+    }
+
+    return array('coupon' => format_rejected_coupon_for_client($coupon_code), 'message' => $result['error']);
+}
+
+/**
+ * Price a shopper's cart with a coupon code, for the cart page
+ * Tax and shipping are left to the checkout quote.
+ *
+ * @param string|null $coupon_code Code to apply (the session code, or one being applied)
+ * @param int|null $customer_id Customer ID, null for guests
+ * @param string|null $ip_address Guest IP address
+ * @param bool $require_valid Fail with the coupon_invalid rejection instead of
+ *                            reporting it in 'message' (used when a code is applied)
+ * @return array Response array with coupon, message, subtotal, discount_amount and total
+ */
+function get_cart_coupon_summary_ctr($coupon_code, $customer_id, $ip_address, $require_valid = false)
+{
+    $cart_result = get_cart_items_ctr($customer_id, $ip_address);
+    if (!$cart_result['success']) {
+        return $cart_result;
+    }
+
+    $items = $cart_result['data']['items'];
+    $subtotal = (float)$cart_result['data']['total_amount'];
+
+    if ($require_valid) {
+        if (empty($items)) {
+            return coupon_rejection(normalize_coupon_code($coupon_code), 'Add items to your cart before applying a coupon.', 'empty_cart');
+        }
+
+        $result = evaluate_coupon_ctr($coupon_code, $items, $customer_id);
+        if (!$result['success']) {
+            return $result;
+        }
+        $applied = array('coupon' => format_coupon_for_client($result['data']), 'message' => null);
+    } else {
+        $applied = get_applied_coupon_ctr($coupon_code, $items, $customer_id);
+    }
+
+    $discount_amount = $applied['coupon'] !== null ? min($applied['coupon']['discount_amount'], $subtotal) : 0;
+
+    return array(
+        'success' => true,
+        'data' => array(
+            'coupon' => $applied['coupon'],
+            'message' => $applied['message'],
+            'subtotal' => round($subtotal, 2),
+            'discount_amount' => round($discount_amount, 2),
+            'total' => round($subtotal - $discount_amount, 2)
+        )
+    );
+}
+
+/**
+ * Work out what a coupon takes off a cart
+ * A line is eligible when its category is in the coupon's categories (if any) and
+ * its brand is in the coupon's brands (if any).
+ *
+ * @param array $coupon coupons row with category_ids and brand_ids
+ * @param array $cart_items Cart items (p_id, qty, product_price, category_id, brand_id)
+ * @return array eligible_subtotal, eligible_product_ids, discount_amount and free_shipping
+ */
+function calculate_coupon_discount($coupon, $cart_items)
+{
+    $eligible_subtotal = 0;
+    $eligible_product_ids = array();
+
+    foreach ($cart_items as $item) {
+        $category_ok = empty($coupon['category_ids']) || in_array((int)($item['category_id'] ?? 0), $coupon['category_ids'], true);
+        $brand_ok = empty($coupon['brand_ids']) || in_array((int)($item['brand_id'] ?? 0), $coupon['brand_ids'], true);
+
+        if ($category_ok && $brand_ok) {
+            $eligible_subtotal += (float)$item['product_price'] * (int)$item['qty'];
+            $eligible_product_ids[] = (int)$item['p_id'];
+        }
+    }
+
+    switch ($coupon['discount_type']) {
+        case 'percentage':
+            $discount_amount = $eligible_subtotal * (float)$coupon['discount_value'] / 100;
+            break;
+
+        case 'fixed':
+            $discount_amount = min((float)$coupon['discount_value'], $eligible_subtotal);
+            break;
+
+        default:
+            $discount_amount = 0;
+    }
+
+    return array(
+        'eligible_subtotal' => round($eligible_subtotal, 2),
+        'eligible_product_ids' => $eligible_product_ids,
+        'discount_amount' => round($discount_amount, 2),
+        'free_shipping' => $coupon['discount_type'] === 'free_shipping'
+    );
+}
+
+/**
+ * Short description of what a coupon gives, e.g. "15% off" or "Free shipping"
+ *
+ * @param string $discount_type Discount type
+ * @param float $discount_value Percentage or amount
+ * @return string Summary
+ */
+function format_coupon_summary($discount_type, $discount_value)
+{
+    switch ($discount_type) {
+        case 'percentage':
+            return rtrim(rtrim(number_format($discount_value, 2, '.', ''), '0'), '.') . '% off';
+
+        case 'fixed':
+            return '$' . number_format($discount_value, 2) . ' off';
+
+        default:
+            return 'Free shipping';
+    }
+}
+
+/**
+ * Client-facing view of an evaluated coupon
+ *
+ * @param array $coupon Result data of evaluate_coupon_ctr()
+ * @return array Coupon data for JSON responses and the cart/checkout pages
+ */
+function format_coupon_for_client($coupon)
+{
+    return array(
+        'coupon_code' => $coupon['coupon_code'],
+        'summary' => format_coupon_summary($coupon['discount_type'], $coupon['discount_value']),
+        'description' => $coupon['description'],
+        'discount_amount' => (float)$coupon['discount_amount'],
+        'free_shipping' => (bool)$coupon['free_shipping'],
+        'applies' => true
+    );
+}
+
+/**
+ * Client-facing view of an applied code that currently gives no discount
+ *
+ * @param string $coupon_code Applied code
+ * @return array Coupon data shaped like format_coupon_for_client()
+ */
+function format_rejected_coupon_for_client($coupon_code)
+{
+    return array(
+        'coupon_code' => normalize_coupon_code($coupon_code),
+        'summary' => null,
+        'description' => null,
+        'discount_amount' => 0.0,
+        'free_shipping' => false,
+        'applies' => false
+    );
+}
+
+/**
+ * Build the coupon entry box shown in the cart and checkout summaries
+ * js/cart.js (renderCouponBox) updates the same elements after a change
+ *
+ * @param array|null $coupon format_coupon_for_client() view of the applied code, or null
+ * @param string|null $message Why the applied code gives no discount
+ * @return string Returns the coupon box markup with id coupon-box
+ */
+function coupon_box_html($coupon, $message = null)
+{
+    $applied = $coupon !== null;
+    $code = $applied ? htmlspecialchars($coupon['coupon_code']) : '';
+    $summary = $applied && $coupon['summary'] !== null ? htmlspecialchars($coupon['summary']) : '';
+
+    return '<div id="coupon-box" style="margin-bottom: var(--spacing-lg);">'
+        . '<form id="coupon-form" style="display: ' . ($applied ? 'none' : 'flex') . '; gap: var(--spacing-sm);">'
+        . '<input type="text" class="form-input" id="coupon-code-input" name="coupon_code" placeholder="Promo code" maxlength="50" autocomplete="off" style="flex: 1; text-transform: uppercase;">'
+        . '<button type="submit" class="btn btn-secondary" id="apply-coupon-btn"><i class="fas fa-tag"></i> Apply</button>'
+        . '</form>'
+        . '<div id="coupon-applied" style="display: ' . ($applied ? 'flex' : 'none') . '; justify-content: space-between; align-items: center; gap: var(--spacing-sm); padding: var(--spacing-sm) var(--spacing-md); background-color: var(--color-light-green); border-radius: var(--border-radius-md);">'
+        . '<span style="color: var(--color-dark-gray);"><i class="fas fa-tag"></i> <strong id="coupon-applied-code">' . $code . '</strong> '
+        . '<small id="coupon-applied-summary" style="color: var(--color-medium-gray);">' . $summary . '</small></span>'
+        . '<button type="button" class="btn btn-secondary btn-small" id="remove-coupon-btn"><i class="fas fa-times"></i> Remove</button>'
+        . '</div>'
+        . '<small id="coupon-message" style="display: ' . ($message !== null ? 'block' : 'none') . '; color: var(--color-error); margin-top: var(--spacing-xs);">'
+        . ($message !== null ? htmlspecialchars($message) : '') . '</small>'
+        . '</div>';
+}
+
+/**
+ * Canonical form of a coupon code
+ *
+ * @param string|null $coupon_code Raw code
+ * @return string Trimmed, upper-case code
+ */
+function normalize_coupon_code($coupon_code)
+{
+    return strtoupper(trim((string)$coupon_code));
+}
+
+/**
+ * Validate and normalize coupon form input
+ *
+ * @param array $input coupon_code, description, discount_type, discount_value, min_spend,
+ *                     starts_at, expires_at, usage_limit, usage_limit_per_customer,
+ *                     is_active, category_ids and brand_ids (lists of IDs)
+ * @return array Response array with the normalized coupon
+ */
+function normalize_coupon_input($input)
+{
+    $code = normalize_coupon_code($input['coupon_code'] ?? '');
+    if (!preg_match('/^[A-Z0-9_-]{3,50}$/', $code)) {
+        return coupon_validation_error('coupon_code', 'Coupon codes are 3-50 letters, numbers, dashes or underscores.');
+    }
+
+    $description = trim($input['description'] ?? '');
+    if (strlen($description) > 255) {
+        return coupon_validation_error('description', 'Description must be 255 characters or less.');
+    }
+
+    $discount_type = $input['discount_type'] ?? '';
+    if (!in_array($discount_type, COUPON_DISCOUNT_TYPES, true)) {
+        return coupon_validation_error('discount_type', 'Choose a percentage, fixed amount or free shipping discount.');
+    }
+
+    $discount_value = $input['discount_value'] ?? '';
+    if ($discount_type === 'free_shipping') {
+        $discount_value = 0;
+    } elseif (!is_numeric($discount_value) || $discount_value <= 0) {
+        return coupon_validation_error('discount_value', 'Discount value must be a positive number.');
+    } elseif ($discount_type === 'percentage' && $discount_value > 100) {
+        return coupon_validation_error('discount_value', 'A percentage discount cannot be more than 100%.');
+    }
+
+    $min_spend = $input['min_spend'] ?? 0;
+    if ($min_spend === '') {
+        $min_spend = 0;
+    }
+    if (!is_numeric($min_spend) || $min_spend < 0) {
+        return coupon_validation_error('min_spend', 'Minimum spend must be zero or a positive number.');
+    }
+
+    $dates = array();
+    foreach (['starts_at', 'expires_at'] as $field) {
+        $value = trim($input[$field] ?? '');
+        if ($value === '') {
+            $dates[$field] = null;
+            continue;
+        }
+
+        $timestamp = strtotime($value);
+        if ($timestamp === false) {
+            return coupon_validation_error($field, 'Enter a valid date and time.');
+        }
+        $dates[$field] = date('Y-m-d H:i:s', $timestamp);
+    }
+
+    if ($dates['starts_at'] !== null && $dates['expires_at'] !== null && $dates['expires_at'] <= $dates['starts_at']) {
+        return coupon_validation_error('expires_at', 'The expiry must be after the start date.');
+    }
+
+    $limits = array();
+    foreach (['usage_limit', 'usage_limit_per_customer'] as $field) {
+        $value = $input[$field] ?? '';
+        if ($value === '' || $value === null) {
+            $limits[$field] = null;
+            continue;
+        }
+
+        if (!is_numeric($value) || (int)$value != $value || $value < 1) {
+            return coupon_validation_error($field, 'Usage limits must be whole numbers of 1 or more (leave empty for unlimited).');
+        }
+        $limits[$field] = (int)$value;
+    }
+
+    $scope = array();
+    foreach (['category_ids', 'brand_ids'] as $field) {
+        $ids = array();
+        foreach ((array)($input[$field] ?? array()) as $id) {
+            if (!is_numeric($id) || $id <= 0) {
+                return coupon_validation_error($field, 'Invalid category or brand selection.');
+            }
+            $ids[] = (int)$id;
+        }
+        $scope[$field] = array_values(array_unique($ids));
+    }
+
+    return array(
+        'success' => true,
+        'data' => array(
+            'coupon_code' => $code,
+            'description' => $description !== '' ? $description : null,
+            'discount_type' => $discount_type,
+            'discount_value' => round((float)$discount_value, 2),
+            'min_spend' => round((float)$min_spend, 2),
+            'starts_at' => $dates['starts_at'],
+            'expires_at' => $dates['expires_at'],
+            'usage_limit' => $limits['usage_limit'],
+            'usage_limit_per_customer' => $limits['usage_limit_per_customer'],
+            'is_active' => filter_var($input['is_active'] ?? true, FILTER_VALIDATE_BOOLEAN) ? 1 : 0,
+            'category_ids' => $scope['category_ids'],
+            'brand_ids' => $scope['brand_ids']
+        )
+    );
+}
+
+/**
+ * Rejection of a code the shopper entered
+ *
+ * @param string $coupon_code Normalized code
+ * @param string $message Message for the shopper
+ * @param string $reason Machine-readable reason
+ * @return array Response array
+ */
+function coupon_rejection($coupon_code, $message, $reason)
+{
+    return array(
+        'success' => false,
+        'error' => $message,
+        'error_type' => 'coupon_invalid',
+        'error_details' => ['coupon_code' => $coupon_code, 'reason' => $reason]
+    );
+}
+
+/**
+ * Validation failure response for a coupon field
+ *
+ * @param string $field Field name
+ * @param string $message Message for the admin
+ * @return array Response array
+ */
+function coupon_validation_error($field, $message)
+{
+    return array(
+        'success' => false,
+        'error' => $message,
+        'error_type' => 'validation_error',
+        'error_details' => ['field' => $field]
+    );
+}
+
+?>
@@ -0,0 +1,612 @@
+<?php
+
+require_once __DIR__ . '/product_controller.php';
+require_once __DIR__ . '/product_image_controller.php';
+
+/**
+ * Image Upload Controller
+ * Stores product image uploads, whether sent in a single request
+ * (upload_product_image_action.php) or in chunks by the admin upload widget
+ * (js/image_uploader.js). A chunked upload is started, sent in IMAGE_UPLOAD_CHUNK_SIZE
+ * pieces (any of which may be sent again after a dropped connection) and completed,
+ * which assembles the file and stores it like a single-request upload. The pieces wait
+ * in the system temp directory; uploads left untouched for IMAGE_UPLOAD_EXPIRY seconds
+ * are abandoned and removed.
+ */
+
+const IMAGE_UPLOAD_MAX_BYTES = 5 * 1024 * 1024;
+const IMAGE_UPLOAD_CHUNK_SIZE = 512 * 1024;
+const IMAGE_UPLOAD_EXPIRY = 86400;
+const IMAGE_UPLOAD_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+
+/**
+ * Validate uploaded file for security and format requirements
+ * @param array $file Uploaded file array from $_FILES (name, size and tmp_name)
+ * @return array Validation result with success status and details
+ */
+function validate_uploaded_file($file)
+{
+    $validation_result = [
+        'valid' => false,
+        'message' => '',
+        'error_type' => '',
+        'file_info' => []
+    ];
+    
+    // Check file size (max 5MB)
+    $max_file_size = IMAGE_UPLOAD_MAX_BYTES;
+    if ($file['size'] > $max_file_size) {
+        $validation_result['message'] = 'File size exceeds maximum limit of 5MB.';
+        $validation_result['error_type'] = 'file_too_large';
+        $validation_result['file_info']['size'] = $file['size'];
+        $validation_result['file_info']['max_size'] = $max_file_size;
+        return $validation_result;
+    }
+    
+    // Check if file is empty
+    if ($file['size'] <= 0) {
+        $validation_result['message'] = 'Uploaded file is empty.';
+        $validation_result['error_type'] = 'empty_file';
+        $validation_result['file_info']['size'] = $file['size'];
+        return $validation_result;
+    }
+    
+    // Get file extension
+    $file_extension = strtolower(pathinfo($file['name'], PATHINFO_EXTENSION));
+    $allowed_extensions = IMAGE_UPLOAD_EXTENSIONS;
+    
+    if (!in_array($file_extension, $allowed_extensions)) {
+        $validation_result['message'] = 'Invalid file type. Only JPG, PNG, GIF, and WebP images are allowed.';
+        $validation_result['error_type'] = 'invalid_file_type';
+        $validation_result['file_info']['extension'] = $file_extension;
+        $validation_result['file_info']['allowed_extensions'] = $allowed_extensions;
+        return $validation_result;
+    }
+    
+    // Detect the real image type from the file contents; the stored file is named after it
+    $image_type = detect_product_image_type($file['tmp_name']);
+    if ($image_type === null) {
+        $validation_result['message'] = 'Invalid file format detected. File may be corrupted or not a valid image.';
+        $validation_result['error_type'] = 'invalid_mime_type';
+        $validation_result['file_info']['extension'] = $file_extension;
+        return $validation_result;
+    }
+    
+    $max_width = 2048;
+    $max_height = 2048;
+    
+    if ($image_type['width'] > $max_width || $image_type['height'] > $max_height) {
+        $validation_result['message'] = "Image dimensions exceed maximum allowed size of {$max_width}x{$max_height} pixels.";
+        $validation_result['error_type'] = 'image_too_large';
+        $validation_result['file_info']['width'] = $image_type['width'];
+        $validation_result['file_info']['height'] = $image_type['height'];
+        $validation_result['file_info']['max_width'] = $max_width;
+        $validation_result['file_info']['max_height'] = $max_height;
+        return $validation_result;
+    }
+    
+    // All validations passed
+    $validation_result['valid'] = true;
+    $validation_result['file_info'] = [
+        'extension' => $image_type['extension'],
+        'mime_type' => $image_type['mime_type'],
+        'size' => $file['size'],
+        'width' => $image_type['width'],
+        'height' => $image_type['height']
+    ];
+    
+    return $validation_result;
+}
+
+/**
+ * Create secure directory structure for user and product
+ * @param int $user_id User ID
+ * @param int $product_id Product ID
+ * @return array Result with success status and directory path
+ */
+function create_secure_directory_structure($user_id, $product_id)
+{
+    $result = [
+        'success' => false,
+        'message' => '',
+        'error_type' => '',
+        'directory_path' => '',
+        'full_path' => ''
+    ];
+    
+    // Define base uploads directory
+    $base_uploads_dir = __DIR__ . '/../uploads';
+    
+    // Create uploads directory if it doesn't exist
+    if (!file_exists($base_uploads_dir)) {
+        if (!mkdir($base_uploads_dir, 0755, true)) {
+            $result['message'] = 'Failed to create uploads directory.';
+            $result['error_type'] = 'directory_creation_failed';
+            return $result;
+        }
+    }
+    
+    // Validate that we're creating directories only within uploads
+    $real_base_path = realpath($base_uploads_dir);
+    if ($real_base_path === false) {
+        $result['message'] = 'Invalid uploads directory path.';
+        $result['error_type'] = 'invalid_base_path';
+        return $result;
+    }
+    
+    // Create user directory structure: uploads/u{user_id}/
+    $user_dir = $base_uploads_dir . '/u' . $user_id;
+    if (!file_exists($user_dir)) {
+        if (!mkdir($user_dir, 0755, true)) {
+            $result['message'] = 'Failed to create user directory.';
+            $result['error_type'] = 'user_directory_creation_failed';
+            return $result;
+        }
+    }
+    
+    // Create product directory structure: uploads/u{user_id}/p{product_id}/
+    $product_dir = $user_dir . '/p' . $product_id;
+    if (!file_exists($product_dir)) {
+        if (!mkdir($product_dir, 0755, true)) {
+            $result['message'] = 'Failed to create product directory.';
+            $result['error_type'] = 'product_directory_creation_failed';
+            return $result;
+        }
+    }
+    
+    // Validate that the created directory is within the uploads directory (security check)
+    $real_product_path = realpath($product_dir);
+    if ($real_product_path === false || strpos($real_product_path, $real_base_path) !== 0) {
+        $result['message'] = 'Security violation: Directory path outside uploads directory.';
+        $result['error_type'] = 'path_traversal_attempt';
+        
+        // Log security event
+        log_session_security_event('path_traversal_attempt', 
+            "Attempted to create directory outside uploads: {$product_dir}", 
+            $user_id);
+        
+        return $result;
+    }
+    
+    $result['success'] = true;
+    $result['directory_path'] = 'uploads/u' . $user_id . '/p' . $product_id;
+    $result['full_path'] = $product_dir;
+    
+    return $result;
+}
+
+/**
+ * Generate secure filename to prevent conflicts and security issues
+ * @param string $original_filename Original uploaded filename
+ * @param string $file_extension File extension
+ * @return string Secure filename
+ */
+function generate_secure_filename($original_filename, $file_extension)
+{
+    // Remove any path information from original filename
+    $safe_basename = basename($original_filename, '.' . $file_extension);
+    
+    // Remove special characters and limit length
+    $safe_basename = preg_replace('/[^a-zA-Z0-9_-]/', '_', $safe_basename);
+    $safe_basename = substr($safe_basename, 0, 50); // Limit to 50 characters
+    
+    // Add timestamp and random component for uniqueness
+    $timestamp = time();
+    $random_component = bin2hex(random_bytes(4)); // 8 character random string
+    
+    // Construct secure filename
+    $secure_filename = $safe_basename . '_' . $timestamp . '_' . $random_component . '.' . $file_extension;
+    
+    return $secure_filename;
+}
+
+/**
+ * Validate, clean and store an image file for a product
+ *
+ * @param int $user_id Admin user ID (must own the product)
+ * @param int $product_id Product ID
+ * @param string $file_name Name of the file on the admin's computer
+ * @param string $file_path The received file
+ * @return array Response array with the stored image's relative_path, file details and renditions
+ */
+function store_product_image($user_id, $product_id, $file_name, $file_path)
+{
+    $file_validation = validate_uploaded_file(['name' => $file_name, 'size' => filesize($file_path), 'tmp_name' => $file_path]);
+    if (!$file_validation['valid']) {
+        return image_upload_error($file_validation['message'], $file_validation['error_type'], $file_validation['file_info']);
+    }
+
+    $product_check = get_product_ctr($product_id, $user_id);
+    if (!$product_check['success']) {
+        return image_upload_error('Product not found or access denied.', 'product_not_found');
+    }
+
+    $directory_result = create_secure_directory_structure($user_id, $product_id);
+    if (!$directory_result['success']) {
+        return image_upload_error($directory_result['message'], $directory_result['error_type']);
+    }
+
+    $file_extension = $file_validation['file_info']['extension'];
+    $secure_filename = generate_secure_filename($file_name, $file_extension);
+    $target_file_path = $directory_result['full_path'] . '/' . $secure_filename;
+
+    // Store a metadata-free copy with its renditions
+    $processing = process_product_image($file_path, $target_file_path, $file_validation['file_info']);
+    if (!$processing['success']) {
+        return $processing;
+    }
+
+    error_log("Product image stored: Product {$product_id}, User {$user_id}, File: {$secure_filename}");
+
+    return array(
+        'success' => true,
+        'data' => array(
+            'product_id' => (int)$product_id,
+            'user_id' => (int)$user_id,
+            'filename' => $secure_filename,
+            'relative_path' => $directory_result['directory_path'] . '/' . $secure_filename,
+            'file_size' => filesize($target_file_path),
+            'file_type' => $file_validation['file_info']['mime_type'],
+            'dimensions' => [
+                'width' => $processing['data']['width'],
+                'height' => $processing['data']['height']
+            ],
+            'renditions' => [
+                'widths' => $processing['data']['widths'],
+                'webp' => $processing['data']['webp']
+            ]
+        )
+    );
+}
+
+/**
+ * Start a chunked upload, or pick up one already started for the same file
+ *
+ * @param int $user_id Admin user ID (must own the product)
+ * @param int $product_id Product ID
+ * @param string $file_name File name
+ * @param int $file_size File size in bytes
+ * @param string $upload_id ID of an earlier attempt to resume ('' for a new upload)
+ * @return array Response array with the upload status (see image_upload_status())
+ */
+function start_image_upload_ctr($user_id, $product_id, $file_name, $file_size, $upload_id = '')
+{
+    cleanup_abandoned_image_uploads();
+
+    if (empty($product_id) || !is_numeric($product_id) || $product_id <= 0) {
+        return image_upload_error('Valid product ID is required', 'validation_error', ['field' => 'product_id']);
+    }
+
+    $file_name = basename(trim((string)$file_name));
+    if (!is_numeric($file_size) || (int)$file_size <= 0) {
+        return image_upload_error('Uploaded file is empty.', 'empty_file', ['field' => 'product_image']);
+    }
+    $file_size = (int)$file_size;
+
+    if ($upload_id !== '') {
+        $upload = load_image_upload($user_id, $upload_id);
+        if ($upload !== null && $upload['product_id'] === (int)$product_id && $upload['file_name'] === $file_name && $upload['file_size'] === $file_size) {
+            touch(image_upload_directory($upload['upload_id']) . '/upload.json');
+            return array('success' => true, 'data' => image_upload_status($upload));
+        }
+        // Expired or for another file: start over
+    }
+
+    if ($file_size > IMAGE_UPLOAD_MAX_BYTES) {
+        return image_upload_error('File size exceeds maximum limit of 5MB.', 'file_too_large', ['field' => 'product_image', 'max_size' => IMAGE_UPLOAD_MAX_BYTES]);
+    }
+
+    if (!in_array(strtolower(pathinfo($file_name, PATHINFO_EXTENSION)), IMAGE_UPLOAD_EXTENSIONS)) {
+        return image_upload_error('Invalid file type. Only JPG, PNG, GIF, and WebP images are allowed.', 'invalid_file_type', ['field' => 'product_image']);
+    }
+
+    $product_check = get_product_ctr($product_id, $user_id);
+    if (!$product_check['success']) {
+        return image_upload_error('Product not found or access denied.', 'product_not_found');
+    }
+
+    $upload = array(
+        'upload_id' => bin2hex(random_bytes(16)),
+        'user_id' => (int)$user_id,
+        'product_id' => (int)$product_id,
+        'file_name' => $file_name,
+        'file_size' => $file_size,
+        'total_chunks' => (int)ceil($file_size / IMAGE_UPLOAD_CHUNK_SIZE)
+    );
+
+    $directory = image_upload_directory($upload['upload_id']);
+    if (!mkdir($directory, 0700, true) || file_put_contents($directory . '/upload.json', json_encode($upload)) === false) {
+        return image_upload_error('Failed to start the upload. Please try again.', 'upload_start_failed');
+    }
+
+    return array('success' => true, 'data' => image_upload_status($upload));
+}
+
+/**
+ * Store one chunk of an upload
+ * A chunk that arrives twice (after a retry) simply replaces the first copy.
+ *
+ * @param int $user_id Admin user ID (must have started the upload)
+ * @param string $upload_id Upload ID
+ * @param int $chunk_index Zero-based chunk position
+ * @param array $chunk Uploaded chunk from $_FILES
+ * @return array Response array with the upload status
+ */
+function save_image_chunk_ctr($user_id, $upload_id, $chunk_index, $chunk)
+{
+    $upload = load_image_upload($user_id, $upload_id);
+    if ($upload === null) {
+        return image_upload_error('This upload has expired. Please add the file again.', 'upload_not_found');
+    }
+
+    if (!is_numeric($chunk_index) || (int)$chunk_index < 0 || (int)$chunk_index >= $upload['total_chunks']) {
+        return image_upload_error('Invalid chunk.', 'validation_error', ['field' => 'chunk_index']);
+    }
+    $chunk_index = (int)$chunk_index;
+
+    $expected_size = $chunk_index < $upload['total_chunks'] - 1
+        ? IMAGE_UPLOAD_CHUNK_SIZE
+        : $upload['file_size'] - IMAGE_UPLOAD_CHUNK_SIZE * ($upload['total_chunks'] - 1);
+
+    if (!isset($chunk['error']) || $chunk['error'] !== UPLOAD_ERR_OK || (int)$chunk['size'] !== $expected_size) {
+        return image_upload_error('Part of the file did not arrive intact. Please try again.', 'chunk_invalid', ['chunk_index' => $chunk_index]);
+    }
+
+    // Written under a temporary name first so a half-written chunk never counts as received
+    $directory = image_upload_directory($upload['upload_id']);
+    $part_path = "{$directory}/{$chunk_index}.part";
+    if (!move_uploaded_file($chunk['tmp_name'], $part_path . '.tmp') || !rename($part_path . '.tmp', $part_path)) {
+        return image_upload_error('Failed to save part of the file. Please try again.', 'chunk_write_failed', ['chunk_index' => $chunk_index]);
+    }
+
+    touch($directory . '/upload.json');
+
+    return array('success' => true, 'data' => image_upload_status($upload));
+}
+
+/**
+ * Assemble a fully received upload and store it like a single-request upload
+ *
+ * @param int $user_id Admin user ID (must have started the upload)
+ * @param string $upload_id Upload ID
+ * @param string $attach 'primary' to make it the product image, 'gallery' to add it
+ *                       to the product's gallery, '' to only store it
+ * @return array Response array with the stored image (see store_product_image())
+ */
+function complete_image_upload_ctr($user_id, $upload_id, $attach = '')
+{
+    $upload = load_image_upload($user_id, $upload_id);
+    if ($upload === null) {
+        return image_upload_error('This upload has expired. Please add the file again.', 'upload_not_found');
+    }
+
+    if (!in_array($attach, array('', 'primary', 'gallery'), true)) {
+        return image_upload_error('Invalid image destination.', 'validation_error', ['field' => 'attach']);
+    }
+
+    $status = image_upload_status($upload);
+    if (count($status['received_chunks']) < $upload['total_chunks']) {
+        return image_upload_error('The upload is not finished yet.', 'upload_incomplete', $status);
+    }
+
+    $directory = image_upload_directory($upload['upload_id']);
+    $assembled_path = $directory . '/assembled';
+    $assembled = fopen($assembled_path, 'wb');
+    for ($index = 0; $assembled && $index < $upload['total_chunks']; $index++) {
+        $part = fopen("{$directory}/{$index}.part", 'rb');
+        stream_copy_to_stream($part, $assembled);
+        fclose($part);
+    }
+    if (!$assembled) {
+        return image_upload_error('Failed to assemble the uploaded file. Please try again.', 'upload_assembly_failed');
+    }
+    fclose($assembled);
+
+    // Whatever the outcome, the pieces are no longer needed
+    $result = store_product_image($user_id, $upload['product_id'], $upload['file_name'], $assembled_path);
+    remove_image_upload($upload['upload_id']);
+
+    if (!$result['success'] || $attach === '') {
+        return $result;
+    }
+
+    $attached = attach_product_image($user_id, $upload['product_id'], $result['data']['relative_path'], $attach);
+    if (!$attached['success']) {
+        delete_product_image_files(array($result['data']['relative_path']));
+        return $attached;
+    }
+
+    return $result;
+}
+
+/**
+ * Cancel an upload and remove the chunks received so far
+ *
+ * @param int $user_id Admin user ID (must have started the upload)
+ * @param string $upload_id Upload ID
+ * @return array Response array
+ */
+function cancel_image_upload_ctr($user_id, $upload_id)
+{
+    $upload = load_image_upload($user_id, $upload_id);
+    if ($upload !== null) {
+        remove_image_upload($upload['upload_id']);
+    }
+
+    // An upload that is already gone counts as cancelled
+    return array('success' => true, 'data' => array('upload_id' => $upload_id));
+}
+
+/**
+ * Make a stored image the product image, or add it to the product's gallery
+ *
+ * @param int $user_id Admin user ID (must own the product)
+ * @param int $product_id Product ID
+ * @param string $image_path Relative image path
+ * @param string $attach 'primary' or 'gallery'
+ * @return array Response array
+ */
+function attach_product_image($user_id, $product_id, $image_path, $attach)
+{
+    $product_result = get_product_ctr($product_id, $user_id);
+    if (!$product_result['success']) {
+        return image_upload_error('Product not found or access denied.', 'product_not_found');
+    }
+    $product = $product_result['data']['product'];
+
+    if ($attach === 'primary') {
+        $result = update_product_ctr(
+            $product_id,
+            $product['product_title'],
+            $product['product_price'],
+            $product['product_description'],
+            $image_path,
+            $product['product_keywords'],
+            $product['category_id'],
+            $product['brand_id'],
+            $user_id
+        );
+
+        if (!$result['success']) {
+            return image_upload_error('The image was uploaded but could not be set as the product image. Please try again.', 'attach_failed');
+        }
+
+        // The replaced image is no longer used (the gallery's primary entry now points at the new one)
+        if (!empty($product['product_image']) && $product['product_image'] !== $image_path) {
+            delete_product_image_files(array($product['product_image']));
+        }
+
+        return array('success' => true, 'data' => array('image_path' => $image_path));
+    }
+
+    $gallery = new ProductImage();
+    $images = $gallery->get_product_images($product_id);
+    if ($images['success'] && count($images['data']) >= PRODUCT_IMAGE_MAX_IMAGES) {
+        return image_upload_error('A product can have at most ' . PRODUCT_IMAGE_MAX_IMAGES . ' images.', 'validation_error', ['field' => 'product_image']);
+    }
+
+    $result = $gallery->add_gallery_image($product_id, $image_path);
+    if (!$result['success']) {
+        return image_upload_error('The image was uploaded but could not be added to the gallery. Please try again.', 'attach_failed');
+    }
+
+    return array('success' => true, 'data' => array('image_path' => $image_path));
+}
+
+/**
+ * Remove uploads that have seen no activity for IMAGE_UPLOAD_EXPIRY seconds
+ *
+ * @return int Number of uploads removed
+ */
+function cleanup_abandoned_image_uploads()
+{
+    $removed = 0;
+
+    foreach (glob(image_upload_directory() . '/*', GLOB_ONLYDIR) ?: array() as $directory) {
+        $last_activity = @filemtime($directory . '/upload.json') ?: @filemtime($directory);
+        if ($last_activity !== false && $last_activity < time() - IMAGE_UPLOAD_EXPIRY) {
+            remove_image_upload(basename($directory));
+            $removed++;
+        }
+    }
+
+    if ($removed > 0) {
+        error_log("Removed {$removed} abandoned image uploads");
+    }
+
+    return $removed;
+}
+
+/**
+ * Directory holding chunked uploads, or one upload's chunks
+ *
+ * @param string $upload_id Upload ID ('' for the parent directory)
+ * @return string Absolute path
+ */
+function image_upload_directory($upload_id = '')
+{
+    $directory = sys_get_temp_dir() . '/subcart_image_uploads';
+    return $upload_id === '' ? $directory : $directory . '/' . $upload_id;
+}
+
+/**
+ * Read an upload's details, if it exists and belongs to the user
+ *
+ * @param int $user_id Admin user ID
+ * @param string $upload_id Upload ID
+ * @return array|null upload_id, user_id, product_id, file_name, file_size and total_chunks
+ */
+function load_image_upload($user_id, $upload_id)
+{
+    if (!is_string($upload_id) || !preg_match('/^[a-f0-9]{32}$/', $upload_id)) {
+        return null;
+    }
+
+    $contents = @file_get_contents(image_upload_directory($upload_id) . '/upload.json');
+    $upload = $contents !== false ? json_decode($contents, true) : null;
+
+    if (!is_array($upload) || $upload['user_id'] !== (int)$user_id) {
+        return null;
+    }
+
+    return $upload;
+}
+
+/**
+ * Progress of an upload
+ *
+ * @param array $upload Upload details (see load_image_upload())
+ * @return array upload_id, chunk_size, total_chunks and received_chunks (indexes)
+ */
+function image_upload_status($upload)
+{
+    $received = array();
+    for ($index = 0; $index < $upload['total_chunks']; $index++) {
+        if (is_file(image_upload_directory($upload['upload_id']) . "/{$index}.part")) {
+            $received[] = $index;
+        }
+    }
+
+    return array(
+        'upload_id' => $upload['upload_id'],
+        'chunk_size' => IMAGE_UPLOAD_CHUNK_SIZE,
+        'total_chunks' => $upload['total_chunks'],
+        'received_chunks' => $received
+    );
+}
+
+/**
+ * Delete an upload's chunks and details
+ *
+ * @param string $upload_id Upload ID
+ * @return void
+ */
+function remove_image_upload($upload_id)
+{
+    $directory = image_upload_directory($upload_id);
+
+    foreach (glob($directory . '/*') ?: array() as $file) {
+        unlink($file);
+    }
+    @rmdir($directory);
+}
+
+/**
+ * Failure response for an upload
+ *
+ * @param string $message Message for the admin
+ * @param string $error_type Error type
+ * @param array|null $details Error details
+ * @return array Response array
+ */
+function image_upload_error($message, $error_type, $details = null)
+{
+    return array(
+        'success' => false,
+        'error' => $message,
+        'error_type' => $error_type,
+        'error_details' => $details
+    );
+}
+
+?>
@@ -2,6 +2,11 @@
 
 require_once __DIR__ . '/../classes/order_class.php';
 require_once __DIR__ . '/../classes/cart_class.php';
+require_once __DIR__ . '/tax_controller.php';
+require_once __DIR__ . '/shipping_controller.php';
+require_once __DIR__ . '/coupon_controller.php';
+require_once __DIR__ . '/payment_controller.php';
+require_once __DIR__ . '/../settings/csv_helper.php';
 
 /**
  * Order Controller
@@ -9,6 +14,20 @@ require_once __DIR__ . '/../classes/cart_class.php';
  * Requirements: 3.3, 3.4, 6.1, 6.2, 6.3, 6.4, 6.5
  */
 
+// Orders per page of a customer's order history
+const CUSTOMER_ORDERS_PER_PAGE = 10;
+
+// Orders per page of the admin orders console
+const ADMIN_ORDERS_PER_PAGE = 20;
+
+// Order lifecycle: pending -> paid -> shipped -> delivered, plus cancelled and refunded
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+// Sales analytics: longest date range, rows per top-sellers chart and the exportable series
+const SALES_ANALYTICS_MAX_DAYS = 366;
+const SALES_ANALYTICS_TOP_LIMIT = 10;
+const SALES_ANALYTICS_SERIES = ['daily', 'products', 'brands', 'categories'];
+
 /**
  * Create a new order from cart items with comprehensive error handling
  * Requirements: 3.3, 6.1, 6.2, 6.3, 6.4, 6.5
@@ -18,9 +37,12 @@ require_once __DIR__ . '/../classes/cart_class.php';
  * @param string $currency Currency code (default 'USD')
  * @param string $order_status Order status (default 'pending')
  * @param string $payment_method Payment method used
+ * @param string|null $idempotency_key Checkout attempt key; a repeated key returns the original order
+ * @param string|null $coupon_code Coupon code from the checkout quote
+ * @param int|null $shipping_method_id Shipping method from the checkout quote
  * @return array Response array with success status and order data/error message
  */
-function create_order_from_cart_ctr($customer_id, $total_amount, $currency = 'USD', $order_status = 'pending', $payment_method = 'simulated')
+function create_order_from_cart_ctr($customer_id, $total_amount, $currency = 'USD', $order_status = 'pending', $payment_method = 'simulated', $idempotency_key = null, $coupon_code = null, $shipping_method_id = null)
 {
     // Input validation with detailed error responses
     if (empty($customer_id) || !is_numeric($customer_id) || $customer_id <= 0) {
@@ -50,6 +72,14 @@ function create_order_from_cart_ctr($customer_id, $total_amount, $currency = 'US
     }
     
     try {
+        // A repeated submission is answered before the (now empty) cart is checked
+        if (!empty($idempotency_key)) {
+            $existing_order = get_order_by_idempotency_key_ctr($customer_id, $idempotency_key, $payment_method);
+            if ($existing_order['success'] || $existing_order['error_type'] !== 'not_found') {
+                return $existing_order;
+            }
+        }
+        
         // Get cart items for the customer
         $cart = new Cart();
         $cart_result = $cart->get_cart_items($customer_id, null);
@@ -74,12 +104,45 @@ function create_order_from_cart_ctr($customer_id, $total_amount, $currency = 'US
             );
         }
         
-        // Calculate final total with tax and shipping (matching frontend logic)
+        // Tax follows the customer's location
+        $tax_result = get_customer_tax_ctr($customer_id);
+        if (!$tax_result['success']) {
+            return $tax_result;
+        }
+        
+        // The coupon the quote was priced with must still be valid for this customer
+        $coupon = null;
+        if (!empty($coupon_code)) {
+            $coupon_result = evaluate_coupon_ctr($coupon_code, $cart_items, $customer_id);
+            if (!$coupon_result['success']) {
+                return $coupon_result;
+            }
+            $coupon = $coupon_result['data'];
+        }
+        
+        // The shipping method must still ship to the customer
         $cart_total = $cart_result['data']['total_amount'];
-        $tax_rate = 0.08; // 8% tax rate (matching checkout.php)
-        $tax_amount = $cart_total * $tax_rate;
-        $shipping_cost = $cart_total >= 50 ? 0 : 5.99; // Free shipping over $50 (matching checkout.php)
-        $calculated_final_total = $cart_total + $tax_amount + $shipping_cost;
+        $discount_amount = $coupon !== null ? min($coupon['discount_amount'], $cart_total) : 0;
+        $shipping_result = get_customer_shipping_options_ctr($customer_id, $cart_items, $cart_total - $discount_amount);
+        if (!$shipping_result['success']) {
+            return $shipping_result;
+        }
+        
+        $shipping_method = select_shipping_option($shipping_result['data'], $shipping_method_id);
+        if ($shipping_method === null) {
+            return array(
+                'success' => false,
+                'error' => 'The selected shipping method is no longer available. Please choose another.',
+                'error_type' => 'shipping_unavailable',
+                'error_details' => ['shipping_method_id' => $shipping_method_id]
+            );
+        }
+        
+        // Calculate final total with tax and shipping (matching the checkout quote)
+        $order_totals = calculate_order_totals($cart_items, $cart_total, $coupon, $tax_result['data'], $shipping_method);
+        $tax_amount = $order_totals['tax_amount'];
+        $shipping_cost = $order_totals['shipping_cost'];
+        $calculated_final_total = $order_totals['final_total'];
         
         // Validate final total matches provided total (with small tolerance for rounding)
         $tolerance = 0.01; // 1 cent tolerance
@@ -104,7 +167,21 @@ function create_order_from_cart_ctr($customer_id, $total_amount, $currency = 'US
         $order = new Order();
         
         // Create order with cart items
-        $order_result = $order->create_order($customer_id, $cart_items, $total_amount, $currency, $order_status);
+        $order_result = $order->create_order($customer_id, $cart_items, $total_amount, $currency, $order_status, $idempotency_key, array(
+            'method_id' => (int)$shipping_method['method_id'],
+            'method_name' => $shipping_method['method_name'],
+            'cost' => $shipping_cost
+        ), $coupon === null ? null : array(
+            'coupon_id' => $coupon['coupon_id'],
+            'coupon_code' => $coupon['coupon_code'],
+            'amount' => $order_totals['discount_amount'],
+            'usage_limit_per_customer' => $coupon['usage_limit_per_customer']
+        ));
+        
+        if ($order_result['success'] && $order_result['data']['replayed']) {
+            // Lost a race with a concurrent submission of the same attempt
+            return format_replayed_order_response($order_result['data'], $payment_method);
+        }
         
         if ($order_result['success']) {
             // Order created successfully, now empty the cart
@@ -125,11 +202,16 @@ function create_order_from_cart_ctr($customer_id, $total_amount, $currency = 'US
                     'total_amount' => $order_result['data']['total_amount'],
                     'currency' => $order_result['data']['currency'],
                     'order_date' => $order_result['data']['order_date'],
+                    'shipping_method_name' => $order_result['data']['shipping_method_name'],
+                    'shipping_cost' => $order_result['data']['shipping_cost'],
+                    'coupon_code' => $order_result['data']['coupon_code'],
+                    'discount_amount' => $order_result['data']['discount_amount'],
                     'payment_id' => $order_result['data']['payment_id'],
                     'items_count' => $order_result['data']['items_count'],
                     'order_details' => $order_result['data']['order_details'],
                     'payment_method' => $payment_method,
                     'cart_emptied' => $empty_cart_result['success'],
+                    'replayed' => false,
                     'message' => 'Order created successfully'
                 )
             );
@@ -162,6 +244,88 @@ function create_order_from_cart_ctr($customer_id, $total_amount, $currency = 'US
     }
 }
 
+/**
+ * Get the order a checkout attempt already created
+ * 
+ * @param int $customer_id Customer ID
+ * @param string $idempotency_key Checkout attempt key
+ * @param string $payment_method Payment method reported back with the order
+ * @return array Response array with the original order data, or error_type not_found
+ */
+function get_order_by_idempotency_key_ctr($customer_id, $idempotency_key, $payment_method = null)
+{
+    if (empty($idempotency_key)) {
+        return array(
+            'success' => false,
+            'error' => 'Idempotency key is required',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'idempotency_key']
+        );
+    }
+    
+    try {
+        $order = new Order();
+        $order_result = $order->get_order_by_idempotency_key($customer_id, $idempotency_key);
+        
+        if ($order_result['success']) {
+            return format_replayed_order_response($order_result['data'], $payment_method);
+        }
+        
+        return array(
+            'success' => false,
+            'error' => $order_result['error_type'] === 'not_found'
+                ? 'No order exists for this checkout attempt'
+                : get_user_friendly_order_error($order_result['error_type'], $order_result['error_message']),
+            'error_type' => $order_result['error_type'],
+            'error_details' => $order_result['error_details'] ?? null
+        );
+        
+    } catch (Exception $e) {
+        error_log("Get order by idempotency key exception: " . $e->getMessage());
+        
+        return array(
+            'success' => false,
+            'error' => 'An unexpected error occurred while retrieving the order.',
+            'error_type' => 'exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Build the create_order_from_cart_ctr() response for an order that already existed
+ * 
+ * @param array $order_data Data from Order::get_order_by_idempotency_key()
+ * @param string|null $payment_method Payment method reported back with the order
+ * @return array Response array
+ */
+function format_replayed_order_response($order_data, $payment_method = null)
+{
+    return array(
+        'success' => true,
+        'data' => array(
+            'order_id' => $order_data['order_id'],
+            'customer_id' => $order_data['customer_id'],
+            'invoice_no' => $order_data['invoice_no'],
+            'order_status' => $order_data['order_status'],
+            'total_amount' => $order_data['total_amount'],
+            'currency' => $order_data['currency'],
+            'order_date' => $order_data['order_date'],
+            'shipping_method_name' => $order_data['shipping_method_name'],
+            'shipping_cost' => $order_data['shipping_cost'],
+            'coupon_code' => $order_data['coupon_code'],
+            'discount_amount' => $order_data['discount_amount'],
+            'payment_id' => $order_data['payment_id'],
+            'items_count' => $order_data['items_count'],
+            'order_details' => $order_data['order_details'],
+            'payment_method' => $payment_method,
+            'cart_emptied' => true,
+            'replayed' => true,
+            'message' => 'Order already created for this checkout attempt'
+        )
+    );
+}
+
 /**
  * Get order details by order ID with comprehensive error handling
  * Requirements: 6.1, 6.2, 6.3
@@ -234,7 +398,8 @@ function get_order_by_id_ctr($order_id)
  * @param int $customer_id Customer ID
  * @param int $limit Number of orders to retrieve (default 10)
  * @param int $offset Offset for pagination (default 0)
- * @return array Response array with success status and orders data/error message
+ * @return array Response array with success status and orders data/error message;
+ *               total is the customer's order count across all pages
  */
 function get_customer_orders_ctr($customer_id, $limit = 10, $offset = 0)
 {
@@ -262,6 +427,12 @@ function get_customer_orders_ctr($customer_id, $limit = 10, $offset = 0)
         
         // Get customer orders
         $result = $order->get_customer_orders($customer_id, $limit, $offset);
+        if ($result['success']) {
+            $count_result = $order->count_customer_orders($customer_id);
+            if (!$count_result['success']) {
+                $result = $count_result;
+            }
+        }
         
         if ($result['success']) {
             return array(
@@ -270,6 +441,7 @@ function get_customer_orders_ctr($customer_id, $limit = 10, $offset = 0)
                     'customer_id' => $result['data']['customer_id'],
                     'orders' => $result['data']['orders'],
                     'count' => $result['data']['count'],
+                    'total' => $count_result['data']['total'],
                     'limit' => $result['data']['limit'],
                     'offset' => $result['data']['offset']
                 )
@@ -304,14 +476,126 @@ function get_customer_orders_ctr($customer_id, $limit = 10, $offset = 0)
 }
 
 /**
- * Update order status with comprehensive error handling
- * Requirements: 6.1
+ * Get one of a customer's orders with its line items
+ * Orders belonging to someone else are reported as not found.
+ * 
+ * @param int $customer_id Customer ID from the session
+ * @param int $order_id Order ID
+ * @return array Response array with the order in the format_customer_order_for_client() shape
+ */
+function get_customer_order_ctr($customer_id, $order_id)
+{
+    $result = get_order_by_id_ctr($order_id);
+    if (!$result['success']) {
+        return $result;
+    }
+    
+    if ((int)$result['data']['order']['customer_id'] !== (int)$customer_id) {
+        return array(
+            'success' => false,
+            'error' => get_user_friendly_order_error('not_found', 'Order not found'),
+            'error_type' => 'not_found',
+            'error_details' => ['order_id' => $order_id]
+        );
+    }
+    
+    return array(
+        'success' => true,
+        'data' => format_customer_order_for_client($result['data']['order'], $result['data']['order_details'])
+    );
+}
+
+/**
+ * Shape an order row for the customer's order history
+ * 
+ * @param array $order Row from get_customer_orders() or get_order_by_id()
+ * @param array|null $order_details Line items from get_order_details(), when shown
+ * @return array Order summary, with items when $order_details is given
+ */
+function format_customer_order_for_client($order, $order_details = null)
+{
+    $formatted = array(
+        'order_id' => (int)$order['order_id'],
+        'invoice_no' => $order['invoice_no'],
+        'order_date' => $order['order_date'],
+        'order_status' => $order['order_status'],
+        'total_amount' => (float)($order['amt'] ?? 0),
+        'currency' => $order['currency'] ?? 'USD',
+        'shipping_method_name' => $order['shipping_method_name'],
+        'shipping_cost' => (float)$order['shipping_cost'],
+        'coupon_code' => $order['coupon_code'],
+        'discount_amount' => (float)$order['discount_amount']
+    );
+    
+    if (isset($order['total_items'])) {
+        $formatted['total_items'] = (int)$order['total_items'];
+    }
+    
+    if ($order_details !== null) {
+        $formatted['items'] = array_map(function($item) {
+            return array(
+                'product_id' => (int)$item['product_id'],
+                'variant_id' => (int)($item['variant_id'] ?? 0),
+                'variant_label' => $item['variant_label'] ?? null,
+                'product_title' => $item['product_title'],
+                'product_image' => $item['product_image'],
+                'cat_name' => $item['cat_name'],
+                'brand_name' => $item['brand_name'],
+                'price' => (float)$item['product_price'],
+                'quantity' => (int)$item['qty'],
+                'subtotal' => (float)$item['subtotal']
+            );
+        }, $order_details);
+        $formatted['total_items'] = array_sum(array_column($formatted['items'], 'quantity'));
+    }
+    
+    return $formatted;
+}
+
+/**
+ * Check whether an order may move from one status to another
+ *
+ * @param string $from Current status
+ * @param string $to Requested status
+ * @return bool True when the transition is allowed
+ */
+function order_status_transition_allowed($from, $to)
+{
+    return in_array($to, get_allowed_order_transitions($from), true);
+}
+
+/**
+ * Statuses an order can move to next
+ *
+ * @param string $status Current status
+ * @return array List of statuses (empty for cancelled and refunded orders)
+ */
+function get_allowed_order_transitions($status)
+{
+    $transitions = array(
+        'pending' => array('paid', 'cancelled'),
+        'paid' => array('shipped', 'cancelled', 'refunded'),
+        'shipped' => array('delivered', 'refunded'),
+        'delivered' => array('refunded')
+    );
+
+    return $transitions[$status] ?? array();
+}
+
+/**
+ * Move an order to a new status, following the order lifecycle
+ * Refunding an order, or cancelling one that was paid, refunds its captured
+ * payment first; the status only changes once the provider has accepted the
+ * refund. Order::update_order_status() then returns the stock and coupon use.
  * 
  * @param int $order_id Order ID
  * @param string $new_status New order status
- * @return array Response array with success status and update data/error message
+ * @param int|null $changed_by Admin customer ID recorded in the status history
+ * @param string|null $note Reason recorded in the status history
+ * @return array Response array with old_status, new_status, allowed_transitions
+ *               and payment_refunded; invalid_transition for a move the lifecycle forbids
  */
-function update_order_status_ctr($order_id, $new_status)
+function update_order_status_ctr($order_id, $new_status, $changed_by = null, $note = null)
 {
     // Input validation with detailed error responses
     if (empty($order_id) || !is_numeric($order_id) || $order_id <= 0) {
@@ -323,12 +607,22 @@ function update_order_status_ctr($order_id, $new_status)
         );
     }
     
-    if (empty($new_status) || !is_string($new_status)) {
+    if (!in_array($new_status, ORDER_STATUSES, true)) {
+        return array(
+            'success' => false,
+            'error' => 'Choose a valid order status',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'order_status', 'value' => $new_status, 'valid_statuses' => ORDER_STATUSES]
+        );
+    }
+    
+    $note = trim((string)$note);
+    if (strlen($note) > 255) {
         return array(
             'success' => false,
-            'error' => 'Valid order status is required',
+            'error' => 'Note must be 255 characters or less',
             'error_type' => 'validation_error',
-            'error_details' => ['field' => 'new_status', 'value' => $new_status, 'issue' => 'empty_or_invalid']
+            'error_details' => ['field' => 'note', 'issue' => 'too_long']
         );
     }
     
@@ -336,20 +630,59 @@ function update_order_status_ctr($order_id, $new_status)
         // Create instance of order class
         $order = new Order();
         
-        // Update order status
-        $result = $order->update_order_status($order_id, $new_status);
+        $current = $order->get_order_by_id($order_id);
+        if (!$current['success']) {
+            return array(
+                'success' => false,
+                'error' => get_user_friendly_order_error($current['error_type'], $current['error_message']),
+                'error_type' => $current['error_type'],
+                'error_details' => $current['error_details'] ?? null
+            );
+        }
+        
+        $old_status = $current['data']['order']['order_status'];
+        
+        if (!order_status_transition_allowed($old_status, $new_status)) {
+            $allowed = get_allowed_order_transitions($old_status);
+            
+            return array(
+                'success' => false,
+                'error' => empty($allowed)
+                    ? "This order is {$old_status} and can no longer change status."
+                    : "An order that is {$old_status} can only be moved to: " . implode(', ', $allowed) . '.',
+                'error_type' => 'invalid_transition',
+                'error_details' => ['from' => $old_status, 'to' => $new_status, 'allowed' => $allowed]
+            );
+        }
+        
+        $payment_refunded = false;
+        if ($new_status === 'refunded' || ($new_status === 'cancelled' && $old_status !== 'pending')) {
+            $refund_result = refund_order_payment_ctr((int)$order_id);
+            if (!$refund_result['success']) {
+                return $refund_result;
+            }
+            $payment_refunded = $refund_result['data']['refunded'];
+        }
+        
+        // Only applies while the order is still in the status checked above
+        $result = $order->update_order_status($order_id, $new_status, $old_status, $changed_by, $note !== '' ? $note : null);
         
         if ($result['success']) {
             return array(
                 'success' => true,
                 'data' => array(
-                    'order_id' => $result['data']['order_id'],
+                    'order_id' => (int)$result['data']['order_id'],
+                    'old_status' => $result['data']['old_status'],
                     'new_status' => $result['data']['new_status'],
-                    'affected_rows' => $result['data']['affected_rows'],
-                    'message' => 'Order status updated successfully'
+                    'allowed_transitions' => get_allowed_order_transitions($new_status),
+                    'payment_refunded' => $payment_refunded
                 )
             );
         } else {
+            if ($payment_refunded) {
+                error_log("Order {$order_id} payment refunded but status not updated: {$result['error_message']}");
+            }
+            
             // Handle different types of database errors
             $error_message = get_user_friendly_order_error($result['error_type'], $result['error_message']);
             
@@ -378,6 +711,174 @@ function update_order_status_ctr($order_id, $new_status)
     }
 }
 
+/**
+ * List orders for the admin console
+ * 
+ * @param array $filters status, date_from and date_to (Y-m-d), customer (name, email or ID)
+ * @param int $page Page number (1-based)
+ * @return array Response array with orders, page, per_page, total and total_pages
+ */
+function get_admin_orders_ctr($filters, $page = 1)
+{
+    $clean = array(
+        'status' => trim($filters['status'] ?? ''),
+        'date_from' => trim($filters['date_from'] ?? ''),
+        'date_to' => trim($filters['date_to'] ?? ''),
+        'customer' => trim($filters['customer'] ?? '')
+    );
+    
+    if ($clean['status'] !== '' && !in_array($clean['status'], ORDER_STATUSES, true)) {
+        return array(
+            'success' => false,
+            'error' => 'Choose a valid order status',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'status', 'value' => $clean['status']]
+        );
+    }
+    
+    foreach (['date_from', 'date_to'] as $field) {
+        if ($clean[$field] !== '') {
+            $date = DateTime::createFromFormat('Y-m-d', $clean[$field]);
+            if (!$date || $date->format('Y-m-d') !== $clean[$field]) {
+                return array(
+                    'success' => false,
+                    'error' => 'Dates must use the YYYY-MM-DD format',
+                    'error_type' => 'validation_error',
+                    'error_details' => ['field' => $field, 'value' => $clean[$field]]
+                );
+            }
+        }
+    }
+    
+    if (strlen($clean['customer']) > 100) {
+        $clean['customer'] = substr($clean['customer'], 0, 100);
+    }
+    
+    $page = max(1, (int)$page);
+    
+    try {
+        $order = new Order();
+        $result = $order->get_orders($clean, ADMIN_ORDERS_PER_PAGE, ($page - 1) * ADMIN_ORDERS_PER_PAGE);
+        
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => get_user_friendly_order_error($result['error_type'], $result['error_message']),
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null,
+                'original_error' => $result['error_message']
+            );
+        }
+        
+        return array(
+            'success' => true,
+            'data' => array(
+                'orders' => array_map('format_admin_order_for_client', $result['data']['orders']),
+                'page' => $page,
+                'per_page' => ADMIN_ORDERS_PER_PAGE,
+                'total' => $result['data']['total'],
+                'total_pages' => max(1, (int)ceil($result['data']['total'] / ADMIN_ORDERS_PER_PAGE)),
+                'filters' => $clean
+            )
+        );
+        
+    } catch (Exception $e) {
+        error_log("Admin order listing exception: " . $e->getMessage());
+        
+        return array(
+            'success' => false,
+            'error' => 'An unexpected error occurred while retrieving orders. Please try again.',
+            'error_type' => 'controller_exception',
+            'error_details' => [
+                'exception_message' => $e->getMessage(),
+                'exception_code' => $e->getCode()
+            ]
+        );
+    }
+}
+
+/**
+ * Get an order for the admin console with its items and status history
+ * 
+ * @param int $order_id Order ID
+ * @return array Response array with the order in the format_admin_order_for_client() shape
+ */
+function get_admin_order_ctr($order_id)
+{
+    $result = get_order_by_id_ctr($order_id);
+    if (!$result['success']) {
+        return $result;
+    }
+    
+    try {
+        $order = new Order();
+        $history_result = $order->get_order_status_history($order_id);
+        
+        if (!$history_result['success']) {
+            return array(
+                'success' => false,
+                'error' => get_user_friendly_order_error($history_result['error_type'], $history_result['error_message']),
+                'error_type' => $history_result['error_type'],
+                'error_details' => $history_result['error_details'] ?? null
+            );
+        }
+        
+        return array(
+            'success' => true,
+            'data' => format_admin_order_for_client(
+                $result['data']['order'],
+                $result['data']['order_details'],
+                $history_result['data']['history']
+            )
+        );
+        
+    } catch (Exception $e) {
+        error_log("Admin order retrieval exception for order {$order_id}: " . $e->getMessage());
+        
+        return array(
+            'success' => false,
+            'error' => 'An unexpected error occurred while retrieving the order. Please try again.',
+            'error_type' => 'controller_exception',
+            'error_details' => [
+                'exception_message' => $e->getMessage(),
+                'exception_code' => $e->getCode()
+            ]
+        );
+    }
+}
+
+/**
+ * Shape an order for the admin console
+ * 
+ * @param array $order Row from get_orders() or get_order_by_id()
+ * @param array|null $order_details Line items, when shown
+ * @param array|null $history Rows from get_order_status_history(), when shown
+ * @return array format_customer_order_for_client() plus the customer and allowed_transitions
+ */
+function format_admin_order_for_client($order, $order_details = null, $history = null)
+{
+    $formatted = format_customer_order_for_client($order, $order_details);
+    $formatted['customer_id'] = (int)$order['customer_id'];
+    $formatted['customer_name'] = $order['customer_name'];
+    $formatted['customer_email'] = $order['customer_email'];
+    $formatted['allowed_transitions'] = get_allowed_order_transitions($order['order_status']);
+    
+    if ($history !== null) {
+        $formatted['history'] = array_map(function($entry) {
+            return array(
+                'from_status' => $entry['from_status'],
+                'to_status' => $entry['to_status'],
+                'changed_by' => $entry['changed_by'] !== null ? (int)$entry['changed_by'] : null,
+                'changed_by_name' => $entry['changed_by_name'],
+                'note' => $entry['note'],
+                'changed_at' => $entry['changed_at']
+            );
+        }, $history);
+    }
+    
+    return $formatted;
+}
+
 /**
  * Get order statistics with comprehensive error handling
  * Requirements: 6.1, 6.3
@@ -406,8 +907,11 @@ function get_order_statistics_ctr($start_date = null, $end_date = null)
                     'total_revenue' => $result['data']['total_revenue'],
                     'avg_order_value' => $result['data']['avg_order_value'],
                     'pending_orders' => $result['data']['pending_orders'],
-                    'confirmed_orders' => $result['data']['confirmed_orders'],
+                    'paid_orders' => $result['data']['paid_orders'],
+                    'shipped_orders' => $result['data']['shipped_orders'],
+                    'delivered_orders' => $result['data']['delivered_orders'],
                     'cancelled_orders' => $result['data']['cancelled_orders'],
+                    'refunded_orders' => $result['data']['refunded_orders'],
                     'timestamp' => $result['data']['timestamp']
                 )
             );
@@ -440,6 +944,162 @@ function get_order_statistics_ctr($start_date = null, $end_date = null)
     }
 }
 
+/**
+ * Get the sales analytics for a date range: summary totals, a per-day series
+ * (orders, revenue, average order value) and the top products, brands and categories
+ * 
+ * @param string|null $start_date First day (Y-m-d), defaults to 30 days ago
+ * @param string|null $end_date Last day (Y-m-d), defaults to today
+ * @return array Response array with summary, daily, top_products, top_brands and top_categories
+ */
+function get_sales_analytics_ctr($start_date = null, $end_date = null)
+{
+    $start_date = trim((string)$start_date) !== '' ? trim($start_date) : date('Y-m-d', strtotime('-30 days'));
+    $end_date = trim((string)$end_date) !== '' ? trim($end_date) : date('Y-m-d');
+    
+    $start = DateTime::createFromFormat('!Y-m-d', $start_date);
+    $end = DateTime::createFromFormat('!Y-m-d', $end_date);
+    
+    if (!$start || $start->format('Y-m-d') !== $start_date || !$end || $end->format('Y-m-d') !== $end_date) {
+        return array(
+            'success' => false,
+            'error' => 'Dates must use the YYYY-MM-DD format',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'start_date', 'start_date' => $start_date, 'end_date' => $end_date]
+        );
+    }
+    
+    if ($start > $end) {
+        return array(
+            'success' => false,
+            'error' => 'The start date must be on or before the end date',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'start_date', 'start_date' => $start_date, 'end_date' => $end_date]
+        );
+    }
+    
+    if ($start->diff($end)->days + 1 > SALES_ANALYTICS_MAX_DAYS) {
+        return array(
+            'success' => false,
+            'error' => 'Choose a date range of at most ' . SALES_ANALYTICS_MAX_DAYS . ' days',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'end_date', 'max_days' => SALES_ANALYTICS_MAX_DAYS]
+        );
+    }
+    
+    try {
+        // Create instance of order class
+        $order = new Order();
+        
+        $results = array(
+            'summary' => $order->get_order_statistics($start_date, $end_date),
+            'daily' => $order->get_daily_sales($start_date, $end_date),
+            'products' => $order->get_top_sellers('product', $start_date, $end_date, SALES_ANALYTICS_TOP_LIMIT),
+            'brands' => $order->get_top_sellers('brand', $start_date, $end_date, SALES_ANALYTICS_TOP_LIMIT),
+            'categories' => $order->get_top_sellers('category', $start_date, $end_date, SALES_ANALYTICS_TOP_LIMIT)
+        );
+        
+        foreach ($results as $result) {
+            if (!$result['success']) {
+                return array(
+                    'success' => false,
+                    'error' => get_user_friendly_order_error($result['error_type'], $result['error_message']),
+                    'error_type' => $result['error_type'],
+                    'error_details' => $result['error_details'] ?? null,
+                    'original_error' => $result['error_message']
+                );
+            }
+        }
+        
+        // One entry per day so the charts get a continuous axis
+        $sales_by_day = array();
+        foreach ($results['daily']['data']['days'] as $day) {
+            $sales_by_day[$day['sale_date']] = $day;
+        }
+        
+        $daily = array();
+        for ($day = clone $start; $day <= $end; $day->modify('+1 day')) {
+            $key = $day->format('Y-m-d');
+            $orders = (int)($sales_by_day[$key]['orders'] ?? 0);
+            $revenue = round((float)($sales_by_day[$key]['revenue'] ?? 0), 2);
+            
+            $daily[] = array(
+                'date' => $key,
+                'orders' => $orders,
+                'revenue' => $revenue,
+                'avg_order_value' => $orders > 0 ? round($revenue / $orders, 2) : 0
+            );
+        }
+        
+        $format_sellers = function($result) {
+            return array_map(function($seller) {
+                return array(
+                    'id' => $seller['id'] !== null ? (int)$seller['id'] : null,
+                    'name' => $seller['name'] ?? 'Unassigned',
+                    'units' => (int)$seller['units'],
+                    'orders' => (int)$seller['orders'],
+                    'sales' => round((float)$seller['sales'], 2)
+                );
+            }, $result['data']['sellers']);
+        };
+        
+        $summary = $results['summary']['data'];
+        unset($summary['action']);
+        
+        return array(
+            'success' => true,
+            'data' => array(
+                'start_date' => $start_date,
+                'end_date' => $end_date,
+                'summary' => $summary,
+                'daily' => $daily,
+                'top_products' => $format_sellers($results['products']),
+                'top_brands' => $format_sellers($results['brands']),
+                'top_categories' => $format_sellers($results['categories'])
+            )
+        );
+        
+    } catch (Exception $e) {
+        // Log the exception for debugging
+        error_log("Sales analytics exception: " . $e->getMessage());
+        
+        return array(
+            'success' => false,
+            'error' => 'An unexpected error occurred while retrieving sales analytics. Please try again.',
+            'error_type' => 'controller_exception',
+            'error_details' => [
+                'exception_message' => $e->getMessage(),
+                'exception_code' => $e->getCode()
+            ]
+        );
+    }
+}
+
+/**
+ * Turn one series of get_sales_analytics_ctr() data into CSV rows
+ * 
+ * @param array $analytics Data from get_sales_analytics_ctr()
+ * @param string $series One of SALES_ANALYTICS_SERIES
+ * @return array Rows, header first
+ */
+function sales_analytics_csv_rows($analytics, $series)
+{
+    if ($series === 'daily') {
+        $rows = array(array('date', 'orders', 'revenue', 'avg_order_value'));
+        foreach ($analytics['daily'] as $day) {
+            $rows[] = array($day['date'], $day['orders'], number_format($day['revenue'], 2, '.', ''), number_format($day['avg_order_value'], 2, '.', ''));
+        }
+        return $rows;
+    }
+    
+    $label = array('products' => 'product', 'brands' => 'brand', 'categories' => 'category')[$series];
+    $rows = array(array($label . '_id', $label, 'units', 'orders', 'sales'));
+    foreach ($analytics['top_' . $series] as $seller) {
+        $rows[] = array($seller['id'], csv_safe_cell($seller['name']), $seller['units'], $seller['orders'], number_format($seller['sales'], 2, '.', ''));
+    }
+    return $rows;
+}
+
 /**
  * Generate unique invoice number with comprehensive error handling
  * Requirements: 3.2
@@ -492,6 +1152,50 @@ function generate_unique_invoice_number_ctr()
     }
 }
 
+/**
+ * Calculate discount, tax, shipping and final total for a cart
+ * Single source for checkout quotes, payment amounts and order validation.
+ *
+ * @param array $cart_items Cart items from Cart::get_cart_items()
+ * @param float $cart_total Cart subtotal
+ * @param array|null $coupon Result data of evaluate_coupon_ctr(); null means no coupon
+ * @param array|null $tax Result data of get_customer_tax_ctr(); null means untaxed
+ * @param array|null $shipping_method Shipping method with tiers; null means no shipping charge
+ * @return array subtotal, coupon_code, discount_amount, tax_amount, tax_rate, tax_name,
+ *               tax_jurisdiction, tax_inclusive, shipping_method_id, shipping_method_name,
+ *               shipping_cost, final_total (amounts rounded to cents)
+ */
+function calculate_order_totals($cart_items, $cart_total, $coupon = null, $tax = null, $shipping_method = null)
+{
+    $discount_amount = $coupon !== null ? min(max(0, $coupon['discount_amount']), $cart_total) : 0;
+    $discounted_total = $cart_total - $discount_amount;
+    $tax_result = calculate_cart_tax($cart_items, $discount_amount, $tax, $coupon !== null ? $coupon['eligible_product_ids'] : null);
+    $tax_inclusive = $tax !== null && $tax['inclusive'];
+
+    $shipping_cost = 0;
+    if ($shipping_method !== null && !($coupon !== null && $coupon['free_shipping'])) {
+        $shipping_cost = calculate_shipping_cost($shipping_method, $cart_items, $discounted_total);
+    }
+
+    // Tax-inclusive prices already contain the tax
+    $final_total = $discounted_total + ($tax_inclusive ? 0 : $tax_result['tax_amount']) + $shipping_cost;
+
+    return array(
+        'subtotal' => round($cart_total, 2),
+        'coupon_code' => $coupon !== null ? $coupon['coupon_code'] : null,
+        'discount_amount' => round($discount_amount, 2),
+        'tax_amount' => $tax_result['tax_amount'],
+        'tax_rate' => $tax !== null ? $tax['rate'] : 0.0,
+        'tax_name' => $tax !== null ? $tax['tax_name'] : 'Tax',
+        'tax_jurisdiction' => $tax !== null ? $tax['jurisdiction'] : null,
+        'tax_inclusive' => $tax_inclusive,
+        'shipping_method_id' => $shipping_method !== null ? (int)$shipping_method['method_id'] : null,
+        'shipping_method_name' => $shipping_method !== null ? $shipping_method['method_name'] : null,
+        'shipping_cost' => $shipping_cost,
+        'final_total' => round($final_total, 2)
+    );
+}
+
 /**
  * Get user-friendly error messages for order-related database errors
  * @param string $error_type The type of database error
@@ -546,6 +1250,15 @@ function get_user_friendly_order_error($error_type, $original_message)
         case 'total_mismatch_error':
             return 'Order total mismatch detected. The cart total has changed. Please refresh your cart and try again.';
             
+        case 'coupon_invalid':
+            return $original_message;
+            
+        case 'insufficient_stock':
+            return $original_message . ' Please update your cart and try again.';
+            
+        case 'status_conflict':
+            return 'This order was updated by someone else. Please reload it and try again.';
+            
         default:
             return 'An order processing error occurred. Please try again or contact support if the problem persists.';
     }
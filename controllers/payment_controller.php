@@ -0,0 +1,671 @@
+<?php
+
+require_once __DIR__ . '/../settings/payment_config.php';
+require_once __DIR__ . '/../classes/payment_transaction_class.php';
+require_once __DIR__ . '/../classes/mock_payment_provider_class.php';
+require_once __DIR__ . '/quote_controller.php';
+
+/**
+ * Payment Controller
+ * Drives checkout payments through the configured PaymentProvider and keeps
+ * payment_transactions in step with the provider's lifecycle.
+ *
+ * Flow: initialize -> authorize -> (redirect return) -> webhook -> confirm (capture) -> refund
+ */
+
+// failure_reason prefix for a captured payment whose order failed and could not be refunded
+const PAYMENT_REFUND_FAILED_REASON = 'Refund after failed order did not go through';
+
+/**
+ * Get a payment provider instance by name
+ *
+ * @param string $provider_name Provider name (see get_payment_provider_names())
+ * @return PaymentProvider|null Provider instance or null when unknown
+ */
+function get_payment_provider($provider_name)
+{
+    $providers = get_payment_provider_names();
+
+    if (!isset($providers[$provider_name])) {
+        return null;
+    }
+
+    $class_name = $providers[$provider_name];
+    return new $class_name();
+}
+
+/**
+ * Registered payment providers
+ * Add a gateway by implementing PaymentProvider and listing its class here.
+ *
+ * @return array Provider name => class name
+ */
+function get_payment_provider_names()
+{
+    return array(
+        'mock' => 'MockPaymentProvider'
+    );
+}
+
+/**
+ * Check whether a transaction may move from one status to another
+ *
+ * @param string $from Current status
+ * @param string $to Requested status
+ * @return bool True when the transition is allowed
+ */
+function payment_status_transition_allowed($from, $to)
+{
+    $transitions = array(
+        'initialized' => array('processing', 'requires_action', 'failed', 'canceled'),
+        'requires_action' => array('processing', 'authorized', 'failed', 'canceled'),
+        'processing' => array('authorized', 'failed'),
+        'authorized' => array('captured', 'canceled'),
+        'captured' => array('captured', 'refunded')
+    );
+
+    return isset($transitions[$from]) && in_array($to, $transitions[$from], true);
+}
+
+/**
+ * Start a payment for a checkout quote
+ * The amount is always the quote's server-calculated total, never a client value.
+ *
+ * @param int $customer_id Customer ID
+ * @param string $provider_name Provider name (default PAYMENT_DEFAULT_PROVIDER)
+ * @param string $quote_id Quote the customer is paying
+ * @return array Response array with reference, amount and provider client data
+ */
+function initialize_payment_ctr($customer_id, $provider_name = null, $quote_id = null)
+{
+    if (empty($customer_id) || !is_numeric($customer_id) || $customer_id <= 0) {
+        return array(
+            'success' => false,
+            'error' => 'Please log in to pay for your order',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'customer_id', 'value' => $customer_id]
+        );
+    }
+
+    $provider_name = $provider_name ?: PAYMENT_DEFAULT_PROVIDER;
+    $provider = get_payment_provider($provider_name);
+
+    if ($provider === null) {
+        return array(
+            'success' => false,
+            'error' => 'Payment provider is not available',
+            'error_type' => 'unknown_provider',
+            'error_details' => ['provider' => $provider_name]
+        );
+    }
+
+    try {
+        $quote_result = get_valid_checkout_quote_ctr($quote_id, $customer_id);
+        if (!$quote_result['success']) {
+            return $quote_result;
+        }
+
+        $quote = $quote_result['data'];
+        $amount = (float)$quote['total'];
+        $reference = 'pay_' . bin2hex(random_bytes(12));
+
+        $transactions = new PaymentTransaction();
+        $create_result = $transactions->create_transaction($reference, $provider_name, $customer_id, $amount, $quote['currency'], $quote['quote_id']);
+
+        if (!$create_result['success']) {
+            return payment_error_response($create_result, 'Unable to start payment. Please try again.');
+        }
+
+        $init_result = $provider->initialize($create_result['data']);
+
+        if (!$init_result['success']) {
+            $transactions->update_transaction($reference, ['status' => 'failed', 'failure_reason' => $init_result['error_message']]);
+
+            // Retrying cannot help until the server is configured
+            if ($init_result['error_type'] === 'webhook_not_configured') {
+                return payment_error_response($init_result, 'Online payments are not set up on this store yet. Please contact support.');
+            }
+
+            return payment_error_response($init_result, 'The payment provider is unavailable. Please try again.');
+        }
+
+        $transactions->update_transaction($reference, ['provider_reference' => $init_result['data']['provider_reference']]);
+
+        return array(
+            'success' => true,
+            'data' => array(
+                'reference' => $reference,
+                'provider' => $provider_name,
+                'amount' => $amount,
+                'currency' => $quote['currency'],
+                'quote_id' => $quote['quote_id'],
+                'status' => 'initialized',
+                'client_data' => $init_result['data']['client_data']
+            )
+        );
+
+    } catch (Exception $e) {
+        error_log("Initialize payment exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Unable to start payment. Please try again.',
+            'error_type' => 'payment_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Submit payment details for an initialized payment
+ *
+ * @param string $reference Payment reference
+ * @param int $customer_id Customer ID (must own the payment)
+ * @param array $payment_details Provider specific payment details
+ * @return array Response array with status, next_action and failure_reason
+ */
+function authorize_payment_ctr($reference, $customer_id, $payment_details)
+{
+    $lookup = get_customer_payment($reference, $customer_id);
+    if (!$lookup['success']) {
+        return $lookup;
+    }
+
+    $transaction = $lookup['data'];
+
+    if ($transaction['status'] !== 'initialized') {
+        return invalid_payment_state_response($transaction, 'initialized');
+    }
+
+    $provider = get_payment_provider($transaction['provider']);
+    $authorize_result = $provider->authorize($transaction, is_array($payment_details) ? $payment_details : array());
+
+    if (!$authorize_result['success']) {
+        return payment_error_response($authorize_result, 'Payment could not be submitted. Please try again.');
+    }
+
+    return apply_provider_status($transaction, $authorize_result['data']);
+}
+
+/**
+ * Resume a payment after the provider redirected the customer back
+ *
+ * @param string $reference Payment reference
+ * @param int $customer_id Customer ID (must own the payment)
+ * @param array $params Return URL query parameters
+ * @return array Response array with status and failure_reason
+ */
+function handle_payment_return_ctr($reference, $customer_id, $params)
+{
+    $lookup = get_customer_payment($reference, $customer_id);
+    if (!$lookup['success']) {
+        return $lookup;
+    }
+
+    $transaction = $lookup['data'];
+
+    if ($transaction['status'] !== 'requires_action') {
+        // Reloading the return URL must not replay the challenge
+        return payment_status_response($transaction);
+    }
+
+    $provider = get_payment_provider($transaction['provider']);
+    $return_result = $provider->handle_return($transaction, $params);
+
+    if (!$return_result['success']) {
+        return payment_error_response($return_result, 'Payment could not be resumed. Please try again.');
+    }
+
+    return apply_provider_status($transaction, $return_result['data']);
+}
+
+/**
+ * Get the current status of a payment
+ * Providers without a public webhook endpoint (the mock gateway) deliver their
+ * queued webhooks here, so polling drives the same code path a real webhook would.
+ *
+ * @param string $reference Payment reference
+ * @param int $customer_id Customer ID (must own the payment)
+ * @return array Response array with status and failure_reason
+ */
+function get_payment_status_ctr($reference, $customer_id)
+{
+    $lookup = get_customer_payment($reference, $customer_id);
+    if (!$lookup['success']) {
+        return $lookup;
+    }
+
+    $transaction = $lookup['data'];
+    $provider = get_payment_provider($transaction['provider']);
+
+    if ($transaction['status'] === 'processing' && method_exists($provider, 'deliver_due_webhooks')) {
+        $provider_name = $transaction['provider'];
+        $provider->deliver_due_webhooks(function ($raw_body, $headers) use ($provider_name) {
+            $webhook_result = handle_payment_webhook_ctr($provider_name, $raw_body, $headers);
+            if (!$webhook_result['success']) {
+                error_log("Mock webhook delivery failed: " . $webhook_result['error']);
+            }
+        });
+
+        $lookup = get_customer_payment($reference, $customer_id);
+        if (!$lookup['success']) {
+            return $lookup;
+        }
+        $transaction = $lookup['data'];
+    }
+
+    return payment_status_response($transaction);
+}
+
+/**
+ * Apply a webhook sent by a payment provider
+ * Events are recorded by ID so a redelivered webhook is acknowledged without being applied twice.
+ *
+ * @param string $provider_name Provider name
+ * @param string $raw_body Raw request body
+ * @param array $headers Request headers (lower-case names)
+ * @return array Response array with reference, status and duplicate flag
+ */
+function handle_payment_webhook_ctr($provider_name, $raw_body, $headers)
+{
+    $provider = get_payment_provider($provider_name);
+
+    if ($provider === null) {
+        return array(
+            'success' => false,
+            'error' => 'Unknown payment provider',
+            'error_type' => 'unknown_provider',
+            'error_details' => ['provider' => $provider_name]
+        );
+    }
+
+    $callback_result = $provider->handle_callback($raw_body, $headers);
+    if (!$callback_result['success']) {
+        return payment_error_response($callback_result, 'Webhook rejected');
+    }
+
+    $event = $callback_result['data'];
+    $transactions = new PaymentTransaction();
+    $lookup = $transactions->get_transaction_by_provider_reference($provider_name, $event['provider_reference']);
+
+    if (!$lookup['success']) {
+        return payment_error_response($lookup, 'Payment for webhook not found');
+    }
+
+    $transaction = $lookup['data'];
+    $event_result = $transactions->record_event($provider_name, $event['event_id'], $transaction['reference'], $event['event_type']);
+
+    if (!$event_result['success']) {
+        return payment_error_response($event_result, 'Webhook could not be recorded');
+    }
+
+    if ($event_result['data']['duplicate']) {
+        return array(
+            'success' => true,
+            'data' => array(
+                'reference' => $transaction['reference'],
+                'status' => $transaction['status'],
+                'duplicate' => true
+            )
+        );
+    }
+
+    if (!payment_status_transition_allowed($transaction['status'], $event['status'])) {
+        // Out-of-order events are acknowledged so the provider stops retrying
+        error_log("Ignoring {$event['event_type']} for payment {$transaction['reference']} in status {$transaction['status']}");
+        return array(
+            'success' => true,
+            'data' => array(
+                'reference' => $transaction['reference'],
+                'status' => $transaction['status'],
+                'duplicate' => false,
+                'ignored' => true
+            )
+        );
+    }
+
+    $update_result = $transactions->update_transaction($transaction['reference'], array(
+        'status' => $event['status'],
+        'failure_reason' => $event['failure_reason']
+    ));
+
+    if (!$update_result['success']) {
+        return payment_error_response($update_result, 'Payment status could not be updated');
+    }
+
+    return array(
+        'success' => true,
+        'data' => array(
+            'reference' => $transaction['reference'],
+            'status' => $event['status'],
+            'duplicate' => false
+        )
+    );
+}
+
+/**
+ * Capture an authorized payment before the order is created
+ *
+ * @param string $reference Payment reference
+ * @param int $customer_id Customer ID (must own the payment)
+ * @return array Response array with the captured transaction
+ */
+function confirm_payment_ctr($reference, $customer_id)
+{
+    $lookup = get_customer_payment($reference, $customer_id);
+    if (!$lookup['success']) {
+        return $lookup;
+    }
+
+    $transaction = $lookup['data'];
+
+    if ($transaction['status'] !== 'authorized') {
+        return invalid_payment_state_response($transaction, 'authorized');
+    }
+
+    $provider = get_payment_provider($transaction['provider']);
+    $confirm_result = $provider->confirm($transaction);
+
+    if (!$confirm_result['success']) {
+        return payment_error_response($confirm_result, 'Payment could not be captured. Please try again.');
+    }
+
+    return apply_provider_status($transaction, $confirm_result['data']);
+}
+
+/**
+ * Refund a captured payment
+ *
+ * @param string $reference Payment reference
+ * @param float|null $amount Amount to refund (default: everything not yet refunded)
+ * @return array Response array with status, refunded_amount and refund_reference
+ */
+function refund_payment_ctr($reference, $amount = null)
+{
+    $transactions = new PaymentTransaction();
+    $lookup = $transactions->get_transaction($reference);
+
+    if (!$lookup['success']) {
+        return payment_error_response($lookup, 'Payment not found');
+    }
+
+    $transaction = $lookup['data'];
+
+    if ($transaction['status'] !== 'captured') {
+        return invalid_payment_state_response($transaction, 'captured');
+    }
+
+    $refundable = round((float)$transaction['amount'] - (float)$transaction['refunded_amount'], 2);
+    $amount = $amount === null ? $refundable : round((float)$amount, 2);
+
+    if ($amount <= 0 || $amount > $refundable) {
+        return array(
+            'success' => false,
+            'error' => 'Refund amount must be between 0.01 and ' . number_format($refundable, 2),
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'amount', 'value' => $amount, 'refundable' => $refundable]
+        );
+    }
+
+    $provider = get_payment_provider($transaction['provider']);
+    $refund_result = $provider->refund($transaction, $amount);
+
+    if (!$refund_result['success']) {
+        return payment_error_response($refund_result, 'Refund could not be processed');
+    }
+
+    $refunded_amount = round((float)$transaction['refunded_amount'] + $amount, 2);
+    $update_result = $transactions->update_transaction($reference, array(
+        'status' => $refund_result['data']['status'],
+        'refunded_amount' => $refunded_amount
+    ));
+
+    if (!$update_result['success']) {
+        // The provider already refunded; keep a trace for reconciliation
+        error_log("Refund {$refund_result['data']['refund_reference']} for payment {$reference} not recorded: " . $update_result['error_message']);
+        return payment_error_response($update_result, 'Refund was processed but could not be recorded');
+    }
+
+    return array(
+        'success' => true,
+        'data' => array(
+            'reference' => $reference,
+            'status' => $refund_result['data']['status'],
+            'refunded_amount' => $refunded_amount,
+            'refund_reference' => $refund_result['data']['refund_reference']
+        )
+    );
+}
+
+/**
+ * Refund whatever is left of the payment taken for an order
+ * Orders paid before payment providers were added have no transaction; they are
+ * reported with refunded = false so the caller can still record the refund.
+ *
+ * @param int $order_id Order ID
+ * @return array Response array with refunded (bool) and, when refunded, the refund details
+ */
+function refund_order_payment_ctr($order_id)
+{
+    $transactions = new PaymentTransaction();
+    $lookup = $transactions->get_transaction_by_order($order_id);
+
+    if (!$lookup['success']) {
+        if ($lookup['error_type'] === 'not_found') {
+            return array('success' => true, 'data' => array('order_id' => $order_id, 'refunded' => false));
+        }
+        return payment_error_response($lookup, 'Payment could not be loaded');
+    }
+
+    $transaction = $lookup['data'];
+
+    if ($transaction['status'] === 'refunded') {
+        return array('success' => true, 'data' => array('order_id' => $order_id, 'refunded' => false));
+    }
+
+    $refund_result = refund_payment_ctr($transaction['reference']);
+    if (!$refund_result['success']) {
+        return $refund_result;
+    }
+
+    return array(
+        'success' => true,
+        'data' => array_merge($refund_result['data'], array('order_id' => $order_id, 'refunded' => true))
+    );
+}
+
+/**
+ * Record that a captured payment could not be refunded after its order failed
+ * The payment stays captured so an administrator can still refund it; checkout
+ * then answers retries with refund_failed_response() instead of waiting for an order.
+ *
+ * @param string $reference Payment reference
+ * @param string $reason Why the refund failed
+ * @return array Response array
+ */
+function record_failed_refund_ctr($reference, $reason)
+{
+    $transactions = new PaymentTransaction();
+    $update_result = $transactions->update_transaction($reference, array(
+        'failure_reason' => substr(PAYMENT_REFUND_FAILED_REASON . ': ' . $reason, 0, 255)
+    ));
+
+    if (!$update_result['success']) {
+        return payment_error_response($update_result, 'Failed refund could not be recorded');
+    }
+
+    return array('success' => true, 'data' => array('reference' => $reference));
+}
+
+/**
+ * Check whether a payment was captured for an order that failed and could not be refunded
+ *
+ * @param array $transaction Transaction row
+ * @return bool True when record_failed_refund_ctr() flagged the payment
+ */
+function payment_refund_failed($transaction)
+{
+    return $transaction['status'] === 'captured'
+        && strpos((string)$transaction['failure_reason'], PAYMENT_REFUND_FAILED_REASON) === 0;
+}
+
+/**
+ * Link a captured payment to the order it paid for
+ *
+ * @param string $reference Payment reference
+ * @param int $order_id Order ID
+ * @return array Response array
+ */
+function attach_order_to_payment_ctr($reference, $order_id)
+{
+    $transactions = new PaymentTransaction();
+    $update_result = $transactions->update_transaction($reference, array('order_id' => $order_id));
+
+    if (!$update_result['success']) {
+        return payment_error_response($update_result, 'Payment could not be linked to the order');
+    }
+
+    return array('success' => true, 'data' => array('reference' => $reference, 'order_id' => $order_id));
+}
+
+/**
+ * Get a payment that belongs to the customer
+ *
+ * @param string $reference Payment reference
+ * @param int $customer_id Customer ID
+ * @return array Response array with the transaction row
+ */
+function get_customer_payment($reference, $customer_id)
+{
+    $transactions = new PaymentTransaction();
+    $lookup = $transactions->get_transaction($reference);
+
+    // Someone else's payment is reported exactly like a missing one
+    if (!$lookup['success'] || (int)$lookup['data']['customer_id'] !== (int)$customer_id) {
+        return array(
+            'success' => false,
+            'error' => 'Payment not found. Please start checkout again.',
+            'error_type' => 'payment_not_found',
+            'error_details' => ['reference' => $reference]
+        );
+    }
+
+    return $lookup;
+}
+
+/**
+ * Store the status a provider reported and build the response
+ *
+ * @param array $transaction Current transaction row
+ * @param array $provider_data Provider result data (status, next_action, failure_reason)
+ * @return array Response array with status, next_action and failure_reason
+ */
+function apply_provider_status($transaction, $provider_data)
+{
+    $status = $provider_data['status'];
+
+    if ($status !== $transaction['status']) {
+        if (!payment_status_transition_allowed($transaction['status'], $status)) {
+            return invalid_payment_state_response($transaction, $status);
+        }
+
+        $transactions = new PaymentTransaction();
+        $update_result = $transactions->update_transaction($transaction['reference'], array(
+            'status' => $status,
+            'failure_reason' => $provider_data['failure_reason'] ?? null
+        ));
+
+        if (!$update_result['success']) {
+            return payment_error_response($update_result, 'Payment status could not be saved');
+        }
+
+        $transaction = $update_result['data'];
+    }
+
+    $response = payment_status_response($transaction);
+    if (!empty($provider_data['next_action'])) {
+        $response['data']['next_action'] = $provider_data['next_action'];
+    }
+
+    return $response;
+}
+
+/**
+ * Build the client-facing status response for a transaction
+ *
+ * @param array $transaction Transaction row
+ * @return array Response array
+ */
+function payment_status_response($transaction)
+{
+    return array(
+        'success' => true,
+        'data' => array(
+            'reference' => $transaction['reference'],
+            'provider' => $transaction['provider'],
+            'status' => $transaction['status'],
+            'amount' => (float)$transaction['amount'],
+            'currency' => $transaction['currency'],
+            'failure_reason' => $transaction['failure_reason'],
+            'quote_id' => $transaction['quote_id'],
+            'order_id' => $transaction['order_id'] !== null ? (int)$transaction['order_id'] : null
+        )
+    );
+}
+
+/**
+ * Response for an operation attempted in the wrong payment status
+ *
+ * @param array $transaction Transaction row
+ * @param string $expected_status Status the operation needs
+ * @return array Error response
+ */
+function invalid_payment_state_response($transaction, $expected_status)
+{
+    return array(
+        'success' => false,
+        'error' => 'This payment can no longer be used. Please start checkout again.',
+        'error_type' => 'invalid_payment_state',
+        'error_details' => [
+            'reference' => $transaction['reference'],
+            'status' => $transaction['status'],
+            'expected_status' => $expected_status
+        ]
+    );
+}
+
+/**
+ * Final checkout error for a payment that was taken but neither turned into an
+ * order nor refunded; names the payment so support can refund it
+ *
+ * @param string $reference Payment reference
+ * @return array Error response
+ */
+function refund_failed_response($reference)
+{
+    return array(
+        'success' => false,
+        'error' => "Your order could not be placed and we could not refund payment {$reference} automatically. Please contact support with this reference to get your money back.",
+        'error_type' => 'refund_failed',
+        'error_details' => ['payment_reference' => $reference]
+    );
+}
+
+/**
+ * Convert a model or provider error result into a controller response
+ *
+ * @param array $result Result array with error_type, error_message, error_details
+ * @param string $message User-facing message
+ * @return array Error response
+ */
+function payment_error_response($result, $message)
+{
+    return array(
+        'success' => false,
+        'error' => $message,
+        'error_type' => $result['error_type'] ?? 'payment_error',
+        'error_details' => $result['error_details'] ?? null,
+        'original_error' => $result['error_message'] ?? null
+    );
+}
+
+?>
@@ -1,6 +1,8 @@
 <?php
 
 require_once __DIR__ . '/../classes/product_class.php';
+require_once __DIR__ . '/../classes/product_variant_class.php';
+require_once __DIR__ . '/../classes/product_image_class.php';
 
 /**
  * Product Controller
@@ -20,9 +22,11 @@ require_once __DIR__ . '/../classes/product_class.php';
  * @param int $category_id Category ID
  * @param int $brand_id Brand ID
  * @param int $user_id User ID who owns the product
+ * @param float $product_weight Shipping weight in kg
+ * @param int|null $product_stock Units in stock (null when stock is not tracked)
  * @return array Response array with success status and data/error message
  */
-function add_product_ctr($product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id)
+function add_product_ctr($product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id, $product_weight = 0, $product_stock = null)
 {
     // Input validation with detailed error responses
     if (empty($product_title) || !is_string($product_title)) {
@@ -111,9 +115,18 @@ function add_product_ctr($product_title, $product_price, $product_description, $
         $product = new Product();
         
         // Invoke product class add_product method with enhanced error handling
-        $result = $product->add_product($product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id);
+        $result = $product->add_product($product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id, $product_weight, $product_stock);
         
         if ($result['success']) {
+            // The image a product is created with starts its gallery
+            if ($product_image !== '') {
+                $gallery = new ProductImage();
+                $gallery_result = $gallery->replace_primary_image($result['data']['product_id'], $product_image, $product_title);
+                if (!$gallery_result['success']) {
+                    error_log("Failed to start the gallery of product {$result['data']['product_id']}: " . $gallery_result['error_message']);
+                }
+            }
+
             return array(
                 'success' => true,
                 'data' => array(
@@ -170,9 +183,11 @@ function add_product_ctr($product_title, $product_price, $product_description, $
  * @param int $category_id Category ID
  * @param int $brand_id Brand ID
  * @param int $user_id User ID (for ownership verification)
+ * @param float|null $product_weight Shipping weight in kg (null keeps the current weight)
+ * @param int|null|false $product_stock Units in stock (null stops tracking stock, false keeps the current level)
  * @return array Response array with success status and data/error message
  */
-function update_product_ctr($product_id, $product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id)
+function update_product_ctr($product_id, $product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id, $product_weight = null, $product_stock = false)
 {
     // Input validation with detailed error responses
     if (empty($product_id) || !is_numeric($product_id)) {
@@ -270,9 +285,16 @@ function update_product_ctr($product_id, $product_title, $product_price, $produc
         $product = new Product();
         
         // Invoke product class update_product method with enhanced error handling
-        $result = $product->update_product($product_id, $product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id);
+        $result = $product->update_product($product_id, $product_title, $product_price, $product_description, $product_image, $product_keywords, $category_id, $brand_id, $user_id, $product_weight, $product_stock);
         
         if ($result['success']) {
+            // A new (or removed) product image replaces the gallery's primary image
+            $gallery = new ProductImage();
+            $gallery_result = $gallery->replace_primary_image($product_id, $product_image, $product_title);
+            if (!$gallery_result['success']) {
+                error_log("Failed to update the gallery of product {$product_id}: " . $gallery_result['error_message']);
+            }
+
             return array(
                 'success' => true,
                 'data' => array(
@@ -523,6 +545,20 @@ function delete_product_ctr($product_id, $user_id)
         $result = $product->delete_product($product_id, $user_id);
         
         if ($result['success']) {
+            // The product's variants go with it
+            $variant = new ProductVariant();
+            $variants_result = $variant->delete_product_variants($product_id);
+            if (!$variants_result['success']) {
+                error_log("Failed to delete variants of product {$product_id}: " . $variants_result['error_message']);
+            }
+
+            // So do its gallery entries; the files stay, as with the product image
+            $gallery = new ProductImage();
+            $images_result = $gallery->delete_product_images($product_id);
+            if (!$images_result['success']) {
+                error_log("Failed to delete images of product {$product_id}: " . $images_result['error_message']);
+            }
+
             return array(
                 'success' => true,
                 'data' => array(
@@ -3,7 +3,10 @@
 require_once __DIR__ . '/../classes/product_class.php';
 require_once __DIR__ . '/../classes/category_class.php';
 require_once __DIR__ . '/../classes/brand_class.php';
+require_once __DIR__ . '/../classes/search_synonym_class.php';
 require_once __DIR__ . '/../settings/db_class.php';
+require_once __DIR__ . '/product_variant_controller.php';
+require_once __DIR__ . '/product_image_controller.php';
 
 /**
  * Product Display Controller
@@ -11,6 +14,28 @@ require_once __DIR__ . '/../settings/db_class.php';
  * Handles customer-facing product display operations with business logic coordination.
  */
 
+// Tracked stock at or below this level shows as low stock
+const PRODUCT_LOW_STOCK_THRESHOLD = 5;
+
+// Most products, brands and categories listed in each group of the search dropdown
+const SEARCH_SUGGESTION_GROUP_LIMIT = 5;
+
+// Price buckets offered as search facets: key => [min, max), null max for open-ended
+const PRODUCT_PRICE_BUCKETS = array(
+    '0-25' => array(0, 25),
+    '25-50' => array(25, 50),
+    '50-100' => array(50, 100),
+    '100-200' => array(100, 200),
+    '200-' => array(200, null)
+);
+
+// Most categories or brands a search can be narrowed to at once
+const SEARCH_FACET_MAX_SELECTED = 50;
+
+// A search matching fewer products than this also searches close spellings of the
+// words the catalogue does not use, and offers the corrected query
+const SEARCH_CORRECTION_THRESHOLD = 3;
+
 /**
  * Get all products with pagination for customer display
  * 
@@ -62,7 +87,7 @@ function get_all_products_ctr($page = 1, $limit = 10)
             return array(
                 'success' => true,
                 'data' => array(
-                    'products' => $result['data']['products'],
+                    'products' => with_image_renditions(with_stock_status($result['data']['products'])),
                     'pagination' => array(
                         'current_page' => $page,
                         'total_pages' => $total_pages,
@@ -164,9 +189,8 @@ function search_products_ctr($query, $page = 1, $limit = 10)
         $result = $product->search_products($query, $limit, $offset);
         
         if ($result['success']) {
-            // Get total search count for pagination
-            $count_result = $product->get_search_count($query);
-            $total_count = $count_result['success'] ? $count_result['data']['total_count'] : 0;
+            // The search returns its total match count for pagination
+            $total_count = $result['data']['total_count'];
             
             // Calculate pagination data
             $total_pages = ceil($total_count / $limit);
@@ -176,7 +200,7 @@ function search_products_ctr($query, $page = 1, $limit = 10)
             return array(
                 'success' => true,
                 'data' => array(
-                    'products' => $result['data']['products'],
+                    'products' => with_image_renditions(with_stock_status($result['data']['products'])),
                     'search_query' => $query,
                     'pagination' => array(
                         'current_page' => $page,
@@ -331,7 +355,7 @@ function filter_products_ctr($filters, $page = 1, $limit = 10)
             return array(
                 'success' => true,
                 'data' => array(
-                    'products' => $result['data']['products'],
+                    'products' => with_image_renditions(with_stock_status($result['data']['products'])),
                     'filters' => array(
                         'category_id' => $category_id,
                         'brand_id' => $brand_id
@@ -407,7 +431,7 @@ function get_single_product_ctr($product_id)
                 return array(
                     'success' => true,
                     'data' => array(
-                        'product' => $result['data']['product']
+                        'product' => with_image_renditions(with_stock_status([$result['data']['product']]))[0]
                     )
                 );
             } else {
@@ -609,7 +633,7 @@ function composite_search_ctr($params)
             return array(
                 'success' => true,
                 'data' => array(
-                    'products' => $result['data']['products'],
+                    'products' => with_image_renditions(with_stock_status($result['data']['products'])),
                     'search_criteria' => array(
                         'query' => $query,
                         'category_id' => $category_id,
@@ -788,9 +812,8 @@ function advanced_search_ctr($query, $page = 1, $limit = 10)
         $result = $product->advanced_keyword_search($query, $limit, $offset);
         
         if ($result['success']) {
-            // Get total search count for pagination
-            $count_result = $product->get_search_count($query);
-            $total_count = $count_result['success'] ? $count_result['data']['total_count'] : 0;
+            // The search returns its total match count for pagination
+            $total_count = $result['data']['total_count'];
             
             // Calculate pagination data
             $total_pages = ceil($total_count / $limit);
@@ -800,7 +823,7 @@ function advanced_search_ctr($query, $page = 1, $limit = 10)
             return array(
                 'success' => true,
                 'data' => array(
-                    'products' => $result['data']['products'],
+                    'products' => with_image_renditions(with_stock_status($result['data']['products'])),
                     'search_query' => $query,
                     'search_terms' => $result['data']['search_terms'],
                     'pagination' => array(
@@ -846,10 +869,13 @@ function advanced_search_ctr($query, $page = 1, $limit = 10)
 
 /**
  * Get search suggestions for auto-complete
+ * Alongside the text suggestions, products, brands and categories matching the
+ * query are returned for the storefront's search dropdown. If those cannot be read
+ * the groups are left empty rather than failing the text suggestions.
  * 
  * @param string $partial_query Partial search query
  * @param int $limit Maximum number of suggestions (default: 10)
- * @return array Response array with success status and suggestions
+ * @return array Response array with success status, suggestions, products, brands and categories
  */
 function get_search_suggestions_ctr($partial_query, $limit = 10)
 {
@@ -883,12 +909,17 @@ function get_search_suggestions_ctr($partial_query, $limit = 10)
         $result = $product->get_search_suggestions($partial_query, $limit);
         
         if ($result['success']) {
+            $groups = get_search_suggestion_groups($product, $partial_query);
+
             return array(
                 'success' => true,
                 'data' => array(
                     'suggestions' => $result['data']['suggestions'],
                     'count' => $result['data']['count'],
-                    'query' => $partial_query
+                    'query' => $partial_query,
+                    'products' => $groups['products'],
+                    'brands' => $groups['brands'],
+                    'categories' => $groups['categories']
                 )
             );
         } else {
@@ -920,8 +951,67 @@ function get_search_suggestions_ctr($partial_query, $limit = 10)
     }
 }
 
+/**
+ * Products, brands and categories for the search dropdown
+ * Products carry the storefront price (lowest variant price), stock status and
+ * image srcsets so the dropdown can show them as they appear on the product cards.
+ *
+ * @param Product $product Product model
+ * @param string $partial_query Partial search query
+ * @return array 'products', 'brands' and 'categories' lists (empty when nothing matches)
+ */
+function get_search_suggestion_groups($product, $partial_query)
+{
+    $groups = array('products' => array(), 'brands' => array(), 'categories' => array());
+
+    if (strlen($partial_query) < 2) {
+        return $groups;
+    }
+
+    $result = $product->get_suggestion_matches($partial_query, SEARCH_SUGGESTION_GROUP_LIMIT);
+    if (!$result['success']) {
+        error_log("Search suggestion matches failed for query '{$partial_query}': " . $result['error_message']);
+        return $groups;
+    }
+
+    foreach (with_image_renditions(with_stock_status($result['data']['products'])) as $row) {
+        $groups['products'][] = array(
+            'product_id' => (int)$row['product_id'],
+            'product_title' => $row['product_title'],
+            'product_price' => $row['product_price'],
+            'price_from' => $row['price_from'] ?? null,
+            'product_image' => $row['product_image'],
+            'image_srcset' => $row['image_srcset'],
+            'image_webp_srcset' => $row['image_webp_srcset'],
+            'stock_status' => $row['stock_status']
+        );
+    }
+
+    foreach ($result['data']['brands'] as $row) {
+        $groups['brands'][] = array(
+            'brand_id' => (int)$row['brand_id'],
+            'brand_name' => $row['brand_name'],
+            'product_count' => (int)$row['product_count']
+        );
+    }
+
+    foreach ($result['data']['categories'] as $row) {
+        $groups['categories'][] = array(
+            'cat_id' => (int)$row['cat_id'],
+            'cat_name' => $row['cat_name'],
+            'product_count' => (int)$row['product_count']
+        );
+    }
+
+    return $groups;
+}
+
 /**
  * Enhanced composite search with advanced filtering and sorting
+ * Besides one category_id/brand_id, category_ids and brand_ids narrow the search to
+ * any of several, and price_ranges to any of the PRODUCT_PRICE_BUCKETS keys given.
+ * With include_facets, the result also counts the products each category, brand and
+ * price bucket would return (see get_search_facets_data()).
  * 
  * @param array $params Enhanced search parameters
  * @return array Response array with success status and search results
@@ -944,6 +1034,10 @@ function enhanced_composite_search_ctr($params)
     $brand_id = isset($params['brand_id']) ? $params['brand_id'] : null;
     $min_price = isset($params['min_price']) ? $params['min_price'] : null;
     $max_price = isset($params['max_price']) ? $params['max_price'] : null;
+    $category_ids = isset($params['category_ids']) ? $params['category_ids'] : array();
+    $brand_ids = isset($params['brand_ids']) ? $params['brand_ids'] : array();
+    $price_ranges = isset($params['price_ranges']) ? $params['price_ranges'] : array();
+    $include_facets = !empty($params['include_facets']);
     $sort_by = isset($params['sort_by']) ? $params['sort_by'] : 'relevance';
     $sort_order = isset($params['sort_order']) ? $params['sort_order'] : 'DESC';
     $page = isset($params['page']) ? $params['page'] : 1;
@@ -1026,6 +1120,48 @@ function enhanced_composite_search_ctr($params)
         );
     }
     
+    // Validate the multi-select category and brand filters
+    foreach (array('category_ids' => $category_ids, 'brand_ids' => $brand_ids) as $field => $ids) {
+        if (!is_array($ids) || count($ids) > SEARCH_FACET_MAX_SELECTED) {
+            return array(
+                'success' => false,
+                'error' => 'Choose at most ' . SEARCH_FACET_MAX_SELECTED . ($field === 'category_ids' ? ' categories' : ' brands') . ' at once',
+                'error_type' => 'validation_error',
+                'error_details' => ['field' => $field, 'max' => SEARCH_FACET_MAX_SELECTED]
+            );
+        }
+        
+        foreach ($ids as $id) {
+            if (!is_numeric($id) || $id <= 0) {
+                return array(
+                    'success' => false,
+                    'error' => ($field === 'category_ids' ? 'Category' : 'Brand') . ' IDs must be valid positive numbers',
+                    'error_type' => 'validation_error',
+                    'error_details' => ['field' => $field, 'value' => $id, 'issue' => 'invalid_numeric_value']
+                );
+            }
+        }
+    }
+    
+    // Validate the price buckets
+    if (!is_array($price_ranges)) {
+        $price_ranges = array($price_ranges);
+    }
+    
+    $price_buckets = array();
+    foreach (array_unique($price_ranges) as $key) {
+        if (!is_string($key) || !isset(PRODUCT_PRICE_BUCKETS[$key])) {
+            return array(
+                'success' => false,
+                'error' => 'Invalid price range. Must be one of: ' . implode(', ', array_keys(PRODUCT_PRICE_BUCKETS)),
+                'error_type' => 'validation_error',
+                'error_details' => ['field' => 'price_ranges', 'value' => $key, 'valid_values' => array_keys(PRODUCT_PRICE_BUCKETS)]
+            );
+        }
+        
+        $price_buckets[] = array('min' => PRODUCT_PRICE_BUCKETS[$key][0], 'max' => PRODUCT_PRICE_BUCKETS[$key][1]);
+    }
+    
     // Validate sort parameters
     $valid_sort_fields = ['relevance', 'price', 'title', 'date', 'category', 'brand'];
     if (!in_array($sort_by, $valid_sort_fields)) {
@@ -1057,7 +1193,10 @@ function enhanced_composite_search_ctr($params)
         $search_params = array(
             'query' => $query,
             'category_id' => $category_id,
+            'category_ids' => $category_ids,
             'brand_id' => $brand_id,
+            'brand_ids' => $brand_ids,
+            'price_ranges' => $price_buckets,
             'min_price' => $min_price,
             'max_price' => $max_price,
             'sort_by' => $sort_by,
@@ -1066,33 +1205,49 @@ function enhanced_composite_search_ctr($params)
             'offset' => $offset
         );
         
+        // Expand the query with the admin's synonyms, and with spelling corrections
+        // when it matches too few products
+        $did_you_mean = null;
+        if ($query !== '') {
+            $search_params['related_terms'] = get_search_synonym_terms($product, $query);
+            
+            $correction = get_search_correction($product, $search_params);
+            if ($correction !== null) {
+                $search_params['related_terms'] = $correction['related_terms'];
+                $did_you_mean = $correction['query'];
+            }
+        }
+        
         // Perform enhanced composite search
         $result = $product->enhanced_composite_search($search_params);
         
         if ($result['success']) {
-            // For pagination, estimate total count based on results
-            $total_count = count($result['data']['products']) < $limit ? 
-                          $offset + count($result['data']['products']) : 
-                          ($offset + $limit + 1); // Estimate there might be more
+            // The search returns its total match count for pagination
+            $total_count = $result['data']['total_count'];
             
             // Calculate pagination data
             $total_pages = ceil($total_count / $limit);
             $has_previous = $page > 1;
-            $has_next = count($result['data']['products']) >= $limit;
+            $has_next = $page < $total_pages;
             
             return array(
                 'success' => true,
                 'data' => array(
-                    'products' => $result['data']['products'],
+                    'products' => with_image_renditions(with_stock_status($result['data']['products'])),
                     'search_criteria' => array(
                         'query' => $query,
                         'category_id' => $category_id,
+                        'category_ids' => array_map('intval', array_values($category_ids)),
                         'brand_id' => $brand_id,
+                        'brand_ids' => array_map('intval', array_values($brand_ids)),
+                        'price_ranges' => array_values(array_unique($price_ranges)),
                         'min_price' => $min_price,
                         'max_price' => $max_price,
                         'sort_by' => $sort_by,
                         'sort_order' => $sort_order
                     ),
+                    'did_you_mean' => $did_you_mean,
+                    'facets' => $include_facets ? get_search_facets_data($product, $search_params) : null,
                     'pagination' => array(
                         'current_page' => $page,
                         'total_pages' => $total_pages,
@@ -1134,6 +1289,143 @@ function enhanced_composite_search_ctr($params)
     }
 }
 
+/**
+ * Terms of the admin's synonym groups that a search query should also match
+ * A group applies when the query contains one of its terms (compared after
+ * stemming, so "sneaker" matches a group listing "sneakers"). If the groups cannot
+ * be read the search goes ahead without them.
+ * 
+ * @param Product $product Product model, used to normalize terms like a query
+ * @param string $query Search query
+ * @return array Every term of the groups that apply
+ */
+function get_search_synonym_terms($product, $query)
+{
+    $synonyms = new SearchSynonym();
+    $result = $synonyms->get_groups();
+    if (!$result['success']) {
+        error_log("Search synonyms failed: " . $result['error_message']);
+        return array();
+    }
+    
+    $normalized_query = ' ' . $product->normalize_search_phrase($query) . ' ';
+    $terms = array();
+    foreach ($result['data'] as $group) {
+        foreach ($group['terms'] as $term) {
+            $phrase = $product->normalize_search_phrase($term);
+            if ($phrase !== '' && strpos($normalized_query, ' ' . $phrase . ' ') !== false) {
+                $terms = array_merge($terms, $group['terms']);
+                break;
+            }
+        }
+    }
+    
+    return array_values(array_unique($terms));
+}
+
+/**
+ * Spelling correction for a search that matches too few products
+ * Words covered by a synonym are never corrected. If the catalogue words or the
+ * match count cannot be read the search goes ahead uncorrected.
+ * 
+ * @param Product $product Product model
+ * @param array $search_params Parameters for enhanced_composite_search(), with related_terms
+ * @return array|null The corrected 'query' and the 'related_terms' to search with it,
+ *                    or null when the search needs no correction
+ */
+function get_search_correction($product, $search_params)
+{
+    $known_words = preg_split('/\W+/', strtolower(implode(' ', $search_params['related_terms'])), -1, PREG_SPLIT_NO_EMPTY);
+    
+    $corrections = $product->get_search_corrections($search_params['query'], $known_words);
+    if (!$corrections['success']) {
+        error_log("Search corrections failed: " . $corrections['error_message']);
+        return null;
+    }
+    
+    if (empty($corrections['data']['corrections'])) {
+        return null;
+    }
+    
+    $matches = $product->count_enhanced_composite_matches($search_params);
+    if (!$matches['success']) {
+        error_log("Search match count failed: " . $matches['error_message']);
+        return null;
+    }
+    
+    if ($matches['data']['count'] >= SEARCH_CORRECTION_THRESHOLD) {
+        return null;
+    }
+    
+    $corrected_query = $corrections['data']['query'];
+    
+    return array(
+        'query' => $corrected_query,
+        'related_terms' => array_values(array_unique(array_merge(
+            $search_params['related_terms'],
+            array_values($corrections['data']['corrections']),
+            get_search_synonym_terms($product, $corrected_query)
+        )))
+    );
+}
+
+/**
+ * Facet counts for an enhanced composite search
+ * Each category, brand and price bucket carries the number of products the search
+ * would return with it ticked, counting every other filter. If the counts cannot be
+ * read the search still succeeds, without facets.
+ * 
+ * @param Product $product Product model
+ * @param array $search_params Parameters passed to enhanced_composite_search()
+ * @return array|null 'categories', 'brands' and 'price_ranges' lists, or null on failure
+ */
+function get_search_facets_data($product, $search_params)
+{
+    $buckets = array();
+    foreach (PRODUCT_PRICE_BUCKETS as $key => $range) {
+        $buckets[$key] = array('min' => $range[0], 'max' => $range[1]);
+    }
+    
+    $result = $product->get_search_facets($search_params, array_values($buckets));
+    if (!$result['success']) {
+        error_log("Search facets failed: " . $result['error_message']);
+        return null;
+    }
+    
+    $price_ranges = array();
+    foreach (array_keys($buckets) as $index => $key) {
+        $price_ranges[] = array(
+            'key' => $key,
+            'label' => price_bucket_label($buckets[$key]['min'], $buckets[$key]['max']),
+            'min' => $buckets[$key]['min'],
+            'max' => $buckets[$key]['max'],
+            'product_count' => $result['data']['price_buckets'][$index] ?? 0
+        );
+    }
+    
+    return array(
+        'categories' => $result['data']['categories'],
+        'brands' => $result['data']['brands'],
+        'price_ranges' => $price_ranges
+    );
+}
+
+/**
+ * Shopper-facing name for a price bucket
+ * 
+ * @param float $min Lower bound (inclusive)
+ * @param float|null $max Upper bound (exclusive), null for open-ended
+ * @return string Label such as "Under $25", "$25 to $50" or "$200 and up"
+ */
+function price_bucket_label($min, $max)
+{
+    if ($max === null) {
+        return '$' . $min . ' and up';
+    }
+    
+    return $min <= 0 ? 'Under $' . $max : '$' . $min . ' to $' . $max;
+}
+
 /**
  * Get all brands for filter dropdown population
  * 
@@ -1271,6 +1563,65 @@ function get_brands_for_filter_ctr($category_id = null)
     }
 }
 
+/**
+ * Classify a product's stock level for the storefront
+ *
+ * @param int|null $product_stock Units in stock (null when stock is not tracked)
+ * @return string in_stock, low_stock or sold_out
+ */
+function get_product_stock_status($product_stock)
+{
+    if ($product_stock === null) {
+        return 'in_stock';
+    }
+
+    if ((int)$product_stock <= 0) {
+        return 'sold_out';
+    }
+
+    return (int)$product_stock <= PRODUCT_LOW_STOCK_THRESHOLD ? 'low_stock' : 'in_stock';
+}
+
+/**
+ * Add stock_status to products read for customer display
+ * Products with variants are summarised first (see with_variant_summaries()), so
+ * they only sell out when every variant has.
+ *
+ * @param array $products Product rows
+ * @return array The rows with has_variants and stock_status set
+ */
+function with_stock_status($products)
+{
+    $products = with_variant_summaries($products);
+
+    foreach ($products as &$product) {
+        $product['stock_status'] = get_product_stock_status($product['product_stock'] ?? null);
+    }
+    unset($product);
+
+    return $products;
+}
+
+/**
+ * Render the stock badge for a product card
+ *
+ * @param array $product Product row with stock_status
+ * @return string Badge HTML
+ */
+function stock_badge_html($product)
+{
+    switch ($product['stock_status'] ?? 'in_stock') {
+        case 'sold_out':
+            return '<span class="stock-badge stock-sold-out"><i class="fas fa-ban"></i> Sold out</span>';
+
+        case 'low_stock':
+            return '<span class="stock-badge stock-low"><i class="fas fa-exclamation-circle"></i> Only ' . (int)$product['product_stock'] . ' left</span>';
+
+        default:
+            return '<span class="stock-badge stock-in"><i class="fas fa-check-circle"></i> In stock</span>';
+    }
+}
+
 /**
  * Get user-friendly error messages for product display related errors
  * @param string $error_type The type of error
@@ -0,0 +1,541 @@
+<?php
+
+require_once __DIR__ . '/../classes/product_image_class.php';
+
+/**
+ * Product Image Controller
+ * Admin management of a product's image gallery (order, primary image and alt
+ * text) and the gallery the storefront shows. See migrations/010_product_images.sql.
+ * Images are uploaded one at a time through upload_product_image_action.php first;
+ * saving the gallery only stores their paths.
+ *
+ * Uploads are re-encoded without their metadata and resized into renditions named
+ * after the original (photo.jpg gets photo-w320.jpg, photo-w320.webp, ...), which the
+ * storefront offers through srcset so each view downloads a suitable size.
+ */
+
+const PRODUCT_IMAGE_MAX_IMAGES = 12;
+const PRODUCT_IMAGE_WIDTHS = [160, 320, 640, 1024, 1600];
+const PRODUCT_IMAGE_QUALITY = 82;
+
+// sizes attribute for each place product images are shown
+const PRODUCT_IMAGE_SIZES_CARD = '(max-width: 768px) 100vw, 320px';
+const PRODUCT_IMAGE_SIZES_DETAIL = '(max-width: 768px) 100vw, 50vw';
+const PRODUCT_IMAGE_SIZES_THUMBNAIL = '64px';
+
+/**
+ * Get a product's gallery
+ *
+ * @param int $product_id Product ID
+ * @return array Response array with the images in display order
+ */
+function get_product_images_ctr($product_id)
+{
+    if (empty($product_id) || !is_numeric($product_id) || $product_id <= 0) {
+        return array(
+            'success' => false,
+            'error' => 'Valid product ID is required',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'product_id', 'value' => $product_id]
+        );
+    }
+
+    try {
+        $gallery = new ProductImage();
+        $result = $gallery->get_product_images((int)$product_id);
+
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => 'Failed to load product images.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        return array('success' => true, 'data' => $result['data']);
+
+    } catch (Exception $e) {
+        error_log("Get product images exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to load product images.',
+            'error_type' => 'image_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Replace a product's gallery and delete the files of images taken out of it
+ *
+ * @param int $product_id Product ID
+ * @param int $user_id Admin user ID (must own the product)
+ * @param array $input Raw form input (see normalize_image_input())
+ * @return array Response array with the stored images
+ */
+function save_product_images_ctr($product_id, $user_id, $input)
+{
+    if (empty($product_id) || !is_numeric($product_id) || $product_id <= 0) {
+        return array(
+            'success' => false,
+            'error' => 'Valid product ID is required',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'product_id', 'value' => $product_id]
+        );
+    }
+
+    $normalized = normalize_image_input((int)$product_id, $user_id, $input);
+    if (!$normalized['success']) {
+        return $normalized;
+    }
+
+    try {
+        $gallery = new ProductImage();
+        $result = $gallery->save_product_images((int)$product_id, $user_id, $normalized['data']);
+
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => $result['error_type'] === 'not_found' ? 'Product or image not found.' : 'Failed to save product images.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        delete_product_image_files($result['data']['removed_paths']);
+
+        return array('success' => true, 'data' => $result['data']['images']);
+
+    } catch (Exception $e) {
+        error_log("Save product images exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to save product images.',
+            'error_type' => 'image_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Validate and normalize the gallery editor input
+ *
+ * @param int $product_id Product ID (new images must be uploaded for it)
+ * @param int $user_id Admin user ID (new images must be in their uploads)
+ * @param array $input 'images' (list of image_id, image_path and alt_text, in
+ *                     display order) and 'primary_index' (position of the primary image)
+ * @return array Response array with the normalized images
+ */
+function normalize_image_input($product_id, $user_id, $input)
+{
+    $raw_images = array_values((array)($input['images'] ?? array()));
+
+    if (count($raw_images) > PRODUCT_IMAGE_MAX_IMAGES) {
+        return image_validation_error('images', 'A product can have at most ' . PRODUCT_IMAGE_MAX_IMAGES . ' images.');
+    }
+
+    $primary_index = $input['primary_index'] ?? 0;
+    if (!empty($raw_images) && (!is_numeric($primary_index) || (int)$primary_index < 0 || (int)$primary_index >= count($raw_images))) {
+        return image_validation_error('primary_index', 'Choose which image is the primary image.');
+    }
+
+    $image_prefix = 'uploads/u' . (int)$user_id . '/p' . (int)$product_id . '/';
+    $images = array();
+    $image_ids = array();
+
+    foreach ($raw_images as $index => $raw) {
+        $position = $index + 1;
+
+        $image_id = $raw['image_id'] ?? 0;
+        if ($image_id === '' || $image_id === null) {
+            $image_id = 0;
+        }
+        if (!is_numeric($image_id) || $image_id < 0) {
+            return image_validation_error('image_id', "Image {$position} is not valid. Please reload the page.");
+        }
+        $image_id = (int)$image_id;
+
+        if ($image_id > 0) {
+            if (isset($image_ids[$image_id])) {
+                return image_validation_error('image_id', "Image {$position} is listed twice. Please reload the page.");
+            }
+            $image_ids[$image_id] = true;
+        }
+
+        $path = trim((string)($raw['image_path'] ?? ''));
+        if ($image_id === 0 && (strpos($path, $image_prefix) !== 0 || strpos($path, '..') !== false || strlen($path) > 255)) {
+            return image_validation_error('image_path', "Image {$position} must be uploaded for this product.");
+        }
+
+        $alt_text = trim((string)($raw['alt_text'] ?? ''));
+        if (strlen($alt_text) > 255) {
+            return image_validation_error('alt_text', "Image {$position} alt text must be 255 characters or less.");
+        }
+
+        $images[] = array(
+            'image_id' => $image_id,
+            'image_path' => $path,
+            'alt_text' => $alt_text !== '' ? $alt_text : null,
+            'is_primary' => $index === (int)$primary_index
+        );
+    }
+
+    return array('success' => true, 'data' => $images);
+}
+
+/**
+ * Delete uploaded image files that are no longer used
+ * Only files inside the uploads directory are touched.
+ *
+ * @param array $paths Relative paths such as uploads/u1/p2/photo.jpg
+ * @return void
+ */
+function delete_product_image_files($paths)
+{
+    $uploads_path = realpath(__DIR__ . '/../uploads');
+    if ($uploads_path === false) {
+        return;
+    }
+
+    foreach ($paths as $path) {
+        if (strpos($path, 'uploads/') !== 0) {
+            continue;
+        }
+
+        // Its renditions go with it
+        foreach (array_merge(array($path), product_image_rendition_paths($path)) as $file) {
+            $real_file_path = realpath(__DIR__ . '/../' . $file);
+            if ($real_file_path && strpos($real_file_path, $uploads_path . DIRECTORY_SEPARATOR) === 0 && is_file($real_file_path)) {
+                unlink($real_file_path);
+                error_log("Deleted product image file: {$file}");
+            }
+        }
+    }
+}
+
+/**
+ * Detect an image's real type from its contents (not its name)
+ *
+ * @param string $file_path Image file
+ * @return array|null extension, mime_type, width and height; null when it is not a JPEG, PNG, GIF or WebP image
+ */
+function detect_product_image_type($file_path)
+{
+    $image_info = @getimagesize($file_path);
+    if ($image_info === false) {
+        return null;
+    }
+
+    $extensions = array(IMAGETYPE_JPEG => 'jpg', IMAGETYPE_PNG => 'png', IMAGETYPE_GIF => 'gif', IMAGETYPE_WEBP => 'webp');
+    if (!isset($extensions[$image_info[2]])) {
+        return null;
+    }
+
+    return array(
+        'extension' => $extensions[$image_info[2]],
+        'mime_type' => image_type_to_mime_type($image_info[2]),
+        'width' => $image_info[0],
+        'height' => $image_info[1]
+    );
+}
+
+/**
+ * Store an uploaded image without its metadata and write its renditions
+ * The original is re-encoded from its pixels, which drops EXIF data such as camera
+ * details and GPS position (JPEGs are turned upright first). A rendition is written
+ * for every width in PRODUCT_IMAGE_WIDTHS below the original's, plus one at the
+ * original width when that is below the largest, in the original format and in
+ * WebP when the GD or Imagick build can write it. GIFs are stored as they are so
+ * animations survive; they carry no EXIF data.
+ *
+ * @param string $source_path Uploaded file
+ * @param string $target_path Where to store it (extension matching $type)
+ * @param array $type Result of detect_product_image_type()
+ * @return array Response array with the stored image's width and height (upright, so
+ *               a rotated JPEG reports its turned dimensions), the rendition widths
+ *               and whether WebP was written
+ */
+function process_product_image($source_path, $target_path, $type)
+{
+    if ($type['extension'] === 'gif') {
+        if (!copy($source_path, $target_path)) {
+            return image_processing_error('Failed to save uploaded file.');
+        }
+        return array('success' => true, 'data' => array(
+            'width' => $type['width'],
+            'height' => $type['height'],
+            'widths' => array(),
+            'webp' => false
+        ));
+    }
+
+    $base_path = substr($target_path, 0, -strlen($type['extension']) - 1);
+
+    try {
+        if (extension_loaded('gd')) {
+            $result = process_image_with_gd($source_path, $target_path, $base_path, $type['extension']);
+        } elseif (extension_loaded('imagick')) {
+            $result = process_image_with_imagick($source_path, $target_path, $base_path, $type['extension']);
+        } else {
+            return image_processing_error('Image processing is not available on this server (GD or Imagick is required).');
+        }
+    } catch (Exception $e) {
+        error_log("Product image processing exception: " . $e->getMessage());
+        $result = null;
+    }
+
+    if ($result === null) {
+        return image_processing_error('The image could not be processed. Please try another file.');
+    }
+
+    return array('success' => true, 'data' => $result);
+}
+
+/**
+ * Rendition widths for an image of the given (upright) width
+ *
+ * @param int $image_width Image width in pixels
+ * @return array Widths in pixels, smallest first
+ */
+function product_image_widths($image_width)
+{
+    $widths = array();
+    foreach (PRODUCT_IMAGE_WIDTHS as $width) {
+        if ($width < $image_width) {
+            $widths[] = $width;
+        }
+    }
+    if ($image_width < max(PRODUCT_IMAGE_WIDTHS)) {
+        $widths[] = $image_width;
+    }
+
+    return $widths;
+}
+
+/**
+ * GD implementation of process_product_image()
+ *
+ * @return array|null width, height, widths and webp; null when the image could not be read or written
+ */
+function process_image_with_gd($source_path, $target_path, $base_path, $extension)
+{
+    $readers = array('jpg' => 'imagecreatefromjpeg', 'png' => 'imagecreatefrompng', 'webp' => 'imagecreatefromwebp');
+    if (!function_exists($readers[$extension])) {
+        return null;
+    }
+
+    $image = @$readers[$extension]($source_path);
+    if (!$image) {
+        return null;
+    }
+
+    if ($extension === 'jpg' && function_exists('exif_read_data')) {
+        $exif = @exif_read_data($source_path);
+        $angles = array(3 => 180, 6 => -90, 8 => 90);
+        if (isset($angles[$exif['Orientation'] ?? 0])) {
+            $image = imagerotate($image, $angles[$exif['Orientation']], 0);
+        }
+    }
+
+    $webp = function_exists('imagewebp') && (imagetypes() & IMG_WEBP) && $extension !== 'webp';
+
+    $write = function ($image, $path, $format) {
+        imagealphablending($image, false);
+        imagesavealpha($image, true);
+
+        switch ($format) {
+            case 'jpg':
+                return imagejpeg($image, $path, PRODUCT_IMAGE_QUALITY);
+            case 'png':
+                return imagepng($image, $path, 6);
+            default:
+                return imagewebp($image, $path, PRODUCT_IMAGE_QUALITY);
+        }
+    };
+
+    if (!$write($image, $target_path, $extension)) {
+        return null;
+    }
+
+    $widths = product_image_widths(imagesx($image));
+    foreach ($widths as $width) {
+        $rendition = $width === imagesx($image) ? $image : imagescale($image, $width);
+        $write($rendition, "{$base_path}-w{$width}.{$extension}", $extension);
+        if ($webp) {
+            $write($rendition, "{$base_path}-w{$width}.webp", 'webp');
+        }
+    }
+
+    return array('width' => imagesx($image), 'height' => imagesy($image), 'widths' => $widths, 'webp' => $webp);
+}
+
+/**
+ * Imagick implementation of process_product_image()
+ *
+ * @return array|null width, height, widths and webp; null when the image could not be written
+ */
+function process_image_with_imagick($source_path, $target_path, $base_path, $extension)
+{
+    $image = new Imagick($source_path);
+
+    $angles = array(Imagick::ORIENTATION_BOTTOMRIGHT => 180, Imagick::ORIENTATION_RIGHTTOP => 90, Imagick::ORIENTATION_LEFTBOTTOM => -90);
+    if (isset($angles[$image->getImageOrientation()])) {
+        $image->rotateImage('none', $angles[$image->getImageOrientation()]);
+    }
+    $image->setImageOrientation(Imagick::ORIENTATION_TOPLEFT);
+    $image->stripImage();
+    $image->setImageCompressionQuality(PRODUCT_IMAGE_QUALITY);
+
+    $webp = !empty(Imagick::queryFormats('WEBP')) && $extension !== 'webp';
+
+    if (!$image->writeImage($target_path)) {
+        return null;
+    }
+
+    $widths = product_image_widths($image->getImageWidth());
+    foreach ($widths as $width) {
+        $rendition = clone $image;
+        if ($width !== $rendition->getImageWidth()) {
+            $rendition->resizeImage($width, 0, Imagick::FILTER_LANCZOS, 1);
+        }
+        $rendition->writeImage("{$base_path}-w{$width}.{$extension}");
+        if ($webp) {
+            $rendition->setImageFormat('webp');
+            $rendition->writeImage("{$base_path}-w{$width}.webp");
+        }
+    }
+
+    return array('width' => $image->getImageWidth(), 'height' => $image->getImageHeight(), 'widths' => $widths, 'webp' => $webp);
+}
+
+/**
+ * Paths of the renditions written for an uploaded image
+ *
+ * @param string $path Relative path such as uploads/u1/p2/photo.jpg
+ * @return array Relative rendition paths (none for images stored before renditions existed)
+ */
+function product_image_rendition_paths($path)
+{
+    if (!preg_match('#^(uploads/[A-Za-z0-9_/-]+)\.(jpg|jpeg|png|webp)$#', (string)$path, $match)) {
+        return array();
+    }
+
+    $paths = array();
+    foreach (array_unique(array($match[2], 'webp')) as $extension) {
+        foreach (glob(__DIR__ . '/../' . $match[1] . '-w[0-9]*.' . $extension) ?: array() as $file) {
+            $paths[] = $match[1] . substr($file, strlen(__DIR__ . '/../' . $match[1]));
+        }
+    }
+
+    return $paths;
+}
+
+/**
+ * srcset values for an uploaded image's renditions
+ *
+ * @param string $path Relative path such as uploads/u1/p2/photo.jpg
+ * @return array 'srcset' (original format) and 'webp_srcset'; empty strings when there are no renditions
+ */
+function product_image_srcsets($path)
+{
+    $candidates = array('srcset' => array(), 'webp_srcset' => array());
+    $extension = strtolower(pathinfo((string)$path, PATHINFO_EXTENSION));
+
+    foreach (product_image_rendition_paths($path) as $rendition) {
+        if (preg_match('/-w(\d+)\.([a-z]+)$/', $rendition, $match)) {
+            $key = $match[2] === 'webp' && $extension !== 'webp' ? 'webp_srcset' : 'srcset';
+            $candidates[$key][(int)$match[1]] = $rendition . ' ' . $match[1] . 'w';
+        }
+    }
+
+    foreach ($candidates as $key => $list) {
+        ksort($list);
+        $candidates[$key] = implode(', ', $list);
+    }
+
+    return $candidates;
+}
+
+/**
+ * Add image_srcset and image_webp_srcset to products read for customer display
+ *
+ * @param array $products Product rows
+ * @return array The rows with the srcset values of their product_image
+ */
+function with_image_renditions($products)
+{
+    foreach ($products as &$product) {
+        $srcsets = product_image_srcsets($product['product_image'] ?? '');
+        $product['image_srcset'] = $srcsets['srcset'];
+        $product['image_webp_srcset'] = $srcsets['webp_srcset'];
+    }
+    unset($product);
+
+    return $products;
+}
+
+/**
+ * Render a product image as a <picture> offering its renditions
+ * Images without renditions render as a plain <img>.
+ *
+ * @param string $path Relative image path
+ * @param string $alt Alt text
+ * @param string $sizes sizes attribute (one of the PRODUCT_IMAGE_SIZES_* constants)
+ * @param string $attributes Extra <img> attributes, already escaped
+ * @param bool $lazy Put the sources in data-src/data-srcset for js/lazy_images.js
+ * @return string HTML
+ */
+function product_picture_html($path, $alt, $sizes, $attributes = '', $lazy = false)
+{
+    $srcsets = product_image_srcsets($path);
+    $prefix = $lazy ? 'data-' : '';
+    $html = '<picture>';
+
+    if ($srcsets['webp_srcset'] !== '') {
+        $html .= '<source type="image/webp" ' . $prefix . 'srcset="' . htmlspecialchars($srcsets['webp_srcset']) . '" sizes="' . htmlspecialchars($sizes) . '">';
+    }
+
+    $html .= '<img ' . $prefix . 'src="' . htmlspecialchars($path) . '"';
+    if ($srcsets['srcset'] !== '') {
+        $html .= ' ' . $prefix . 'srcset="' . htmlspecialchars($srcsets['srcset']) . '" sizes="' . htmlspecialchars($sizes) . '"';
+    }
+    $html .= ' alt="' . htmlspecialchars($alt) . '" ' . $attributes . '>';
+
+    return $html . '</picture>';
+}
+
+/**
+ * Failure response for an image that could not be stored
+ *
+ * @param string $message Message for the admin
+ * @return array Response array
+ */
+function image_processing_error($message)
+{
+    return array(
+        'success' => false,
+        'error' => $message,
+        'error_type' => 'image_processing_failed',
+        'error_details' => null
+    );
+}
+
+/**
+ * Validation failure response for a gallery editor field
+ *
+ * @param string $field Field name
+ * @param string $message Message for the admin
+ * @return array Response array
+ */
+function image_validation_error($field, $message)
+{
+    return array(
+        'success' => false,
+        'error' => $message,
+        'error_type' => 'validation_error',
+        'error_details' => ['field' => $field]
+    );
+}
+
+?>
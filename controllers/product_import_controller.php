@@ -0,0 +1,674 @@
+<?php
+
+require_once __DIR__ . '/product_controller.php';
+require_once __DIR__ . '/category_controller.php';
+require_once __DIR__ . '/brand_controller.php';
+require_once __DIR__ . '/../settings/csv_helper.php';
+
+/**
+ * Product Import Controller
+ * Bulk product creation from a CSV or JSON file on the admin import page. The file
+ * is read once and kept in the system temp directory while the admin maps its columns
+ * and reviews a dry run; the import then adds the rows through add_product_ctr() in
+ * batches, so a large file never has to finish within one request. Rows are checked
+ * with the same rules as the Add Product form, and rejected rows can be downloaded
+ * with their errors to be fixed and imported again.
+ */
+
+const PRODUCT_IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const PRODUCT_IMPORT_MAX_ROWS = 1000;
+const PRODUCT_IMPORT_BATCH_SIZE = 50;
+const PRODUCT_IMPORT_EXPIRY = 86400;
+
+// Importable fields and their labels; category and brand accept a name or an ID
+const PRODUCT_IMPORT_FIELDS = [
+    'product_title' => 'Title',
+    'product_price' => 'Price',
+    'product_description' => 'Description',
+    'product_keywords' => 'Keywords',
+    'category' => 'Category',
+    'brand' => 'Brand',
+    'product_weight' => 'Weight (kg)',
+    'product_stock' => 'Stock'
+];
+const PRODUCT_IMPORT_REQUIRED_FIELDS = ['product_title', 'product_price', 'category', 'brand'];
+
+/**
+ * Read an uploaded import file and show the dry run for its suggested column mapping
+ *
+ * @param int $user_id Admin user ID
+ * @param string $file_name Name of the file on the admin's computer (.csv or .json)
+ * @param string $file_path The received file
+ * @return array Response array with the dry run (see product_import_preview())
+ */
+function start_product_import_ctr($user_id, $file_name, $file_path)
+{
+    cleanup_abandoned_product_imports();
+
+    if (filesize($file_path) > PRODUCT_IMPORT_MAX_BYTES) {
+        return product_import_error('The import file must be 2MB or smaller.', 'file_too_large', ['field' => 'import_file']);
+    }
+
+    $parsed = parse_product_import_file($file_name, $file_path);
+    if (!$parsed['success']) {
+        return $parsed;
+    }
+
+    $import = array(
+        'import_id' => bin2hex(random_bytes(16)),
+        'user_id' => (int)$user_id,
+        'file_name' => basename($file_name),
+        'headers' => $parsed['data']['headers'],
+        'rows' => $parsed['data']['rows'],
+        'mapping' => suggest_product_import_mapping($parsed['data']['headers']),
+        'next_row' => 0,
+        'imported' => 0,
+        'rejected' => array()
+    );
+
+    return product_import_preview($import);
+}
+
+/**
+ * Show the dry run again with a different column mapping
+ *
+ * @param int $user_id Admin user ID (must have started the import)
+ * @param string $import_id Import ID
+ * @param array $mapping Field => column header ('' leaves the field empty)
+ * @return array Response array with the dry run
+ */
+function preview_product_import_ctr($user_id, $import_id, $mapping)
+{
+    $import = load_product_import($user_id, $import_id);
+    if ($import === null) {
+        return product_import_error('This import has expired. Please choose the file again.', 'import_not_found');
+    }
+
+    if ($import['next_row'] > 0) {
+        return product_import_error('This file is already being imported.', 'import_started');
+    }
+
+    $import['mapping'] = array();
+    foreach (array_keys(PRODUCT_IMPORT_FIELDS) as $field) {
+        $header = trim((string)($mapping[$field] ?? ''));
+        $import['mapping'][$field] = in_array($header, $import['headers'], true) ? $header : '';
+    }
+
+    return product_import_preview($import);
+}
+
+/**
+ * Import the next batch of rows
+ * A batch asked for again (after a dropped connection) is not imported twice; the
+ * response says where the import has got to so the page can carry on from there.
+ *
+ * @param int $user_id Admin user ID (must have started the import)
+ * @param string $import_id Import ID
+ * @param int $from_row Index of the first row of the batch
+ * @return array Response array with the batch results and the import progress
+ */
+function import_product_batch_ctr($user_id, $import_id, $from_row)
+{
+    if (load_product_import($user_id, $import_id) === null) {
+        return product_import_error('This import has expired. Please choose the file again.', 'import_not_found');
+    }
+
+    // One batch at a time per import
+    $lock = fopen(product_import_path($import_id) . '.lock', 'c');
+    if (!$lock || !flock($lock, LOCK_EX)) {
+        return product_import_error('Failed to import the batch. Please try again.', 'import_locked');
+    }
+
+    try {
+        $import = load_product_import($user_id, $import_id);
+        $mapping_check = check_product_import_mapping($import['mapping']);
+        if (!$mapping_check['success']) {
+            return $mapping_check;
+        }
+
+        $results = array();
+
+        if (is_numeric($from_row) && (int)$from_row === $import['next_row']) {
+            $lookups = load_product_import_lookups($user_id);
+            if (!$lookups['success']) {
+                return $lookups;
+            }
+
+            $last_row = min($import['next_row'] + PRODUCT_IMPORT_BATCH_SIZE, count($import['rows']));
+            for ($index = $import['next_row']; $index < $last_row; $index++) {
+                $results[] = import_product_row($user_id, $import, $index, $lookups['data']);
+            }
+
+            foreach ($results as $result) {
+                if ($result['product_id'] !== null) {
+                    unset($import['rejected'][$result['row'] - 1]);
+                    $import['imported']++;
+                } else {
+                    $import['rejected'][$result['row'] - 1] = $result['errors'];
+                }
+            }
+
+            $import['next_row'] = $last_row;
+            save_product_import($import);
+        }
+
+        return array(
+            'success' => true,
+            'data' => array(
+                'results' => $results,
+                'next_row' => $import['next_row'],
+                'total_rows' => count($import['rows']),
+                'imported_count' => $import['imported'],
+                'rejected_count' => count(array_filter(array_keys($import['rejected']), function($index) use ($import) {
+                    return $index < $import['next_row'];
+                })),
+                'done' => $import['next_row'] >= count($import['rows'])
+            )
+        );
+
+    } finally {
+        flock($lock, LOCK_UN);
+        fclose($lock);
+    }
+}
+
+/**
+ * Rejected rows as CSV, with their errors
+ * Before the import these are the rows the dry run rejected; afterwards they are the
+ * rows that were not imported.
+ *
+ * @param int $user_id Admin user ID (must have started the import)
+ * @param string $import_id Import ID
+ * @return array Response array with file_name and rows (header first)
+ */
+function product_import_errors_csv_ctr($user_id, $import_id)
+{
+    $import = load_product_import($user_id, $import_id);
+    if ($import === null) {
+        return product_import_error('This import has expired. Please choose the file again.', 'import_not_found');
+    }
+
+    $rows = array(array_merge(array('row'), $import['headers'], array('errors')));
+    ksort($import['rejected']);
+    foreach ($import['rejected'] as $index => $errors) {
+        $values = array_map('csv_safe_cell', $import['rows'][$index]);
+        $rows[] = array_merge(array($index + 1), $values, array(implode('; ', $errors)));
+    }
+
+    return array(
+        'success' => true,
+        'data' => array(
+            'file_name' => pathinfo($import['file_name'], PATHINFO_FILENAME) . '-rejected.csv',
+            'rows' => $rows
+        )
+    );
+}
+
+/**
+ * Read the headers and rows of a CSV or JSON import file
+ * CSV files need a header row. JSON files hold a list of objects (or an object with a
+ * "products" list); their keys become the headers.
+ *
+ * @param string $file_name File name, for its extension
+ * @param string $file_path File to read
+ * @return array Response array with headers and rows (lists of strings, one per header)
+ */
+function parse_product_import_file($file_name, $file_path)
+{
+    $extension = strtolower(pathinfo($file_name, PATHINFO_EXTENSION));
+    $contents = file_get_contents($file_path);
+    if ($contents === false) {
+        return product_import_error('Failed to read the import file. Please try again.', 'file_read_failed');
+    }
+
+    // Spreadsheet programs often start UTF-8 files with a byte order mark
+    $contents = preg_replace('/^\xEF\xBB\xBF/', '', $contents);
+
+    if (!mb_check_encoding($contents, 'UTF-8')) {
+        return product_import_error('The import file must be saved as UTF-8.', 'invalid_encoding', ['field' => 'import_file']);
+    }
+
+    if ($extension === 'csv') {
+        $handle = fopen('php://temp', 'r+');
+        fwrite($handle, $contents);
+        rewind($handle);
+
+        $headers = null;
+        $rows = array();
+        while (($record = fgetcsv($handle)) !== false) {
+            if ($record === array(null) || implode('', $record) === '') {
+                continue; // Blank line
+            }
+            if ($headers === null) {
+                $headers = array_map('trim', $record);
+                continue;
+            }
+            $rows[] = $record;
+        }
+        fclose($handle);
+
+    } elseif ($extension === 'json') {
+        $decoded = json_decode($contents, true);
+        if (is_array($decoded) && isset($decoded['products']) && is_array($decoded['products'])) {
+            $decoded = $decoded['products'];
+        }
+        if (!is_array($decoded) || ($decoded !== array() && array_keys($decoded) !== range(0, count($decoded) - 1))) {
+            return product_import_error('The JSON file must hold a list of products.', 'invalid_import_file', ['field' => 'import_file']);
+        }
+
+        $headers = array();
+        foreach ($decoded as $item) {
+            if (!is_array($item)) {
+                return product_import_error('Every product in the JSON file must be an object.', 'invalid_import_file', ['field' => 'import_file']);
+            }
+            foreach (array_keys($item) as $key) {
+                if (!in_array((string)$key, $headers, true)) {
+                    $headers[] = (string)$key;
+                }
+            }
+        }
+
+        $rows = array();
+        foreach ($decoded as $item) {
+            $record = array();
+            foreach ($headers as $header) {
+                $value = $item[$header] ?? '';
+                $record[] = is_scalar($value) ? (is_bool($value) ? ($value ? '1' : '0') : (string)$value) : json_encode($value);
+            }
+            $rows[] = $record;
+        }
+
+    } else {
+        return product_import_error('Only CSV and JSON files can be imported.', 'invalid_file_type', ['field' => 'import_file']);
+    }
+
+    if (empty($headers) || empty($rows)) {
+        return product_import_error('The import file has no products in it.', 'empty_file', ['field' => 'import_file']);
+    }
+
+    if (count($headers) !== count(array_unique(array_map('strtolower', $headers))) || in_array('', $headers, true)) {
+        return product_import_error('Every column needs a different, non-empty header.', 'invalid_import_file', ['field' => 'import_file']);
+    }
+
+    if (count($rows) > PRODUCT_IMPORT_MAX_ROWS) {
+        return product_import_error('An import file can hold at most ' . PRODUCT_IMPORT_MAX_ROWS . ' products. Please split it up.', 'too_many_rows', ['field' => 'import_file']);
+    }
+
+    // Short CSV lines are padded and long ones trimmed to one value per header
+    foreach ($rows as &$record) {
+        $record = array_map(function($value) {
+            return trim((string)$value);
+        }, array_slice(array_pad($record, count($headers), ''), 0, count($headers)));
+    }
+    unset($record);
+
+    return array('success' => true, 'data' => array('headers' => $headers, 'rows' => $rows));
+}
+
+/**
+ * Guess which column holds each field from the headers
+ *
+ * @param array $headers Column headers
+ * @return array Field => column header ('' when no column matches)
+ */
+function suggest_product_import_mapping($headers)
+{
+    $aliases = array(
+        'product_title' => array('title', 'producttitle', 'name', 'productname'),
+        'product_price' => array('price', 'productprice'),
+        'product_description' => array('description', 'productdescription', 'desc'),
+        'product_keywords' => array('keywords', 'productkeywords', 'tags'),
+        'category' => array('category', 'categoryname', 'categoryid', 'catname', 'catid'),
+        'brand' => array('brand', 'brandname', 'brandid'),
+        'product_weight' => array('weight', 'productweight', 'weightkg'),
+        'product_stock' => array('stock', 'productstock', 'quantity', 'qty')
+    );
+
+    $mapping = array();
+    foreach ($aliases as $field => $names) {
+        $mapping[$field] = '';
+        foreach ($headers as $header) {
+            if (in_array(preg_replace('/[^a-z0-9]/', '', strtolower($header)), $names, true)) {
+                $mapping[$field] = $header;
+                break;
+            }
+        }
+    }
+
+    return $mapping;
+}
+
+/**
+ * Check every required field has a column
+ *
+ * @param array $mapping Field => column header
+ * @return array Response array
+ */
+function check_product_import_mapping($mapping)
+{
+    foreach (PRODUCT_IMPORT_REQUIRED_FIELDS as $field) {
+        if (($mapping[$field] ?? '') === '') {
+            return product_import_error('Choose the column that holds the ' . strtolower(PRODUCT_IMPORT_FIELDS[$field]) . '.', 'validation_error', ['field' => $field]);
+        }
+    }
+
+    return array('success' => true);
+}
+
+/**
+ * The admin's categories and brands, for finding them by name or ID
+ *
+ * @param int $user_id Admin user ID
+ * @return array Response array with categories (by ID and lower-case name) and brands
+ *               (by ID, and by category ID and lower-case name)
+ */
+function load_product_import_lookups($user_id)
+{
+    $categories = get_categories_ctr($user_id);
+    $brands = fetch_brands_ctr($user_id);
+    if (!$categories['success'] || !$brands['success']) {
+        return product_import_error('Failed to load your categories and brands. Please try again.', 'lookup_failed');
+    }
+
+    $lookups = array('categories' => array(), 'category_names' => array(), 'brands' => array(), 'brand_names' => array());
+
+    foreach ($categories['data']['categories'] as $category) {
+        $lookups['categories'][(int)$category['cat_id']] = $category['cat_name'];
+        $lookups['category_names'][strtolower($category['cat_name'])] = (int)$category['cat_id'];
+    }
+
+    foreach ($brands['data']['brands'] as $brand) {
+        $lookups['brands'][(int)$brand['brand_id']] = array('name' => $brand['brand_name'], 'category_id' => (int)$brand['category_id']);
+        $lookups['brand_names'][(int)$brand['category_id']][strtolower($brand['brand_name'])] = (int)$brand['brand_id'];
+    }
+
+    return array('success' => true, 'data' => $lookups);
+}
+
+/**
+ * Check one row against the Add Product form's rules
+ *
+ * @param array $values Row values, one per header
+ * @param array $headers Column headers
+ * @param array $mapping Field => column header
+ * @param array $lookups Categories and brands (see load_product_import_lookups())
+ * @return array errors (list of messages) and data (the product fields, when there are no errors)
+ */
+function validate_product_import_row($values, $headers, $mapping, $lookups)
+{
+    $fields = array();
+    foreach (array_keys(PRODUCT_IMPORT_FIELDS) as $field) {
+        $column = $mapping[$field] !== '' ? array_search($mapping[$field], $headers, true) : false;
+        $fields[$field] = $column !== false ? $values[$column] : '';
+    }
+
+    $errors = array();
+
+    $title = $fields['product_title'];
+    if ($title === '') {
+        $errors[] = 'Title is required.';
+    } elseif (strlen($title) > 255) {
+        $errors[] = 'Title must be 255 characters or less.';
+    } elseif (!preg_match('/^[a-zA-Z0-9\s\-_&().,!@#$%^*+=|\\\\:;?\/]+$/', $title)) {
+        // The form's characters, less the quotes and angle brackets add_product_action.php refuses
+        $errors[] = 'Title contains invalid characters.';
+    }
+
+    $price = $fields['product_price'];
+    if ($price === '') {
+        $errors[] = 'Price is required.';
+    } elseif (!preg_match('/^\d+(\.\d{1,2})?$/', $price)) {
+        $errors[] = "Price \"{$price}\" is not a valid price (e.g. 29.99).";
+    }
+
+    $weight = $fields['product_weight'];
+    if ($weight !== '' && (!is_numeric($weight) || (float)$weight < 0)) {
+        $errors[] = 'Weight must be zero or a positive number.';
+    }
+
+    $stock = $fields['product_stock'];
+    if ($stock !== '' && (!ctype_digit($stock) || (int)$stock > 1000000)) {
+        $errors[] = 'Stock must be a whole number between 0 and 1,000,000 (leave it empty to not track stock).';
+    }
+
+    $keywords = $fields['product_keywords'];
+    if (strlen($keywords) > 255) {
+        $errors[] = 'Keywords must be 255 characters or less.';
+    } elseif (!preg_match('/^[a-zA-Z0-9\s\-_,]*$/', $keywords)) {
+        $errors[] = 'Keywords contain invalid characters.';
+    }
+
+    // Category and brand by ID or (case-insensitive) name; the brand must be in the category
+    $category = $fields['category'];
+    $category_id = null;
+    if ($category === '') {
+        $errors[] = 'Category is required.';
+    } elseif (ctype_digit($category) && isset($lookups['categories'][(int)$category])) {
+        $category_id = (int)$category;
+    } elseif (isset($lookups['category_names'][strtolower($category)])) {
+        $category_id = $lookups['category_names'][strtolower($category)];
+    } else {
+        $errors[] = "Category \"{$category}\" was not found.";
+    }
+
+    $brand = $fields['brand'];
+    $brand_id = null;
+    if ($brand === '') {
+        $errors[] = 'Brand is required.';
+    } elseif ($category_id !== null) {
+        if (ctype_digit($brand) && isset($lookups['brands'][(int)$brand]) && $lookups['brands'][(int)$brand]['category_id'] === $category_id) {
+            $brand_id = (int)$brand;
+        } elseif (isset($lookups['brand_names'][$category_id][strtolower($brand)])) {
+            $brand_id = $lookups['brand_names'][$category_id][strtolower($brand)];
+        } else {
+            $errors[] = "Brand \"{$brand}\" was not found in the {$lookups['categories'][$category_id]} category.";
+        }
+    }
+
+    if (!empty($errors)) {
+        return array('errors' => $errors, 'data' => null);
+    }
+
+    return array(
+        'errors' => array(),
+        'data' => array(
+            'product_title' => $title,
+            'product_price' => (float)$price,
+            'product_description' => $fields['product_description'],
+            'product_keywords' => $keywords,
+            'category_id' => $category_id,
+            'category_name' => $lookups['categories'][$category_id],
+            'brand_id' => $brand_id,
+            'brand_name' => $lookups['brands'][$brand_id]['name'],
+            'product_weight' => $weight !== '' ? (float)$weight : 0,
+            'product_stock' => $stock !== '' ? (int)$stock : null
+        )
+    );
+}
+
+/**
+ * Check and add one row
+ *
+ * @param int $user_id Admin user ID
+ * @param array $import Import details (see load_product_import())
+ * @param int $index Row index
+ * @param array $lookups Categories and brands
+ * @return array row (1-based), product_title, product_id (null when rejected) and errors
+ */
+function import_product_row($user_id, $import, $index, $lookups)
+{
+    $checked = validate_product_import_row($import['rows'][$index], $import['headers'], $import['mapping'], $lookups);
+    $row = $checked['data'];
+
+    $result = array('row' => $index + 1, 'product_title' => $row['product_title'] ?? '', 'product_id' => null, 'errors' => $checked['errors']);
+    if ($row === null) {
+        return $result;
+    }
+
+    $added = add_product_ctr($row['product_title'], $row['product_price'], $row['product_description'], '', $row['product_keywords'], $row['category_id'], $row['brand_id'], $user_id, $row['product_weight'], $row['product_stock']);
+    if (!$added['success']) {
+        $result['errors'] = array($added['error']);
+        return $result;
+    }
+
+    $result['product_id'] = (int)$added['data']['product_id'];
+    return $result;
+}
+
+/**
+ * Save an import and describe its dry run
+ *
+ * @param array $import Import details
+ * @return array Response array with import_id, file_name, headers, fields, mapping,
+ *               the row counts and one entry per row (row, errors and the product's
+ *               title, price, category and brand)
+ */
+function product_import_preview($import)
+{
+    $mapping_check = check_product_import_mapping($import['mapping']);
+
+    $rows = array();
+    $import['rejected'] = array();
+
+    if ($mapping_check['success']) {
+        $lookups = load_product_import_lookups($import['user_id']);
+        if (!$lookups['success']) {
+            return $lookups;
+        }
+
+        foreach ($import['rows'] as $index => $values) {
+            $checked = validate_product_import_row($values, $import['headers'], $import['mapping'], $lookups['data']);
+            if (!empty($checked['errors'])) {
+                $import['rejected'][$index] = $checked['errors'];
+            }
+
+            $rows[] = array(
+                'row' => $index + 1,
+                'errors' => $checked['errors'],
+                'product_title' => $checked['data']['product_title'] ?? null,
+                'product_price' => $checked['data']['product_price'] ?? null,
+                'category_name' => $checked['data']['category_name'] ?? null,
+                'brand_name' => $checked['data']['brand_name'] ?? null
+            );
+        }
+    }
+
+    if (!save_product_import($import)) {
+        return product_import_error('Failed to read the import file. Please try again.', 'import_save_failed');
+    }
+
+    $fields = array();
+    foreach (PRODUCT_IMPORT_FIELDS as $field => $label) {
+        $fields[] = array('field' => $field, 'label' => $label, 'required' => in_array($field, PRODUCT_IMPORT_REQUIRED_FIELDS, true));
+    }
+
+    return array(
+        'success' => true,
+        'data' => array(
+            'import_id' => $import['import_id'],
+            'file_name' => $import['file_name'],
+            'headers' => $import['headers'],
+            'fields' => $fields,
+            'mapping' => $import['mapping'],
+            'mapping_error' => $mapping_check['success'] ? null : $mapping_check['error'],
+            'total_rows' => count($import['rows']),
+            'valid_rows' => $mapping_check['success'] ? count($import['rows']) - count($import['rejected']) : 0,
+            'rejected_rows' => count($import['rejected']),
+            'batch_size' => PRODUCT_IMPORT_BATCH_SIZE,
+            'rows' => $rows
+        )
+    );
+}
+
+/**
+ * Remove imports that have seen no activity for PRODUCT_IMPORT_EXPIRY seconds
+ *
+ * @return int Number of imports removed
+ */
+function cleanup_abandoned_product_imports()
+{
+    $removed = 0;
+
+    foreach (glob(product_import_path() . '/*.json') ?: array() as $file) {
+        $last_activity = @filemtime($file);
+        if ($last_activity !== false && $last_activity < time() - PRODUCT_IMPORT_EXPIRY) {
+            @unlink($file);
+            @unlink($file . '.lock');
+            $removed++;
+        }
+    }
+
+    return $removed;
+}
+
+/**
+ * Directory holding imports, or one import's file
+ *
+ * @param string $import_id Import ID ('' for the directory)
+ * @return string Absolute path
+ */
+function product_import_path($import_id = '')
+{
+    $directory = sys_get_temp_dir() . '/subcart_product_imports';
+    return $import_id === '' ? $directory : "{$directory}/{$import_id}.json";
+}
+
+/**
+ * Read an import, if it exists and belongs to the user
+ *
+ * @param int $user_id Admin user ID
+ * @param string $import_id Import ID
+ * @return array|null import_id, user_id, file_name, headers, rows, mapping, next_row
+ *                    (index of the first row not yet imported), imported (count) and
+ *                    rejected (row index => errors)
+ */
+function load_product_import($user_id, $import_id)
+{
+    if (!is_string($import_id) || !preg_match('/^[a-f0-9]{32}$/', $import_id)) {
+        return null;
+    }
+
+    $contents = @file_get_contents(product_import_path($import_id));
+    $import = $contents !== false ? json_decode($contents, true) : null;
+
+    if (!is_array($import) || $import['user_id'] !== (int)$user_id) {
+        return null;
+    }
+
+    return $import;
+}
+
+/**
+ * Write an import
+ *
+ * @param array $import Import details
+ * @return bool Whether it was written
+ */
+function save_product_import($import)
+{
+    if (!is_dir(product_import_path()) && !mkdir(product_import_path(), 0700, true)) {
+        return false;
+    }
+
+    return file_put_contents(product_import_path($import['import_id']), json_encode($import), LOCK_EX) !== false;
+}
+
+/**
+ * Failure response for an import
+ *
+ * @param string $message Message for the admin
+ * @param string $error_type Error type
+ * @param array|null $details Error details
+ * @return array Response array
+ */
+function product_import_error($message, $error_type, $details = null)
+{
+    return array(
+        'success' => false,
+        'error' => $message,
+        'error_type' => $error_type,
+        'error_details' => $details
+    );
+}
+
+?>
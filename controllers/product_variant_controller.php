@@ -0,0 +1,291 @@
+<?php
+
+require_once __DIR__ . '/../classes/product_variant_class.php';
+
+/**
+ * Product Variant Controller
+ * Admin management of a product's options (e.g. Size, Colour) and the variants
+ * sold for each combination of their values, plus the variant data the storefront
+ * needs. See migrations/009_product_variants.sql. A variant's price and image fall
+ * back to the product's when left empty; its stock follows the product stock rules
+ * (empty = not tracked).
+ */
+
+const PRODUCT_VARIANT_MAX_OPTIONS = 3;
+const PRODUCT_VARIANT_MAX_VARIANTS = 100;
+
+/**
+ * Get a product's options and variants
+ *
+ * @param int $product_id Product ID
+ * @return array Response array with options and variants
+ */
+function get_product_variants_ctr($product_id)
+{
+    if (empty($product_id) || !is_numeric($product_id) || $product_id <= 0) {
+        return array(
+            'success' => false,
+            'error' => 'Valid product ID is required',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'product_id', 'value' => $product_id]
+        );
+    }
+
+    try {
+        $variant = new ProductVariant();
+        $result = $variant->get_product_variants((int)$product_id);
+
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => 'Failed to load product variants.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        return array('success' => true, 'data' => $result['data']);
+
+    } catch (Exception $e) {
+        error_log("Get product variants exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to load product variants.',
+            'error_type' => 'variant_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Replace a product's options and variants
+ * Submitting no options removes every variant, so the product sells on its own again.
+ *
+ * @param int $product_id Product ID
+ * @param int $user_id Admin user ID (must own the product)
+ * @param array $input Raw form input (see normalize_variant_input())
+ * @return array Response array with the stored options and variants
+ */
+function save_product_variants_ctr($product_id, $user_id, $input)
+{
+    if (empty($product_id) || !is_numeric($product_id) || $product_id <= 0) {
+        return array(
+            'success' => false,
+            'error' => 'Valid product ID is required',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'product_id', 'value' => $product_id]
+        );
+    }
+
+    $normalized = normalize_variant_input((int)$product_id, $user_id, $input);
+    if (!$normalized['success']) {
+        return $normalized;
+    }
+
+    try {
+        $variant = new ProductVariant();
+        $result = $variant->save_product_variants((int)$product_id, $user_id, $normalized['data']['options'], $normalized['data']['variants']);
+
+        if (!$result['success']) {
+            $messages = array(
+                'not_found' => 'Product or variant not found.',
+                'duplicate_entry' => 'One of these SKUs is already used by another product.'
+            );
+
+            return array(
+                'success' => false,
+                'error' => $messages[$result['error_type']] ?? 'Failed to save product variants.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_type'] === 'duplicate_entry' ? ['field' => 'sku'] : ($result['error_details'] ?? null)
+            );
+        }
+
+        return array('success' => true, 'data' => $result['data']);
+
+    } catch (Exception $e) {
+        error_log("Save product variants exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to save product variants.',
+            'error_type' => 'variant_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Attach variant details to products read for customer display
+ * Products with variants get has_variants, variant_count and price_from, and their
+ * product_stock becomes the variants' combined stock (null when any is not tracked).
+ *
+ * @param array $products Product rows
+ * @return array The rows with has_variants set
+ */
+function with_variant_summaries($products)
+{
+    $summaries = array();
+
+    if (!empty($products)) {
+        $variant = new ProductVariant();
+        $result = $variant->get_variant_summaries(array_column($products, 'product_id'));
+
+        if ($result['success']) {
+            $summaries = $result['data'];
+        } else {
+            error_log("Variant summaries failed: " . $result['error_message']);
+        }
+    }
+
+    foreach ($products as &$product) {
+        $summary = $summaries[(int)$product['product_id']] ?? null;
+
+        $product['has_variants'] = $summary !== null;
+        if ($summary !== null) {
+            $product['variant_count'] = $summary['variant_count'];
+            $product['price_from'] = $summary['min_price'] < $summary['max_price'] ? $summary['min_price'] : null;
+            $product['product_price'] = $summary['min_price'];
+            $product['product_stock'] = $summary['stock'];
+        }
+    }
+    unset($product);
+
+    return $products;
+}
+
+/**
+ * Validate and normalize the variant editor input
+ *
+ * @param int $product_id Product ID (variant images must be uploaded for it)
+ * @param int $user_id Admin user ID (variant images must be in their uploads)
+ * @param array $input 'options' (list of option names) and 'variants' (list of
+ *                     variant_id, sku, variant_price, variant_stock, variant_image
+ *                     and 'values', one per option)
+ * @return array Response array with the normalized options and variants
+ */
+function normalize_variant_input($product_id, $user_id, $input)
+{
+    $options = array();
+    foreach (array_values((array)($input['options'] ?? array())) as $name) {
+        $name = trim((string)$name);
+        if ($name === '' || strlen($name) > 50) {
+            return variant_validation_error('options', 'Option names are required and must be 50 characters or less.');
+        }
+        foreach ($options as $existing) {
+            if (strcasecmp($existing, $name) === 0) {
+                return variant_validation_error('options', "The option \"{$name}\" is listed twice.");
+            }
+        }
+        $options[] = $name;
+    }
+
+    if (count($options) > PRODUCT_VARIANT_MAX_OPTIONS) {
+        return variant_validation_error('options', 'A product can have at most ' . PRODUCT_VARIANT_MAX_OPTIONS . ' options.');
+    }
+
+    $raw_variants = array_values((array)($input['variants'] ?? array()));
+
+    if (empty($options)) {
+        if (!empty($raw_variants)) {
+            return variant_validation_error('options', 'Add an option (such as Size) before adding variants.');
+        }
+        return array('success' => true, 'data' => array('options' => array(), 'variants' => array()));
+    }
+
+    if (empty($raw_variants)) {
+        return variant_validation_error('variants', 'Add at least one variant, or remove the options.');
+    }
+
+    if (count($raw_variants) > PRODUCT_VARIANT_MAX_VARIANTS) {
+        return variant_validation_error('variants', 'A product can have at most ' . PRODUCT_VARIANT_MAX_VARIANTS . ' variants.');
+    }
+
+    $image_prefix = 'uploads/u' . (int)$user_id . '/p' . (int)$product_id . '/';
+    $variants = array();
+    $combinations = array();
+    $skus = array();
+
+    foreach ($raw_variants as $index => $raw) {
+        $row = $index + 1;
+
+        $values = array();
+        foreach (array_values((array)($raw['values'] ?? array())) as $value) {
+            $values[] = trim((string)$value);
+        }
+        if (count($values) !== count($options)) {
+            return variant_validation_error('values', "Variant {$row} needs a value for every option.");
+        }
+        foreach ($values as $value) {
+            if ($value === '' || strlen($value) > 50) {
+                return variant_validation_error('values', "Variant {$row} needs a value for every option (50 characters or less).");
+            }
+        }
+
+        $combination = strtolower(implode("\x1f", $values));
+        if (isset($combinations[$combination])) {
+            return variant_validation_error('values', "Variants {$combinations[$combination]} and {$row} have the same options.");
+        }
+        $combinations[$combination] = $row;
+
+        $sku = trim((string)($raw['sku'] ?? ''));
+        if (!preg_match('/^[A-Za-z0-9._-]{1,64}$/', $sku)) {
+            return variant_validation_error('sku', "Variant {$row} needs a SKU of up to 64 letters, numbers, dots, dashes or underscores.");
+        }
+        if (isset($skus[strtoupper($sku)])) {
+            return variant_validation_error('sku', "The SKU {$sku} is used by more than one variant.");
+        }
+        $skus[strtoupper($sku)] = true;
+
+        $price = trim((string)($raw['variant_price'] ?? ''));
+        if ($price !== '' && (!is_numeric($price) || $price <= 0)) {
+            return variant_validation_error('variant_price', "Variant {$row} price must be a positive number (leave empty to use the product price).");
+        }
+
+        $stock = trim((string)($raw['variant_stock'] ?? ''));
+        if ($stock !== '' && (!ctype_digit($stock) || (int)$stock > 1000000)) {
+            return variant_validation_error('variant_stock', "Variant {$row} stock must be a whole number between 0 and 1,000,000 (leave empty to not track it).");
+        }
+
+        $image = trim((string)($raw['variant_image'] ?? ''));
+        if ($image !== '' && (strpos($image, $image_prefix) !== 0 || strpos($image, '..') !== false || strlen($image) > 255)) {
+            return variant_validation_error('variant_image', "Variant {$row} image must be uploaded for this product.");
+        }
+
+        $variant_id = $raw['variant_id'] ?? 0;
+        if ($variant_id === '' || $variant_id === null) {
+            $variant_id = 0;
+        }
+        if (!is_numeric($variant_id) || $variant_id < 0) {
+            return variant_validation_error('variant_id', "Variant {$row} is not valid. Please reload the page.");
+        }
+
+        $variants[] = array(
+            'variant_id' => (int)$variant_id,
+            'sku' => $sku,
+            'variant_price' => $price !== '' ? round((float)$price, 2) : null,
+            'variant_stock' => $stock !== '' ? (int)$stock : null,
+            'variant_image' => $image !== '' ? $image : null,
+            'values' => $values
+        );
+    }
+
+    return array('success' => true, 'data' => array('options' => $options, 'variants' => $variants));
+}
+
+/**
+ * Validation failure response for a variant editor field
+ *
+ * @param string $field Field name
+ * @param string $message Message for the admin
+ * @return array Response array
+ */
+function variant_validation_error($field, $message)
+{
+    return array(
+        'success' => false,
+        'error' => $message,
+        'error_type' => 'validation_error',
+        'error_details' => ['field' => $field]
+    );
+}
+
+?>
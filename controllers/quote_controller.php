@@ -0,0 +1,299 @@
+<?php
+
+require_once __DIR__ . '/../settings/payment_config.php';
+require_once __DIR__ . '/../classes/checkout_quote_class.php';
+require_once __DIR__ . '/../classes/cart_class.php';
+require_once __DIR__ . '/order_controller.php';
+
+/**
+ * Quote Controller
+ * Prices the stored cart on the server and issues checkout quotes. The checkout
+ * page, the payment amount and the order all use the quote's numbers; the client
+ * only ever displays them.
+ */
+
+/**
+ * Price the customer's cart and store the result as a quote
+ * The quote is priced for the requested shipping method, or the first method
+ * offered to the customer when none (or an unavailable one) is requested.
+ * A coupon that does not apply is left out and explained in coupon_message.
+ *
+ * @param int $customer_id Customer ID
+ * @param int|null $shipping_method_id Shipping method chosen at checkout
+ * @param string|null $coupon_code Coupon code applied by the shopper
+ * @return array Response array with the client-facing quote, its shipping_methods,
+ *               coupon and coupon_message
+ */
+function create_checkout_quote_ctr($customer_id, $shipping_method_id = null, $coupon_code = null)
+{
+    if (empty($customer_id) || !is_numeric($customer_id) || $customer_id <= 0) {
+        return array(
+            'success' => false,
+            'error' => 'Please log in to check out',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'customer_id', 'value' => $customer_id]
+        );
+    }
+
+    try {
+        $cart_result = load_cart_for_quote($customer_id);
+        if (!$cart_result['success']) {
+            return $cart_result;
+        }
+
+        $tax_result = get_customer_tax_ctr($customer_id);
+        if (!$tax_result['success']) {
+            return $tax_result;
+        }
+
+        $items = $cart_result['data']['items'];
+        $cart_total = $cart_result['data']['total_amount'];
+
+        $coupon = null;
+        $coupon_message = null;
+        if (!empty($coupon_code)) {
+            $coupon_result = evaluate_coupon_ctr($coupon_code, $items, $customer_id);
+            if ($coupon_result['success']) {
+                $coupon = $coupon_result['data'];
+            } elseif ($coupon_result['error_type'] === 'coupon_invalid') {
+                $coupon_message = $coupon_result['error'];
+            } else {
+                return $coupon_result;
+            }
+        }
+
+        $discount_amount = $coupon !== null ? min($coupon['discount_amount'], $cart_total) : 0;
+        $shipping_result = get_customer_shipping_options_ctr($customer_id, $items, $cart_total - $discount_amount);
+        if (!$shipping_result['success']) {
+            return $shipping_result;
+        }
+
+        $shipping_options = $shipping_result['data'];
+        if ($coupon !== null && $coupon['free_shipping']) {
+            foreach ($shipping_options as &$option) {
+                $option['cost'] = 0;
+            }
+            unset($option);
+        }
+        $shipping_method = select_shipping_option($shipping_options, $shipping_method_id) ?? $shipping_options[0];
+
+        $totals = calculate_order_totals($items, $cart_total, $coupon, $tax_result['data'], $shipping_method);
+
+        $quote_model = new CheckoutQuote();
+        $quote_result = $quote_model->create_quote(array(
+            'quote_id' => 'qt_' . bin2hex(random_bytes(12)),
+            'customer_id' => (int)$customer_id,
+            'cart_fingerprint' => cart_fingerprint($items),
+            'item_count' => (int)$cart_result['data']['total_items'],
+            'subtotal' => $totals['subtotal'],
+            'discount_amount' => $totals['discount_amount'],
+            'coupon_code' => $totals['coupon_code'],
+            'tax_amount' => $totals['tax_amount'],
+            'tax_rate' => $totals['tax_rate'],
+            'tax_name' => $totals['tax_name'],
+            'tax_jurisdiction' => $totals['tax_jurisdiction'],
+            'tax_inclusive' => $totals['tax_inclusive'] ? 1 : 0,
+            'shipping_method_id' => $totals['shipping_method_id'],
+            'shipping_method_name' => $totals['shipping_method_name'],
+            'shipping_cost' => $totals['shipping_cost'],
+            'total' => $totals['final_total'],
+            'currency' => PAYMENT_CURRENCY,
+            'expires_at' => date('Y-m-d H:i:s', time() + CHECKOUT_QUOTE_TTL)
+        ));
+
+        if (!$quote_result['success']) {
+            return array(
+                'success' => false,
+                'error' => 'Unable to calculate your order total. Please try again.',
+                'error_type' => $quote_result['error_type'],
+                'error_details' => $quote_result['error_details'] ?? null
+            );
+        }
+
+        $quote = format_quote_for_client($quote_result['data']);
+        $quote['shipping_methods'] = array_map('format_shipping_option', $shipping_options);
+        $quote['coupon'] = $coupon !== null
+            ? format_coupon_for_client($coupon)
+            : ($coupon_message !== null ? format_rejected_coupon_for_client($coupon_code) : null);
+        $quote['coupon_message'] = $coupon_message;
+
+        return array('success' => true, 'data' => $quote);
+
+    } catch (Exception $e) {
+        error_log("Create checkout quote exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Unable to calculate your order total. Please try again.',
+            'error_type' => 'quote_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Load a quote and check it still applies to the customer's cart
+ * Fails with quote_not_found, quote_expired, quote_stale (the cart changed since the
+ * quote was issued) or total_mismatch_error (the client total disagrees with the quote).
+ *
+ * @param string $quote_id Quote ID
+ * @param int $customer_id Customer ID (must own the quote)
+ * @param float|null $client_total Total the client displayed, checked when given
+ * @return array Response array with the stored quote row
+ */
+function get_valid_checkout_quote_ctr($quote_id, $customer_id, $client_total = null)
+{
+    $quote_model = new CheckoutQuote();
+    $quote_result = $quote_model->get_quote($quote_id);
+
+    if (!$quote_result['success'] || (int)$quote_result['data']['customer_id'] !== (int)$customer_id) {
+        return array(
+            'success' => false,
+            'error' => 'Your order total is out of date. It has been refreshed; please review it and try again.',
+            'error_type' => 'quote_not_found',
+            'error_details' => ['quote_id' => $quote_id]
+        );
+    }
+
+    $quote = $quote_result['data'];
+
+    if ((int)$quote['expired'] === 1) {
+        return array(
+            'success' => false,
+            'error' => 'Your order total has expired. It has been refreshed; please review it and try again.',
+            'error_type' => 'quote_expired',
+            'error_details' => ['quote_id' => $quote_id, 'expires_at' => $quote['expires_at']]
+        );
+    }
+
+    $cart_result = load_cart_for_quote($customer_id);
+    if (!$cart_result['success']) {
+        return $cart_result;
+    }
+
+    if (!hash_equals($quote['cart_fingerprint'], cart_fingerprint($cart_result['data']['items']))) {
+        return array(
+            'success' => false,
+            'error' => 'Your cart changed since the total was calculated. Please review the updated total and try again.',
+            'error_type' => 'quote_stale',
+            'error_details' => ['quote_id' => $quote_id]
+        );
+    }
+
+    if ($client_total !== null && abs((float)$client_total - (float)$quote['total']) >= 0.005) {
+        return array(
+            'success' => false,
+            'error' => 'Order total mismatch detected. Please review the updated total and try again.',
+            'error_type' => 'total_mismatch_error',
+            'error_details' => [
+                'quote_id' => $quote_id,
+                'quote_total' => (float)$quote['total'],
+                'provided_total' => (float)$client_total
+            ]
+        );
+    }
+
+    return array('success' => true, 'data' => $quote);
+}
+
+/**
+ * Client-facing view of a quote row
+ *
+ * @param array $quote checkout_quotes row
+ * @return array Quote data for JSON responses and the checkout page
+ */
+function format_quote_for_client($quote)
+{
+    return array(
+        'quote_id' => $quote['quote_id'],
+        'item_count' => (int)$quote['item_count'],
+        'subtotal' => (float)$quote['subtotal'],
+        'discount_amount' => (float)$quote['discount_amount'],
+        'coupon_code' => $quote['coupon_code'],
+        'tax_amount' => (float)$quote['tax_amount'],
+        'tax_rate' => (float)$quote['tax_rate'],
+        'tax_name' => $quote['tax_name'],
+        'tax_jurisdiction' => $quote['tax_jurisdiction'],
+        'tax_inclusive' => (int)$quote['tax_inclusive'] === 1,
+        'tax_label' => format_tax_label((float)$quote['tax_rate'], $quote['tax_name'], $quote['tax_jurisdiction'], (int)$quote['tax_inclusive'] === 1),
+        'shipping_method_id' => $quote['shipping_method_id'] !== null ? (int)$quote['shipping_method_id'] : null,
+        'shipping_method_name' => $quote['shipping_method_name'],
+        'shipping_cost' => (float)$quote['shipping_cost'],
+        'total' => (float)$quote['total'],
+        'currency' => $quote['currency'],
+        'expires_at' => $quote['expires_at']
+    );
+}
+
+/**
+ * Fingerprint the priced contents of a cart
+ * Any change to products, variants, quantities or prices produces a different value.
+ *
+ * @param array $items Cart items from Cart::get_cart_items()
+ * @return string SHA-256 hex digest
+ */
+function cart_fingerprint($items)
+{
+    $lines = array();
+    foreach ($items as $item) {
+        $lines[] = (int)$item['p_id'] . ':' . (int)$item['variant_id'] . ':' . (int)$item['qty'] . ':' . number_format((float)$item['product_price'], 2, '.', '');
+    }
+    sort($lines);
+
+    return hash('sha256', implode('|', $lines));
+}
+
+/**
+ * Load the customer's cart for pricing
+ *
+ * @param int $customer_id Customer ID
+ * @return array Response array with items, total_amount and total_items
+ */
+function load_cart_for_quote($customer_id)
+{
+    $cart = new Cart();
+    $cart_result = $cart->get_cart_items($customer_id, null);
+
+    if (!$cart_result['success']) {
+        return array(
+            'success' => false,
+            'error' => 'Failed to retrieve cart items: ' . $cart_result['error_message'],
+            'error_type' => 'cart_retrieval_error',
+            'error_details' => $cart_result['error_details'] ?? null
+        );
+    }
+
+    if (empty($cart_result['data']['items'])) {
+        return array(
+            'success' => false,
+            'error' => 'Your cart is empty. Please add items before checkout.',
+            'error_type' => 'empty_cart_error',
+            'error_details' => ['customer_id' => $customer_id]
+        );
+    }
+
+    // Stop before payment when stock ran out since the items were added;
+    // create_order() checks again when it takes the units
+    foreach ($cart_result['data']['items'] as $item) {
+        if ($item['product_stock'] !== null && (int)$item['qty'] > (int)$item['product_stock']) {
+            $available = (int)$item['product_stock'];
+            $title = !empty($item['variant_label']) ? "{$item['product_title']} ({$item['variant_label']})" : $item['product_title'];
+            return array(
+                'success' => false,
+                'error' => $available > 0
+                    ? "Only {$available} of {$title} left in stock. Please update your cart and try again."
+                    : "{$title} is sold out. Please remove it from your cart and try again.",
+                'error_type' => 'insufficient_stock',
+                'error_details' => [
+                    'product_id' => (int)$item['p_id'],
+                    'variant_id' => (int)$item['variant_id'],
+                    'requested' => (int)$item['qty'],
+                    'available' => $available
+                ]
+            );
+        }
+    }
+
+    return $cart_result;
+}
+
+?>
@@ -0,0 +1,235 @@
+<?php
+
+require_once __DIR__ . '/../classes/search_synonym_class.php';
+
+/**
+ * Search Synonym Controller
+ * Admin management of the synonym groups product search expands queries with.
+ * See migrations/011_search_synonyms.sql for how a group is applied.
+ */
+
+const SEARCH_SYNONYM_MAX_TERMS = 15;
+const SEARCH_SYNONYM_MAX_TERM_LENGTH = 50;
+
+/**
+ * Get all synonym groups for the admin panel
+ *
+ * @return array Response array with a list of groups
+ */
+function get_search_synonyms_ctr()
+{
+    try {
+        $synonyms = new SearchSynonym();
+        $result = $synonyms->get_groups();
+
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => 'Failed to load search synonyms.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        return array('success' => true, 'data' => array('synonyms' => $result['data']));
+
+    } catch (Exception $e) {
+        error_log("Get search synonyms exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to load search synonyms.',
+            'error_type' => 'synonym_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Create a synonym group
+ *
+ * @param array $input Raw form input (see normalize_search_synonym_input())
+ * @return array Response array with the stored group
+ */
+function add_search_synonym_ctr($input)
+{
+    $normalized = normalize_search_synonym_input($input);
+    if (!$normalized['success']) {
+        return $normalized;
+    }
+
+    try {
+        $synonyms = new SearchSynonym();
+        $result = $synonyms->add_group($normalized['data']['terms']);
+
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => 'Failed to create synonym group.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        return array('success' => true, 'data' => $result['data']);
+
+    } catch (Exception $e) {
+        error_log("Add search synonym exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to create synonym group.',
+            'error_type' => 'synonym_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Update a synonym group
+ *
+ * @param int $synonym_id Group ID
+ * @param array $input Raw form input (see normalize_search_synonym_input())
+ * @return array Response array with the stored group
+ */
+function update_search_synonym_ctr($synonym_id, $input)
+{
+    if (empty($synonym_id) || !is_numeric($synonym_id) || $synonym_id <= 0) {
+        return array(
+            'success' => false,
+            'error' => 'Valid synonym group ID is required',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'synonym_id', 'value' => $synonym_id]
+        );
+    }
+
+    $normalized = normalize_search_synonym_input($input);
+    if (!$normalized['success']) {
+        return $normalized;
+    }
+
+    try {
+        $synonyms = new SearchSynonym();
+        $result = $synonyms->update_group((int)$synonym_id, $normalized['data']['terms']);
+
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => $result['error_type'] === 'not_found' ? 'Synonym group not found.' : 'Failed to update synonym group.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        return array('success' => true, 'data' => $result['data']);
+
+    } catch (Exception $e) {
+        error_log("Update search synonym exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to update synonym group.',
+            'error_type' => 'synonym_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Delete a synonym group
+ *
+ * @param int $synonym_id Group ID
+ * @return array Response array
+ */
+function delete_search_synonym_ctr($synonym_id)
+{
+    if (empty($synonym_id) || !is_numeric($synonym_id) || $synonym_id <= 0) {
+        return array(
+            'success' => false,
+            'error' => 'Valid synonym group ID is required',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'synonym_id', 'value' => $synonym_id]
+        );
+    }
+
+    try {
+        $synonyms = new SearchSynonym();
+        $result = $synonyms->delete_group((int)$synonym_id);
+
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => $result['error_type'] === 'not_found' ? 'Synonym group not found.' : 'Failed to delete synonym group.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        return array('success' => true, 'data' => $result['data']);
+
+    } catch (Exception $e) {
+        error_log("Delete search synonym exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to delete synonym group.',
+            'error_type' => 'synonym_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Validate and normalize synonym group form input
+ * Terms are lowercased and punctuation becomes spaces, the way search reads a query.
+ *
+ * @param array $input terms (list or comma-separated)
+ * @return array Response array with the normalized terms
+ */
+function normalize_search_synonym_input($input)
+{
+    $terms = $input['terms'] ?? array();
+    if (is_string($terms)) {
+        $terms = explode(',', $terms);
+    }
+
+    $normalized = array();
+    foreach ((array)$terms as $term) {
+        $term = trim(preg_replace('/\s+/', ' ', preg_replace('/[^\w\s]/', ' ', strtolower((string)$term))));
+        if ($term === '') {
+            continue;
+        }
+
+        if (strlen($term) < 2 || strlen($term) > SEARCH_SYNONYM_MAX_TERM_LENGTH) {
+            return search_synonym_validation_error('terms', 'Each term must be 2 to ' . SEARCH_SYNONYM_MAX_TERM_LENGTH . ' characters long.');
+        }
+
+        $normalized[$term] = true;
+    }
+    $normalized = array_keys($normalized);
+
+    if (count($normalized) < 2) {
+        return search_synonym_validation_error('terms', 'A synonym group needs at least two different terms.');
+    }
+
+    if (count($normalized) > SEARCH_SYNONYM_MAX_TERMS) {
+        return search_synonym_validation_error('terms', 'A synonym group can have at most ' . SEARCH_SYNONYM_MAX_TERMS . ' terms.');
+    }
+
+    return array('success' => true, 'data' => array('terms' => $normalized));
+}
+
+/**
+ * Validation failure response for a synonym group field
+ *
+ * @param string $field Field name
+ * @param string $message Message for the admin
+ * @return array Response array
+ */
+function search_synonym_validation_error($field, $message)
+{
+    return array(
+        'success' => false,
+        'error' => $message,
+        'error_type' => 'validation_error',
+        'error_details' => ['field' => $field]
+    );
+}
+
+?>
@@ -0,0 +1,418 @@
+<?php
+
+require_once __DIR__ . '/../classes/shipping_method_class.php';
+
+/**
+ * Shipping Controller
+ * Admin management of shipping methods and shipping prices for checkout.
+ * See migrations/005_shipping_methods.sql for how each pricing type works.
+ */
+
+const SHIPPING_METHOD_TYPES = ['standard', 'express', 'pickup'];
+const SHIPPING_PRICING_TYPES = ['flat', 'weight', 'tiered'];
+
+/**
+ * Get all shipping methods for the admin panel
+ *
+ * @return array Response array with a list of methods
+ */
+function get_shipping_methods_ctr()
+{
+    try {
+        $shipping = new ShippingMethod();
+        $result = $shipping->get_methods();
+
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => 'Failed to load shipping methods.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        return array('success' => true, 'data' => array('methods' => $result['data']));
+
+    } catch (Exception $e) {
+        error_log("Get shipping methods exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to load shipping methods.',
+            'error_type' => 'shipping_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Create a shipping method
+ *
+ * @param array $input Raw form input (see normalize_shipping_method_input())
+ * @return array Response array with the stored method
+ */
+function add_shipping_method_ctr($input)
+{
+    $normalized = normalize_shipping_method_input($input);
+    if (!$normalized['success']) {
+        return $normalized;
+    }
+
+    try {
+        $shipping = new ShippingMethod();
+        $result = $shipping->add_method($normalized['data']);
+
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => 'Failed to create shipping method.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        return array('success' => true, 'data' => $result['data']);
+
+    } catch (Exception $e) {
+        error_log("Add shipping method exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to create shipping method.',
+            'error_type' => 'shipping_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Update a shipping method
+ *
+ * @param int $method_id Method ID
+ * @param array $input Raw form input (see normalize_shipping_method_input())
+ * @return array Response array with the stored method
+ */
+function update_shipping_method_ctr($method_id, $input)
+{
+    if (empty($method_id) || !is_numeric($method_id) || $method_id <= 0) {
+        return array(
+            'success' => false,
+            'error' => 'Valid shipping method ID is required',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'method_id', 'value' => $method_id]
+        );
+    }
+
+    $normalized = normalize_shipping_method_input($input);
+    if (!$normalized['success']) {
+        return $normalized;
+    }
+
+    try {
+        $shipping = new ShippingMethod();
+        $result = $shipping->update_method((int)$method_id, $normalized['data']);
+
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => $result['error_type'] === 'not_found' ? 'Shipping method not found.' : 'Failed to update shipping method.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        return array('success' => true, 'data' => $result['data']);
+
+    } catch (Exception $e) {
+        error_log("Update shipping method exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to update shipping method.',
+            'error_type' => 'shipping_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Delete a shipping method
+ *
+ * @param int $method_id Method ID
+ * @return array Response array
+ */
+function delete_shipping_method_ctr($method_id)
+{
+    if (empty($method_id) || !is_numeric($method_id) || $method_id <= 0) {
+        return array(
+            'success' => false,
+            'error' => 'Valid shipping method ID is required',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'method_id', 'value' => $method_id]
+        );
+    }
+
+    try {
+        $shipping = new ShippingMethod();
+        $result = $shipping->delete_method((int)$method_id);
+
+        if (!$result['success']) {
+            return array(
+                'success' => false,
+                'error' => $result['error_type'] === 'not_found' ? 'Shipping method not found.' : 'Failed to delete shipping method.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        return array('success' => true, 'data' => $result['data']);
+
+    } catch (Exception $e) {
+        error_log("Delete shipping method exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Failed to delete shipping method.',
+            'error_type' => 'shipping_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Price every method that ships to the customer for their cart
+ *
+ * @param int $customer_id Customer ID
+ * @param array $cart_items Cart items from Cart::get_cart_items()
+ * @param float $discounted_total Cart subtotal after discounts
+ * @return array Response array with a list of methods, each with its 'cost'
+ */
+function get_customer_shipping_options_ctr($customer_id, $cart_items, $discounted_total)
+{
+    try {
+        $shipping = new ShippingMethod();
+        $result = $shipping->get_methods_for_customer($customer_id);
+
+        if (!$result['success']) {
+            error_log("Shipping methods lookup failed for customer {$customer_id}: " . $result['error_message']);
+            return array(
+                'success' => false,
+                'error' => 'Unable to load shipping options. Please try again.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        if (empty($result['data'])) {
+            return array(
+                'success' => false,
+                'error' => 'We do not ship to your country yet. Please check the country on your profile.',
+                'error_type' => 'shipping_unavailable',
+                'error_details' => ['customer_id' => $customer_id]
+            );
+        }
+
+        $options = array();
+        foreach ($result['data'] as $method) {
+            $method['cost'] = calculate_shipping_cost($method, $cart_items, $discounted_total);
+            $options[] = $method;
+        }
+
+        return array('success' => true, 'data' => $options);
+
+    } catch (Exception $e) {
+        error_log("Get shipping options exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Unable to load shipping options. Please try again.',
+            'error_type' => 'shipping_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Pick a method from the customer's options
+ *
+ * @param array $options Result data of get_customer_shipping_options_ctr()
+ * @param int|null $method_id Requested method; null picks the first option
+ * @return array|null The option, or null when the requested method is not offered
+ */
+function select_shipping_option($options, $method_id = null)
+{
+    if (empty($method_id)) {
+        return $options[0] ?? null;
+    }
+
+    foreach ($options as $option) {
+        if ((int)$option['method_id'] === (int)$method_id) {
+            return $option;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Calculate what a method charges for a cart
+ *
+ * @param array $method Shipping method with tiers
+ * @param array $cart_items Cart items (product_weight and qty are used for weight pricing)
+ * @param float $discounted_total Cart subtotal after discounts (used for tiered pricing)
+ * @return float Shipping cost rounded to cents
+ */
+function calculate_shipping_cost($method, $cart_items, $discounted_total)
+{
+    switch ($method['pricing_type']) {
+        case 'weight':
+            $weight = 0;
+            foreach ($cart_items as $item) {
+                $weight += (float)($item['product_weight'] ?? 0) * (int)$item['qty'];
+            }
+            return round((float)$method['base_cost'] + (float)$method['cost_per_kg'] * $weight, 2);
+
+        case 'tiered':
+            // Tiers are sorted by min_subtotal; the last one reached applies
+            $cost = (float)$method['base_cost'];
+            foreach ($method['tiers'] as $tier) {
+                if ($discounted_total >= $tier['min_subtotal']) {
+                    $cost = $tier['cost'];
+                }
+            }
+            return round($cost, 2);
+
+        default:
+            return round((float)$method['base_cost'], 2);
+    }
+}
+
+/**
+ * Client-facing view of a priced shipping option
+ *
+ * @param array $option Shipping method with 'cost'
+ * @return array Option data for JSON responses and the checkout page
+ */
+function format_shipping_option($option)
+{
+    return array(
+        'method_id' => (int)$option['method_id'],
+        'method_name' => $option['method_name'],
+        'method_type' => $option['method_type'],
+        'delivery_estimate' => $option['delivery_estimate'],
+        'cost' => (float)$option['cost']
+    );
+}
+
+/**
+ * Validate and normalize shipping method form input
+ *
+ * @param array $input method_name, method_type, pricing_type, base_cost, cost_per_kg,
+ *                     delivery_estimate, sort_order, is_active, tiers (list of
+ *                     {min_subtotal, cost}) and countries (list or comma-separated)
+ * @return array Response array with the normalized method
+ */
+function normalize_shipping_method_input($input)
+{
+    $name = trim($input['method_name'] ?? '');
+    if ($name === '' || strlen($name) > 100) {
+        return shipping_validation_error('method_name', 'Method name is required (up to 100 characters).');
+    }
+
+    $method_type = $input['method_type'] ?? '';
+    if (!in_array($method_type, SHIPPING_METHOD_TYPES, true)) {
+        return shipping_validation_error('method_type', 'Choose standard, express or pickup.');
+    }
+
+    $pricing_type = $input['pricing_type'] ?? '';
+    if (!in_array($pricing_type, SHIPPING_PRICING_TYPES, true)) {
+        return shipping_validation_error('pricing_type', 'Choose flat, weight-based or tiered pricing.');
+    }
+
+    foreach (['base_cost', 'cost_per_kg'] as $field) {
+        $value = $input[$field] ?? 0;
+        if ($value === '') {
+            $value = 0;
+        }
+        if (!is_numeric($value) || $value < 0) {
+            return shipping_validation_error($field, 'Costs must be zero or a positive number.');
+        }
+        $input[$field] = round((float)$value, 2);
+    }
+
+    $tiers = array();
+    $seen_minimums = array();
+    foreach ((array)($input['tiers'] ?? array()) as $tier) {
+        $min_subtotal = $tier['min_subtotal'] ?? '';
+        $cost = $tier['cost'] ?? '';
+        if (!is_numeric($min_subtotal) || $min_subtotal < 0 || !is_numeric($cost) || $cost < 0) {
+            return shipping_validation_error('tiers', 'Each tier needs a minimum subtotal and a cost of zero or more.');
+        }
+
+        $key = number_format((float)$min_subtotal, 2, '.', '');
+        if (isset($seen_minimums[$key])) {
+            return shipping_validation_error('tiers', 'Two tiers cannot start at the same subtotal.');
+        }
+        $seen_minimums[$key] = true;
+
+        $tiers[] = array('min_subtotal' => round((float)$min_subtotal, 2), 'cost' => round((float)$cost, 2));
+    }
+
+    if ($pricing_type === 'tiered' && empty($tiers)) {
+        return shipping_validation_error('tiers', 'Tiered pricing needs at least one tier.');
+    }
+
+    $countries = $input['countries'] ?? array();
+    if (is_string($countries)) {
+        $countries = explode(',', $countries);
+    }
+    $countries = array_values(array_unique(array_filter(array_map('trim', (array)$countries), 'strlen')));
+    foreach ($countries as $country) {
+        if (strlen($country) > 100) {
+            return shipping_validation_error('countries', 'Country names must be 100 characters or less.');
+        }
+    }
+
+    $delivery_estimate = trim($input['delivery_estimate'] ?? '');
+    if (strlen($delivery_estimate) > 100) {
+        return shipping_validation_error('delivery_estimate', 'Delivery estimate must be 100 characters or less.');
+    }
+
+    $sort_order = $input['sort_order'] ?? 0;
+    if ($sort_order === '') {
+        $sort_order = 0;
+    }
+    if (!is_numeric($sort_order)) {
+        return shipping_validation_error('sort_order', 'Sort order must be a number.');
+    }
+
+    return array(
+        'success' => true,
+        'data' => array(
+            'method_name' => $name,
+            'method_type' => $method_type,
+            'pricing_type' => $pricing_type,
+            'base_cost' => $input['base_cost'],
+            'cost_per_kg' => $input['cost_per_kg'],
+            'delivery_estimate' => $delivery_estimate !== '' ? $delivery_estimate : null,
+            'sort_order' => (int)$sort_order,
+            'is_active' => filter_var($input['is_active'] ?? true, FILTER_VALIDATE_BOOLEAN) ? 1 : 0,
+            'tiers' => $tiers,
+            'countries' => $countries
+        )
+    );
+}
+
+/**
+ * Validation failure response for a shipping method field
+ *
+ * @param string $field Field name
+ * @param string $message Message for the admin
+ * @return array Response array
+ */
+function shipping_validation_error($field, $message)
+{
+    return array(
+        'success' => false,
+        'error' => $message,
+        'error_type' => 'validation_error',
+        'error_details' => ['field' => $field]
+    );
+}
+
+?>
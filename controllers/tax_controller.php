@@ -0,0 +1,171 @@
+<?php
+
+require_once __DIR__ . '/../classes/tax_rule_class.php';
+
+/**
+ * Tax Controller
+ * Resolves the tax rule for a customer's location and calculates cart tax.
+ * Rules live in the tax_rules table (see migrations/004_tax_rules.sql).
+ */
+
+/**
+ * Get the tax settings that apply to a customer
+ *
+ * @param int $customer_id Customer ID
+ * @return array Response array with rate, tax_name, inclusive, jurisdiction and exempt_category_ids
+ */
+function get_customer_tax_ctr($customer_id)
+{
+    if (empty($customer_id) || !is_numeric($customer_id) || $customer_id <= 0) {
+        return array(
+            'success' => false,
+            'error' => 'Valid customer ID is required',
+            'error_type' => 'validation_error',
+            'error_details' => ['field' => 'customer_id', 'value' => $customer_id]
+        );
+    }
+
+    try {
+        $tax_rule = new TaxRule();
+        $result = $tax_rule->get_rule_for_customer($customer_id);
+
+        if (!$result['success']) {
+            error_log("Tax rule lookup failed for customer {$customer_id}: " . $result['error_message']);
+            return array(
+                'success' => false,
+                'error' => 'Unable to determine the tax for your location. Please try again.',
+                'error_type' => $result['error_type'],
+                'error_details' => $result['error_details'] ?? null
+            );
+        }
+
+        $rule = $result['data']['rule'];
+        $country = $result['data']['customer_country'];
+
+        // No rule at all (not even the fallback): the order is untaxed
+        if ($rule === null) {
+            return array(
+                'success' => true,
+                'data' => array(
+                    'rule_id' => null,
+                    'rate' => 0.0,
+                    'tax_name' => 'Tax',
+                    'inclusive' => false,
+                    'jurisdiction' => $country !== '' ? $country : null,
+                    'exempt_category_ids' => array()
+                )
+            );
+        }
+
+        return array(
+            'success' => true,
+            'data' => array(
+                'rule_id' => (int)$rule['rule_id'],
+                'rate' => (float)$rule['rate'],
+                'tax_name' => $rule['tax_name'],
+                'inclusive' => (int)$rule['prices_include_tax'] === 1,
+                'jurisdiction' => format_tax_jurisdiction($rule),
+                'exempt_category_ids' => $rule['exempt_category_ids']
+            )
+        );
+
+    } catch (Exception $e) {
+        error_log("Get customer tax exception: " . $e->getMessage());
+        return array(
+            'success' => false,
+            'error' => 'Unable to determine the tax for your location. Please try again.',
+            'error_type' => 'tax_exception',
+            'error_details' => ['exception_message' => $e->getMessage()]
+        );
+    }
+}
+
+/**
+ * Calculate the tax on a cart
+ * An order discount is spread over the items it applies to in proportion to their
+ * value, so exempt items carry their share of it. With tax-inclusive pricing the
+ * tax is the part of the taxable amount that is already tax.
+ *
+ * @param array $cart_items Cart items from Cart::get_cart_items()
+ * @param float $discount_amount Order discount (already capped at the cart total)
+ * @param array|null $tax Result data of get_customer_tax_ctr(); null means untaxed
+ * @param array|null $discounted_product_ids Products the discount applies to; null means the whole cart
+ * @return array taxable_amount and tax_amount
+ */
+function calculate_cart_tax($cart_items, $discount_amount, $tax, $discounted_product_ids = null)
+{
+    $discounted_total = 0;
+    $lines = array();
+
+    foreach ($cart_items as $item) {
+        $line_total = (float)$item['product_price'] * (int)$item['qty'];
+        $discounted = $discounted_product_ids === null || in_array((int)$item['p_id'], $discounted_product_ids, true);
+        if ($discounted) {
+            $discounted_total += $line_total;
+        }
+
+        $lines[] = array(
+            'total' => $line_total,
+            'discounted' => $discounted,
+            'taxable' => $tax !== null && !in_array((int)($item['category_id'] ?? 0), $tax['exempt_category_ids'], true)
+        );
+    }
+
+    $taxable_amount = 0;
+    foreach ($lines as $line) {
+        if (!$line['taxable']) {
+            continue;
+        }
+
+        $share = $line['discounted'] && $discounted_total > 0 ? $discount_amount * $line['total'] / $discounted_total : 0;
+        $taxable_amount += $line['total'] - $share;
+    }
+
+    if ($tax === null || $taxable_amount <= 0) {
+        return array('taxable_amount' => 0.0, 'tax_amount' => 0.0);
+    }
+
+    $tax_amount = $tax['inclusive']
+        ? $taxable_amount - $taxable_amount / (1 + $tax['rate'])
+        : $taxable_amount * $tax['rate'];
+
+    return array(
+        'taxable_amount' => round($taxable_amount, 2),
+        'tax_amount' => round($tax_amount, 2)
+    );
+}
+
+/**
+ * Describe where a rule applies, for display
+ *
+ * @param array $rule tax_rules row
+ * @return string|null "City, Country", "Country", or null for the fallback rule
+ */
+function format_tax_jurisdiction($rule)
+{
+    if ($rule['country'] === '*') {
+        return null;
+    }
+
+    return $rule['city'] !== '' ? $rule['city'] . ', ' . $rule['country'] : $rule['country'];
+}
+
+/**
+ * Build the tax line label shown in the order summary
+ * e.g. "VAT (15%, Accra, Ghana)" or "Includes VAT (15%, Ghana)"
+ *
+ * @param float $rate Tax rate (0.15 for 15%)
+ * @param string $tax_name Tax name from the rule
+ * @param string|null $jurisdiction Result of format_tax_jurisdiction()
+ * @param bool $inclusive Whether prices include the tax
+ * @return string Label
+ */
+function format_tax_label($rate, $tax_name, $jurisdiction, $inclusive)
+{
+    $percent = rtrim(rtrim(number_format($rate * 100, 2, '.', ''), '0'), '.') . '%';
+    $details = $jurisdiction !== null && $jurisdiction !== '' ? $percent . ', ' . $jurisdiction : $percent;
+
+    return ($inclusive ? 'Includes ' : '') . $tax_name . ' (' . $details . ')';
+}
+
+?>
@@ -68,6 +68,13 @@ $is_admin = $is_logged_in && has_admin_privileges();
 			<?php endif; ?>
 			
 			<?php if ($is_logged_in): ?>
+				<?php if (!$is_admin): ?>
+					<a href="orders.php" class="nav-item">
+						<i class="fas fa-receipt"></i>
+						<span>My Orders</span>
+					</a>
+				<?php endif; ?>
+				
 				<?php if ($is_admin): ?>
 					<div class="admin-section-header">
 						<div class="admin-label">Admin</div>
@@ -84,6 +91,26 @@ $is_admin = $is_logged_in && has_admin_privileges();
 						<i class="fas fa-box"></i>
 						<span>Manage Products</span>
 					</a>
+					<a href="admin/import.php" class="nav-item">
+						<i class="fas fa-file-import"></i>
+						<span>Import Products</span>
+					</a>
+					<a href="admin/shipping.php" class="nav-item">
+						<i class="fas fa-truck"></i>
+						<span>Shipping</span>
+					</a>
+					<a href="admin/coupons.php" class="nav-item">
+						<i class="fas fa-ticket-alt"></i>
+						<span>Coupons</span>
+					</a>
+					<a href="admin/orders.php" class="nav-item">
+						<i class="fas fa-clipboard-list"></i>
+						<span>Orders</span>
+					</a>
+					<a href="admin/analytics.php" class="nav-item">
+						<i class="fas fa-chart-line"></i>
+						<span>Analytics</span>
+					</a>
 				<?php endif; ?>
 			<?php endif; ?>
 		</div>
@@ -122,7 +149,9 @@ $is_admin = $is_logged_in && has_admin_privileges();
 			<div style="max-width: 500px; margin: 0 auto 40px auto;">
 				<form method="GET" action="product_search_result.php" style="display: flex; gap: 8px;">
 					<input type="text" 
+						   id="product-search"
 						   name="query" 
+						   aria-label="Search for products"
 						   placeholder="Search for products..." 
 						   class="form-input" 
 						   style="flex: 1; padding: 16px; font-size: 1.1rem; border-radius: var(--border-radius-lg);"
@@ -204,6 +233,14 @@ $is_admin = $is_logged_in && has_admin_privileges();
 		</div>
 	</div>
 
+	<!-- Search suggestions dropdown -->
+	<script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
+	<script src="js/api.js"></script>
+	<script src="js/search_suggestions.js"></script>
+	<script>
+		SearchSuggestions.attach('#product-search');
+	</script>
+
 	<!-- Sidebar Toggle JavaScript -->
 	<script>
 		function toggleSidebar() {
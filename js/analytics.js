@@ -0,0 +1,285 @@
+/**
+ * Sales Analytics JavaScript
+ * Handles the date range, summary figures, Chart.js charts and CSV export
+ * links on the admin analytics page
+ */
+
+$(document).ready(function() {
+    const api = window.SubCartAPI;
+
+    const CHART_COLOR = '#5B8C5A';
+    const CHART_FILL = 'rgba(91, 140, 90, 0.15)';
+
+    // Chart.js instances by canvas ID, destroyed before each redraw
+    const charts = {};
+
+    // Range of the analytics currently on screen, used by the export buttons
+    let loadedRange = null;
+
+    // Initialize the page
+    initializePage();
+
+    /**
+     * Initialize page functionality
+     */
+    function initializePage() {
+        setRange(30);
+        bindEventHandlers();
+        loadAnalytics();
+    }
+
+    /**
+     * Bind all event handlers
+     */
+    function bindEventHandlers() {
+        $('#analytics-range-form').submit(function(e) {
+            e.preventDefault();
+            loadAnalytics();
+        });
+
+        $('.quick-range').click(function(e) {
+            e.preventDefault();
+            setRange(parseInt($(this).data('days'), 10));
+            loadAnalytics();
+        });
+
+        $('.export-series').click(function(e) {
+            e.preventDefault();
+            exportSeries($(this).data('series'));
+        });
+    }
+
+    /**
+     * Fill the date inputs with the last N days, ending today
+     * @param {number} days - Number of days in the range
+     */
+    function setRange(days) {
+        const end = new Date();
+        const start = new Date();
+        start.setDate(end.getDate() - (days - 1));
+
+        $('#start_date').val(toDateValue(start));
+        $('#end_date').val(toDateValue(end));
+    }
+
+    /**
+     * Load and display analytics for the selected range
+     */
+    function loadAnalytics() {
+        const startDate = $('#start_date').val();
+        const endDate = $('#end_date').val();
+
+        if (!startDate || !endDate) {
+            showError('Validation Error', 'Choose both a start and an end date!');
+            return;
+        }
+
+        if (startDate > endDate) {
+            showError('Validation Error', 'The start date must be on or before the end date!');
+            return;
+        }
+
+        $('#analytics-loading').show();
+        $('#apply-range-btn').prop('disabled', true);
+
+        api.analytics.sales(startDate, endDate)
+            .then(function(response) {
+                const data = response.data;
+                loadedRange = { start: data.start_date, end: data.end_date };
+
+                $('#analytics-loading').hide();
+                $('#analytics-content').show();
+                displaySummary(data.summary);
+                displayCharts(data);
+            })
+            .catch(function(error) {
+                $('#analytics-loading').hide();
+
+                if (error.isTransportError()) {
+                    console.error('Error loading sales analytics:', error);
+                    showError('Connection Error', 'Failed to load sales analytics. Please check your connection and try again.');
+                } else {
+                    showError('Error', error.message || 'Failed to load sales analytics');
+                }
+            })
+            .finally(function() {
+                $('#apply-range-btn').prop('disabled', false);
+            });
+    }
+
+    /**
+     * Display the summary figures as cards
+     * @param {object} summary - Totals from get_order_statistics
+     */
+    function displaySummary(summary) {
+        const figures = [
+            { label: 'Revenue', value: formatMoney(summary.total_revenue), icon: 'fa-dollar-sign' },
+            { label: 'Orders', value: summary.total_orders, icon: 'fa-shopping-bag' },
+            { label: 'Average Order Value', value: formatMoney(summary.avg_order_value), icon: 'fa-balance-scale' },
+            { label: 'Customers', value: summary.unique_customers, icon: 'fa-users' },
+            { label: 'Cancelled', value: summary.cancelled_orders, icon: 'fa-ban' },
+            { label: 'Refunded', value: summary.refunded_orders, icon: 'fa-undo' }
+        ];
+
+        $('#analytics-summary').html(figures.map(figure => `
+            <div class="brand-card">
+                <div class="brand-header">
+                    <h6 class="brand-name">${escapeHtml(String(figure.value))}</h6>
+                </div>
+                <div class="brand-meta">
+                    <small class="brand-date">
+                        <i class="fa ${figure.icon}"></i> ${escapeHtml(figure.label)}
+                    </small>
+                </div>
+            </div>
+        `).join(''));
+    }
+
+    /**
+     * Draw every chart from the analytics data
+     * @param {object} data - Response from fetch_sales_analytics_action.php
+     */
+    function displayCharts(data) {
+        const labels = data.daily.map(day => day.date);
+
+        drawChart('revenue-chart', 'line', labels, 'Revenue', data.daily.map(day => day.revenue), true);
+        drawChart('orders-chart', 'bar', labels, 'Orders', data.daily.map(day => day.orders), false);
+        drawChart('aov-chart', 'line', labels, 'Average order value', data.daily.map(day => day.avg_order_value), true);
+
+        drawTopChart('top-products-chart', data.top_products);
+        drawTopChart('top-brands-chart', data.top_brands);
+        drawTopChart('top-categories-chart', data.top_categories);
+    }
+
+    /**
+     * Draw a horizontal bar chart of units sold
+     * @param {string} canvasId - Canvas element ID
+     * @param {Array} sellers - Top sellers (name, units, sales)
+     */
+    function drawTopChart(canvasId, sellers) {
+        drawChart(canvasId, 'bar', sellers.map(seller => seller.name), 'Units sold',
+            sellers.map(seller => seller.units), false, {
+                indexAxis: 'y',
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            afterLabel: context => 'Sales: ' + formatMoney(sellers[context.dataIndex].sales)
+                        }
+                    }
+                }
+            });
+    }
+
+    /**
+     * Draw (or redraw) a single-series chart
+     * @param {string} canvasId - Canvas element ID
+     * @param {string} type - Chart.js chart type
+     * @param {Array} labels - Axis labels
+     * @param {string} label - Series name
+     * @param {Array} values - Series values
+     * @param {boolean} isMoney - Whether values are amounts
+     * @param {object} extraOptions - Chart.js options merged over the defaults
+     */
+    function drawChart(canvasId, type, labels, label, values, isMoney, extraOptions = {}) {
+        if (charts[canvasId]) {
+            charts[canvasId].destroy();
+        }
+
+        const valueAxis = extraOptions.indexAxis === 'y' ? 'x' : 'y';
+        const options = {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: { display: false } },
+            scales: {
+                [valueAxis]: {
+                    beginAtZero: true,
+                    ticks: {
+                        precision: isMoney ? undefined : 0,
+                        callback: value => isMoney ? formatMoney(value) : value
+                    }
+                }
+            }
+        };
+
+        charts[canvasId] = new Chart(document.getElementById(canvasId), {
+            type: type,
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: label,
+                    data: values,
+                    borderColor: CHART_COLOR,
+                    backgroundColor: type === 'line' ? CHART_FILL : CHART_COLOR,
+                    fill: type === 'line',
+                    tension: 0.25
+                }]
+            },
+            options: Object.assign(options, extraOptions)
+        });
+    }
+
+    /**
+     * Download one series as CSV for the range on screen
+     * @param {string} series - daily, products, brands or categories
+     */
+    function exportSeries(series) {
+        if (!loadedRange) {
+            showError('Error', 'Load the analytics before exporting.');
+            return;
+        }
+
+        window.location.href = api.analytics.exportUrl(series, loadedRange.start, loadedRange.end);
+    }
+
+    /**
+     * Format a date for a date input (YYYY-MM-DD, local time)
+     * @param {Date} date - Date to format
+     * @returns {string} Formatted date
+     */
+    function toDateValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Show error message using SweetAlert2
+     * @param {string} title - The title of the alert
+     * @param {string} message - The message to display
+     */
+    function showError(title, message) {
+        Swal.fire({
+            icon: 'error',
+            title: title,
+            text: message,
+            confirmButtonText: 'OK'
+        });
+    }
+
+    /**
+     * Format an amount for display
+     * @param {string|number} amount - Amount to format
+     * @returns {string} Formatted amount
+     */
+    function formatMoney(amount) {
+        return '$' + parseFloat(amount || 0).toFixed(2);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - The text to escape
+     * @returns {string} Escaped HTML
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API for external access if needed
+    window.AnalyticsManager = {
+        loadAnalytics: loadAnalytics,
+        exportSeries: exportSeries
+    };
+});
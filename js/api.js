@@ -0,0 +1,580 @@
+/**
+ * SubCart API Client
+ * Shared client for the actions/*.php endpoints used by admin and storefront pages.
+ * Resolves endpoint paths against a configurable base, normalizes the two response
+ * envelopes returned by the actions and reports every failure as an ApiError.
+ *
+ * Load this script before any page script that talks to the server:
+ *     <script src="js/api.js"></script>          (storefront pages)
+ *     <script src="../js/api.js"></script>       (admin pages)
+ *
+ * The base path defaults to the actions/ directory next to js/, so the same file
+ * works from any page depth. Override it with a data-api-base attribute on the
+ * script tag or with SubCartAPI.configure({ basePath: '...' }).
+ *
+ * Every non-GET request carries the page's CSRF token (from the csrf-token meta
+ * tag written by csrf_meta_tag(), or a csrf_token hidden field). When an action
+ * rejects the token as missing or stale, the client fetches the current token
+ * once and retries the request.
+ */
+
+(function(window, $) {
+    'use strict';
+
+    const DEFAULT_TIMEOUT = 30000;
+    const CSRF_TOKEN_ENDPOINT = 'get_csrf_token_action.php';
+    const CSRF_ERROR_TYPES = ['csrf_token_missing_session', 'csrf_token_missing_post', 'csrf_validation_failed'];
+
+    let pendingTokenRefresh = null;
+
+    const settings = {
+        basePath: detectBasePath(),
+        timeout: DEFAULT_TIMEOUT
+    };
+
+    /**
+     * Error raised for every failed API call
+     * kind is one of: application, http, network, timeout, parse, abort
+     */
+    class ApiError extends Error {
+        /**
+         * @param {string} message - User facing error message
+         * @param {object} details - Additional error details
+         */
+        constructor(message, details = {}) {
+            super(message);
+            this.name = 'ApiError';
+            this.kind = details.kind || 'application';
+            this.type = details.type || null;
+            this.status = details.status || 0;
+            this.endpoint = details.endpoint || null;
+            this.field = details.field || null;
+            this.suggestion = details.suggestion || null;
+            this.retryRecommended = Boolean(details.retryRecommended);
+            this.requiresAction = details.requiresAction || null;
+            this.data = details.data !== undefined ? details.data : null;
+            this.response = details.response || null;
+        }
+
+        /**
+         * Whether the request never produced a usable server response
+         * @returns {boolean} True for network, timeout, parse and abort failures
+         */
+        isTransportError() {
+            return this.kind !== 'application' && this.kind !== 'http';
+        }
+    }
+
+    /**
+     * Work out the default actions/ path from the location of this script
+     * @returns {string} Base path ending with a slash
+     */
+    function detectBasePath() {
+        const script = document.currentScript;
+
+        if (script && script.dataset && script.dataset.apiBase) {
+            return withTrailingSlash(script.dataset.apiBase);
+        }
+
+        if (script && script.src) {
+            return new URL('../actions/', script.src).href;
+        }
+
+        return 'actions/';
+    }
+
+    /**
+     * Ensure a path ends with a slash
+     * @param {string} path - Path to normalize
+     * @returns {string} Path ending with a slash
+     */
+    function withTrailingSlash(path) {
+        return path.endsWith('/') ? path : path + '/';
+    }
+
+    /**
+     * Update client settings
+     * @param {object} options - basePath and/or timeout
+     * @returns {object} Current settings
+     */
+    function configure(options = {}) {
+        if (options.basePath) {
+            settings.basePath = withTrailingSlash(options.basePath);
+        }
+        if (options.timeout) {
+            settings.timeout = options.timeout;
+        }
+        return Object.assign({}, settings);
+    }
+
+    /**
+     * Resolve an action file name against the configured base path
+     * @param {string} endpoint - Action file name, e.g. 'add_to_cart_action.php'
+     * @returns {string} Full endpoint URL
+     */
+    function resolveUrl(endpoint) {
+        if (/^(https?:)?\/\//.test(endpoint) || endpoint.startsWith('/')) {
+            return endpoint;
+        }
+        return settings.basePath + endpoint.replace(/^\.?\/?(actions\/)?/, '');
+    }
+
+    /**
+     * Normalize the two response envelopes used by the actions.
+     * Admin and cart actions reply with {status: 'success'|'error', message, data},
+     * checkout replies with {success: true|false, error, data}.
+     * @param {object} payload - Decoded JSON response
+     * @returns {object|null} {success, message, errorType, data, raw} or null if unrecognized
+     */
+    function normalizeResponse(payload) {
+        if (!payload || typeof payload !== 'object') {
+            return null;
+        }
+
+        let success;
+        if (typeof payload.success === 'boolean') {
+            success = payload.success;
+        } else if (typeof payload.status === 'string') {
+            success = payload.status === 'success';
+        } else {
+            return null;
+        }
+
+        return {
+            success: success,
+            message: payload.message || payload.error || '',
+            errorType: payload.error_type || null,
+            data: payload.data !== undefined ? payload.data : null,
+            raw: payload
+        };
+    }
+
+    /**
+     * Build an ApiError from an unsuccessful envelope
+     * @param {object} envelope - Normalized response
+     * @param {number} status - HTTP status code
+     * @param {string} endpoint - Endpoint that was called
+     * @param {string} kind - Error kind
+     * @returns {ApiError} Error instance
+     */
+    function errorFromEnvelope(envelope, status, endpoint, kind = 'application') {
+        const raw = envelope.raw;
+
+        return new ApiError(envelope.message || 'The request could not be completed. Please try again.', {
+            kind: kind,
+            type: envelope.errorType,
+            status: status,
+            endpoint: endpoint,
+            field: raw.field,
+            suggestion: raw.suggestion,
+            retryRecommended: raw.retry_recommended,
+            requiresAction: raw.requires_action,
+            data: envelope.data,
+            response: raw
+        });
+    }
+
+    /**
+     * Build an ApiError from a failed jQuery request
+     * @param {object} xhr - jqXHR object
+     * @param {string} textStatus - jQuery status text
+     * @param {string} endpoint - Endpoint that was called
+     * @returns {ApiError} Error instance
+     */
+    function errorFromXhr(xhr, textStatus, endpoint) {
+        if (textStatus === 'abort') {
+            return new ApiError('The request was cancelled.', { kind: 'abort', endpoint: endpoint });
+        }
+
+        if (textStatus === 'timeout') {
+            return new ApiError('The server took too long to respond. Please try again.', {
+                kind: 'timeout',
+                endpoint: endpoint,
+                retryRecommended: true
+            });
+        }
+
+        if (xhr.status === 0) {
+            return new ApiError('Unable to reach the server. Please check your connection and try again.', {
+                kind: 'network',
+                endpoint: endpoint,
+                retryRecommended: true
+            });
+        }
+
+        // Error statuses may still carry a JSON envelope with a useful message
+        const envelope = normalizeResponse(xhr.responseJSON || parseJson(xhr.responseText));
+        if (envelope) {
+            return errorFromEnvelope(envelope, xhr.status, endpoint, xhr.status >= 200 && xhr.status < 300 ? 'application' : 'http');
+        }
+
+        if (textStatus === 'parsererror') {
+            console.error('Invalid JSON from ' + endpoint + ':', xhr.responseText);
+            return new ApiError('The server returned an invalid response. Please try again later.', {
+                kind: 'parse',
+                status: xhr.status,
+                endpoint: endpoint
+            });
+        }
+
+        return new ApiError(`Server error (${xhr.status}). Please try again later.`, {
+            kind: 'http',
+            status: xhr.status,
+            endpoint: endpoint,
+            retryRecommended: xhr.status >= 500
+        });
+    }
+
+    /**
+     * Parse JSON without throwing
+     * @param {string} text - Raw response text
+     * @returns {object|null} Parsed value or null
+     */
+    function parseJson(text) {
+        if (!text) {
+            return null;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Read the CSRF token exposed by the page
+     * @returns {string} Current token or an empty string
+     */
+    function getCsrfToken() {
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        if (meta && meta.content) {
+            return meta.content;
+        }
+
+        const input = document.querySelector('input[name="csrf_token"]');
+        return input ? input.value : '';
+    }
+
+    /**
+     * Store a new CSRF token in the meta tag and any csrf_token form fields
+     * @param {string} token - Token returned by the server
+     */
+    function setCsrfToken(token) {
+        let meta = document.querySelector('meta[name="csrf-token"]');
+        if (!meta) {
+            meta = document.createElement('meta');
+            meta.name = 'csrf-token';
+            document.head.appendChild(meta);
+        }
+        meta.content = token;
+
+        document.querySelectorAll('input[name="csrf_token"]').forEach(input => {
+            input.value = token;
+        });
+    }
+
+    /**
+     * Fetch the current session token from the server
+     * Concurrent callers share a single in-flight refresh
+     * @returns {Promise<string>} The refreshed token
+     */
+    function refreshCsrfToken() {
+        if (!pendingTokenRefresh) {
+            pendingTokenRefresh = send(CSRF_TOKEN_ENDPOINT, { method: 'GET' })
+                .then(function(response) {
+                    setCsrfToken(response.data.csrf_token);
+                    return response.data.csrf_token;
+                })
+                .finally(function() {
+                    pendingTokenRefresh = null;
+                });
+        }
+        return pendingTokenRefresh;
+    }
+
+    /**
+     * Add the CSRF token to a request body
+     * @param {object|FormData} data - Request body
+     * @param {string} token - CSRF token
+     * @returns {object|FormData} Body including csrf_token
+     */
+    function withCsrfToken(data, token) {
+        if (typeof FormData !== 'undefined' && data instanceof FormData) {
+            data.set('csrf_token', token);
+            return data;
+        }
+        return Object.assign({}, data, { csrf_token: token });
+    }
+
+    /**
+     * Whether an error means the CSRF token was missing or stale
+     * @param {ApiError} error - Error to inspect
+     * @returns {boolean} True for CSRF failures
+     */
+    function isCsrfError(error) {
+        return error instanceof ApiError && CSRF_ERROR_TYPES.includes(error.type);
+    }
+
+    /**
+     * Send a request to an action endpoint, attaching the CSRF token to
+     * state-changing requests and retrying once with a fresh token if it was rejected
+     * @param {string} endpoint - Action file name
+     * @param {object} options - method, data (object or FormData), timeout and signal
+     * @returns {Promise<object>} Resolves with the normalized envelope, rejects with ApiError
+     */
+    function request(endpoint, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+
+        if (method === 'GET') {
+            return send(endpoint, options);
+        }
+
+        const attempt = function() {
+            const token = getCsrfToken();
+            return send(endpoint, Object.assign({}, options, {
+                data: withCsrfToken(options.data || {}, token),
+                headers: Object.assign({}, options.headers, { 'X-CSRF-Token': token })
+            }));
+        };
+
+        return attempt().catch(function(error) {
+            if (!isCsrfError(error)) {
+                throw error;
+            }
+
+            return refreshCsrfToken()
+                .catch(function() {
+                    // Report the original security error if the refresh itself failed
+                    throw error;
+                })
+                .then(attempt)
+                .catch(function(retryError) {
+                    if (isCsrfError(retryError)) {
+                        retryError.requiresAction = 'refresh_page';
+                    }
+                    throw retryError;
+                });
+        });
+    }
+
+    /**
+     * Perform a single request to an action endpoint
+     * Aborting options.signal cancels the request, which then rejects with kind 'abort'
+     * @param {string} endpoint - Action file name
+     * @param {object} options - method, data (object or FormData), headers, timeout and signal
+     * @returns {Promise<object>} Resolves with the normalized envelope, rejects with ApiError
+     */
+    function send(endpoint, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const data = options.data;
+        const isFormData = typeof FormData !== 'undefined' && data instanceof FormData;
+
+        return new Promise((resolve, reject) => {
+            const xhr = $.ajax({
+                url: resolveUrl(endpoint),
+                type: method,
+                data: data,
+                dataType: 'json',
+                headers: options.headers || {},
+                processData: !isFormData,
+                contentType: isFormData ? false : 'application/x-www-form-urlencoded; charset=UTF-8',
+                timeout: options.timeout || settings.timeout,
+                success: function(payload, textStatus, xhr) {
+                    const envelope = normalizeResponse(payload);
+
+                    if (!envelope) {
+                        reject(new ApiError('The server returned an unexpected response. Please try again later.', {
+                            kind: 'parse',
+                            status: xhr.status,
+                            endpoint: endpoint,
+                            response: payload
+                        }));
+                        return;
+                    }
+
+                    if (!envelope.success) {
+                        reject(errorFromEnvelope(envelope, xhr.status, endpoint));
+                        return;
+                    }
+
+                    resolve(envelope);
+                },
+                error: function(xhr, textStatus) {
+                    reject(errorFromXhr(xhr, textStatus, endpoint));
+                }
+            });
+
+            if (options.signal) {
+                if (options.signal.aborted) {
+                    xhr.abort();
+                } else {
+                    options.signal.addEventListener('abort', () => xhr.abort(), { once: true });
+                }
+            }
+        });
+    }
+
+    /**
+     * Send a GET request
+     * @param {string} endpoint - Action file name
+     * @param {object} params - Query parameters
+     * @param {object} options - timeout and/or signal (an AbortSignal that cancels the request)
+     * @returns {Promise<object>} Normalized envelope
+     */
+    function get(endpoint, params = {}, options = {}) {
+        return request(endpoint, Object.assign({}, options, { method: 'GET', data: compact(params) }));
+    }
+
+    /**
+     * Send a POST request
+     * @param {string} endpoint - Action file name
+     * @param {object|FormData} data - Request body
+     * @returns {Promise<object>} Normalized envelope
+     */
+    function post(endpoint, data = {}) {
+        return request(endpoint, { method: 'POST', data: data });
+    }
+
+    /**
+     * Drop null, undefined and empty string values from query parameters
+     * @param {object} params - Query parameters
+     * @returns {object} Filtered parameters
+     */
+    function compact(params) {
+        const result = {};
+        Object.keys(params || {}).forEach(key => {
+            const value = params[key];
+            if (value !== null && value !== undefined && value !== '') {
+                result[key] = value;
+            }
+        });
+        return result;
+    }
+
+    const api = {
+        configure: configure,
+        resolveUrl: resolveUrl,
+        normalizeResponse: normalizeResponse,
+        request: request,
+        get: get,
+        post: post,
+        getCsrfToken: getCsrfToken,
+        refreshCsrfToken: refreshCsrfToken,
+        ApiError: ApiError,
+
+        categories: {
+            list: () => get('fetch_category_action.php'),
+            add: (data) => post('add_category_action.php', data),
+            update: (data) => post('update_category_action.php', data),
+            remove: (data) => post('delete_category_action.php', data)
+        },
+
+        brands: {
+            list: () => get('fetch_brand_action.php'),
+            add: (data) => post('add_brand_action.php', data),
+            update: (data) => post('update_brand_action.php', data),
+            remove: (data) => post('delete_brand_action.php', data)
+        },
+
+        shippingMethods: {
+            list: () => get('fetch_shipping_method_action.php'),
+            add: (data) => post('add_shipping_method_action.php', data),
+            update: (data) => post('update_shipping_method_action.php', data),
+            remove: (data) => post('delete_shipping_method_action.php', data)
+        },
+
+        coupons: {
+            list: () => get('fetch_coupon_action.php'),
+            add: (data) => post('add_coupon_action.php', data),
+            update: (data) => post('update_coupon_action.php', data),
+            remove: (data) => post('delete_coupon_action.php', data),
+            apply: (code) => post('apply_coupon_action.php', { coupon_code: code }),
+            clear: () => post('remove_coupon_action.php'),
+            current: () => get('cart_coupon_action.php')
+        },
+
+        searchSynonyms: {
+            list: () => get('fetch_search_synonym_action.php'),
+            add: (data) => post('add_search_synonym_action.php', data),
+            update: (data) => post('update_search_synonym_action.php', data),
+            remove: (data) => post('delete_search_synonym_action.php', data)
+        },
+
+        products: {
+            list: () => get('fetch_product_action.php'),
+            add: (data) => post('add_product_action.php', data),
+            update: (data) => post('update_product_action.php', data),
+            remove: (data) => post('delete_product_action.php', data),
+            uploadImage: (formData) => post('upload_product_image_action.php', formData),
+            startUpload: (data) => post('start_image_upload_action.php', data),
+            uploadChunk: (formData) => post('upload_image_chunk_action.php', formData),
+            completeUpload: (data) => post('complete_image_upload_action.php', data),
+            cancelUpload: (data) => post('cancel_image_upload_action.php', data),
+            updateImagePath: (data) => post('update_product_image_path_action.php', data),
+            variants: (productId) => get('fetch_product_variants_action.php', { product_id: productId }),
+            saveVariants: (data) => post('save_product_variants_action.php', data),
+            images: (productId) => get('fetch_product_images_action.php', { product_id: productId }),
+            saveImages: (data) => post('save_product_images_action.php', data),
+            display: (params) => get('fetch_product_display_action.php', params),
+            search: (params) => get('search_product_action.php', params),
+            advancedSearch: (params) => get('advanced_search_action.php', params),
+            compositeSearch: (params, options) => get('enhanced_composite_search_action.php', params, options),
+            suggestions: (query, limit, options) => get('search_suggestions_action.php', { query: query, limit: limit }, options),
+            filter: (params) => get('filter_product_action.php', params),
+            filterOptions: (categoryId) => get('get_filter_options_action.php', { category_id: categoryId }),
+            exportUrl: (format, categoryId, brandId) => resolveUrl('export_catalog_action.php') + '?' +
+                new URLSearchParams(compact({ format: format, category_id: categoryId, brand_id: brandId })).toString()
+        },
+
+        productImports: {
+            preview: (formData) => post('preview_product_import_action.php', formData),
+            remap: (importId, mapping) => post('preview_product_import_action.php', { import_id: importId, mapping: mapping }),
+            importBatch: (importId, fromRow) => post('import_products_action.php', { import_id: importId, from_row: fromRow }),
+            errorsUrl: (importId) => resolveUrl('export_product_import_errors_action.php') + '?' +
+                new URLSearchParams({ import_id: importId }).toString()
+        },
+
+        cart: {
+            add: (productId, quantity = 1, variantId = 0) => post('add_to_cart_action.php', { product_id: productId, variant_id: variantId, quantity: quantity }),
+            updateQuantity: (productId, quantity, variantId = 0) => post('update_quantity_action.php', { product_id: productId, variant_id: variantId, quantity: quantity }),
+            remove: (productId, variantId = 0) => post('remove_from_cart_action.php', { product_id: productId, variant_id: variantId }),
+            empty: () => post('empty_cart_action.php'),
+            fetch: () => get('fetch_cart_action.php')
+        },
+
+        checkout: {
+            quote: (shippingMethodId) => post('checkout_quote_action.php', { shipping_method_id: shippingMethodId }),
+            process: (data) => post('process_checkout_action.php', data)
+        },
+
+        orders: {
+            list: (page) => get('fetch_customer_orders_action.php', { page: page }),
+            get: (orderId) => get('fetch_customer_order_action.php', { order_id: orderId })
+        },
+
+        adminOrders: {
+            list: (filters, page) => get('fetch_orders_action.php', Object.assign({}, filters, { page: page })),
+            get: (orderId) => get('fetch_order_action.php', { order_id: orderId }),
+            updateStatus: (orderId, status, note) => post('update_order_status_action.php', { order_id: orderId, order_status: status, note: note }),
+            statistics: (startDate, endDate) => get('fetch_order_statistics_action.php', { start_date: startDate, end_date: endDate })
+        },
+
+        analytics: {
+            sales: (startDate, endDate) => get('fetch_sales_analytics_action.php', { start_date: startDate, end_date: endDate }),
+            exportUrl: (series, startDate, endDate) => resolveUrl('export_sales_analytics_action.php') + '?' +
+                new URLSearchParams(compact({ series: series, start_date: startDate, end_date: endDate })).toString()
+        },
+
+        payments: {
+            initialize: (provider, quoteId) => post('initialize_payment_action.php', { provider: provider, quote_id: quoteId }),
+            authorize: (reference, details) => post('authorize_payment_action.php', { reference: reference, payment_details: details }),
+            status: (reference) => get('payment_status_action.php', { reference: reference }),
+            handleReturn: (reference, params) => post('payment_return_action.php', { reference: reference, params: params }),
+            refund: (reference, amount) => post('refund_payment_action.php', { reference: reference, amount: amount })
+        }
+    };
+
+    window.SubCartAPI = api;
+    window.ApiError = ApiError;
+
+})(window, jQuery);
@@ -5,6 +5,8 @@
  */
 
 $(document).ready(function() {
+    const api = window.SubCartAPI;
+
     // Regular expressions for validation
     const brandNameRegex = /^[a-zA-Z0-9\s\-_&().,]{1,255}$/;
     
@@ -109,23 +111,23 @@ $(document).ready(function() {
      * Load categories for dropdown population
      */
     function loadCategories() {
-        $.ajax({
-            url: '../actions/fetch_category_action.php',
-            type: 'GET',
-            dataType: 'json',
-            success: function(response) {
-                if (response.status === 'success' && response.data && response.data.categories) {
+        api.categories.list()
+            .then(function(response) {
+                if (response.data && response.data.categories) {
                     categoriesData = response.data.categories;
                     populateCategoryDropdown(response.data.categories);
                 } else {
                     showError('Error', 'Failed to load categories. Please refresh the page.');
                 }
-            },
-            error: function(xhr, status, error) {
-                console.error('AJAX Error loading categories:', status, error);
-                showError('Connection Error', 'Failed to load categories. Please check your connection and try again.');
-            }
-        });
+            })
+            .catch(function(error) {
+                console.error('Error loading categories:', error);
+                if (error.isTransportError()) {
+                    showError('Connection Error', 'Failed to load categories. Please check your connection and try again.');
+                } else {
+                    showError('Error', 'Failed to load categories. Please refresh the page.');
+                }
+            });
     }
 
     /**
@@ -171,34 +173,20 @@ $(document).ready(function() {
      * @param {number} categoryId - The category ID for the brand
      */
     function addBrand(brandName, categoryId) {
-        $.ajax({
-            url: '../actions/add_brand_action.php',
-            type: 'POST',
-            dataType: 'json',
-            data: {
-                brand_name: brandName,
-                category_id: categoryId,
-                csrf_token: $('input[name="csrf_token"]').val()
-            },
-            success: function(response) {
+        api.brands.add({
+            brand_name: brandName,
+            category_id: categoryId
+        })
+            .then(function(response) {
                 setAddButtonLoading(false);
-                
-                if (response.status === 'success') {
-                    showSuccess('Success', response.message);
-                    $('#add-brand-form')[0].reset();
-                    loadBrands(); // Refresh the list
-                } else {
-                    showError('Error', response.message);
-                }
-            },
-            error: function(xhr, status, error) {
+                showSuccess('Success', response.message);
+                $('#add-brand-form')[0].reset();
+                loadBrands(); // Refresh the list
+            })
+            .catch(function(error) {
                 setAddButtonLoading(false);
-                console.error('AJAX Error:', status, error);
-                console.error('Response:', xhr.responseText);
-                
-                showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
-            }
-        });
+                showApiError(error);
+            });
     }
 
     /**
@@ -210,33 +198,28 @@ $(document).ready(function() {
         $('#brands-empty').hide();
         $('#brands-list').hide();
 
-        $.ajax({
-            url: '../actions/fetch_brand_action.php',
-            type: 'GET',
-            dataType: 'json',
-            success: function(response) {
+        api.brands.list()
+            .then(function(response) {
                 $('#brands-loading').hide();
                 
-                if (response.status === 'success') {
-                    if (response.data && response.data.brands && response.data.brands.length > 0) {
-                        displayBrands(response.data.brands);
-                        $('#brands-list').show();
-                    } else {
-                        $('#brands-empty').show();
-                    }
+                if (response.data && response.data.brands && response.data.brands.length > 0) {
+                    displayBrands(response.data.brands);
+                    $('#brands-list').show();
                 } else {
-                    showError('Error', response.message || 'Failed to load brands');
                     $('#brands-empty').show();
                 }
-            },
-            error: function(xhr, status, error) {
+            })
+            .catch(function(error) {
                 $('#brands-loading').hide();
                 $('#brands-empty').show();
-                console.error('AJAX Error:', status, error);
                 
-                showError('Connection Error', 'Failed to load brands. Please check your connection and try again.');
-            }
-        });
+                if (error.isTransportError()) {
+                    console.error('Error loading brands:', error);
+                    showError('Connection Error', 'Failed to load brands. Please check your connection and try again.');
+                } else {
+                    showError('Error', error.message || 'Failed to load brands');
+                }
+            });
     }
 
     /**
@@ -395,34 +378,20 @@ $(document).ready(function() {
      * @param {string} brandName - The new brand name
      */
     function updateBrand(brandId, brandName) {
-        $.ajax({
-            url: '../actions/update_brand_action.php',
-            type: 'POST',
-            dataType: 'json',
-            data: {
-                brand_id: brandId,
-                brand_name: brandName,
-                csrf_token: $('input[name="csrf_token"]').val()
-            },
-            success: function(response) {
+        api.brands.update({
+            brand_id: brandId,
+            brand_name: brandName
+        })
+            .then(function(response) {
                 setUpdateButtonLoading(false);
-                
-                if (response.status === 'success') {
-                    showSuccess('Success', response.message);
-                    closeEditModal();
-                    loadBrands(); // Refresh the list
-                } else {
-                    showError('Error', response.message);
-                }
-            },
-            error: function(xhr, status, error) {
+                showSuccess('Success', response.message);
+                closeEditModal();
+                loadBrands(); // Refresh the list
+            })
+            .catch(function(error) {
                 setUpdateButtonLoading(false);
-                console.error('AJAX Error:', status, error);
-                console.error('Response:', xhr.responseText);
-                
-                showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
-            }
-        });
+                showApiError(error);
+            });
     }
 
     /**
@@ -471,33 +440,19 @@ $(document).ready(function() {
      * @param {number} brandId - The brand ID to delete
      */
     function deleteBrand(brandId) {
-        $.ajax({
-            url: '../actions/delete_brand_action.php',
-            type: 'POST',
-            dataType: 'json',
-            data: {
-                brand_id: brandId,
-                csrf_token: $('input[name="csrf_token"]').val()
-            },
-            success: function(response) {
+        api.brands.remove({
+            brand_id: brandId
+        })
+            .then(function(response) {
                 setDeleteButtonLoading(false);
-                
-                if (response.status === 'success') {
-                    showSuccess('Success', response.message);
-                    closeDeleteModal();
-                    loadBrands(); // Refresh the list
-                } else {
-                    showError('Error', response.message);
-                }
-            },
-            error: function(xhr, status, error) {
+                showSuccess('Success', response.message);
+                closeDeleteModal();
+                loadBrands(); // Refresh the list
+            })
+            .catch(function(error) {
                 setDeleteButtonLoading(false);
-                console.error('AJAX Error:', status, error);
-                console.error('Response:', xhr.responseText);
-                
-                showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
-            }
-        });
+                showApiError(error);
+            });
     }
 
     /**
@@ -579,6 +534,19 @@ $(document).ready(function() {
         });
     }
 
+    /**
+     * Show an ApiError from a failed request
+     * @param {ApiError} error - The error raised by the API client
+     */
+    function showApiError(error) {
+        if (error.isTransportError()) {
+            console.error('Request failed:', error);
+            showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
+        } else {
+            showError('Error', error.message);
+        }
+    }
+
     /**
      * Escape HTML to prevent XSS
      * @param {string} text - The text to escape
@@ -2,363 +2,453 @@
  * Cart Management JavaScript
  * Handles dynamic cart interactions without page reload
  * Requirements: 5.1, 5.2, 5.3
+ *
+ * All cart data lives in window.CartStore (js/cart_store.js). The handlers below
+ * only ask the store for changes; the cart page rows, the cart summary and the
+ * menu badge are rendered from the store whenever it notifies, including when a
+ * failed request rolls a change back.
  */
 
 $(document).ready(function() {
-    
-    // Debug logging
-    console.log('Cart.js loaded');
-    console.log('jQuery version:', $.fn.jquery);
-    
-    // Wait a bit for DOM to be fully rendered, then initialize
-    setTimeout(function() {
-        initializeCartHandlers();
-    }, 100);
-    
+    const store = window.CartStore;
+
+    // Cart page markup (item list or empty state) is only present on cart.php
+    if ($('#cart-items-list, #cart-empty-state').length === 0) {
+        return;
+    }
+
+    // Discount from the applied coupon, re-priced by the server whenever the cart changes
+    let cartDiscount = parseFloat($('#cart-discount-row').data('discount')) || 0;
+    let couponCode = $('#coupon-applied-code').text().trim() || null;
+    let couponRefreshTimer = null;
+
+    initializeCartHandlers();
+
+    store.subscribe(renderCartPage);
+    if (store.isHydrated()) {
+        renderCartPage(store.getState(), { type: 'hydrate' });
+    }
+
     /**
      * Initialize all cart event handlers
      */
     function initializeCartHandlers() {
-        // Debug: Check if elements exist
-        console.log('Initializing cart handlers...');
-        console.log('Quantity increase buttons found:', $('.quantity-increase').length);
-        console.log('Quantity decrease buttons found:', $('.quantity-decrease').length);
-        console.log('Quantity inputs found:', $('.quantity-input').length);
-        console.log('Remove buttons found:', $('.remove-item').length);
-        console.log('Empty cart button found:', $('#empty-cart-btn').length);
-        
-        // Test if buttons are clickable
-        $('.quantity-increase').each(function(index) {
-            const $btn = $(this);
-            console.log(`Button ${index}: disabled=${$btn.prop('disabled')}, visible=${$btn.is(':visible')}, css-pointer-events=${$btn.css('pointer-events')}`);
-        });
-        
-        // Use event delegation for better reliability - try both document and body
-        $(document).off('click.cart');
-        $('body').off('click.cart');
-        
-        // Attach to body instead of document for better compatibility
+        $('body').off('.cart');
+
         $('body').on('click.cart', '.quantity-increase', handleQuantityIncrease);
         $('body').on('click.cart', '.quantity-decrease', handleQuantityDecrease);
         $('body').on('change.cart', '.quantity-input', handleQuantityChange);
-        $('body').on('blur.cart', '.quantity-input', handleQuantityChange);
         $('body').on('click.cart', '.remove-item', handleRemoveItem);
         $('body').on('click.cart', '#empty-cart-btn', handleEmptyCart);
-        
-        // Also try direct event binding as fallback
-        $('.quantity-increase').off('click.direct').on('click.direct', handleQuantityIncrease);
-        $('.quantity-decrease').off('click.direct').on('click.direct', handleQuantityDecrease);
-        $('.remove-item').off('click.direct').on('click.direct', handleRemoveItem);
-        $('#empty-cart-btn').off('click.direct').on('click.direct', handleEmptyCart);
-        
+        $('body').on('submit.cart', '#coupon-form', handleApplyCoupon);
+        $('body').on('click.cart', '#remove-coupon-btn', handleRemoveCoupon);
+
         // Prevent form submission on enter in quantity inputs
-        $('.quantity-input').on('keypress', function(e) {
+        $('body').on('keypress.cart', '.quantity-input', function(e) {
             if (e.which === 13) { // Enter key
                 e.preventDefault();
                 $(this).blur(); // Trigger change event
             }
         });
     }
-    
+
     /**
      * Handle quantity increase button click
      */
     function handleQuantityIncrease(e) {
-        console.log('Quantity increase clicked');
         e.preventDefault();
-        const productId = $(this).data('product-id');
-        console.log('Product ID:', productId);
-        const quantityInput = $(`.quantity-input[data-product-id="${productId}"]`);
-        const currentQuantity = parseInt(quantityInput.val()) || 1;
-        const newQuantity = Math.min(currentQuantity + 1, 999);
-        
-        console.log('Current quantity:', currentQuantity, 'New quantity:', newQuantity);
-        
-        if (newQuantity !== currentQuantity) {
-            quantityInput.val(newQuantity);
-            updateCartQuantity(productId, newQuantity);
+        const key = String($(this).data('cart-key'));
+        const item = store.getItem(key);
+
+        if (item && item.quantity < item.maxQuantity) {
+            updateCartQuantity(key, item.quantity + 1);
         }
     }
-    
+
     /**
      * Handle quantity decrease button click
      */
     function handleQuantityDecrease(e) {
-        console.log('Quantity decrease clicked');
         e.preventDefault();
-        const productId = $(this).data('product-id');
-        console.log('Product ID:', productId);
-        const quantityInput = $(`.quantity-input[data-product-id="${productId}"]`);
-        const currentQuantity = parseInt(quantityInput.val()) || 1;
-        const newQuantity = Math.max(currentQuantity - 1, 1);
-        
-        console.log('Current quantity:', currentQuantity, 'New quantity:', newQuantity);
-        
-        if (newQuantity !== currentQuantity) {
-            quantityInput.val(newQuantity);
-            updateCartQuantity(productId, newQuantity);
+        const key = String($(this).data('cart-key'));
+        const item = store.getItem(key);
+
+        if (item && item.quantity > store.MIN_QUANTITY) {
+            updateCartQuantity(key, item.quantity - 1);
         }
     }
-    
+
     /**
      * Handle direct quantity input change
      */
     function handleQuantityChange(e) {
-        const productId = $(this).data('product-id');
-        let newQuantity = parseInt($(this).val()) || 1;
-        
-        // Validate quantity bounds
-        if (newQuantity < 1) {
-            newQuantity = 1;
-            $(this).val(newQuantity);
-        } else if (newQuantity > 999) {
-            newQuantity = 999;
-            $(this).val(newQuantity);
-        }
-        
-        updateCartQuantity(productId, newQuantity);
+        const key = String($(this).data('cart-key'));
+        const item = store.getItem(key);
+        const maxQuantity = item ? item.maxQuantity : store.MAX_QUANTITY;
+        let newQuantity = parseInt($(this).val()) || store.MIN_QUANTITY;
+
+        // Validate quantity bounds (a tracked product is capped at its stock)
+        newQuantity = Math.min(Math.max(newQuantity, store.MIN_QUANTITY), maxQuantity);
+        $(this).val(newQuantity);
+
+        updateCartQuantity(key, newQuantity);
     }
-    
+
     /**
      * Handle remove item button click
      */
     function handleRemoveItem(e) {
-        console.log('Remove item clicked');
         e.preventDefault();
-        const productId = $(this).data('product-id');
-        console.log('Product ID to remove:', productId);
-        const productTitle = $(this).closest('.cart-item').find('h3').text().trim();
-        
+        const key = String($(this).data('cart-key'));
+        const item = store.getItem(key);
+        const productTitle = item ? item.title : $(this).closest('.cart-item').find('h3').text().trim();
+
         // Show confirmation dialog
         if (confirm(`Are you sure you want to remove "${productTitle}" from your cart?`)) {
-            console.log('User confirmed removal');
-            removeFromCart(productId);
-        } else {
-            console.log('User cancelled removal');
+            removeFromCart(key);
         }
     }
-    
+
     /**
      * Handle empty cart button click
      */
     function handleEmptyCart(e) {
         e.preventDefault();
-        
+
         // Show confirmation dialog
         if (confirm('Are you sure you want to empty your entire cart? This action cannot be undone.')) {
             emptyCart();
         }
     }
-    
+
+    /**
+     * Handle coupon form submission
+     */
+    function handleApplyCoupon(e) {
+        e.preventDefault();
+        const code = $('#coupon-code-input').val().trim();
+
+        if (!code) {
+            renderCouponBox(null, 'Enter a coupon code.');
+            return;
+        }
+
+        $('#apply-coupon-btn').prop('disabled', true);
+
+        window.SubCartAPI.coupons.apply(code)
+            .then(function(response) {
+                $('#coupon-code-input').val('');
+                renderCartCoupon(response.data);
+                showMessage('success', response.message);
+            })
+            .catch(function(error) {
+                if (error.isTransportError()) {
+                    console.error('Apply coupon error:', error);
+                    renderCouponBox(null, 'Network error occurred while applying the coupon');
+                } else {
+                    renderCouponBox(null, error.message || 'Failed to apply the coupon');
+                }
+            })
+            .finally(function() {
+                $('#apply-coupon-btn').prop('disabled', false);
+            });
+    }
+
+    /**
+     * Handle remove coupon button click
+     */
+    function handleRemoveCoupon(e) {
+        e.preventDefault();
+        $('#remove-coupon-btn').prop('disabled', true);
+
+        window.SubCartAPI.coupons.clear()
+            .then(function(response) {
+                renderCartCoupon(response.data || { coupon: null, message: null, discount_amount: 0 });
+            })
+            .catch(function(error) {
+                console.error('Remove coupon error:', error);
+                showMessage('error', error.isTransportError()
+                    ? 'Network error occurred while removing the coupon'
+                    : (error.message || 'Failed to remove the coupon'));
+            })
+            .finally(function() {
+                $('#remove-coupon-btn').prop('disabled', false);
+            });
+    }
+
+    /**
+     * Re-price the applied coupon once the cart settles after a change
+     */
+    function scheduleCouponRefresh() {
+        clearTimeout(couponRefreshTimer);
+        couponRefreshTimer = setTimeout(function() {
+            window.SubCartAPI.coupons.current()
+                .then(function(response) {
+                    renderCartCoupon(response.data);
+                })
+                .catch(function(error) {
+                    console.error('Coupon refresh error:', error);
+                });
+        }, 400);
+    }
+
+    /**
+     * Render the coupon box and discounted total from a cart coupon summary
+     * @param {object} summary - {coupon, message, discount_amount}
+     */
+    function renderCartCoupon(summary) {
+        cartDiscount = parseFloat(summary.discount_amount) || 0;
+        couponCode = summary.coupon ? summary.coupon.coupon_code : null;
+
+        renderCouponBox(summary.coupon, summary.message);
+
+        $('#cart-discount').text('-' + formatPrice(cartDiscount));
+        $('#cart-discount-row').css('display', cartDiscount > 0 ? 'flex' : 'none');
+        $('#cart-total').text(formatPrice(Math.max(0, store.getTotals().subtotal - cartDiscount)));
+        flashUpdated($('#cart-discount, #cart-total'));
+    }
+
     /**
-     * Update cart item quantity via AJAX
+     * Update cart item quantity (applied immediately, rolled back by the store on failure)
      */
-    function updateCartQuantity(productId, quantity) {
-        // Show loading state
-        showLoadingState(productId);
-        
-        $.ajax({
-            url: 'actions/update_quantity_action.php',
-            type: 'POST',
-            dataType: 'json',
-            data: {
-                product_id: productId,
-                quantity: quantity
-            },
-            success: function(response) {
-                hideLoadingState(productId);
-                
-                if (response.status === 'success') {  // Fixed: check for 'status' not 'success'
-                    // Update cart totals (this will recalculate subtotals from DOM)
-                    updateCartTotals();
-                    
-                    // Show success message
+    function updateCartQuantity(key, quantity) {
+        showLoadingState(key);
+
+        store.setQuantity(key, quantity)
+            .then(function(response) {
+                hideLoadingState(key);
+
+                if (response) {
                     showMessage('success', 'Cart updated successfully');
-                    
-                    // Update menu cart count if it exists
-                    updateMenuCartCount();
-                    
+                }
+            })
+            .catch(function(error) {
+                hideLoadingState(key);
+
+                if (error.isTransportError()) {
+                    console.error('Cart update error:', error);
+                    showMessage('error', 'Network error occurred while updating cart');
                 } else {
-                    // Revert quantity input to previous value
-                    revertQuantityInput(productId);
-                    
-                    // Show error message
-                    showMessage('error', response.message || 'Failed to update cart quantity');
+                    showMessage('error', error.message || 'Failed to update cart quantity');
                 }
-            },
-            error: function(xhr, status, error) {
-                hideLoadingState(productId);
-                revertQuantityInput(productId);
-                showMessage('error', 'Network error occurred while updating cart');
-                console.error('Cart update error:', error);
-            }
-        });
+            });
     }
-    
+
     /**
-     * Remove item from cart via AJAX
+     * Remove item from cart (hidden immediately, restored by the store on failure)
      */
-    function removeFromCart(productId) {
-        // Show loading state
-        showLoadingState(productId);
-        
-        $.ajax({
-            url: 'actions/remove_from_cart_action.php',
-            type: 'POST',
-            dataType: 'json',
-            data: {
-                product_id: productId
-            },
-            success: function(response) {
-                hideLoadingState(productId);
-                
-                if (response.status === 'success') {  // Fixed: check for 'status' not 'success'
-                    // Remove item from DOM with animation
-                    const cartItem = $(`.cart-item[data-product-id="${productId}"]`);
-                    cartItem.fadeOut(300, function() {
-                        $(this).remove();
-                        
-                        // Check if cart is now empty
-                        if ($('.cart-item').length === 0) {
-                            // Reload page to show empty cart state
-                            location.reload();
-                        } else {
-                            // Update cart totals
-                            updateCartTotals();
-                            
-                            // Update menu cart count
-                            updateMenuCartCount();
-                        }
-                    });
-                    
-                    // Show success message
-                    showMessage('success', 'Item removed from cart');
-                    
+    function removeFromCart(key) {
+        showLoadingState(key);
+
+        store.removeItem(key)
+            .then(function() {
+                hideLoadingState(key);
+
+                // The row is already hidden; drop it now the server agrees
+                $(`.cart-item[data-cart-key="${key}"]`).remove();
+
+                if (store.getTotals().lineCount === 0) {
+                    // Reload page to show empty cart state
+                    location.reload();
+                    return;
+                }
+
+                showMessage('success', 'Item removed from cart');
+            })
+            .catch(function(error) {
+                hideLoadingState(key);
+
+                if (error.isTransportError()) {
+                    console.error('Remove item error:', error);
+                    showMessage('error', 'Network error occurred while removing item');
                 } else {
-                    showMessage('error', response.message || 'Failed to remove item from cart');
+                    showMessage('error', error.message || 'Failed to remove item from cart');
                 }
-            },
-            error: function(xhr, status, error) {
-                hideLoadingState(productId);
-                showMessage('error', 'Network error occurred while removing item');
-                console.error('Remove item error:', error);
-            }
-        });
+            });
     }
-    
+
     /**
-     * Empty entire cart via AJAX
+     * Empty entire cart (cleared immediately, restored by the store on failure)
      */
     function emptyCart() {
-        // Show loading overlay
         showGlobalLoading();
-        
-        $.ajax({
-            url: 'actions/empty_cart_action.php',
-            type: 'POST',
-            dataType: 'json',
-            success: function(response) {
+
+        store.empty()
+            .then(function() {
+                // Reload page to show empty cart state
+                location.reload();
+            })
+            .catch(function(error) {
                 hideGlobalLoading();
-                
-                if (response.status === 'success') {  // Fixed: check for 'status' not 'success'
-                    // Reload page to show empty cart state
-                    location.reload();
+
+                if (error.isTransportError()) {
+                    console.error('Empty cart error:', error);
+                    showMessage('error', 'Network error occurred while emptying cart');
                 } else {
-                    showMessage('error', response.message || 'Failed to empty cart');
+                    showMessage('error', error.message || 'Failed to empty cart');
                 }
-            },
-            error: function(xhr, status, error) {
-                hideGlobalLoading();
-                showMessage('error', 'Network error occurred while emptying cart');
-                console.error('Empty cart error:', error);
+            });
+    }
+
+    /**
+     * Render cart rows and the cart summary from store state
+     * @param {object} state - Store state ({items, totals})
+     * @param {object} change - Change that triggered the render
+     */
+    function renderCartPage(state, change) {
+        // Switching between the empty state and the item list needs the server-rendered layout
+        if ($('#cart-empty-state').length > 0 && state.items.length > 0) {
+            location.reload();
+            return;
+        }
+
+        if (change.type === 'sync' && state.items.length === 0) {
+            location.reload();
+            return;
+        }
+
+        const itemsByKey = {};
+        state.items.forEach(item => {
+            itemsByKey[item.key] = item;
+
+            // Items added from another tab have no row yet
+            if ($(`.cart-item[data-cart-key="${item.key}"]`).length === 0) {
+                $(buildCartRow(item)).hide().appendTo('#cart-items-list').fadeIn(300);
             }
         });
+
+        $('.cart-item').each(function() {
+            const $row = $(this);
+            const item = itemsByKey[String($row.data('cart-key'))];
+
+            if (!item) {
+                $row.stop(true, true).fadeOut(300);
+                return;
+            }
+
+            if (!$row.is(':visible')) {
+                $row.stop(true, true).fadeIn(300);
+            }
+
+            const $input = $row.find('.quantity-input');
+            if (parseInt($input.val()) !== item.quantity) {
+                $input.val(item.quantity);
+            }
+
+            const $subtotal = $row.find('.item-subtotal');
+            const subtotalText = formatPrice(item.price * item.quantity);
+            if ($subtotal.text().trim() !== subtotalText) {
+                $subtotal.text(subtotalText);
+                flashUpdated($subtotal);
+            }
+        });
+
+        $('#cart-item-count').text(state.totals.itemCount);
+        $('#cart-subtotal').text(formatPrice(state.totals.subtotal));
+        $('#cart-total').text(formatPrice(Math.max(0, state.totals.subtotal - cartDiscount)));
+
+        if (change.type !== 'hydrate') {
+            flashUpdated($('#cart-item-count, #cart-subtotal, #cart-total'));
+
+            if (couponCode) {
+                scheduleCouponRefresh();
+            }
+        }
     }
-    
+
     /**
-     * Update item subtotal display
+     * Build a cart row matching the markup rendered by cart.php
+     * @param {object} item - Store item
+     * @returns {string} Row HTML
      */
-    function updateItemSubtotal(productId, productPrice, quantity) {
-        const subtotal = productPrice * quantity;
-        const subtotalElement = $(`.cart-item[data-product-id="${productId}"] .item-subtotal`);
-        subtotalElement.text('$' + subtotal.toFixed(2));
-        
-        // Add subtle animation to highlight the change
-        subtotalElement.addClass('updated');
-        setTimeout(() => {
-            subtotalElement.removeClass('updated');
-        }, 1000);
+    function buildCartRow(item) {
+        const details = [item.category, item.brand].filter(Boolean).map(escapeCartHtml).join(' • ');
+        const image = item.image
+            ? `<img src="${escapeCartHtml(item.image)}" alt="${escapeCartHtml(item.title)}" style="width: 100%; height: 100%; object-fit: cover;">`
+            : `<div style="width: 100%; height: 100%; display: flex; align-items: center; justify-content: center; color: var(--color-medium-gray);">
+                   <i class="fas fa-image" style="font-size: 2rem;"></i>
+               </div>`;
+
+        return `
+            <div class="card cart-item" data-cart-key="${item.key}" style="margin-bottom: var(--spacing-lg); padding: var(--spacing-lg);">
+                <div style="display: grid; grid-template-columns: 120px 1fr auto; gap: var(--spacing-lg); align-items: center;">
+                    <div style="width: 120px; height: 120px; border-radius: var(--border-radius-md); overflow: hidden; background-color: var(--color-light-gray);">
+                        ${image}
+                    </div>
+                    <div>
+                        <h3 style="color: var(--color-primary-green); margin-bottom: var(--spacing-sm); font-size: var(--font-size-h4);">
+                            ${escapeCartHtml(item.title)}
+                        </h3>
+                        ${item.variantLabel ? `<p class="cart-item-variant" style="color: var(--color-dark-gray); font-size: var(--font-size-small); margin-bottom: var(--spacing-xs);">${escapeCartHtml(item.variantLabel)}</p>` : ''}
+                        ${details ? `<p style="color: var(--color-medium-gray); font-size: var(--font-size-small); margin-bottom: var(--spacing-sm);">${details}</p>` : ''}
+                        <p style="color: var(--color-primary-green); font-size: var(--font-size-h4); font-weight: var(--font-weight-semibold); margin-bottom: var(--spacing-md);">
+                            ${formatPrice(item.price)}
+                        </p>
+                        <div style="display: flex; align-items: center; gap: var(--spacing-md);">
+                            <label style="color: var(--color-dark-gray); font-weight: var(--font-weight-medium); margin-bottom: 0;">
+                                Quantity:
+                            </label>
+                            <div class="quantity-controls">
+                                <button class="btn btn-secondary btn-small quantity-decrease" data-cart-key="${item.key}">
+                                    <i class="fas fa-minus"></i>
+                                </button>
+                                <input type="number" class="form-input quantity-input" data-cart-key="${item.key}"
+                                       value="${item.quantity}" min="${store.MIN_QUANTITY}" max="${item.maxQuantity}">
+                                <button class="btn btn-secondary btn-small quantity-increase" data-cart-key="${item.key}">
+                                    <i class="fas fa-plus"></i>
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                    <div style="text-align: right;">
+                        <p style="color: var(--color-primary-green); font-size: var(--font-size-h3); font-weight: var(--font-weight-semibold); margin-bottom: var(--spacing-md);" class="item-subtotal">
+                            ${formatPrice(item.price * item.quantity)}
+                        </p>
+                        <button class="btn btn-danger btn-small remove-item" data-cart-key="${item.key}">
+                            <i class="fas fa-trash"></i> Remove
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
     }
-    
+
     /**
-     * Update cart totals by recalculating from all items
+     * Briefly highlight elements whose value changed
      */
-    function updateCartTotals() {
-        let totalItems = 0;
-        let totalAmount = 0;
-        
-        $('.cart-item').each(function() {
-            const quantity = parseInt($(this).find('.quantity-input').val()) || 0;
-            const subtotalText = $(this).find('.item-subtotal').text().replace('$', '');
-            const subtotal = parseFloat(subtotalText) || 0;
-            
-            totalItems += quantity;
-            totalAmount += subtotal;
-        });
-        
-        // Update display elements
-        $('#cart-item-count').text(totalItems);
-        $('#cart-subtotal').text('$' + totalAmount.toFixed(2));
-        $('#cart-total').text('$' + totalAmount.toFixed(2));
-        
-        // Add animation to highlight changes
-        $('#cart-item-count, #cart-subtotal, #cart-total').addClass('updated');
+    function flashUpdated($elements) {
+        $elements.addClass('updated');
         setTimeout(() => {
-            $('#cart-item-count, #cart-subtotal, #cart-total').removeClass('updated');
+            $elements.removeClass('updated');
         }, 1000);
     }
-    
-    /**
-     * Update menu cart count (if menu exists on page)
-     */
-    function updateMenuCartCount() {
-        const totalItems = parseInt($('#cart-item-count').text()) || 0;
-        const menuCartLink = $('.menu-tray a[href*="cart.php"]');
-        
-        if (menuCartLink.length > 0) {
-            // Update cart count in menu
-            const currentText = menuCartLink.text();
-            const newText = currentText.replace(/\(\d+\)/, `(${totalItems})`);
-            menuCartLink.text(newText);
-        }
-    }
-    
+
     /**
      * Show loading state for specific item
      */
-    function showLoadingState(productId) {
-        const cartItem = $(`.cart-item[data-product-id="${productId}"]`);
+    function showLoadingState(key) {
+        const cartItem = $(`.cart-item[data-cart-key="${key}"]`);
         cartItem.addClass('loading');
         // Don't disable buttons completely, just add loading class
         cartItem.find('button, input').addClass('loading-state');
-        
+
         // Add loading spinner to quantity controls
         const quantityControls = cartItem.find('.quantity-input').parent();
         if (quantityControls.find('.loading-spinner').length === 0) {
             quantityControls.append('<i class="fas fa-spinner fa-spin loading-spinner" style="margin-left: 8px; color: var(--color-medium-gray);"></i>');
         }
     }
-    
+
     /**
      * Hide loading state for specific item
      */
-    function hideLoadingState(productId) {
-        const cartItem = $(`.cart-item[data-product-id="${productId}"]`);
+    function hideLoadingState(key) {
+        const cartItem = $(`.cart-item[data-cart-key="${key}"]`);
         cartItem.removeClass('loading');
         cartItem.find('button, input').removeClass('loading-state');
         cartItem.find('.loading-spinner').remove();
     }
-    
+
     /**
      * Show global loading overlay
      */
@@ -386,30 +476,14 @@ $(document).ready(function() {
             `);
         }
     }
-    
+
     /**
      * Hide global loading overlay
      */
     function hideGlobalLoading() {
         $('#global-loading').remove();
     }
-    
-    /**
-     * Revert quantity input to previous value (stored in data attribute)
-     */
-    function revertQuantityInput(productId) {
-        const quantityInput = $(`.quantity-input[data-product-id="${productId}"]`);
-        const previousValue = quantityInput.data('previous-value') || 1;
-        quantityInput.val(previousValue);
-    }
-    
-    /**
-     * Store current quantity as previous value before changes
-     */
-    $('.quantity-input').on('focus', function() {
-        $(this).data('previous-value', $(this).val());
-    });
-    
+
     /**
      * Show success or error message
      */
@@ -417,19 +491,19 @@ $(document).ready(function() {
         const messageContainer = $('#cart-message');
         const iconClass = type === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle';
         const messageClass = type === 'success' ? 'success' : 'error';
-        
+
         messageContainer.removeClass('success error')
                        .addClass(`validation-message ${messageClass}`)
                        .html(`<i class="fas ${iconClass}"></i> ${message}`)
                        .show();
-        
+
         // Auto-hide success messages after 3 seconds
         if (type === 'success') {
             setTimeout(() => {
                 messageContainer.fadeOut();
             }, 3000);
         }
-        
+
         // Scroll to message if it's not visible
         if (messageContainer.offset().top < $(window).scrollTop()) {
             $('html, body').animate({
@@ -437,7 +511,7 @@ $(document).ready(function() {
             }, 300);
         }
     }
-    
+
     /**
      * Add CSS for loading and update animations
      */
@@ -447,7 +521,7 @@ $(document).ready(function() {
             .cart-item.loading {
                 opacity: 0.7;
             }
-            
+
             /* Ensure cart buttons are always clickable unless explicitly disabled */
             .cart-item .quantity-increase,
             .cart-item .quantity-decrease,
@@ -457,40 +531,40 @@ $(document).ready(function() {
                 position: relative !important;
                 z-index: 10 !important;
             }
-            
+
             .cart-item .quantity-increase:disabled,
             .cart-item .quantity-decrease:disabled,
             .cart-item .remove-item:disabled {
                 pointer-events: none !important;
                 cursor: not-allowed !important;
             }
-            
+
             .updated {
                 background-color: var(--color-light-green) !important;
                 transition: background-color 0.3s ease;
             }
-            
+
             .cart-item {
                 transition: opacity 0.3s ease;
             }
-            
+
             .quantity-input:focus {
                 border-color: var(--color-primary-green);
                 box-shadow: 0 0 0 3px rgba(91, 140, 90, 0.15);
             }
-            
+
             .remove-item:hover {
                 background-color: var(--color-error) !important;
                 color: var(--color-white) !important;
                 border-color: var(--color-error) !important;
             }
-            
+
             @keyframes pulse {
                 0% { transform: scale(1); }
                 50% { transform: scale(1.05); }
                 100% { transform: scale(1); }
             }
-            
+
             .updated {
                 animation: pulse 0.5s ease-in-out;
             }
@@ -498,65 +572,110 @@ $(document).ready(function() {
         .appendTo('head');
 });
 
+// Keep the menu badge in step with the cart store on every page that loads cart.js
+$(document).ready(function() {
+    window.CartStore.subscribe(updateMenuCartCount);
+    updateMenuCartCount(window.CartStore.getState());
+});
+
+/**
+ * Format an amount as a price label
+ * @param {number} amount - Amount in dollars
+ * @returns {string} Formatted price (e.g. $12.50)
+ */
+function formatPrice(amount) {
+    return '$' + (parseFloat(amount) || 0).toFixed(2);
+}
+
+/**
+ * Escape HTML to prevent XSS (safe for text and quoted attribute values)
+ * @param {string} text - The text to escape
+ * @returns {string} Escaped HTML
+ */
+function escapeCartHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the coupon box built by coupon_box_html() (cart and checkout pages)
+ * @param {object|null} coupon - Applied coupon ({coupon_code, summary}) or null
+ * @param {string|null} message - Why the code does not apply, if it does not
+ */
+function renderCouponBox(coupon, message) {
+    $('#coupon-form').css('display', coupon ? 'none' : 'flex');
+    $('#coupon-applied').css('display', coupon ? 'flex' : 'none');
+    $('#coupon-applied-code').text(coupon ? coupon.coupon_code : '');
+    $('#coupon-applied-summary').text(coupon && coupon.summary ? coupon.summary : '');
+    $('#coupon-message').text(message || '').css('display', message ? 'block' : 'none');
+}
+
+/**
+ * Update the cart count shown in the navigation from store state
+ * @param {object} state - Store state ({totals, loaded})
+ */
+function updateMenuCartCount(state) {
+    // Leave the server-rendered badge alone until the store knows the cart
+    if (!state.loaded) {
+        return;
+    }
+
+    const totalItems = state.totals.itemCount;
+
+    // Sidebar navigation badge
+    $('.sidebar-menu a[href="cart.php"]').each(function() {
+        let $badge = $(this).find('.badge');
+
+        if (totalItems > 0) {
+            if ($badge.length === 0) {
+                $badge = $('<span class="badge"></span>').appendTo(this);
+            }
+            $badge.text(totalItems);
+        } else {
+            $badge.remove();
+        }
+    });
+
+    // Legacy top menu link ("Cart (n)")
+    $('.menu-tray a[href*="cart.php"]').each(function() {
+        const currentText = $(this).text();
+        if (/\(\d+\)/.test(currentText)) {
+            $(this).text(currentText.replace(/\(\d+\)/, `(${totalItems})`));
+        }
+    });
+}
+
 /**
  * Global function to add item to cart (can be called from product pages)
+ * Pass the variant ID for a product that has variants.
+ * Resolves with the normalized API response, rejects with an ApiError
  */
-function addToCart(productId, quantity = 1) {
-    return new Promise((resolve, reject) => {
-        $.ajax({
-            url: 'actions/add_to_cart_action.php',
-            type: 'POST',
-            dataType: 'json',
-            data: {
-                product_id: productId,
-                quantity: quantity
-            },
-            success: function(response) {
-                console.log('addToCart AJAX success:', response);
-                
-                if (response.status === 'success') {
-                    // Show success message
-                    try {
-                        showCartMessage('success', 'Item added to cart successfully');
-                    } catch (e) {
-                        console.warn('showCartMessage error:', e);
-                    }
-                    
-                    // Update cart count in menu if present (with error handling)
-                    try {
-                        updateMenuCartCount();
-                    } catch (e) {
-                        console.warn('updateMenuCartCount error:', e);
-                    }
-                    
-                    resolve(response);
-                } else {
-                    console.log('addToCart response error:', response);
-                    try {
-                        showCartMessage('error', response.message || 'Failed to add item to cart');
-                    } catch (e) {
-                        console.warn('showCartMessage error:', e);
-                    }
-                    reject(response);
-                }
-            },
-            error: function(xhr, status, error) {
-                console.error('addToCart AJAX error:', xhr, status, error);
-                console.log('Response text:', xhr.responseText);
-                
-                try {
-                    showCartMessage('error', 'Network error occurred while adding to cart');
-                } catch (e) {
-                    console.warn('showCartMessage error:', e);
-                }
-                reject({ 
-                    error: error, 
-                    status: status, 
-                    responseText: xhr.responseText 
-                });
+function addToCart(productId, quantity = 1, variantId = 0) {
+    return window.CartStore.addItem(productId, quantity, variantId)
+        .then(function(response) {
+            // Show success message
+            try {
+                showCartMessage('success', 'Item added to cart successfully');
+            } catch (e) {
+                console.warn('showCartMessage error:', e);
+            }
+
+            return response;
+        })
+        .catch(function(error) {
+            console.error('addToCart error:', error);
+
+            try {
+                showCartMessage('error', error.isTransportError()
+                    ? 'Network error occurred while adding to cart'
+                    : (error.message || 'Failed to add item to cart'));
+            } catch (e) {
+                console.warn('showCartMessage error:', e);
             }
+
+            throw error;
         });
-    });
 }
 
 /**
@@ -565,7 +684,7 @@ function addToCart(productId, quantity = 1) {
 function showCartMessage(type, message) {
     // Try to find existing message container
     let messageContainer = $('#cart-message');
-    
+
     // If no container exists, create a temporary one
     if (messageContainer.length === 0) {
         messageContainer = $(`
@@ -580,17 +699,17 @@ function showCartMessage(type, message) {
         `);
         $('body').append(messageContainer);
     }
-    
+
     const iconClass = type === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle';
     const messageClass = type === 'success' ? 'success' : 'error';
-    
+
     messageContainer.removeClass('success error')
                    .addClass(`validation-message ${messageClass}`)
                    .html(`<i class="fas ${iconClass}"></i> ${message}`)
                    .show();
-    
+
     // Auto-hide after 4 seconds
     setTimeout(() => {
         messageContainer.fadeOut();
     }, 4000);
-}
\ No newline at end of file
+}
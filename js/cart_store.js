@@ -0,0 +1,579 @@
+/**
+ * SubCart Cart Store
+ * Single in-memory copy of the visitor's cart shared by the cart page, the
+ * checkout summary and the sidebar cart badge. Renderers subscribe to the store
+ * instead of reading totals back out of the DOM.
+ *
+ * Quantity changes, removals and emptying the cart are applied to the store
+ * immediately and sent to the server afterwards. When the action fails the
+ * store puts back what it had before the change and notifies subscribers
+ * again, so every view rolls back together.
+ *
+ * Pages that render cart rows emit the initial state with cart_state_script(),
+ * which this store reads on load:
+ *     <script type="application/json" id="cart-initial-state">{...}</script>
+ *
+ * Pages that only show the cart badge pass the totals instead of the rows.
+ *
+ * Each variant of a product is its own cart line, so items are keyed by
+ * lineKey(productId, variantId) ("12:0" for a product without variants) and
+ * carry that key as item.key.
+ *
+ * Every successful change is announced to the other tabs of this origin over a
+ * BroadcastChannel (or a localStorage key where BroadcastChannel is missing).
+ * Tabs that hear about a change reload the cart from fetch_cart_action.php, so
+ * the cart page, checkout summary and badge in every tab follow the server.
+ *
+ * Load after js/api.js and before any script that uses window.CartStore.
+ */
+
+(function(window) {
+    'use strict';
+
+    const INITIAL_STATE_ID = 'cart-initial-state';
+    const MIN_QUANTITY = 1;
+    const MAX_QUANTITY = 999;
+    const SYNC_CHANNEL_NAME = 'subcart-cart';
+    const SYNC_STORAGE_KEY = 'subcart-cart-sync';
+    const SYNC_DEBOUNCE = 150;
+    const TAB_ID = Date.now().toString(36) + Math.random().toString(36).slice(2);
+
+    let items = new Map();
+    let hydrated = false;
+    let loaded = false;
+    let summary = { itemCount: 0, lineCount: 0, subtotal: 0 };
+
+    let pendingMutations = 0;
+    let refreshQueued = false;
+    let pendingRefresh = null;
+    let syncTimer = null;
+    let syncChannel = null;
+
+    const listeners = [];
+
+    /**
+     * Convert a cart row from get_cart_items_ctr() into a store item
+     * @param {object} row - Row from format_cart_items_for_client()
+     * @returns {object} Store item
+     */
+    function itemFromRow(row) {
+        const productId = parseInt(row.p_id, 10);
+        const variantId = parseInt(row.variant_id, 10) || 0;
+
+        return {
+            key: lineKey(productId, variantId),
+            productId: productId,
+            variantId: variantId,
+            variantLabel: row.variant_label || '',
+            sku: row.sku || '',
+            title: row.product_title || '',
+            price: parseFloat(row.product_price) || 0,
+            quantity: parseInt(row.qty, 10) || 0,
+            image: row.product_image || '',
+            category: row.cat_name || '',
+            brand: row.brand_name || '',
+            maxQuantity: maxQuantityFor(row.product_stock)
+        };
+    }
+
+    /**
+     * Key of the cart line holding a product (or one of its variants)
+     * @param {number} productId - Product ID
+     * @param {number} variantId - Variant ID (0 for a product without variants)
+     * @returns {string} Line key, e.g. "12:0"
+     */
+    function lineKey(productId, variantId = 0) {
+        return `${parseInt(productId, 10)}:${parseInt(variantId, 10) || 0}`;
+    }
+
+    /**
+     * Largest quantity a cart line can hold for a product's stock level
+     * @param {number|null} stock - Units in stock (null when stock is not tracked)
+     * @returns {number} Quantity between MIN_QUANTITY and MAX_QUANTITY
+     */
+    function maxQuantityFor(stock) {
+        if (stock === null || stock === undefined) {
+            return MAX_QUANTITY;
+        }
+
+        return Math.min(Math.max(parseInt(stock, 10) || 0, MIN_QUANTITY), MAX_QUANTITY);
+    }
+
+    /**
+     * Clamp a quantity to the bounds accepted by update_quantity_action.php
+     * @param {number} quantity - Requested quantity
+     * @param {number} maxQuantity - Upper bound for this line (its stock, or MAX_QUANTITY)
+     * @returns {number} Quantity between MIN_QUANTITY and maxQuantity
+     */
+    function clampQuantity(quantity, maxQuantity = MAX_QUANTITY) {
+        const value = parseInt(quantity, 10) || MIN_QUANTITY;
+        return Math.min(Math.max(value, MIN_QUANTITY), maxQuantity);
+    }
+
+    /**
+     * Copy the current state so a failed request can restore it
+     * @returns {object} Snapshot of items, hydrated flag and summary
+     */
+    function snapshot() {
+        const copy = new Map();
+        items.forEach((item, key) => copy.set(key, Object.assign({}, item)));
+
+        return { items: copy, hydrated: hydrated, loaded: loaded, summary: Object.assign({}, summary) };
+    }
+
+    /**
+     * Put back a snapshot taken before an optimistic change
+     * @param {object} saved - Snapshot returned by snapshot()
+     * @param {string} reason - Change that is being undone
+     */
+    function restore(saved, reason) {
+        items = saved.items;
+        hydrated = saved.hydrated;
+        loaded = saved.loaded;
+        summary = saved.summary;
+        notify({ type: 'rollback', reason: reason });
+    }
+
+    /**
+     * Undo an optimistic change to one item
+     * Skipped when a later change has already replaced the optimistic value, so
+     * overlapping requests for different items do not undo each other.
+     * @param {string} key - Line key
+     * @param {object} previous - Item before the change
+     * @param {number|null} optimisticQuantity - Quantity that was applied, or null for a removal
+     * @param {string} reason - Change that is being undone
+     */
+    function rollbackItem(key, previous, optimisticQuantity, reason) {
+        const current = items.get(key);
+        const unchanged = optimisticQuantity === null
+            ? !current
+            : Boolean(current) && current.quantity === optimisticQuantity;
+
+        if (!unchanged) {
+            return;
+        }
+
+        items.set(key, previous);
+        recalculate();
+        notify({ type: 'rollback', reason: reason, key: key, productId: previous.productId });
+    }
+
+    /**
+     * Recalculate summary totals from the items held in the store
+     */
+    function recalculate() {
+        let itemCount = 0;
+        let subtotal = 0;
+
+        items.forEach(item => {
+            itemCount += item.quantity;
+            subtotal += item.price * item.quantity;
+        });
+
+        summary = {
+            itemCount: itemCount,
+            lineCount: items.size,
+            subtotal: Math.round(subtotal * 100) / 100
+        };
+    }
+
+    /**
+     * Tell every subscriber that the cart changed
+     * @param {object} change - Description of the change ({type, key, productId, reason})
+     */
+    function notify(change) {
+        const state = getState();
+
+        listeners.slice().forEach(listener => {
+            try {
+                listener(state, change);
+            } catch (e) {
+                console.error('Cart store listener error:', e);
+            }
+        });
+    }
+
+    /**
+     * Replace the store contents with rows returned by the server
+     * @param {Array} rows - Cart rows from format_cart_items_for_client()
+     * @param {string} changeType - Change type reported to subscribers (default hydrate)
+     */
+    function hydrate(rows, changeType = 'hydrate') {
+        items = new Map();
+        (rows || []).forEach(row => {
+            const item = itemFromRow(row);
+            items.set(item.key, item);
+        });
+
+        hydrated = true;
+        loaded = true;
+        recalculate();
+        notify({ type: changeType });
+    }
+
+    /**
+     * Record cart totals reported by an action on pages that do not list the items
+     * @param {object} totals - cart_totals from a cart action ({total_items, total_amount, item_count})
+     */
+    function applyServerTotals(totals) {
+        if (!totals || hydrated) {
+            return;
+        }
+
+        summary = {
+            itemCount: parseInt(totals.total_items, 10) || 0,
+            lineCount: parseInt(totals.item_count, 10) || 0,
+            subtotal: parseFloat(totals.total_amount) || 0
+        };
+        loaded = true;
+        notify({ type: 'totals' });
+    }
+
+    /**
+     * Read the initial state written into the page by cart_state_script()
+     */
+    function hydrateFromPage() {
+        const element = document.getElementById(INITIAL_STATE_ID);
+
+        if (!element) {
+            return;
+        }
+
+        try {
+            const state = JSON.parse(element.textContent || '{}');
+
+            if (Array.isArray(state.items)) {
+                hydrate(state.items);
+            } else {
+                applyServerTotals(state.totals);
+            }
+        } catch (e) {
+            console.error('Invalid initial cart state:', e);
+        }
+    }
+
+    /**
+     * Current cart state
+     * hydrated is true once item rows are known, loaded once at least the totals are
+     * @returns {object} {items, totals, hydrated, loaded}
+     */
+    function getState() {
+        return {
+            items: getItems(),
+            totals: getTotals(),
+            hydrated: hydrated,
+            loaded: loaded
+        };
+    }
+
+    /**
+     * All items in the cart
+     * @returns {Array} Copies of the store items
+     */
+    function getItems() {
+        return Array.from(items.values()).map(item => Object.assign({}, item));
+    }
+
+    /**
+     * A single cart item
+     * @param {string} key - Line key
+     * @returns {object|null} Copy of the item or null when not in the cart
+     */
+    function getItem(key) {
+        const item = items.get(String(key));
+        return item ? Object.assign({}, item) : null;
+    }
+
+    /**
+     * Cart totals
+     * @returns {object} {itemCount, lineCount, subtotal}
+     */
+    function getTotals() {
+        return Object.assign({}, summary);
+    }
+
+    /**
+     * Register a listener called with (state, change) after every change
+     * @param {Function} listener - Listener function
+     * @returns {Function} Call to unsubscribe
+     */
+    function subscribe(listener) {
+        listeners.push(listener);
+
+        return function() {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Change an item's quantity optimistically
+     * @param {string} key - Line key
+     * @param {number} quantity - New quantity
+     * @returns {Promise} Resolves with the API response, rejects with an ApiError after rolling back
+     */
+    function setQuantity(key, quantity) {
+        const id = String(key);
+        const item = items.get(id);
+
+        if (!item) {
+            return Promise.reject(new window.ApiError('This item is no longer in your cart.', { type: 'not_in_cart' }));
+        }
+
+        const newQuantity = clampQuantity(quantity, item.maxQuantity);
+
+        if (item.quantity === newQuantity) {
+            return Promise.resolve(null);
+        }
+
+        items.set(id, Object.assign({}, item, { quantity: newQuantity }));
+        recalculate();
+        notify({ type: 'quantity', key: id, productId: item.productId });
+
+        return track(window.SubCartAPI.cart.updateQuantity(item.productId, newQuantity, item.variantId), { type: 'quantity', key: id, productId: item.productId })
+            .catch(function(error) {
+                rollbackItem(id, item, newQuantity, 'quantity');
+                throw error;
+            });
+    }
+
+    /**
+     * Remove an item optimistically
+     * @param {string} key - Line key
+     * @returns {Promise} Resolves with the API response, rejects with an ApiError after rolling back
+     */
+    function removeItem(key) {
+        const id = String(key);
+        const item = items.get(id);
+
+        if (!item) {
+            return Promise.resolve(null);
+        }
+
+        items.delete(id);
+        recalculate();
+        notify({ type: 'remove', key: id, productId: item.productId });
+
+        return track(window.SubCartAPI.cart.remove(item.productId, item.variantId), { type: 'remove', key: id, productId: item.productId })
+            .catch(function(error) {
+                rollbackItem(id, item, null, 'remove');
+                throw error;
+            });
+    }
+
+    /**
+     * Empty the cart optimistically
+     * @returns {Promise} Resolves with the API response, rejects with an ApiError after rolling back
+     */
+    function empty() {
+        const saved = snapshot();
+
+        items = new Map();
+        recalculate();
+        notify({ type: 'empty' });
+
+        return track(window.SubCartAPI.cart.empty(), { type: 'empty' })
+            .catch(function(error) {
+                restore(saved, 'empty');
+                throw error;
+            });
+    }
+
+    /**
+     * Add a product to the cart
+     * Not optimistic: the product page has no price or stock data to trust, so
+     * the store only changes once add_to_cart_action.php succeeds.
+     * @param {number} productId - Product ID
+     * @param {number} quantity - Quantity to add
+     * @param {number} variantId - Variant ID (0 for a product without variants)
+     * @returns {Promise} Resolves with the API response, rejects with an ApiError
+     */
+    function addItem(productId, quantity = 1, variantId = 0) {
+        const id = parseInt(productId, 10);
+        const variant = parseInt(variantId, 10) || 0;
+        const key = lineKey(id, variant);
+        const amount = parseInt(quantity, 10) || 1;
+
+        return track(window.SubCartAPI.cart.add(id, amount, variant), { type: 'add', key: key, productId: id })
+            .then(function(response) {
+                const existing = items.get(key);
+
+                if (existing) {
+                    items.set(key, Object.assign({}, existing, { quantity: clampQuantity(existing.quantity + amount, existing.maxQuantity) }));
+                    recalculate();
+                    notify({ type: 'add', key: key, productId: id });
+                } else if (hydrated) {
+                    // A new line needs the title, price and image only the server has
+                    refreshInBackground();
+                } else {
+                    applyServerTotals(response.raw && response.raw.cart_totals);
+                }
+
+                return response;
+            });
+    }
+
+    /**
+     * Count a cart request as in flight and announce it to other tabs once it succeeds
+     * Refreshes requested while changes are in flight wait until they settle, so a
+     * server snapshot never overwrites an optimistic change that is still pending.
+     * @param {Promise} promise - API request promise
+     * @param {object} change - Change to broadcast on success ({type, key, productId})
+     * @returns {Promise} The same outcome as promise
+     */
+    function track(promise, change) {
+        pendingMutations++;
+
+        const settle = function() {
+            pendingMutations--;
+            if (pendingMutations === 0 && refreshQueued) {
+                refreshQueued = false;
+                refreshInBackground();
+            }
+        };
+
+        return promise.then(function(response) {
+            settle();
+            broadcast(change);
+            return response;
+        }, function(error) {
+            settle();
+            throw error;
+        });
+    }
+
+    /**
+     * Reload the cart from the server and replace the store contents
+     * Concurrent calls share one request.
+     * @returns {Promise} Resolves with the store state, rejects with an ApiError
+     */
+    function refresh() {
+        if (pendingMutations > 0) {
+            refreshQueued = true;
+            return Promise.resolve(getState());
+        }
+
+        if (!pendingRefresh) {
+            pendingRefresh = window.SubCartAPI.cart.fetch()
+                .then(function(response) {
+                    pendingRefresh = null;
+
+                    // A change started while the request was out; fetch again once it settles
+                    if (pendingMutations > 0) {
+                        refreshQueued = true;
+                        return getState();
+                    }
+
+                    hydrate((response.data && response.data.items) || [], 'sync');
+                    return getState();
+                }, function(error) {
+                    pendingRefresh = null;
+                    console.error('Cart refresh error:', error);
+                    throw error;
+                });
+        }
+
+        return pendingRefresh;
+    }
+
+    /**
+     * Refresh without a caller waiting on the result
+     * A failed fetch (offline, server error) is already logged by refresh() and
+     * leaves the store as it was.
+     */
+    function refreshInBackground() {
+        refresh().catch(function() {
+            // Keep showing the last known cart; the next change will try again
+        });
+    }
+
+    /**
+     * Tell other tabs that this tab changed the cart
+     * @param {object} change - Change description ({type, key, productId})
+     */
+    function broadcast(change) {
+        const message = Object.assign({ source: TAB_ID, at: Date.now() }, change);
+
+        try {
+            if (syncChannel) {
+                syncChannel.postMessage(message);
+            } else if (window.localStorage) {
+                // The storage event only fires in other tabs, and only when the value changes
+                window.localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(message));
+            }
+        } catch (e) {
+            console.warn('Cart sync broadcast failed:', e);
+        }
+    }
+
+    /**
+     * Handle a change announced by another tab
+     * Bursts of messages collapse into a single refresh.
+     * @param {object} message - Broadcast message
+     */
+    function handleSyncMessage(message) {
+        if (!message || message.source === TAB_ID) {
+            return;
+        }
+
+        clearTimeout(syncTimer);
+        syncTimer = setTimeout(refreshInBackground, SYNC_DEBOUNCE);
+    }
+
+    /**
+     * Start listening for cart changes made in other tabs
+     */
+    function listenForOtherTabs() {
+        if (typeof window.BroadcastChannel === 'function') {
+            syncChannel = new window.BroadcastChannel(SYNC_CHANNEL_NAME);
+            syncChannel.onmessage = function(event) {
+                handleSyncMessage(event.data);
+            };
+            return;
+        }
+
+        window.addEventListener('storage', function(event) {
+            if (event.key !== SYNC_STORAGE_KEY || !event.newValue) {
+                return;
+            }
+
+            try {
+                handleSyncMessage(JSON.parse(event.newValue));
+            } catch (e) {
+                console.warn('Invalid cart sync message:', e);
+            }
+        });
+    }
+
+    window.CartStore = {
+        MIN_QUANTITY: MIN_QUANTITY,
+        MAX_QUANTITY: MAX_QUANTITY,
+        lineKey: lineKey,
+        hydrate: hydrate,
+        applyServerTotals: applyServerTotals,
+        getState: getState,
+        getItems: getItems,
+        getItem: getItem,
+        getTotals: getTotals,
+        isHydrated: () => hydrated,
+        subscribe: subscribe,
+        setQuantity: setQuantity,
+        removeItem: removeItem,
+        empty: empty,
+        addItem: addItem,
+        refresh: refresh,
+        announceChange: broadcast
+    };
+
+    listenForOtherTabs();
+
+    // Pages may load this script in <head>, before the initial state is parsed
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', hydrateFromPage);
+    } else {
+        hydrateFromPage();
+    }
+
+})(window);
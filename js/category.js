@@ -9,6 +9,7 @@
  */
 
 $(document).ready(function() {
+    const api = window.SubCartAPI;
     const categoryNameRegex = /^[a-zA-Z0-9\s\-_&().,]{1,100}$/;
     
     let currentEditCategoryId = null;
@@ -122,33 +123,19 @@ $(document).ready(function() {
      * @param {string} categoryName - The category name to add
      */
     function addCategory(categoryName) {
-        $.ajax({
-            url: '../actions/add_category_action.php',
-            type: 'POST',
-            dataType: 'json',
-            data: {
-                cat_name: categoryName,
-                csrf_token: $('input[name="csrf_token"]').val()
-            },
-            success: function(response) {
+        api.categories.add({
+            cat_name: categoryName
+        })
+            .then(function(response) {
                 setAddButtonLoading(false);
-                
-                if (response.status === 'success') {
-                    showSuccess('Success', response.message);
-                    $('#add-category-form')[0].reset();
-                    loadCategories(); // Refresh the list
-                } else {
-                    showError('Error', response.message);
-                }
-            },
-            error: function(xhr, status, error) {
+                showSuccess('Success', response.message);
+                $('#add-category-form')[0].reset();
+                loadCategories(); // Refresh the list
+            })
+            .catch(function(error) {
                 setAddButtonLoading(false);
-                console.error('AJAX Error:', status, error);
-                console.error('Response:', xhr.responseText);
-                
-                showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
-            }
-        });
+                showApiError(error);
+            });
     }
 
     /**
@@ -160,33 +147,28 @@ $(document).ready(function() {
         $('#categories-empty').hide();
         $('#categories-list').hide();
 
-        $.ajax({
-            url: '../actions/fetch_category_action.php',
-            type: 'GET',
-            dataType: 'json',
-            success: function(response) {
+        api.categories.list()
+            .then(function(response) {
                 $('#categories-loading').hide();
                 
-                if (response.status === 'success') {
-                    if (response.data && response.data.categories && response.data.categories.length > 0) {
-                        displayCategories(response.data.categories);
-                        $('#categories-list').show();
-                    } else {
-                        $('#categories-empty').show();
-                    }
+                if (response.data && response.data.categories && response.data.categories.length > 0) {
+                    displayCategories(response.data.categories);
+                    $('#categories-list').show();
                 } else {
-                    showError('Error', response.message || 'Failed to load categories');
                     $('#categories-empty').show();
                 }
-            },
-            error: function(xhr, status, error) {
+            })
+            .catch(function(error) {
                 $('#categories-loading').hide();
                 $('#categories-empty').show();
-                console.error('AJAX Error:', status, error);
                 
-                showError('Connection Error', 'Failed to load categories. Please check your connection and try again.');
-            }
-        });
+                if (error.isTransportError()) {
+                    console.error('Error loading categories:', error);
+                    showError('Connection Error', 'Failed to load categories. Please check your connection and try again.');
+                } else {
+                    showError('Error', error.message || 'Failed to load categories');
+                }
+            });
     }
 
     /**
@@ -308,34 +290,20 @@ $(document).ready(function() {
      * @param {string} categoryName - The new category name
      */
     function updateCategory(categoryId, categoryName) {
-        $.ajax({
-            url: '../actions/update_category_action.php',
-            type: 'POST',
-            dataType: 'json',
-            data: {
-                cat_id: categoryId,
-                cat_name: categoryName,
-                csrf_token: $('input[name="csrf_token"]').val()
-            },
-            success: function(response) {
+        api.categories.update({
+            cat_id: categoryId,
+            cat_name: categoryName
+        })
+            .then(function(response) {
                 setUpdateButtonLoading(false);
-                
-                if (response.status === 'success') {
-                    showSuccess('Success', response.message);
-                    closeEditModal();
-                    loadCategories(); // Refresh the list
-                } else {
-                    showError('Error', response.message);
-                }
-            },
-            error: function(xhr, status, error) {
+                showSuccess('Success', response.message);
+                closeEditModal();
+                loadCategories(); // Refresh the list
+            })
+            .catch(function(error) {
                 setUpdateButtonLoading(false);
-                console.error('AJAX Error:', status, error);
-                console.error('Response:', xhr.responseText);
-                
-                showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
-            }
-        });
+                showApiError(error);
+            });
     }
 
     /**
@@ -384,33 +352,19 @@ $(document).ready(function() {
      * @param {number} categoryId - The category ID to delete
      */
     function deleteCategory(categoryId) {
-        $.ajax({
-            url: '../actions/delete_category_action.php',
-            type: 'POST',
-            dataType: 'json',
-            data: {
-                cat_id: categoryId,
-                csrf_token: $('input[name="csrf_token"]').val()
-            },
-            success: function(response) {
+        api.categories.remove({
+            cat_id: categoryId
+        })
+            .then(function(response) {
                 setDeleteButtonLoading(false);
-                
-                if (response.status === 'success') {
-                    showSuccess('Success', response.message);
-                    closeDeleteModal();
-                    loadCategories(); // Refresh the list
-                } else {
-                    showError('Error', response.message);
-                }
-            },
-            error: function(xhr, status, error) {
+                showSuccess('Success', response.message);
+                closeDeleteModal();
+                loadCategories(); // Refresh the list
+            })
+            .catch(function(error) {
                 setDeleteButtonLoading(false);
-                console.error('AJAX Error:', status, error);
-                console.error('Response:', xhr.responseText);
-                
-                showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
-            }
-        });
+                showApiError(error);
+            });
     }
 
     /**
@@ -492,6 +446,19 @@ $(document).ready(function() {
         });
     }
 
+    /**
+     * Show an ApiError from a failed request
+     * @param {ApiError} error - The error raised by the API client
+     */
+    function showApiError(error) {
+        if (error.isTransportError()) {
+            console.error('Request failed:', error);
+            showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
+        } else {
+            showError('Error', error.message);
+        }
+    }
+
     /**
      * Escape HTML to prevent XSS
      * @param {string} text - The text to escape
@@ -1,9 +1,24 @@
 /**
  * Checkout JavaScript
- * Handles payment simulation and checkout workflow
+ * Handles the payment provider flow and checkout workflow
+ * Totals are always the server's checkout quote; the page never prices the cart itself.
  * Requirements: 7.1, 7.2, 7.4
  */
 
+// Wait for a burst of cart changes to settle before asking for a new quote
+const QUOTE_REFRESH_DELAY = 250;
+
+// Latest quote request; older responses are ignored
+let quoteRequestId = 0;
+let quoteRefreshTimer = null;
+
+// Order submissions retried automatically after a network failure
+const CHECKOUT_SUBMIT_RETRIES = 2;
+const CHECKOUT_RETRY_DELAY = 1000;
+
+// Checkout attempts by payment reference: the idempotency key and any in-flight submission
+const checkoutAttempts = {};
+
 $(document).ready(function() {
     // Initialize checkout functionality
     initializeCheckout();
@@ -22,6 +37,17 @@ function initializeCheckout() {
     // Initialize confirmation modal
     initializeConfirmationModal();
     
+    // Pick up a payment the gateway redirected back to this page
+    resumePaymentReturn();
+    
+    // Render the order items and summary from the cart store
+    if (window.CartStore) {
+        window.CartStore.subscribe(renderCheckoutSummary);
+        if (window.CartStore.isHydrated()) {
+            renderCheckoutSummary(window.CartStore.getState());
+        }
+    }
+    
     console.log('Checkout functionality initialized');
 }
 
@@ -35,14 +61,31 @@ function bindCheckoutEvents() {
         
         const customerId = $(this).data('customer-id');
         const total = $(this).data('total');
+        const quoteId = $(this).data('quote-id');
         
-        if (!customerId || !total) {
+        if (!customerId || !total || !quoteId) {
             showCheckoutMessage('error', 'Invalid order information. Please refresh the page.');
             return;
         }
         
         // Show payment modal
-        showPaymentModal(customerId, total);
+        showPaymentModal(customerId, total, quoteId);
+    });
+    
+    // Re-price the order for the chosen shipping method
+    $(document).on('change', 'input[name="shipping_method"]', function() {
+        refreshQuote();
+    });
+    
+    // Apply or remove a coupon code, then re-price the order with it
+    $(document).on('submit', '#coupon-form', function(e) {
+        e.preventDefault();
+        applyCoupon($('#coupon-code-input').val().trim());
+    });
+    
+    $(document).on('click', '#remove-coupon-btn', function(e) {
+        e.preventDefault();
+        removeCoupon();
     });
     
     // Payment confirmation button
@@ -57,6 +100,13 @@ function bindCheckoutEvents() {
         cancelPayment();
     });
     
+    // Retry an order whose submission failed on the network
+    $(document).on('click', '#retry-order-btn', function(e) {
+        e.preventDefault();
+        $(this).prop('disabled', true);
+        processSuccessfulPayment($(this).data('payment-reference'), $(this).data('total'), $(this).data('quote-id'));
+    });
+    
     // Modal close buttons
     $(document).on('click', '.modal-close, .modal-overlay', function(e) {
         if (e.target === this) {
@@ -80,8 +130,8 @@ function bindCheckoutEvents() {
     // View order details after confirmation
     $(document).on('click', '#view-order-btn', function(e) {
         e.preventDefault();
-        // In a real application, this would redirect to order details page
-        showCheckoutMessage('info', 'Order details page would be available in a full implementation.');
+        const orderId = $(this).data('order-id');
+        window.location.href = orderId ? `orders.php?order_id=${orderId}` : 'orders.php';
     });
 }
 
@@ -94,7 +144,7 @@ function initializePaymentModal() {
             <div class="modal-content" style="max-width: 500px;">
                 <div class="modal-header">
                     <h3 style="color: var(--color-primary-green); margin: 0;">
-                        <i class="fas fa-credit-card"></i> Payment Simulation
+                        <i class="fas fa-credit-card"></i> Payment
                     </h3>
                     <button class="modal-close" style="background: none; border: none; font-size: 1.5rem; color: var(--color-medium-gray); cursor: pointer;">
                         <i class="fas fa-times"></i>
@@ -104,7 +154,7 @@ function initializePaymentModal() {
                 <div class="modal-body" style="padding: var(--spacing-lg);">
                     <div style="background-color: var(--color-light-gray); padding: var(--spacing-md); border-radius: var(--border-radius-md); margin-bottom: var(--spacing-lg);">
                         <p style="color: var(--color-medium-gray); font-size: var(--font-size-small); text-align: center; margin: 0;">
-                            <i class="fas fa-info-circle"></i> This is a simulated payment process for demonstration purposes
+                            <i class="fas fa-info-circle"></i> Test mode: no real card is charged
                         </p>
                     </div>
                     
@@ -112,46 +162,8 @@ function initializePaymentModal() {
                         <!-- Payment details will be populated dynamically -->
                     </div>
                     
-                    <div style="margin-bottom: var(--spacing-lg);">
-                        <h4 style="color: var(--color-dark-gray); margin-bottom: var(--spacing-md);">Simulated Payment Options:</h4>
-                        
-                        <div style="display: flex; flex-direction: column; gap: var(--spacing-sm);">
-                            <label style="display: flex; align-items: center; padding: var(--spacing-md); border: 2px solid var(--color-border-gray); border-radius: var(--border-radius-md); cursor: pointer;">
-                                <input type="radio" name="payment-method" value="success" checked style="margin-right: var(--spacing-sm);">
-                                <div>
-                                    <strong style="color: var(--color-success);">
-                                        <i class="fas fa-check-circle"></i> Successful Payment
-                                    </strong>
-                                    <p style="color: var(--color-medium-gray); font-size: var(--font-size-small); margin: 0;">
-                                        Simulate a successful payment transaction
-                                    </p>
-                                </div>
-                            </label>
-                            
-                            <label style="display: flex; align-items: center; padding: var(--spacing-md); border: 2px solid var(--color-border-gray); border-radius: var(--border-radius-md); cursor: pointer;">
-                                <input type="radio" name="payment-method" value="failure" style="margin-right: var(--spacing-sm);">
-                                <div>
-                                    <strong style="color: var(--color-error);">
-                                        <i class="fas fa-times-circle"></i> Failed Payment
-                                    </strong>
-                                    <p style="color: var(--color-medium-gray); font-size: var(--font-size-small); margin: 0;">
-                                        Simulate a payment failure (card declined, insufficient funds, etc.)
-                                    </p>
-                                </div>
-                            </label>
-                            
-                            <label style="display: flex; align-items: center; padding: var(--spacing-md); border: 2px solid var(--color-border-gray); border-radius: var(--border-radius-md); cursor: pointer;">
-                                <input type="radio" name="payment-method" value="timeout" style="margin-right: var(--spacing-sm);">
-                                <div>
-                                    <strong style="color: var(--color-warning);">
-                                        <i class="fas fa-clock"></i> Payment Timeout
-                                    </strong>
-                                    <p style="color: var(--color-medium-gray); font-size: var(--font-size-small); margin: 0;">
-                                        Simulate a payment processing timeout scenario
-                                    </p>
-                                </div>
-                            </label>
-                        </div>
+                    <div id="payment-form" style="margin-bottom: var(--spacing-lg);">
+                        <!-- Provider payment form will be populated dynamically -->
                     </div>
                 </div>
                 
@@ -211,174 +223,304 @@ function initializeConfirmationModal() {
  * Show payment modal with order details
  * Requirements: 7.1
  */
-function showPaymentModal(customerId, total) {
-    // Populate payment details
-    const paymentDetailsHtml = `
-        <div style="background-color: var(--color-light-green); padding: var(--spacing-lg); border-radius: var(--border-radius-md); margin-bottom: var(--spacing-lg);">
-            <h4 style="color: var(--color-primary-green); margin-bottom: var(--spacing-md);">Order Summary</h4>
-            <div style="display: flex; justify-content: space-between; align-items: center;">
-                <span style="color: var(--color-dark-gray); font-weight: var(--font-weight-medium);">Total Amount:</span>
-                <span style="color: var(--color-primary-green); font-size: var(--font-size-h3); font-weight: var(--font-weight-semibold);">
-                    $${parseFloat(total).toFixed(2)}
-                </span>
-            </div>
-        </div>
-    `;
-    
-    $('#payment-details').html(paymentDetailsHtml);
+function showPaymentModal(customerId, total, quoteId) {
+    $('#payment-details').html(buildPaymentSummary(total));
+    $('#payment-form').html(`
+        <p style="color: var(--color-medium-gray); text-align: center; margin: 0;">
+            <i class="fas fa-spinner fa-spin"></i> Loading payment options...
+        </p>
+    `);
+    $('#confirm-payment-btn').prop('disabled', true);
     
     // Store order data for processing
     $('#payment-modal').data('customer-id', customerId);
     $('#payment-modal').data('total', total);
+    $('#payment-modal').removeData('payment');
     
     // Show modal
     $('#payment-modal').fadeIn(300);
     $('body').addClass('modal-open');
     
+    // Start a payment for the quoted total
+    const provider = getPaymentProvider();
+    provider.initialize(quoteId)
+        .then(function(payment) {
+            $('#payment-modal').data('payment', payment);
+            $('#payment-details').html(buildPaymentSummary(payment.amount));
+            $('#payment-form').html(provider.renderForm(payment));
+            $('#confirm-payment-btn').prop('disabled', false);
+        })
+        .catch(function(error) {
+            console.error('Payment initialization error:', error);
+            closeAllModals();
+            showCheckoutMessage('error', error.message || 'Unable to start payment. Please try again.');
+            
+            if (isQuoteError(error)) {
+                refreshQuote();
+            }
+        });
+    
     console.log('Payment modal shown for customer:', customerId, 'total:', total);
 }
 
 /**
- * Process payment simulation
+ * Build the order summary shown at the top of the payment modal
+ * @param {number} total - Amount to be charged
+ * @returns {string} Summary HTML
+ */
+function buildPaymentSummary(total) {
+    return `
+        <div style="background-color: var(--color-light-green); padding: var(--spacing-lg); border-radius: var(--border-radius-md); margin-bottom: var(--spacing-lg);">
+            <h4 style="color: var(--color-primary-green); margin-bottom: var(--spacing-md);">Order Summary</h4>
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <span style="color: var(--color-dark-gray); font-weight: var(--font-weight-medium);">Total Amount:</span>
+                <span style="color: var(--color-primary-green); font-size: var(--font-size-h3); font-weight: var(--font-weight-semibold);">
+                    $${parseFloat(total).toFixed(2)}
+                </span>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Get the payment provider used by this checkout
+ * @returns {object} SubCartPayments provider
+ */
+function getPaymentProvider() {
+    return window.SubCartPayments.get(window.SubCartPayments.DEFAULT_PROVIDER);
+}
+
+/**
+ * Submit the payment form to the provider
  * Requirements: 7.2
  */
 function processPayment() {
-    const customerId = $('#payment-modal').data('customer-id');
-    const total = $('#payment-modal').data('total');
-    const paymentMethod = $('input[name="payment-method"]:checked').val();
+    const payment = $('#payment-modal').data('payment');
+    const provider = getPaymentProvider();
+    const details = provider.collectDetails($('#payment-form'));
     
-    if (!customerId || !total || !paymentMethod) {
+    if (!payment || !details) {
         showCheckoutMessage('error', 'Invalid payment information. Please try again.');
         return;
     }
     
     // Disable payment button and show processing state
     const $confirmBtn = $('#confirm-payment-btn');
-    const originalText = $confirmBtn.html();
     $confirmBtn.prop('disabled', true).html('<i class="fas fa-spinner fa-spin"></i> Processing...');
     
     // Disable cancel button during processing
-    const $cancelBtn = $('#cancel-payment-btn');
-    $cancelBtn.prop('disabled', true);
-    
-    console.log('Processing payment:', { customerId, total, paymentMethod });
-    
-    // Determine processing time based on payment method
-    let processingTime = 2000; // Default 2 seconds
-    if (paymentMethod === 'timeout') {
-        processingTime = 8000; // 8 seconds for timeout simulation
-    } else if (paymentMethod === 'failure') {
-        processingTime = 3000; // 3 seconds for failure simulation
+    $('#cancel-payment-btn').prop('disabled', true);
+    
+    provider.authorize(payment, details)
+        .then(function(result) {
+            if (result.status === 'requires_action' && result.next_action && result.next_action.type === 'redirect') {
+                $confirmBtn.html('<i class="fas fa-spinner fa-spin"></i> Redirecting to your bank...');
+                provider.redirect(result.next_action);
+                return;
+            }
+            
+            if (result.status === 'failed') {
+                resetPaymentButtons();
+                processFailedPayment(result.failure_reason);
+                return;
+            }
+            
+            $confirmBtn.html('<i class="fas fa-spinner fa-spin"></i> Waiting for your bank...');
+            
+            return provider.waitForAuthorization(payment.reference).then(function(status) {
+                resetPaymentButtons();
+                handleAuthorizationResult(status);
+            });
+        })
+        .catch(function(error) {
+            console.error('Payment error:', error);
+            resetPaymentButtons();
+            processFailedPayment(error.isTransportError()
+                ? 'Payment processing failed due to network error.'
+                : error.message);
+        });
+}
+
+/**
+ * Restore the payment modal buttons after processing
+ */
+function resetPaymentButtons() {
+    $('#confirm-payment-btn').prop('disabled', false).html('<i class="fas fa-lock"></i> Process Payment');
+    $('#cancel-payment-btn').prop('disabled', false);
+}
+
+/**
+ * Act on the settled status of a payment
+ * @param {object} payment - Payment status from waitForAuthorization()
+ */
+function handleAuthorizationResult(payment) {
+    if (payment.status === 'authorized') {
+        processSuccessfulPayment(payment.reference, payment.amount, payment.quote_id);
+    } else if (payment.status === 'timeout') {
+        processPaymentTimeout();
+    } else {
+        processFailedPayment(payment.failure_reason);
     }
+}
+
+/**
+ * Resume a payment when the gateway redirects back to checkout.php
+ * Requirements: 7.2
+ */
+function resumePaymentReturn() {
+    const params = new URLSearchParams(window.location.search);
+    const reference = params.get('reference');
     
-    // Show processing feedback
-    if (paymentMethod === 'timeout') {
-        setTimeout(() => {
-            if ($confirmBtn.prop('disabled')) { // Still processing
-                $confirmBtn.html('<i class="fas fa-spinner fa-spin"></i> Processing (this may take a moment)...');
-            }
-        }, 4000);
+    if (params.get('payment_return') !== '1' || !reference) {
+        return;
     }
     
-    // Simulate payment processing delay
-    setTimeout(() => {
-        // Re-enable buttons
-        $confirmBtn.prop('disabled', false).html(originalText);
-        $cancelBtn.prop('disabled', false);
-        
-        // Process based on payment method
-        if (paymentMethod === 'success') {
-            // Process successful payment
-            processSuccessfulPayment(customerId, total);
-        } else if (paymentMethod === 'timeout') {
-            // Process timeout scenario
-            processPaymentTimeout();
-        } else {
-            // Process failed payment
-            processFailedPayment(paymentMethod);
-        }
-    }, processingTime);
+    // Drop the return parameters so a reload does not resume the payment again
+    window.history.replaceState(null, '', window.location.pathname);
+    
+    const provider = window.SubCartPayments.get(params.get('provider')) || getPaymentProvider();
+    const returnParams = {};
+    params.forEach(function(value, key) {
+        returnParams[key] = value;
+    });
+    
+    $('#place-order-btn').prop('disabled', true);
+    showCheckoutMessage('info', 'Completing your payment...');
+    
+    provider.handleReturn(reference, returnParams)
+        .then(function(result) {
+            if (result.status === 'failed') {
+                return result;
+            }
+            return provider.waitForAuthorization(reference);
+        })
+        .then(function(payment) {
+            $('#place-order-btn').prop('disabled', false);
+            handleAuthorizationResult(payment);
+        })
+        .catch(function(error) {
+            console.error('Payment return error:', error);
+            $('#place-order-btn').prop('disabled', false);
+            processFailedPayment(error.message);
+        });
 }
 
 /**
- * Process successful payment and create order
+ * Capture the authorized payment and create the order
+ * Every submission for the same payment reuses one idempotency key, so double
+ * clicks and retries get the original order back instead of a second one.
  * Requirements: 7.2, 7.3
  */
-function processSuccessfulPayment(customerId, total) {
-    // Make AJAX call to process checkout
-    $.ajax({
-        url: 'actions/process_checkout_action.php',
-        type: 'POST',
-        dataType: 'json',
-        data: {
-            customer_id: customerId,
-            total_amount: total,
-            payment_method: 'simulated_success'
-        },
-        success: function(response) {
+function processSuccessfulPayment(paymentReference, total, quoteId) {
+    let attempt = checkoutAttempts[paymentReference];
+    if (!attempt) {
+        attempt = checkoutAttempts[paymentReference] = { key: createIdempotencyKey(), pending: null };
+    }
+    
+    // Already submitting this attempt; don't send it twice
+    if (attempt.pending) {
+        return attempt.pending;
+    }
+    
+    attempt.pending = submitOrder({
+        total_amount: total,
+        payment_method: getPaymentProvider().paymentMethod,
+        payment_reference: paymentReference,
+        quote_id: quoteId,
+        idempotency_key: attempt.key
+    }, CHECKOUT_SUBMIT_RETRIES)
+        .then(function(response) {
             console.log('Checkout response:', response);
             
-            if (response.success) {
-                // Close payment modal
-                closeAllModals();
-                
-                // Show order confirmation
-                showOrderConfirmation(response.data);
-                
-                // Show success message
-                showCheckoutMessage('success', 'Order placed successfully! Your cart has been cleared.');
-                
-            } else {
-                // Handle checkout failure
-                closeAllModals();
-                showCheckoutMessage('error', response.error || 'Order processing failed. Please try again.');
+            // Close payment modal
+            closeAllModals();
+            
+            // Show order confirmation
+            showOrderConfirmation(response.data);
+            
+            // The order emptied the cart; let other open tabs catch up
+            if (window.CartStore) {
+                window.CartStore.announceChange({ type: 'checkout' });
             }
-        },
-        error: function(xhr, status, error) {
-            console.error('Checkout AJAX error:', { xhr, status, error });
+            
+            // Show success message
+            showCheckoutMessage('success', 'Order placed successfully! Your cart has been cleared.');
+        })
+        .catch(function(error) {
+            console.error('Checkout error:', error);
             closeAllModals();
-            showCheckoutMessage('error', 'Network error occurred. Please check your connection and try again.');
+            
+            if (error.isTransportError()) {
+                // Retrying with the same attempt is safe; starting a new payment is not
+                showCheckoutMessage('error', `Network error occurred. Your payment was received.
+                    <button class="btn btn-secondary" id="retry-order-btn" data-payment-reference="${paymentReference}" data-total="${total}" data-quote-id="${quoteId}">
+                        <i class="fas fa-redo"></i> Retry placing order
+                    </button>`);
+            } else if (error.response && error.response.payment_refunded) {
+                showCheckoutMessage('error', (error.message || 'Order processing failed.') + ' Your payment has been refunded.');
+            } else {
+                showCheckoutMessage('error', error.message || 'Order processing failed. Please try again.');
+            }
+            
+            // The order was priced from an outdated quote; show the current one
+            if (isQuoteError(error)) {
+                refreshQuote();
+            }
+        })
+        .finally(function() {
+            attempt.pending = null;
+        });
+    
+    return attempt.pending;
+}
+
+/**
+ * Post the order, retrying network failures with the same idempotency key
+ * @param {object} data - Checkout request body
+ * @param {number} retriesLeft - Remaining automatic retries
+ * @returns {Promise<object>} Checkout response
+ */
+function submitOrder(data, retriesLeft) {
+    return window.SubCartAPI.checkout.process(data).catch(function(error) {
+        // An earlier submission of this attempt may still be running on the server
+        const retryable = (error.isTransportError() && error.kind !== 'abort') || error.type === 'checkout_in_progress';
+        
+        if (!retryable || retriesLeft <= 0) {
+            throw error;
         }
+        
+        return new Promise(resolve => setTimeout(resolve, CHECKOUT_RETRY_DELAY))
+            .then(() => submitOrder(data, retriesLeft - 1));
     });
 }
 
 /**
- * Process failed payment simulation
+ * Create a key identifying one checkout attempt
+ * @returns {string} Random key
+ */
+function createIdempotencyKey() {
+    if (window.crypto && window.crypto.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+    
+    const bytes = new Uint8Array(16);
+    window.crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Report a declined or failed payment
  * Requirements: 7.5
  */
-function processFailedPayment(paymentMethod = 'failure') {
-    // Make AJAX call to simulate payment failure
-    $.ajax({
-        url: 'actions/process_checkout_action.php',
-        type: 'POST',
-        dataType: 'json',
-        data: {
-            customer_id: $('#payment-modal').data('customer-id'),
-            total_amount: $('#payment-modal').data('total'),
-            payment_method: 'simulated_failure'
-        },
-        success: function(response) {
-            console.log('Payment failure response:', response);
-            
-            // Close payment modal
-            closeAllModals();
-            
-            // Show failure message with specific error if available
-            const errorMessage = response.error || 'Payment failed. Your cart has been preserved. Please try a different payment method.';
-            showCheckoutMessage('error', errorMessage);
-            
-            console.log('Payment simulation failed - cart preserved');
-        },
-        error: function(xhr, status, error) {
-            console.error('Payment failure AJAX error:', { xhr, status, error });
-            closeAllModals();
-            showCheckoutMessage('error', 'Payment processing failed due to network error. Your cart has been preserved.');
-        }
-    });
+function processFailedPayment(reason) {
+    // Close payment modal
+    closeAllModals();
+    
+    showCheckoutMessage('error', (reason || 'Payment failed.') + ' Your cart has been preserved. Please try a different payment method.');
 }
 
 /**
- * Process payment timeout simulation
+ * Report a payment the gateway did not settle in time
  * Requirements: 7.5
  */
 function processPaymentTimeout() {
@@ -387,8 +529,6 @@ function processPaymentTimeout() {
     
     // Show timeout message
     showCheckoutMessage('warning', 'Payment processing timed out. Your cart has been preserved. Please try again or contact support if the issue persists.');
-    
-    console.log('Payment simulation timed out - cart preserved');
 }
 
 /**
@@ -464,6 +604,7 @@ function showOrderConfirmation(orderData) {
     `;
     
     $('#confirmation-details').html(confirmationHtml);
+    $('#view-order-btn').data('order-id', orderData.order_id || null);
     $('#confirmation-modal').fadeIn(300);
     $('body').addClass('modal-open');
     
@@ -518,20 +659,265 @@ function showCheckoutMessage(type, message) {
 }
 
 /**
- * Update checkout totals (for future dynamic updates)
+ * Show a server quote in the order summary
+ * @param {object} quote - Quote from checkout_quote_action.php
  */
-function updateCheckoutTotals(subtotal, tax, shipping, total) {
-    $('#checkout-subtotal').text(`$${parseFloat(subtotal).toFixed(2)}`);
-    $('#checkout-tax').text(`$${parseFloat(tax).toFixed(2)}`);
-    $('#checkout-shipping').text(`$${parseFloat(shipping).toFixed(2)}`);
-    $('#checkout-total').text(`$${parseFloat(total).toFixed(2)}`);
+function updateCheckoutTotals(quote) {
+    const discount = parseFloat(quote.discount_amount);
+    const shipping = parseFloat(quote.shipping_cost);
+    const total = parseFloat(quote.total);
+    
+    $('#checkout-item-count').text(quote.item_count);
+    $('#checkout-subtotal').text(`$${parseFloat(quote.subtotal).toFixed(2)}`);
+    $('#checkout-discount').text(`-$${discount.toFixed(2)}`);
+    $('#checkout-discount-row').toggle(discount > 0);
+    $('#checkout-discount-code').text(quote.coupon_code || '');
+    renderCouponBox(quote.coupon, quote.coupon_message);
+    $('#checkout-tax-label').text(quote.tax_label);
+    $('#checkout-tax').text(`$${parseFloat(quote.tax_amount).toFixed(2)}`);
+    $('#checkout-shipping').text(`$${shipping.toFixed(2)}`);
+    $('#checkout-shipping-method').text(quote.shipping_method_name || '');
+    $('#checkout-free-shipping').toggle(shipping === 0);
+    renderShippingOptions(quote.shipping_methods || [], quote.shipping_method_id);
+    $('#checkout-total').text(`$${total.toFixed(2)}`);
     
     // Update place order button
-    $('#place-order-btn').data('total', total).html(`
-        <i class="fas fa-lock"></i> Place Order - $${parseFloat(total).toFixed(2)}
-    `);
+    $('#place-order-btn')
+        .data('total', total)
+        .data('quote-id', quote.quote_id)
+        .prop('disabled', false)
+        .html(`
+            <i class="fas fa-lock"></i> Place Order - $${total.toFixed(2)}
+        `);
+}
+
+/**
+ * Render the order items and summary from cart store state
+ * The totals come from the server: any cart change requests a fresh quote.
+ * @param {object} state - Store state ({items, totals, hydrated})
+ * @param {object} [change] - Change that produced the state; absent on first render
+ */
+function renderCheckoutSummary(state, change) {
+    if (!state.hydrated) {
+        return;
+    }
+    
+    renderCheckoutItems(state.items);
     
-    console.log('Checkout totals updated:', { subtotal, tax, shipping, total });
+    // Another tab emptied the cart or placed the order
+    if (state.items.length === 0) {
+        clearTimeout(quoteRefreshTimer);
+        quoteRequestId++;
+        $('#place-order-btn').prop('disabled', true);
+        if ($('#checkout-items').length > 0 && !$('#confirmation-modal').is(':visible')) {
+            showCheckoutMessage('warning', 'Your cart is now empty. Please add items before checkout.');
+        }
+        return;
+    }
+    
+    // checkout.php rendered the first quote; only changes need a new one
+    if (change) {
+        scheduleQuoteRefresh();
+    }
+}
+
+/**
+ * Request a new quote once cart changes settle
+ * Place order stays disabled until the new totals arrive.
+ */
+function scheduleQuoteRefresh() {
+    $('#place-order-btn').prop('disabled', true);
+    clearTimeout(quoteRefreshTimer);
+    quoteRefreshTimer = setTimeout(refreshQuote, QUOTE_REFRESH_DELAY);
+}
+
+/**
+ * Price the current cart on the server and show the result
+ * Responses to superseded requests are dropped.
+ * @returns {Promise<object|null>} The quote shown, or null
+ */
+function refreshQuote() {
+    const requestId = ++quoteRequestId;
+    
+    clearTimeout(quoteRefreshTimer);
+    $('#place-order-btn').prop('disabled', true);
+    
+    return window.SubCartAPI.checkout.quote(getSelectedShippingMethodId())
+        .then(function(response) {
+            if (requestId !== quoteRequestId) {
+                return null;
+            }
+            
+            updateCheckoutTotals(response.data);
+            return response.data;
+        })
+        .catch(function(error) {
+            if (requestId !== quoteRequestId) {
+                return null;
+            }
+            
+            console.error('Quote refresh error:', error);
+            if (error.type !== 'empty_cart_error') {
+                showCheckoutMessage('error', error.message || 'Unable to update your order total. Please refresh the page.');
+            }
+            return null;
+        });
+}
+
+/**
+ * Apply a coupon code to the session and re-price the order
+ * @param {string} code - Code entered by the shopper
+ */
+function applyCoupon(code) {
+    if (!code) {
+        renderCouponBox(null, 'Enter a coupon code.');
+        return;
+    }
+    
+    $('#apply-coupon-btn').prop('disabled', true);
+    
+    window.SubCartAPI.coupons.apply(code)
+        .then(function() {
+            $('#coupon-code-input').val('');
+            return refreshQuote();
+        })
+        .catch(function(error) {
+            console.error('Apply coupon error:', error);
+            renderCouponBox(null, error.isTransportError()
+                ? 'Network error occurred while applying the coupon'
+                : (error.message || 'Failed to apply the coupon'));
+        })
+        .finally(function() {
+            $('#apply-coupon-btn').prop('disabled', false);
+        });
+}
+
+/**
+ * Remove the applied coupon code and re-price the order
+ */
+function removeCoupon() {
+    $('#remove-coupon-btn').prop('disabled', true);
+    
+    window.SubCartAPI.coupons.clear()
+        .then(function() {
+            return refreshQuote();
+        })
+        .catch(function(error) {
+            console.error('Remove coupon error:', error);
+            showCheckoutMessage('error', error.message || 'Failed to remove the coupon');
+        })
+        .finally(function() {
+            $('#remove-coupon-btn').prop('disabled', false);
+        });
+}
+
+/**
+ * Shipping method currently selected in the summary
+ * @returns {number|undefined} Method ID, or undefined to let the server choose
+ */
+function getSelectedShippingMethodId() {
+    const value = $('input[name="shipping_method"]:checked').val();
+    return value ? parseInt(value, 10) : undefined;
+}
+
+/**
+ * Render the shipping methods offered with a quote
+ * Matches the markup rendered by checkout.php.
+ * @param {Array} methods - Quote shipping_methods ({method_id, method_name, delivery_estimate, cost})
+ * @param {number} selectedId - Method the quote was priced with
+ */
+function renderShippingOptions(methods, selectedId) {
+    const html = methods.map(function(method) {
+        const cost = parseFloat(method.cost);
+        const estimate = method.delivery_estimate
+            ? `<small style="display: block; color: var(--color-medium-gray);">${escapeCartHtml(method.delivery_estimate)}</small>`
+            : '';
+        
+        return `
+            <label class="shipping-option" style="display: flex; align-items: center; justify-content: space-between; gap: var(--spacing-sm); padding: var(--spacing-sm) var(--spacing-md); border: 2px solid var(--color-border-gray); border-radius: var(--border-radius-md); cursor: pointer;">
+                <span style="display: flex; align-items: center; gap: var(--spacing-sm);">
+                    <input type="radio" name="shipping_method" value="${method.method_id}" ${method.method_id === selectedId ? 'checked' : ''}>
+                    <span>
+                        <strong style="color: var(--color-dark-gray);">${escapeCartHtml(method.method_name)}</strong>
+                        ${estimate}
+                    </span>
+                </span>
+                <span class="shipping-option-cost" style="color: var(--color-dark-gray); font-weight: var(--font-weight-medium);">
+                    ${cost === 0 ? 'FREE' : `$${cost.toFixed(2)}`}
+                </span>
+            </label>
+        `;
+    }).join('');
+    
+    $('#shipping-method-options').html(html);
+}
+
+/**
+ * Whether a checkout error means the displayed quote no longer applies
+ * @param {ApiError} error - Rejection from SubCartAPI
+ * @returns {boolean}
+ */
+function isQuoteError(error) {
+    return Boolean(error && error.response && error.response.quote_refresh_required);
+}
+
+/**
+ * Sync the order item list with the cart store
+ * @param {Array} items - Store items
+ */
+function renderCheckoutItems(items) {
+    const $list = $('#checkout-items');
+    const keys = items.map(item => item.key);
+    
+    $list.find('.checkout-item').each(function() {
+        if (keys.indexOf(String($(this).data('cart-key'))) === -1) {
+            $(this).remove();
+        }
+    });
+    
+    items.forEach(function(item) {
+        let $row = $list.find(`.checkout-item[data-cart-key="${item.key}"]`);
+        
+        if ($row.length === 0) {
+            $row = $(buildCheckoutItemRow(item)).appendTo($list);
+        }
+        
+        $row.find('.checkout-item-quantity').text(`Quantity: ${item.quantity} × ${formatPrice(item.price)}`);
+        $row.find('.checkout-item-subtotal').text(formatPrice(item.price * item.quantity));
+    });
+}
+
+/**
+ * Build an order item row matching the markup rendered by checkout.php
+ * @param {object} item - Store item
+ * @returns {string} Row HTML
+ */
+function buildCheckoutItemRow(item) {
+    const details = [item.category, item.brand].filter(Boolean).map(escapeCartHtml).join(' • ');
+    const image = item.image
+        ? `<img src="${escapeCartHtml(item.image)}" alt="${escapeCartHtml(item.title)}" style="width: 100%; height: 100%; object-fit: cover;">`
+        : `<div style="width: 100%; height: 100%; display: flex; align-items: center; justify-content: center; color: var(--color-medium-gray);">
+               <i class="fas fa-image"></i>
+           </div>`;
+    
+    return `
+        <div class="checkout-item" data-cart-key="${item.key}" style="display: grid; grid-template-columns: 80px 1fr auto; gap: var(--spacing-md); align-items: center; padding: var(--spacing-md) 0; border-bottom: 1px solid var(--color-border-gray);">
+            <div style="width: 80px; height: 80px; border-radius: var(--border-radius-md); overflow: hidden; background-color: var(--color-light-gray);">
+                ${image}
+            </div>
+            <div>
+                <h4 style="color: var(--color-dark-gray); margin-bottom: var(--spacing-xs); font-size: var(--font-size-body);">
+                    ${escapeCartHtml(item.title)}
+                </h4>
+                ${item.variantLabel ? `<p style="color: var(--color-dark-gray); font-size: var(--font-size-small); margin-bottom: var(--spacing-xs);">${escapeCartHtml(item.variantLabel)}</p>` : ''}
+                ${details ? `<p style="color: var(--color-medium-gray); font-size: var(--font-size-small); margin-bottom: var(--spacing-xs);">${details}</p>` : ''}
+                <p class="checkout-item-quantity" style="color: var(--color-medium-gray); font-size: var(--font-size-small);"></p>
+            </div>
+            <div style="text-align: right;">
+                <p class="checkout-item-subtotal" style="color: var(--color-primary-green); font-weight: var(--font-weight-semibold); font-size: var(--font-size-body);"></p>
+            </div>
+        </div>
+    `;
 }
 
 /**
@@ -0,0 +1,558 @@
+/**
+ * Coupons JavaScript
+ * Handles the coupon form (add and edit), the category and brand scope pickers
+ * and the coupons list on the admin coupons page
+ */
+
+$(document).ready(function() {
+    const api = window.SubCartAPI;
+
+    const VALUE_LABELS = { percentage: 'Percent Off', fixed: 'Amount Off' };
+
+    // Coupons from the last load, keyed by ID, used to fill the form for editing
+    let couponsById = {};
+
+    // Category and brand names for the scope shown on each card
+    let categoryNames = {};
+    let brandNames = {};
+
+    // Initialize the page
+    initializePage();
+
+    /**
+     * Initialize page functionality
+     */
+    function initializePage() {
+        resetForm();
+        loadScopeOptions();
+        loadCoupons();
+        bindEventHandlers();
+    }
+
+    /**
+     * Bind all event handlers
+     */
+    function bindEventHandlers() {
+        $('#coupon-admin-form').submit(handleSaveCoupon);
+        $('#discount_type').change(updateDiscountFields);
+        $('#cancel-edit').click(resetForm);
+
+        $('#refresh-coupons').click(function(e) {
+            e.preventDefault();
+            loadCoupons();
+        });
+
+        $('#coupons-list').on('click', '.edit-coupon', function(e) {
+            e.preventDefault();
+            openEditForm($(this).data('coupon-id'));
+        });
+        $('#coupons-list').on('click', '.delete-coupon', function(e) {
+            e.preventDefault();
+            openDeleteModal($(this).data('coupon-id'), $(this).data('coupon-code'));
+        });
+
+        $('#close-delete-modal, #cancel-delete').click(closeDeleteModal);
+        $('#confirm-delete-btn').click(handleDeleteCoupon);
+
+        // Close modal when clicking outside
+        $(window).click(function(e) {
+            if ($(e.target).hasClass('modal')) {
+                closeDeleteModal();
+            }
+        });
+    }
+
+    /**
+     * Show the value field only for discounts that need one
+     */
+    function updateDiscountFields() {
+        const discountType = $('#discount_type').val();
+
+        $('#discount-value-group').toggle(discountType !== 'free_shipping');
+        $('#discount-value-label').text(VALUE_LABELS[discountType] || 'Value');
+        $('#discount_value').attr('max', discountType === 'percentage' ? 100 : null);
+    }
+
+    /**
+     * Load categories and brands into the scope pickers
+     */
+    function loadScopeOptions() {
+        api.categories.list()
+            .then(function(response) {
+                const categories = (response.data && response.data.categories) || [];
+                categoryNames = {};
+                $('#category_ids').html(categories.map(category => {
+                    categoryNames[category.cat_id] = category.cat_name;
+                    return `<option value="${category.cat_id}">${escapeHtml(category.cat_name)}</option>`;
+                }).join(''));
+                refreshSelectedScope();
+            })
+            .catch(function(error) {
+                console.error('Error loading categories:', error);
+            });
+
+        api.brands.list()
+            .then(function(response) {
+                const brands = (response.data && response.data.brands) || [];
+                brandNames = {};
+                $('#brand_ids').html(brands.map(brand => {
+                    brandNames[brand.brand_id] = brand.brand_name;
+                    return `<option value="${brand.brand_id}">${escapeHtml(brand.brand_name)}</option>`;
+                }).join(''));
+                refreshSelectedScope();
+            })
+            .catch(function(error) {
+                console.error('Error loading brands:', error);
+            });
+    }
+
+    /**
+     * Re-select the edited coupon's scope once the picker options arrive
+     */
+    function refreshSelectedScope() {
+        const coupon = couponsById[$('#coupon_id').val()];
+        if (coupon) {
+            $('#category_ids').val(coupon.category_ids.map(String));
+            $('#brand_ids').val(coupon.brand_ids.map(String));
+        }
+    }
+
+    /**
+     * Read the form into the request payload
+     * @returns {object} Coupon data
+     */
+    function collectFormData() {
+        const discountType = $('#discount_type').val();
+
+        return {
+            coupon_code: $('#coupon_code').val().trim().toUpperCase(),
+            description: $('#description').val().trim(),
+            discount_type: discountType,
+            discount_value: discountType === 'free_shipping' ? 0 : $('#discount_value').val().trim(),
+            min_spend: $('#min_spend').val().trim(),
+            starts_at: $('#starts_at').val(),
+            expires_at: $('#expires_at').val(),
+            usage_limit: $('#usage_limit').val().trim(),
+            usage_limit_per_customer: $('#usage_limit_per_customer').val().trim(),
+            category_ids: $('#category_ids').val() || [],
+            brand_ids: $('#brand_ids').val() || [],
+            is_active: $('#is_active').is(':checked') ? 1 : 0
+        };
+    }
+
+    /**
+     * Validate coupon data before sending it
+     * @param {object} data - Result of collectFormData()
+     * @returns {object} Validation result with isValid and message properties
+     */
+    function validateCouponForm(data) {
+        if (!/^[A-Z0-9_-]{3,50}$/.test(data.coupon_code)) {
+            return { isValid: false, message: 'Coupon codes are 3-50 letters, numbers, dashes or underscores!' };
+        }
+
+        if (data.discount_type !== 'free_shipping') {
+            const value = Number(data.discount_value);
+            if (data.discount_value === '' || isNaN(value) || value <= 0) {
+                return { isValid: false, message: 'Discount value must be a positive number!' };
+            }
+            if (data.discount_type === 'percentage' && value > 100) {
+                return { isValid: false, message: 'A percentage discount cannot be more than 100%!' };
+            }
+        }
+
+        if (data.min_spend !== '' && (isNaN(Number(data.min_spend)) || Number(data.min_spend) < 0)) {
+            return { isValid: false, message: 'Minimum spend must be zero or a positive number!' };
+        }
+
+        if (data.starts_at && data.expires_at && data.expires_at <= data.starts_at) {
+            return { isValid: false, message: 'The expiry must be after the start date!' };
+        }
+
+        for (const limit of [data.usage_limit, data.usage_limit_per_customer]) {
+            if (limit !== '' && (!Number.isInteger(Number(limit)) || Number(limit) < 1)) {
+                return { isValid: false, message: 'Usage limits must be whole numbers of 1 or more!' };
+            }
+        }
+
+        return { isValid: true, message: 'Valid' };
+    }
+
+    /**
+     * Handle coupon form submission (add or update)
+     */
+    function handleSaveCoupon(e) {
+        e.preventDefault();
+
+        const data = collectFormData();
+        const validation = validateCouponForm(data);
+        if (!validation.isValid) {
+            showError('Validation Error', validation.message);
+            return;
+        }
+
+        const couponId = $('#coupon_id').val();
+        const request = couponId
+            ? api.coupons.update(Object.assign({ coupon_id: couponId }, data))
+            : api.coupons.add(data);
+
+        setSaveButtonLoading(true);
+
+        request
+            .then(function(response) {
+                setSaveButtonLoading(false);
+                showSuccess('Success', response.message);
+                resetForm();
+                loadCoupons(); // Refresh the list
+            })
+            .catch(function(error) {
+                setSaveButtonLoading(false);
+                showApiError(error);
+            });
+    }
+
+    /**
+     * Put the form back into add mode
+     */
+    function resetForm() {
+        $('#coupon-admin-form')[0].reset();
+        $('#coupon_id').val('');
+        $('#category_ids, #brand_ids').val([]);
+        $('#coupon-form-title').html('<i class="fa fa-plus-circle"></i> Add Coupon');
+        $('#save-text').html('<i class="fa fa-plus"></i> Add Coupon');
+        $('#cancel-edit').html('<i class="fa fa-times"></i> Clear');
+        setSaveButtonLoading(false);
+        updateDiscountFields();
+    }
+
+    /**
+     * Fill the form with a coupon for editing
+     * @param {number} couponId - The coupon ID to edit
+     */
+    function openEditForm(couponId) {
+        const coupon = couponsById[couponId];
+        if (!coupon) {
+            showError('Error', 'Coupon not found. Please refresh the list.');
+            return;
+        }
+
+        resetForm();
+        $('#coupon_id').val(coupon.coupon_id);
+        $('#coupon_code').val(coupon.coupon_code);
+        $('#description').val(coupon.description || '');
+        $('#discount_type').val(coupon.discount_type);
+        $('#discount_value').val(coupon.discount_type === 'free_shipping' ? '' : coupon.discount_value);
+        $('#min_spend').val(coupon.min_spend);
+        $('#starts_at').val(toDateTimeInput(coupon.starts_at));
+        $('#expires_at').val(toDateTimeInput(coupon.expires_at));
+        $('#usage_limit').val(coupon.usage_limit || '');
+        $('#usage_limit_per_customer').val(coupon.usage_limit_per_customer || '');
+        $('#is_active').prop('checked', parseInt(coupon.is_active, 10) === 1);
+        refreshSelectedScope();
+        updateDiscountFields();
+
+        $('#coupon-form-title').html('<i class="fa fa-edit"></i> Edit Coupon');
+        $('#save-text').html('<i class="fa fa-save"></i> Update Coupon');
+        $('#cancel-edit').html('<i class="fa fa-times"></i> Cancel');
+
+        $('html, body').animate({ scrollTop: $('#coupon-admin-form').offset().top - 120 }, 200);
+        $('#coupon_code').focus();
+    }
+
+    /**
+     * Load and display coupons
+     */
+    function loadCoupons() {
+        $('#coupons-loading').show();
+        $('#coupons-empty').hide();
+        $('#coupons-list').hide();
+
+        api.coupons.list()
+            .then(function(response) {
+                $('#coupons-loading').hide();
+
+                const coupons = (response.data && response.data.coupons) || [];
+                couponsById = {};
+                coupons.forEach(coupon => {
+                    couponsById[coupon.coupon_id] = coupon;
+                });
+
+                if (coupons.length > 0) {
+                    displayCoupons(coupons);
+                    $('#coupons-list').show();
+                } else {
+                    $('#coupons-empty').show();
+                }
+            })
+            .catch(function(error) {
+                $('#coupons-loading').hide();
+                $('#coupons-empty').show();
+
+                if (error.isTransportError()) {
+                    console.error('Error loading coupons:', error);
+                    showError('Connection Error', 'Failed to load coupons. Please check your connection and try again.');
+                } else {
+                    showError('Error', error.message || 'Failed to load coupons');
+                }
+            });
+    }
+
+    /**
+     * Display coupons as cards
+     * @param {Array} coupons - Array of coupon objects
+     */
+    function displayCoupons(coupons) {
+        const couponsHtml = coupons.map(coupon => `
+            <div class="brand-card" data-coupon-id="${coupon.coupon_id}">
+                <div class="brand-header">
+                    <h6 class="brand-name">${escapeHtml(coupon.coupon_code)}</h6>
+                    <span class="brand-id">${parseInt(coupon.is_active, 10) === 1 ? 'Active' : 'Inactive'}</span>
+                </div>
+                <div class="brand-meta">
+                    <small class="brand-date">
+                        <i class="fa fa-tag"></i>
+                        ${escapeHtml(describeDiscount(coupon))}
+                    </small>
+                    ${coupon.description ?
+                        `<small class="brand-date">
+                            <i class="fa fa-align-left"></i>
+                            ${escapeHtml(coupon.description)}
+                        </small>` : ''
+                    }
+                    <small class="brand-date">
+                        <i class="fa fa-calendar"></i>
+                        ${escapeHtml(describeDates(coupon))}
+                    </small>
+                    <small class="brand-date">
+                        <i class="fa fa-hashtag"></i>
+                        Used ${parseInt(coupon.times_used, 10)}${coupon.usage_limit ? ` / ${parseInt(coupon.usage_limit, 10)}` : ''} times${coupon.usage_limit_per_customer ? `, ${parseInt(coupon.usage_limit_per_customer, 10)} per customer` : ''}
+                    </small>
+                    <small class="brand-date">
+                        <i class="fa fa-filter"></i>
+                        ${escapeHtml(describeScope(coupon))}
+                    </small>
+                </div>
+                <div class="brand-actions">
+                    <button class="btn btn-primary btn-small edit-coupon"
+                            data-coupon-id="${coupon.coupon_id}">
+                        <i class="fa fa-edit"></i> Edit
+                    </button>
+                    <button class="btn btn-error btn-small delete-coupon"
+                            data-coupon-id="${coupon.coupon_id}"
+                            data-coupon-code="${escapeHtml(coupon.coupon_code)}">
+                        <i class="fa fa-trash"></i> Delete
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+        $('#coupons-list').html(couponsHtml);
+    }
+
+    /**
+     * Summarize the discount a coupon gives
+     * @param {object} coupon - Coupon object
+     * @returns {string} Discount summary
+     */
+    function describeDiscount(coupon) {
+        let summary;
+        if (coupon.discount_type === 'percentage') {
+            summary = `${parseFloat(coupon.discount_value)}% off`;
+        } else if (coupon.discount_type === 'fixed') {
+            summary = `${formatMoney(coupon.discount_value)} off`;
+        } else {
+            summary = 'Free shipping';
+        }
+
+        return parseFloat(coupon.min_spend) > 0
+            ? `${summary} on ${formatMoney(coupon.min_spend)} or more`
+            : summary;
+    }
+
+    /**
+     * Summarize when a coupon can be used
+     * @param {object} coupon - Coupon object
+     * @returns {string} Date range summary
+     */
+    function describeDates(coupon) {
+        if (coupon.starts_at && coupon.expires_at) {
+            return `${formatDate(coupon.starts_at)} to ${formatDate(coupon.expires_at)}`;
+        }
+        if (coupon.starts_at) {
+            return `From ${formatDate(coupon.starts_at)}`;
+        }
+        if (coupon.expires_at) {
+            return `Until ${formatDate(coupon.expires_at)}`;
+        }
+        return 'No end date';
+    }
+
+    /**
+     * Summarize which products a coupon discounts
+     * @param {object} coupon - Coupon object
+     * @returns {string} Scope summary
+     */
+    function describeScope(coupon) {
+        const names = coupon.category_ids.map(id => categoryNames[id] || `Category #${id}`)
+            .concat(coupon.brand_ids.map(id => brandNames[id] || `Brand #${id}`));
+
+        return names.length > 0 ? names.join(', ') : 'All products';
+    }
+
+    /**
+     * Open delete modal
+     * @param {number} couponId - The coupon ID to delete
+     * @param {string} couponCode - The coupon code to display
+     */
+    function openDeleteModal(couponId, couponCode) {
+        $('#delete_coupon_id').val(couponId);
+        $('#delete-coupon-code').text(couponCode);
+        $('#delete-modal').show();
+    }
+
+    /**
+     * Close delete modal
+     */
+    function closeDeleteModal() {
+        $('#delete-modal').hide();
+        setDeleteButtonLoading(false);
+    }
+
+    /**
+     * Handle delete confirmation
+     */
+    function handleDeleteCoupon(e) {
+        e.preventDefault();
+
+        const couponId = $('#delete_coupon_id').val();
+        if (!couponId) {
+            showError('Error', 'Invalid coupon selected for deletion');
+            return;
+        }
+
+        setDeleteButtonLoading(true);
+
+        api.coupons.remove({ coupon_id: couponId })
+            .then(function(response) {
+                setDeleteButtonLoading(false);
+                showSuccess('Success', response.message);
+                closeDeleteModal();
+                if ($('#coupon_id').val() === String(couponId)) {
+                    resetForm();
+                }
+                loadCoupons(); // Refresh the list
+            })
+            .catch(function(error) {
+                setDeleteButtonLoading(false);
+                showApiError(error);
+            });
+    }
+
+    /**
+     * Set loading state for the save button
+     * @param {boolean} isLoading - Whether to show loading state
+     */
+    function setSaveButtonLoading(isLoading) {
+        $('#save-text').toggle(!isLoading);
+        $('#save-loading').toggle(isLoading);
+        $('#save-coupon-btn').prop('disabled', isLoading);
+    }
+
+    /**
+     * Set loading state for delete button
+     * @param {boolean} isLoading - Whether to show loading state
+     */
+    function setDeleteButtonLoading(isLoading) {
+        $('#delete-text').toggle(!isLoading);
+        $('#delete-loading').toggle(isLoading);
+        $('#confirm-delete-btn').prop('disabled', isLoading);
+    }
+
+    /**
+     * Show success message using SweetAlert2
+     * @param {string} title - The title of the alert
+     * @param {string} message - The message to display
+     */
+    function showSuccess(title, message) {
+        Swal.fire({
+            icon: 'success',
+            title: title,
+            text: message,
+            timer: 3000,
+            showConfirmButton: false,
+            toast: true,
+            position: 'top-end'
+        });
+    }
+
+    /**
+     * Show error message using SweetAlert2
+     * @param {string} title - The title of the alert
+     * @param {string} message - The message to display
+     */
+    function showError(title, message) {
+        Swal.fire({
+            icon: 'error',
+            title: title,
+            text: message,
+            confirmButtonText: 'OK'
+        });
+    }
+
+    /**
+     * Show an ApiError from a failed request
+     * @param {ApiError} error - The error raised by the API client
+     */
+    function showApiError(error) {
+        if (error.isTransportError()) {
+            console.error('Request failed:', error);
+            showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
+        } else {
+            showError('Error', error.message);
+        }
+    }
+
+    /**
+     * Convert a MySQL DATETIME to a datetime-local input value
+     * @param {string|null} value - e.g. 2025-03-01 09:30:00
+     * @returns {string} e.g. 2025-03-01T09:30
+     */
+    function toDateTimeInput(value) {
+        return value ? value.replace(' ', 'T').substring(0, 16) : '';
+    }
+
+    /**
+     * Format a MySQL DATETIME for display
+     * @param {string} value - e.g. 2025-03-01 09:30:00
+     * @returns {string} Formatted date
+     */
+    function formatDate(value) {
+        const date = new Date(value.replace(' ', 'T'));
+        return isNaN(date.getTime()) ? value : date.toLocaleString();
+    }
+
+    /**
+     * Format an amount for display
+     * @param {string|number} amount - Amount to format
+     * @returns {string} Formatted amount
+     */
+    function formatMoney(amount) {
+        return '$' + parseFloat(amount || 0).toFixed(2);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - The text to escape
+     * @returns {string} Escaped HTML
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API for external access if needed
+    window.CouponManager = {
+        loadCoupons: loadCoupons,
+        validateCouponForm: validateCouponForm
+    };
+});
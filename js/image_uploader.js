@@ -0,0 +1,443 @@
+/**
+ * SubCart Image Uploader
+ * Drag-and-drop product image upload widget for the admin pages. Files are
+ * checked for type and size as soon as they are chosen, then sent one at a time
+ * in chunks through start/upload_image_chunk/complete_image_upload_action.php,
+ * each with its own progress bar.
+ *
+ * A chunk lost to a dropped connection is sent again a few times before the file
+ * is marked as failed. Retrying a failed file (or the browser coming back online)
+ * asks the server which chunks it already has and carries on from there. Cancelling
+ * a file removes its chunks from the server; chunks of uploads that are simply
+ * abandoned are removed by the server after a day.
+ *
+ * Markup (the input sits inside the drop zone label):
+ *     <label class="upload-dropzone" id="x-drop">
+ *         <input type="file" id="x" accept="image/*" multiple>
+ *         ...
+ *     </label>
+ *     <ul class="upload-queue" id="x-queue"></ul>
+ *
+ * Usage:
+ *     const uploader = ImageUploader.create({ dropZone: '#x-drop', input: '#x', queue: '#x-queue' });
+ *     uploader.upload(productId, index => index === 0 ? 'primary' : 'gallery')
+ *         .then(summary => ...);   // { uploaded: [...], failed: [...] }
+ *
+ * Load after js/api.js.
+ */
+
+(function(window, $) {
+    'use strict';
+
+    const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+    const MAX_FILE_SIZE = 5 * 1024 * 1024; // Matches IMAGE_UPLOAD_MAX_BYTES
+    const CHUNK_RETRIES = 3;
+    const RETRY_DELAY = 1000;
+
+    let nextEntryId = 1;
+
+    /**
+     * Escape text for HTML output
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return $('<div>').text(text).html();
+    }
+
+    /**
+     * Human readable file size
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Size such as "1.2 MB"
+     */
+    function formatSize(bytes) {
+        return bytes >= 1024 * 1024
+            ? (bytes / (1024 * 1024)).toFixed(1) + ' MB'
+            : Math.max(1, Math.round(bytes / 1024)) + ' KB';
+    }
+
+    /**
+     * Resolve after a pause
+     * @param {number} ms - Milliseconds to wait
+     * @returns {Promise} Resolves after the pause
+     */
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Why a file cannot be uploaded, if it cannot
+     * @param {File} file - Chosen file
+     * @returns {string|null} Message, or null when the file is acceptable
+     */
+    function checkFile(file) {
+        if (!ALLOWED_TYPES.includes(file.type)) {
+            return 'Only JPG, PNG, GIF and WebP images can be uploaded.';
+        }
+        if (file.size > MAX_FILE_SIZE) {
+            return 'This file is larger than 5MB.';
+        }
+        if (file.size === 0) {
+            return 'This file is empty.';
+        }
+        return null;
+    }
+
+    /**
+     * Create an upload widget
+     * @param {object} options - dropZone, input and queue selectors, maxFiles (default 12)
+     *                           and onUploaded(entry), called when a retried file finishes
+     * @returns {object} Uploader
+     */
+    function create(options) {
+        const api = window.SubCartAPI;
+        const $dropZone = $(options.dropZone);
+        const $input = $(options.input);
+        const $queue = $(options.queue);
+        const maxFiles = options.maxFiles || 12;
+        const onUploaded = options.onUploaded || function() {};
+
+        let entries = [];
+
+        $input.on('change', function() {
+            addFiles(Array.from(this.files));
+            this.value = '';
+        });
+
+        $dropZone
+            .on('dragover', function(e) {
+                e.preventDefault();
+                $dropZone.addClass('drag-over');
+            })
+            .on('dragleave', function() {
+                $dropZone.removeClass('drag-over');
+            })
+            .on('drop', function(e) {
+                e.preventDefault();
+                $dropZone.removeClass('drag-over');
+                addFiles(Array.from(e.originalEvent.dataTransfer.files));
+            });
+
+        $queue
+            .on('click', '.upload-cancel', function(e) {
+                e.preventDefault();
+                cancel(findEntry(this));
+            })
+            .on('click', '.upload-retry', function(e) {
+                e.preventDefault();
+                retry(findEntry(this));
+            });
+
+        // Files that failed while offline carry on once the connection is back
+        window.addEventListener('online', function() {
+            entries
+                .filter(entry => entry.state === 'failed' && entry.error && entry.error.isTransportError())
+                .forEach(retry);
+        });
+
+        /**
+         * Entry whose list item contains an element
+         * @param {Element} element - Element inside the item
+         * @returns {object} Entry
+         */
+        function findEntry(element) {
+            const id = $(element).closest('.upload-item').data('entry-id');
+            return entries.find(entry => entry.id === id);
+        }
+
+        /**
+         * Queue chosen or dropped files, rejecting those that cannot be uploaded
+         * @param {File[]} files - Files
+         */
+        function addFiles(files) {
+            files.forEach(function(file) {
+                const entry = {
+                    id: nextEntryId++,
+                    file: file,
+                    state: 'queued',
+                    uploadId: null,
+                    productId: null,
+                    attach: '',
+                    error: null,
+                    result: null,
+                    cancelled: false
+                };
+
+                const problem = entries.filter(e => e.state !== 'rejected').length >= maxFiles
+                    ? `At most ${maxFiles} images can be added at once.`
+                    : checkFile(file);
+
+                entries.push(entry);
+                $queue.append(renderEntry(entry));
+                setState(entry, problem ? 'rejected' : 'queued', problem || 'Ready to upload');
+            });
+        }
+
+        /**
+         * Render a queue item
+         * @param {object} entry - Entry
+         * @returns {jQuery} List item
+         */
+        function renderEntry(entry) {
+            const $item = $(`
+                <li class="upload-item">
+                    <div class="upload-item-info">
+                        <span class="upload-item-name">${escapeHtml(entry.file.name)}</span>
+                        <span class="upload-item-size">${formatSize(entry.file.size)}</span>
+                    </div>
+                    <div class="upload-progress"><div class="upload-progress-bar"></div></div>
+                    <div class="upload-item-footer">
+                        <small class="upload-item-status"></small>
+                        <button type="button" class="btn btn-secondary btn-small upload-retry">
+                            <i class="fa fa-redo"></i> Retry
+                        </button>
+                        <button type="button" class="btn btn-error btn-small upload-cancel" title="Cancel">
+                            <i class="fa fa-times"></i>
+                        </button>
+                    </div>
+                </li>
+            `);
+
+            $item.data('entry-id', entry.id);
+            entry.$item = $item;
+            return $item;
+        }
+
+        /**
+         * Update an entry's state and status line
+         * @param {object} entry - Entry
+         * @param {string} state - queued, uploading, done, failed or rejected
+         * @param {string} status - Status text
+         */
+        function setState(entry, state, status) {
+            entry.state = state;
+            entry.$item
+                .removeClass('queued uploading done failed rejected')
+                .addClass(state);
+            entry.$item.find('.upload-item-status').text(status);
+            entry.$item.find('.upload-retry').toggle(state === 'failed');
+            entry.$item.find('.upload-cancel').toggle(state !== 'done');
+        }
+
+        /**
+         * Show how much of a file has been sent
+         * @param {object} entry - Entry
+         * @param {number} fraction - 0 to 1
+         */
+        function setProgress(entry, fraction) {
+            const percent = Math.round(fraction * 100);
+            entry.$item.find('.upload-progress-bar').css('width', percent + '%');
+            entry.$item.find('.upload-item-status').text(`Uploading... ${percent}%`);
+        }
+
+        /**
+         * Stop an upload chain once its entry has been cancelled
+         * @param {object} entry - Entry
+         */
+        function ensureNotCancelled(entry) {
+            if (entry.cancelled) {
+                throw new window.ApiError('The upload was cancelled.', { kind: 'abort' });
+            }
+        }
+
+        /**
+         * Send one chunk, trying again after connection problems
+         * @param {object} entry - Entry
+         * @param {number} index - Chunk index
+         * @param {number} chunkSize - Chunk size in bytes
+         * @param {number} retriesLeft - Attempts left after this one
+         * @returns {Promise} Resolves once the server has the chunk
+         */
+        function sendChunk(entry, index, chunkSize, retriesLeft) {
+            const formData = new FormData();
+            formData.append('upload_id', entry.uploadId);
+            formData.append('chunk_index', index);
+            formData.append('chunk', entry.file.slice(index * chunkSize, (index + 1) * chunkSize), entry.file.name);
+
+            return api.products.uploadChunk(formData).catch(function(error) {
+                const retryable = error.isTransportError() || error.type === 'chunk_invalid' || error.type === 'chunk_write_failed';
+                if (retriesLeft <= 0 || entry.cancelled || !retryable) {
+                    throw error;
+                }
+
+                entry.$item.find('.upload-item-status').text('Connection problem, trying again...');
+                return delay(RETRY_DELAY * Math.pow(2, CHUNK_RETRIES - retriesLeft))
+                    .then(() => sendChunk(entry, index, chunkSize, retriesLeft - 1));
+            });
+        }
+
+        /**
+         * Send the chunks the server does not have yet, in order
+         * @param {object} entry - Entry
+         * @param {object} status - upload_id, chunk_size, total_chunks and received_chunks
+         * @returns {Promise} Resolves once every chunk has arrived
+         */
+        function sendMissingChunks(entry, status) {
+            const received = new Set(status.received_chunks);
+            let chain = Promise.resolve();
+
+            setProgress(entry, received.size / status.total_chunks);
+
+            for (let index = 0; index < status.total_chunks; index++) {
+                if (received.has(index)) {
+                    continue;
+                }
+
+                chain = chain
+                    .then(function() {
+                        ensureNotCancelled(entry);
+                        return sendChunk(entry, index, status.chunk_size, CHUNK_RETRIES);
+                    })
+                    .then(function() {
+                        received.add(index);
+                        setProgress(entry, received.size / status.total_chunks);
+                    });
+            }
+
+            return chain;
+        }
+
+        /**
+         * Upload (or resume) one file
+         * @param {object} entry - Entry with productId and attach set
+         * @returns {Promise<boolean>} Whether the file was stored
+         */
+        function uploadEntry(entry) {
+            entry.cancelled = false;
+            entry.error = null;
+            setState(entry, 'uploading', 'Starting...');
+
+            return api.products.startUpload({
+                product_id: entry.productId,
+                file_name: entry.file.name,
+                file_size: entry.file.size,
+                upload_id: entry.uploadId || ''
+            })
+                .then(function(response) {
+                    entry.uploadId = response.data.upload_id;
+                    return sendMissingChunks(entry, response.data);
+                })
+                .then(function() {
+                    ensureNotCancelled(entry);
+                    entry.$item.find('.upload-item-status').text('Processing...');
+                    return api.products.completeUpload({ upload_id: entry.uploadId, attach: entry.attach });
+                })
+                .then(function(response) {
+                    entry.result = response.data;
+                    entry.uploadId = null;
+                    setState(entry, 'done', 'Uploaded');
+                    return true;
+                })
+                .catch(function(error) {
+                    // cancel() has already taken the entry off the list
+                    if (!entry.cancelled) {
+                        entry.error = error;
+                        setState(entry, 'failed', error.message);
+                    }
+                    return false;
+                });
+        }
+
+        /**
+         * Upload every queued file, one after another
+         * @param {number} productId - Product the images belong to
+         * @param {function} attachFor - (index) => 'primary', 'gallery' or '' for each queued file
+         * @returns {Promise<object>} Resolves with the uploaded and failed entries
+         */
+        function upload(productId, attachFor) {
+            const queued = entries.filter(entry => entry.state === 'queued');
+
+            const chain = queued.reduce(function(previous, entry, index) {
+                entry.productId = productId;
+                entry.attach = attachFor ? attachFor(index) : '';
+                return previous.then(() => uploadEntry(entry));
+            }, Promise.resolve());
+
+            return chain.then(function() {
+                return {
+                    uploaded: queued.filter(entry => entry.state === 'done'),
+                    failed: queued.filter(entry => entry.state === 'failed')
+                };
+            });
+        }
+
+        /**
+         * Try a failed file again, carrying on from the chunks the server already has
+         * @param {object} entry - Entry
+         */
+        function retry(entry) {
+            if (!entry || entry.state !== 'failed') {
+                return;
+            }
+
+            uploadEntry(entry).then(function(stored) {
+                if (stored) {
+                    onUploaded(entry);
+                }
+            });
+        }
+
+        /**
+         * Stop a file's upload (or drop it from the queue) and remove its chunks from the server
+         * @param {object} entry - Entry
+         */
+        function cancel(entry) {
+            if (!entry) {
+                return;
+            }
+
+            entry.cancelled = true;
+            if (entry.uploadId) {
+                // Left for the server's abandoned-upload cleanup if this fails too
+                api.products.cancelUpload({ upload_id: entry.uploadId }).catch(function() {});
+            }
+
+            entries = entries.filter(e => e !== entry);
+            entry.$item.remove();
+        }
+
+        return {
+            upload: upload,
+
+            /**
+             * Whether any file is waiting to be uploaded
+             * @returns {boolean} True when files are queued
+             */
+            hasQueuedFiles: function() {
+                return entries.some(entry => entry.state === 'queued');
+            },
+
+            /**
+             * Whether a file is being uploaded right now
+             * @returns {boolean} True while uploading
+             */
+            isBusy: function() {
+                return entries.some(entry => entry.state === 'uploading');
+            },
+
+            /**
+             * Drop finished and rejected files from the list, keeping failed ones for retrying
+             */
+            clearFinished: function() {
+                entries
+                    .filter(entry => entry.state === 'done' || entry.state === 'rejected')
+                    .forEach(function(entry) {
+                        entries = entries.filter(e => e !== entry);
+                        entry.$item.remove();
+                    });
+            },
+
+            /**
+             * Cancel everything and empty the list
+             */
+            reset: function() {
+                entries.slice().forEach(cancel);
+            }
+        };
+    }
+
+    window.ImageUploader = {
+        create: create
+    };
+
+})(window, jQuery);
@@ -0,0 +1,63 @@
+/**
+ * Lazy Image Loading
+ * Loads img[data-src] images as they scroll into view, with a placeholder on error.
+ * Responsive images also carry data-srcset, on the <img> and on the <source>
+ * elements of the <picture> around it.
+ * Shared by the storefront pages; call setupImageLazyLoading() after rendering images.
+ */
+
+/**
+ * Image lazy loading with placeholder support
+ */
+function setupImageLazyLoading() {
+    const images = document.querySelectorAll('img[data-src]');
+    
+    if ('IntersectionObserver' in window) {
+        const imageObserver = new IntersectionObserver((entries, observer) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const img = entry.target;
+                    loadImage(img);
+                    observer.unobserve(img);
+                }
+            });
+        });
+        
+        images.forEach(img => imageObserver.observe(img));
+    } else {
+        // Fallback for older browsers
+        images.forEach(loadImage);
+    }
+}
+
+function loadImage(img) {
+    // Show loading placeholder
+    img.classList.add('loading');
+    
+    const sources = img.parentElement && img.parentElement.tagName === 'PICTURE'
+        ? img.parentElement.querySelectorAll('source[data-srcset]')
+        : [];
+    
+    img.addEventListener('load', function() {
+        img.classList.remove('loading');
+        img.classList.add('loaded');
+    }, { once: true });
+    
+    img.addEventListener('error', function() {
+        // Use placeholder image on error
+        sources.forEach(source => source.removeAttribute('srcset'));
+        img.removeAttribute('srcset');
+        img.src = 'images/placeholder-product.jpg';
+        img.classList.remove('loading');
+        img.classList.add('error');
+    }, { once: true });
+    
+    // The browser picks the rendition itself, so the element loads directly
+    sources.forEach(source => {
+        source.srcset = source.dataset.srcset;
+    });
+    if (img.dataset.srcset) {
+        img.srcset = img.dataset.srcset;
+    }
+    img.src = img.dataset.src;
+}
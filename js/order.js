@@ -0,0 +1,495 @@
+/**
+ * Orders JavaScript
+ * Handles the statistics, filters, paginated orders list and order detail
+ * modal (items, status history and status changes) on the admin orders page
+ */
+
+$(document).ready(function() {
+    const api = window.SubCartAPI;
+
+    const STATUS_LABELS = {
+        pending: 'Pending',
+        paid: 'Paid',
+        shipped: 'Shipped',
+        delivered: 'Delivered',
+        cancelled: 'Cancelled',
+        refunded: 'Refunded'
+    };
+
+    // Label and button style for moving an order to each status
+    const TRANSITION_ACTIONS = {
+        paid: { label: 'Mark as Paid', icon: 'fa-check', style: 'btn-primary' },
+        shipped: { label: 'Mark as Shipped', icon: 'fa-truck', style: 'btn-primary' },
+        delivered: { label: 'Mark as Delivered', icon: 'fa-box-open', style: 'btn-primary' },
+        cancelled: { label: 'Cancel Order', icon: 'fa-ban', style: 'btn-error' },
+        refunded: { label: 'Refund Order', icon: 'fa-undo', style: 'btn-error' }
+    };
+
+    let currentPage = 1;
+    let totalPages = 1;
+    let currentFilters = {};
+
+    // Initialize the page
+    initializePage();
+
+    /**
+     * Initialize page functionality
+     */
+    function initializePage() {
+        loadStatistics();
+        loadOrders(1);
+        bindEventHandlers();
+    }
+
+    /**
+     * Bind all event handlers
+     */
+    function bindEventHandlers() {
+        $('#order-filter-form').submit(function(e) {
+            e.preventDefault();
+            applyFilters();
+        });
+        $('#clear-filters').click(function(e) {
+            e.preventDefault();
+            $('#order-filter-form')[0].reset();
+            applyFilters();
+        });
+
+        $('#refresh-orders').click(function(e) {
+            e.preventDefault();
+            loadStatistics();
+            loadOrders(currentPage);
+        });
+
+        $('#orders-prev-btn').click(function(e) {
+            e.preventDefault();
+            if (currentPage > 1) {
+                loadOrders(currentPage - 1);
+            }
+        });
+        $('#orders-next-btn').click(function(e) {
+            e.preventDefault();
+            if (currentPage < totalPages) {
+                loadOrders(currentPage + 1);
+            }
+        });
+
+        $('#orders-list').on('click', '.view-order', function(e) {
+            e.preventDefault();
+            openOrderModal($(this).data('order-id'));
+        });
+
+        $('#status-transition-buttons').on('click', '.change-status', function(e) {
+            e.preventDefault();
+            handleStatusChange($(this).data('status'));
+        });
+
+        $('#close-order-modal').click(closeOrderModal);
+
+        // Close modal when clicking outside
+        $(window).click(function(e) {
+            if ($(e.target).hasClass('modal')) {
+                closeOrderModal();
+            }
+        });
+    }
+
+    /**
+     * Read the filter form and reload the first page
+     */
+    function applyFilters() {
+        const dateFrom = $('#filter_date_from').val();
+        const dateTo = $('#filter_date_to').val();
+
+        if (dateFrom && dateTo && dateFrom > dateTo) {
+            showError('Validation Error', 'The "From" date must be on or before the "To" date!');
+            return;
+        }
+
+        currentFilters = {
+            status: $('#filter_status').val(),
+            customer: $('#filter_customer').val().trim(),
+            date_from: dateFrom,
+            date_to: dateTo
+        };
+        loadOrders(1);
+    }
+
+    /**
+     * Load and display the order counts for the last 30 days
+     */
+    function loadStatistics() {
+        api.adminOrders.statistics()
+            .then(function(response) {
+                const stats = response.data;
+                const cards = [
+                    { label: 'Orders', value: stats.total_orders, icon: 'fa-clipboard-list' },
+                    { label: 'Revenue', value: formatMoney(stats.total_revenue), icon: 'fa-dollar-sign' }
+                ].concat(Object.keys(STATUS_LABELS).map(status => ({
+                    label: STATUS_LABELS[status],
+                    value: stats[status + '_orders'],
+                    icon: 'fa-flag'
+                })));
+
+                $('#order-stats').html(cards.map(card => `
+                    <div class="brand-card">
+                        <div class="brand-header">
+                            <h6 class="brand-name">${escapeHtml(String(card.value || 0))}</h6>
+                        </div>
+                        <div class="brand-meta">
+                            <small class="brand-date">
+                                <i class="fa ${card.icon}"></i> ${escapeHtml(card.label)}
+                            </small>
+                        </div>
+                    </div>
+                `).join(''));
+            })
+            .catch(function(error) {
+                console.error('Error loading order statistics:', error);
+                $('#order-stats').html('<p>Statistics are unavailable right now.</p>');
+            });
+    }
+
+    /**
+     * Load and display a page of orders
+     * @param {number} page - Page number to load
+     */
+    function loadOrders(page) {
+        $('#orders-loading').show();
+        $('#orders-empty').hide();
+        $('#orders-list').hide();
+        $('#orders-pagination').hide();
+
+        api.adminOrders.list(currentFilters, page)
+            .then(function(response) {
+                $('#orders-loading').hide();
+
+                const data = response.data;
+                currentPage = data.page;
+                totalPages = data.total_pages;
+                $('#orders-count').text(`(${data.total})`);
+
+                if (data.orders.length > 0) {
+                    displayOrders(data.orders);
+                    $('#orders-list').show();
+                    updatePagination();
+                } else {
+                    $('#orders-empty').show();
+                }
+            })
+            .catch(function(error) {
+                $('#orders-loading').hide();
+                $('#orders-empty').show();
+
+                if (error.isTransportError()) {
+                    console.error('Error loading orders:', error);
+                    showError('Connection Error', 'Failed to load orders. Please check your connection and try again.');
+                } else {
+                    showError('Error', error.message || 'Failed to load orders');
+                }
+            });
+    }
+
+    /**
+     * Display orders as cards
+     * @param {Array} orders - Array of order objects
+     */
+    function displayOrders(orders) {
+        const ordersHtml = orders.map(order => `
+            <div class="brand-card" data-order-id="${order.order_id}">
+                <div class="brand-header">
+                    <h6 class="brand-name">#${escapeHtml(String(order.invoice_no))}</h6>
+                    <span class="brand-id">${escapeHtml(STATUS_LABELS[order.order_status] || order.order_status)}</span>
+                </div>
+                <div class="brand-meta">
+                    <small class="brand-date">
+                        <i class="fa fa-user"></i>
+                        ${escapeHtml(order.customer_name || 'Unknown customer')} &middot; ${escapeHtml(order.customer_email || '')}
+                    </small>
+                    <small class="brand-date">
+                        <i class="fa fa-calendar"></i>
+                        ${escapeHtml(order.order_date)}
+                    </small>
+                    <small class="brand-date">
+                        <i class="fa fa-dollar-sign"></i>
+                        ${formatMoney(order.total_amount)} &middot; ${order.total_items} item${order.total_items === 1 ? '' : 's'}
+                    </small>
+                </div>
+                <div class="brand-actions">
+                    <button class="btn btn-primary btn-small view-order"
+                            data-order-id="${order.order_id}">
+                        <i class="fa fa-eye"></i> View
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+        $('#orders-list').html(ordersHtml);
+    }
+
+    /**
+     * Show the pager when there is more than one page
+     */
+    function updatePagination() {
+        if (totalPages <= 1) {
+            $('#orders-pagination').hide();
+            return;
+        }
+
+        $('#orders-page-info').text(`Page ${currentPage} of ${totalPages}`);
+        $('#orders-prev-btn').prop('disabled', currentPage <= 1);
+        $('#orders-next-btn').prop('disabled', currentPage >= totalPages);
+        $('#orders-pagination').css('display', 'flex');
+    }
+
+    /**
+     * Open the order modal and load the order into it
+     * @param {number} orderId - The order ID to show
+     */
+    function openOrderModal(orderId) {
+        $('#order-modal-title').text('');
+        $('#order-modal-content').hide().empty();
+        $('#order-status-form').hide();
+        $('#order-status-final').hide();
+        $('#order-modal-loading').show();
+        $('#order-modal').show();
+
+        api.adminOrders.get(orderId)
+            .then(function(response) {
+                $('#order-modal-loading').hide();
+                displayOrder(response.data);
+            })
+            .catch(function(error) {
+                closeOrderModal();
+                showApiError(error);
+            });
+    }
+
+    /**
+     * Close the order modal
+     */
+    function closeOrderModal() {
+        $('#order-modal').hide();
+        $('#status_note').val('');
+    }
+
+    /**
+     * Fill the order modal
+     * @param {object} order - Order with items, history and allowed_transitions
+     */
+    function displayOrder(order) {
+        $('#order-modal-title').text('#' + order.invoice_no);
+        $('#status_order_id').val(order.order_id);
+        $('#status_current_status').val(order.order_status);
+
+        const itemsHtml = order.items.map(item => `
+            <li>
+                ${escapeHtml(item.product_title)}${item.variant_label ? ` (${escapeHtml(item.variant_label)})` : ''} &times; ${item.quantity}
+                &mdash; ${formatMoney(item.subtotal)}
+            </li>
+        `).join('');
+
+        const historyHtml = order.history.map(entry => `
+            <li>
+                <strong>${escapeHtml(entry.from_status ? STATUS_LABELS[entry.from_status] || entry.from_status : 'New')}
+                &rarr; ${escapeHtml(STATUS_LABELS[entry.to_status] || entry.to_status)}</strong>
+                <br><small>
+                    ${escapeHtml(entry.changed_at)} &middot; ${escapeHtml(entry.changed_by_name || (entry.changed_by ? 'Admin #' + entry.changed_by : 'System'))}
+                    ${entry.note ? '&middot; ' + escapeHtml(entry.note) : ''}
+                </small>
+            </li>
+        `).join('');
+
+        $('#order-modal-content').html(`
+            <p>
+                <strong>Status:</strong> ${escapeHtml(STATUS_LABELS[order.order_status] || order.order_status)}<br>
+                <strong>Customer:</strong> ${escapeHtml(order.customer_name || 'Unknown customer')} (${escapeHtml(order.customer_email || '')})<br>
+                <strong>Placed:</strong> ${escapeHtml(order.order_date)}<br>
+                <strong>Shipping:</strong> ${escapeHtml(order.shipping_method_name || 'None')} &middot; ${formatMoney(order.shipping_cost)}<br>
+                ${order.coupon_code ? `<strong>Coupon:</strong> ${escapeHtml(order.coupon_code)} (-${formatMoney(order.discount_amount)})<br>` : ''}
+                <strong>Total paid:</strong> ${formatMoney(order.total_amount)} ${escapeHtml(order.currency)}
+            </p>
+            <h5><i class="fa fa-box"></i> Items</h5>
+            <ul>${itemsHtml}</ul>
+            <h5><i class="fa fa-history"></i> Status History</h5>
+            <ul>${historyHtml || '<li>No status changes recorded.</li>'}</ul>
+        `).show();
+
+        displayTransitions(order.allowed_transitions);
+    }
+
+    /**
+     * Show one button per status the order can move to next
+     * @param {Array} transitions - Allowed next statuses
+     */
+    function displayTransitions(transitions) {
+        if (transitions.length === 0) {
+            $('#order-status-form').hide();
+            $('#order-status-final').show();
+            return;
+        }
+
+        $('#status-transition-buttons').html(transitions.map(status => {
+            const action = TRANSITION_ACTIONS[status];
+            return `
+                <button type="button" class="btn ${action.style} change-status" data-status="${status}">
+                    <span class="status-text"><i class="fa ${action.icon}"></i> ${action.label}</span>
+                    <span class="status-loading" style="display: none;">
+                        <i class="fa fa-spinner fa-spin"></i> Saving...
+                    </span>
+                </button>
+            `;
+        }).join(''));
+
+        $('#order-status-final').hide();
+        $('#order-status-form').show();
+    }
+
+    /**
+     * Move the open order to a new status, confirming cancellations and refunds
+     * @param {string} status - Requested status
+     */
+    function handleStatusChange(status) {
+        const orderId = $('#status_order_id').val();
+        const currentStatus = $('#status_current_status').val();
+        const note = $('#status_note').val().trim();
+
+        if (!orderId) {
+            showError('Error', 'Invalid order selected');
+            return;
+        }
+
+        if (note.length > 255) {
+            showError('Validation Error', 'Note must be 255 characters or less!');
+            return;
+        }
+
+        const confirmation = status === 'refunded'
+            ? 'The customer\'s payment will be refunded. This cannot be undone.'
+            : status === 'cancelled'
+                ? (currentStatus === 'pending'
+                    ? 'The order will be cancelled. This cannot be undone.'
+                    : 'The order will be cancelled and the customer\'s payment refunded. This cannot be undone.')
+                : null;
+
+        const confirmed = confirmation
+            ? Swal.fire({
+                icon: 'warning',
+                title: TRANSITION_ACTIONS[status].label + '?',
+                text: confirmation,
+                showCancelButton: true,
+                confirmButtonText: TRANSITION_ACTIONS[status].label,
+                cancelButtonText: 'Keep Order'
+            }).then(result => result.isConfirmed)
+            : Promise.resolve(true);
+
+        confirmed.then(function(proceed) {
+            if (!proceed) {
+                return;
+            }
+
+            setStatusButtonsLoading(status, true);
+
+            api.adminOrders.updateStatus(orderId, status, note)
+                .then(function(response) {
+                    setStatusButtonsLoading(status, false);
+                    showSuccess('Success', response.message);
+                    $('#status_note').val('');
+                    openOrderModal(orderId);
+                    loadStatistics();
+                    loadOrders(currentPage); // Refresh the list
+                })
+                .catch(function(error) {
+                    setStatusButtonsLoading(status, false);
+                    showApiError(error);
+
+                    // Someone else moved the order on; show where it is now
+                    if (['invalid_transition', 'status_conflict'].includes(error.type)) {
+                        openOrderModal(orderId);
+                    }
+                });
+        });
+    }
+
+    /**
+     * Set loading state for the status buttons
+     * @param {string} status - Status whose button shows the spinner
+     * @param {boolean} isLoading - Whether to show loading state
+     */
+    function setStatusButtonsLoading(status, isLoading) {
+        const button = $(`#status-transition-buttons .change-status[data-status="${status}"]`);
+        button.find('.status-text').toggle(!isLoading);
+        button.find('.status-loading').toggle(isLoading);
+        $('#status-transition-buttons .change-status').prop('disabled', isLoading);
+    }
+
+    /**
+     * Show success message using SweetAlert2
+     * @param {string} title - The title of the alert
+     * @param {string} message - The message to display
+     */
+    function showSuccess(title, message) {
+        Swal.fire({
+            icon: 'success',
+            title: title,
+            text: message,
+            timer: 3000,
+            showConfirmButton: false,
+            toast: true,
+            position: 'top-end'
+        });
+    }
+
+    /**
+     * Show error message using SweetAlert2
+     * @param {string} title - The title of the alert
+     * @param {string} message - The message to display
+     */
+    function showError(title, message) {
+        Swal.fire({
+            icon: 'error',
+            title: title,
+            text: message,
+            confirmButtonText: 'OK'
+        });
+    }
+
+    /**
+     * Show an ApiError from a failed request
+     * @param {ApiError} error - The error raised by the API client
+     */
+    function showApiError(error) {
+        if (error.isTransportError()) {
+            console.error('Request failed:', error);
+            showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
+        } else {
+            showError('Error', error.message);
+        }
+    }
+
+    /**
+     * Format an amount for display
+     * @param {string|number} amount - Amount to format
+     * @returns {string} Formatted amount
+     */
+    function formatMoney(amount) {
+        return '$' + parseFloat(amount || 0).toFixed(2);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - The text to escape
+     * @returns {string} Escaped HTML
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API for external access if needed
+    window.OrderManager = {
+        loadOrders: loadOrders,
+        openOrderModal: openOrderModal
+    };
+});
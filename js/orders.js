@@ -0,0 +1,416 @@
+/**
+ * Order History JavaScript
+ * Lists the customer's invoices a page at a time, shows an order's line items
+ * and reorders them through the cart store (add_to_cart_action.php)
+ *
+ * The page and the open order are kept in the query string (?page=N, ?order_id=N)
+ * so the back button and shared links land on the same view.
+ */
+
+$(document).ready(function() {
+    const api = window.SubCartAPI;
+    const $page = $('#orders-page');
+
+    // Order history markup is only present on orders.php
+    if ($page.length === 0) {
+        return;
+    }
+
+    const STATUS_LABELS = {
+        pending: 'Pending',
+        paid: 'Paid',
+        shipped: 'Shipped',
+        delivered: 'Delivered',
+        cancelled: 'Cancelled',
+        refunded: 'Refunded'
+    };
+
+    let currentPage = parseInt($page.data('initial-page'), 10) || 1;
+    let totalPages = 1;
+
+    // Order currently shown in the detail view, used by reorder
+    let currentOrder = null;
+
+    bindEventHandlers();
+    showView(parseInt($page.data('initial-order-id'), 10) || null, currentPage, 'replace');
+
+    /**
+     * Bind all event handlers
+     */
+    function bindEventHandlers() {
+        $('#orders-list').on('click', '.view-order', function(e) {
+            e.preventDefault();
+            showView($(this).data('order-id'), currentPage, 'push');
+        });
+
+        $('#orders-prev-btn').click(function(e) {
+            e.preventDefault();
+            if (currentPage > 1) {
+                showView(null, currentPage - 1, 'push');
+            }
+        });
+
+        $('#orders-next-btn').click(function(e) {
+            e.preventDefault();
+            if (currentPage < totalPages) {
+                showView(null, currentPage + 1, 'push');
+            }
+        });
+
+        $('#back-to-orders-btn').click(function(e) {
+            e.preventDefault();
+            showView(null, currentPage, 'push');
+        });
+
+        $('#order-detail').on('click', '#reorder-btn', function(e) {
+            e.preventDefault();
+            reorder();
+        });
+
+        $(window).on('popstate', function(e) {
+            const state = e.originalEvent.state || {};
+            showView(state.orderId || null, state.page || 1, null);
+        });
+    }
+
+    /**
+     * Show the order list or one order, and record the view in the browser history
+     * @param {number|null} orderId - Order to open, or null for the list
+     * @param {number} page - List page
+     * @param {string|null} historyMode - 'push', 'replace' or null to leave history alone
+     */
+    function showView(orderId, page, historyMode) {
+        currentPage = page;
+
+        if (historyMode) {
+            const query = orderId ? `?order_id=${orderId}` : (page > 1 ? `?page=${page}` : '');
+            const state = { orderId: orderId, page: page };
+            const url = window.location.pathname + query;
+
+            if (historyMode === 'push') {
+                window.history.pushState(state, '', url);
+            } else {
+                window.history.replaceState(state, '', url);
+            }
+        }
+
+        if (orderId) {
+            loadOrder(orderId);
+        } else {
+            loadOrders(page);
+        }
+    }
+
+    /**
+     * Load and display one page of orders
+     * @param {number} page - Page number (1-based)
+     */
+    function loadOrders(page) {
+        currentOrder = null;
+        $('#order-detail').hide();
+        $('#orders-history').show();
+        $('#orders-loading').show();
+        $('#orders-empty, #orders-list, #orders-pagination').hide();
+
+        api.orders.list(page)
+            .then(function(response) {
+                const data = response.data;
+                $('#orders-loading').hide();
+
+                currentPage = data.page;
+                totalPages = data.total_pages;
+
+                // A page past the end (e.g. an old link) falls back to the last page
+                if (data.orders.length === 0 && data.total > 0) {
+                    showView(null, totalPages, 'replace');
+                    return;
+                }
+
+                if (data.orders.length === 0) {
+                    $('#orders-empty').show();
+                    return;
+                }
+
+                $('#orders-list').html(data.orders.map(buildOrderRow).join('')).show();
+                renderPagination(data);
+            })
+            .catch(function(error) {
+                $('#orders-loading').hide();
+                handleError(error, 'Failed to load your orders');
+            });
+    }
+
+    /**
+     * Build an order history row
+     * @param {object} order - Order summary from fetch_customer_orders_action.php
+     * @returns {string} Row HTML
+     */
+    function buildOrderRow(order) {
+        return `
+            <div class="card" style="margin-bottom: var(--spacing-md); padding: var(--spacing-lg);">
+                <div style="display: grid; grid-template-columns: 1fr auto auto; gap: var(--spacing-lg); align-items: center;">
+                    <div>
+                        <h3 style="color: var(--color-primary-green); margin-bottom: var(--spacing-xs); font-size: var(--font-size-h4);">
+                            Invoice #${escapeCartHtml(String(order.invoice_no))}
+                        </h3>
+                        <p style="color: var(--color-medium-gray); font-size: var(--font-size-small); margin: 0;">
+                            ${formatOrderDate(order.order_date)} &middot; ${order.total_items} item${order.total_items === 1 ? '' : 's'}
+                        </p>
+                    </div>
+                    <div style="text-align: right;">
+                        ${buildStatusBadge(order.order_status)}
+                        <p style="color: var(--color-primary-green); font-size: var(--font-size-h4); font-weight: var(--font-weight-semibold); margin: var(--spacing-xs) 0 0;">
+                            ${formatPrice(order.total_amount)} ${escapeCartHtml(order.currency)}
+                        </p>
+                    </div>
+                    <button class="btn btn-secondary btn-small view-order" data-order-id="${order.order_id}">
+                        <i class="fas fa-eye"></i> View
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the page controls for the order list
+     * @param {object} data - List response data ({page, total_pages, total})
+     */
+    function renderPagination(data) {
+        if (data.total_pages <= 1) {
+            $('#orders-pagination').hide();
+            return;
+        }
+
+        $('#orders-page-info').text(`Page ${data.page} of ${data.total_pages} (${data.total} orders)`);
+        $('#orders-prev-btn').prop('disabled', data.page <= 1);
+        $('#orders-next-btn').prop('disabled', data.page >= data.total_pages);
+        $('#orders-pagination').css('display', 'flex');
+    }
+
+    /**
+     * Load and display one order with its line items
+     * @param {number} orderId - Order ID
+     */
+    function loadOrder(orderId) {
+        $('#orders-history').hide();
+        $('#order-detail').show();
+        $('#order-detail-content').html(`
+            <div style="text-align: center; padding: var(--spacing-2xl); color: var(--color-medium-gray);">
+                <i class="fas fa-spinner fa-spin"></i> Loading order...
+            </div>
+        `);
+
+        api.orders.get(orderId)
+            .then(function(response) {
+                currentOrder = response.data;
+                $('#order-detail-content').html(buildOrderDetail(currentOrder));
+            })
+            .catch(function(error) {
+                currentOrder = null;
+                $('#order-detail-content').empty();
+                handleError(error, 'Failed to load this order');
+            });
+    }
+
+    /**
+     * Build the order detail view
+     * @param {object} order - Order from fetch_customer_order_action.php
+     * @returns {string} Detail HTML
+     */
+    function buildOrderDetail(order) {
+        const itemsSubtotal = order.items.reduce((sum, item) => sum + item.subtotal, 0);
+
+        const itemsHtml = order.items.map(item => {
+            const details = [item.cat_name, item.brand_name].filter(Boolean).map(escapeCartHtml).join(' • ');
+            const image = item.product_image
+                ? `<img src="${escapeCartHtml(item.product_image)}" alt="${escapeCartHtml(item.product_title)}" style="width: 100%; height: 100%; object-fit: cover;">`
+                : `<div style="width: 100%; height: 100%; display: flex; align-items: center; justify-content: center; color: var(--color-medium-gray);">
+                       <i class="fas fa-image"></i>
+                   </div>`;
+
+            return `
+                <div style="display: grid; grid-template-columns: 64px 1fr auto; gap: var(--spacing-md); align-items: center; padding: var(--spacing-md) 0; border-bottom: 1px solid var(--color-border-gray);">
+                    <div style="width: 64px; height: 64px; border-radius: var(--border-radius-md); overflow: hidden; background-color: var(--color-light-gray);">
+                        ${image}
+                    </div>
+                    <div>
+                        <a href="single_product.php?id=${item.product_id}" style="color: var(--color-primary-green); font-weight: var(--font-weight-semibold);">
+                            ${escapeCartHtml(item.product_title)}
+                        </a>
+                        ${item.variant_label ? `<p style="color: var(--color-dark-gray); font-size: var(--font-size-small); margin: 0;">${escapeCartHtml(item.variant_label)}</p>` : ''}
+                        ${details ? `<p style="color: var(--color-medium-gray); font-size: var(--font-size-small); margin: 0;">${details}</p>` : ''}
+                        <p style="color: var(--color-medium-gray); font-size: var(--font-size-small); margin: 0;">
+                            ${item.quantity} × ${formatPrice(item.price)}
+                        </p>
+                    </div>
+                    <span style="color: var(--color-dark-gray); font-weight: var(--font-weight-medium);">
+                        ${formatPrice(item.subtotal)}
+                    </span>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="card card-elevated" style="padding: var(--spacing-xl);">
+                <div style="display: flex; justify-content: space-between; align-items: flex-start; gap: var(--spacing-lg); margin-bottom: var(--spacing-lg);">
+                    <div>
+                        <h2 style="color: var(--color-primary-green); margin-bottom: var(--spacing-xs);">
+                            Invoice #${escapeCartHtml(String(order.invoice_no))}
+                        </h2>
+                        <p style="color: var(--color-medium-gray); margin: 0;">
+                            Order #${order.order_id} &middot; Placed ${formatOrderDate(order.order_date)}
+                        </p>
+                    </div>
+                    ${buildStatusBadge(order.order_status)}
+                </div>
+
+                <h4 style="color: var(--color-dark-gray); font-size: var(--font-size-body); margin-bottom: var(--spacing-sm);">
+                    <i class="fas fa-box"></i> Items (${order.total_items})
+                </h4>
+                ${itemsHtml || '<p style="color: var(--color-medium-gray);">The products in this order are no longer available.</p>'}
+
+                <div style="max-width: 360px; margin: var(--spacing-lg) 0 0 auto;">
+                    <div style="display: flex; justify-content: space-between; margin-bottom: var(--spacing-sm);">
+                        <span style="color: var(--color-dark-gray);">Items:</span>
+                        <span style="color: var(--color-dark-gray);">${formatPrice(itemsSubtotal)}</span>
+                    </div>
+                    ${order.discount_amount > 0 ? `
+                        <div style="display: flex; justify-content: space-between; margin-bottom: var(--spacing-sm);">
+                            <span style="color: var(--color-dark-gray);">Discount${order.coupon_code ? ` (${escapeCartHtml(order.coupon_code)})` : ''}:</span>
+                            <span style="color: var(--color-success);">-${formatPrice(order.discount_amount)}</span>
+                        </div>` : ''}
+                    <div style="display: flex; justify-content: space-between; margin-bottom: var(--spacing-sm);">
+                        <span style="color: var(--color-dark-gray);">Shipping${order.shipping_method_name ? ` (${escapeCartHtml(order.shipping_method_name)})` : ''}:</span>
+                        <span style="color: var(--color-dark-gray);">${order.shipping_cost > 0 ? formatPrice(order.shipping_cost) : 'FREE'}</span>
+                    </div>
+                    <div style="display: flex; justify-content: space-between; border-top: 2px solid var(--color-primary-green); padding-top: var(--spacing-sm);">
+                        <span style="color: var(--color-dark-gray); font-weight: var(--font-weight-semibold);">Total paid:</span>
+                        <span style="color: var(--color-primary-green); font-weight: var(--font-weight-semibold);">
+                            ${formatPrice(order.total_amount)} ${escapeCartHtml(order.currency)}
+                        </span>
+                    </div>
+                    <small style="display: block; color: var(--color-medium-gray); margin-top: var(--spacing-xs);">Item prices show today's price; the total is what you paid, including tax</small>
+                </div>
+
+                ${order.items.length > 0 ? `
+                    <div style="display: flex; justify-content: flex-end; margin-top: var(--spacing-xl);">
+                        <button class="btn btn-primary" id="reorder-btn">
+                            <i class="fas fa-redo"></i> Reorder These Items
+                        </button>
+                    </div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Put the open order's items back in the cart
+     * Items are added one at a time so each failure (e.g. a product that is no
+     * longer sold) can be reported without losing the rest.
+     */
+    function reorder() {
+        if (!currentOrder || currentOrder.items.length === 0) {
+            return;
+        }
+
+        const $button = $('#reorder-btn');
+        $button.prop('disabled', true).html('<i class="fas fa-spinner fa-spin"></i> Adding to cart...');
+
+        const failed = [];
+        let added = 0;
+
+        const chain = currentOrder.items.reduce(function(previous, item) {
+            return previous.then(function() {
+                return window.CartStore.addItem(item.product_id, item.quantity, item.variant_id)
+                    .then(function() {
+                        added++;
+                    })
+                    .catch(function(error) {
+                        console.error('Reorder item error:', error);
+                        failed.push(item.variant_label ? `${item.product_title} (${item.variant_label})` : item.product_title);
+                    });
+            });
+        }, Promise.resolve());
+
+        chain.then(function() {
+            $button.prop('disabled', false).html('<i class="fas fa-redo"></i> Reorder These Items');
+
+            if (added === 0) {
+                showOrdersMessage('error', 'None of these items could be added to your cart.');
+                return;
+            }
+
+            const skipped = failed.length > 0
+                ? ` Could not add: ${failed.map(escapeCartHtml).join(', ')}.`
+                : '';
+            showOrdersMessage(failed.length > 0 ? 'error' : 'success',
+                `${added} item${added === 1 ? '' : 's'} added to your cart.${skipped} <a href="cart.php">View cart</a>`);
+        });
+    }
+
+    /**
+     * Build a coloured badge for an order status
+     * @param {string} status - Order status
+     * @returns {string} Badge HTML
+     */
+    function buildStatusBadge(status) {
+        const colors = {
+            delivered: 'var(--color-success)',
+            cancelled: 'var(--color-error)',
+            refunded: 'var(--color-error)'
+        };
+        const color = colors[status] || 'var(--color-primary-green)';
+
+        return `<span style="display: inline-block; padding: 2px 10px; border-radius: 999px; border: 1px solid ${color}; color: ${color}; font-size: var(--font-size-small); font-weight: var(--font-weight-medium);">
+                    ${escapeCartHtml(STATUS_LABELS[status] || status)}
+                </span>`;
+    }
+
+    /**
+     * Format an order date for display
+     * @param {string} value - Date from the orders table (YYYY-MM-DD)
+     * @returns {string} Formatted date
+     */
+    function formatOrderDate(value) {
+        const date = new Date(String(value).replace(' ', 'T'));
+        return isNaN(date.getTime())
+            ? escapeCartHtml(String(value))
+            : date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Report a failed request, sending logged-out customers to the login page
+     * @param {ApiError} error - The error raised by the API client
+     * @param {string} fallback - Message when the server gave none
+     */
+    function handleError(error, fallback) {
+        if (error.requiresAction === 'redirect_to_login') {
+            window.location.href = 'login/login.php?redirect=orders.php';
+            return;
+        }
+
+        if (error.isTransportError()) {
+            console.error('Order history error:', error);
+            showOrdersMessage('error', 'Network error occurred. Please try again.');
+        } else {
+            showOrdersMessage('error', escapeCartHtml(error.message || fallback));
+        }
+    }
+
+    /**
+     * Show success or error message (message may contain trusted markup)
+     */
+    function showOrdersMessage(type, message) {
+        const messageContainer = $('#orders-message');
+        const iconClass = type === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle';
+        const messageClass = type === 'success' ? 'success' : 'error';
+
+        messageContainer.removeClass('success error')
+                       .addClass(`validation-message ${messageClass}`)
+                       .html(`<i class="fas ${iconClass}"></i> ${message}`)
+                       .show();
+
+        $('html, body').animate({
+            scrollTop: messageContainer.offset().top - 20
+        }, 300);
+    }
+});
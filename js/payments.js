@@ -0,0 +1,221 @@
+/**
+ * SubCart Payments
+ * Client side of the payment provider interface in classes/payment_provider_class.php.
+ * A checkout payment moves through the same steps on both sides:
+ *
+ *     initialize  -> the server creates the payment for a checkout quote and
+ *                    returns the provider's client data (amount is the quote total)
+ *     authorize   -> the provider's form details are submitted
+ *     redirect    -> some payments send the shopper to the gateway and back to
+ *                    checkout.php?payment_return=1&provider=...&reference=...
+ *     webhook     -> the gateway reports the outcome asynchronously; the
+ *                    browser polls payment_status_action.php until it lands
+ *     confirm     -> process_checkout_action.php captures the authorized
+ *                    payment and creates the order (refunding if that fails)
+ *
+ * Each gateway registers a PaymentProvider subclass that knows how to render
+ * and read its own payment form. The mock gateway ships with test cards.
+ *
+ * Load after js/api.js and before js/checkout.js.
+ */
+
+(function(window, $) {
+    'use strict';
+
+    const POLL_INTERVAL = 1500;
+    const AUTHORIZATION_TIMEOUT = 20000;
+    const FINAL_STATUSES = ['authorized', 'captured', 'refunded', 'failed', 'canceled'];
+
+    const providers = {};
+
+    /**
+     * Base class for client-side payment providers
+     */
+    class PaymentProvider {
+        /**
+         * @param {string} name - Provider name registered in get_payment_provider_names()
+         * @param {string} paymentMethod - Payment method recorded with the order
+         */
+        constructor(name, paymentMethod = 'credit_card') {
+            this.name = name;
+            this.paymentMethod = paymentMethod;
+        }
+
+        /**
+         * Create a payment for a checkout quote
+         * @param {string} quoteId - Quote from checkout_quote_action.php
+         * @returns {Promise<object>} reference, amount, currency, quote_id, status, client_data
+         */
+        initialize(quoteId) {
+            return window.SubCartAPI.payments.initialize(this.name, quoteId).then(response => response.data);
+        }
+
+        /**
+         * Build the provider's payment form
+         * @param {object} payment - Result of initialize()
+         * @returns {string} Form HTML
+         */
+        renderForm(payment) {
+            return '';
+        }
+
+        /**
+         * Read the payment details from the rendered form
+         * @param {jQuery} $form - Container the form was rendered into
+         * @returns {object|null} Details for authorize(), or null when incomplete
+         */
+        collectDetails($form) {
+            return {};
+        }
+
+        /**
+         * Submit payment details
+         * @param {object} payment - Result of initialize()
+         * @param {object} details - Result of collectDetails()
+         * @returns {Promise<object>} status, next_action, failure_reason
+         */
+        authorize(payment, details) {
+            return window.SubCartAPI.payments.authorize(payment.reference, details).then(response => response.data);
+        }
+
+        /**
+         * Follow a next_action returned by authorize()
+         * @param {object} nextAction - {type: 'redirect', url}
+         */
+        redirect(nextAction) {
+            window.location.assign(nextAction.url);
+        }
+
+        /**
+         * Resume a payment after the gateway redirected back to the checkout
+         * @param {string} reference - Payment reference
+         * @param {object} params - Return URL query parameters
+         * @returns {Promise<object>} status, failure_reason
+         */
+        handleReturn(reference, params) {
+            return window.SubCartAPI.payments.handleReturn(reference, params).then(response => response.data);
+        }
+
+        /**
+         * Poll until the gateway's webhook settles the payment
+         * Resolves with status 'timeout' when no answer arrives in time.
+         * @param {string} reference - Payment reference
+         * @param {number} timeout - Milliseconds to wait
+         * @returns {Promise<object>} status, amount, failure_reason
+         */
+        waitForAuthorization(reference, timeout = AUTHORIZATION_TIMEOUT) {
+            const deadline = Date.now() + timeout;
+
+            const poll = () => window.SubCartAPI.payments.status(reference).then(response => {
+                const payment = response.data;
+
+                if (FINAL_STATUSES.includes(payment.status)) {
+                    return payment;
+                }
+
+                if (Date.now() + POLL_INTERVAL > deadline) {
+                    return Object.assign({}, payment, { status: 'timeout' });
+                }
+
+                return delay(POLL_INTERVAL).then(poll);
+            });
+
+            return poll();
+        }
+    }
+
+    /**
+     * Local mock gateway (classes/mock_payment_provider_class.php)
+     * Offers the gateway's test cards instead of a card form.
+     */
+    class MockPaymentProvider extends PaymentProvider {
+        constructor() {
+            super('mock');
+        }
+
+        renderForm(payment) {
+            const cards = (payment.client_data && payment.client_data.test_cards) || [];
+
+            const options = cards.map((card, index) => `
+                <label style="display: flex; align-items: center; padding: var(--spacing-md); border: 2px solid var(--color-border-gray); border-radius: var(--border-radius-md); cursor: pointer;">
+                    <input type="radio" name="mock-test-card" value="${escapeHtml(card.number)}" ${index === 0 ? 'checked' : ''} style="margin-right: var(--spacing-sm);">
+                    <div>
+                        <strong style="color: var(--color-dark-gray);">${escapeHtml(formatCardNumber(card.number))}</strong>
+                        <p style="color: var(--color-medium-gray); font-size: var(--font-size-small); margin: 0;">
+                            ${escapeHtml(card.label)}
+                        </p>
+                    </div>
+                </label>
+            `).join('');
+
+            return `
+                <h4 style="color: var(--color-dark-gray); margin-bottom: var(--spacing-md);">Test Cards:</h4>
+                <div style="display: flex; flex-direction: column; gap: var(--spacing-sm);">
+                    ${options}
+                </div>
+            `;
+        }
+
+        collectDetails($form) {
+            const cardNumber = $form.find('input[name="mock-test-card"]:checked').val();
+            return cardNumber ? { card_number: cardNumber } : null;
+        }
+    }
+
+    /**
+     * Resolve after a delay
+     * @param {number} ms - Milliseconds
+     * @returns {Promise<void>}
+     */
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Group a card number in blocks of four
+     * @param {string} number - Card number
+     * @returns {string} Formatted number
+     */
+    function formatCardNumber(number) {
+        return String(number).replace(/(\d{4})(?=\d)/g, '$1 ');
+    }
+
+    /**
+     * Escape text for HTML output
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return $('<div>').text(text == null ? '' : String(text)).html();
+    }
+
+    /**
+     * Register a provider instance
+     * @param {PaymentProvider} provider - Provider to register
+     * @returns {PaymentProvider} The registered provider
+     */
+    function register(provider) {
+        providers[provider.name] = provider;
+        return provider;
+    }
+
+    /**
+     * Get a registered provider
+     * @param {string} name - Provider name
+     * @returns {PaymentProvider|null} Provider or null when unknown
+     */
+    function get(name) {
+        return providers[name] || null;
+    }
+
+    register(new MockPaymentProvider());
+
+    window.SubCartPayments = {
+        DEFAULT_PROVIDER: 'mock',
+        PaymentProvider: PaymentProvider,
+        MockPaymentProvider: MockPaymentProvider,
+        register: register,
+        get: get
+    };
+
+})(window, jQuery);
@@ -5,6 +5,8 @@
  */
 
 $(document).ready(function() {
+    const api = window.SubCartAPI;
+
     // Regular expressions for validation
     const productTitleRegex = /^[a-zA-Z0-9\s\-_&().,!@#$%^*+=|\\:;"'<>?/]{1,255}$/;
     const priceRegex = /^\d+(\.\d{1,2})?$/;
@@ -13,6 +15,11 @@ $(document).ready(function() {
     // Global variables for modal management
     let currentEditProductId = null;
     let currentDeleteProductId = null;
+    let currentVariantsProductId = null;
+    let currentGalleryProductId = null;
+    let draggedGalleryItem = null;
+    let addImageUploader = null;
+    let editImageUploader = null;
     let categoriesData = [];
     let brandsData = [];
 
@@ -27,6 +34,21 @@ $(document).ready(function() {
         loadBrands();
         loadProducts();
         bindEventHandlers();
+
+        addImageUploader = ImageUploader.create({
+            dropZone: '#product-image-drop',
+            input: '#product_image',
+            queue: '#product-image-queue',
+            maxFiles: 12,
+            onUploaded: loadProducts
+        });
+        editImageUploader = ImageUploader.create({
+            dropZone: '#edit-product-image-drop',
+            input: '#edit_product_image',
+            queue: '#edit-product-image-queue',
+            maxFiles: 12,
+            onUploaded: loadProducts
+        });
     }
 
     /**
@@ -41,6 +63,10 @@ $(document).ready(function() {
         
         // Category change handler for brand filtering
         $('#category_id, #edit_category_id').change(handleCategoryChange);
+
+        // Catalog export
+        $('#export-catalog-form').submit(handleExportCatalog);
+        $('#export_category_id').change(populateExportBrands);
         
         // Refresh products button
         $('#refresh-products').click(function(e) {
@@ -51,6 +77,68 @@ $(document).ready(function() {
         // Modal close handlers
         $('#close-edit-modal, #cancel-edit').click(closeEditModal);
         $('#close-delete-modal, #cancel-delete').click(closeDeleteModal);
+        $('#close-variants-modal, #cancel-variants').click(closeVariantsModal);
+        $('#close-gallery-modal, #cancel-gallery').click(closeGalleryModal);
+
+        // Gallery editor
+        $('#gallery-form').submit(handleSaveGallery);
+        $('#gallery_images').change(handleGalleryUpload);
+        $('#gallery-items')
+            .on('click', '.remove-gallery-image', function(e) {
+                e.preventDefault();
+                $(this).closest('.gallery-item').remove();
+                refreshGalleryItems();
+            })
+            .on('change', '.gallery-primary', refreshGalleryItems)
+            .on('dragstart', '.gallery-item', function(e) {
+                draggedGalleryItem = this;
+                $(this).addClass('dragging');
+                e.originalEvent.dataTransfer.effectAllowed = 'move';
+                e.originalEvent.dataTransfer.setData('text/plain', '');
+            })
+            .on('dragover', '.gallery-item', function(e) {
+                e.preventDefault();
+                if (this !== draggedGalleryItem) {
+                    $(this).addClass('drag-over');
+                }
+            })
+            .on('dragleave', '.gallery-item', function() {
+                $(this).removeClass('drag-over');
+            })
+            .on('drop', '.gallery-item', function(e) {
+                e.preventDefault();
+                $(this).removeClass('drag-over');
+                moveGalleryItem(draggedGalleryItem, this);
+            })
+            .on('dragend', '.gallery-item', function() {
+                $(this).removeClass('dragging');
+                draggedGalleryItem = null;
+            });
+
+        // Variant editor
+        $('#variants-form').submit(handleSaveVariants);
+        $('#add-variant-option-btn').click(function(e) {
+            e.preventDefault();
+            addVariantOptionRow('', '');
+        });
+        $('#variant-option-rows').on('click', '.remove-variant-option', function(e) {
+            e.preventDefault();
+            removeVariantOptionRow($(this).closest('.variant-option-row'));
+        });
+        $('#variant-option-rows').on('input', '.variant-option-name', refreshVariantValueLabels);
+        $('#generate-variants-btn').click(function(e) {
+            e.preventDefault();
+            generateVariantCombinations();
+        });
+        $('#add-variant-btn').click(function(e) {
+            e.preventDefault();
+            addVariantRow({});
+        });
+        $('#variant-rows').on('click', '.remove-variant', function(e) {
+            e.preventDefault();
+            $(this).closest('.variant-row').remove();
+        });
+        $('#variant-rows').on('change', '.variant-image-file', handleVariantImageChange);
         
         // Delete confirmation
         $('#confirm-delete-btn').click(handleDeleteProduct);
@@ -60,6 +148,8 @@ $(document).ready(function() {
             if ($(e.target).hasClass('modal')) {
                 closeEditModal();
                 closeDeleteModal();
+                closeVariantsModal();
+                closeGalleryModal();
             }
         });
         
@@ -151,6 +241,26 @@ $(document).ready(function() {
             };
         }
 
+        // Validate weight if provided
+        const weight = formData.product_weight ? String(formData.product_weight).trim() : '';
+        if (weight && (!isNumeric(weight) || parseFloat(weight) < 0)) {
+            return {
+                isValid: false,
+                message: 'Product weight must be zero or a positive number!',
+                field: 'product_weight'
+            };
+        }
+
+        // Validate stock if provided (empty means stock is not tracked)
+        const stock = formData.product_stock ? String(formData.product_stock).trim() : '';
+        if (stock && !/^\d+$/.test(stock)) {
+            return {
+                isValid: false,
+                message: 'Stock must be a whole number of zero or more!',
+                field: 'product_stock'
+            };
+        }
+
         // Validate keywords if provided
         if (keywords && !keywordsRegex.test(keywords)) {
             return {
@@ -204,45 +314,46 @@ $(document).ready(function() {
      * Load categories for dropdown population
      */
     function loadCategories() {
-        $.ajax({
-            url: '../actions/fetch_category_action.php',
-            type: 'GET',
-            dataType: 'json',
-            success: function(response) {
-                if (response.status === 'success' && response.data && response.data.categories) {
+        api.categories.list()
+            .then(function(response) {
+                if (response.data && response.data.categories) {
                     categoriesData = response.data.categories;
                     populateCategoryDropdown(response.data.categories);
                 } else {
                     showError('Error', 'Failed to load categories. Please refresh the page.');
                 }
-            },
-            error: function(xhr, status, error) {
-                console.error('AJAX Error loading categories:', status, error);
-                showError('Connection Error', 'Failed to load categories. Please check your connection and try again.');
-            }
-        });
+            })
+            .catch(function(error) {
+                console.error('Error loading categories:', error);
+                if (error.isTransportError()) {
+                    showError('Connection Error', 'Failed to load categories. Please check your connection and try again.');
+                } else {
+                    showError('Error', 'Failed to load categories. Please refresh the page.');
+                }
+            });
     }
 
     /**
      * Load brands for dropdown population
      */
     function loadBrands() {
-        $.ajax({
-            url: '../actions/fetch_brand_action.php',
-            type: 'GET',
-            dataType: 'json',
-            success: function(response) {
-                if (response.status === 'success' && response.data && response.data.brands) {
+        api.brands.list()
+            .then(function(response) {
+                if (response.data && response.data.brands) {
                     brandsData = response.data.brands;
+                    populateExportBrands();
                 } else {
-                    console.warn('No brands loaded or error occurred');
+                    console.warn('No brands loaded');
                 }
-            },
-            error: function(xhr, status, error) {
-                console.error('AJAX Error loading brands:', status, error);
-                showError('Connection Error', 'Failed to load brands. Please check your connection and try again.');
-            }
-        });
+            })
+            .catch(function(error) {
+                if (error.isTransportError()) {
+                    console.error('Error loading brands:', error);
+                    showError('Connection Error', 'Failed to load brands. Please check your connection and try again.');
+                } else {
+                    console.warn('No brands loaded:', error.message);
+                }
+            });
     }
 
     /**
@@ -257,6 +368,39 @@ $(document).ready(function() {
         categories.forEach(category => {
             categorySelects.append(`<option value="${category.cat_id}">${escapeHtml(category.cat_name)}</option>`);
         });
+
+        const exportSelect = $('#export_category_id');
+        exportSelect.empty().append('<option value="">All categories</option>');
+        categories.forEach(category => {
+            exportSelect.append(`<option value="${category.cat_id}">${escapeHtml(category.cat_name)}</option>`);
+        });
+    }
+
+    /**
+     * Fill the export brand filter with the chosen category's brands (or every brand)
+     */
+    function populateExportBrands() {
+        const categoryId = $('#export_category_id').val();
+        const brandSelect = $('#export_brand_id');
+
+        brandSelect.empty().append('<option value="">All brands</option>');
+        brandsData
+            .filter(brand => !categoryId || brand.category_id == categoryId)
+            .forEach(brand => {
+                brandSelect.append(`<option value="${brand.brand_id}">${escapeHtml(brand.brand_name)}</option>`);
+            });
+    }
+
+    /**
+     * Download the catalog in the chosen format
+     */
+    function handleExportCatalog(e) {
+        e.preventDefault();
+        window.location.href = api.products.exportUrl(
+            $('#export_format').val(),
+            $('#export_category_id').val(),
+            $('#export_brand_id').val()
+        );
     }
 
     /**
@@ -297,12 +441,19 @@ $(document).ready(function() {
         const formData = {
             product_title: $('#product_title').val(),
             product_price: $('#product_price').val(),
+            product_weight: $('#product_weight').val(),
+            product_stock: $('#product_stock').val(),
             product_description: $('#product_description').val(),
             product_keywords: $('#product_keywords').val(),
             category_id: $('#category_id').val(),
             brand_id: $('#brand_id').val()
         };
         
+        if (addImageUploader.isBusy()) {
+            showError('Upload in Progress', 'Please wait for the current image uploads to finish.');
+            return;
+        }
+
         // Validate input
         const validation = validateProductForm(formData);
         if (!validation.isValid) {
@@ -317,175 +468,59 @@ $(document).ready(function() {
         // Show loading state
         setAddButtonLoading(true);
 
-        // First add the product without image, then upload image if provided
-        const imageFile = $('#product_image')[0].files[0];
-        addProduct(formData, imageFile);
+        addProduct(formData);
     }
 
     /**
-     * Upload image for a specific product (used after product creation)
-     * @param {number} productId - The product ID
-     * @param {File} imageFile - Image file to upload
-     * @param {function} callback - Callback function with success boolean
-     */
-    function uploadImageForProduct(productId, imageFile, callback) {
-        const uploadFormData = new FormData();
-        uploadFormData.append('product_image', imageFile);
-        uploadFormData.append('product_id', productId);
-        uploadFormData.append('csrf_token', $('input[name="csrf_token"]').val());
-
-        $.ajax({
-            url: '../actions/upload_product_image_action.php',
-            type: 'POST',
-            data: uploadFormData,
-            processData: false,
-            contentType: false,
-            dataType: 'json',
-            success: function(response) {
-                if (response.status === 'success') {
-                    // Image uploaded successfully, now update the product with the image path
-                    updateProductImage(productId, response.data.relative_path, callback);
-                } else {
-                    console.error('Image upload failed:', response.message);
-                    callback(false);
-                }
-            },
-            error: function(xhr, status, error) {
-                console.error('Image upload error:', status, error);
-                callback(false);
-            }
-        });
-    }
-
-    /**
-     * Update product with image path
-     * @param {number} productId - The product ID
-     * @param {string} imagePath - The image path
-     * @param {function} callback - Callback function with success boolean
-     */
-    function updateProductImage(productId, imagePath, callback) {
-        $.ajax({
-            url: '../actions/update_product_image_path_action.php',
-            type: 'POST',
-            dataType: 'json',
-            data: {
-                product_id: productId,
-                image_path: imagePath,
-                csrf_token: $('input[name="csrf_token"]').val()
-            },
-            success: function(response) {
-                if (response.status === 'success') {
-                    callback(true);
-                } else {
-                    console.error('Failed to update product with image path:', response.message);
-                    callback(false);
-                }
-            },
-            error: function(xhr, status, error) {
-                console.error('Error updating product image path:', status, error);
-                callback(false);
-            }
-        });
-    }
-
-    /**
-     * Upload image then add product
-     * @param {object} formData - Product form data
-     * @param {File} imageFile - Image file to upload
-     */
-    function uploadImageThenAddProduct(formData, imageFile) {
-        const uploadFormData = new FormData();
-        uploadFormData.append('product_image', imageFile);
-        uploadFormData.append('csrf_token', $('input[name="csrf_token"]').val());
-
-        $.ajax({
-            url: '../actions/upload_product_image_action.php',
-            type: 'POST',
-            data: uploadFormData,
-            processData: false,
-            contentType: false,
-            dataType: 'json',
-            success: function(response) {
-                if (response.status === 'success') {
-                    // Add image path to form data
-                    formData.product_image = response.data.image_path;
-                    addProduct(formData);
-                } else {
-                    setAddButtonLoading(false);
-                    showError('Image Upload Error', response.message);
-                }
-            },
-            error: function(xhr, status, error) {
-                setAddButtonLoading(false);
-                console.error('Image upload error:', status, error);
-                showError('Upload Error', 'Failed to upload image. Please try again.');
-            }
-        });
-    }
-
-    /**
-     * Add a new product via AJAX
+     * Add a new product via AJAX, then upload any queued images for it
      * @param {object} formData - The product data to add
-     * @param {File} imageFile - Optional image file to upload after product creation
      */
-    function addProduct(formData, imageFile = null) {
+    function addProduct(formData) {
         const ajaxData = {
             product_title: formData.product_title.trim(),
             product_price: formData.product_price.trim(),
+            product_weight: formData.product_weight ? formData.product_weight.trim() : '',
+            product_stock: formData.product_stock ? formData.product_stock.trim() : '',
             product_description: formData.product_description ? formData.product_description.trim() : '',
             product_keywords: formData.product_keywords ? formData.product_keywords.trim() : '',
             category_id: formData.category_id,
-            brand_id: formData.brand_id,
-            csrf_token: $('input[name="csrf_token"]').val()
+            brand_id: formData.brand_id
         };
 
-        $.ajax({
-            url: '../actions/add_product_action.php',
-            type: 'POST',
-            dataType: 'json',
-            data: ajaxData,
-            success: function(response) {
-                if (response.status === 'success') {
-                    // Product created successfully
-                    const productId = response.data.product_id;
-                    
-                    // If there's an image file, upload it now
-                    if (imageFile) {
-                        uploadImageForProduct(productId, imageFile, function(uploadSuccess) {
-                            setAddButtonLoading(false);
-                            if (uploadSuccess) {
-                                showSuccess('Success', 'Product and image added successfully!');
-                            } else {
-                                showSuccess('Partial Success', 'Product added successfully, but image upload failed. You can edit the product to add an image later.');
-                            }
-                            $('#add-product-form')[0].reset();
-                            $('#brand_id').empty().append('<option value="">Select a brand...</option>');
-                            loadProducts();
-                        });
-                    } else {
-                        // No image to upload
+        api.products.add(ajaxData)
+            .then(function(response) {
+                // Product created successfully
+                const productId = response.data.product_id;
+
+                if (!addImageUploader.hasQueuedFiles()) {
+                    setAddButtonLoading(false);
+                    showSuccess('Success', response.message);
+                    $('#add-product-form')[0].reset();
+                    loadProducts();
+                    return;
+                }
+
+                // The first image becomes the product image, the rest go into its gallery
+                addImageUploader.upload(productId, index => index === 0 ? 'primary' : 'gallery')
+                    .then(function(summary) {
                         setAddButtonLoading(false);
-                        showSuccess('Success', response.message);
+                        if (summary.failed.length === 0) {
+                            showSuccess('Success', 'Product and images added successfully!');
+                        } else {
+                            showSuccess('Partial Success', `Product added successfully, but ${summary.failed.length} image(s) failed to upload. Use Retry on the failed images below, or add them later from the product's Gallery.`);
+                        }
                         $('#add-product-form')[0].reset();
-                        $('#brand_id').empty().append('<option value="">Select a brand...</option>');
+                        addImageUploader.clearFinished();
                         loadProducts();
-                    }
-                } else {
-                    setAddButtonLoading(false);
-                    showError('Error', response.message);
-                    if (response.field) {
-                        highlightField(response.field);
-                    }
-                }
-            },
-            error: function(xhr, status, error) {
+                    });
+            })
+            .catch(function(error) {
                 setAddButtonLoading(false);
-                console.error('AJAX Error:', status, error);
-                console.error('Response:', xhr.responseText);
-                
-                showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
-            }
-        });
+                showApiError(error);
+                if (error.field) {
+                    highlightField(error.field);
+                }
+            });
     }
 
     /**
@@ -497,33 +532,28 @@ $(document).ready(function() {
         $('#products-empty').hide();
         $('#products-list').hide();
 
-        $.ajax({
-            url: '../actions/fetch_product_action.php',
-            type: 'GET',
-            dataType: 'json',
-            success: function(response) {
+        api.products.list()
+            .then(function(response) {
                 $('#products-loading').hide();
                 
-                if (response.status === 'success') {
-                    if (response.data && response.data.products && response.data.products.length > 0) {
-                        displayProducts(response.data.products);
-                        $('#products-list').show();
-                    } else {
-                        $('#products-empty').show();
-                    }
+                if (response.data && response.data.products && response.data.products.length > 0) {
+                    displayProducts(response.data.products);
+                    $('#products-list').show();
                 } else {
-                    showError('Error', response.message || 'Failed to load products');
                     $('#products-empty').show();
                 }
-            },
-            error: function(xhr, status, error) {
+            })
+            .catch(function(error) {
                 $('#products-loading').hide();
                 $('#products-empty').show();
-                console.error('AJAX Error:', status, error);
                 
-                showError('Connection Error', 'Failed to load products. Please check your connection and try again.');
-            }
-        });
+                if (error.isTransportError()) {
+                    console.error('Error loading products:', error);
+                    showError('Connection Error', 'Failed to load products. Please check your connection and try again.');
+                } else {
+                    showError('Error', error.message || 'Failed to load products');
+                }
+            });
     }
 
     /**
@@ -592,6 +622,10 @@ $(document).ready(function() {
                                     ` : ''}
                                     <div class="product-meta">
                                         <small class="product-id">ID: ${product.product_id}</small>
+                                        <small class="product-stock">
+                                            <i class="fa fa-boxes"></i> 
+                                            ${product.product_stock === null || product.product_stock === undefined ? 'Stock not tracked' : `Stock: ${product.product_stock}`}
+                                        </small>
                                         ${product.product_keywords ? `
                                             <small class="product-keywords">
                                                 <i class="fa fa-tags"></i> ${escapeHtml(product.product_keywords)}
@@ -613,6 +647,8 @@ $(document).ready(function() {
                                                 data-product-id="${product.product_id}"
                                                 data-product-title="${escapeHtml(product.product_title)}"
                                                 data-product-price="${product.product_price}"
+                                                data-product-weight="${product.product_weight || 0}"
+                                                data-product-stock="${product.product_stock ?? ''}"
                                                 data-product-description="${escapeHtml(product.product_description || '')}"
                                                 data-product-keywords="${escapeHtml(product.product_keywords || '')}"
                                                 data-category-id="${product.category_id}"
@@ -620,6 +656,16 @@ $(document).ready(function() {
                                                 data-product-image="${escapeHtml(product.product_image || '')}">
                                             <i class="fa fa-edit"></i> Edit
                                         </button>
+                                        <button class="btn btn-secondary btn-small product-gallery" 
+                                                data-product-id="${product.product_id}" 
+                                                data-product-title="${escapeHtml(product.product_title)}">
+                                            <i class="fa fa-images"></i> Gallery
+                                        </button>
+                                        <button class="btn btn-secondary btn-small product-variants" 
+                                                data-product-id="${product.product_id}" 
+                                                data-product-title="${escapeHtml(product.product_title)}">
+                                            <i class="fa fa-layer-group"></i> Variants
+                                        </button>
                                         <button class="btn btn-error btn-small delete-product" 
                                                 data-product-id="${product.product_id}" 
                                                 data-product-title="${escapeHtml(product.product_title)}">
@@ -641,6 +687,8 @@ $(document).ready(function() {
         // Bind action buttons
         $('.edit-product').click(handleEditButtonClick);
         $('.delete-product').click(handleDeleteButtonClick);
+        $('.product-variants').click(handleVariantsButtonClick);
+        $('.product-gallery').click(handleGalleryButtonClick);
     }
 
     /**
@@ -654,6 +702,8 @@ $(document).ready(function() {
                 product_id: $(this).data('product-id'),
                 product_title: $(this).data('product-title'),
                 product_price: $(this).data('product-price'),
+                product_weight: $(this).data('product-weight'),
+                product_stock: $(this).data('product-stock'),
                 product_description: $(this).data('product-description'),
                 product_keywords: $(this).data('product-keywords'),
                 category_id: $(this).data('category-id'),
@@ -697,6 +747,8 @@ $(document).ready(function() {
         $('#edit_product_id').val(product.product_id);
         $('#edit_product_title').val(product.product_title);
         $('#edit_product_price').val(product.product_price);
+        $('#edit_product_weight').val(product.product_weight || 0);
+        $('#edit_product_stock').val(product.product_stock ?? '');
         $('#edit_product_description').val(product.product_description || '');
         $('#edit_product_keywords').val(product.product_keywords || '');
         
@@ -727,6 +779,7 @@ $(document).ready(function() {
         $('#edit-modal').hide();
         $('#edit-product-form')[0].reset();
         $('#current-image-info').hide();
+        editImageUploader.reset();
         currentEditProductId = null;
         setUpdateButtonLoading(false);
         clearFieldHighlights();
@@ -743,12 +796,19 @@ $(document).ready(function() {
             product_id: $('#edit_product_id').val(),
             product_title: $('#edit_product_title').val(),
             product_price: $('#edit_product_price').val(),
+            product_weight: $('#edit_product_weight').val(),
+            product_stock: $('#edit_product_stock').val(),
             product_description: $('#edit_product_description').val(),
             product_keywords: $('#edit_product_keywords').val(),
             category_id: $('#edit_category_id').val(),
             brand_id: $('#edit_brand_id').val()
         };
         
+        if (editImageUploader.isBusy()) {
+            showError('Upload in Progress', 'Please wait for the current image uploads to finish.');
+            return;
+        }
+
         // Validate input
         const validation = validateProductForm(formData);
         if (!validation.isValid) {
@@ -763,55 +823,11 @@ $(document).ready(function() {
         // Show loading state
         setUpdateButtonLoading(true);
 
-        // Handle image upload if file is selected
-        const imageFile = $('#edit_product_image')[0].files[0];
-        if (imageFile) {
-            uploadImageThenUpdateProduct(formData, imageFile);
-        } else {
-            // Submit without new image
-            updateProduct(formData);
-        }
-    }
-
-    /**
-     * Upload image then update product
-     * @param {object} formData - Product form data
-     * @param {File} imageFile - Image file to upload
-     */
-    function uploadImageThenUpdateProduct(formData, imageFile) {
-        const uploadFormData = new FormData();
-        uploadFormData.append('product_image', imageFile);
-        uploadFormData.append('product_id', formData.product_id); // Add the product ID
-        uploadFormData.append('csrf_token', $('input[name="csrf_token"]').val());
-
-        $.ajax({
-            url: '../actions/upload_product_image_action.php',
-            type: 'POST',
-            data: uploadFormData,
-            processData: false,
-            contentType: false,
-            dataType: 'json',
-            success: function(response) {
-                if (response.status === 'success') {
-                    // Add image update info to form data
-                    formData.image_action = 'update';
-                    formData.new_product_image = response.data.relative_path; // Use relative_path instead of image_path
-                    updateProduct(formData);
-                } else {
-                    setUpdateButtonLoading(false);
-                    showError('Image Upload Error', response.message);
-                }
-            },
-            error: function(xhr, status, error) {
-                setUpdateButtonLoading(false);
-                console.error('Image upload error:', status, error);
-                showError('Upload Error', 'Failed to upload image. Please try again.');
-            }
-        });
+        updateProduct(formData);
     }
 
     /**
-     * Update product via AJAX
+     * Update product via AJAX, then upload any queued images for it
      * @param {object} formData - The product data to update
      */
     function updateProduct(formData) {
@@ -819,45 +835,47 @@ $(document).ready(function() {
             product_id: formData.product_id,
             product_title: formData.product_title.trim(),
             product_price: formData.product_price.trim(),
+            product_weight: formData.product_weight ? formData.product_weight.trim() : '',
+            product_stock: formData.product_stock ? formData.product_stock.trim() : '',
             product_description: formData.product_description ? formData.product_description.trim() : '',
             product_keywords: formData.product_keywords ? formData.product_keywords.trim() : '',
             category_id: formData.category_id,
             brand_id: formData.brand_id,
-            image_action: formData.image_action || 'keep',
-            csrf_token: $('input[name="csrf_token"]').val()
+            image_action: 'keep'
         };
 
-        if (formData.new_product_image) {
-            ajaxData.new_product_image = formData.new_product_image;
-        }
-
-        $.ajax({
-            url: '../actions/update_product_action.php',
-            type: 'POST',
-            dataType: 'json',
-            data: ajaxData,
-            success: function(response) {
-                setUpdateButtonLoading(false);
-                
-                if (response.status === 'success') {
+        api.products.update(ajaxData)
+            .then(function(response) {
+                if (!editImageUploader.hasQueuedFiles()) {
+                    setUpdateButtonLoading(false);
                     showSuccess('Success', response.message);
                     closeEditModal();
                     loadProducts(); // Refresh the list
-                } else {
-                    showError('Error', response.message);
-                    if (response.field) {
-                        highlightField(response.field, true); // true for edit form
-                    }
+                    return;
                 }
-            },
-            error: function(xhr, status, error) {
+
+                // The first image replaces the product image, the rest go into its gallery
+                editImageUploader.upload(formData.product_id, index => index === 0 ? 'primary' : 'gallery')
+                    .then(function(summary) {
+                        setUpdateButtonLoading(false);
+                        loadProducts();
+                        if (summary.failed.length === 0) {
+                            showSuccess('Success', 'Product and images updated successfully!');
+                            closeEditModal();
+                        } else {
+                            // Keep the modal open so the failed images can be retried
+                            showSuccess('Partial Success', `Product updated successfully, but ${summary.failed.length} image(s) failed to upload. Use Retry on the failed images, or add them later from the product's Gallery.`);
+                            editImageUploader.clearFinished();
+                        }
+                    });
+            })
+            .catch(function(error) {
                 setUpdateButtonLoading(false);
-                console.error('AJAX Error:', status, error);
-                console.error('Response:', xhr.responseText);
-                
-                showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
-            }
-        });
+                showApiError(error);
+                if (error.field) {
+                    highlightField(error.field, true); // true for edit form
+                }
+            });
     }
 
     /**
@@ -906,35 +924,518 @@ $(document).ready(function() {
      * @param {number} productId - The product ID to delete
      */
     function deleteProduct(productId) {
-        $.ajax({
-            url: '../actions/delete_product_action.php',
-            type: 'POST',
-            dataType: 'json',
-            data: {
-                product_id: productId,
-                csrf_token: $('input[name="csrf_token"]').val()
-            },
-            success: function(response) {
+        api.products.remove({
+            product_id: productId
+        })
+            .then(function(response) {
                 setDeleteButtonLoading(false);
-                
-                if (response.status === 'success') {
-                    showSuccess('Success', response.message);
-                    closeDeleteModal();
-                    loadProducts(); // Refresh the list
-                } else {
-                    showError('Error', response.message);
-                }
-            },
-            error: function(xhr, status, error) {
+                showSuccess('Success', response.message);
+                closeDeleteModal();
+                loadProducts(); // Refresh the list
+            })
+            .catch(function(error) {
                 setDeleteButtonLoading(false);
-                console.error('AJAX Error:', status, error);
-                console.error('Response:', xhr.responseText);
-                
-                showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
-            }
+                showApiError(error);
+            });
+    }
+
+    /**
+     * Handle gallery button click
+     */
+    function handleGalleryButtonClick(e) {
+        e.preventDefault();
+        openGalleryModal($(this).data('product-id'), $(this).data('product-title'));
+    }
+
+    /**
+     * Open the gallery editor with the product's current images
+     * @param {number} productId - The product ID
+     * @param {string} productTitle - The product title to display
+     */
+    function openGalleryModal(productId, productTitle) {
+        api.products.images(productId)
+            .then(function(response) {
+                currentGalleryProductId = productId;
+                $('#gallery_product_id').val(productId);
+                $('#gallery-product-name').text(productTitle);
+
+                $('#gallery-items').empty();
+                response.data.forEach(addGalleryItem);
+                refreshGalleryItems();
+
+                $('#gallery-modal').show();
+            })
+            .catch(showApiError);
+    }
+
+    /**
+     * Close the gallery editor
+     */
+    function closeGalleryModal() {
+        $('#gallery-modal').hide();
+        $('#gallery-items').empty();
+        $('#gallery_images').val('');
+        currentGalleryProductId = null;
+        setSaveGalleryButtonLoading(false);
+    }
+
+    /**
+     * Append an image to the gallery editor
+     * @param {object} image - image_id (0 for a new upload), image_path, alt_text and is_primary
+     */
+    function addGalleryItem(image) {
+        const item = $(`
+            <div class="gallery-item" draggable="true">
+                <img alt="">
+                <input type="text" class="form-input gallery-alt" maxlength="255" placeholder="Alt text, e.g. Front view">
+                <div class="gallery-item-actions">
+                    <label>
+                        <input type="radio" name="gallery_primary" class="gallery-primary"> Primary
+                    </label>
+                    <button type="button" class="btn btn-error btn-small remove-gallery-image" title="Remove image">
+                        <i class="fa fa-times"></i>
+                    </button>
+                </div>
+            </div>
+        `);
+
+        item.data('image-id', image.image_id || 0);
+        item.data('image-path', image.image_path);
+        item.find('img').attr('src', '../' + image.image_path);
+        item.find('.gallery-alt').val(image.alt_text || '');
+        item.find('.gallery-primary').prop('checked', Boolean(image.is_primary));
+
+        $('#gallery-items').append(item);
+    }
+
+    /**
+     * Keep exactly one primary image and update the empty state
+     */
+    function refreshGalleryItems() {
+        const items = $('#gallery-items .gallery-item');
+
+        if (items.length > 0 && items.find('.gallery-primary:checked').length === 0) {
+            items.first().find('.gallery-primary').prop('checked', true);
+        }
+
+        items.each(function() {
+            $(this).toggleClass('primary', $(this).find('.gallery-primary').is(':checked'));
+        });
+        $('#gallery-empty').toggle(items.length === 0);
+    }
+
+    /**
+     * Move a dragged gallery item to the position of the item it was dropped on
+     * @param {Element} item - The dragged item
+     * @param {Element} target - The item it was dropped on
+     */
+    function moveGalleryItem(item, target) {
+        if (!item || item === target) {
+            return;
+        }
+
+        if ($(item).index() < $(target).index()) {
+            $(target).after(item);
+        } else {
+            $(target).before(item);
+        }
+    }
+
+    /**
+     * Upload the chosen files one after another and add them to the gallery
+     */
+    function handleGalleryUpload() {
+        const files = Array.from(this.files);
+        const room = 12 - $('#gallery-items .gallery-item').length;
+
+        if (files.length === 0) {
+            return;
+        }
+
+        if (files.length > room) {
+            showError('Gallery', `A product can have at most 12 images. You can add ${Math.max(room, 0)} more.`);
+            $('#gallery_images').val('');
+            return;
+        }
+
+        setSaveGalleryButtonLoading(true);
+
+        const uploads = files.reduce(function(previous, file) {
+            return previous.then(function() {
+                const uploadFormData = new FormData();
+                uploadFormData.append('product_image', file);
+                uploadFormData.append('product_id', currentGalleryProductId);
+
+                return api.products.uploadImage(uploadFormData)
+                    .then(function(response) {
+                        addGalleryItem({ image_id: 0, image_path: response.data.relative_path, alt_text: '' });
+                        refreshGalleryItems();
+                    })
+                    .catch(showUploadError);
+            });
+        }, Promise.resolve());
+
+        uploads.finally(function() {
+            setSaveGalleryButtonLoading(false);
+            $('#gallery_images').val('');
         });
     }
 
+    /**
+     * Handle gallery editor submission
+     */
+    function handleSaveGallery(e) {
+        e.preventDefault();
+
+        const items = $('#gallery-items .gallery-item');
+        const images = items.map(function() {
+            return {
+                image_id: $(this).data('image-id'),
+                image_path: $(this).data('image-path'),
+                alt_text: $(this).find('.gallery-alt').val().trim()
+            };
+        }).get();
+
+        setSaveGalleryButtonLoading(true);
+
+        api.products.saveImages({
+            product_id: $('#gallery_product_id').val(),
+            images: images,
+            primary_index: Math.max(items.index(items.has('.gallery-primary:checked')), 0)
+        })
+            .then(function(response) {
+                setSaveGalleryButtonLoading(false);
+                showSuccess('Success', response.message);
+                closeGalleryModal();
+                loadProducts(); // The primary image may have changed
+            })
+            .catch(function(error) {
+                setSaveGalleryButtonLoading(false);
+                showApiError(error);
+            });
+    }
+
+    /**
+     * Handle variants button click
+     */
+    function handleVariantsButtonClick(e) {
+        e.preventDefault();
+        openVariantsModal($(this).data('product-id'), $(this).data('product-title'));
+    }
+
+    /**
+     * Open the variant editor with the product's current options and variants
+     * @param {number} productId - The product ID
+     * @param {string} productTitle - The product title to display
+     */
+    function openVariantsModal(productId, productTitle) {
+        api.products.variants(productId)
+            .then(function(response) {
+                currentVariantsProductId = productId;
+                $('#variants_product_id').val(productId);
+                $('#variants-product-name').text(productTitle);
+
+                $('#variant-option-rows').empty();
+                response.data.options.forEach(option => addVariantOptionRow(option.option_name, option.values.join(', ')));
+
+                $('#variant-rows').empty();
+                response.data.variants.forEach(variant => addVariantRow({
+                    variant_id: variant.variant_id,
+                    values: response.data.options.map(option => variant.option_values[option.option_id] || ''),
+                    sku: variant.sku,
+                    variant_price: variant.variant_price ?? '',
+                    variant_stock: variant.variant_stock ?? '',
+                    variant_image: variant.variant_image || ''
+                }));
+
+                $('#variants-modal').show();
+            })
+            .catch(showApiError);
+    }
+
+    /**
+     * Close the variant editor
+     */
+    function closeVariantsModal() {
+        $('#variants-modal').hide();
+        $('#variant-option-rows, #variant-rows').empty();
+        currentVariantsProductId = null;
+        setSaveVariantsButtonLoading(false);
+    }
+
+    /**
+     * Append a row to the option editor
+     * @param {string} name - Option name, e.g. Size
+     * @param {string} values - Comma-separated values, e.g. "S, M, L"
+     */
+    function addVariantOptionRow(name, values) {
+        if ($('#variant-option-rows .variant-option-row').length >= 3) {
+            showError('Options', 'A product can have at most 3 options.');
+            return;
+        }
+
+        const row = $(`
+            <div class="form-row variant-option-row">
+                <div class="form-group">
+                    <input type="text" class="form-input variant-option-name" maxlength="50" placeholder="Option, e.g. Size">
+                </div>
+                <div class="form-group">
+                    <input type="text" class="form-input variant-option-values" placeholder="Values, e.g. S, M, L">
+                </div>
+                <button type="button" class="btn btn-error btn-small remove-variant-option" title="Remove option">
+                    <i class="fa fa-times"></i>
+                </button>
+            </div>
+        `);
+        row.find('.variant-option-name').val(name);
+        row.find('.variant-option-values').val(values);
+        $('#variant-option-rows').append(row);
+
+        // Every variant needs a value for the new option
+        $('#variant-rows .variant-row').each(function() {
+            $(this).find('.variant-values').append(buildVariantValueInput(''));
+        });
+        refreshVariantValueLabels();
+    }
+
+    /**
+     * Remove an option and its value from every variant
+     * @param {jQuery} row - The option row
+     */
+    function removeVariantOptionRow(row) {
+        const index = $('#variant-option-rows .variant-option-row').index(row);
+
+        row.remove();
+        $('#variant-rows .variant-row').each(function() {
+            $(this).find('.variant-value').eq(index).remove();
+        });
+        refreshVariantValueLabels();
+    }
+
+    /**
+     * Option names from the option editor
+     * @returns {Array} Option names, in order
+     */
+    function variantOptionNames() {
+        return $('#variant-option-rows .variant-option-name').map(function() {
+            return $(this).val().trim();
+        }).get();
+    }
+
+    /**
+     * Use the option names as placeholders for the variant value inputs
+     */
+    function refreshVariantValueLabels() {
+        const names = variantOptionNames();
+
+        $('#variant-rows .variant-row').each(function() {
+            $(this).find('.variant-value').each(function(index) {
+                $(this).attr('placeholder', names[index] || 'Value');
+            });
+        });
+    }
+
+    /**
+     * Input for one option value of a variant
+     * @param {string} value - Option value
+     * @returns {jQuery} Input element
+     */
+    function buildVariantValueInput(value) {
+        return $('<input type="text" class="form-input variant-value" maxlength="50">').val(value);
+    }
+
+    /**
+     * Append a row to the variant editor
+     * @param {object} variant - variant_id, values, sku, variant_price, variant_stock and variant_image
+     */
+    function addVariantRow(variant) {
+        const optionCount = $('#variant-option-rows .variant-option-row').length;
+        const values = variant.values || [];
+        const row = $(`
+            <div class="form-row variant-row">
+                <div class="form-group variant-values"></div>
+                <div class="form-group">
+                    <input type="text" class="form-input variant-sku" maxlength="64" placeholder="SKU">
+                </div>
+                <div class="form-group">
+                    <input type="number" class="form-input variant-price" min="0.01" step="0.01" placeholder="Price">
+                </div>
+                <div class="form-group">
+                    <input type="number" class="form-input variant-stock" min="0" step="1" placeholder="Stock">
+                </div>
+                <div class="form-group">
+                    <input type="file" class="form-input variant-image-file" accept="image/*">
+                    <input type="hidden" class="variant-image">
+                    <small class="form-help variant-image-name"></small>
+                </div>
+                <button type="button" class="btn btn-error btn-small remove-variant" title="Remove variant">
+                    <i class="fa fa-times"></i>
+                </button>
+            </div>
+        `);
+
+        row.data('variant-id', variant.variant_id || 0);
+        for (let i = 0; i < optionCount; i++) {
+            row.find('.variant-values').append(buildVariantValueInput(values[i] || ''));
+        }
+        row.find('.variant-sku').val(variant.sku || '');
+        row.find('.variant-price').val(variant.variant_price ?? '');
+        row.find('.variant-stock').val(variant.variant_stock ?? '');
+        setVariantRowImage(row, variant.variant_image || '');
+
+        $('#variant-rows').append(row);
+        refreshVariantValueLabels();
+    }
+
+    /**
+     * Show a variant's image path in its row
+     * @param {jQuery} row - The variant row
+     * @param {string} imagePath - Uploaded image path, or '' for the product image
+     */
+    function setVariantRowImage(row, imagePath) {
+        row.find('.variant-image').val(imagePath);
+        row.find('.variant-image-name').text(imagePath ? imagePath.split('/').pop() : 'Product image');
+    }
+
+    /**
+     * Read the variant editor
+     * @returns {Array} Variants in the shape accepted by save_product_variants_action.php
+     */
+    function collectVariantRows() {
+        return $('#variant-rows .variant-row').map(function() {
+            const row = $(this);
+            return {
+                variant_id: row.data('variant-id') || 0,
+                values: row.find('.variant-value').map(function() {
+                    return $(this).val().trim();
+                }).get(),
+                sku: row.find('.variant-sku').val().trim(),
+                variant_price: row.find('.variant-price').val().trim(),
+                variant_stock: row.find('.variant-stock').val().trim(),
+                variant_image: row.find('.variant-image').val()
+            };
+        }).get();
+    }
+
+    /**
+     * Replace the variant rows with one row per combination of option values
+     * Rows that already exist for a combination are kept as they are.
+     */
+    function generateVariantCombinations() {
+        const valueLists = $('#variant-option-rows .variant-option-values').map(function() {
+            return [$(this).val().split(',').map(value => value.trim()).filter(Boolean)];
+        }).get();
+
+        if (valueLists.length === 0 || valueLists.some(values => values.length === 0)) {
+            showError('Options', 'Give every option a name and at least one value first.');
+            return;
+        }
+
+        const combinations = valueLists.reduce((result, values) => {
+            const next = [];
+            result.forEach(combination => values.forEach(value => next.push(combination.concat([value]))));
+            return next;
+        }, [[]]);
+
+        if (combinations.length > 100) {
+            showError('Options', 'These options make ' + combinations.length + ' variants. A product can have at most 100.');
+            return;
+        }
+
+        const existing = {};
+        collectVariantRows().forEach(variant => {
+            existing[variant.values.join('|').toLowerCase()] = variant;
+        });
+
+        $('#variant-rows').empty();
+        combinations.forEach(values => {
+            addVariantRow(existing[values.join('|').toLowerCase()] || {
+                values: values,
+                sku: suggestVariantSku(values)
+            });
+        });
+    }
+
+    /**
+     * Suggested SKU for a new variant, e.g. P12-M-RED
+     * @param {Array} values - The variant's option values
+     * @returns {string} SKU
+     */
+    function suggestVariantSku(values) {
+        return ['P' + currentVariantsProductId].concat(values)
+            .map(part => String(part).toUpperCase().replace(/[^A-Z0-9]+/g, ''))
+            .filter(Boolean)
+            .join('-')
+            .substring(0, 64);
+    }
+
+    /**
+     * Upload the image chosen for a variant
+     */
+    function handleVariantImageChange() {
+        const row = $(this).closest('.variant-row');
+        const imageFile = this.files[0];
+
+        if (!imageFile) {
+            return;
+        }
+
+        const uploadFormData = new FormData();
+        uploadFormData.append('product_image', imageFile);
+        uploadFormData.append('product_id', currentVariantsProductId);
+
+        row.find('.variant-image-name').text('Uploading...');
+        api.products.uploadImage(uploadFormData)
+            .then(function(response) {
+                setVariantRowImage(row, response.data.relative_path);
+            })
+            .catch(function(error) {
+                setVariantRowImage(row, row.find('.variant-image').val());
+                showUploadError(error);
+            })
+            .finally(function() {
+                row.find('.variant-image-file').val('');
+            });
+    }
+
+    /**
+     * Handle variant editor submission
+     */
+    function handleSaveVariants(e) {
+        e.preventDefault();
+
+        const productId = $('#variants_product_id').val();
+        const options = variantOptionNames();
+        const variants = options.length > 0 ? collectVariantRows() : [];
+
+        if (options.some(name => name === '')) {
+            showError('Validation Error', 'Every option needs a name.');
+            return;
+        }
+
+        if (options.length > 0 && variants.length === 0) {
+            showError('Validation Error', 'Add at least one variant, or remove the options.');
+            return;
+        }
+
+        setSaveVariantsButtonLoading(true);
+
+        api.products.saveVariants({
+            product_id: productId,
+            options: options,
+            variants: variants
+        })
+            .then(function(response) {
+                setSaveVariantsButtonLoading(false);
+                showSuccess('Success', response.message);
+                closeVariantsModal();
+            })
+            .catch(function(error) {
+                setSaveVariantsButtonLoading(false);
+                showApiError(error);
+            });
+    }
+
     /**
      * Highlight form field with error
      * @param {string} fieldName - Name of the field to highlight
@@ -1006,6 +1507,38 @@ $(document).ready(function() {
         }
     }
 
+    /**
+     * Set loading state for the save gallery button
+     * @param {boolean} isLoading - Whether to show loading state
+     */
+    function setSaveGalleryButtonLoading(isLoading) {
+        if (isLoading) {
+            $('#gallery-save-text').hide();
+            $('#gallery-save-loading').show();
+            $('#save-gallery-btn').prop('disabled', true);
+        } else {
+            $('#gallery-save-text').show();
+            $('#gallery-save-loading').hide();
+            $('#save-gallery-btn').prop('disabled', false);
+        }
+    }
+
+    /**
+     * Set loading state for the save variants button
+     * @param {boolean} isLoading - Whether to show loading state
+     */
+    function setSaveVariantsButtonLoading(isLoading) {
+        if (isLoading) {
+            $('#variants-save-text').hide();
+            $('#variants-save-loading').show();
+            $('#save-variants-btn').prop('disabled', true);
+        } else {
+            $('#variants-save-text').show();
+            $('#variants-save-loading').hide();
+            $('#save-variants-btn').prop('disabled', false);
+        }
+    }
+
     /**
      * Show success message using SweetAlert2
      * @param {string} title - The title of the alert
@@ -1037,6 +1570,32 @@ $(document).ready(function() {
         });
     }
 
+    /**
+     * Show an ApiError from a failed request
+     * @param {ApiError} error - The error raised by the API client
+     */
+    function showApiError(error) {
+        if (error.isTransportError()) {
+            console.error('Request failed:', error);
+            showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
+        } else {
+            showError('Error', error.message);
+        }
+    }
+
+    /**
+     * Show an ApiError from a failed image upload
+     * @param {ApiError} error - The error raised by the API client
+     */
+    function showUploadError(error) {
+        if (error.isTransportError()) {
+            console.error('Image upload error:', error);
+            showError('Upload Error', 'Failed to upload image. Please try again.');
+        } else {
+            showError('Image Upload Error', error.message);
+        }
+    }
+
     /**
      * Escape HTML to prevent XSS
      * @param {string} text - The text to escape
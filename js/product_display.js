@@ -2,37 +2,58 @@
  * Product Display JavaScript
  * Handles dynamic filter updates, asynchronous search, pagination, and user interactions
  * for customer-facing product display pages
+ * Facet checkboxes render into #category-facets, #brand-facets and #price-facets
+ * Load after js/api.js and js/search_suggestions.js
  * Requirements: 8.1, 8.2, 6.4, 7.5
  */
 
 $(document).ready(function() {
+    const api = window.SubCartAPI;
+
     // Configuration constants
     const CONFIG = {
         SEARCH_DEBOUNCE_DELAY: 300,
         PAGINATION_LIMIT: 10,
         IMAGE_LAZY_LOAD_THRESHOLD: 100,
+        IMAGE_SIZES_CARD: '(max-width: 768px) 100vw, 320px', // Matches PRODUCT_IMAGE_SIZES_CARD
         MAX_SEARCH_LENGTH: 255,
         FILTER_UPDATE_DELAY: 100,
         CACHE_EXPIRY_TIME: 5 * 60 * 1000, // 5 minutes
         MAX_CACHE_SIZE: 50,
-        PERFORMANCE_MONITORING: true
+        PERFORMANCE_MONITORING: true,
+        DEFAULT_SORT: 'relevance'
+    };
+
+    // Sort dropdown choices and the enhanced composite search order each one asks for
+    const SORT_OPTIONS = {
+        relevance: { label: 'Best match', sort_by: 'relevance', sort_order: 'DESC' },
+        price_asc: { label: 'Price: low to high', sort_by: 'price', sort_order: 'ASC' },
+        price_desc: { label: 'Price: high to low', sort_by: 'price', sort_order: 'DESC' },
+        newest: { label: 'Newest', sort_by: 'date', sort_order: 'DESC' },
+        title_asc: { label: 'Title: A to Z', sort_by: 'title', sort_order: 'ASC' }
+    };
+
+    // Sidebar facets: the filter each one sets, where it is rendered, and the fields of
+    // its options in the search response's facets
+    const FACETS = {
+        category_ids: { container: '#category-facets', group: 'categories', value: 'cat_id', label: 'cat_name', tag: 'Category', numeric: true, urlParam: 'category' },
+        brand_ids: { container: '#brand-facets', group: 'brands', value: 'brand_id', label: 'brand_name', tag: 'Brand', numeric: true, urlParam: 'brand' },
+        price_ranges: { container: '#price-facets', group: 'price_ranges', value: 'key', label: 'label', tag: 'Price', numeric: false, urlParam: 'price' }
     };
 
     // Global state management
     let state = {
         currentPage: 1,
         currentQuery: '',
-        currentFilters: {
-            category_id: null,
-            brand_id: null,
-            min_price: null,
-            max_price: null
-        },
+        currentSort: CONFIG.DEFAULT_SORT,
+        currentFilters: emptyFilters(),
         isLoading: false,
+        requestController: null,
         searchTimeout: null,
-        filterOptions: {
+        facets: {
             categories: [],
-            brands: []
+            brands: [],
+            price_ranges: []
         },
         lastSearchTime: 0,
         cache: new Map(),
@@ -49,17 +70,18 @@ $(document).ready(function() {
      * Initialize page functionality
      */
     function initializePage() {
-        loadFilterOptions();
         bindEventHandlers();
         initializeLazyLoading();
         initializePerformanceMonitoring();
         initializeSearchCache();
         restoreStateFromURL();
+        populateSortOptions();
         
-        // Load initial products if no filters are set
-        if (!hasActiveFilters() && !state.currentQuery) {
-            loadProducts();
-        }
+        // Give the landing entry a state too, so coming back to it restores it
+        history.replaceState(viewState(), '', window.location.href);
+        
+        // Load the products for the search, filters and sort in the URL
+        fetchProducts();
     }
 
     /**
@@ -68,13 +90,21 @@ $(document).ready(function() {
     function bindEventHandlers() {
         // Search input with debouncing
         $('#product-search').on('input', handleSearchInput);
+
+        // Suggestions dropdown; a free-text pick submits #search-form like pressing Enter
+        window.SearchSuggestions.attach('#product-search');
         
         // Search form submission
         $('#search-form').on('submit', handleSearchSubmit);
         
-        // Filter dropdowns
-        $('#category-filter').on('change', handleCategoryFilterChange);
-        $('#brand-filter').on('change', handleBrandFilterChange);
+        // Facet checkboxes (delegated events; they are re-rendered with every result)
+        $(document).on('change', '.facet-checkbox', handleFacetChange);
+        
+        // "Did you mean" link under the search box
+        $(document).on('click', '.search-correction-link', handleCorrectionClick);
+        
+        // Sort dropdown
+        $('#product-sort').on('change', handleSortChange);
         
         // Price range filters
         $('#min-price-filter').on('input', debounce(handlePriceFilterChange, CONFIG.FILTER_UPDATE_DELAY));
@@ -152,46 +182,56 @@ $(document).ready(function() {
         state.currentPage = 1;
         state.currentQuery = query;
         
-        if (query === '') {
-            // Empty search - load all products
-            loadProducts();
-        } else {
-            // Perform search
-            searchProducts(query);
+        // An empty search lists all products
+        fetchProducts();
+        updateURL();
+    }
+
+    /**
+     * Search for the spelling correction the shopper clicked
+     */
+    function handleCorrectionClick(e) {
+        e.preventDefault();
+        const query = String($(this).data('query'));
+        
+        $('#product-search').val(query);
+        if (state.searchTimeout) {
+            clearTimeout(state.searchTimeout);
         }
         
-        updateURL();
+        performSearch(query);
     }
 
     /**
-     * Handle category filter change with dynamic brand updates
+     * Handle a facet checkbox being ticked or cleared
      * Requirement: 8.1 - Dynamic filter updates without page reload
      */
-    function handleCategoryFilterChange(e) {
-        const categoryId = $(this).val();
-        state.currentFilters.category_id = categoryId || null;
-        state.currentPage = 1; // Reset pagination
+    function handleFacetChange(e) {
+        const facet = $(this).data('facet');
+        if (!FACETS[facet]) {
+            return;
+        }
+        
+        const value = FACETS[facet].numeric ? parseInt(this.value, 10) : this.value;
+        const selected = state.currentFilters[facet].filter(item => item !== value);
+        if (this.checked) {
+            selected.push(value);
+        }
         
-        // Update brand dropdown based on category selection
-        updateBrandOptions(categoryId);
+        state.currentFilters[facet] = selected;
+        state.currentPage = 1; // Reset pagination
         
-        // Apply filters
-        setTimeout(() => {
-            applyFilters();
-        }, CONFIG.FILTER_UPDATE_DELAY);
+        applyFilters();
     }
 
     /**
-     * Handle brand filter change
+     * Handle sort dropdown change
      */
-    function handleBrandFilterChange(e) {
-        const brandId = $(this).val();
-        state.currentFilters.brand_id = brandId || null;
+    function handleSortChange(e) {
+        state.currentSort = validSort($(this).val());
         state.currentPage = 1; // Reset pagination
         
-        setTimeout(() => {
-            applyFilters();
-        }, CONFIG.FILTER_UPDATE_DELAY);
+        applyFilters();
     }
 
     /**
@@ -229,61 +269,89 @@ $(document).ready(function() {
         e.preventDefault();
         
         // Reset all filters
-        state.currentFilters = {
-            category_id: null,
-            brand_id: null,
-            min_price: null,
-            max_price: null
-        };
+        state.currentFilters = emptyFilters();
         state.currentQuery = '';
         state.currentPage = 1;
         
         // Reset form elements
         $('#product-search').val('');
-        $('#category-filter').val('');
-        $('#brand-filter').val('');
+        $('.facet-checkbox').prop('checked', false);
         $('#min-price-filter').val('');
         $('#max-price-filter').val('');
         
-        // Reload brand options (remove category filter)
-        updateBrandOptions(null);
-        
-        // Load all products
-        loadProducts();
+        // Load all products, keeping the chosen sort
+        fetchProducts();
         updateURL();
+        updateActiveFiltersDisplay();
     }
 
     /**
      * Apply current filters with composite search
      */
     function applyFilters() {
-        if (hasActiveFilters() || state.currentQuery) {
-            if (state.currentQuery) {
-                // Use search if query exists
-                searchProducts(state.currentQuery);
-            } else {
-                // Use filter API
-                filterProducts();
-            }
-        } else {
-            // No filters - load all products
-            loadProducts();
-        }
-        
+        fetchProducts();
         updateURL();
         updateActiveFiltersDisplay(); // Requirement 6.4
     }
 
+    /**
+     * Check if the shopper picked an order other than the default
+     */
+    function isSorted() {
+        return state.currentSort !== CONFIG.DEFAULT_SORT;
+    }
+
+    /**
+     * A sort choice from the dropdown or URL, or the default if it is not one of ours
+     */
+    function validSort(sort) {
+        return Object.prototype.hasOwnProperty.call(SORT_OPTIONS, sort) ? sort : CONFIG.DEFAULT_SORT;
+    }
+
+    /**
+     * sort_by and sort_order for the current sort choice
+     */
+    function sortParams() {
+        const sort = SORT_OPTIONS[state.currentSort];
+        return { sort_by: sort.sort_by, sort_order: sort.sort_order };
+    }
+
+    /**
+     * Populate the sort dropdown and select the current sort
+     */
+    function populateSortOptions() {
+        const $sort = $('#product-sort');
+        $sort.empty();
+        
+        Object.keys(SORT_OPTIONS).forEach(key => {
+            $sort.append(`<option value="${key}">${escapeHtml(SORT_OPTIONS[key].label)}</option>`);
+        });
+        
+        $sort.val(state.currentSort);
+    }
+
     /**
      * Check if any filters are currently active
      */
     function hasActiveFilters() {
-        return state.currentFilters.category_id !== null ||
-               state.currentFilters.brand_id !== null ||
+        return Object.keys(FACETS).some(facet => state.currentFilters[facet].length > 0) ||
                state.currentFilters.min_price !== null ||
                state.currentFilters.max_price !== null;
     }
 
+    /**
+     * Filters with nothing selected
+     */
+    function emptyFilters() {
+        return {
+            category_ids: [],
+            brand_ids: [],
+            price_ranges: [],
+            min_price: null,
+            max_price: null
+        };
+    }
+
     /**
      * Update active filters display for user feedback
      * Requirement: 6.4 - Show applied filters clearly to user
@@ -291,20 +359,16 @@ $(document).ready(function() {
     function updateActiveFiltersDisplay() {
         const activeFilters = [];
         
-        // Add active filters to display
-        if (state.currentFilters.category_id) {
-            const category = state.filterOptions.categories.find(c => c.cat_id == state.currentFilters.category_id);
-            if (category) {
-                activeFilters.push(`Category: ${category.cat_name}`);
-            }
-        }
-        
-        if (state.currentFilters.brand_id) {
-            const brand = state.filterOptions.brands.find(b => b.brand_id == state.currentFilters.brand_id);
-            if (brand) {
-                activeFilters.push(`Brand: ${brand.brand_name}`);
-            }
-        }
+        // Add active filters to display, named from the latest facets
+        Object.keys(FACETS).forEach(facet => {
+            const config = FACETS[facet];
+            state.currentFilters[facet].forEach(value => {
+                const option = (state.facets[config.group] || []).find(item => item[config.value] == value);
+                if (option) {
+                    activeFilters.push(`${config.tag}: ${option[config.label]}`);
+                }
+            });
+        });
         
         if (state.currentFilters.min_price !== null) {
             activeFilters.push(`Min Price: $${state.currentFilters.min_price.toFixed(2)}`);
@@ -371,17 +435,11 @@ $(document).ready(function() {
      * Reload current view (search, filter, or all products)
      */
     function reloadCurrentView() {
-        if (state.currentQuery) {
-            searchProducts(state.currentQuery);
-        } else if (hasActiveFilters()) {
-            filterProducts();
-        } else {
-            loadProducts();
-        }
-        
+        fetchProducts();
         updateURL();
     }
 
+
     /**
      * Handle product card clicks for navigation
      */
@@ -416,221 +474,179 @@ $(document).ready(function() {
     }
 
     /**
-     * Load all products with pagination
+     * Fetch the current page of products, with facet counts, through enhanced composite search
+     * A newer request cancels the one in flight, so quick changes never show stale results
+     * Requirement: 8.2 - Asynchronous search functionality
      */
-    function loadProducts() {
-        if (state.isLoading) return;
+    function fetchProducts() {
+        const startTime = performance.now();
+        const requestData = Object.assign({
+            query: state.currentQuery,
+            page: state.currentPage,
+            limit: CONFIG.PAGINATION_LIMIT,
+            include_facets: 1
+        }, sortParams(), state.currentFilters);
         
+        if (state.requestController) {
+            state.requestController.abort();
+            state.requestController = null;
+        }
+        
+        const cacheKey = generateCacheKey(requestData);
+        const cachedResult = getCachedResult(cacheKey);
+        if (cachedResult) {
+            console.log('Using cached search result');
+            setLoadingState(false);
+            displayProducts(cachedResult.products, cachedResult.pagination);
+            displayCorrection(cachedResult.did_you_mean);
+            renderFacets(cachedResult.facets);
+            displayResultMetadata(cachedResult.search_metadata);
+            return;
+        }
+        
+        const controller = new AbortController();
+        state.requestController = controller;
         setLoadingState(true);
+        state.lastSearchTime = Date.now();
         
-        $.ajax({
-            url: 'actions/fetch_product_display_action.php',
-            type: 'GET',
-            data: {
-                page: state.currentPage,
-                limit: CONFIG.PAGINATION_LIMIT
-            },
-            dataType: 'json',
-            success: function(response) {
+        api.products.compositeSearch(requestData, { signal: controller.signal })
+            .then(function(response) {
+                const searchTime = performance.now() - startTime;
+                if (CONFIG.PERFORMANCE_MONITORING) {
+                    state.performanceMetrics.searchTimes.push(searchTime);
+                    console.log(`Search completed in ${searchTime.toFixed(2)}ms`);
+                }
+                
+                state.requestController = null;
+                setLoadingState(false);
+                
+                // Cache the successful result
+                setCachedResult(cacheKey, {
+                    products: response.data.products,
+                    pagination: response.data.pagination,
+                    facets: response.data.facets,
+                    did_you_mean: response.data.did_you_mean,
+                    search_metadata: response.raw.search_metadata
+                });
+                
+                displayProducts(response.data.products, response.data.pagination);
+                displayCorrection(response.data.did_you_mean);
+                renderFacets(response.data.facets);
+                displayResultMetadata(response.raw.search_metadata);
+            })
+            .catch(function(error) {
+                if (error.kind === 'abort') {
+                    // Replaced by a newer request
+                    return;
+                }
+                
+                const searchTime = performance.now() - startTime;
+                console.error(`Search failed after ${searchTime.toFixed(2)}ms:`, error);
+                
+                state.requestController = null;
                 setLoadingState(false);
+                displayCorrection(null);
                 
-                if (response.status === 'success') {
-                    displayProducts(response.data.products, response.data.pagination);
+                if (error.isTransportError()) {
+                    showError('Connection Error', 'Failed to load products. Please check your connection and try again.');
+                    displayEmptyState('Connection error');
+                } else if (error.type === 'not_found') {
+                    displayEmptyState('No products found matching your search', error.response.suggestions);
                 } else {
-                    showError('Error', response.message || 'Failed to load products');
+                    showError('Search Error', error.message || 'Failed to load products');
                     displayEmptyState('Failed to load products');
                 }
-            },
-            error: function(xhr, status, error) {
-                setLoadingState(false);
-                console.error('AJAX Error loading products:', status, error);
-                showError('Connection Error', 'Failed to load products. Please check your connection and try again.');
-                displayEmptyState('Connection error');
-            }
-        });
+            });
     }
 
     /**
-     * Search products with current query
+     * Show how long the search or filter took
      */
-    function searchProducts(query) {
-        if (state.isLoading) return;
-        
-        setLoadingState(true);
-        state.lastSearchTime = Date.now();
-        
-        const searchData = {
-            query: query,
-            page: state.currentPage,
-            limit: CONFIG.PAGINATION_LIMIT
-        };
-        
-        // Add filters to search if they exist
-        if (hasActiveFilters()) {
-            Object.assign(searchData, {
-                category_id: state.currentFilters.category_id,
-                brand_id: state.currentFilters.brand_id,
-                min_price: state.currentFilters.min_price,
-                max_price: state.currentFilters.max_price
-            });
+    function displayResultMetadata(metadata) {
+        if (!metadata) {
+            return;
         }
         
-        $.ajax({
-            url: 'actions/search_product_action.php',
-            type: 'GET',
-            data: searchData,
-            dataType: 'json',
-            success: function(response) {
-                setLoadingState(false);
-                
-                if (response.status === 'success') {
-                    displayProducts(response.data.products, response.data.pagination);
-                    
-                    // Show search metadata
-                    if (response.search_metadata) {
-                        displaySearchMetadata(response.search_metadata);
-                    }
-                } else {
-                    if (response.error_type === 'not_found') {
-                        displayEmptyState('No products found matching your search', response.suggestions);
-                    } else {
-                        showError('Search Error', response.message || 'Search failed');
-                        displayEmptyState('Search failed');
-                    }
-                }
-            },
-            error: function(xhr, status, error) {
-                setLoadingState(false);
-                console.error('AJAX Error searching products:', status, error);
-                showError('Connection Error', 'Search failed. Please check your connection and try again.');
-                displayEmptyState('Search connection error');
-            }
-        });
+        if (state.currentQuery) {
+            displaySearchMetadata(metadata);
+        } else {
+            displayFilterMetadata(metadata);
+        }
     }
 
     /**
-     * Filter products with current filters
+     * Render the sidebar facets with the number of products each choice would return
+     * Counts leave out the facet's own selection, so ticking a second brand shows what
+     * it adds; choices that would return nothing are disabled unless already ticked.
+     * Requirement: 6.4 - Show applied filters clearly to user
      */
-    function filterProducts() {
-        if (state.isLoading) return;
+    function renderFacets(facets) {
+        if (!facets) {
+            // Counts were unavailable; keep the last ones
+            return;
+        }
         
-        setLoadingState(true);
+        state.facets = facets;
         
-        const filterData = {
-            page: state.currentPage,
-            limit: CONFIG.PAGINATION_LIMIT
-        };
-        
-        // Add active filters
-        Object.assign(filterData, state.currentFilters);
+        // Keep keyboard focus on the checkbox that was just toggled
+        const focused = $(document.activeElement).is('.facet-checkbox')
+            ? { facet: $(document.activeElement).data('facet'), value: document.activeElement.value }
+            : null;
         
-        $.ajax({
-            url: 'actions/filter_product_action.php',
-            type: 'GET',
-            data: filterData,
-            dataType: 'json',
-            success: function(response) {
-                setLoadingState(false);
-                
-                if (response.status === 'success') {
-                    displayProducts(response.data.products, response.data.pagination);
-                    
-                    // Show filter metadata
-                    if (response.filter_metadata) {
-                        displayFilterMetadata(response.filter_metadata);
-                    }
-                } else {
-                    if (response.error_type === 'not_found') {
-                        displayEmptyState('No products found matching your filters', response.suggestions);
-                    } else {
-                        showError('Filter Error', response.message || 'Filter failed');
-                        displayEmptyState('Filter failed');
-                    }
-                }
-            },
-            error: function(xhr, status, error) {
-                setLoadingState(false);
-                console.error('AJAX Error filtering products:', status, error);
-                showError('Connection Error', 'Filter failed. Please check your connection and try again.');
-                displayEmptyState('Filter connection error');
-            }
-        });
-    }
-
-    /**
-     * Load filter options (categories and brands)
-     */
-    function loadFilterOptions() {
-        $.ajax({
-            url: 'actions/get_filter_options_action.php',
-            type: 'GET',
-            dataType: 'json',
-            success: function(response) {
-                if (response.status === 'success') {
-                    state.filterOptions.categories = response.data.categories || [];
-                    state.filterOptions.brands = response.data.brands || [];
-                    
-                    populateFilterDropdowns();
-                } else {
-                    console.error('Failed to load filter options:', response.message);
-                    showError('Filter Error', 'Failed to load filter options. Some features may not work properly.');
-                }
-            },
-            error: function(xhr, status, error) {
-                console.error('AJAX Error loading filter options:', status, error);
-                showError('Connection Error', 'Failed to load filter options. Please refresh the page.');
+        Object.keys(FACETS).forEach(facet => {
+            const config = FACETS[facet];
+            const options = facets[config.group] || [];
+            const $container = $(config.container);
+            
+            if (options.length === 0) {
+                $container.html('<p class="facet-empty">Nothing to narrow down</p>');
+                return;
             }
+            
+            $container.html(options.map(option => {
+                const value = option[config.value];
+                const count = parseInt(option.product_count, 10) || 0;
+                const checked = state.currentFilters[facet].includes(value);
+                const disabled = count === 0 && !checked;
+                
+                return `
+                    <label class="facet-option${disabled ? ' facet-option-empty' : ''}">
+                        <input type="checkbox" class="facet-checkbox" data-facet="${facet}"
+                               value="${escapeHtml(String(value))}"${checked ? ' checked' : ''}${disabled ? ' disabled' : ''}>
+                        <span class="facet-label">${escapeHtml(option[config.label])}</span>
+                        <span class="facet-count" aria-label="${count} ${count === 1 ? 'product' : 'products'}">${count}</span>
+                    </label>
+                `;
+            }).join(''));
         });
-    }
-
-    /**
-     * Populate filter dropdowns with options
-     */
-    function populateFilterDropdowns() {
-        // Populate category dropdown
-        const $categoryFilter = $('#category-filter');
-        $categoryFilter.empty().append('<option value="">All Categories</option>');
         
-        state.filterOptions.categories.forEach(category => {
-            $categoryFilter.append(`<option value="${category.cat_id}">${escapeHtml(category.cat_name)}</option>`);
-        });
+        if (focused) {
+            $(FACETS[focused.facet].container).find('.facet-checkbox')
+                .filter((index, checkbox) => checkbox.value === focused.value)
+                .trigger('focus');
+        }
         
-        // Populate brand dropdown (initially all brands)
-        updateBrandOptions(null);
+        updateActiveFiltersDisplay();
     }
 
     /**
-     * Update brand options based on category selection
+     * Build the stock badge for a product card
+     * @param {object} product - Product with stock_status and product_stock
+     * @returns {string} Badge HTML
      */
-    function updateBrandOptions(categoryId) {
-        const $brandFilter = $('#brand-filter');
-        $brandFilter.empty().append('<option value="">All Brands</option>');
-        
-        let brandsToShow = state.filterOptions.brands;
-        
-        // Filter brands by category if specified
-        if (categoryId) {
-            brandsToShow = state.filterOptions.brands.filter(brand => 
-                brand.category_id == categoryId
-            );
-        }
-        
-        brandsToShow.forEach(brand => {
-            $brandFilter.append(`<option value="${brand.brand_id}">${escapeHtml(brand.brand_name)}</option>`);
-        });
-        
-        // Reset brand selection if current brand is not available
-        if (state.currentFilters.brand_id) {
-            const brandExists = brandsToShow.some(brand => brand.brand_id == state.currentFilters.brand_id);
-            if (!brandExists) {
-                state.currentFilters.brand_id = null;
-                $brandFilter.val('');
-            }
+    function stockBadge(product) {
+        switch (product.stock_status) {
+            case 'sold_out':
+                return '<span class="stock-badge stock-sold-out"><i class="fa fa-ban"></i> Sold out</span>';
+            case 'low_stock':
+                return `<span class="stock-badge stock-low"><i class="fa fa-exclamation-circle"></i> Only ${parseInt(product.product_stock, 10)} left</span>`;
+            default:
+                return '<span class="stock-badge stock-in"><i class="fa fa-check-circle"></i> In stock</span>';
         }
     }
 
     /**
-     * Display products in grid layout
+     * Display products in grid layout with placeholder-backed lazy loading
      */
     function displayProducts(products, pagination) {
         const $container = $('#products-container');
@@ -645,10 +661,22 @@ $(document).ready(function() {
             <div class="product-card" data-product-id="${product.product_id}">
                 <div class="product-image-container">
                     ${product.product_image ? `
-                        <img class="product-image lazy-load" 
-                             data-src="${escapeHtml(product.product_image)}" 
-                             alt="${escapeHtml(product.product_title)}"
-                             loading="lazy">
+                        <div class="image-placeholder">
+                            <i class="fa fa-image"></i>
+                            <span>Loading...</span>
+                        </div>
+                        <picture>
+                            ${product.image_webp_srcset ? `
+                                <source type="image/webp" 
+                                        data-srcset="${escapeHtml(product.image_webp_srcset)}" 
+                                        sizes="${CONFIG.IMAGE_SIZES_CARD}">
+                            ` : ''}
+                            <img class="product-image lazy-load" 
+                                 data-src="${escapeHtml(product.product_image)}" 
+                                 ${product.image_srcset ? `data-srcset="${escapeHtml(product.image_srcset)}" sizes="${CONFIG.IMAGE_SIZES_CARD}"` : ''}
+                                 alt="${escapeHtml(product.product_title)}"
+                                 loading="lazy">
+                        </picture>
                     ` : `
                         <div class="product-image-placeholder">
                             <i class="fa fa-image"></i>
@@ -658,21 +686,34 @@ $(document).ready(function() {
                 </div>
                 <div class="product-info">
                     <h3 class="product-title">${escapeHtml(product.product_title)}</h3>
-                    <p class="product-price">$${parseFloat(product.product_price).toFixed(2)}</p>
+                    <p class="product-price">${product.price_from ? 'From ' : ''}$${parseFloat(product.product_price).toFixed(2)}</p>
                     <div class="product-meta">
                         <span class="product-category">${escapeHtml(product.category_name || 'Unknown Category')}</span>
                         <span class="product-brand">${escapeHtml(product.brand_name || 'Unknown Brand')}</span>
                     </div>
+                    <div class="product-meta">
+                        ${stockBadge(product)}
+                    </div>
                     ${product.product_description ? `
                         <p class="product-description">${escapeHtml(product.product_description.substring(0, 100))}${product.product_description.length > 100 ? '...' : ''}</p>
                     ` : ''}
                 </div>
                 <div class="product-actions">
-                    <button class="btn btn-primary add-to-cart-btn" 
-                            data-product-id="${product.product_id}"
-                            data-product-title="${escapeHtml(product.product_title)}">
-                        <i class="fa fa-shopping-cart"></i> Add to Cart
-                    </button>
+                    ${product.has_variants ? `
+                        <a class="btn btn-primary" href="single_product.php?id=${product.product_id}">
+                            <i class="fa fa-list"></i> Choose Options
+                        </a>
+                    ` : product.stock_status === 'sold_out' ? `
+                        <button class="btn btn-primary" disabled>
+                            <i class="fa fa-ban"></i> Sold Out
+                        </button>
+                    ` : `
+                        <button class="btn btn-primary add-to-cart-btn btn-ripple" 
+                                data-product-id="${product.product_id}"
+                                data-product-title="${escapeHtml(product.product_title)}">
+                            <i class="fa fa-shopping-cart"></i> Add to Cart
+                        </button>
+                    `}
                 </div>
             </div>
         `).join('');
@@ -691,6 +732,9 @@ $(document).ready(function() {
         
         // Show results count
         displayResultsCount(pagination);
+        
+        // Add ripple effect to buttons
+        addRippleEffect();
     }
 
     /**
@@ -792,6 +836,30 @@ $(document).ready(function() {
         $('#results-count').hide();
     }
 
+    /**
+     * Offer the server's spelling correction for a search with few matches
+     * The results already include products matching the correction; the link
+     * searches for the corrected words alone.
+     * @param {string|null} correction - Corrected query, or null to hide the notice
+     */
+    function displayCorrection(correction) {
+        let $notice = $('#search-correction');
+        if ($notice.length === 0) {
+            $notice = $('<p id="search-correction" class="search-correction" role="status"></p>')
+                .insertBefore('#products-container');
+        }
+        
+        if (!correction || correction === state.currentQuery) {
+            $notice.empty().hide();
+            return;
+        }
+        
+        $notice.html(`
+            Did you mean
+            <a href="#" class="search-correction-link" data-query="${escapeHtml(correction)}">${escapeHtml(correction)}</a>?
+        `).show();
+    }
+
     /**
      * Display search metadata
      */
@@ -805,13 +873,13 @@ $(document).ready(function() {
      * Display filter metadata
      */
     function displayFilterMetadata(metadata) {
-        if (metadata.filter_time) {
-            $('#filter-time').html(`Filter applied in ${(metadata.filter_time * 1000).toFixed(0)}ms`).show();
+        if (metadata.search_time) {
+            $('#filter-time').html(`Filter applied in ${(metadata.search_time * 1000).toFixed(0)}ms`).show();
         }
     }
 
     /**
-     * Initialize lazy loading for images
+     * Initialize lazy loading for images with placeholders
      * Requirement: Image lazy loading for performance
      */
     function initializeLazyLoading() {
@@ -822,22 +890,19 @@ $(document).ready(function() {
                 entries.forEach(entry => {
                     if (entry.isIntersecting) {
                         const img = entry.target;
-                        img.src = img.dataset.src;
-                        img.classList.remove('lazy-load');
+                        loadImageWithPlaceholder(img);
                         imageObserver.unobserve(img);
                     }
                 });
             }, {
-                rootMargin: `${CONFIG.IMAGE_LAZY_LOAD_THRESHOLD}px`
+                rootMargin: `${CONFIG.IMAGE_LAZY_LOAD_THRESHOLD}px`,
+                threshold: 0.1
             });
             
             lazyImages.forEach(img => imageObserver.observe(img));
         } else {
             // Fallback for browsers without IntersectionObserver
-            lazyImages.forEach(img => {
-                img.src = img.dataset.src;
-                img.classList.remove('lazy-load');
-            });
+            lazyImages.forEach(img => loadImageWithPlaceholder(img));
         }
     }
 
@@ -854,13 +919,26 @@ $(document).ready(function() {
      */
     function handlePopState(e) {
         if (e.originalEvent.state) {
-            // Restore state from browser history
+            // Restore state from browser history; the entry already exists, so nothing is pushed
             Object.assign(state, e.originalEvent.state);
+            state.currentFilters = Object.assign({}, e.originalEvent.state.currentFilters);
             restoreUIFromState();
-            reloadCurrentView();
+            fetchProducts();
         }
     }
 
+    /**
+     * The part of the state that the URL and browser history describe
+     */
+    function viewState() {
+        return {
+            currentQuery: state.currentQuery,
+            currentFilters: Object.assign({}, state.currentFilters),
+            currentSort: state.currentSort,
+            currentPage: state.currentPage
+        };
+    }
+
     /**
      * Update URL with current state for bookmarking and navigation
      */
@@ -871,13 +949,12 @@ $(document).ready(function() {
             params.set('q', state.currentQuery);
         }
         
-        if (state.currentFilters.category_id) {
-            params.set('category', state.currentFilters.category_id);
-        }
-        
-        if (state.currentFilters.brand_id) {
-            params.set('brand', state.currentFilters.brand_id);
-        }
+        // Multi-select facets as comma-separated lists, e.g. brand=3,7
+        Object.keys(FACETS).forEach(facet => {
+            if (state.currentFilters[facet].length > 0) {
+                params.set(FACETS[facet].urlParam, state.currentFilters[facet].join(','));
+            }
+        });
         
         if (state.currentFilters.min_price !== null) {
             params.set('min_price', state.currentFilters.min_price);
@@ -887,6 +964,10 @@ $(document).ready(function() {
             params.set('max_price', state.currentFilters.max_price);
         }
         
+        if (isSorted()) {
+            params.set('sort', state.currentSort);
+        }
+        
         if (state.currentPage > 1) {
             params.set('page', state.currentPage);
         }
@@ -894,7 +975,7 @@ $(document).ready(function() {
         const newURL = window.location.pathname + (params.toString() ? '?' + params.toString() : '');
         
         // Update browser history
-        history.pushState(state, '', newURL);
+        history.pushState(viewState(), '', newURL);
     }
 
     /**
@@ -904,16 +985,19 @@ $(document).ready(function() {
         const params = new URLSearchParams(window.location.search);
         
         state.currentQuery = params.get('q') || '';
-        state.currentFilters.category_id = params.get('category') ? parseInt(params.get('category')) : null;
-        state.currentFilters.brand_id = params.get('brand') ? parseInt(params.get('brand')) : null;
+        Object.keys(FACETS).forEach(facet => {
+            const values = (params.get(FACETS[facet].urlParam) || '').split(',').filter(value => value !== '');
+            state.currentFilters[facet] = FACETS[facet].numeric
+                ? values.map(value => parseInt(value, 10)).filter(value => value > 0)
+                : values;
+        });
         state.currentFilters.min_price = params.get('min_price') ? parseFloat(params.get('min_price')) : null;
         state.currentFilters.max_price = params.get('max_price') ? parseFloat(params.get('max_price')) : null;
+        state.currentSort = validSort(params.get('sort'));
         state.currentPage = params.get('page') ? parseInt(params.get('page')) : 1;
         
         // Restore UI elements
-        setTimeout(() => {
-            restoreUIFromState();
-        }, 100); // Wait for filter options to load
+        restoreUIFromState();
     }
 
     /**
@@ -921,15 +1005,16 @@ $(document).ready(function() {
      */
     function restoreUIFromState() {
         $('#product-search').val(state.currentQuery);
-        $('#category-filter').val(state.currentFilters.category_id || '');
-        $('#brand-filter').val(state.currentFilters.brand_id || '');
         $('#min-price-filter').val(state.currentFilters.min_price || '');
         $('#max-price-filter').val(state.currentFilters.max_price || '');
+        $('#product-sort').val(state.currentSort);
         
-        // Update brand options if category is selected
-        if (state.currentFilters.category_id) {
-            updateBrandOptions(state.currentFilters.category_id);
-        }
+        // Tick the facets to match until the new counts arrive
+        $('.facet-checkbox').each(function() {
+            const facet = $(this).data('facet');
+            const value = FACETS[facet] && FACETS[facet].numeric ? parseInt(this.value, 10) : this.value;
+            this.checked = Boolean(FACETS[facet]) && state.currentFilters[facet].includes(value);
+        });
         
         updateActiveFiltersDisplay();
     }
@@ -1046,10 +1131,13 @@ $(document).ready(function() {
     function generateCacheKey(params) {
         const keyParts = [
             params.query || '',
-            params.category_id || '',
-            params.brand_id || '',
+            (params.category_ids || []).join(','),
+            (params.brand_ids || []).join(','),
+            (params.price_ranges || []).join(','),
             params.min_price || '',
             params.max_price || '',
+            params.sort_by || '',
+            params.sort_order || '',
             params.page || 1,
             params.limit || CONFIG.PAGINATION_LIMIT
         ];
@@ -1068,466 +1156,126 @@ $(document).ready(function() {
     }
 
     /**
-     * Store
- */
-    function setCachedResult(cacheKeya) {
-        // Implement LRU cach
-        if (state.cache.size >= CONE) {
-            const firstKey = state.cachue;
+     * Store result in cache, evicting the oldest entry when the cache is full
+     */
+    function setCachedResult(cacheKey, data) {
+        if (state.cache.size >= CONFIG.MAX_CACHE_SIZE) {
+            const firstKey = state.cache.keys().next().value;
             state.cache.delete(firstKey);
         }
         
-      cheKey, {
-       }
-
-        });    }
-        error');Connection mptyState('    displayE       ');
-     try again.nd on atiyour connecse check ducts. Pleaload proiled to ror', 'Fannection Er'CoshowError(          se);
-      alngState(foadi  setL              
-             rror);
-   s, e, statums:`)}(2.toFixedr ${loadTimefted aoad faile(`Le.error   consol           
-                  e;
-Timme - startendTi=  loadTime nst  co             w();
- .no performance =ndTime     const e          ror) {
- ertatus, on(xhr, sror: functi          er         },
+        state.cache.set(cacheKey, {
+            data: data,
+            timestamp: Date.now()
+        });
     }
-               cts');
-   produo loadFailed ttate('mptySsplayE di            
-       ; products')led to loadage || 'Faisponse.messor', rer('Err  showErro              e {
-     els           });
-     tionpaginae.data.cts, responsduprota.e.daponsroducts(resdisplayP                      
-                   });
-              ation
-     .data.paginresponseion:     paginat               s,
-     productponse.data.roducts: res  p                     y, {
- t(cacheKeesultCachedR          se          t
-ulssful res the succe   // Cache          
-       ess') {s === 'succse.statuf (respon  i                   
-      e);
-     (falsLoadingState set                       
- }
-                 `);
-      2)}msme.toFixed( in ${loadTioadedducts lProle.log(`nso  co                Time);
-  load.push(esims.loadTmanceMetrictate.perfor          s          ITORING) {
-NCE_MONFIG.PERFORMA   if (CON          
-              me;
-     tTidTime - staradTime = ent lo       cons       w();
-  nce.noperformame =  const endTi              ) {
- esponse: function(rssce       suc     'json',
-dataType:             ta,
-: loadDa     data      GET',
-  'ype:           t',
- .phpionay_actt_displch_producactions/fet: 'rl     ux({
-        $.aja             
-true);
-  ate(LoadingSt    set     
-            }
- ;
-     return       n);
-  natioResult.pagi cachedcts,sult.products(cachedReisplayProdu   d
-         t');uct resulhed prodg('Using cacnsole.loco            Result) {
-if (cached             
-);
-   cheKeyesult(caetCachedRt = gchedResul  const ca
-      oadData);CacheKey(l= generateeKey t cach    cons    
-        };
-    T
-    ION_LIMIATNFIG.PAGINimit: CO     l     
-  ntPage,urrete.cage: sta   p  {
-       dData = nst loa        co.now();
-ce= performan startTime  const
-               eturn;
-g) rdin(state.isLoa   if () {
-     oductstion loadPr/
-    funching
-     *cacoducts with d load pr   * Enhance
-  
+
     /**
+     * Clean expired cache entries
+     */
+    function cleanExpiredCache() {
+        const now = Date.now();
+        for (const [key, value] of state.cache.entries()) {
+            if ((now - value.timestamp) >= CONFIG.CACHE_EXPIRY_TIME) {
+                state.cache.delete(key);
+            }
+        }
     }
-        });        }
-   ');
- ection erroronnilter ctate('FEmptyS   display           n.');
-  try againd on anectir concheck youPlease er failed. Filton Error', 'Connecti showError('            false);
-   adingState(     setLo
-                          r);
- s, erro:`, statud(2)}msTime.toFixelterfi${ter  afailedilter fole.error(`F   cons      
-                       me;
-Ti - startTimeendlterTime =  const fi         
-      e.now();erformancime = pnst endT       co    ) {
-     roratus, err, stn(xhunctio error: f           },
-             }
-         }
-                         ed');
- lter failFiptyState('  displayEm                
-      iled');ter fa || 'Filmessage, response.rror'('Filter EwError sho                    else {
-             }        ons);
-   suggestiponse.ters', resng your filtchid maounucts f prodte('NolayEmptyStaisp d                    
-   ') {nd=== 'not_foutype or_se.err  if (respon                  {
-     } else           
-      }              data);
- ilter_meta(response.fMetadatasplayFilter    di                   
- adata) {er_met.filtresponse    if (            
-    er metadatafilt   // Show            
-                  );
-        aginationa.presponse.datucts, odnse.data.prts(resposplayProduc         di          
-                      });
-            ta
-       etadanse.filter_m respoer_metadata:filt                    
-    tion,data.paginan: response.ginatio     pa                 oducts,
-  e.data.pr: responsuctsrod     p              {
-     t(cacheKey, chedResulCa  set                result
-  uccessful Cache the s         //         {
-   s')  'succese.status ===if (respons          
-                    );
-  e(falseStatLoading   set        
-                       }
-       ;
-       2)}ms`)ime.toFixed(lterTeted in ${fipler com`Filte.log(onsol  c        
-          G) {ORINMONITMANCE_G.PERFOR   if (CONFI               
-         ;
-     rtTime sta= endTime -me lterTifi    const        ;
-     .now()rmanceme = perfo endTi const              {
-  e)on(respons functis:  succes   ,
-       on' 'jsaType:        datrData,
-    te data: fil    T',
-       : 'GE    type',
-        .phpduct_action/filter_proactions     url: '({
-          $.ajax   
-     ue);
-     ngState(trdi setLoa  
-                   }
-n;
-  tur          re }
-           ta);
-  da.filter_metaedResultta(cachtadayFilterMe   displa          {
-    ta)er_metadailtResult.ff (cached           iation);
- aginchedResult.ps, caproductult.Reshedcts(cacProdulay       dispt');
-     filter resul cached og('Usingole.l     cons{
-       edResult)  if (cach   
-    
-        acheKey);(cachedResult getCult =hedRes cac   const     Data);
-erey(filtrateCacheKheKey = genecacnst         co        
-rs);
-currentFiltete., stailterDatassign(f   Object.a   lters
-  d active fi       // Ad
-        
-     };   
- _LIMITG.PAGINATIONt: CONFI   limi     e,
-    .currentPagatee: st     pag{
-       ilterData = st f con();
-       .nowmanceerfortTime = pconst star 
-              eturn;
- ng) rLoadi(state.isif  {
-        ducts()lterProfunction fi  */
-    
-    cachings withter productEnhanced fil    * *
-   /* }
-
-  
-      });    }
-     ;
-        n error')ioconnect('Search atelayEmptySt  disp          
-    ');ain.d try ag anconnectionyour ease check  Pliled. 'Search far',n Erronectiorror('Con    showE          false);
-  te(oadingSta  setL             
-                or);
-  status, err}ms:`,oFixed(2)earchTime.t{s $fterfailed ah rce.error(`Seaonsol  c          
-                   tTime;
- - starme  = endTiTimerchnst sea      co          ow();
-ance.n= performnst endTime           co
-      , error) {atusr, ston(xh functi   error:             },
-    }
-                     }
-                   );
-d'Search failetyState('yEmpispla      d              ;
-    iled')Search fa || 'se.message', responErrorror('Search    showEr             
-          } else {                  estions);
-sponse.suggarch', re your sed matchings foun productNoptyState('yEmdispla                   d') {
-     t_foun== 'noor_type =onse.err(resp      if               {
-se    } el                  }
-       );
-        h_metadataarcponse.seesadata(rMetrchaySea  displ                    {
-   ata)tadarch_meponse.se   if (res              
-   ch metadataar Show se          //                   
-          ation);
- e.data.pagincts, respons.data.produresponseProducts(laydisp                         
-         });
-                          etadata
-earch_mesponse.setadata: rsearch_m                    tion,
-    data.paginaponse.: res  pagination                 
-     ucts,se.data.products: responod   pr             {
-        cheKey, t(caCachedResul      set            ult
-  esful rsuccess/ Cache the        /          ess') {
-   us === 'succsponse.statf (re    i            
-               alse);
- e(ftLoadingStat        se             
-                }
-        ms`);
-   2)}ed(oFixarchTime.teted in ${seompl`Search cole.log(  cons         ;
-         (searchTime)hTimes.push.searcricsformanceMetate.per   st            
-     G) {E_MONITORING.PERFORMANC if (CONFI       
-                
-        ime;tartTime - sime = endTst searchT        con      );
-  now(ormance.= perfme ndTi e   const              {
-sponse)nction(ress: fuce     suc  ,
-     Type: 'json'     data       
-archData,data: se         GET',
-   pe: '        ty
-    tion.php',_product_acearchons/s 'acti      url:
-        $.ajax({  
-            );
- Date.now(SearchTime =aste.lstat;
-        gState(true)din      setLoa
-  
-               }rn;
-         retu
-           };
-     ta)h_metadaearcult.schedResa(caadatySearchMet      displa  
-        tadata) {.search_meResult(cached     if n);
-       paginatioachedResult.cts, c.produltedResu(cachoductsdisplayPr           );
- t'ch resulearched ssing cansole.log('U  co          Result) {
-ched if (ca  
-            
- y);cheKehedResult(cault = getCacchedRes    const ca
-    archData);cheKey(seCaateerKey = genacheonst c
-        c        }
-     });
-               ax_price
-ters.mFilntstate.curre_price: max               ice,
- s.min_prlterentFie.currprice: stat      min_
-          id,and_rs.brentFilte: state.curr brand_id            ,
-   .category_iderscurrentFilt: state.ory_id  categ          ta, {
-    hDan(searcsigObject.as     ) {
-       lters()ActiveFi     if (hasst
-    if they exiearchlters to s   // Add fi     
-     ;
-        }N_LIMIT
-   PAGINATIONFIG.it: CO       limPage,
-     rente.curat: stpage       ry,
-     ry: que        que = {
-    rchDatast sea        conw();
-rmance.nome = perfostartTi   const      
-       eturn;
- isLoading) r if (state.    y) {
-   cts(querearchProduction s fun  */
-   caching
-   h with archanced se
-     * En /**  }
-
-   });
-          });
-         00);
-        }, 6  ;
-         e.remove()       rippl             () => {
-Timeout(    set              
-           pple);
-   Child(riis.appendth          
-                      le');
-'rippadd(.classList. ripple               
-= y + 'px';.style.top pple      ri         px';
-  + 'e.left = xipple.styl          r
-      e + 'px';ht = sizeigple.style.hh = riptyle.widt ripple.s                   
-      2;
-      - size / ect.top clientY - ronst y = e.         c;
-       - size / 2eft ct.l retX - e.cliennst x =co            ;
-    eight)idth, rect.hrect.wx(ze = Math.ma  const si            t();
-  ngClientRecgetBoundiis.ect = th    const r      
-      n');ment('spa.createEle= documentipple t rons  c       
-       nction(e) {'click', fur(enedEventList.ad   button  {
-       => on Each(buttple').for-riptnorAll('.berySelectent.qu   docum     {
- leEffect() addRipp function  */
-      experience
-ser  ubetteredback for al fe and visufectsover ef: Add hntequireme R   *ttons
-  fect to buripple ef   * Add 
+
     /**
-  
+     * Initialize performance monitoring
+     * Requirement: Performance optimizations and monitoring
+     */
+    function initializePerformanceMonitoring() {
+        if (!CONFIG.PERFORMANCE_MONITORING) return;
+        
+        // Monitor page load performance
+        if (window.performance && window.performance.timing) {
+            window.addEventListener('load', () => {
+                const loadTime = window.performance.timing.loadEventEnd - window.performance.timing.navigationStart;
+                console.log(`Page load time: ${loadTime}ms`);
+            });
+        }
+        
+        // Monitor memory usage (if available)
+        if (window.performance && window.performance.memory) {
+            setInterval(() => {
+                const memory = window.performance.memory;
+                if (memory.usedJSHeapSize > memory.jsHeapSizeLimit * 0.9) {
+                    console.warn('High memory usage detected, clearing cache');
+                    state.cache.clear();
+                }
+            }, 30000); // Check every 30 seconds
+        }
     }
-();EffectRipple
-        addonso buttple effect td rip     // Ad    
-   ;
-    ion)unt(paginatlayResultsCo     dispunt
-   esults co/ Show r
-        / ;
-       yLoading()tializeLaz   inimages
-     new iloading for azy ize lnitial // I 
-       n);
-       atioon(paginplayPaginati
-        disiony paginatpla// Dis            
- `);
-        </div>
-           sHtml}
-      ${product             -grid">
- "productsass= <div cl          
- er.html(`contain   $  
-     ;
-      join('') `).     v>
-        </didiv>
-           </          on>
- tt     </bu               Cart
- /i> Add to-cart">< fa-shopping"fai class=           <          
-   tle)}">ct_tiroduct.produapeHtml(p${esctitle="product- data-                           }"
-duct_idproroduct.="${product-id    data-p                   
-     tn-ripple" t-btn bardd-to-crimary a"btn btn-pton class= <but             
-      ctions">oduct-a"prss=<div cla           /div>
-             <     
-   ` : ''}                     ''}</p>
-' : ? '...ngth > 100scription.leroduct_deoduct.p{pr(0, 100))}$ing.substrptionduct_descriproduct.proescapeHtml(">${-descriptionductroass="pp cl       <            ? `
-      iptiont_descr.producct   ${produ                
-     </div>          >
-      /spand')}<known Bran|| 'Uname duct.brand_nl(pro${escapeHtmd">oduct-bran"prs=clas     <span                >
-    ory')}</spannown Categ || 'Unkategory_namet.ceHtml(producscapory">${et-categss="produc<span cla                      >
-  -meta"s="product  <div clas                 >
- </ptoFixed(2)}ce)._priuctodproduct.prseFloat(ar${pprice">$product-lass=" <p c            h3>
-       itle)}</oduct_tl(product.pr>${escapeHtmuct-title"="prodssh3 cla   <                ">
- roduct-info"piv class=          <d    </div>
-                    `}
-         >
-         div   </            
-         </span>No Image    <span>                        "></i>
-agea fa-imss="f cla    <i               
-         ">lderceho-image-pla="productv class       <di           : `
-          `         
-        ="lazy">ding loa                            }"
-le)t_titproducuct.prodl(capeHtmes"${  alt=                          }" 
- _image)t.productHtml(produc${escaperc="  data-s                        
-    lazy-load"oduct-image class="prg im     <                   iv>
-        </d            >
-    panoading...</s     <span>L                      ></i>
- mage"="fa fa-issla        <i c                 lder">
-   ge-placehomaiv class="i <d                      `
- ? duct_image .pro{product     $              
- r">containe-image-ctoduss="pr<div cla             id}">
-   roduct_{product.p"$product-id=data-" product-card"ass=div cl         <t => `
-   producap(oducts.m = prproductsHtml     const   ading
-  lonced lazyL with enha HTMroduct gride p/ Generat
-        /}
-          
-      rn;        retud');
-    oun products ftyState('NoEmpdisplay            = 0) {
-length ==|| products.ts (!produc     if   
-   
-      r');containe#products-er = $('nst $contain   con) {
-     , paginatioductsucts(proProdion display
-    funct*/    t
- ing supporzy loadh lawitplay roduct disnced p   * Enha**
-  
-
-    /   }src;
- g.dataset.c = imImg.sr       new  
- 
-            };oad');
-  azy-lt.remove('l.classLis   img         }
-            ('error');
-ist.addlassLholder.c      place
-          `;          
-      span> to load</ledfaian>Image         <sp   
-         e"></i>nglation-triaa fa-exclam"f <i class=               ML = `
-    der.innerHT  placehol           er) {
-   eholdac    if (pler
-        aceholdrror pl   // Show e     ) {
-    n(ctioror = fung.oner  newIm 
-                   };
-     }
-  ;
-       = 'none'lay le.dispty.sceholder pla              lder) {
- (placehof   i       
-              -load');
- ('lazymoveList.relass     img.c;
-       ')('loadedist.addmg.classL     irc;
-       .s img.datasetimg.src =           {
-   function() =Img.onload       new       
-  Image();
-  = new newImg       constading
-  loo testw image tte ne    // Crea     
-    ');
-   eholdermage-plac.ilector('querySeentElement.parr = img.oldest placehcon        
-der(img) {eholageWithPlacadImlounction     f  */
-
-   ghandlinnd error lder ath placehowiimage Load *
-     * 
-    /*}
-}
-    
-        });      ;
-      r(img)eholdegeWithPlac    loadIma          g => {
-  h(imad').forEaclazy-loorAll('..querySelectdocument        erver
-    ectionObsut Intersowsers withock for br Fallba       //    e {
-       } elsserver;
-   imageObserver =eObwindow.imag          er use
-  r for lattore observe       // S             
-    });
-       
-     erve(img);er.obs imageObserv            mg => {
-   Each(iload').for('.lazy-SelectorAllcument.query        doimages
-    zy load lae all // Observ      
-                      });
-.1
-        hold: 0es  thr              `,
-HRESHOLD}pxY_LOAD_TIG.IMAGE_LAZ{CONF `$argin:  rootM             
-  {      },});
-             
-                 }          img);
-  r.unobserve(mageObserve        i           
-     mg);ceholder(ihPlaloadImageWit                 t;
-       ge= entry.taronst img      c               
-    {ng) tiersecentry.isInt   if (                 try => {
-rEach(enfotries.   en            => {
- observer) es, ((entriObserverersectionew IntObserver = nt imagecons     
-       dow) {n win ionObserver'('Intersecti  if 
-      Loading() {Lazynitializeon iuncti f  */
-      r images
-holdeng and placeh lazy loadiloading witge ma i: Optimizentuireme   * Req images
-  derlacehold pr antion observentersec iing withzy load laced * Enhan  /**
+
+    /**
+     * Load image with placeholder and error handling
+     */
+    function loadImageWithPlaceholder(img) {
+        const placeholder = img.closest('.product-image-container').querySelector('.image-placeholder');
+        
+        img.onload = function() {
+            img.classList.add('loaded');
+            img.classList.remove('lazy-load');
+            
+            if (placeholder) {
+                placeholder.style.display = 'none';
+            }
+        };
+        
+        img.onerror = function() {
+            // Show error placeholder
+            if (placeholder) {
+                placeholder.innerHTML = `
+                    <i class="fa fa-exclamation-triangle"></i>
+                    <span>Image failed to load</span>
+                `;
+                placeholder.classList.add('error');
+            }
+            img.classList.remove('lazy-load');
+        };
+        
+        // Load the element itself so the browser picks the rendition (WebP first) for its size
+        img.parentElement.querySelectorAll('source[data-srcset]').forEach(source => {
+            source.srcset = source.dataset.srcset;
+        });
+        if (img.dataset.srcset) {
+            img.srcset = img.dataset.srcset;
+        }
+        img.src = img.dataset.src;
     }
 
-           }
- conds
-  ery 30 seevk 0); // Chec }, 3000                    }
-       
-);e.clear( state.cach                  
- ng cache');ted, cleariece dety usagorn('High memsole.war       con       {
-      * 0.9) izeLimit jsHeapSry.Size > memoeapedJSHf (memory.us      i      emory;
-    nce.mperformary = window.memo  const               l(() => {
-nterva    setI
-        memory) {e.performancow.ind wformance && (window.perif      le)
-  if availabe (ag memory us // Monitor       
-   }
-       
-           });       e}ms`);
- ${loadTim load time:`Pagee.log(      consol      
-    art;ionStming.navigatrmance.tirfondow.petEnd - wienloadEvtiming.nce.ormaow.perf windt loadTime =    cons          ) => {
-  'load', (ntListener(Eveow.add  wind
-           {g)intimance.rmperfo && window.performancew.   if (windoance
-     d perform page loa Monitor   //      
-  turn;
-     RING) re_MONITORFORMANCECONFIG.PEif (! {
-        ()inganceMonitorormlizePerf initia    function
+    /**
+     * Add ripple effect to buttons
+     * Requirement: Add hover effects and visual feedback for better user experience
      */
-oring monitations andmiz optirmancerfo PeRequirement:   * ng
-   monitoriceormanze perfnitiali
-     * I/**  }
-
-     }
-  }
-                   (key);
-he.deletetate.cac    s    {
-        PIRY_TIME) CHE_EX.CAFIGCONstamp) >= melue.tiw - va    if ((no {
-        e.entries())tate.cach] of s [key, value for (const();
-       w = Date.now   const no
-     e() {chxpiredCation cleanE
-    func/     *entries
-pired cache  ex     * Clean   /**
- }
-
- ;
-    })w()
-       e.noDatimestamp:            tta,
- da data:         he.set(cate.cacsta  al().v().nexte.keys_CACHE_SIZFIG.MAXche is fullf caies ildest entry removing oe b, dat    in cachet  resul
+    function addRippleEffect() {
+        document.querySelectorAll('.btn-ripple').forEach(button => {
+            button.addEventListener('click', function(e) {
+                const rect = this.getBoundingClientRect();
+                const size = Math.max(rect.width, rect.height);
+                const x = e.clientX - rect.left - size / 2;
+                const y = e.clientY - rect.top - size / 2;
+                
+                const ripple = document.createElement('span');
+                ripple.style.width = ripple.style.height = size + 'px';
+                ripple.style.left = x + 'px';
+                ripple.style.top = y + 'px';
+                ripple.classList.add('ripple');
+                
+                this.appendChild(ripple);
+                
+                setTimeout(() => {
+                    ripple.remove();
+                }, 600);
+            });
+        });
+    }
 
     // Public API for external access
     window.ProductDisplay = {
-        loadProducts: loadProducts,
-        searchProducts: searchProducts,
-        filterProducts: filterProducts,
+        fetchProducts: fetchProducts,
         clearFilters: handleClearFilters,
         state: state
     };
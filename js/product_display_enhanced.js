@@ -2,6 +2,7 @@
  * Enhanced Product Display JavaScript
  * Task 11 - Enhanced user experience and performance
  * Handles dynamic filter updates, asynchronous search, pagination, and user interaction
+ * Requires js/lazy_images.js for setupImageLazyLoading()
  */
 
 // Global variables for enhanced functionality
@@ -102,51 +103,6 @@ function adjustForDesktop() {
     }
 }
 
-/**
- * Image lazy loading with placeholder support
- */
-function setupImageLazyLoading() {
-    const images = document.querySelectorAll('img[data-src]');
-    
-    if ('IntersectionObserver' in window) {
-        const imageObserver = new IntersectionObserver((entries, observer) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const img = entry.target;
-                    loadImage(img);
-                    observer.unobserve(img);
-                }
-            });
-        });
-        
-        images.forEach(img => imageObserver.observe(img));
-    } else {
-        // Fallback for older browsers
-        images.forEach(loadImage);
-    }
-}
-
-function loadImage(img) {
-    // Show loading placeholder
-    img.classList.add('loading');
-    
-    const actualImg = new Image();
-    actualImg.onload = function() {
-        img.src = this.src;
-        img.classList.remove('loading');
-        img.classList.add('loaded');
-    };
-    
-    actualImg.onerror = function() {
-        // Use placeholder image on error
-        img.src = 'images/placeholder-product.jpg';
-        img.classList.remove('loading');
-        img.classList.add('error');
-    };
-    
-    actualImg.src = img.dataset.src;
-}
-
 function setupIntersectionObserver() {
     const lazyImages = document.querySelectorAll('.product-image[data-src]');
     
@@ -0,0 +1,419 @@
+/**
+ * Product Import JavaScript
+ * Handles the file upload, column mapping, dry-run report and batched import
+ * on the admin import page
+ */
+
+$(document).ready(function() {
+    const api = window.SubCartAPI;
+
+    // Connection problems during the import are retried this many times per batch
+    const BATCH_RETRIES = 3;
+    const RETRY_DELAY = 2000;
+
+    // Dry run currently on screen (see preview_product_import_action.php)
+    let currentImport = null;
+    let importing = false;
+    let nextRow = 0;
+
+    // Initialize the page
+    initializePage();
+
+    /**
+     * Initialize page functionality
+     */
+    function initializePage() {
+        bindEventHandlers();
+    }
+
+    /**
+     * Bind all event handlers
+     */
+    function bindEventHandlers() {
+        $('#import-file-form').submit(handleFileSubmit);
+
+        $('#import-mapping').on('change', '.import-mapping-select', handleMappingChange);
+
+        $('#show-rejected-only').change(function() {
+            $('#import-rows tr.valid, #import-rows tr.imported').toggle(!this.checked);
+        });
+
+        $('#start-import-btn').click(function(e) {
+            e.preventDefault();
+            startImport();
+        });
+
+        $('#download-rejected-btn').click(function(e) {
+            e.preventDefault();
+            if (currentImport) {
+                window.location.href = api.productImports.errorsUrl(currentImport.import_id);
+            }
+        });
+
+        $('#start-over-btn').click(function(e) {
+            e.preventDefault();
+            resetImport();
+        });
+    }
+
+    /**
+     * Send the chosen file for a dry run
+     */
+    function handleFileSubmit(e) {
+        e.preventDefault();
+
+        const file = $('#import_file')[0].files[0];
+        if (!file) {
+            showError('Validation Error', 'Choose a CSV or JSON file to import!');
+            return;
+        }
+
+        if (!/\.(csv|json)$/i.test(file.name)) {
+            showError('Validation Error', 'Only CSV and JSON files can be imported!');
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('import_file', file);
+
+        setButtonLoading('#check-file-btn', true, 'Checking...');
+
+        api.productImports.preview(formData)
+            .then(function(response) {
+                showPreview(response.data);
+            })
+            .catch(showApiError)
+            .finally(function() {
+                setButtonLoading('#check-file-btn', false);
+            });
+    }
+
+    /**
+     * Run the dry run again after a column is mapped differently
+     */
+    function handleMappingChange() {
+        const mapping = {};
+        $('.import-mapping-select').each(function() {
+            mapping[$(this).data('field')] = $(this).val();
+        });
+
+        $('.import-mapping-select, #start-import-btn').prop('disabled', true);
+
+        api.productImports.remap(currentImport.import_id, mapping)
+            .then(function(response) {
+                showPreview(response.data);
+            })
+            .catch(function(error) {
+                showApiError(error);
+                $('.import-mapping-select').prop('disabled', false);
+                updateImportButton();
+            });
+    }
+
+    /**
+     * Display a dry run: the column mapping, row counts and one line per row
+     * @param {object} data - Dry run from preview_product_import_action.php
+     */
+    function showPreview(data) {
+        currentImport = data;
+        nextRow = 0;
+
+        displayMapping(data);
+        displaySummary([
+            { label: 'Rows in ' + data.file_name, value: data.total_rows, icon: 'fa-file-alt' },
+            { label: 'Ready to import', value: data.valid_rows, icon: 'fa-check' },
+            { label: 'Rejected', value: data.rejected_rows, icon: 'fa-times' }
+        ]);
+        displayRows(data.rows);
+
+        $('#import-progress').hide();
+        $('#download-rejected-btn').toggle(data.rejected_rows > 0);
+        $('#import-preview').show();
+        updateImportButton();
+
+        if (data.mapping_error) {
+            showError('Columns', data.mapping_error);
+        }
+    }
+
+    /**
+     * Display a select per field listing the file's columns
+     * @param {object} data - Dry run
+     */
+    function displayMapping(data) {
+        $('#import-mapping').html(data.fields.map(field => `
+            <div class="form-group">
+                <label for="mapping_${field.field}" class="form-label">
+                    ${escapeHtml(field.label)}${field.required ? ' *' : ''}
+                </label>
+                <select class="form-input import-mapping-select" id="mapping_${field.field}" data-field="${field.field}">
+                    <option value="">${field.required ? 'Choose a column...' : 'Leave empty'}</option>
+                    ${data.headers.map(header => `
+                        <option value="${escapeHtml(header)}" ${data.mapping[field.field] === header ? 'selected' : ''}>${escapeHtml(header)}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `).join(''));
+    }
+
+    /**
+     * Display the row counts as cards
+     * @param {Array} figures - label, value and icon of each count
+     */
+    function displaySummary(figures) {
+        $('#import-summary').html(figures.map(figure => `
+            <div class="brand-card">
+                <div class="brand-header">
+                    <h6 class="brand-name">${escapeHtml(String(figure.value))}</h6>
+                </div>
+                <div class="brand-meta">
+                    <small class="brand-date">
+                        <i class="fa ${figure.icon}"></i> ${escapeHtml(figure.label)}
+                    </small>
+                </div>
+            </div>
+        `).join(''));
+    }
+
+    /**
+     * Display one table line per row with its dry-run status
+     * @param {Array} rows - Rows from the dry run
+     */
+    function displayRows(rows) {
+        $('#import-rows').html(rows.map(row => `
+            <tr id="import-row-${row.row}" class="${row.errors.length ? 'rejected' : 'valid'}">
+                <td>${row.row}</td>
+                <td>${escapeHtml(row.product_title || '')}</td>
+                <td>${row.product_price !== null ? formatMoney(row.product_price) : ''}</td>
+                <td>${escapeHtml(row.category_name || '')}</td>
+                <td>${escapeHtml(row.brand_name || '')}</td>
+                <td class="import-status">${formatStatus(row.errors, 'Ready')}</td>
+            </tr>
+        `).join(''));
+
+        $('#import-rows tr.valid').toggle(!$('#show-rejected-only').prop('checked'));
+    }
+
+    /**
+     * Status cell contents for a row
+     * @param {Array} errors - Error messages (empty when the row is fine)
+     * @param {string} okText - Text for a row without errors
+     * @returns {string} HTML
+     */
+    function formatStatus(errors, okText) {
+        if (!errors.length) {
+            return `<span class="import-ok"><i class="fa fa-check"></i> ${escapeHtml(okText)}</span>`;
+        }
+        return `<ul class="import-errors">${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`;
+    }
+
+    /**
+     * Enable the import button when there is something to import
+     */
+    function updateImportButton() {
+        const ready = currentImport && !currentImport.mapping_error && currentImport.valid_rows > 0;
+        $('#start-import-btn')
+            .prop('disabled', !ready || importing)
+            .html(nextRow > 0
+                ? '<i class="fa fa-play"></i> Resume Import'
+                : `<i class="fa fa-file-import"></i> Import ${ready ? currentImport.valid_rows : ''} Products`);
+    }
+
+    /**
+     * Confirm and start (or resume) the import
+     */
+    function startImport() {
+        if (!currentImport || importing) {
+            return;
+        }
+
+        const confirmed = nextRow > 0
+            ? Promise.resolve(true)
+            : Swal.fire({
+                icon: 'question',
+                title: `Import ${currentImport.valid_rows} products?`,
+                text: currentImport.rejected_rows > 0
+                    ? `${currentImport.rejected_rows} rejected rows will be skipped.`
+                    : 'Every row passed the dry run.',
+                showCancelButton: true,
+                confirmButtonText: 'Import',
+                cancelButtonText: 'Not Yet'
+            }).then(result => result.isConfirmed);
+
+        confirmed.then(function(proceed) {
+            if (!proceed) {
+                return;
+            }
+
+            importing = true;
+            $('.import-mapping-select, #check-file-btn, #start-over-btn').prop('disabled', true);
+            updateImportButton();
+            $('#import-progress').show();
+            setProgress(nextRow, currentImport.total_rows);
+            importBatch(nextRow, BATCH_RETRIES);
+        });
+    }
+
+    /**
+     * Import one batch, then the next until every row has been through
+     * @param {number} fromRow - Index of the batch's first row
+     * @param {number} retriesLeft - Retries left after a connection problem
+     */
+    function importBatch(fromRow, retriesLeft) {
+        api.productImports.importBatch(currentImport.import_id, fromRow)
+            .then(function(response) {
+                const data = response.data;
+
+                data.results.forEach(function(result) {
+                    const $row = $(`#import-row-${result.row}`);
+                    const imported = result.product_id !== null;
+
+                    $row.removeClass('valid rejected').addClass(imported ? 'imported' : 'rejected');
+                    $row.find('.import-status').html(formatStatus(result.errors, 'Imported'));
+                    if (imported && $('#show-rejected-only').prop('checked')) {
+                        $row.hide();
+                    }
+                });
+
+                nextRow = data.next_row;
+                setProgress(data.next_row, data.total_rows);
+
+                if (data.done) {
+                    finishImport(data);
+                } else {
+                    importBatch(data.next_row, BATCH_RETRIES);
+                }
+            })
+            .catch(function(error) {
+                // The server skips a batch it has already imported, so resending is safe
+                if (error.isTransportError() && retriesLeft > 0) {
+                    $('#import-progress-text').text('Connection problem, trying again...');
+                    setTimeout(() => importBatch(fromRow, retriesLeft - 1), RETRY_DELAY);
+                    return;
+                }
+
+                stopImport();
+                showApiError(error);
+            });
+    }
+
+    /**
+     * Report the outcome of a finished import
+     * @param {object} data - Last batch response
+     */
+    function finishImport(data) {
+        stopImport();
+        $('#start-import-btn').prop('disabled', true);
+
+        displaySummary([
+            { label: 'Rows in ' + currentImport.file_name, value: data.total_rows, icon: 'fa-file-alt' },
+            { label: 'Imported', value: data.imported_count, icon: 'fa-check' },
+            { label: 'Rejected', value: data.rejected_count, icon: 'fa-times' }
+        ]);
+        $('#download-rejected-btn').toggle(data.rejected_count > 0);
+
+        Swal.fire({
+            icon: data.rejected_count > 0 ? 'warning' : 'success',
+            title: 'Import Finished',
+            text: data.rejected_count > 0
+                ? `Imported ${data.imported_count} products. ${data.rejected_count} rows were rejected; download them to see why.`
+                : `Imported ${data.imported_count} products.`,
+            confirmButtonText: 'OK'
+        });
+    }
+
+    /**
+     * Leave importing mode, after the import finishes or stops on an error
+     */
+    function stopImport() {
+        importing = false;
+        $('#check-file-btn, #start-over-btn').prop('disabled', false);
+        // Columns can only change before the first batch is imported
+        $('.import-mapping-select').prop('disabled', nextRow > 0);
+        updateImportButton();
+    }
+
+    /**
+     * Show how far the import has got
+     * @param {number} done - Rows processed
+     * @param {number} total - Rows in the file
+     */
+    function setProgress(done, total) {
+        $('#import-progress .upload-progress-bar').css('width', Math.round(done / total * 100) + '%');
+        $('#import-progress-text').text(`${done} of ${total} rows processed`);
+    }
+
+    /**
+     * Clear the dry run so another file can be chosen
+     */
+    function resetImport() {
+        currentImport = null;
+        nextRow = 0;
+        $('#import-file-form')[0].reset();
+        $('#import-preview').hide();
+        $('#import-rows, #import-mapping, #import-summary').empty();
+    }
+
+    /**
+     * Set a button's loading state
+     * @param {string} selector - Button selector
+     * @param {boolean} loading - Whether the button is loading
+     * @param {string} loadingText - Text shown while loading
+     */
+    function setButtonLoading(selector, loading, loadingText) {
+        const $button = $(selector);
+        if (loading) {
+            $button.data('original-html', $button.html());
+            $button.prop('disabled', true).html(`<i class="fa fa-spinner fa-spin"></i> ${loadingText}`);
+        } else {
+            $button.prop('disabled', false).html($button.data('original-html'));
+        }
+    }
+
+    /**
+     * Show error message using SweetAlert2
+     * @param {string} title - The title of the alert
+     * @param {string} message - The message to display
+     */
+    function showError(title, message) {
+        Swal.fire({
+            icon: 'error',
+            title: title,
+            text: message,
+            confirmButtonText: 'OK'
+        });
+    }
+
+    /**
+     * Show an ApiError to the user
+     * @param {ApiError} error - The error raised by the API client
+     */
+    function showApiError(error) {
+        if (error.isTransportError()) {
+            console.error('Request failed:', error);
+            showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
+        } else {
+            showError('Error', error.message);
+        }
+    }
+
+    /**
+     * Format an amount for display
+     * @param {string|number} amount - Amount to format
+     * @returns {string} Formatted amount
+     */
+    function formatMoney(amount) {
+        return '$' + parseFloat(amount || 0).toFixed(2);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - The text to escape
+     * @returns {string} Escaped HTML
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+});
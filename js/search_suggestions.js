@@ -0,0 +1,580 @@
+/**
+ * SubCart Search Suggestions
+ * Search-as-you-type dropdown for the storefront search boxes. As the shopper
+ * types, search_suggestions_action.php is asked for matching searches, products,
+ * brands and categories, which are listed in groups under the box with the typed
+ * text highlighted. Products show their thumbnail and price and open the product
+ * page; brands and categories open the product list filtered to them. Before
+ * anything is typed the dropdown lists the shopper's recent searches, which are
+ * kept in this browser only.
+ *
+ * The box follows the ARIA combobox pattern: Up/Down move through the options,
+ * Enter picks the highlighted one (or searches for the text as typed), Escape
+ * closes the dropdown and then clears the box. Each keystroke cancels the request
+ * for the previous one, so a slow answer never replaces a newer one.
+ *
+ * Usage:
+ *     SearchSuggestions.attach('#product-search');                  // submits the box's form
+ *     SearchSuggestions.attach('#product-search', { onSearch: query => ... });
+ *
+ * Load after js/api.js.
+ */
+
+(function(window, $) {
+    'use strict';
+
+    const MIN_QUERY_LENGTH = 2;     // Matches search_suggestions_action.php
+    const MAX_QUERY_LENGTH = 100;
+    const TEXT_SUGGESTION_LIMIT = 3;
+    const DEBOUNCE_DELAY = 150;
+    const CACHE_SIZE = 20;
+    const RECENT_STORAGE_KEY = 'subcart_recent_searches';
+    const MAX_RECENT_SEARCHES = 6;
+    const THUMBNAIL_SIZES = '40px';
+
+    let nextListId = 1;
+
+    /**
+     * Escape text for HTML output
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return $('<div>').text(text).html();
+    }
+
+    /**
+     * Escape text and mark every case-insensitive occurrence of the query in it
+     * @param {string} text - Text to show
+     * @param {string} query - Typed query
+     * @returns {string} HTML with the matches wrapped in <mark>
+     */
+    function highlight(text, query) {
+        text = String(text);
+        const needle = query.toLowerCase();
+        const haystack = text.toLowerCase();
+
+        if (!needle || haystack.length !== text.length) {
+            // Lower-casing changed the length (some non-Latin text), so offsets would not line up
+            return escapeHtml(text);
+        }
+
+        let html = '';
+        let position = 0;
+        let index = haystack.indexOf(needle);
+
+        while (index !== -1) {
+            html += escapeHtml(text.slice(position, index)) +
+                '<mark>' + escapeHtml(text.slice(index, index + needle.length)) + '</mark>';
+            position = index + needle.length;
+            index = haystack.indexOf(needle, position);
+        }
+
+        return html + escapeHtml(text.slice(position));
+    }
+
+    /**
+     * Price as shown on the product cards
+     * @param {object} product - Suggested product
+     * @returns {string} Price such as "From $12.00"
+     */
+    function formatPrice(product) {
+        return (product.price_from ? 'From ' : '') + '$' + parseFloat(product.product_price).toFixed(2);
+    }
+
+    /**
+     * The shopper's recent searches, newest first
+     * @returns {Array<string>} Queries
+     */
+    function loadRecentSearches() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(RECENT_STORAGE_KEY) || '[]');
+            return Array.isArray(stored) ? stored.filter(query => typeof query === 'string') : [];
+        } catch (error) {
+            // Storage disabled or the value was not ours
+            return [];
+        }
+    }
+
+    /**
+     * Store the recent searches
+     * @param {Array<string>} queries - Queries, newest first
+     */
+    function saveRecentSearches(queries) {
+        try {
+            if (queries.length > 0) {
+                window.localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(queries));
+            } else {
+                window.localStorage.removeItem(RECENT_STORAGE_KEY);
+            }
+        } catch (error) {
+            // Private browsing or a full quota; recent searches are a convenience only
+        }
+    }
+
+    /**
+     * Put a query at the top of the recent searches
+     * @param {string} query - Query the shopper searched for
+     */
+    function rememberSearch(query) {
+        query = query.trim();
+        if (query.length < MIN_QUERY_LENGTH || query.length > MAX_QUERY_LENGTH) {
+            return;
+        }
+
+        const recent = loadRecentSearches().filter(item => item.toLowerCase() !== query.toLowerCase());
+        recent.unshift(query);
+        saveRecentSearches(recent.slice(0, MAX_RECENT_SEARCHES));
+    }
+
+    /**
+     * Attach the suggestions dropdown to a search box
+     * @param {string|Element|jQuery} input - The search text input
+     * @param {object} options - onSearch(query), called for a free-text search instead of
+     *                           submitting the input's form, and pageBase, the path of the
+     *                           storefront pages (default: the current directory)
+     * @returns {object|null} Controller with close(), or null if the input is missing
+     */
+    function attach(input, options = {}) {
+        const $input = $(input).first();
+        if ($input.length === 0) {
+            return null;
+        }
+
+        const api = window.SubCartAPI;
+        const pageBase = options.pageBase || '';
+        const listId = ($input.attr('id') || 'search') + '-suggestions-' + nextListId++;
+        const cache = new Map();
+
+        const $list = $(`<div class="search-suggestions" id="${listId}" role="listbox" hidden></div>`)
+            .attr('aria-label', 'Search suggestions');
+        const $status = $('<div class="sr-only" role="status" aria-live="polite"></div>');
+
+        $input.wrap('<div class="search-combobox"></div>').after($list, $status);
+        $input.attr({
+            role: 'combobox',
+            autocomplete: 'off',
+            'aria-autocomplete': 'list',
+            'aria-expanded': 'false',
+            'aria-controls': listId
+        });
+
+        let entries = [];           // { type, query, url } for each rendered option
+        let activeIndex = -1;
+        let debounceTimer = null;
+        let controller = null;      // AbortController of the request in flight
+        let shownQuery = null;      // Query the open list was built for
+
+        /**
+         * Cancel the pending and in-flight suggestion requests
+         */
+        function cancelPending() {
+            clearTimeout(debounceTimer);
+            debounceTimer = null;
+
+            if (controller) {
+                controller.abort();
+                controller = null;
+            }
+        }
+
+        /**
+         * Show the suggestions for the box's current text
+         */
+        function update() {
+            const query = $input.val().trim();
+            cancelPending();
+
+            if (query.length < MIN_QUERY_LENGTH) {
+                renderRecent();
+                return;
+            }
+
+            if (query.length > MAX_QUERY_LENGTH) {
+                close();
+                return;
+            }
+
+            if (cache.has(query)) {
+                renderResults(query, cache.get(query));
+                return;
+            }
+
+            debounceTimer = setTimeout(() => fetchSuggestions(query), DEBOUNCE_DELAY);
+        }
+
+        /**
+         * Request suggestions for a query, cancelling any earlier request
+         * @param {string} query - Trimmed query
+         */
+        function fetchSuggestions(query) {
+            const request = new AbortController();
+            controller = request;
+            $list.attr('aria-busy', 'true');
+
+            api.products.suggestions(query, 10, { signal: request.signal })
+                .then(response => {
+                    const data = response.data || {};
+                    cache.set(query, data);
+                    if (cache.size > CACHE_SIZE) {
+                        cache.delete(cache.keys().next().value);
+                    }
+
+                    // A superseded request can finish before its abort takes effect
+                    if (controller === request && $input.val().trim() === query) {
+                        renderResults(query, data);
+                    }
+                })
+                .catch(error => {
+                    if (error.kind !== 'abort') {
+                        // Suggestions are optional; the search itself still works
+                        console.warn('Search suggestions failed:', error.message);
+                    }
+                })
+                .finally(() => {
+                    if (controller === request) {
+                        controller = null;
+                        $list.removeAttr('aria-busy');
+                    }
+                });
+        }
+
+        /**
+         * Markup for one option
+         * @param {object} option - Option description, added to the option list
+         * @param {string} content - Inner HTML
+         * @returns {string} Option HTML
+         */
+        function optionHtml(option, content) {
+            const index = entries.push(option) - 1;
+            return `<div class="search-suggestion search-suggestion-${option.type}" id="${listId}-option-${index}"
+                         role="option" aria-selected="false" data-index="${index}">${content}</div>`;
+        }
+
+        /**
+         * Markup for a labelled group of options
+         * @param {string} key - Group key for the label's ID
+         * @param {string} label - Visible group label
+         * @param {string} content - Options HTML
+         * @returns {string} Group HTML
+         */
+        function groupHtml(key, label, content) {
+            return `<div class="search-suggestion-group" role="group" aria-labelledby="${listId}-${key}">
+                        <div class="search-suggestion-heading" id="${listId}-${key}" role="presentation">${escapeHtml(label)}</div>
+                        ${content}
+                    </div>`;
+        }
+
+        /**
+         * Thumbnail for a suggested product, using the card renditions where they exist
+         * @param {object} product - Suggested product
+         * @returns {string} Thumbnail HTML
+         */
+        function thumbnailHtml(product) {
+            if (!product.product_image) {
+                return '<span class="search-suggestion-thumb search-suggestion-icon"><i class="fas fa-image" aria-hidden="true"></i></span>';
+            }
+
+            return `<span class="search-suggestion-thumb">
+                        <picture>
+                            ${product.image_webp_srcset ? `<source type="image/webp" srcset="${escapeHtml(product.image_webp_srcset)}" sizes="${THUMBNAIL_SIZES}">` : ''}
+                            <img src="${escapeHtml(product.product_image)}" alt=""
+                                 ${product.image_srcset ? `srcset="${escapeHtml(product.image_srcset)}" sizes="${THUMBNAIL_SIZES}"` : ''}>
+                        </picture>
+                    </span>`;
+        }
+
+        /**
+         * List the recent searches (or close the dropdown if there are none)
+         */
+        function renderRecent() {
+            const recent = loadRecentSearches();
+            entries = [];
+
+            if (recent.length === 0) {
+                close();
+                return;
+            }
+
+            const items = recent.map(query => optionHtml({ type: 'recent', query: query },
+                `<span class="search-suggestion-icon"><i class="fas fa-history" aria-hidden="true"></i></span>
+                 <span class="search-suggestion-label">${escapeHtml(query)}</span>`)).join('') +
+                optionHtml({ type: 'clear' },
+                    '<span class="search-suggestion-label">Clear recent searches</span>');
+
+            show('', groupHtml('recent', 'Recent searches', items),
+                recent.length + (recent.length === 1 ? ' recent search' : ' recent searches') + ' available.');
+        }
+
+        /**
+         * List the suggestions for a query
+         * @param {string} query - Trimmed query
+         * @param {object} data - suggestions, products, brands and categories
+         */
+        function renderResults(query, data) {
+            const typed = query.toLowerCase();
+            const texts = (data.suggestions || [])
+                .filter(text => String(text).toLowerCase() !== typed)
+                .slice(0, TEXT_SUGGESTION_LIMIT);
+            const products = data.products || [];
+            const brands = data.brands || [];
+            const categories = data.categories || [];
+            let html = '';
+
+            entries = [];
+
+            if (texts.length > 0) {
+                html += groupHtml('searches', 'Searches', texts.map(text => optionHtml({ type: 'search', query: String(text) },
+                    `<span class="search-suggestion-icon"><i class="fas fa-search" aria-hidden="true"></i></span>
+                     <span class="search-suggestion-label">${highlight(text, query)}</span>`)).join(''));
+            }
+
+            if (products.length > 0) {
+                html += groupHtml('products', 'Products', products.map(product => optionHtml(
+                    { type: 'product', query: query, url: pageBase + 'single_product.php?id=' + encodeURIComponent(product.product_id) },
+                    `${thumbnailHtml(product)}
+                     <span class="search-suggestion-label">${highlight(product.product_title, query)}</span>
+                     <span class="search-suggestion-meta">
+                         ${product.stock_status === 'sold_out' ? '<span class="search-suggestion-sold-out">Sold out</span>' : ''}
+                         ${escapeHtml(formatPrice(product))}
+                     </span>`)).join(''));
+            }
+
+            if (brands.length > 0) {
+                html += groupHtml('brands', 'Brands', brands.map(brand => optionHtml(
+                    { type: 'brand', query: query, url: pageBase + 'all_product.php?brand=' + encodeURIComponent(brand.brand_id) },
+                    `<span class="search-suggestion-icon"><i class="fas fa-tag" aria-hidden="true"></i></span>
+                     <span class="search-suggestion-label">${highlight(brand.brand_name, query)}</span>
+                     <span class="search-suggestion-meta">${brand.product_count} ${brand.product_count === 1 ? 'product' : 'products'}</span>`)).join(''));
+            }
+
+            if (categories.length > 0) {
+                html += groupHtml('categories', 'Categories', categories.map(category => optionHtml(
+                    { type: 'category', query: query, url: pageBase + 'all_product.php?category=' + encodeURIComponent(category.cat_id) },
+                    `<span class="search-suggestion-icon"><i class="fas fa-folder" aria-hidden="true"></i></span>
+                     <span class="search-suggestion-label">${highlight(category.cat_name, query)}</span>
+                     <span class="search-suggestion-meta">${category.product_count} ${category.product_count === 1 ? 'product' : 'products'}</span>`)).join(''));
+            }
+
+            if (entries.length === 0) {
+                close();
+                $status.text('No suggestions.');
+                return;
+            }
+
+            show(query, html, entries.length + (entries.length === 1 ? ' suggestion' : ' suggestions') +
+                ' available. Use the up and down arrows to browse.');
+        }
+
+        /**
+         * Open the dropdown with new content
+         * @param {string} query - Query the content is for ('' for recent searches)
+         * @param {string} html - Groups HTML
+         * @param {string} announcement - Text for screen readers
+         */
+        function show(query, html, announcement) {
+            const changed = shownQuery !== query || $list.prop('hidden');
+
+            $list.html(html).prop('hidden', false);
+            $input.attr('aria-expanded', 'true');
+            setActive(-1);
+            shownQuery = query;
+
+            if (changed) {
+                $status.text(announcement);
+            }
+        }
+
+        /**
+         * Close the dropdown
+         */
+        function close() {
+            $list.prop('hidden', true).empty();
+            $input.attr('aria-expanded', 'false').removeAttr('aria-activedescendant');
+            entries = [];
+            activeIndex = -1;
+            shownQuery = null;
+        }
+
+        /**
+         * Highlight an option
+         * @param {number} index - Option index, -1 for none
+         */
+        function setActive(index) {
+            activeIndex = index;
+            $list.find('.search-suggestion').removeClass('active').attr('aria-selected', 'false');
+
+            if (index < 0) {
+                $input.removeAttr('aria-activedescendant');
+                return;
+            }
+
+            const $option = $list.find(`[data-index="${index}"]`);
+            $option.addClass('active').attr('aria-selected', 'true');
+            $input.attr('aria-activedescendant', $option.attr('id'));
+
+            const option = $option[0];
+            if (option) {
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        }
+
+        /**
+         * Move the highlight, wrapping at either end
+         * @param {number} step - 1 for down, -1 for up
+         */
+        function move(step) {
+            if (entries.length === 0) {
+                return;
+            }
+
+            let index = activeIndex + step;
+            if (index >= entries.length) {
+                index = 0;
+            } else if (index < 0) {
+                index = entries.length - 1;
+            }
+            setActive(index);
+        }
+
+        /**
+         * Search for free text
+         * @param {string} query - Query to search for
+         */
+        function search(query) {
+            $input.val(query);
+            rememberSearch(query);
+            cancelPending();
+            close();
+
+            if (typeof options.onSearch === 'function') {
+                options.onSearch(query);
+                return;
+            }
+
+            const form = $input[0].form;
+            if (form) {
+                if (form.requestSubmit) {
+                    form.requestSubmit();
+                } else {
+                    form.submit();
+                }
+            }
+        }
+
+        /**
+         * Act on a chosen option
+         * @param {number} index - Option index
+         */
+        function choose(index) {
+            const option = entries[index];
+            if (!option) {
+                return;
+            }
+
+            if (option.type === 'clear') {
+                saveRecentSearches([]);
+                close();
+                $status.text('Recent searches cleared.');
+                return;
+            }
+
+            if (option.url) {
+                rememberSearch(option.query);
+                cancelPending();
+                close();
+                window.location.href = option.url;
+                return;
+            }
+
+            search(option.query);
+        }
+
+        $input.on('input', update);
+
+        $input.on('focus', function() {
+            if ($input.val().trim().length < MIN_QUERY_LENGTH) {
+                renderRecent();
+            }
+        });
+
+        $input.on('keydown', function(e) {
+            const open = !$list.prop('hidden');
+
+            switch (e.key) {
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    e.preventDefault();
+                    if (!open) {
+                        update();
+                    } else {
+                        move(e.key === 'ArrowDown' ? 1 : -1);
+                    }
+                    break;
+
+                case 'Enter':
+                    if (open && activeIndex >= 0) {
+                        e.preventDefault();
+                        choose(activeIndex);
+                    } else {
+                        cancelPending();
+                        close();
+                    }
+                    break;
+
+                case 'Escape':
+                    if (open) {
+                        e.preventDefault();
+                        cancelPending();
+                        close();
+                    } else if ($input.val() !== '') {
+                        e.preventDefault();
+                        $input.val('').trigger('input');
+                    }
+                    break;
+
+                case 'Tab':
+                    cancelPending();
+                    close();
+                    break;
+            }
+        });
+
+        $input.on('blur', function() {
+            cancelPending();
+            close();
+        });
+
+        // Keep focus in the box while an option is clicked
+        $list.on('mousedown', e => e.preventDefault());
+
+        $list.on('click', '.search-suggestion', function() {
+            choose(Number($(this).data('index')));
+        });
+
+        $list.on('mousemove', '.search-suggestion', function() {
+            const index = Number($(this).data('index'));
+            if (index !== activeIndex) {
+                setActive(index);
+            }
+        });
+
+        const form = $input[0].form;
+        if (form) {
+            $(form).on('submit', () => rememberSearch($input.val()));
+        }
+
+        return {
+            close: function() {
+                cancelPending();
+                close();
+            }
+        };
+    }
+
+    window.SearchSuggestions = {
+        attach: attach,
+        rememberSearch: rememberSearch
+    };
+
+})(window, jQuery);
@@ -0,0 +1,518 @@
+/**
+ * Shipping Methods JavaScript
+ * Handles the shipping method form (add and edit), the tier editor and the
+ * methods list on the admin shipping page
+ */
+
+$(document).ready(function() {
+    const api = window.SubCartAPI;
+
+    const TYPE_LABELS = { standard: 'Standard', express: 'Express', pickup: 'Pickup' };
+    const PRICING_LABELS = { flat: 'Flat rate', weight: 'Weight-based', tiered: 'Tiered' };
+
+    // Methods from the last load, keyed by ID, used to fill the form for editing
+    let methodsById = {};
+
+    // Initialize the page
+    initializePage();
+
+    /**
+     * Initialize page functionality
+     */
+    function initializePage() {
+        resetForm();
+        loadMethods();
+        bindEventHandlers();
+    }
+
+    /**
+     * Bind all event handlers
+     */
+    function bindEventHandlers() {
+        $('#shipping-method-form').submit(handleSaveMethod);
+        $('#pricing_type').change(updatePricingFields);
+        $('#add-tier-btn').click(function(e) {
+            e.preventDefault();
+            addTierRow('', '');
+        });
+        $('#tier-rows').on('click', '.remove-tier', function(e) {
+            e.preventDefault();
+            $(this).closest('.tier-row').remove();
+        });
+        $('#cancel-edit').click(resetForm);
+
+        $('#refresh-methods').click(function(e) {
+            e.preventDefault();
+            loadMethods();
+        });
+
+        $('#methods-list').on('click', '.edit-method', function(e) {
+            e.preventDefault();
+            openEditForm($(this).data('method-id'));
+        });
+        $('#methods-list').on('click', '.delete-method', function(e) {
+            e.preventDefault();
+            openDeleteModal($(this).data('method-id'), $(this).data('method-name'));
+        });
+
+        $('#close-delete-modal, #cancel-delete').click(closeDeleteModal);
+        $('#confirm-delete-btn').click(handleDeleteMethod);
+
+        // Close modal when clicking outside
+        $(window).click(function(e) {
+            if ($(e.target).hasClass('modal')) {
+                closeDeleteModal();
+            }
+        });
+    }
+
+    /**
+     * Show the cost fields that apply to the selected pricing type
+     */
+    function updatePricingFields() {
+        const pricingType = $('#pricing_type').val();
+
+        $('#base-cost-group').toggle(pricingType !== 'tiered');
+        $('#base-cost-label').text(pricingType === 'weight' ? 'Base Cost' : 'Cost');
+        $('#cost-per-kg-group').toggle(pricingType === 'weight');
+        $('#tiers-group').toggle(pricingType === 'tiered');
+
+        if (pricingType === 'tiered' && $('#tier-rows .tier-row').length === 0) {
+            addTierRow('0', '');
+        }
+    }
+
+    /**
+     * Append a row to the tier editor
+     * @param {string|number} minSubtotal - Subtotal the tier starts at
+     * @param {string|number} cost - Shipping cost for the tier
+     */
+    function addTierRow(minSubtotal, cost) {
+        const row = $(`
+            <div class="form-row tier-row">
+                <div class="form-group">
+                    <input type="number" class="form-input tier-min" min="0" step="0.01" placeholder="From subtotal">
+                </div>
+                <div class="form-group">
+                    <input type="number" class="form-input tier-cost" min="0" step="0.01" placeholder="Shipping cost">
+                </div>
+                <button type="button" class="btn btn-error btn-small remove-tier" title="Remove tier">
+                    <i class="fa fa-times"></i>
+                </button>
+            </div>
+        `);
+        row.find('.tier-min').val(minSubtotal);
+        row.find('.tier-cost').val(cost);
+        $('#tier-rows').append(row);
+    }
+
+    /**
+     * Read the form into the request payload
+     * @returns {object} Shipping method data
+     */
+    function collectFormData() {
+        const pricingType = $('#pricing_type').val();
+        const tiers = [];
+
+        if (pricingType === 'tiered') {
+            $('#tier-rows .tier-row').each(function() {
+                tiers.push({
+                    min_subtotal: $(this).find('.tier-min').val().trim(),
+                    cost: $(this).find('.tier-cost').val().trim()
+                });
+            });
+        }
+
+        return {
+            method_name: $('#method_name').val().trim(),
+            method_type: $('#method_type').val(),
+            pricing_type: pricingType,
+            base_cost: pricingType === 'tiered' ? 0 : $('#base_cost').val().trim(),
+            cost_per_kg: pricingType === 'weight' ? $('#cost_per_kg').val().trim() : 0,
+            tiers: tiers,
+            countries: $('#countries').val().trim(),
+            delivery_estimate: $('#delivery_estimate').val().trim(),
+            sort_order: $('#sort_order').val().trim(),
+            is_active: $('#is_active').is(':checked') ? 1 : 0
+        };
+    }
+
+    /**
+     * Validate shipping method data before sending it
+     * @param {object} data - Result of collectFormData()
+     * @returns {object} Validation result with isValid and message properties
+     */
+    function validateMethodForm(data) {
+        if (!data.method_name) {
+            return { isValid: false, message: 'Method name is required!' };
+        }
+
+        if (data.method_name.length > 100) {
+            return { isValid: false, message: 'Method name must be 100 characters or less!' };
+        }
+
+        if (!isValidAmount(data.base_cost) || !isValidAmount(data.cost_per_kg)) {
+            return { isValid: false, message: 'Costs must be zero or a positive number!' };
+        }
+
+        if (data.pricing_type === 'tiered') {
+            if (data.tiers.length === 0) {
+                return { isValid: false, message: 'Tiered pricing needs at least one tier!' };
+            }
+
+            const minimums = {};
+            for (const tier of data.tiers) {
+                if (!isValidAmount(tier.min_subtotal) || tier.min_subtotal === '' ||
+                    !isValidAmount(tier.cost) || tier.cost === '') {
+                    return { isValid: false, message: 'Each tier needs a minimum subtotal and a cost of zero or more!' };
+                }
+
+                const key = parseFloat(tier.min_subtotal).toFixed(2);
+                if (minimums[key]) {
+                    return { isValid: false, message: 'Two tiers cannot start at the same subtotal!' };
+                }
+                minimums[key] = true;
+            }
+        }
+
+        return { isValid: true, message: 'Valid' };
+    }
+
+    /**
+     * Check that a cost field is empty, zero or a positive number
+     * @param {string|number} value - Field value
+     * @returns {boolean} Whether the value is acceptable
+     */
+    function isValidAmount(value) {
+        if (value === '' || value === 0) {
+            return true;
+        }
+        const amount = Number(value);
+        return !isNaN(amount) && amount >= 0;
+    }
+
+    /**
+     * Handle shipping method form submission (add or update)
+     */
+    function handleSaveMethod(e) {
+        e.preventDefault();
+
+        const data = collectFormData();
+        const validation = validateMethodForm(data);
+        if (!validation.isValid) {
+            showError('Validation Error', validation.message);
+            return;
+        }
+
+        const methodId = $('#method_id').val();
+        const request = methodId
+            ? api.shippingMethods.update(Object.assign({ method_id: methodId }, data))
+            : api.shippingMethods.add(data);
+
+        setSaveButtonLoading(true);
+
+        request
+            .then(function(response) {
+                setSaveButtonLoading(false);
+                showSuccess('Success', response.message);
+                resetForm();
+                loadMethods(); // Refresh the list
+            })
+            .catch(function(error) {
+                setSaveButtonLoading(false);
+                showApiError(error);
+            });
+    }
+
+    /**
+     * Put the form back into add mode
+     */
+    function resetForm() {
+        $('#shipping-method-form')[0].reset();
+        $('#method_id').val('');
+        $('#tier-rows').empty();
+        $('#shipping-form-title').html('<i class="fa fa-plus-circle"></i> Add Shipping Method');
+        $('#save-text').html('<i class="fa fa-plus"></i> Add Method');
+        $('#cancel-edit').html('<i class="fa fa-times"></i> Clear');
+        setSaveButtonLoading(false);
+        updatePricingFields();
+    }
+
+    /**
+     * Fill the form with a method for editing
+     * @param {number} methodId - The method ID to edit
+     */
+    function openEditForm(methodId) {
+        const method = methodsById[methodId];
+        if (!method) {
+            showError('Error', 'Shipping method not found. Please refresh the list.');
+            return;
+        }
+
+        resetForm();
+        $('#method_id').val(method.method_id);
+        $('#method_name').val(method.method_name);
+        $('#method_type').val(method.method_type);
+        $('#pricing_type').val(method.pricing_type);
+        $('#base_cost').val(method.base_cost);
+        $('#cost_per_kg').val(method.cost_per_kg);
+        $('#countries').val(method.countries.join(', '));
+        $('#delivery_estimate').val(method.delivery_estimate || '');
+        $('#sort_order').val(method.sort_order);
+        $('#is_active').prop('checked', parseInt(method.is_active, 10) === 1);
+
+        method.tiers.forEach(tier => addTierRow(tier.min_subtotal, tier.cost));
+        updatePricingFields();
+
+        $('#shipping-form-title').html('<i class="fa fa-edit"></i> Edit Shipping Method');
+        $('#save-text').html('<i class="fa fa-save"></i> Update Method');
+        $('#cancel-edit').html('<i class="fa fa-times"></i> Cancel');
+
+        $('html, body').animate({ scrollTop: $('#shipping-method-form').offset().top - 120 }, 200);
+        $('#method_name').focus();
+    }
+
+    /**
+     * Load and display shipping methods
+     */
+    function loadMethods() {
+        $('#methods-loading').show();
+        $('#methods-empty').hide();
+        $('#methods-list').hide();
+
+        api.shippingMethods.list()
+            .then(function(response) {
+                $('#methods-loading').hide();
+
+                const methods = (response.data && response.data.methods) || [];
+                methodsById = {};
+                methods.forEach(method => {
+                    methodsById[method.method_id] = method;
+                });
+
+                if (methods.length > 0) {
+                    displayMethods(methods);
+                    $('#methods-list').show();
+                } else {
+                    $('#methods-empty').show();
+                }
+            })
+            .catch(function(error) {
+                $('#methods-loading').hide();
+                $('#methods-empty').show();
+
+                if (error.isTransportError()) {
+                    console.error('Error loading shipping methods:', error);
+                    showError('Connection Error', 'Failed to load shipping methods. Please check your connection and try again.');
+                } else {
+                    showError('Error', error.message || 'Failed to load shipping methods');
+                }
+            });
+    }
+
+    /**
+     * Display shipping methods as cards
+     * @param {Array} methods - Array of shipping method objects
+     */
+    function displayMethods(methods) {
+        const methodsHtml = methods.map(method => `
+            <div class="brand-card" data-method-id="${method.method_id}">
+                <div class="brand-header">
+                    <h6 class="brand-name">${escapeHtml(method.method_name)}</h6>
+                    <span class="brand-id">${parseInt(method.is_active, 10) === 1 ? 'Active' : 'Inactive'}</span>
+                </div>
+                <div class="brand-meta">
+                    <small class="brand-date">
+                        <i class="fa fa-shipping-fast"></i>
+                        ${TYPE_LABELS[method.method_type] || escapeHtml(method.method_type)} &middot; ${PRICING_LABELS[method.pricing_type] || escapeHtml(method.pricing_type)}
+                    </small>
+                    <small class="brand-date">
+                        <i class="fa fa-dollar-sign"></i>
+                        ${escapeHtml(describePricing(method))}
+                    </small>
+                    <small class="brand-date">
+                        <i class="fa fa-globe"></i>
+                        ${method.countries.length > 0 ? escapeHtml(method.countries.join(', ')) : 'All countries'}
+                    </small>
+                    ${method.delivery_estimate ?
+                        `<small class="brand-date">
+                            <i class="fa fa-clock"></i>
+                            ${escapeHtml(method.delivery_estimate)}
+                        </small>` : ''
+                    }
+                </div>
+                <div class="brand-actions">
+                    <button class="btn btn-primary btn-small edit-method"
+                            data-method-id="${method.method_id}">
+                        <i class="fa fa-edit"></i> Edit
+                    </button>
+                    <button class="btn btn-error btn-small delete-method"
+                            data-method-id="${method.method_id}"
+                            data-method-name="${escapeHtml(method.method_name)}">
+                        <i class="fa fa-trash"></i> Delete
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+        $('#methods-list').html(methodsHtml);
+    }
+
+    /**
+     * Summarize how a method is priced
+     * @param {object} method - Shipping method object
+     * @returns {string} Pricing summary
+     */
+    function describePricing(method) {
+        if (method.pricing_type === 'weight') {
+            return `${formatMoney(method.base_cost)} + ${formatMoney(method.cost_per_kg)} per kg`;
+        }
+
+        if (method.pricing_type === 'tiered') {
+            return method.tiers
+                .map(tier => `from ${formatMoney(tier.min_subtotal)}: ${formatMoney(tier.cost)}`)
+                .join(', ');
+        }
+
+        return parseFloat(method.base_cost) > 0 ? formatMoney(method.base_cost) : 'Free';
+    }
+
+    /**
+     * Open delete modal
+     * @param {number} methodId - The method ID to delete
+     * @param {string} methodName - The method name to display
+     */
+    function openDeleteModal(methodId, methodName) {
+        $('#delete_method_id').val(methodId);
+        $('#delete-method-name').text(methodName);
+        $('#delete-modal').show();
+    }
+
+    /**
+     * Close delete modal
+     */
+    function closeDeleteModal() {
+        $('#delete-modal').hide();
+        setDeleteButtonLoading(false);
+    }
+
+    /**
+     * Handle delete confirmation
+     */
+    function handleDeleteMethod(e) {
+        e.preventDefault();
+
+        const methodId = $('#delete_method_id').val();
+        if (!methodId) {
+            showError('Error', 'Invalid shipping method selected for deletion');
+            return;
+        }
+
+        setDeleteButtonLoading(true);
+
+        api.shippingMethods.remove({ method_id: methodId })
+            .then(function(response) {
+                setDeleteButtonLoading(false);
+                showSuccess('Success', response.message);
+                closeDeleteModal();
+                if ($('#method_id').val() === String(methodId)) {
+                    resetForm();
+                }
+                loadMethods(); // Refresh the list
+            })
+            .catch(function(error) {
+                setDeleteButtonLoading(false);
+                showApiError(error);
+            });
+    }
+
+    /**
+     * Set loading state for the save button
+     * @param {boolean} isLoading - Whether to show loading state
+     */
+    function setSaveButtonLoading(isLoading) {
+        $('#save-text').toggle(!isLoading);
+        $('#save-loading').toggle(isLoading);
+        $('#save-method-btn').prop('disabled', isLoading);
+    }
+
+    /**
+     * Set loading state for delete button
+     * @param {boolean} isLoading - Whether to show loading state
+     */
+    function setDeleteButtonLoading(isLoading) {
+        $('#delete-text').toggle(!isLoading);
+        $('#delete-loading').toggle(isLoading);
+        $('#confirm-delete-btn').prop('disabled', isLoading);
+    }
+
+    /**
+     * Show success message using SweetAlert2
+     * @param {string} title - The title of the alert
+     * @param {string} message - The message to display
+     */
+    function showSuccess(title, message) {
+        Swal.fire({
+            icon: 'success',
+            title: title,
+            text: message,
+            timer: 3000,
+            showConfirmButton: false,
+            toast: true,
+            position: 'top-end'
+        });
+    }
+
+    /**
+     * Show error message using SweetAlert2
+     * @param {string} title - The title of the alert
+     * @param {string} message - The message to display
+     */
+    function showError(title, message) {
+        Swal.fire({
+            icon: 'error',
+            title: title,
+            text: message,
+            confirmButtonText: 'OK'
+        });
+    }
+
+    /**
+     * Show an ApiError from a failed request
+     * @param {ApiError} error - The error raised by the API client
+     */
+    function showApiError(error) {
+        if (error.isTransportError()) {
+            console.error('Request failed:', error);
+            showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
+        } else {
+            showError('Error', error.message);
+        }
+    }
+
+    /**
+     * Format an amount for display
+     * @param {string|number} amount - Amount to format
+     * @returns {string} Formatted amount
+     */
+    function formatMoney(amount) {
+        return '$' + parseFloat(amount || 0).toFixed(2);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - The text to escape
+     * @returns {string} Escaped HTML
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API for external access if needed
+    window.ShippingManager = {
+        loadMethods: loadMethods,
+        validateMethodForm: validateMethodForm
+    };
+});
@@ -0,0 +1,366 @@
+/**
+ * Search Synonyms JavaScript
+ * Handles the synonym group form (add and edit) and the groups list on the
+ * admin search synonyms page
+ */
+
+$(document).ready(function() {
+    const api = window.SubCartAPI;
+
+    // Matches SEARCH_SYNONYM_MAX_TERMS and SEARCH_SYNONYM_MAX_TERM_LENGTH
+    const MAX_TERMS = 15;
+    const MAX_TERM_LENGTH = 50;
+
+    // Groups from the last load, keyed by ID, used to fill the form for editing
+    let synonymsById = {};
+
+    // Initialize the page
+    initializePage();
+
+    /**
+     * Initialize page functionality
+     */
+    function initializePage() {
+        resetForm();
+        loadSynonyms();
+        bindEventHandlers();
+    }
+
+    /**
+     * Bind all event handlers
+     */
+    function bindEventHandlers() {
+        $('#synonym-form').submit(handleSaveSynonym);
+        $('#cancel-edit').click(resetForm);
+
+        $('#refresh-synonyms').click(function(e) {
+            e.preventDefault();
+            loadSynonyms();
+        });
+
+        $('#synonyms-list').on('click', '.edit-synonym', function(e) {
+            e.preventDefault();
+            openEditForm($(this).data('synonym-id'));
+        });
+        $('#synonyms-list').on('click', '.delete-synonym', function(e) {
+            e.preventDefault();
+            openDeleteModal($(this).data('synonym-id'));
+        });
+
+        $('#close-delete-modal, #cancel-delete').click(closeDeleteModal);
+        $('#confirm-delete-btn').click(handleDeleteSynonym);
+
+        // Close modal when clicking outside
+        $(window).click(function(e) {
+            if ($(e.target).hasClass('modal')) {
+                closeDeleteModal();
+            }
+        });
+    }
+
+    /**
+     * Split the terms field into distinct, lowercased terms
+     * @param {string} value - Comma-separated terms
+     * @returns {Array} Terms
+     */
+    function parseTerms(value) {
+        const terms = value.split(',')
+            .map(term => term.trim().toLowerCase().replace(/\s+/g, ' '))
+            .filter(term => term !== '');
+
+        return Array.from(new Set(terms));
+    }
+
+    /**
+     * Validate synonym group terms before sending them
+     * @param {Array} terms - Result of parseTerms()
+     * @returns {object} Validation result with isValid and message properties
+     */
+    function validateSynonymForm(terms) {
+        if (terms.length < 2) {
+            return { isValid: false, message: 'A synonym group needs at least two different terms!' };
+        }
+
+        if (terms.length > MAX_TERMS) {
+            return { isValid: false, message: `A synonym group can have at most ${MAX_TERMS} terms!` };
+        }
+
+        for (const term of terms) {
+            if (term.length < 2 || term.length > MAX_TERM_LENGTH) {
+                return { isValid: false, message: `Each term must be 2 to ${MAX_TERM_LENGTH} characters long!` };
+            }
+        }
+
+        return { isValid: true, message: 'Valid' };
+    }
+
+    /**
+     * Handle synonym group form submission (add or update)
+     */
+    function handleSaveSynonym(e) {
+        e.preventDefault();
+
+        const terms = parseTerms($('#terms').val());
+        const validation = validateSynonymForm(terms);
+        if (!validation.isValid) {
+            showError('Validation Error', validation.message);
+            return;
+        }
+
+        const synonymId = $('#synonym_id').val();
+        const request = synonymId
+            ? api.searchSynonyms.update({ synonym_id: synonymId, terms: terms })
+            : api.searchSynonyms.add({ terms: terms });
+
+        setSaveButtonLoading(true);
+
+        request
+            .then(function(response) {
+                setSaveButtonLoading(false);
+                showSuccess('Success', response.message);
+                resetForm();
+                loadSynonyms(); // Refresh the list
+            })
+            .catch(function(error) {
+                setSaveButtonLoading(false);
+                showApiError(error);
+            });
+    }
+
+    /**
+     * Put the form back into add mode
+     */
+    function resetForm() {
+        $('#synonym-form')[0].reset();
+        $('#synonym_id').val('');
+        $('#synonym-form-title').html('<i class="fa fa-plus-circle"></i> Add Synonym Group');
+        $('#save-text').html('<i class="fa fa-plus"></i> Add Group');
+        $('#cancel-edit').html('<i class="fa fa-times"></i> Clear');
+        setSaveButtonLoading(false);
+    }
+
+    /**
+     * Fill the form with a group for editing
+     * @param {number} synonymId - The group ID to edit
+     */
+    function openEditForm(synonymId) {
+        const group = synonymsById[synonymId];
+        if (!group) {
+            showError('Error', 'Synonym group not found. Please refresh the list.');
+            return;
+        }
+
+        resetForm();
+        $('#synonym_id').val(group.synonym_id);
+        $('#terms').val(group.terms.join(', '));
+
+        $('#synonym-form-title').html('<i class="fa fa-edit"></i> Edit Synonym Group');
+        $('#save-text').html('<i class="fa fa-save"></i> Update Group');
+        $('#cancel-edit').html('<i class="fa fa-times"></i> Cancel');
+
+        $('html, body').animate({ scrollTop: $('#synonym-form').offset().top - 120 }, 200);
+        $('#terms').focus();
+    }
+
+    /**
+     * Load and display synonym groups
+     */
+    function loadSynonyms() {
+        $('#synonyms-loading').show();
+        $('#synonyms-empty').hide();
+        $('#synonyms-list').hide();
+
+        api.searchSynonyms.list()
+            .then(function(response) {
+                $('#synonyms-loading').hide();
+
+                const groups = (response.data && response.data.synonyms) || [];
+                synonymsById = {};
+                groups.forEach(group => {
+                    synonymsById[group.synonym_id] = group;
+                });
+
+                if (groups.length > 0) {
+                    displaySynonyms(groups);
+                    $('#synonyms-list').show();
+                } else {
+                    $('#synonyms-empty').show();
+                }
+            })
+            .catch(function(error) {
+                $('#synonyms-loading').hide();
+                $('#synonyms-empty').show();
+
+                if (error.isTransportError()) {
+                    console.error('Error loading synonym groups:', error);
+                    showError('Connection Error', 'Failed to load synonym groups. Please check your connection and try again.');
+                } else {
+                    showError('Error', error.message || 'Failed to load synonym groups');
+                }
+            });
+    }
+
+    /**
+     * Display synonym groups as cards
+     * @param {Array} groups - Array of synonym group objects
+     */
+    function displaySynonyms(groups) {
+        const groupsHtml = groups.map(group => `
+            <div class="brand-card" data-synonym-id="${group.synonym_id}">
+                <div class="brand-header">
+                    <h6 class="brand-name">${escapeHtml(group.terms[0] || '')}</h6>
+                    <span class="brand-id">${group.terms.length} terms</span>
+                </div>
+                <div class="brand-meta">
+                    <small class="brand-date">
+                        <i class="fa fa-exchange-alt"></i>
+                        ${escapeHtml(group.terms.join(', '))}
+                    </small>
+                </div>
+                <div class="brand-actions">
+                    <button class="btn btn-primary btn-small edit-synonym"
+                            data-synonym-id="${group.synonym_id}">
+                        <i class="fa fa-edit"></i> Edit
+                    </button>
+                    <button class="btn btn-error btn-small delete-synonym"
+                            data-synonym-id="${group.synonym_id}">
+                        <i class="fa fa-trash"></i> Delete
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+        $('#synonyms-list').html(groupsHtml);
+    }
+
+    /**
+     * Open delete modal
+     * @param {number} synonymId - The group ID to delete
+     */
+    function openDeleteModal(synonymId) {
+        const group = synonymsById[synonymId];
+
+        $('#delete_synonym_id').val(synonymId);
+        $('#delete-synonym-terms').text(group ? group.terms.join(', ') : '');
+        $('#delete-modal').show();
+    }
+
+    /**
+     * Close delete modal
+     */
+    function closeDeleteModal() {
+        $('#delete-modal').hide();
+        setDeleteButtonLoading(false);
+    }
+
+    /**
+     * Handle delete confirmation
+     */
+    function handleDeleteSynonym(e) {
+        e.preventDefault();
+
+        const synonymId = $('#delete_synonym_id').val();
+        if (!synonymId) {
+            showError('Error', 'Invalid synonym group selected for deletion');
+            return;
+        }
+
+        setDeleteButtonLoading(true);
+
+        api.searchSynonyms.remove({ synonym_id: synonymId })
+            .then(function(response) {
+                setDeleteButtonLoading(false);
+                showSuccess('Success', response.message);
+                closeDeleteModal();
+                if ($('#synonym_id').val() === String(synonymId)) {
+                    resetForm();
+                }
+                loadSynonyms(); // Refresh the list
+            })
+            .catch(function(error) {
+                setDeleteButtonLoading(false);
+                showApiError(error);
+            });
+    }
+
+    /**
+     * Set loading state for the save button
+     * @param {boolean} isLoading - Whether to show loading state
+     */
+    function setSaveButtonLoading(isLoading) {
+        $('#save-text').toggle(!isLoading);
+        $('#save-loading').toggle(isLoading);
+        $('#save-synonym-btn').prop('disabled', isLoading);
+    }
+
+    /**
+     * Set loading state for delete button
+     * @param {boolean} isLoading - Whether to show loading state
+     */
+    function setDeleteButtonLoading(isLoading) {
+        $('#delete-text').toggle(!isLoading);
+        $('#delete-loading').toggle(isLoading);
+        $('#confirm-delete-btn').prop('disabled', isLoading);
+    }
+
+    /**
+     * Show success message using SweetAlert2
+     * @param {string} title - The title of the alert
+     * @param {string} message - The message to display
+     */
+    function showSuccess(title, message) {
+        Swal.fire({
+            icon: 'success',
+            title: title,
+            text: message,
+            timer: 3000,
+            showConfirmButton: false,
+            toast: true,
+            position: 'top-end'
+        });
+    }
+
+    /**
+     * Show error message using SweetAlert2
+     * @param {string} title - The title of the alert
+     * @param {string} message - The message to display
+     */
+    function showError(title, message) {
+        Swal.fire({
+            icon: 'error',
+            title: title,
+            text: message,
+            confirmButtonText: 'OK'
+        });
+    }
+
+    /**
+     * Show an ApiError from a failed request
+     * @param {ApiError} error - The error raised by the API client
+     */
+    function showApiError(error) {
+        if (error.isTransportError()) {
+            console.error('Request failed:', error);
+            showError('Connection Error', 'An error occurred while connecting to the server. Please try again later.');
+        } else {
+            showError('Error', error.message);
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - The text to escape
+     * @returns {string} Escaped HTML
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API for external access if needed
+    window.SynonymManager = {
+        loadSynonyms: loadSynonyms,
+        validateSynonymForm: validateSynonymForm
+    };
+});
@@ -0,0 +1,50 @@
+-- Payment provider transactions
+-- One row per checkout payment attempt, whichever provider handles it.
+-- status follows the provider lifecycle:
+--   initialized -> processing | requires_action -> authorized -> captured -> refunded
+--   with failed / canceled as terminal states.
+
+CREATE TABLE IF NOT EXISTS payment_transactions (
+    transaction_id INT AUTO_INCREMENT PRIMARY KEY,
+    reference VARCHAR(64) NOT NULL,
+    provider VARCHAR(32) NOT NULL,
+    provider_reference VARCHAR(128) NULL,
+    customer_id INT NOT NULL,
+    order_id INT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    status VARCHAR(20) NOT NULL DEFAULT 'initialized',
+    failure_reason VARCHAR(255) NULL,
+    refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_payment_transactions_reference (reference),
+    KEY idx_payment_transactions_provider_ref (provider, provider_reference),
+    KEY idx_payment_transactions_customer (customer_id),
+    KEY idx_payment_transactions_order (order_id)
+);
+
+-- Webhook / callback events already applied, so a redelivered event is ignored
+CREATE TABLE IF NOT EXISTS payment_transaction_events (
+    event_id VARCHAR(128) NOT NULL,
+    provider VARCHAR(32) NOT NULL,
+    reference VARCHAR(64) NOT NULL,
+    event_type VARCHAR(64) NOT NULL,
+    received_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (provider, event_id),
+    KEY idx_payment_transaction_events_reference (reference)
+);
+
+-- Gateway-side state for the local mock provider (stands in for the remote gateway)
+CREATE TABLE IF NOT EXISTS mock_gateway_intents (
+    intent_id VARCHAR(64) PRIMARY KEY,
+    amount DECIMAL(10, 2) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    status VARCHAR(20) NOT NULL DEFAULT 'created',
+    scenario VARCHAR(32) NULL,
+    failure_reason VARCHAR(255) NULL,
+    webhook_due_at DATETIME NULL,
+    webhook_delivered TINYINT(1) NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_mock_gateway_intents_webhook (webhook_delivered, webhook_due_at)
+);
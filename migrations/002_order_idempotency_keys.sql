@@ -0,0 +1,7 @@
+-- Idempotent order submission
+-- The checkout sends one key per attempt; a repeated key returns the order the
+-- first submission created instead of inserting another order and payment.
+
+ALTER TABLE orders
+    ADD COLUMN idempotency_key VARCHAR(64) NULL,
+    ADD UNIQUE KEY uq_orders_customer_idempotency (customer_id, idempotency_key);
@@ -0,0 +1,24 @@
+-- Server-authoritative checkout quotes
+-- A quote prices the stored cart once (subtotal, discount, tax, shipping) and the
+-- checkout binds to its quote_id. cart_fingerprint detects a cart that changed
+-- after the quote was issued; expired or stale quotes must be refreshed.
+
+CREATE TABLE IF NOT EXISTS checkout_quotes (
+    quote_id VARCHAR(40) PRIMARY KEY,
+    customer_id INT NOT NULL,
+    cart_fingerprint CHAR(64) NOT NULL,
+    item_count INT NOT NULL DEFAULT 0,
+    subtotal DECIMAL(10, 2) NOT NULL,
+    discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    tax_amount DECIMAL(10, 2) NOT NULL,
+    shipping_cost DECIMAL(10, 2) NOT NULL,
+    total DECIMAL(10, 2) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    KEY idx_checkout_quotes_customer (customer_id, created_at)
+);
+
+-- Payments are taken for a specific quote
+ALTER TABLE payment_transactions
+    ADD COLUMN quote_id VARCHAR(40) NULL AFTER order_id;
@@ -0,0 +1,38 @@
+-- Tax rules by customer location
+-- Checkout uses the most specific active rule for the customer's profile:
+-- country + city, then country (city = ''), then the '*' fallback rule.
+-- Country and city hold the values stored in customer.customer_country and
+-- customer.customer_city. prices_include_tax marks jurisdictions whose product
+-- prices already contain the tax (VAT-style); the tax is then reported but not added.
+
+CREATE TABLE IF NOT EXISTS tax_rules (
+    rule_id INT AUTO_INCREMENT PRIMARY KEY,
+    country VARCHAR(100) NOT NULL,
+    city VARCHAR(100) NOT NULL DEFAULT '',
+    tax_name VARCHAR(50) NOT NULL DEFAULT 'Tax',
+    rate DECIMAL(6, 4) NOT NULL,
+    prices_include_tax TINYINT(1) NOT NULL DEFAULT 0,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_tax_rules_jurisdiction (country, city)
+);
+
+-- Categories a rule does not tax
+CREATE TABLE IF NOT EXISTS tax_rule_exemptions (
+    rule_id INT NOT NULL,
+    cat_id INT NOT NULL,
+    PRIMARY KEY (rule_id, cat_id),
+    CONSTRAINT fk_tax_rule_exemptions_rule FOREIGN KEY (rule_id) REFERENCES tax_rules (rule_id) ON DELETE CASCADE
+);
+
+-- Keep the previous flat 8% for every customer until rules are added
+INSERT IGNORE INTO tax_rules (country, city, tax_name, rate, prices_include_tax)
+VALUES ('*', '', 'Tax', 0.0800, 0);
+
+-- Quotes record the rule that priced them
+ALTER TABLE checkout_quotes
+    ADD COLUMN tax_rate DECIMAL(6, 4) NOT NULL DEFAULT 0 AFTER tax_amount,
+    ADD COLUMN tax_name VARCHAR(50) NOT NULL DEFAULT 'Tax' AFTER tax_rate,
+    ADD COLUMN tax_jurisdiction VARCHAR(210) NULL AFTER tax_name,
+    ADD COLUMN tax_inclusive TINYINT(1) NOT NULL DEFAULT 0 AFTER tax_jurisdiction;
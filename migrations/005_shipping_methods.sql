@@ -0,0 +1,61 @@
+-- Admin-managed shipping methods
+-- pricing_type decides how a method is priced for a cart:
+--   flat    base_cost
+--   weight  base_cost + cost_per_kg * total product_weight of the cart
+--   tiered  cost of the highest shipping_method_tiers row whose min_subtotal
+--           the discounted subtotal reaches
+-- A method with rows in shipping_method_countries only ships to those countries
+-- (customer.customer_country values); without rows it ships everywhere.
+
+ALTER TABLE products
+    ADD COLUMN product_weight DECIMAL(8, 3) NOT NULL DEFAULT 0 AFTER product_keywords;
+
+CREATE TABLE IF NOT EXISTS shipping_methods (
+    method_id INT AUTO_INCREMENT PRIMARY KEY,
+    method_name VARCHAR(100) NOT NULL,
+    method_type ENUM('standard', 'express', 'pickup') NOT NULL DEFAULT 'standard',
+    pricing_type ENUM('flat', 'weight', 'tiered') NOT NULL DEFAULT 'flat',
+    base_cost DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    cost_per_kg DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    delivery_estimate VARCHAR(100) NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS shipping_method_tiers (
+    method_id INT NOT NULL,
+    min_subtotal DECIMAL(10, 2) NOT NULL,
+    cost DECIMAL(10, 2) NOT NULL,
+    PRIMARY KEY (method_id, min_subtotal),
+    CONSTRAINT fk_shipping_method_tiers_method FOREIGN KEY (method_id) REFERENCES shipping_methods (method_id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS shipping_method_countries (
+    method_id INT NOT NULL,
+    country VARCHAR(100) NOT NULL,
+    PRIMARY KEY (method_id, country),
+    CONSTRAINT fk_shipping_method_countries_method FOREIGN KEY (method_id) REFERENCES shipping_methods (method_id) ON DELETE CASCADE
+);
+
+-- Standard keeps the previous rule: $5.99, free from $50
+INSERT IGNORE INTO shipping_methods (method_id, method_name, method_type, pricing_type, base_cost, cost_per_kg, delivery_estimate, sort_order)
+VALUES
+    (1, 'Standard Shipping', 'standard', 'tiered', 0, 0, '5-7 business days', 1),
+    (2, 'Express Shipping', 'express', 'weight', 12.99, 2.50, '1-2 business days', 2),
+    (3, 'Store Pickup', 'pickup', 'flat', 0, 0, 'Ready the next business day', 3);
+
+INSERT IGNORE INTO shipping_method_tiers (method_id, min_subtotal, cost)
+VALUES (1, 0, 5.99), (1, 50, 0);
+
+-- Orders keep the method and cost they shipped with
+ALTER TABLE orders
+    ADD COLUMN shipping_method_id INT NULL,
+    ADD COLUMN shipping_method_name VARCHAR(100) NULL,
+    ADD COLUMN shipping_cost DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- Quotes are priced for one method
+ALTER TABLE checkout_quotes
+    ADD COLUMN shipping_method_id INT NULL AFTER tax_inclusive,
+    ADD COLUMN shipping_method_name VARCHAR(100) NULL AFTER shipping_method_id;
@@ -0,0 +1,64 @@
+-- Admin-defined coupon codes
+-- discount_type decides what a code takes off:
+--   percentage     discount_value percent of the eligible subtotal
+--   fixed          discount_value off the eligible subtotal (never more than it)
+--   free_shipping  the shipping charge
+-- The eligible subtotal covers the cart lines in coupon_categories / coupon_brands;
+-- a coupon without scope rows applies to the whole cart. min_spend is checked
+-- against the eligible subtotal.
+-- usage_limit caps redemptions overall and usage_limit_per_customer per customer
+-- (NULL = unlimited); times_used is incremented with each order.
+
+CREATE TABLE IF NOT EXISTS coupons (
+    coupon_id INT AUTO_INCREMENT PRIMARY KEY,
+    coupon_code VARCHAR(50) NOT NULL,
+    description VARCHAR(255) NULL,
+    discount_type ENUM('percentage', 'fixed', 'free_shipping') NOT NULL DEFAULT 'percentage',
+    discount_value DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    min_spend DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    starts_at DATETIME NULL,
+    expires_at DATETIME NULL,
+    usage_limit INT NULL,
+    usage_limit_per_customer INT NULL,
+    times_used INT NOT NULL DEFAULT 0,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_coupons_code (coupon_code)
+);
+
+CREATE TABLE IF NOT EXISTS coupon_categories (
+    coupon_id INT NOT NULL,
+    cat_id INT NOT NULL,
+    PRIMARY KEY (coupon_id, cat_id),
+    CONSTRAINT fk_coupon_categories_coupon FOREIGN KEY (coupon_id) REFERENCES coupons (coupon_id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS coupon_brands (
+    coupon_id INT NOT NULL,
+    brand_id INT NOT NULL,
+    PRIMARY KEY (coupon_id, brand_id),
+    CONSTRAINT fk_coupon_brands_coupon FOREIGN KEY (coupon_id) REFERENCES coupons (coupon_id) ON DELETE CASCADE
+);
+
+-- One row per order that used a code
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    redemption_id INT AUTO_INCREMENT PRIMARY KEY,
+    coupon_id INT NOT NULL,
+    customer_id INT NOT NULL,
+    order_id INT NOT NULL,
+    discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    redeemed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_coupon_redemptions_order (order_id),
+    KEY idx_coupon_redemptions_customer (coupon_id, customer_id),
+    CONSTRAINT fk_coupon_redemptions_coupon FOREIGN KEY (coupon_id) REFERENCES coupons (coupon_id) ON DELETE CASCADE
+);
+
+-- Orders keep the code and discount they were placed with
+ALTER TABLE orders
+    ADD COLUMN coupon_code VARCHAR(50) NULL,
+    ADD COLUMN discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- Quotes are priced with the code applied at the time
+ALTER TABLE checkout_quotes
+    ADD COLUMN coupon_code VARCHAR(50) NULL AFTER discount_amount;
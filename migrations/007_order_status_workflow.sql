@@ -0,0 +1,30 @@
+-- Order status workflow
+-- Orders move through a fixed lifecycle (enforced in controllers/order_controller.php):
+--   pending -> paid -> shipped -> delivered
+--   pending | paid -> cancelled
+--   paid | shipped | delivered -> refunded
+-- cancelled and refunded are final.
+-- Every change is recorded in order_status_history with the admin who made it;
+-- changed_by is NULL for changes made by the checkout itself.
+
+UPDATE orders SET order_status = 'paid' WHERE order_status IN ('confirmed', 'processing');
+
+ALTER TABLE orders
+    ADD KEY idx_orders_status_date (order_status, order_date);
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+    history_id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id INT NOT NULL,
+    from_status VARCHAR(20) NULL,
+    to_status VARCHAR(20) NOT NULL,
+    changed_by INT NULL,
+    note VARCHAR(255) NULL,
+    changed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_order_status_history_order (order_id, changed_at)
+);
+
+-- Orders placed before this migration start their history at their current status
+INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note, changed_at)
+SELECT o.order_id, NULL, o.order_status, NULL, 'Recorded when the status workflow was introduced', NOW()
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.order_id);
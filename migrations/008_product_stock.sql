@@ -0,0 +1,9 @@
+-- Product stock levels
+-- product_stock is the number of units left to sell. NULL means the product's
+-- stock is not tracked: it never sells out and the cart caps it at the usual
+-- per-line maximum, which keeps products created before this migration on sale.
+-- Checkout decrements the level inside the order transaction with a conditional
+-- UPDATE (classes/order_class.php), so the last unit can only be sold once.
+
+ALTER TABLE products
+    ADD COLUMN product_stock INT UNSIGNED NULL DEFAULT NULL AFTER product_weight;
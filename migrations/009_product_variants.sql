@@ -0,0 +1,48 @@
+-- Product variants
+-- A product may define option types (product_options, e.g. Size and Colour) and
+-- sell one variant per combination of their values. Each variant has its own SKU
+-- and may override the product's price and image (NULL = use the product's).
+-- variant_stock follows products.product_stock: NULL means not tracked.
+-- A product with variants is only sold through them; its own stock is ignored.
+--
+-- Cart and order lines name the variant they hold; variant_id 0 is the product
+-- itself, so every product without variants keeps working unchanged. Order lines
+-- also keep the variant's label (e.g. "Size: M / Colour: Red") as it was when
+-- the order was placed.
+
+CREATE TABLE IF NOT EXISTS product_options (
+    option_id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    option_name VARCHAR(50) NOT NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+    UNIQUE KEY uq_product_options_name (product_id, option_name)
+);
+
+CREATE TABLE IF NOT EXISTS product_variants (
+    variant_id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    sku VARCHAR(64) NOT NULL,
+    variant_price DECIMAL(10, 2) NULL,
+    variant_stock INT UNSIGNED NULL,
+    variant_image VARCHAR(255) NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_product_variants_sku (sku),
+    KEY idx_product_variants_product (product_id, sort_order)
+);
+
+CREATE TABLE IF NOT EXISTS product_variant_values (
+    variant_id INT NOT NULL,
+    option_id INT NOT NULL,
+    option_value VARCHAR(50) NOT NULL,
+    PRIMARY KEY (variant_id, option_id),
+    CONSTRAINT fk_variant_values_variant FOREIGN KEY (variant_id) REFERENCES product_variants (variant_id) ON DELETE CASCADE,
+    CONSTRAINT fk_variant_values_option FOREIGN KEY (option_id) REFERENCES product_options (option_id) ON DELETE CASCADE
+);
+
+ALTER TABLE cart
+    ADD COLUMN variant_id INT NOT NULL DEFAULT 0 AFTER p_id;
+
+ALTER TABLE orderdetails
+    ADD COLUMN variant_id INT NOT NULL DEFAULT 0 AFTER product_id,
+    ADD COLUMN variant_label VARCHAR(255) NULL AFTER variant_id;
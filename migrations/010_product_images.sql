@@ -0,0 +1,24 @@
+-- Product image galleries
+-- A product may have several images, shown in sort_order with alt text for
+-- screen readers. Exactly one image per product is primary; its path is also
+-- kept in products.product_image, so listings, the cart and orders keep reading
+-- the product's image from there.
+--
+-- Existing product images become the primary (and only) image of their gallery.
+
+CREATE TABLE IF NOT EXISTS product_images (
+    image_id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    image_path VARCHAR(255) NOT NULL,
+    alt_text VARCHAR(255) NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+    is_primary TINYINT(1) NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_product_images_product (product_id, sort_order)
+);
+
+INSERT INTO product_images (product_id, image_path, alt_text, sort_order, is_primary)
+SELECT p.product_id, p.product_image, p.product_title, 0, 1
+FROM products p
+WHERE p.product_image IS NOT NULL AND p.product_image <> ''
+  AND NOT EXISTS (SELECT 1 FROM product_images i WHERE i.product_id = p.product_id);
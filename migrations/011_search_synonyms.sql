@@ -0,0 +1,19 @@
+-- Admin-managed search synonyms
+-- Each row is a group of words or short phrases shoppers use for the same thing,
+-- stored lowercased and comma-separated. A search that contains any term of a
+-- group also matches products described with the group's other terms, so
+-- "sneakers" finds products whose keywords say "shoes".
+
+CREATE TABLE IF NOT EXISTS search_synonyms (
+    synonym_id INT AUTO_INCREMENT PRIMARY KEY,
+    terms VARCHAR(1000) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+INSERT IGNORE INTO search_synonyms (synonym_id, terms)
+VALUES
+    (1, 'shoes, sneakers, trainers'),
+    (2, 'hoodie, sweatshirt'),
+    (3, 'phone, mobile, smartphone'),
+    (4, 'tv, television');
@@ -0,0 +1,30 @@
+-- Product search index
+-- Storefront search reads this inverted index instead of running LIKE over the
+-- products table. Every product has one product_search_documents row and one
+-- product_search_terms row per distinct stemmed word of its title, keywords,
+-- brand name, category name and description. term_frequency counts the word's
+-- occurrences weighted by field (title 3, keywords, brand and category 2,
+-- description 1); document_length is the weighted number of words. Results are
+-- ranked with BM25 over these.
+--
+-- Products are indexed as they are added or edited. A product without a
+-- document row (every product when this migration is applied, and the products
+-- of a renamed brand or category) is indexed by the next search.
+--
+-- Search totals are read with a window function (COUNT(*) OVER ()), which needs
+-- MySQL 8.0+ or MariaDB 10.2+.
+
+CREATE TABLE IF NOT EXISTS product_search_documents (
+    product_id INT PRIMARY KEY,
+    document_length DOUBLE NOT NULL,
+    indexed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS product_search_terms (
+    term VARCHAR(64) NOT NULL,
+    product_id INT NOT NULL,
+    term_frequency DOUBLE NOT NULL,
+    PRIMARY KEY (term, product_id),
+    KEY idx_product_search_terms_product (product_id),
+    CONSTRAINT fk_product_search_terms_document FOREIGN KEY (product_id) REFERENCES product_search_documents (product_id) ON DELETE CASCADE
+);
@@ -0,0 +1,221 @@
+<?php
+/**
+ * My Orders Page
+ *
+ * Order history for logged-in customers. js/orders.js loads the invoices a page
+ * at a time, shows an order's line items and puts them back in the cart on reorder.
+ * orders.php?order_id=N opens straight to one order (linked from the checkout confirmation).
+ */
+
+session_start();
+require_once 'controllers/cart_controller.php';
+require_once 'settings/core.php';
+
+// Require authentication for order history
+if (!isset($_SESSION['customer_id'])) {
+    header("Location: login/login.php?redirect=orders.php");
+    exit();
+}
+
+$customer_id = $_SESSION['customer_id'];
+$customer_name = $_SESSION['customer_name'] ?? 'Customer';
+
+// Cart totals for the menu badge
+$cart_count_result = get_cart_count_ctr($customer_id);
+$cart_totals = $cart_count_result['success'] ? $cart_count_result['data'] : null;
+$total_items = $cart_totals ? (int)$cart_totals['total_items'] : 0;
+
+$initial_page = max(1, (int)($_GET['page'] ?? 1));
+$initial_order_id = isset($_GET['order_id']) ? (int)$_GET['order_id'] : 0;
+?>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <?php echo csrf_meta_tag(); ?>
+    <title>My Orders - SubCart</title>
+
+    <!-- 🔥 Sexy Favicon -->
+    <link rel="icon" type="image/svg+xml" href="favicon.svg">
+    <link rel="icon" type="image/png" sizes="32x32" href="favicon-32x32.png">
+    <link rel="apple-touch-icon" sizes="180x180" href="apple-touch-icon.png">
+    <meta name="theme-color" content="#667eea">
+
+    <!-- Sweetgreen Design System CSS -->
+    <link rel="stylesheet" href="css/sweetgreen-style.css">
+    <!-- Enhanced Button Styles -->
+    <link rel="stylesheet" href="css/enhanced-buttons.css">
+
+    <!-- Font Awesome for icons -->
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+</head>
+<body>
+    <!-- Mobile Menu Toggle -->
+    <button class="mobile-menu-toggle" onclick="toggleSidebar()">
+        <i class="fas fa-bars"></i>
+    </button>
+
+    <!-- Sidebar Overlay for Mobile -->
+    <div class="sidebar-overlay" onclick="closeSidebar()"></div>
+
+    <!-- Sidebar Navigation -->
+    <nav class="sidebar-nav" id="sidebar">
+        <div class="sidebar-header">
+            <h2>
+                <i class="fas fa-store"></i>
+                Our Store
+            </h2>
+        </div>
+
+        <div class="sidebar-menu">
+            <a href="index.php" class="nav-item">
+                <i class="fas fa-home"></i>
+                <span>Home</span>
+            </a>
+            <a href="all_product.php" class="nav-item">
+                <i class="fas fa-leaf"></i>
+                <span>Products</span>
+            </a>
+            <a href="cart.php" class="nav-item">
+                <i class="fas fa-shopping-cart"></i>
+                <span>Shopping Cart</span>
+                <?php if ($total_items > 0): ?>
+                    <span class="badge"><?php echo $total_items; ?></span>
+                <?php endif; ?>
+            </a>
+            <a href="checkout.php" class="nav-item">
+                <i class="fas fa-credit-card"></i>
+                <span>Checkout</span>
+            </a>
+            <a href="orders.php" class="nav-item active">
+                <i class="fas fa-receipt"></i>
+                <span>My Orders</span>
+            </a>
+        </div>
+
+        <div class="sidebar-footer">
+            <div class="user-info">
+                <div class="user-name"><?php echo htmlspecialchars($customer_name); ?></div>
+                <div class="user-status">Logged in</div>
+            </div>
+            <a href="login/logout.php" class="nav-item">
+                <i class="fas fa-sign-out-alt"></i>
+                <span>Logout</span>
+            </a>
+        </div>
+    </nav>
+
+    <!-- Main Content Container -->
+    <div class="main-content">
+    <div id="orders-page" style="max-width: 1000px; margin: 40px auto; padding: 0 var(--spacing-md);"
+         data-initial-page="<?php echo $initial_page; ?>"
+         data-initial-order-id="<?php echo $initial_order_id; ?>">
+
+        <!-- Page Header -->
+        <div style="text-align: center; margin-bottom: var(--spacing-2xl);">
+            <h1 style="color: var(--color-primary-green); margin-bottom: var(--spacing-sm);">
+                <i class="fas fa-receipt"></i> My Orders
+            </h1>
+            <p style="color: var(--color-medium-gray); font-size: var(--font-size-body);">
+                Your invoices, order status and past purchases
+            </p>
+        </div>
+
+        <!-- Success/Error Messages (populated by JavaScript) -->
+        <div id="orders-message" style="margin: 0 auto var(--spacing-lg); display: none;"></div>
+
+        <!-- Order History -->
+        <div id="orders-history">
+            <div id="orders-loading" style="text-align: center; padding: var(--spacing-2xl); color: var(--color-medium-gray);">
+                <i class="fas fa-spinner fa-spin"></i> Loading your orders...
+            </div>
+
+            <div class="card" id="orders-empty" style="display: none; max-width: 600px; margin: 0 auto; text-align: center; padding: var(--spacing-3xl);">
+                <i class="fas fa-receipt" style="font-size: 4rem; color: var(--color-medium-gray); margin-bottom: var(--spacing-lg);"></i>
+                <h2 style="color: var(--color-dark-gray); margin-bottom: var(--spacing-md);">No orders yet</h2>
+                <p style="color: var(--color-medium-gray); margin-bottom: var(--spacing-xl);">
+                    Orders you place will show up here.
+                </p>
+                <a href="all_product.php" class="btn btn-primary btn-large">
+                    <i class="fas fa-leaf"></i> Browse Products
+                </a>
+            </div>
+
+            <div id="orders-list">
+                <!-- Orders are loaded here via JavaScript -->
+            </div>
+
+            <div id="orders-pagination" style="display: none; justify-content: space-between; align-items: center; margin-top: var(--spacing-lg);">
+                <button class="btn btn-secondary" id="orders-prev-btn">
+                    <i class="fas fa-chevron-left"></i> Newer
+                </button>
+                <span id="orders-page-info" style="color: var(--color-medium-gray);"></span>
+                <button class="btn btn-secondary" id="orders-next-btn">
+                    Older <i class="fas fa-chevron-right"></i>
+                </button>
+            </div>
+        </div>
+
+        <!-- Order Detail (populated by JavaScript) -->
+        <div id="order-detail" style="display: none;">
+            <button class="btn btn-secondary btn-small" id="back-to-orders-btn" style="margin-bottom: var(--spacing-lg);">
+                <i class="fas fa-arrow-left"></i> All Orders
+            </button>
+            <div id="order-detail-content"></div>
+        </div>
+    </div>
+
+    <!-- Initial cart state for the cart store -->
+    <?php echo cart_state_script(null, $cart_totals); ?>
+
+    <!-- jQuery for AJAX operations -->
+    <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
+
+    <!-- Shared API client for action endpoints -->
+    <script src="js/api.js"></script>
+
+    <!-- Cart store (used by reorder) and menu badge -->
+    <script src="js/cart_store.js"></script>
+    <script src="js/cart.js"></script>
+
+    <!-- Order history -->
+    <script src="js/orders.js"></script>
+
+    <!-- Sidebar Toggle JavaScript -->
+    <script>
+        function toggleSidebar() {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.querySelector('.sidebar-overlay');
+
+            sidebar.classList.toggle('open');
+            overlay.classList.toggle('active');
+        }
+
+        function closeSidebar() {
+            const sidebar = document.getElementById('sidebar');
+            const overlay = document.querySelector('.sidebar-overlay');
+
+            sidebar.classList.remove('open');
+            overlay.classList.remove('active');
+        }
+
+        // Close sidebar when clicking on nav items on mobile
+        document.querySelectorAll('.sidebar-menu .nav-item').forEach(item => {
+            item.addEventListener('click', () => {
+                if (window.innerWidth <= 768) {
+                    closeSidebar();
+                }
+            });
+        });
+
+        // Close sidebar on window resize if desktop
+        window.addEventListener('resize', () => {
+            if (window.innerWidth > 768) {
+                closeSidebar();
+            }
+        });
+    </script>
+    </div> <!-- Close main-content -->
+</body>
+</html>
@@ -370,6 +370,13 @@ $is_admin = $is_logged_in && has_admin_privileges();
             </a>
             
             <?php if ($is_logged_in): ?>
+                <?php if (!$is_admin): ?>
+                    <a href="orders.php" class="nav-item">
+                        <i class="fas fa-receipt"></i>
+                        <span>My Orders</span>
+                    </a>
+                <?php endif; ?>
+                
                 <?php if ($is_admin): ?>
                     <div style="margin: 16px 0; padding: 0 20px;">
                         <div style="font-size: 12px; color: #666; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px;">Admin</div>
@@ -386,6 +393,26 @@ $is_admin = $is_logged_in && has_admin_privileges();
                         <i class="fas fa-plus"></i>
                         <span>Add Product</span>
                     </a>
+                    <a href="admin/import.php" class="nav-item">
+                        <i class="fas fa-file-import"></i>
+                        <span>Import Products</span>
+                    </a>
+                    <a href="admin/shipping.php" class="nav-item">
+                        <i class="fas fa-truck"></i>
+                        <span>Shipping</span>
+                    </a>
+                    <a href="admin/coupons.php" class="nav-item">
+                        <i class="fas fa-ticket-alt"></i>
+                        <span>Coupons</span>
+                    </a>
+                    <a href="admin/orders.php" class="nav-item">
+                        <i class="fas fa-clipboard-list"></i>
+                        <span>Orders</span>
+                    </a>
+                    <a href="admin/analytics.php" class="nav-item">
+                        <i class="fas fa-chart-line"></i>
+                        <span>Analytics</span>
+                    </a>
                 <?php endif; ?>
             <?php endif; ?>
         </div>
@@ -640,9 +667,7 @@ $is_admin = $is_logged_in && has_admin_privileges();
                     <div class="product-card" onclick="window.location.href='single_product.php?id=<?php echo $product['product_id']; ?>'">
                         <div class="product-image">
                             <?php if (!empty($product['product_image'])): ?>
-                                <img src="<?php echo htmlspecialchars($product['product_image']); ?>" 
-                                     alt="<?php echo htmlspecialchars($product['product_title']); ?>"
-                                     style="width: 100%; height: 100%; object-fit: cover;">
+                                <?php echo product_picture_html($product['product_image'], $product['product_title'], PRODUCT_IMAGE_SIZES_CARD, 'style="width: 100%; height: 100%; object-fit: cover;"'); ?>
                             <?php else: ?>
                                 <div style="display: flex; align-items: center; justify-content: center; height: 100%; background-color: var(--color-light-gray);">
                                     No Image Available
@@ -663,14 +688,29 @@ $is_admin = $is_logged_in && has_admin_privileges();
                             </div>
                             
                             <div class="product-price">
-                                $<?php echo number_format($product['product_price'], 2); ?>
+                                <?php echo !empty($product['price_from']) ? 'From ' : ''; ?>$<?php echo number_format($product['product_price'], 2); ?>
+                            </div>
+                            
+                            <div class="product-meta">
+                                <?php echo stock_badge_html($product); ?>
                             </div>
                             
                             <div class="product-actions">
-                                <button class="btn btn-primary btn-small" 
-                                        onclick="event.stopPropagation(); addToCart(<?php echo $product['product_id']; ?>)">
-                                    Add to Cart
-                                </button>
+                                <?php if (!empty($product['has_variants'])): ?>
+                                    <button class="btn btn-primary btn-small" 
+                                            onclick="event.stopPropagation(); window.location.href='single_product.php?id=<?php echo $product['product_id']; ?>'">
+                                        Choose Options
+                                    </button>
+                                <?php elseif ($product['stock_status'] === 'sold_out'): ?>
+                                    <button class="btn btn-primary btn-small" disabled onclick="event.stopPropagation();">
+                                        Sold Out
+                                    </button>
+                                <?php else: ?>
+                                    <button class="btn btn-primary btn-small" 
+                                            onclick="event.stopPropagation(); addToCart(<?php echo $product['product_id']; ?>)">
+                                        Add to Cart
+                                    </button>
+                                <?php endif; ?>
                                 <button class="btn btn-secondary btn-small" 
                                         onclick="event.stopPropagation(); window.location.href='single_product.php?id=<?php echo $product['product_id']; ?>'">
                                     View Details
@@ -278,6 +278,81 @@ function enforce_csrf_protection($error_message = 'Invalid security token. Pleas
     }
 }
 
+/**
+ * Generate meta tag exposing the CSRF token to JavaScript
+ * js/api.js reads this tag and attaches the token to every POST request
+ * @return string Returns HTML meta tag with CSRF token
+ */
+function csrf_meta_tag()
+{
+    $token = get_csrf_token();
+    return '<meta name="csrf-token" content="' . htmlspecialchars($token, ENT_QUOTES, 'UTF-8') . '">';
+}
+
+/**
+ * Get the CSRF token submitted with the current request
+ * Accepts the csrf_token POST field or the X-CSRF-Token header
+ * @return string Returns the submitted token or an empty string
+ */
+function get_request_csrf_token()
+{
+    if (!empty($_POST['csrf_token'])) {
+        return $_POST['csrf_token'];
+    }
+    
+    return $_SERVER['HTTP_X_CSRF_TOKEN'] ?? '';
+}
+
+/**
+ * Validate the CSRF token of a state-changing AJAX request
+ * Failures use requires_action 'refresh_token' so the client can fetch the
+ * current token from get_csrf_token_action.php and retry once
+ * @return array Returns validation result with valid, message, error_type, requires_action and log_security_event
+ */
+function validate_csrf_request()
+{
+    $csrf_result = [
+        'valid' => false,
+        'message' => '',
+        'error_type' => '',
+        'requires_action' => null,
+        'log_security_event' => false
+    ];
+    
+    // Check if CSRF token exists in session
+    if (!isset($_SESSION['csrf_token']) || empty($_SESSION['csrf_token'])) {
+        $csrf_result['message'] = 'Security token not found in session. Please refresh the page.';
+        $csrf_result['error_type'] = 'csrf_token_missing_session';
+        $csrf_result['requires_action'] = 'refresh_token';
+        $csrf_result['log_security_event'] = true;
+        return $csrf_result;
+    }
+    
+    $token = get_request_csrf_token();
+    
+    // Check if CSRF token was sent with the request
+    if (empty($token)) {
+        $csrf_result['message'] = 'Security token not provided. Please refresh the page and try again.';
+        $csrf_result['error_type'] = 'csrf_token_missing_post';
+        $csrf_result['requires_action'] = 'refresh_token';
+        $csrf_result['log_security_event'] = true;
+        return $csrf_result;
+    }
+    
+    // Validate CSRF token
+    if (!validate_csrf_token($token)) {
+        $csrf_result['message'] = 'Invalid security token. This may indicate a security issue. Please refresh the page and try again.';
+        $csrf_result['error_type'] = 'csrf_validation_failed';
+        $csrf_result['requires_action'] = 'refresh_token';
+        $csrf_result['log_security_event'] = true;
+        return $csrf_result;
+    }
+    
+    // CSRF validation passed
+    $csrf_result['valid'] = true;
+    return $csrf_result;
+}
+
 /**
  * Validate session integrity and security
  * @return bool Returns true if session is valid and secure, false otherwise
@@ -0,0 +1,22 @@
+<?php
+// CSV export helpers
+// SubCart E-commerce - shared by the sales analytics, product import and catalog exports
+
+/**
+ * Make a text cell safe to open in a spreadsheet
+ * Product, brand and category text is admin-entered (or comes from an imported
+ * file), so a value starting with a formula character is prefixed with a quote
+ * to keep Excel and Sheets from evaluating it.
+ *
+ * @param mixed $value Cell value
+ * @return mixed The value, quoted when it would start a formula
+ */
+function csv_safe_cell($value)
+{
+    if (is_string($value) && preg_match('/^[=+\-@\t\r]/', $value)) {
+        return "'" . $value;
+    }
+
+    return $value;
+}
+?>
@@ -0,0 +1,36 @@
+<?php
+// Payment provider configuration
+// SubCart E-commerce - checkout payments
+
+// Provider used when the checkout does not ask for a specific one
+if (!defined("PAYMENT_DEFAULT_PROVIDER")) {
+    define("PAYMENT_DEFAULT_PROVIDER", "mock");
+}
+
+// Checkout currency
+if (!defined("PAYMENT_CURRENCY")) {
+    define("PAYMENT_CURRENCY", "USD");
+}
+
+// Seconds a checkout quote stays valid before the checkout must refresh it
+if (!defined("CHECKOUT_QUOTE_TTL")) {
+    define("CHECKOUT_QUOTE_TTL", 1800);
+}
+
+// Stand-in webhook secret used until a real one is configured; the mock gateway
+// refuses webhooks while it is in use
+if (!defined("MOCK_GATEWAY_WEBHOOK_SECRET_PLACEHOLDER")) {
+    define("MOCK_GATEWAY_WEBHOOK_SECRET_PLACEHOLDER", "change-me-mock-webhook-secret");
+}
+
+// Shared secret the mock gateway signs its webhooks with, from the
+// MOCK_GATEWAY_WEBHOOK_SECRET environment variable
+if (!defined("MOCK_GATEWAY_WEBHOOK_SECRET")) {
+    define("MOCK_GATEWAY_WEBHOOK_SECRET", getenv("MOCK_GATEWAY_WEBHOOK_SECRET") ?: MOCK_GATEWAY_WEBHOOK_SECRET_PLACEHOLDER);
+}
+
+// Seconds the mock gateway waits before delivering a webhook
+if (!defined("MOCK_GATEWAY_WEBHOOK_DELAY")) {
+    define("MOCK_GATEWAY_WEBHOOK_DELAY", 2);
+}
+?>
@@ -8,6 +8,8 @@
 
 session_start();
 require_once 'controllers/product_display_controller.php';
+require_once 'controllers/cart_controller.php';
+require_once 'controllers/product_image_controller.php';
 require_once 'settings/core.php';
 
 // Get product ID from URL
@@ -15,6 +17,9 @@ $product_id = isset($_GET['id']) ? (int)$_GET['id'] : null;
 
 // Initialize data
 $product = null;
+$variant_data = ['options' => [], 'variants' => []];
+$gallery_images = [];
+$active_image_index = 0;
 $error_message = '';
 $related_products = [];
 $categories = [];
@@ -39,6 +44,37 @@ if (!$product_id) {
     
     if ($result['success']) {
         $product = $result['data']['product'];
+        // Shoppers can pick at most the units left (or the usual cap when stock is not tracked)
+        $max_quantity = $product['product_stock'] === null ? 999 : max(1, min(999, (int)$product['product_stock']));
+
+        // A product with variants is bought through the picker; each variant has its own stock
+        if (!empty($product['has_variants'])) {
+            $variants_result = get_product_variants_ctr($product_id);
+            if ($variants_result['success']) {
+                $variant_data = $variants_result['data'];
+                foreach ($variant_data['variants'] as &$variant) {
+                    $variant['stock_status'] = get_product_stock_status($variant['variant_stock']);
+                    $variant['stock_badge'] = stock_badge_html(['stock_status' => $variant['stock_status'], 'product_stock' => $variant['variant_stock']]);
+                    $variant['max_quantity'] = $variant['variant_stock'] === null ? 999 : max(1, min(999, (int)$variant['variant_stock']));
+                    $variant['image_srcsets'] = product_image_srcsets($variant['variant_image'] ?? '');
+                }
+                unset($variant);
+            }
+        }
+
+        // Gallery in display order; the primary image is shown first
+        $gallery_result = get_product_images_ctr($product_id);
+        if ($gallery_result['success']) {
+            foreach ($gallery_result['data'] as $index => $image) {
+                $gallery_images[] = array_merge([
+                    'src' => $image['image_path'],
+                    'alt' => $image['alt_text'] ?? $product['product_title']
+                ], product_image_srcsets($image['image_path']));
+                if ($image['is_primary']) {
+                    $active_image_index = $index;
+                }
+            }
+        }
         
         // Load related products from same category
         if ($product && isset($product['category_id'])) {
@@ -62,6 +98,10 @@ $is_logged_in = isset($_SESSION['customer_id']);
 $customer_name = $is_logged_in ? $_SESSION['customer_name'] : '';
 $is_admin = $is_logged_in && has_admin_privileges();
 
+// Cart totals for the navigation badge
+$cart_count_result = get_cart_count_ctr();
+$cart_totals = $cart_count_result['success'] ? $cart_count_result['data'] : null;
+
 // Build breadcrumb navigation
 $breadcrumbs = [
     ['name' => 'Home', 'url' => 'index.php'],
@@ -79,6 +119,7 @@ if ($product) {
 <head>
     <meta charset="utf-8">
     <meta name="viewport" content="width=device-width, initial-scale=1">
+    <?php echo csrf_meta_tag(); ?>
     <title><?php echo $product ? htmlspecialchars($product['product_title']) . ' - SubCart' : 'Product Not Found - SubCart'; ?></title>
     
     <!-- 🔥 Sexy Favicon -->
@@ -93,8 +134,11 @@ if ($product) {
     <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
     <!-- Include Font Awesome for icons -->
     <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
-    <!-- Include cart.js for cart functionality -->
+    <!-- Include the shared API client, cart store and cart.js for cart functionality -->
+    <script src="js/api.js"></script>
+    <script src="js/cart_store.js"></script>
     <script src="js/cart.js"></script>
+    <script src="js/lazy_images.js"></script>
     <meta name="description" content="<?php echo $product ? htmlspecialchars(substr($product['product_desc'], 0, 160)) : 'Product details page'; ?>">
     <style>
         /* Product Detail Styles */
@@ -173,6 +217,63 @@ if ($product) {
             justify-content: center;
             color: var(--color-medium-gray);
             font-size: var(--font-size-body);
+            overflow: hidden;
+        }
+        
+        .product-main-image img {
+            cursor: zoom-in;
+            transition: transform 0.2s ease;
+        }
+        
+        .product-main-image.zoomed img {
+            transform: scale(2);
+            cursor: zoom-out;
+        }
+        
+        .product-thumbnails {
+            display: flex;
+            align-items: center;
+            gap: var(--spacing-sm);
+            padding: var(--spacing-md);
+        }
+        
+        .thumbnail-strip {
+            display: flex;
+            gap: var(--spacing-sm);
+            overflow-x: auto;
+            flex: 1;
+        }
+        
+        .product-thumbnail {
+            flex: 0 0 64px;
+            height: 64px;
+            padding: 0;
+            border: 2px solid transparent;
+            border-radius: var(--border-radius-md);
+            background-color: var(--color-light-gray);
+            overflow: hidden;
+            cursor: pointer;
+        }
+        
+        .product-thumbnail.active {
+            border-color: var(--color-primary-green);
+        }
+        
+        .product-thumbnail img {
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+        }
+        
+        .thumbnail-nav {
+            flex: 0 0 auto;
+            width: 32px;
+            height: 32px;
+            border: none;
+            border-radius: 50%;
+            background-color: var(--color-light-gray);
+            color: var(--color-dark-gray);
+            cursor: pointer;
         }
         
         .product-info-section {
@@ -450,6 +551,13 @@ if ($product) {
             <?php endif; ?>
             
             <?php if ($is_logged_in): ?>
+                <?php if (!$is_admin): ?>
+                    <a href="orders.php" class="nav-item">
+                        <i class="fas fa-receipt"></i>
+                        <span>My Orders</span>
+                    </a>
+                <?php endif; ?>
+                
                 <?php if ($is_admin): ?>
                     <div style="margin: 16px 0; padding: 0 20px;">
                         <div style="font-size: 12px; color: #666; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px;">Admin</div>
@@ -466,6 +574,26 @@ if ($product) {
                         <i class="fas fa-box"></i>
                         <span>Manage Products</span>
                     </a>
+                    <a href="admin/import.php" class="nav-item">
+                        <i class="fas fa-file-import"></i>
+                        <span>Import Products</span>
+                    </a>
+                    <a href="admin/shipping.php" class="nav-item">
+                        <i class="fas fa-truck"></i>
+                        <span>Shipping</span>
+                    </a>
+                    <a href="admin/coupons.php" class="nav-item">
+                        <i class="fas fa-ticket-alt"></i>
+                        <span>Coupons</span>
+                    </a>
+                    <a href="admin/orders.php" class="nav-item">
+                        <i class="fas fa-clipboard-list"></i>
+                        <span>Orders</span>
+                    </a>
+                    <a href="admin/analytics.php" class="nav-item">
+                        <i class="fas fa-chart-line"></i>
+                        <span>Analytics</span>
+                    </a>
                 <?php endif; ?>
             <?php endif; ?>
         </div>
@@ -589,17 +717,37 @@ if ($product) {
             <div class="product-detail-grid">
                 <!-- Product Image Section -->
                 <div class="product-image-section">
-                    <div class="product-main-image">
-                        <?php if (!empty($product['product_image'])): ?>
-                            <img src="<?php echo htmlspecialchars($product['product_image']); ?>" 
-                                 alt="<?php echo htmlspecialchars($product['product_title']); ?>"
-                                 style="width: 100%; height: 100%; object-fit: cover;">
+                    <div class="product-main-image" id="product-main-image">
+                        <?php if (!empty($gallery_images)): ?>
+                            <?php echo product_picture_html($gallery_images[$active_image_index]['src'], $gallery_images[$active_image_index]['alt'], PRODUCT_IMAGE_SIZES_DETAIL, 'style="width: 100%; height: 100%; object-fit: cover;"'); ?>
+                        <?php elseif (!empty($product['product_image'])): ?>
+                            <?php echo product_picture_html($product['product_image'], $product['product_title'], PRODUCT_IMAGE_SIZES_DETAIL, 'style="width: 100%; height: 100%; object-fit: cover;"'); ?>
                         <?php else: ?>
                             <div style="display: flex; align-items: center; justify-content: center; height: 100%; background-color: var(--color-light-gray);">
                                 No Image Available
                             </div>
                         <?php endif; ?>
                     </div>
+                    <?php if (count($gallery_images) > 1): ?>
+                        <div class="product-thumbnails">
+                            <button type="button" class="thumbnail-nav" onclick="showGalleryImage(activeImageIndex - 1)" aria-label="Previous image">
+                                <i class="fas fa-chevron-left"></i>
+                            </button>
+                            <div class="thumbnail-strip">
+                                <?php foreach ($gallery_images as $index => $image): ?>
+                                    <button type="button" 
+                                            class="product-thumbnail<?php echo $index === $active_image_index ? ' active' : ''; ?>" 
+                                            onclick="showGalleryImage(<?php echo $index; ?>)"
+                                            aria-label="Show image <?php echo $index + 1; ?> of <?php echo count($gallery_images); ?>">
+                                        <?php echo product_picture_html($image['src'], $image['alt'], PRODUCT_IMAGE_SIZES_THUMBNAIL, '', true); ?>
+                                    </button>
+                                <?php endforeach; ?>
+                            </div>
+                            <button type="button" class="thumbnail-nav" onclick="showGalleryImage(activeImageIndex + 1)" aria-label="Next image">
+                                <i class="fas fa-chevron-right"></i>
+                            </button>
+                        </div>
+                    <?php endif; ?>
                 </div>
 
                 <!-- Product Information Section -->
@@ -622,13 +770,17 @@ if ($product) {
                         </div>
                         <div class="meta-item">
                             <span class="meta-label">Availability</span>
-                            <span class="meta-value" style="color: var(--color-success);">In Stock</span>
+                            <span class="meta-value" id="product-availability"><?php echo stock_badge_html($product); ?></span>
                         </div>
                     </div>
                     
                     <!-- Product Price -->
-                    <div class="product-price">
-                        $<?php echo number_format($product['product_price'], 2); ?>
+                    <div class="product-price" id="product-price">
+                        <?php if (!empty($product['price_from'])): ?>
+                            From $<?php echo number_format($product['price_from'], 2); ?>
+                        <?php else: ?>
+                            $<?php echo number_format($product['product_price'], 2); ?>
+                        <?php endif; ?>
                     </div>
                     
                     <!-- Product Description -->
@@ -661,6 +813,29 @@ if ($product) {
                     
                     <!-- Product Actions -->
                     <div class="product-actions">
+                        <!-- Variant Selection -->
+                        <?php if (!empty($variant_data['variants'])): ?>
+                            <div id="variant-picker" style="display: grid; gap: var(--spacing-md); margin-bottom: var(--spacing-md);">
+                                <?php foreach ($variant_data['options'] as $option): ?>
+                                    <div style="display: flex; align-items: center; gap: var(--spacing-md);">
+                                        <label for="variant-option-<?php echo (int)$option['option_id']; ?>" style="font-weight: var(--font-weight-medium); color: var(--color-dark-gray); min-width: 80px;">
+                                            <?php echo htmlspecialchars($option['option_name']); ?>:
+                                        </label>
+                                        <select id="variant-option-<?php echo (int)$option['option_id']; ?>"
+                                                class="form-input variant-select"
+                                                data-option-id="<?php echo (int)$option['option_id']; ?>"
+                                                onchange="handleVariantChange()"
+                                                style="max-width: 240px;">
+                                            <option value="">Choose <?php echo htmlspecialchars($option['option_name']); ?>...</option>
+                                            <?php foreach ($option['values'] as $value): ?>
+                                                <option value="<?php echo htmlspecialchars($value); ?>"><?php echo htmlspecialchars($value); ?></option>
+                                            <?php endforeach; ?>
+                                        </select>
+                                    </div>
+                                <?php endforeach; ?>
+                            </div>
+                        <?php endif; ?>
+
                         <!-- Quantity Selection -->
                         <div style="display: flex; align-items: center; gap: var(--spacing-md); margin-bottom: var(--spacing-md);">
                             <label for="product-quantity" style="font-weight: var(--font-weight-medium); color: var(--color-dark-gray);">
@@ -679,7 +854,7 @@ if ($product) {
                                        class="form-input" 
                                        value="1" 
                                        min="1" 
-                                       max="999"
+                                       max="<?php echo $max_quantity; ?>"
                                        style="border: none; text-align: center; width: 80px; border-radius: 0;"
                                        onchange="validateQuantity()">
                                 <button type="button" 
@@ -694,11 +869,17 @@ if ($product) {
                         
                         <!-- Action Buttons -->
                         <div style="display: flex; gap: var(--spacing-md);">
-                            <button id="add-to-cart-btn" 
-                                    class="btn btn-primary btn-large" 
-                                    onclick="addToCartWithQuantity(<?php echo $product['product_id']; ?>)">
-                                <i class="fas fa-shopping-cart"></i> Add to Cart
-                            </button>
+                            <?php if ($product['stock_status'] === 'sold_out'): ?>
+                                <button id="add-to-cart-btn" class="btn btn-primary btn-large" disabled>
+                                    <i class="fas fa-ban"></i> Sold Out
+                                </button>
+                            <?php else: ?>
+                                <button id="add-to-cart-btn" 
+                                        class="btn btn-primary btn-large" 
+                                        onclick="addToCartWithQuantity(<?php echo $product['product_id']; ?>)">
+                                    <i class="fas fa-shopping-cart"></i> Add to Cart
+                                </button>
+                            <?php endif; ?>
                             <button class="btn btn-secondary" 
                                     onclick="window.history.back()">
                                 <i class="fas fa-arrow-left"></i> Back to Products
@@ -735,9 +916,7 @@ if ($product) {
                                  onclick="window.location.href='single_product.php?id=<?php echo $related_product['product_id']; ?>'">
                                 <div class="related-product-image">
                                     <?php if (!empty($related_product['product_image'])): ?>
-                                        <img src="<?php echo htmlspecialchars($related_product['product_image']); ?>" 
-                                             alt="<?php echo htmlspecialchars($related_product['product_title']); ?>"
-                                             style="width: 100%; height: 100%; object-fit: cover;">
+                                        <?php echo product_picture_html($related_product['product_image'], $related_product['product_title'], PRODUCT_IMAGE_SIZES_CARD, 'style="width: 100%; height: 100%; object-fit: cover;"'); ?>
                                     <?php else: ?>
                                         <div style="display: flex; align-items: center; justify-content: center; height: 100%; background-color: var(--color-light-gray);">
                                             No Image
@@ -750,14 +929,29 @@ if ($product) {
                                         <?php echo htmlspecialchars($related_product['product_title']); ?>
                                     </h4>
                                     <div class="related-product-price">
-                                        $<?php echo number_format($related_product['product_price'], 2); ?>
+                                        <?php echo !empty($related_product['price_from']) ? 'From ' : ''; ?>$<?php echo number_format($related_product['product_price'], 2); ?>
                                     </div>
                                     <div style="margin-top: var(--spacing-sm);">
-                                        <button class="btn btn-primary btn-small" 
-                                                onclick="event.stopPropagation(); window.addToCart(<?php echo $related_product['product_id']; ?>, 1)"
-                                                style="width: 100%;">
-                                            <i class="fas fa-shopping-cart"></i> Add to Cart
-                                        </button>
+                                        <?php if (!empty($related_product['has_variants'])): ?>
+                                            <a href="single_product.php?id=<?php echo $related_product['product_id']; ?>"
+                                               class="btn btn-primary btn-small"
+                                               onclick="event.stopPropagation();"
+                                               style="width: 100%;">
+                                                <i class="fas fa-list"></i> Choose Options
+                                            </a>
+                                        <?php elseif ($related_product['stock_status'] === 'sold_out'): ?>
+                                            <button class="btn btn-primary btn-small" disabled
+                                                    onclick="event.stopPropagation();"
+                                                    style="width: 100%;">
+                                                <i class="fas fa-ban"></i> Sold Out
+                                            </button>
+                                        <?php else: ?>
+                                            <button class="btn btn-primary btn-small" 
+                                                    onclick="event.stopPropagation(); window.addToCart(<?php echo $related_product['product_id']; ?>, 1)"
+                                                    style="width: 100%;">
+                                                <i class="fas fa-shopping-cart"></i> Add to Cart
+                                            </button>
+                                        <?php endif; ?>
                                     </div>
                                 </div>
                             </div>
@@ -769,11 +963,182 @@ if ($product) {
     </div>
 
     <script>
+        // Variants of this product (empty when it has none), with each variant's
+        // stock badge and quantity cap rendered by the server
+        const productVariants = <?php echo json_encode($variant_data, JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT); ?>;
+        let selectedVariant = null;
+        let productDisplay = null;
+
+        // Gallery images (src, alt text and rendition srcsets) in display order, and the one on show
+        const galleryImages = <?php echo json_encode($gallery_images, JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT); ?>;
+        const detailImageSizes = <?php echo json_encode(PRODUCT_IMAGE_SIZES_DETAIL); ?>;
+        let activeImageIndex = <?php echo (int)$active_image_index; ?>;
+
+        /**
+         * Show an image in the main image area, offering its renditions when it has them
+         * @param {object} image - src, alt, srcset and webp_srcset
+         */
+        function renderMainImage(image) {
+            const imageElement = document.getElementById('product-main-image');
+            const picture = document.createElement('picture');
+
+            if (image.webp_srcset) {
+                const source = document.createElement('source');
+                source.type = 'image/webp';
+                source.srcset = image.webp_srcset;
+                source.sizes = detailImageSizes;
+                picture.appendChild(source);
+            }
+
+            const img = document.createElement('img');
+            if (image.srcset) {
+                img.srcset = image.srcset;
+                img.sizes = detailImageSizes;
+            }
+            img.src = image.src;
+            img.alt = image.alt;
+            img.style.cssText = 'width: 100%; height: 100%; object-fit: cover;';
+            picture.appendChild(img);
+
+            imageElement.classList.remove('zoomed');
+            imageElement.replaceChildren(picture);
+        }
+
+        /**
+         * Show a gallery image in the main image area (wraps around at either end)
+         */
+        function showGalleryImage(index) {
+            if (galleryImages.length === 0) {
+                return;
+            }
+
+            activeImageIndex = (index + galleryImages.length) % galleryImages.length;
+            renderMainImage(galleryImages[activeImageIndex]);
+
+            // Going back to the product-level display keeps the image the shopper picked
+            if (productDisplay !== null) {
+                productDisplay.image = document.getElementById('product-main-image').innerHTML;
+            }
+
+            document.querySelectorAll('.product-thumbnail').forEach((thumbnail, i) => {
+                thumbnail.classList.toggle('active', i === activeImageIndex);
+                if (i === activeImageIndex) {
+                    thumbnail.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+                }
+            });
+        }
+
+        /**
+         * Zoom the main image on hover (or tap), following the pointer
+         */
+        function setupImageZoom() {
+            const container = document.getElementById('product-main-image');
+            if (!container) {
+                return;
+            }
+
+            container.addEventListener('mouseenter', () => container.classList.add('zoomed'));
+            container.addEventListener('mouseleave', () => container.classList.remove('zoomed'));
+            container.addEventListener('click', () => container.classList.toggle('zoomed'));
+            container.addEventListener('mousemove', event => {
+                const image = container.querySelector('img');
+                if (!image) {
+                    return;
+                }
+
+                const rect = container.getBoundingClientRect();
+                const x = (event.clientX - rect.left) / rect.width * 100;
+                const y = (event.clientY - rect.top) / rect.height * 100;
+                image.style.transformOrigin = `${x}% ${y}%`;
+            });
+        }
+
+        /**
+         * Variant matching the picker, or null until every option is chosen
+         * (or when no variant has the chosen combination)
+         */
+        function findSelectedVariant() {
+            const chosen = {};
+            let complete = true;
+
+            document.querySelectorAll('.variant-select').forEach(select => {
+                chosen[select.dataset.optionId] = select.value;
+                if (!select.value) {
+                    complete = false;
+                }
+            });
+
+            if (!complete) {
+                return null;
+            }
+
+            return productVariants.variants.find(variant =>
+                Object.keys(chosen).every(optionId => variant.option_values[optionId] === chosen[optionId])
+            ) || null;
+        }
+
+        /**
+         * Show the chosen variant's price, availability, image and quantity cap
+         */
+        function handleVariantChange() {
+            const priceElement = document.getElementById('product-price');
+            const availabilityElement = document.getElementById('product-availability');
+            const imageElement = document.getElementById('product-main-image');
+            const quantityInput = document.getElementById('product-quantity');
+            const button = document.getElementById('add-to-cart-btn');
+            const complete = Array.from(document.querySelectorAll('.variant-select')).every(select => select.value);
+
+            // The product-level display comes back while no variant is chosen
+            if (productDisplay === null) {
+                productDisplay = {
+                    price: priceElement.innerHTML,
+                    availability: availabilityElement.innerHTML,
+                    image: imageElement.innerHTML,
+                    maxQuantity: quantityInput.max,
+                    button: button.innerHTML,
+                    buttonDisabled: button.disabled
+                };
+            }
+
+            selectedVariant = findSelectedVariant();
+
+            if (!selectedVariant) {
+                priceElement.innerHTML = productDisplay.price;
+                availabilityElement.innerHTML = productDisplay.availability;
+                imageElement.innerHTML = productDisplay.image;
+                quantityInput.max = productDisplay.maxQuantity;
+                button.disabled = complete || productDisplay.buttonDisabled;
+                button.innerHTML = complete ? '<i class="fas fa-ban"></i> Unavailable' : productDisplay.button;
+                return;
+            }
+
+            priceElement.textContent = '$' + selectedVariant.price.toFixed(2);
+            availabilityElement.innerHTML = selectedVariant.stock_badge;
+
+            if (selectedVariant.variant_image) {
+                renderMainImage(Object.assign({
+                    src: selectedVariant.variant_image,
+                    alt: document.querySelector('.product-title').textContent + ' - ' + selectedVariant.variant_label
+                }, selectedVariant.image_srcsets));
+            } else {
+                imageElement.innerHTML = productDisplay.image;
+            }
+
+            quantityInput.max = selectedVariant.max_quantity;
+            validateQuantity();
+
+            const soldOut = selectedVariant.stock_status === 'sold_out';
+            button.disabled = soldOut;
+            button.innerHTML = soldOut
+                ? '<i class="fas fa-ban"></i> Sold Out'
+                : '<i class="fas fa-shopping-cart"></i> Add to Cart';
+        }
+
         // Quantity control functions
         function increaseQuantity() {
             const quantityInput = document.getElementById('product-quantity');
             let currentValue = parseInt(quantityInput.value) || 1;
-            if (currentValue < 999) {
+            if (currentValue < parseInt(quantityInput.max)) {
                 quantityInput.value = currentValue + 1;
             }
         }
@@ -792,8 +1157,8 @@ if ($product) {
             
             if (value < 1) {
                 value = 1;
-            } else if (value > 999) {
-                value = 999;
+            } else if (value > parseInt(quantityInput.max)) {
+                value = parseInt(quantityInput.max);
             }
             
             quantityInput.value = value;
@@ -805,6 +1170,11 @@ if ($product) {
             const quantity = parseInt(quantityInput.value) || 1;
             const button = document.getElementById('add-to-cart-btn');
             const originalText = button.innerHTML;
+
+            if (productVariants.variants.length > 0 && !selectedVariant) {
+                showCartMessage('error', 'Please choose ' + productVariants.options.map(option => option.option_name).join(' and ') + ' first.');
+                return;
+            }
             
             // Show loading state
             button.disabled = true;
@@ -814,8 +1184,8 @@ if ($product) {
             const globalAddToCart = window.addToCart;
             
             // Make sure we're calling the global function, not a local one
-            if (typeof globalAddToCart === 'function' && globalAddToCart.toString().indexOf('$.ajax') > -1) {
-                globalAddToCart(productId, quantity)
+            if (typeof globalAddToCart === 'function') {
+                globalAddToCart(productId, quantity, selectedVariant ? selectedVariant.variant_id : 0)
                     .then(response => {
                         // Success - show success state
                         button.innerHTML = '<i class="fas fa-check"></i> Added to Cart!';
@@ -926,6 +1296,13 @@ if ($product) {
                 window.history.back();
             }
             
+            // Arrow keys browse the gallery, unless a form field has focus
+            const inFormField = ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName);
+            if (!inFormField && (event.key === 'ArrowLeft' || event.key === 'ArrowRight')) {
+                event.preventDefault();
+                showGalleryImage(activeImageIndex + (event.key === 'ArrowRight' ? 1 : -1));
+            }
+            
             // Plus/Minus keys for quantity adjustment
             if (event.target.id === 'product-quantity') {
                 if (event.key === '+' || event.key === '=') {
@@ -945,6 +1322,9 @@ if ($product) {
             
             // Add cart navigation if not present
             updateCartNavigation();
+
+            setupImageZoom();
+            setupImageLazyLoading();
         });
         
         function updateCartNavigation() {
@@ -956,5 +1336,7 @@ if ($product) {
             }
         }
     </script>
+    <!-- Cart totals for the menu badge -->
+    <?php echo cart_state_script(null, $cart_totals); ?>
 </body>
 </html>
\ No newline at end of file